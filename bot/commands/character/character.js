@@ -9,7 +9,8 @@ const {
  ActionRowBuilder,
  ButtonBuilder,
  ButtonStyle,
- MessageFlags
+ MessageFlags,
+ AttachmentBuilder
 } = require("discord.js");
 // Google Sheets functionality removed
 const mongoose = require("mongoose");
@@ -72,9 +73,21 @@ const {
  createCharacterEmbed,
  createVendorEmbed,
  createCharacterGearEmbed,
+ createCharacterHistoryEmbed,
+ createCharacterAchievementsEmbed,
  getCommonEmbedSettings,
 } = require("../../embeds/embeds.js");
+const {
+ LEDGER_KINDS,
+ LEDGER_KIND_LABELS,
+ MAX_LEDGER_ENTRIES,
+ getCharacterLedger,
+ exportCharacterLedger,
+ getStealSummary,
+ ledgerToCsv,
+} = require("../../modules/characterLedgerModule");
 const { getExploreCountFromParties, resolveExploreStatCount } = require("../../modules/exploreModule.js");
+const { getAchievementSummary } = require("../../modules/achievementsModule");
 const {
  getMountEmoji,
  getMountThumbnail,
@@ -219,6 +232,48 @@ module.exports = {
       .setDescription("The birthday in MM-DD format")
       .setRequired(true)
     )
+  )
+  .addSubcommand((subcommand) =>
+   subcommand
+    .setName("history")
+    .setDescription("View a character's history of tokens, items, stats, blight and quests")
+    .addStringOption((option) =>
+     option
+      .setName("charactername")
+      .setDescription("The name of the character")
+      .setRequired(true)
+      .setAutocomplete(true)
+    )
+    .addStringOption((option) =>
+     option
+      .setName("type")
+      .setDescription("Only show one kind of entry")
+      .setRequired(false)
+      .addChoices(
+       ...LEDGER_KINDS.map((kind) => ({ name: LEDGER_KIND_LABELS[kind], value: kind }))
+      )
+    )
+    .addIntegerOption((option) =>
+     option
+      .setName("days")
+      .setDescription("Only show the last N days")
+      .setRequired(false)
+      .setMinValue(1)
+      .setMaxValue(365)
+    )
+    .addIntegerOption((option) =>
+     option
+      .setName("page")
+      .setDescription("Page number (newest entries first)")
+      .setRequired(false)
+      .setMinValue(1)
+    )
+    .addBooleanOption((option) =>
+     option
+      .setName("export")
+      .setDescription("Attach the full filtered history as a CSV file")
+      .setRequired(false)
+    )
   ),
 
 // ============================================================================
@@ -249,6 +304,9 @@ module.exports = {
     case "setbirthday":
      await handleSetBirthday(interaction);
      break;
+    case "history":
+     await handleCharacterHistory(interaction);
+     break;
     default:
      await interaction.reply({
       content: "❌ Unknown command.",
@@ -429,6 +487,9 @@ async function handleViewCharacter(interaction) {
    if (vendorEmbed) embeds.push(vendorEmbed);
   }
 
+  const achievementSummary = await getAchievementSummary(updatedCharacter.userId, { characterId: updatedCharacter._id });
+  embeds.push(createCharacterAchievementsEmbed(updatedCharacter, achievementSummary));
+
   const mount = await Mount.findOne({ characterId: updatedCharacter._id });
   if (mount) {
    const speciesEmoji = getMountEmoji(mount.species);
@@ -1237,6 +1298,58 @@ async function handleSetBirthday(interaction) {
  }
 }
 
+// ============================================================================
+// ------------------- Character History Handler -------------------
+// Merged ledger of tokens, items, stats, blight and quests (characterLedgerModule).
+// ============================================================================
+
+async function handleCharacterHistory(interaction) {
+ const characterName = interaction.options.getString("charactername");
+ const kind = interaction.options.getString("type");
+ const days = interaction.options.getInteger("days");
+ const page = interaction.options.getInteger("page") || 1;
+ const wantsExport = interaction.options.getBoolean("export") || false;
+
+ await interaction.deferReply({ flags: [MessageFlags.Ephemeral] });
+ await connectToTinglebot();
+
+ const character = await fetchCharacterByNameAndUserId(characterName, interaction.user.id);
+ if (!character) {
+  await interaction.editReply({
+   content: `❌ Character **${characterName}** not found or does not belong to you.`,
+  });
+  return;
+ }
+
+ const kinds = kind ? [kind] : LEDGER_KINDS;
+ const since = days ? new Date(Date.now() - days * 24 * 60 * 60 * 1000) : null;
+ const [ledger, stealSummary] = await Promise.all([
+  getCharacterLedger(character, { kinds, since, page }),
+  !kind || kind === "steals" ? getStealSummary(character) : null,
+ ]);
+
+ const embed = createCharacterHistoryEmbed(character, ledger, {
+  kindLabel: kind ? LEDGER_KIND_LABELS[kind] : "All",
+  days,
+  stealSummary,
+ });
+
+ if (!wantsExport) {
+  await interaction.editReply({ embeds: [embed] });
+  return;
+ }
+
+ const rows = await exportCharacterLedger(character, { kinds, since });
+ const fileName = `${character.name.replace(/[^\w-]+/g, "_")}-history.csv`;
+ const attachment = new AttachmentBuilder(Buffer.from(ledgerToCsv(rows), "utf8"), { name: fileName });
+ const capNote = rows.length >= MAX_LEDGER_ENTRIES ? ` (capped at the newest ${MAX_LEDGER_ENTRIES})` : "";
+ await interaction.editReply({
+  content: `📎 Exported **${rows.length}** entr${rows.length === 1 ? "y" : "ies"}${capNote}.`,
+  embeds: [embed],
+  files: [attachment],
+ });
+}
+
 // ============================================================================
 // ------------------- Utility Helper Functions -------------------
 // Small helper functions for repetitive operations like value tracking and job selection UI.
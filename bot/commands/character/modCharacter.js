@@ -634,9 +634,6 @@ async function handleCreateModCharacter(interaction, subcommand) {
 
 
 
-    // Create unique inventory for the mod character
-    const characterName = characterData.name.toLowerCase().replace(/[^a-z0-9]/g, '_');
-    const inventoryCollectionName = characterName;
 
     // Handle icon upload
     let iconUrl = DEFAULT_IMAGE_URL;
@@ -695,12 +692,12 @@ async function handleCreateModCharacter(interaction, subcommand) {
 
     // Create unique inventory collection for this mod character
     try {
-      await createCharacterInventory(inventoryCollectionName, savedModCharacter._id, characterData.job);
-      console.log(`[modCharacter.js]: Created inventory collection '${inventoryCollectionName}' for mod character '${characterData.name}'`);
+      await createCharacterInventory(characterData.name, savedModCharacter._id, characterData.job);
+      console.log(`[modCharacter.js]: Created inventory for mod character '${characterData.name}'`);
       // Remove Initial Item placeholder (mod chars have inventorySynced: true, so this runs)
       await removeInitialItemIfSynced(savedModCharacter._id);
     } catch (error) {
-      console.log(`[modCharacter.js]: Inventory collection '${inventoryCollectionName}' already exists or error creating: ${error.message}`);
+      console.log(`[modCharacter.js]: Inventory for '${characterData.name}' already exists or error creating: ${error.message}`);
     }
 
     // Create success embed
@@ -0,0 +1,270 @@
+// ============================================================================
+// /auction — timed token auctions for rare items
+// Escrow, bidding and settlement live in modules/auctionModule.js; this file
+// only parses options and builds the replies (embed: embeds/embeds.js).
+// ============================================================================
+
+const { SlashCommandBuilder, EmbedBuilder, MessageFlags } = require('discord.js');
+const { handleInteractionError } = require('@/utils/globalErrorHandler.js');
+const { enforceJail } = require('@/utils/jailCheck');
+const {
+  fetchCharacterByNameAndUserId,
+  fetchModCharacterByNameAndUserId
+} = require('@/database/db.js');
+const Auction = require('@/models/AuctionModel');
+const {
+  AUCTION_MIN_DURATION_HOURS,
+  AUCTION_MAX_DURATION_HOURS,
+  AUCTION_DEFAULT_DURATION_HOURS,
+  createAuction,
+  placeBid,
+  cancelAuction,
+  refreshAuctionMessage
+} = require('../../modules/auctionModule');
+const { createAuctionEmbed } = require('../../embeds/embeds.js');
+const {
+  isElixirItemName,
+  normalizeElixirLevel,
+  parseElixirTierFromItemOption
+} = require('../../modules/elixirModule');
+
+const BORDER_IMAGE_URL = 'https://storage.googleapis.com/tinglebot/Graphics/border.png';
+const AUCTION_COLOR = '#AA926A';
+const MAX_LISTED_AUCTIONS = 10;
+
+// ============================================================================
+// ------------------- Helpers -------------------
+// ============================================================================
+
+// ------------------- fetchOwnCharacter -------------------
+// Regular character first, then mod character (same lookup order as /economy)
+async function fetchOwnCharacter(characterName, userId) {
+  return (await fetchCharacterByNameAndUserId(characterName, userId))
+    || (await fetchModCharacterByNameAndUserId(characterName, userId));
+}
+
+// ------------------- parseLotOption -------------------
+// Autocomplete values may carry an elixir tier suffix ("Bright Elixir [Mid|m0]")
+function parseLotOption(rawName, quantity) {
+  const raw = String(rawName || '').replace(/\s*\(Qty:\s*\d+\s*\)/gi, '').trim();
+  const tier = parseElixirTierFromItemOption(raw);
+  if (tier && isElixirItemName(tier.baseName)) {
+    return {
+      itemName: tier.baseName,
+      quantity,
+      elixirLevel: normalizeElixirLevel(tier.elixirLevel),
+      modifierHearts: tier.modifierHearts
+    };
+  }
+  return { itemName: raw, quantity, elixirLevel: null, modifierHearts: null };
+}
+
+// ------------------- formatTimestamp -------------------
+function formatTimestamp(date, style = 'R') {
+  return `<t:${Math.floor(new Date(date).getTime() / 1000)}:${style}>`;
+}
+
+// ------------------- formatLot -------------------
+function formatLot(auction) {
+  const emoji = auction.item.emoji ? `${auction.item.emoji} ` : '';
+  return `${emoji}${auction.item.quantity}x ${auction.item.itemName}`;
+}
+
+// ------------------- errorEmbed -------------------
+function errorEmbed(title, description) {
+  return new EmbedBuilder()
+    .setColor('#FF0000')
+    .setTitle(`❌ ${title}`)
+    .setDescription(description)
+    .setImage(BORDER_IMAGE_URL)
+    .setFooter({ text: 'Auction House' });
+}
+
+// ============================================================================
+// ------------------- Subcommand Handlers -------------------
+// ============================================================================
+
+// ------------------- handleCreate -------------------
+async function handleCreate(interaction) {
+  const characterName = interaction.options.getString('charactername');
+  const itemName = interaction.options.getString('itemname');
+  const quantity = interaction.options.getInteger('quantity');
+  const minimumBid = interaction.options.getInteger('minimum_bid');
+  const buyoutPrice = interaction.options.getInteger('buyout');
+  const durationHours = interaction.options.getInteger('duration') || AUCTION_DEFAULT_DURATION_HOURS;
+
+  await interaction.deferReply();
+
+  const character = await fetchOwnCharacter(characterName, interaction.user.id);
+  if (!character) {
+    return interaction.editReply({ embeds: [errorEmbed('Character Not Found', `You don't own a character named "${characterName}".`)] });
+  }
+  if (await enforceJail(interaction, character)) return;
+
+  const line = parseLotOption(itemName, quantity);
+  if (line.itemName.toLowerCase() === 'spirit orb') {
+    return interaction.editReply({ embeds: [errorEmbed('Spirit Orb Protection', 'Spirit Orbs cannot be auctioned. They can only be used by their original owner.')] });
+  }
+
+  const result = await createAuction(character, line, { minimumBid, buyoutPrice, durationHours });
+  if (result.error) {
+    return interaction.editReply({ embeds: [errorEmbed('Auction Not Created', result.error)] });
+  }
+
+  const message = await interaction.editReply({
+    content: `🔒 ${formatLot(result.auction)} is held by the auction house until the auction ends.`,
+    embeds: [createAuctionEmbed(result.auction)]
+  });
+  if (message?.id) {
+    await Auction.updateOne(
+      { auctionId: result.auction.auctionId },
+      { $set: { messageId: message.id, channelId: interaction.channelId } }
+    );
+  }
+}
+
+// ------------------- handleBid -------------------
+async function handleBid(interaction) {
+  const auctionId = interaction.options.getString('auctionid').trim().toUpperCase();
+  const characterName = interaction.options.getString('charactername');
+  const amount = interaction.options.getInteger('amount');
+
+  await interaction.deferReply({ flags: [MessageFlags.Ephemeral] });
+
+  const character = await fetchOwnCharacter(characterName, interaction.user.id);
+  if (!character) {
+    return interaction.editReply({ embeds: [errorEmbed('Character Not Found', `You don't own a character named "${characterName}".`)] });
+  }
+  if (await enforceJail(interaction, character)) return;
+
+  const result = await placeBid(auctionId, character, amount);
+  if (result.error) {
+    return interaction.editReply({ embeds: [errorEmbed('Bid Not Placed', result.error)] });
+  }
+
+  await refreshAuctionMessage(interaction.client, result.auction);
+  const summary = result.boughtOut
+    ? `⚡ You bought out **${formatLot(result.auction)}** for **${result.auction.highBid.amount}** tokens. The items are in ${character.name}'s inventory.`
+    : `✅ You are the high bidder on **${formatLot(result.auction)}** at **${result.auction.highBid.amount}** tokens. The tokens are held until you are outbid or the auction ends.`;
+  return interaction.editReply({ content: summary, embeds: [createAuctionEmbed(result.auction)] });
+}
+
+// ------------------- handleView -------------------
+async function handleView(interaction) {
+  const auctionId = interaction.options.getString('auctionid');
+
+  await interaction.deferReply({ flags: [MessageFlags.Ephemeral] });
+
+  if (auctionId) {
+    const auction = await Auction.findOne({ auctionId: auctionId.trim().toUpperCase() });
+    if (!auction) {
+      return interaction.editReply({ embeds: [errorEmbed('Auction Not Found', `No auction with ID \`${auctionId}\` exists.`)] });
+    }
+    return interaction.editReply({ embeds: [createAuctionEmbed(auction)] });
+  }
+
+  const auctions = await Auction.find({ status: 'active', endsAt: { $gt: new Date() } })
+    .sort({ endsAt: 1 })
+    .limit(MAX_LISTED_AUCTIONS);
+  if (auctions.length === 0) {
+    return interaction.editReply({ content: 'There are no live auctions right now. Start one with `/auction create`.' });
+  }
+
+  const embed = new EmbedBuilder()
+    .setTitle('🏷️ Live Auctions')
+    .setDescription(auctions.map(auction =>
+      `\`${auction.auctionId}\` **${formatLot(auction)}** — ` +
+      (auction.highBid ? `high bid ${auction.highBid.amount}` : `min ${auction.minimumBid}`) +
+      (auction.buyoutPrice ? `, buyout ${auction.buyoutPrice}` : '') +
+      ` — ends ${formatTimestamp(auction.endsAt)}`
+    ).join('\n'))
+    .setColor(AUCTION_COLOR)
+    .setImage(BORDER_IMAGE_URL)
+    .setFooter({ text: 'Use /auction view auctionid:<id> for details' })
+    .setTimestamp();
+  return interaction.editReply({ embeds: [embed] });
+}
+
+// ------------------- handleCancel -------------------
+async function handleCancel(interaction) {
+  const auctionId = interaction.options.getString('auctionid').trim().toUpperCase();
+
+  await interaction.deferReply({ flags: [MessageFlags.Ephemeral] });
+
+  const result = await cancelAuction(auctionId, interaction.user.id);
+  if (result.error) {
+    return interaction.editReply({ embeds: [errorEmbed('Auction Not Cancelled', result.error)] });
+  }
+
+  await refreshAuctionMessage(interaction.client, result.auction);
+  return interaction.editReply({ content: `✅ Auction \`${auctionId}\` cancelled. ${formatLot(result.auction)} was returned to ${result.auction.seller.characterName}.` });
+}
+
+// ============================================================================
+// ------------------- Command Definition -------------------
+// ============================================================================
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('auction')
+    .setDescription('Sell rare items to the highest bidder')
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('create')
+        .setDescription('Put an item up for auction')
+        .addStringOption(option =>
+          option.setName('charactername').setDescription('The character selling the item').setRequired(true).setAutocomplete(true))
+        .addStringOption(option =>
+          option.setName('itemname').setDescription('The item to auction').setRequired(true).setAutocomplete(true))
+        .addIntegerOption(option =>
+          option.setName('quantity').setDescription('How many to auction as one lot').setRequired(true).setMinValue(1))
+        .addIntegerOption(option =>
+          option.setName('minimum_bid').setDescription('The lowest opening bid in tokens').setRequired(true).setMinValue(1))
+        .addIntegerOption(option =>
+          option.setName('buyout').setDescription('Tokens that win the auction immediately').setRequired(false).setMinValue(2))
+        .addIntegerOption(option =>
+          option.setName('duration')
+            .setDescription(`How long the auction runs in hours (default ${AUCTION_DEFAULT_DURATION_HOURS})`)
+            .setRequired(false)
+            .setMinValue(AUCTION_MIN_DURATION_HOURS)
+            .setMaxValue(AUCTION_MAX_DURATION_HOURS)))
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('bid')
+        .setDescription('Bid tokens on a live auction')
+        .addStringOption(option =>
+          option.setName('auctionid').setDescription('The auction to bid on').setRequired(true).setAutocomplete(true))
+        .addStringOption(option =>
+          option.setName('charactername').setDescription('The character who receives the item if you win').setRequired(true).setAutocomplete(true))
+        .addIntegerOption(option =>
+          option.setName('amount').setDescription('Your bid in tokens').setRequired(true).setMinValue(1)))
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('view')
+        .setDescription('View live auctions or one auction in detail')
+        .addStringOption(option =>
+          option.setName('auctionid').setDescription('The auction to view').setRequired(false).setAutocomplete(true)))
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('cancel')
+        .setDescription('Cancel one of your auctions before anyone bids')
+        .addStringOption(option =>
+          option.setName('auctionid').setDescription('The auction to cancel').setRequired(true).setAutocomplete(true))),
+
+  async execute(interaction) {
+    try {
+      const subcommand = interaction.options.getSubcommand();
+      if (subcommand === 'create') return await handleCreate(interaction);
+      if (subcommand === 'bid') return await handleBid(interaction);
+      if (subcommand === 'view') return await handleView(interaction);
+      if (subcommand === 'cancel') return await handleCancel(interaction);
+    } catch (error) {
+      handleInteractionError(error, interaction, { source: 'auction.js' });
+      const reply = { content: '❌ Something went wrong with the auction house. Please try again later.', flags: [MessageFlags.Ephemeral] };
+      if (interaction.deferred || interaction.replied) {
+        await interaction.editReply(reply).catch(() => {});
+      } else {
+        await interaction.reply(reply).catch(() => {});
+      }
+    }
+  },
+};
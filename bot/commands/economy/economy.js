@@ -29,8 +29,6 @@ const {
  removeItemInventoryDatabase,
  syncToInventoryDatabase,
  escapeRegExp,
- logItemAcquisitionToDatabase,
- logItemRemovalToDatabase,
 } = require('@/utils/inventoryUtils.js');
 // Google Sheets functionality removed
 const { checkInventorySync } = require('@/utils/characterUtils.js');
@@ -46,8 +44,15 @@ const {
  updateBoostRequestEmbed
 } = require("../../embeds/embeds.js");
 const { hasPerk } = require("../../modules/jobsModule");
-const TempData = require('@/models/TempDataModel');
-const { generateUniqueId } = require('@/utils/uniqueIdUtils');
+const Trade = require('@/models/TradeModel');
+const {
+ TRADE_EXPIRY_HOURS,
+ cancelTrade,
+ confirmTrade,
+ expireTrade,
+ proposeTrade,
+ setTradeOffer
+} = require("../../modules/tradeModule");
 const { applyPriestTokensBoost, applyFortuneTellerTokensBoost } = require("../../modules/boostingModule");
 const { applyTokenBoost, getCharacterBoostStatus } = require("../../modules/boostIntegration");
 const {
@@ -388,14 +393,14 @@ module.exports = {
      option
       .setName("item1")
       .setDescription("First item to trade")
-      .setRequired(true)
+      .setRequired(false)
       .setAutocomplete(true)
     )
     .addIntegerOption((option) =>
      option
       .setName("quantity1")
       .setDescription("Quantity of the first item")
-      .setRequired(true)
+      .setRequired(false)
     )
     .addStringOption((option) =>
      option
@@ -423,10 +428,17 @@ module.exports = {
       .setDescription("Quantity of the third item")
       .setRequired(false)
     )
+    .addIntegerOption((option) =>
+     option
+      .setName("tokens")
+      .setDescription("Tokens to include in your side of the trade")
+      .setRequired(false)
+      .setMinValue(0)
+    )
     .addStringOption((option) =>
      option
       .setName("tradeid")
-      .setDescription("Trade ID for completing a trade")
+      .setDescription("Trade ID to answer, counter-offer or confirm a trade")
       .setRequired(false)
     )
   )
@@ -2939,341 +2951,123 @@ for (const { baseName } of parsedItems) {
 // Handles parsing of interaction options, item validation, and character verification.
 // ============================================================================
 
-// ------------------- Trade Session Management -------------------
-// Handles creation, updates, and execution of trade sessions
-async function createTradeSession(initiator, target, items) {
-  logger.info('ECONOMY', `Creating trade session with items: ${items.map(item => `${item.name} x${item.quantity}`).join(', ')}`);
-  const tradeId = generateUniqueId('T');
-  const formattedInitiatorItems = await Promise.all(items.map(async item => {
-
-    const emoji = await getItemEmoji(item.name);
-    const formattedItem = {
-      name: item.name,
-      quantity: item.quantity,
-      emoji: emoji,
-    };
-    return formattedItem;
-  }));
-
-  const tradeData = {
-    initiator: {
-      userId: initiator.userId,
-      characterName: initiator.name,
-      items: formattedInitiatorItems,
-    },
-    target: {
-      userId: target.userId,
-      characterName: target.name,
-      items: [],
-    },
-    status: 'pending',
-    createdAt: new Date(),
-    initiatorConfirmed: false,
-    targetConfirmed: false,
-    messageId: null,
-    channelId: null,
-    confirmMessageId: null,
-    confirmChannelId: null,
-  };
-
-  const expiresAt = new Date(Date.now() + 24 * 60 * 60 * 1000); // 24 hours
-  await TempData.create({ key: tradeId, type: 'trade', data: tradeData, expiresAt });
-  return tradeId;
-}
-
-// ------------------- Trade Session Update -------------------
-async function updateTradeSession(tradeId, targetItems) {
-  const formattedTargetItems = await Promise.all(targetItems.map(async item => {
-    const emoji = await getItemEmoji(item.name);
+// ------------------- Trade Line Helpers -------------------
+// Converts validated option items into tradeModule lines (canonical names + elixir stack keys)
+async function buildTradeLines(items) {
+  return Promise.all(items.map(async (item) => {
+    const spec = parseEconomyItemSpecifier(item.name);
+    const baseName = spec.baseName;
+    const itemDetails = baseName.includes('+')
+      ? await ItemModel.findOne({ itemName: baseName }).lean()
+      : await ItemModel.findOne({ itemName: { $regex: new RegExp(`^${escapeRegExp(baseName)}$`, "i") } }).lean();
+    const itemName = itemDetails?.itemName || baseName;
     return {
-      name: item.name,
+      itemName,
       quantity: item.quantity,
-      emoji: emoji,
+      elixirLevel: spec.isElixir && spec.specifiedTier ? spec.elixirLevel : null,
+      modifierHearts: spec.isElixir && spec.specifiedTier ? spec.modifierHearts : null,
+      emoji: await getItemEmoji(itemName),
     };
   }));
-
-  await TempData.findOneAndUpdate(
-    { key: tradeId, type: 'trade' },
-    { $set: { 'data.target.items': formattedTargetItems } },
-  );
-  return (await TempData.findByTypeAndKey('trade', tradeId)).data;
-}
-
-// ------------------- Trade Confirmation -------------------
-async function confirmTrade(tradeId, userId) {
-  const trade = await TempData.findByTypeAndKey('trade', tradeId);
-  if (!trade) {
-    throw new Error('Trade not found');
-  }
-
-  const tradeData = trade.data;
-  if (tradeData.initiator.userId === userId) {
-    tradeData.initiatorConfirmed = true;
-  } else if (tradeData.target.userId === userId) {
-    tradeData.targetConfirmed = true;
-  }
-
-  trade.data = tradeData;
-  trade.markModified('data');
-  await trade.save();
-  return tradeData;
-}
-
-// ------------------- Trade Execution -------------------
-async function executeTrade(tradeData) {
-  const { initiator, target } = tradeData;
-  const initiatorChar = await fetchCharacterByNameAndUserId(initiator.characterName, initiator.userId);
-  const targetChar = await fetchCharacterByNameAndUserId(target.characterName, target.userId);
-
-  if (!initiatorChar || !targetChar) {
-    throw new Error('Character not found for trade execution');
-  }
-
-  // Check if either character is in jail
-  if (initiatorChar.inJail || targetChar.inJail) {
-    throw new Error('Cannot execute trade: One or more characters are currently in jail');
-  }
-
-  const uniqueSyncId = uuidv4();
-
-  // Process items for both parties sequentially to avoid partial state on failure
-  await processTradeItems(initiatorChar, targetChar, initiator.items, uniqueSyncId);
-  await processTradeItems(targetChar, initiatorChar, target.items, uniqueSyncId);
-
-  return true;
 }
 
-// ------------------- Trade Item Processing -------------------
-async function processTradeItems(fromChar, toChar, items, uniqueSyncId) {
-  for (const item of items) {
-    const spec = parseEconomyItemSpecifier(item.name);
-    const baseName = spec.baseName;
-    // Handle items with + in their names by using exact match instead of regex
-    let itemDetails;
-    if (baseName.includes('+')) {
-      itemDetails = await ItemModel.findOne({
-        itemName: baseName
-      }).exec();
-    } else {
-      itemDetails = await ItemModel.findOne({
-        itemName: { $regex: new RegExp(`^${escapeRegExp(baseName)}$`, "i") }
-      }).exec();
-    }
-
-    const category = itemDetails?.category.join(", ") || "";
-    const type = itemDetails?.type.join(", ") || "";
-    const subtype = itemDetails?.subtype.join(", ") || "";
-    const canonicalName = itemDetails?.itemName || baseName;
-
-    if (isElixirItemName(canonicalName)) {
-      const fromInvCol = await getCharacterInventoryCollectionWithModSupport(fromChar);
-      const fromInvEntries = canonicalName.includes('+')
-        ? await fromInvCol.find({ itemName: canonicalName }).toArray()
-        : await fromInvCol
-            .find({ itemName: { $regex: new RegExp(`^${escapeRegExp(canonicalName)}$`, "i") } })
-            .toArray();
-      const moves = computeElixirStackMovesFromInventoryEntries(fromInvEntries, item.quantity, {
-        elixirLevel: spec.specifiedTier ? spec.elixirLevel : null,
-        modifierHearts: spec.specifiedTier ? spec.modifierHearts : null,
-      });
-
-      let movedTotal = 0;
-      for (const mv of moves) {
-        const opts = { elixirLevel: mv.elixirLevel, modifierHearts: mv.modifierHearts };
-        const addData = {
-          characterId: toChar._id,
-          itemName: canonicalName,
-          quantity: mv.quantity,
-          category,
-          type,
-          subtype,
-          obtain: `Trade from ${fromChar.name}`,
-          date: new Date(),
-          synced: uniqueSyncId,
-          characterName: toChar.name,
-          ...opts,
-        };
-        await syncToInventoryDatabase(toChar, addData);
-
-        try {
-          await logItemAcquisitionToDatabase(
-            toChar,
-            itemDetails || { itemName: canonicalName },
-            {
-              itemName: formatEconomyElixirStackLabel(canonicalName, mv.elixirLevel, mv.modifierHearts),
-              quantity: mv.quantity,
-              obtain: 'Trade',
-              location: toChar.currentVillage || toChar.homeVillage || 'Unknown',
-              link: '',
-            }
-          );
-        } catch (logError) {
-          console.error(`[economy.js] ⚠️ Failed to log item acquisition to InventoryLog:`, logError.message);
-        }
-
-        const removeData = {
-          characterId: fromChar._id,
-          itemName: canonicalName,
-          quantity: -mv.quantity,
-          category,
-          type,
-          subtype,
-          obtain: `Trade to ${toChar.name}`,
-          date: new Date(),
-          synced: uniqueSyncId,
-          characterName: fromChar.name,
-          ...opts,
-        };
-        try {
-          await syncToInventoryDatabase(fromChar, removeData);
-        } catch (removeError) {
-          const rollbackData = {
-            characterId: toChar._id,
-            itemName: canonicalName,
-            quantity: -mv.quantity,
-            category,
-            type,
-            subtype,
-            obtain: 'Rollback: trade remove failed',
-            date: new Date(),
-            synced: uniqueSyncId,
-            characterName: toChar.name,
-            ...opts,
-          };
-          try {
-            await syncToInventoryDatabase(toChar, rollbackData);
-            logger.warn('ECONOMY', `Trade remove failed for ${canonicalName}, rolled back add to ${toChar.name}`);
-          } catch (rollbackErr) {
-            logger.error('ECONOMY', `Trade remove failed and rollback failed for ${canonicalName}: ${rollbackErr.message}`);
-          }
-          throw removeError;
-        }
-
-        try {
-          await logItemRemovalToDatabase(
-            fromChar,
-            itemDetails || { itemName: canonicalName },
-            {
-              itemName: formatEconomyElixirStackLabel(canonicalName, mv.elixirLevel, mv.modifierHearts),
-              quantity: mv.quantity,
-              obtain: 'Traded',
-              location: fromChar.currentVillage || fromChar.homeVillage || 'Unknown',
-              link: '',
-            }
-          );
-        } catch (logError) {
-          console.error(`[economy.js] ⚠️ Failed to log item removal to InventoryLog:`, logError.message);
-        }
-
-        movedTotal += mv.quantity;
-      }
-      if (movedTotal !== item.quantity) {
-        throw new Error(`Insufficient elixir quantity to trade for ${canonicalName}`);
-      }
-      continue;
-    }
-
-    // Non-elixir: original behavior
-    const addData = {
-      characterId: toChar._id,
-      itemName: canonicalName,
-      quantity: item.quantity,
-      category,
-      type,
-      subtype,
-      obtain: `Trade from ${fromChar.name}`,
-      date: new Date(),
-      synced: uniqueSyncId,
-      characterName: toChar.name
-    };
-    await syncToInventoryDatabase(toChar, addData);
-
-    try {
-      await logItemAcquisitionToDatabase(toChar, itemDetails || { itemName: canonicalName }, {
-        quantity: item.quantity,
-        obtain: 'Trade',
-        location: toChar.currentVillage || toChar.homeVillage || 'Unknown',
-        link: '' // No interaction link available in trade execution
-      });
-    } catch (logError) {
-      console.error(`[economy.js] ⚠️ Failed to log item acquisition to InventoryLog:`, logError.message);
-    }
-
-    const removeData = {
-      characterId: fromChar._id,
-      itemName: canonicalName,
-      quantity: -item.quantity,
-      category,
-      type,
-      subtype,
-      obtain: `Trade to ${toChar.name}`,
-      date: new Date(),
-      synced: uniqueSyncId,
-      characterName: fromChar.name
-    };
-    try {
-      await syncToInventoryDatabase(fromChar, removeData);
-    } catch (removeError) {
-      const rollbackData = {
-        characterId: toChar._id,
-        itemName: canonicalName,
-        quantity: -item.quantity,
-        category,
-        type,
-        subtype,
-        obtain: 'Rollback: trade remove failed',
-        date: new Date(),
-        synced: uniqueSyncId,
-        characterName: toChar.name
-      };
-      try {
-        await syncToInventoryDatabase(toChar, rollbackData);
-        logger.warn('ECONOMY', `Trade remove failed for ${canonicalName}, rolled back add to ${toChar.name}`);
-      } catch (rollbackErr) {
-        logger.error('ECONOMY', `Trade remove failed and rollback failed for ${canonicalName}: ${rollbackErr.message}`);
-      }
-      throw removeError;
-    }
-
-    try {
-      await logItemRemovalToDatabase(fromChar, itemDetails || { itemName: canonicalName }, {
-        quantity: item.quantity,
-        obtain: 'Traded',
-        location: fromChar.currentVillage || fromChar.homeVillage || 'Unknown',
-        link: '' // No interaction link available in trade execution
-      });
-    } catch (logError) {
-      console.error(`[economy.js] ⚠️ Failed to log item removal to InventoryLog:`, logError.message);
-    }
+// ------------------- Format Trade Side -------------------
+// Item list shown in the trade embed for one party, with tokens as their own line
+function formatTradeSide(party) {
+  const lines = (party?.items || []).map(line => ({
+    name: line.elixirLevel != null
+      ? formatEconomyElixirStackLabel(line.itemName, line.elixirLevel, line.modifierHearts)
+      : line.itemName,
+    quantity: line.quantity,
+    emoji: line.emoji,
+  }));
+  if (party?.tokens > 0) {
+    lines.push({ name: 'Tokens', quantity: party.tokens, emoji: '🪙' });
   }
+  return lines;
 }
 
 // ------------------- Trade Message Management -------------------
-async function updateTradeMessage(message, tradeData, fromCharacter, toCharacter) {
+async function updateTradeMessage(message, trade, fromCharacter, toCharacter) {
   const tradeEmbed = await createTradeEmbed(
     fromCharacter,
     toCharacter,
-    tradeData.initiator.items,
-    tradeData.target.items,
+    formatTradeSide(trade.initiator),
+    formatTradeSide(trade.target),
     message.url
   );
   tradeEmbed.setColor("#FFD700");
 
-  if (tradeData.initiatorConfirmed && tradeData.targetConfirmed) {
+  if (trade.status === 'completed') {
     tradeEmbed.setDescription(`✅ Trade completed successfully!`);
     await message.edit({ content: null, embeds: [tradeEmbed], components: [] });
+  } else if (trade.status === 'cancelled' || trade.status === 'expired') {
+    tradeEmbed.setColor("#FF0000");
+    tradeEmbed.setDescription(`❌ Trade ${trade.status}. All offered items and tokens were returned.`);
+    await message.edit({ content: null, embeds: [tradeEmbed], components: [] });
   } else {
+    const waitingOn = !trade.initiator.confirmed ? trade.initiator : trade.target;
     const statusDescription = 
       `🔃 Trade Status:\n` +
-      `${tradeData.initiatorConfirmed ? '✅' : '⏳'} ${tradeData.initiator.characterName} confirmed\n` +
-      `${tradeData.targetConfirmed ? '✅' : '⏳'} ${tradeData.target.characterName} confirmed\n\n` +
-      `<@${tradeData.initiator.userId}>, please react with ✅ to confirm the trade!`;
+      `${trade.initiator.confirmed ? '✅' : '⏳'} ${trade.initiator.characterName} confirmed\n` +
+      `${trade.target.confirmed ? '✅' : '⏳'} ${trade.target.characterName} confirmed\n\n` +
+      `🔒 Offered items and tokens are held in escrow until the trade completes or is cancelled.\n` +
+      `<@${waitingOn.userId}>, please react with ✅ to confirm the trade, or ❌ to cancel it!`;
 
     tradeEmbed.setDescription(statusDescription);
     await message.edit({ embeds: [tradeEmbed] });
   }
 }
 
+// ------------------- Trade Characters -------------------
+// Both parties' current character documents (regular or mod) for embeds and jail checks
+async function fetchTradeCharacters(trade) {
+  const fetchParty = async (party) => party.isModCharacter
+    ? fetchModCharacterByNameAndUserId(party.characterName, party.userId)
+    : fetchCharacterByNameAndUserId(party.characterName, party.userId);
+  const [initiatorChar, targetChar] = await Promise.all([fetchParty(trade.initiator), fetchParty(trade.target)]);
+  return { initiatorChar, targetChar };
+}
+
+// ------------------- Refresh Trade Messages -------------------
+// Edits the trade post and removes the confirm prompt once the trade has closed
+async function refreshTradeMessages(client, trade, fromCharacter, toCharacter) {
+  if (trade.status !== 'open' && trade.confirmMessageId && trade.confirmChannelId) {
+    try {
+      const channel = await client.channels.fetch(trade.confirmChannelId);
+      const confirmMsg = await channel.messages.fetch(trade.confirmMessageId);
+      await confirmMsg.delete();
+    } catch (error) {
+      logger.error('ECONOMY', 'Error deleting trade confirm message');
+    }
+  }
+
+  if (trade.messageId && trade.channelId) {
+    try {
+      const channel = await client.channels.fetch(trade.channelId);
+      const message = await channel.messages.fetch(trade.messageId);
+      await updateTradeMessage(message, trade, fromCharacter, toCharacter);
+    } catch (error) {
+      logger.error('ECONOMY', 'Error updating trade message');
+    }
+  }
+}
+
+// ------------------- Trade Error Embed -------------------
+function buildTradeErrorEmbed(title, description, footer = 'Trade Validation') {
+  return {
+    color: 0xFF0000, // Red color
+    title,
+    description,
+    image: {
+      url: 'https://storage.googleapis.com/tinglebot/Graphics/border.png'
+    },
+    footer: {
+      text: footer
+    }
+  };
+}
+
 // ------------------- Trade Validation -------------------
 async function validateTradeItems(character, items) {
   const characterInventoryCollection = await getCharacterInventoryCollectionWithModSupport(character);
@@ -3341,6 +3135,7 @@ async function handleTrade(interaction) {
   const quantity3 = interaction.options.getInteger("quantity3") || 0;
   const tradingWithName = interaction.options.getString("tocharacter");
   const tradeId = interaction.options.getString("tradeid");
+  const tokens = interaction.options.getInteger("tokens") || 0;
   const userId = interaction.user.id;
 
   try {
@@ -3390,13 +3185,15 @@ async function handleTrade(interaction) {
     }
 
     // ------------------- Validate Trade Quantities -------------------
-    for (const { quantity } of cleanedItemArrayRaw) {
+    const quantitiesToCheck = cleanedItemArrayRaw.map(item => item.quantity);
+    if (tokens) quantitiesToCheck.push(tokens);
+    for (const quantity of quantitiesToCheck) {
       if (quantity <= 0) {
         await interaction.editReply({
           embeds: [{
             color: 0xFF0000, // Red color
             title: '❌ Invalid Quantity',
-            description: 'You must trade a **positive quantity** of items. Negative numbers are not allowed.',
+            description: 'You must trade a **positive quantity** of items and tokens. Negative numbers are not allowed.',
             image: {
               url: 'https://storage.googleapis.com/tinglebot/Graphics/border.png'
             },
@@ -3535,347 +3332,209 @@ async function handleTrade(interaction) {
     await checkInventorySync(fromCharacter);
     await checkInventorySync(toCharacter);
 
-    if (tradeId) {
-      // ------------------- Handle Trade Completion -------------------
-      try {
-        const trade = await TempData.findByTypeAndKey('trade', tradeId);
-        if (!trade) {
-          logger.error('ECONOMY', `Trade ${tradeId} not found`);
-          await interaction.editReply({
-            embeds: [{
-              color: 0xFF0000, // Red color
-              title: '❌ Invalid Trade',
-              description: 'Invalid or expired trade ID.',
-              image: {
-                url: 'https://storage.googleapis.com/tinglebot/Graphics/border.png'
-              },
-              footer: {
-                text: 'Trade Validation'
-              }
-            }],
-            ephemeral: false,
-          });
-          return;
-        }
+    const lines = itemArray.length > 0 ? await buildTradeLines(itemArray) : [];
+    const hasOffer = lines.length > 0 || tokens > 0;
 
-        // Check if trade has expired
-        if (new Date() > trade.expiresAt) {
+    // ------------------- Pre-check Offer -------------------
+    // Escrow is the authoritative check; this only gives a friendlier error first
+    if (hasOffer) {
+      await validateTradeItems(fromCharacter, itemArray);
+      if (tokens > 0) {
+        const user = await User.findOne({ discordId: userId }).select('tokens').lean();
+        if ((user?.tokens || 0) < tokens) {
           await interaction.editReply({
-            embeds: [{
-              color: 0xFF0000, // Red color
-              title: '❌ Trade Expired',
-              description: 'This trade has expired. Please initiate a new trade.',
-              image: {
-                url: 'https://storage.googleapis.com/tinglebot/Graphics/border.png'
-              },
-              footer: {
-                text: 'Trade Timeout'
-              }
-            }],
+            embeds: [buildTradeErrorEmbed('❌ Insufficient Tokens', `You only have **${user?.tokens || 0}** tokens and cannot offer **${tokens}**.`, 'Token Validation')],
             ephemeral: false,
           });
-          await TempData.deleteOne({ _id: trade._id });
           return;
         }
+      }
+    }
 
-        const tradeData = trade.data;
-        logger.info('ECONOMY', `Processing trade ${tradeId} for user ${userId}`);
+    if (tradeId) {
+      // ------------------- Handle Trade Answer / Counter-offer / Confirmation -------------------
+      const trade = await Trade.findOne({ tradeId });
+      if (!trade || trade.status !== 'open') {
+        logger.error('ECONOMY', `Trade ${tradeId} not found or no longer open`);
+        await interaction.editReply({
+          embeds: [buildTradeErrorEmbed('❌ Invalid Trade', 'Invalid or expired trade ID.')],
+          ephemeral: false,
+        });
+        return;
+      }
 
-        // Verify user is part of the trade
-        if (tradeData.initiator.userId !== userId && tradeData.target.userId !== userId) {
-          logger.error('SECURITY', `User ${userId} not part of trade ${tradeId}`);
-          await interaction.editReply({
-            embeds: [{
-              color: 0xFF0000, // Red color
-              title: '❌ Not Part of Trade',
-              description: 'You are not part of this trade.',
-              image: {
-                url: 'https://storage.googleapis.com/tinglebot/Graphics/border.png'
-              },
-              footer: {
-                text: 'Trade Validation'
-              }
-            }],
-            ephemeral: false,
-          });
-          return;
+      // Check if trade has expired (escrow goes back to both parties)
+      if (trade.isExpired()) {
+        const expired = await expireTrade(trade);
+        if (expired) {
+          await refreshTradeMessages(interaction.client, expired, fromCharacter, toCharacter);
         }
+        await interaction.editReply({
+          embeds: [buildTradeErrorEmbed('❌ Trade Expired', 'This trade has expired and all offered items were returned. Please initiate a new trade.', 'Trade Timeout')],
+          ephemeral: false,
+        });
+        return;
+      }
 
-        // Check if character is in jail before allowing trade completion
-        let currentCharacter;
-        if (tradeData.initiator.userId === userId) {
-          currentCharacter = await fetchCharacterByNameAndUserId(tradeData.initiator.characterName, userId);
-        } else {
-          currentCharacter = await fetchCharacterByNameAndUserId(tradeData.target.characterName, userId);
-        }
-        
-        if (currentCharacter && await enforceJail(interaction, currentCharacter)) {
-          return;
-        }
+      logger.info('ECONOMY', `Processing trade ${tradeId} for user ${userId}`);
 
-        // NEW: Verify character name matches the user's character in the trade
-        if (
-          (tradeData.initiator.userId === userId && tradeData.initiator.characterName !== characterName) ||
-          (tradeData.target.userId === userId && tradeData.target.characterName !== characterName)
-        ) {
-          logger.error('SECURITY', `Character name mismatch for user ${userId} in trade ${tradeId}`);
-          await interaction.editReply({
-            embeds: [{
-              color: 0xFF0000, // Red color
-              title: '❌ Character Mismatch',
-              description: 'The character you provided does not match your character in this trade.',
-              image: {
-                url: 'https://storage.googleapis.com/tinglebot/Graphics/border.png'
-              },
-              footer: {
-                text: 'Character Validation'
-              }
-            }],
-            ephemeral: false,
-          });
-          return;
-        }
+      // Verify user is part of the trade
+      const side = trade.getSide(userId);
+      if (!side) {
+        logger.error('SECURITY', `User ${userId} not part of trade ${tradeId}`);
+        await interaction.editReply({
+          embeds: [buildTradeErrorEmbed('❌ Not Part of Trade', 'You are not part of this trade.')],
+          ephemeral: false,
+        });
+        return;
+      }
 
-        // Check if user has already confirmed
-        if ((tradeData.initiator.userId === userId && tradeData.initiatorConfirmed) || 
-            (tradeData.target.userId === userId && tradeData.targetConfirmed)) {
-          logger.error('ECONOMY', `User ${userId} already confirmed trade ${tradeId}`);
-          await interaction.editReply({
-            embeds: [{
-              color: 0xFF0000, // Red color
-              title: '❌ Already Confirmed',
-              description: 'You have already confirmed this trade.',
-              image: {
-                url: 'https://storage.googleapis.com/tinglebot/Graphics/border.png'
-              },
-              footer: {
-                text: 'Trade Status'
-              }
-            }],
-            ephemeral: false,
-          });
-          return;
-        }
+      // Verify character name matches the user's character in the trade
+      if (trade[side].characterName !== fromCharacter.name) {
+        logger.error('SECURITY', `Character name mismatch for user ${userId} in trade ${tradeId}`);
+        await interaction.editReply({
+          embeds: [buildTradeErrorEmbed('❌ Character Mismatch', 'The character you provided does not match your character in this trade.', 'Character Validation')],
+          ephemeral: false,
+        });
+        return;
+      }
 
-        // Update trade with target's items if target is confirming
-        if (tradeData.target.userId === userId) {
-          await updateTradeSession(tradeId, itemArray);
-        }
+      if (!hasOffer && trade[side].confirmed) {
+        logger.error('ECONOMY', `User ${userId} already confirmed trade ${tradeId}`);
+        await interaction.editReply({
+          embeds: [buildTradeErrorEmbed('❌ Already Confirmed', 'You have already confirmed this trade. Add items or tokens to make a counter-offer instead.', 'Trade Status')],
+          ephemeral: false,
+        });
+        return;
+      }
 
-        // Confirm trade for this user
-        const updatedTradeData = await confirmTrade(tradeId, userId);
-        logger.success('ECONOMY', `Trade confirmed by user ${userId}`);
-
-        // If both users have confirmed, execute the trade
-        if (updatedTradeData.initiatorConfirmed && updatedTradeData.targetConfirmed) {
-          logger.info('ECONOMY', `Executing trade ${tradeId}`);
-          
-          // Check if either character is in jail before executing trade
-          const initiatorChar = await fetchCharacterByNameAndUserId(updatedTradeData.initiator.characterName, updatedTradeData.initiator.userId);
-          const targetChar = await fetchCharacterByNameAndUserId(updatedTradeData.target.characterName, updatedTradeData.target.userId);
-          
-          if (initiatorChar && await enforceJail(interaction, initiatorChar)) {
-            return;
-          }
-          if (targetChar && await enforceJail(interaction, targetChar)) {
-            return;
-          }
-          
-          // Execute trade
-          await executeTrade(updatedTradeData);
-          
-          // Clean up confirmation message if it exists
-          if (updatedTradeData.confirmMessageId && updatedTradeData.confirmChannelId) {
-            try {
-              const channel = await interaction.client.channels.fetch(updatedTradeData.confirmChannelId);
-              const confirmMsg = await channel.messages.fetch(updatedTradeData.confirmMessageId);
-              await confirmMsg.delete();
-            } catch (error) {
-              logger.error('ECONOMY', 'Error deleting trade confirm message');
-            }
-          }
+      // Both parties must be out of jail for anything to move
+      const { initiatorChar, targetChar } = await fetchTradeCharacters(trade);
+      if (initiatorChar && await enforceJail(interaction, initiatorChar)) {
+        return;
+      }
+      if (targetChar && await enforceJail(interaction, targetChar)) {
+        return;
+      }
 
-          await TempData.deleteOne({ _id: trade._id });
-          
-          // Update original trade message
-          if (updatedTradeData.messageId && updatedTradeData.channelId) {
-            try {
-              const channel = await interaction.client.channels.fetch(updatedTradeData.channelId);
-              const message = await channel.messages.fetch(updatedTradeData.messageId);
-              await updateTradeMessage(message, updatedTradeData, fromCharacter, toCharacter);
-            } catch (error) {
-              logger.error('ECONOMY', 'Error updating final trade message');
-            }
-          }
-          
-          await interaction.editReply({
-            content: `✅ Trade completed successfully.`,
-            ephemeral: false,
-          });
-        } else {
-          // Only send confirmation message if one doesn't already exist
-          if (!updatedTradeData.confirmMessageId) {
-            const tradeConfirmMessage = await interaction.channel.send({
-              content: `**Trade confirmed!** <@${updatedTradeData.initiator.userId}>, please react to the trade post with ✅ to finalize the trade.\n\nTrade ID: \`${tradeId}\`\nYou can also use the </economy trade:1372378304623149152> command with this ID to complete the trade.`
-            });
-            
-            // Update trade data with confirmation message
-            await TempData.findOneAndUpdate(
-              { key: tradeId, type: 'trade' },
-              { 
-                $set: { 
-                  'data.confirmMessageId': tradeConfirmMessage.id,
-                  'data.confirmChannelId': interaction.channelId 
-                } 
-              }
-            );
-          }
+      // Offering items/tokens replaces this side's offer (answer or counter-offer);
+      // an empty call just confirms the current offer
+      const result = hasOffer
+        ? await setTradeOffer(tradeId, userId, lines, tokens)
+        : await confirmTrade(tradeId, userId, trade.version);
 
-          // Update trade status message
-          if (updatedTradeData.messageId && updatedTradeData.channelId) {
-            try {
-              const channel = await interaction.client.channels.fetch(updatedTradeData.channelId);
-              const message = await channel.messages.fetch(updatedTradeData.messageId);
-              await updateTradeMessage(message, updatedTradeData, fromCharacter, toCharacter);
-            } catch (error) {
-              logger.error('ECONOMY', 'Error updating trade status message');
-            }
-          }
-          
-          await interaction.deleteReply();
-        }
-      } catch (error) {
-        logger.error('ECONOMY', 'Error handling trade completion');
+      if (result.error) {
+        await interaction.editReply({
+          embeds: [buildTradeErrorEmbed('❌ Trade Not Updated', result.error)],
+          ephemeral: false,
+        });
+        return;
+      }
+
+      const updatedTrade = result.trade;
+      const tradeFrom = initiatorChar || fromCharacter;
+      const tradeTo = targetChar || toCharacter;
+
+      if (result.completed) {
+        logger.success('ECONOMY', `Trade ${tradeId} completed`);
+        await refreshTradeMessages(interaction.client, updatedTrade, tradeFrom, tradeTo);
         await interaction.editReply({
-          content: `❌ An error occurred while processing the trade.`,
+          content: `✅ Trade completed successfully.`,
           ephemeral: false,
         });
+        return;
       }
+
+      logger.success('ECONOMY', `Trade ${tradeId} ${hasOffer ? 'offer updated' : 'confirmed'} by user ${userId}`);
+      const waitingOn = !updatedTrade.initiator.confirmed ? updatedTrade.initiator : updatedTrade.target;
+
+      // Only send confirmation message if one doesn't already exist
+      if (!updatedTrade.confirmMessageId) {
+        const tradeConfirmMessage = await interaction.channel.send({
+          content: `**Trade ${hasOffer ? 'offer received' : 'confirmed'}!** <@${waitingOn.userId}>, please react to the trade post with ✅ to finalize the trade (or ❌ to cancel).\n\nTrade ID: \`${tradeId}\`\nYou can also use the </economy trade:1372378304623149152> command with this ID to confirm, or add items/tokens to make a counter-offer.`
+        });
+        await Trade.updateOne(
+          { tradeId },
+          { $set: { confirmMessageId: tradeConfirmMessage.id, confirmChannelId: interaction.channelId } }
+        );
+      }
+
+      await refreshTradeMessages(interaction.client, updatedTrade, tradeFrom, tradeTo);
+      await interaction.deleteReply();
     } else {
       // ------------------- Handle Trade Initiation -------------------
       try {
-        // Check if character is in jail before allowing trade initiation
-        if (await enforceJail(interaction, fromCharacter)) {
+        if (!hasOffer) {
+          await interaction.editReply({
+            embeds: [buildTradeErrorEmbed('❌ Empty Offer', 'Offer at least one item or some tokens to start a trade.')],
+            ephemeral: false,
+          });
           return;
         }
 
-        // Validate items and quantities
-        await validateTradeItems(fromCharacter, itemArray);
-
-        // Create trade session
-        const tradeId = await createTradeSession(fromCharacter, toCharacter, itemArray);
-
-        // Get formatted items with emojis
-        const formattedItems = await Promise.all(itemArray.map(async item => {
-          const emoji = await getItemEmoji(item.name);
-          return {
-            name: item.name,
-            quantity: item.quantity,
-            emoji: emoji,
-          };
-        }));
+        // Create trade and escrow the initiator's offer
+        const proposal = await proposeTrade(fromCharacter, toCharacter, lines, tokens);
+        if (proposal.error) {
+          await interaction.editReply({
+            embeds: [buildTradeErrorEmbed('❌ Trade Not Started', proposal.error)],
+            ephemeral: false,
+          });
+          return;
+        }
+        const newTradeId = proposal.trade.tradeId;
 
         // Create and send initial trade message
         const tradeEmbed = await createTradeEmbed(
           fromCharacter,
           toCharacter,
-          formattedItems,
+          formatTradeSide(proposal.trade.initiator),
           [],
           interaction.url
         );
         tradeEmbed.setColor("#FFD700");
 
         const tradeMessage = await interaction.editReply({
-          content: `🔃 <@${toCharacter.userId}>, use the </economy trade:1372378304623149152> command with this trade ID to complete your part of the trade:\n\n\`\`\`${tradeId}\`\`\``,
+          content: `🔃 <@${toCharacter.userId}>, use the </economy trade:1372378304623149152> command with this trade ID to offer your side of the trade:\n\n\`\`\`${newTradeId}\`\`\`\n🔒 ${fromCharacter.name}'s offer is held in escrow. React with ❌ to cancel.`,
           embeds: [tradeEmbed],
         });
 
-        // Update trade session with message info
-        await TempData.findOneAndUpdate(
-          { key: tradeId, type: 'trade' },
-          { $set: { 'data.messageId': tradeMessage.id, 'data.channelId': interaction.channelId } }
+        // Update trade with message info
+        await Trade.updateOne(
+          { tradeId: newTradeId },
+          { $set: { messageId: tradeMessage.id, channelId: interaction.channelId } }
         );
 
-        // Set up reaction collector
+        // Set up reaction collector (✅ confirms, ❌ cancels and returns escrow)
         try {
           await tradeMessage.react('✅');
-          
-          // Get initial trade data
-          const initialTrade = await TempData.findByTypeAndKey('trade', tradeId);
-          if (!initialTrade) {
-            logger.error('ECONOMY', `Trade ${tradeId} not found during reaction setup`);
-            return;
-          }
-          
+          await tradeMessage.react('❌');
+
           const filter = (reaction, user) => {
-            return reaction.emoji.name === '✅' &&
+            return ['✅', '❌'].includes(reaction.emoji.name) &&
               [fromCharacter.userId, toCharacter.userId].includes(user.id);
           };
 
-          const collector = tradeMessage.createReactionCollector({ filter, time: 24 * 60 * 60 * 1000 }); // 24 hours
+          const collector = tradeMessage.createReactionCollector({ filter, time: TRADE_EXPIRY_HOURS * 60 * 60 * 1000 });
           collector.on('collect', async (reaction, user) => {
             try {
-              const latestTrade = await TempData.findByTypeAndKey('trade', tradeId);
-              if (!latestTrade) {
-                logger.error('ECONOMY', `Trade ${tradeId} not found during reaction`);
+              const result = reaction.emoji.name === '❌'
+                ? await cancelTrade(newTradeId, user.id)
+                : await confirmTrade(newTradeId, user.id);
+
+              if (result.error) {
+                logger.warn('ECONOMY', `Trade ${newTradeId} reaction from ${user.id}: ${result.error}`);
                 return;
               }
-
-              const tradeData = latestTrade.data;
-              
-              // Check if user has already confirmed
-              if ((fromCharacter.userId === user.id && tradeData.initiatorConfirmed) || 
-                  (toCharacter.userId === user.id && tradeData.targetConfirmed)) {
-                logger.warn('ECONOMY', `User ${user.id} already confirmed trade ${tradeId}`);
+              if (result.alreadyConfirmed) {
+                logger.warn('ECONOMY', `User ${user.id} already confirmed trade ${newTradeId}`);
                 return;
               }
 
-              const updatedTradeData = await confirmTrade(tradeId, user.id);
-              logger.success('ECONOMY', `${user.tag} confirmed trade ${tradeId}`);
-
-              // Update trade message
-              await updateTradeMessage(tradeMessage, updatedTradeData, fromCharacter, toCharacter);
-
-              // If both confirmed, complete trade
-              if (updatedTradeData.initiatorConfirmed && updatedTradeData.targetConfirmed) {
-                collector.stop('both_confirmed');
-                
-                // Check if either character is in jail before executing trade
-                const initiatorChar = await fetchCharacterByNameAndUserId(updatedTradeData.initiator.characterName, updatedTradeData.initiator.userId);
-                const targetChar = await fetchCharacterByNameAndUserId(updatedTradeData.target.characterName, updatedTradeData.target.userId);
-                
-                if (initiatorChar && await enforceJail(interaction, initiatorChar)) {
-                  return;
-                }
-                if (targetChar && await enforceJail(interaction, targetChar)) {
-                  return;
-                }
-                
-                await executeTrade(updatedTradeData);
-                await TempData.deleteOne({ _id: latestTrade._id });
-                
-                const finalEmbed = await createTradeEmbed(
-                  fromCharacter,
-                  toCharacter,
-                  updatedTradeData.initiator.items,
-                  updatedTradeData.target.items,
-                  tradeMessage.url
-                );
-                finalEmbed.setColor("#FFD700");
-                finalEmbed.setDescription(`✅ Trade completed successfully!`);
-                await tradeMessage.edit({ content: null, embeds: [finalEmbed], components: [] });
-
-                // Clean up confirmation message if it exists
-                if (updatedTradeData.confirmMessageId && updatedTradeData.confirmChannelId) {
-                  try {
-                    const channel = await interaction.client.channels.fetch(updatedTradeData.confirmChannelId);
-                    const confirmMsg = await channel.messages.fetch(updatedTradeData.confirmMessageId);
-                    await confirmMsg.delete();
-                  } catch (error) {
-                    logger.error('ECONOMY', 'Error deleting trade confirm message');
-                  }
-                }
+              logger.success('ECONOMY', `${user.tag} ${reaction.emoji.name === '❌' ? 'cancelled' : 'confirmed'} trade ${newTradeId}`);
+              if (result.trade.status !== 'open') {
+                collector.stop(result.trade.status);
               }
+              await refreshTradeMessages(interaction.client, result.trade, fromCharacter, toCharacter);
             } catch (error) {
               logger.error('ECONOMY', 'Error processing reaction');
             }
@@ -3884,38 +3543,29 @@ async function handleTrade(interaction) {
           logger.error('ECONOMY', `Error setting up reaction collector: ${err.message}`);
         }
       } catch (error) {
-        // Only log a simple message for insufficient items
-        if (error.embed) {
-          logger.warn('ECONOMY', `Trade validation failed for ${characterName}`);
-        } else {
-          logger.error('ECONOMY', 'Error initiating trade');
-        }
-        
-        // If error has an embed, use it, otherwise create a generic error embed
-        if (error.embed) {
-          await interaction.editReply({ embeds: [error.embed] });
-        } else {
-          await interaction.editReply({
-            content: `**HEY! <@${interaction.user.id}>!** 🚨\n\nWhatever you're doing is causing an error! Please stop using the command and submit a bug report!\n\n**Error:** ${error.message || 'Unknown error occurred'}`,
-            ephemeral: false
-          });
-        }
+        logger.error('ECONOMY', 'Error initiating trade');
+        await interaction.editReply({
+          content: `**HEY! <@${interaction.user.id}>!** 🚨\n\nWhatever you're doing is causing an error! Please stop using the command and submit a bug report!\n\n**Error:** ${error.message || 'Unknown error occurred'}`,
+          ephemeral: false
+        });
         return;
       }
     }
   } catch (error) {
+    // Insufficient items (validateTradeItems) is a user error, not a bug
+    if (error.embed) {
+      logger.warn('ECONOMY', `Trade validation failed for ${characterName}`);
+      await interaction.editReply({ embeds: [error.embed] });
+      return;
+    }
+
     handleInteractionError(error, interaction, {
       commandName: interaction.commandName,
       userTag: interaction.user?.tag,
       userId: interaction.user?.id,
       operation: 'trade'
     });
-    // Only log a simple message for insufficient items
-    if (error.embed) {
-      logger.warn('ECONOMY', `Trade validation failed for ${characterName}`);
-    } else {
-      logger.error('ECONOMY', 'Error executing trade command');
-    }
+    logger.error('ECONOMY', 'Error executing trade command');
     
     // Create a generic error message with user mention
     await interaction.editReply({
@@ -61,11 +61,14 @@ const Wave = require('@/models/WaveModel.js');
 // ------------------- Modules ------------------
 const { calculateFinalValue, getMonstersByRegion, getExplorationMonsterFromList, createWeightedItemList, createQuadrantWeightedExplorationItemList, applyQuadrantMonsterBias } = require("../../modules/rngModule.js");
 const { getEncounterOutcome } = require("../../modules/encounterModule.js");
+const { getWeatherEffectsForVillage, getWeatherStaminaCost, applyWeatherToWeightedItems, applyWeatherToMonsterPool, addWeatherEffectsField } = require("../../modules/weatherEffectsModule.js");
+const { applyBondRollBonus, formatBondBonus } = require("../../modules/relationshipModule.js");
 const { generateVictoryMessage, generateDamageMessage, generateDefenseBuffMessage, generateAttackBuffMessage, generateFinalOutcomeMessage, generateModCharacterVictoryMessage } = require("../../modules/flavorTextModule.js");
 const { handleKO, healKoCharacter, useHearts } = require("../../modules/characterStatsModule.js");
 const { triggerRaid, endExplorationRaidAsRetreat, closeRaidsForExpedition, advanceRaidTurnOnItemUse, cancelRaidTurnSkip, scheduleRaidTurnSkip } = require("../../modules/raidModule.js");
 const { startWave, joinWave, advanceWaveTurnOnItemUse } = require("../../modules/waveModule.js");
 const MapModule = require('@/modules/mapModule.js');
+const { emitGameEvent } = require("@/utils/gameEvents");
 const { pushProgressLog, hasDiscoveriesInQuadrant, hasUnpinnedDiscoveriesInQuadrant, shouldSkipDiscoveryCleanupEntry, addExpeditionPinKeysToReportedSet, updateDiscoveryGrottoStatus, markGrottoCleared, applyExpeditionFailedState } = require("../../modules/exploreModule.js");
 const {
   getElixirTypeByName,
@@ -99,6 +102,7 @@ const SKIP_PIN_REQUIREMENT_FOR_TESTING = false;
 const { generateGrottoMaze, getPathCellAt, getNeighbourCoords, getCellBeyondWall, removeScryingWall } = require('@/utils/grottoMazeGenerator.js');
 const { renderMazeToBuffer } = require('@/utils/grottoMazeRenderer.js');
 const logger = require("@/utils/logger.js");
+const rng = require("@/services/rngService");
 const { isValidImageUrl } = require("@/utils/validation.js");
 const fs = require("fs");
 const path = require("path");
@@ -184,7 +188,7 @@ const GROTTO_INSIDE_BANNERS = [
   "https://storage.googleapis.com/tinglebot/Banners/grottobanner3.png",
 ];
 function getRandomGrottoBanner() {
-  return GROTTO_INSIDE_BANNERS[Math.floor(Math.random() * GROTTO_INSIDE_BANNERS.length)];
+  return rng.pick(GROTTO_INSIDE_BANNERS, 'grotto-banner');
 }
 
 /** Grotto image that replaces the region banner (full size, no overlay). Uses region banner only for target dimensions. Returns { attachment, imageUrl } for embed.setImage and optional files. */
@@ -394,7 +398,7 @@ const REGION_TO_VILLAGE = {
 // ------------------- Monster camp wave variety (weighted so beginner/2-monster are rarer) ------------------
 function pickWeighted(items) {
   const total = items.reduce((s, x) => s + x.weight, 0);
-  let r = Math.random() * total;
+  let r = rng.random('camp-wave') * total;
   for (const x of items) {
     r -= x.weight;
     if (r <= 0) return x.value;
@@ -676,7 +680,7 @@ async function maybeApplyQuadrantHazards(party, options = {}) {
     if (partyHazardBuffTypes.size && partyBuffTypesCounterExplorationHazard(partyHazardBuffTypes, hz)) continue;
 
     if (hz === "thunder") {
-      if (Math.random() < HAZARD_PROC_CHANCE) {
+      if (rng.chance(HAZARD_PROC_CHANCE, 'hazard-thunder')) {
         const heartsLost = Math.min(1, Math.max(0, Number(party.totalHearts) || 0));
         if (heartsLost > 0) {
           party.totalHearts = Math.max(0, (Number(party.totalHearts) || 0) - heartsLost);
@@ -693,7 +697,7 @@ async function maybeApplyQuadrantHazards(party, options = {}) {
       let heartsLost = 0;
       let staminaLost = 0;
 
-      if (Math.random() < HAZARD_PROC_CHANCE) {
+      if (rng.chance(HAZARD_PROC_CHANCE, 'hazard-temperature')) {
         heartsLost = Math.min(1, Math.max(0, Number(party.totalHearts) || 0));
         if (heartsLost > 0) {
           party.totalHearts = Math.max(0, (Number(party.totalHearts) || 0) - heartsLost);
@@ -701,7 +705,7 @@ async function maybeApplyQuadrantHazards(party, options = {}) {
         }
       }
 
-      if (Math.random() < HOT_COLD_STAMINA_PROC_CHANCE) {
+      if (rng.chance(HOT_COLD_STAMINA_PROC_CHANCE, 'hazard-temperature-stamina')) {
         staminaLost = Math.min(1, Math.max(0, Number(party.totalStamina) || 0));
         if (staminaLost > 0) {
           party.totalStamina = Math.max(0, (Number(party.totalStamina) || 0) - staminaLost);
@@ -1019,11 +1023,11 @@ async function grantExplorationChestLootToParty(party, location, interaction) {
    eligibleSlots.push(si);
   }
   if (eligibleSlots.length > 0) {
-   chestRelicDesignatedSlotIndex = eligibleSlots[Math.floor(Math.random() * eligibleSlots.length)];
+   chestRelicDesignatedSlotIndex = rng.pick(eligibleSlots, 'chest-relic-slot');
   }
  }
  const chestRelicRollSucceeded =
-  chestRelicDesignatedSlotIndex !== null && Math.random() < EXPLORATION_CHEST_RELIC_CHANCE;
+  chestRelicDesignatedSlotIndex !== null && rng.chance(EXPLORATION_CHEST_RELIC_CHANCE, 'chest-relic');
  const mapDmSentKeys = new Set();
  const sendChestMapDm = async (charDoc, mapItemName) => {
   try {
@@ -1082,7 +1086,7 @@ async function grantExplorationChestLootToParty(party, location, interaction) {
    } catch (err) {
     logger.error("EXPLORE", `[explore.js]❌ createRelic (chest): ${err?.message || err}`);
     if (allItems && allItems.length > 0) {
-     let fallback = allItems[Math.floor(Math.random() * allItems.length)];
+     let fallback = rng.pick(allItems, 'chest-relic-fallback-item');
      fallback = await toAprilFoolsLootObject({ ...fallback, quantity: 1 });
      if (!party.gatheredItems) party.gatheredItems = [];
      party.gatheredItems.push({ characterId: char._id, characterName: char.name, itemName: fallback.itemName, quantity: 1, emoji: fallback.emoji || "" });
@@ -1101,7 +1105,7 @@ async function grantExplorationChestLootToParty(party, location, interaction) {
     lootLines.push(`${char.name}: (no items available)`);
     continue;
    }
-   let item = allItems[Math.floor(Math.random() * allItems.length)];
+   let item = rng.pick(allItems, 'chest-item');
    item = await toAprilFoolsLootObject({ ...item, quantity: 1 });
    if (!party.gatheredItems) party.gatheredItems = [];
    party.gatheredItems.push({ characterId: char._id, characterName: char.name, itemName: item.itemName, quantity: 1, emoji: item.emoji || "" });
@@ -2169,6 +2173,7 @@ async function handleGrottoCleanse(i, msg, party, expeditionId, characterIndex,
     width: generated.width,
     height: generated.height,
     entryNodes: generated.entryNodes,
+    seed: generated.seed,
     pathCells: generated.pathCells,
    };
    const startKey = startCell ? startCell.key || `${startCell.x},${startCell.y}` : `${generated.entryNodes.start.x},${generated.entryNodes.start.y}`;
@@ -2347,7 +2352,7 @@ async function applyBlightExposure(party, square, quadrant, reason, characterNam
   }
 
   // Roll for blight (effective chance: 15% or 7.5% with Blight Candle, then Bright)
-  const roll = Math.random();
+  const roll = rng.random('blight-exposure');
   const contracted = roll < personalChance;
   const rollDisplay = Math.floor(roll * 100) + 1;
   
@@ -2705,9 +2710,25 @@ module.exports = {
     )
   ),
 
+ async autocomplete(interaction) {
+  await handleAutocomplete(interaction);
+ },
+
+ buildTestingEndAfterGrottoEmbed,
+
 // ------------------- Command Execution Logic ------------------
-// execute - main entry for /explore subcommands -
- async execute(interaction) {
+// execute - main entry for /explore subcommands; every draw of a run comes from one
+// seeded roll session and is recorded for /mod-roll replay -
+ execute(interaction) {
+  return rng.runWithRollSession(async () => {
+   await runExplore(interaction);
+   await recordExploreRoll(interaction);
+  });
+ },
+};
+
+// ------------------- Explore Command Body ------------------
+async function runExplore(interaction) {
   try {
    await interaction.deferReply();
 
@@ -3115,7 +3136,7 @@ module.exports = {
      const failThreshold = Math.max(0.05, baseFail - failReduction);
      const missThreshold = Math.max(0.10, baseMiss - missReduction);
      const hitThreshold = failThreshold + missThreshold;
-    const roll = Math.random();
+    const roll = rng.random('target-practice');
     const rollPct = Math.round(roll * 100);
     const failPct = Math.round(failThreshold * 100);
     const hitPct = Math.round(hitThreshold * 100);
@@ -3812,6 +3833,7 @@ module.exports = {
        width: generated.width,
        height: generated.height,
        entryNodes: generated.entryNodes,
+       seed: generated.seed,
        pathCells: generated.pathCells,
       };
       const startKeyMaze = startCell ? startCell.key || `${startCell.x},${startCell.y}` : `${generated.entryNodes.start.x},${generated.entryNodes.start.y}`;
@@ -4011,11 +4033,11 @@ module.exports = {
         (c) => (c?.job || '').toLowerCase() === 'entertainer' || (c?.jobVoucher && (c?.jobVoucherJob || '').toLowerCase() === 'entertainer')
        );
        const successChance = hasEntertainer ? 0.75 : 0.5;
-       const success = Math.random() < successChance;
+       const success = rng.chance(successChance, 'gazep-scrying');
        outcome = getGazepScryingOutcome(success);
        rollLabel = hasEntertainer ? ' (🎭 Entertainer boost — 50% higher success)' : '';
       } else {
-       const roll = Math.floor(Math.random() * 6) + 1;
+       const roll = rng.randomInt(1, 6, 'puzzle-d6');
        outcome = getGrottoMazeOutcome(roll);
        rollLabel = ` (Roll: **${roll}**)`;
       }
@@ -4161,10 +4183,10 @@ module.exports = {
        const regionMonsters = await getMonstersByRegion(party.region?.toLowerCase());
        const tier4AndBelow = regionMonsters && regionMonsters.filter((m) => m.tier >= 1 && m.tier <= 4);
        const monster = (tier4AndBelow && tier4AndBelow.length > 0)
-        ? tier4AndBelow[Math.floor(Math.random() * tier4AndBelow.length)]
+        ? rng.pick(tier4AndBelow, 'maze-monster')
         : null;
        if (monster) {
-        const diceRoll = Math.floor(Math.random() * 100) + 1;
+        const diceRoll = rng.randomInt(1, 100, 'maze-d100');
         const { damageValue, adjustedRandomValue, attackSuccess, defenseSuccess } = calculateFinalValue(character, diceRoll);
         const encounterOutcome = await getEncounterOutcome(
          character,
@@ -4182,7 +4204,7 @@ module.exports = {
         let lootedItem = null;
         if (encounterOutcome.canLoot) {
          const items = await fetchItemsByMonster(monster.name);
-         const rawItem = items.length > 0 ? items[Math.floor(Math.random() * items.length)] : null;
+         const rawItem = items.length > 0 ? rng.pick(items, 'maze-loot-item') : null;
          lootedItem = await resolveExplorationMonsterLoot(monster.name, rawItem);
          if (lootedItem && !false) {
           try {
@@ -4390,7 +4412,7 @@ module.exports = {
       const triggered = grotto.mazeState.triggeredTraps || [];
       if (!triggered.includes(nextKey)) {
        grotto.mazeState.triggeredTraps = [...triggered, nextKey];
-       const trapRoll = Math.floor(Math.random() * 6) + 1;
+       const trapRoll = rng.randomInt(1, 6, 'maze-trap-d6');
       const trapOutcome = getGrottoMazeTrapOutcome(trapRoll);
       if (trapOutcome.heartsLost > 0) {
        party.totalHearts = Math.max(0, (party.totalHearts ?? 0) - trapOutcome.heartsLost);
@@ -4596,7 +4618,7 @@ module.exports = {
      if (randomEvent.type === 'monster') {
       const regionMonsters = await getMonstersByRegion(party.region?.toLowerCase());
       const manageable = regionMonsters && regionMonsters.filter((m) => m.tier >= 1 && m.tier <= 4);
-      const monster = manageable && manageable.length > 0 ? manageable[Math.floor(Math.random() * manageable.length)] : null;
+      const monster = manageable && manageable.length > 0 ? rng.pick(manageable, 'maze-event-monster') : null;
       const monsterFlavor = monster ? `A **${monster.name}** blocks the way!` : null;
       // Only tier 5+ start raids; tier 1–4 in maze are treated as "something stirs" (no raid)
       if (monster && (monster.tier == null || monster.tier >= 5)) {
@@ -4631,8 +4653,8 @@ module.exports = {
       const availableItems = allItemsForGather.filter((item) => item[regionKey]);
       const weightedList = availableItems.length > 0 ? createWeightedItemList(availableItems, 50) : [];
       const selectedItem = weightedList.length > 0
-       ? weightedList[Math.floor(Math.random() * weightedList.length)]
-       : availableItems.length > 0 ? availableItems[Math.floor(Math.random() * availableItems.length)] : null;
+       ? rng.pick(weightedList, 'maze-event-item')
+       : availableItems.length > 0 ? rng.pick(availableItems, 'maze-event-item') : null;
       let givenItemName = selectedItem?.itemName ?? "Fairy";
       let givenEmoji = selectedItem?.emoji ?? "🧚";
       if (!false) {
@@ -5565,6 +5587,12 @@ module.exports = {
       return interaction.editReply({ embeds: [securedNoRollEmbed] });
      }
 
+     // Weather in the region's village (e.g. Blizzard, Heat Wave) makes each roll cost more
+     const rollWeatherEffects = await getWeatherEffectsForVillage(REGION_TO_VILLAGE[party.region?.toLowerCase()] || "Inariko");
+     if (rollStaminaCost > 0) {
+      rollStaminaCost += getWeatherStaminaCost(rollWeatherEffects, "explore");
+     }
+
      const payResult = await payStaminaOrStruggle(party, characterIndex, rollStaminaCost, { order: "currentFirst", action: "roll" });
      if (!payResult.ok) {
       const partyStamina = party.totalStamina ?? 0;
@@ -5610,7 +5638,7 @@ module.exports = {
      let hotSpringMessage = null;
      const quadrantMeta = await getQuadrantMeta(party.square, party.quadrant);
      const hasHotSpring = (quadrantMeta.special || []).some((s) => String(s || "").toLowerCase() === "hot spring");
-     if (hasHotSpring && (party.totalHearts ?? 0) < poolCaps.maxHearts && Math.random() < HOT_SPRING_HEAL_CHANCE) {
+     if (hasHotSpring && (party.totalHearts ?? 0) < poolCaps.maxHearts && rng.chance(HOT_SPRING_HEAL_CHANCE, 'hot-spring-heal')) {
       const beforeHearts = Math.max(0, party.totalHearts ?? 0);
       const missing = poolCaps.maxHearts - beforeHearts;
       const rawCap = Math.floor(poolCaps.maxHearts * HOT_SPRING_HEAL_FRACTION);
@@ -5668,7 +5696,7 @@ module.exports = {
        }
       }
 
-      const r = Math.random();
+      const r = rng.random('explore-outcome');
       let cum = 0;
       let outcome;
       for (const [name, chance] of Object.entries(adjustedChances)) {
@@ -5743,7 +5771,7 @@ module.exports = {
         break;
        }
       }
-      if (specialCount >= 1 && Math.random() > DISCOVERY_REDUCE_CHANCE_WHEN_ANY) {
+      if (specialCount >= 1 && rng.random('discovery-reduce') > DISCOVERY_REDUCE_CHANCE_WHEN_ANY) {
        const reason = `square already has ${specialCount} special discovery/discoveries; roll failed discovery-reduce (${(DISCOVERY_REDUCE_CHANCE_WHEN_ANY * 100).toFixed(0)}% keep chance)`;
        outcomeType = rollOutcome();
        continue;
@@ -5757,15 +5785,17 @@ module.exports = {
      // Increment explore count only for the character whose turn rolled (not the whole party)
      const rollerId = character?._id;
      if (rollerId) {
-      Character.updateOne({ _id: rollerId }, { $inc: { exploreCount: 1 } }).catch((err) => logger.warn("EXPLORE", `[explore.js] exploreCount increment Character: ${err?.message || err}`));
-      ModCharacter.updateOne({ _id: rollerId }, { $inc: { exploreCount: 1 } }).catch((err) => logger.warn("EXPLORE", `[explore.js] exploreCount increment ModCharacter: ${err?.message || err}`));
+      Promise.all([
+       Character.updateOne({ _id: rollerId }, { $inc: { exploreCount: 1 } }).catch((err) => logger.warn("EXPLORE", `[explore.js] exploreCount increment Character: ${err?.message || err}`)),
+       ModCharacter.updateOne({ _id: rollerId }, { $inc: { exploreCount: 1 } }).catch((err) => logger.warn("EXPLORE", `[explore.js] exploreCount increment ModCharacter: ${err?.message || err}`)),
+      ]).then(() => emitGameEvent("explore.rolled", { userId: character.userId, characterId: String(rollerId), characterName: character.name }));
      }
 
      if (outcomeType === "explored") {
       // Lucky find: if quadrant was ALREADY explored before this roll, 15% chance to refund stamina and recover 1-2 stamina
       let luckyFindRecovery = 0;
       const quadrantWasExplored = party.quadrantState === "explored";
-      if (quadrantWasExplored && Math.random() < 0.15) {
+      if (quadrantWasExplored && rng.chance(0.15, 'lucky-find')) {
        // Refund the stamina cost
        const refundAmount = payResult?.staminaPaid ?? 0;
        if (refundAmount > 0) {
@@ -5773,7 +5803,7 @@ module.exports = {
         party.markModified("totalStamina");
        }
        // Recover 1-2 additional stamina
-       luckyFindRecovery = Math.floor(Math.random() * 2) + 1;
+       luckyFindRecovery = rng.randomInt(1, 2, 'lucky-find-stamina');
        party.totalStamina = Math.min(poolCaps.maxStamina, (party.totalStamina ?? 0) + luckyFindRecovery);
        party.markModified("totalStamina");
        logger.info("EXPLORE", `[explore.js] id=${party.partyId ?? "?"} lucky_find refund=${refundAmount} +recovery=${luckyFindRecovery} → 🟩${party.totalStamina ?? 0}`);
@@ -5897,7 +5927,7 @@ module.exports = {
      }
 
      if (outcomeType === "fairy") {
-      const fairyHealsOnSpot = Math.random() < 0.5;
+      const fairyHealsOnSpot = rng.chance(0.5, 'fairy-heal');
       if (fairyHealsOnSpot) {
        let sumMaxHearts = 0;
        for (let i = 0; i < party.characters.length; i++) {
@@ -5972,8 +6002,8 @@ module.exports = {
       let campStaminaRecovered = 0;
       if (outcomeType === "camp") {
        // Safe space: add recovery to pool only; cap at combined party max
-       campHeartsRecovered = Math.floor(Math.random() * 3) + 1;
-       campStaminaRecovered = Math.floor(Math.random() * 2) + 1;
+       campHeartsRecovered = rng.randomInt(1, 3, 'camp-hearts');
+       campStaminaRecovered = rng.randomInt(1, 2, 'camp-stamina');
        const campCaps = await getPartyPoolCaps(party);
        await ensurePartyMaxValues(party, campCaps);
        const beforeHearts = party.totalHearts ?? 0;
@@ -6353,7 +6383,7 @@ module.exports = {
          const ruinsCostsForLog = buildCostsForLog(ruinsPayResult);
 
          // Weighted roll: chest 8, camp 4, relic 1, old_map 3, star_fragment 2, blight 1, goddess_plume 1 (total 20)
-         const roll = Math.random() * 20;
+         const roll = rng.random('ruins-outcome') * 20;
          let ruinsOutcome;
          if (roll < 8) ruinsOutcome = "chest";
          else if (roll < 12) ruinsOutcome = "camp";
@@ -6584,7 +6614,7 @@ module.exports = {
           pushProgressLog(freshParty, ruinsCharacter.name, "ruins_explored", progressMsg, lootForLog, ruinsCostsForLog);
          } else if (ruinsOutcome === "blight") {
           const partyHadBlightCandle = await partyHasRelic(freshParty.characters || [], 'Blight Candle');
-          const candleSave = partyHadBlightCandle && Math.random() < 0.5;
+          const candleSave = partyHadBlightCandle && rng.chance(0.5, 'blight-candle-save');
           if (candleSave) {
            try {
             await consumeBlightCandleUse(ruinsCharacter._id, ruinsCharacter.name);
@@ -7157,18 +7187,21 @@ module.exports = {
       }
 
       const quadrantMetaForItem = await getQuadrantMeta(party.square, party.quadrant);
-      const quadrantWeightedList = createQuadrantWeightedExplorationItemList(availableItems, 50, quadrantMetaForItem);
+      const quadrantWeightedList = applyWeatherToWeightedItems(
+       createQuadrantWeightedExplorationItemList(availableItems, 50, quadrantMetaForItem),
+       rollWeatherEffects
+      );
       let selectedItem;
       if (quadrantWeightedList.length > 0) {
-       selectedItem = quadrantWeightedList[Math.floor(Math.random() * quadrantWeightedList.length)];
+       selectedItem = rng.pick(quadrantWeightedList, 'quadrant-item');
       } else {
        const hasQuadrantRestriction = (Array.isArray(quadrantMetaForItem.terrain) && quadrantMetaForItem.terrain.length > 0) ||
          (Array.isArray(quadrantMetaForItem.items) && quadrantMetaForItem.items.length > 0);
        if (!hasQuadrantRestriction) {
          const fallbackList = createWeightedItemList(availableItems, 50);
          selectedItem = fallbackList.length > 0
-           ? fallbackList[Math.floor(Math.random() * fallbackList.length)]
-           : availableItems[Math.floor(Math.random() * availableItems.length)];
+           ? rng.pick(fallbackList, 'quadrant-item')
+           : rng.pick(availableItems, 'quadrant-item');
        } else {
          const genericItems = availableItems.filter((item) => {
            if (!item || item.itemRarity == null) return false;
@@ -7178,12 +7211,12 @@ module.exports = {
          });
          const genericList = genericItems.length > 0 ? createWeightedItemList(genericItems, 50) : [];
          if (genericList.length > 0) {
-           selectedItem = genericList[Math.floor(Math.random() * genericList.length)];
+           selectedItem = rng.pick(genericList, 'quadrant-item');
          } else {
            const fallbackList = createWeightedItemList(availableItems, 50);
            selectedItem = fallbackList.length > 0
-             ? fallbackList[Math.floor(Math.random() * fallbackList.length)]
-             : availableItems[Math.floor(Math.random() * availableItems.length)];
+             ? rng.pick(fallbackList, 'quadrant-item')
+             : rng.pick(availableItems, 'quadrant-item');
          }
        }
       }
@@ -7216,6 +7249,7 @@ module.exports = {
        hazardRollResult?.hazardMessage ?? null,
        hotSpringMessage ?? null
       );
+      addWeatherEffectsField(embed, rollWeatherEffects, "explore");
 
       if (!party.gatheredItems) {
        party.gatheredItems = [];
@@ -7269,7 +7303,7 @@ module.exports = {
         ...(quadrantMetaForMonster.monsters || []).map((x) => String(x).trim().toLowerCase()).filter(Boolean),
         ...(quadrantMetaForMonster.bossMonsters || []).map((x) => String(x).trim().toLowerCase()).filter(Boolean)
       ]);
-      const monstersBiased = applyQuadrantMonsterBias(monstersForEncounter, quadrantMonsterBiasSet);
+      const monstersBiased = applyWeatherToMonsterPool(applyQuadrantMonsterBias(monstersForEncounter, quadrantMonsterBiasSet), rollWeatherEffects);
       const selectedMonster = getExplorationMonsterFromList(monstersBiased, dangerLevel.dangerBonus);
       appendExploreStat(`${new Date().toISOString()}\tfinal\tmonster\t${location}\ttier=${selectedMonster.tier ?? "?"}\tdist=${dangerLevel.distance}\tbonus=${(dangerLevel.dangerBonus * 100).toFixed(0)}%`);
 
@@ -7356,7 +7390,7 @@ module.exports = {
 
         if (monsterDefeated) {
          const items = await fetchItemsByMonster(selectedMonster.name);
-         const rawItem = items.length > 0 ? items[Math.floor(Math.random() * items.length)] : null;
+         const rawItem = items.length > 0 ? rng.pick(items, 'encounter-loot-item') : null;
          const lootedItem = await resolveExplorationMonsterLoot(selectedMonster.name, rawItem);
 
          if (lootedItem) {
@@ -7427,7 +7461,9 @@ module.exports = {
        }
       } else {
 
-       const diceRoll = Math.floor(Math.random() * 100) + 1;
+       // Bonded companions (FRIEND/FAMILY links) in the party nudge the roll up
+       const bond = await applyBondRollBonus(rng.randomInt(1, 100, 'encounter-d100'), character, party.characters);
+       const diceRoll = bond.diceRoll;
        const {
         damageValue,
         adjustedRandomValue,
@@ -7444,7 +7480,7 @@ module.exports = {
         adjustedRandomValue,
         attackSuccess,
         defenseSuccess,
-        usePartyOnlyForHeartsStamina(party) ? { skipPersist: true } : {}
+        { skipPersist: usePartyOnlyForHeartsStamina(party), weatherEffects: rollWeatherEffects }
        );
 
        if (outcome.hearts > 0) {
@@ -7460,7 +7496,7 @@ module.exports = {
        let lootedItem = null;
        if (outcome.canLoot) {
         const items = await fetchItemsByMonster(selectedMonster.name);
-        const rawItem = items.length > 0 ? items[Math.floor(Math.random() * items.length)] : null;
+        const rawItem = items.length > 0 ? rng.pick(items, 'encounter-loot-item') : null;
         lootedItem = await resolveExplorationMonsterLoot(selectedMonster.name, rawItem);
        }
 
@@ -7497,6 +7533,11 @@ module.exports = {
         hazardRollResult?.hazardMessage ?? null,
         hotSpringMessage ?? null
        );
+       addWeatherEffectsField(embed, rollWeatherEffects, "explore");
+       const bondLine = formatBondBonus(bond.bonded, bond.bonus);
+       if (bondLine) {
+        embed.addFields({ name: "💞 __Bonds__", value: bondLine, inline: false });
+       }
 
        const hasEquippedWeapon = !!(character?.gearWeapon?.name);
        const hasEquippedArmor = !!(
@@ -8762,7 +8803,7 @@ module.exports = {
               if (mapOwnerDoc && (await characterHasPendingRelic(mapOwnerDoc))) {
                 const allItemsMap = await fetchAllItems();
                 if (allItemsMap && allItemsMap.length > 0) {
-                  const fallbackItem = allItemsMap[Math.floor(Math.random() * allItemsMap.length)];
+                  const fallbackItem = rng.pick(allItemsMap, 'map-relic-fallback-item');
                   try {
                     await addItemInventoryDatabase(mapOwnerDoc._id, fallbackItem.itemName, 1, interaction, "Exploration Map");
                     if (!party.gatheredItems) party.gatheredItems = [];
@@ -8783,7 +8824,7 @@ module.exports = {
                 if (partyDiscoverySlotUsed(party) || partyHasRelicDiscoveryThisExpedition(party)) {
                   const allItemsMapSlot = await fetchAllItems();
                   if (allItemsMapSlot && allItemsMapSlot.length > 0) {
-                    const fallbackItem = allItemsMapSlot[Math.floor(Math.random() * allItemsMapSlot.length)];
+                    const fallbackItem = rng.pick(allItemsMapSlot, 'map-relic-fallback-item');
                     try {
                       await addItemInventoryDatabase(mapOwnerDoc._id, fallbackItem.itemName, 1, interaction, "Exploration Map");
                       if (!party.gatheredItems) party.gatheredItems = [];
@@ -9732,7 +9773,7 @@ module.exports = {
 
     const failedAttempts = raid.failedRetreatAttempts ?? 0;
     const retreatChance = Math.min(RETREAT_BASE_CHANCE + failedAttempts * RETREAT_BONUS_PER_FAIL, RETREAT_CHANCE_CAP);
-    const success = Math.random() < retreatChance;
+    const success = rng.chance(retreatChance, 'raid-retreat');
     if (success) {
      await endExplorationRaidAsRetreat(raid, interaction.client);
      character.failedFleeAttempts = 0;
@@ -10013,7 +10054,7 @@ module.exports = {
     const baseChanceForLog = isSecured ? CAMP_ATTACK_CHANCE_SECURED : CAMP_ATTACK_CHANCE_UNSECURED;
     logger.info("EXPLORE", `[explore.js] id=${party.partyId} camp chance: base=${(baseChanceForLog * 100).toFixed(0)}% +danger=${(campDangerLevel.dangerBonus * 100).toFixed(0)}% (dist=${campDangerLevel.distance}) stuckInWild=${stuckInWild} final=${(campAttackChance * 100).toFixed(0)}% recentAttacks=${recentCampAttacks}`);
 
-    const campRoll = Math.random();
+    const campRoll = rng.random('camp-attack');
     const canBeAttackedAtCamp = !(character.blighted && character.blightStage >= 3) && campRoll < campAttackChance;
     logger.info("EXPLORE", `[explore.js] id=${party.partyId} camp roll: ${(campRoll * 100).toFixed(1)}% < ${(campAttackChance * 100).toFixed(0)}% = ${canBeAttackedAtCamp ? "ATTACKED" : "safe"}`);
     if (canBeAttackedAtCamp) {
@@ -10091,7 +10132,7 @@ module.exports = {
        }
       }
       // Tier 1–4 or raid disabled: resolve encounter inline (no rest)
-      const diceRoll = Math.floor(Math.random() * 100) + 1;
+      const diceRoll = rng.randomInt(1, 100, 'camp-encounter-d100');
       const { damageValue, adjustedRandomValue, attackSuccess, defenseSuccess } = calculateFinalValue(character, diceRoll);
       logger.info("EXPLORE", `[explore.js] Camp-attack encounter: ${character.name} vs ${selectedMonster.name} tier=${selectedMonster.tier} | diceRoll=${diceRoll} adjustedRandomValue=${adjustedRandomValue} defenseSuccess=${defenseSuccess} skipPersist=${!!usePartyOnlyForHeartsStamina(party)}`);
       const outcome = await getEncounterOutcome(character, selectedMonster, damageValue, adjustedRandomValue, attackSuccess, defenseSuccess, usePartyOnlyForHeartsStamina(party) ? { skipPersist: true } : {});
@@ -10105,7 +10146,7 @@ module.exports = {
       let lootedItem = null;
       if (outcome.canLoot) {
        const items = await fetchItemsByMonster(selectedMonster.name);
-       const rawItem = items.length > 0 ? items[Math.floor(Math.random() * items.length)] : null;
+       const rawItem = items.length > 0 ? rng.pick(items, 'camp-loot-item') : null;
        lootedItem = await resolveExplorationMonsterLoot(selectedMonster.name, rawItem);
       }
       const totalHeartsLost = campAttackStruggleHearts + (outcome.hearts || 0);
@@ -10207,7 +10248,7 @@ module.exports = {
      // Skip heart recovery if struggle was used (paid hearts to camp)
      if (!paidHeartsToStruggle) {
       const heartsCap = Math.floor(maxHrt * heartsPct);
-      const heartsRecovered = heartsCap > 0 ? Math.floor(Math.random() * (heartsCap + 1)) : 0;
+      const heartsRecovered = heartsCap > 0 ? rng.randomInt(0, heartsCap, 'camp-hearts') : 0;
       totalHeartsRecovered += heartsRecovered;
      }
     }
@@ -10231,7 +10272,7 @@ module.exports = {
     if (campInHotSpring && !paidHeartsToStruggle) {
      const projectedHearts = Math.min(campPoolHeartsCap, (party.totalHearts ?? 0) + totalHeartsRecovered);
      const missingAfterCamp = campPoolHeartsCap - projectedHearts;
-     if (missingAfterCamp > 0 && Math.random() < HOT_SPRING_CAMP_EXTRA_BONUS_CHANCE) {
+     if (missingAfterCamp > 0 && rng.chance(HOT_SPRING_CAMP_EXTRA_BONUS_CHANCE, 'hot-spring-camp-hearts')) {
       const rawCapExtra = Math.floor(sumMaxHearts * HOT_SPRING_HEAL_FRACTION);
       const healCapExtra = Math.max(rawCapExtra, 1);
       hotSpringCampExtraHearts = Math.min(missingAfterCamp, healCapExtra);
@@ -10244,12 +10285,12 @@ module.exports = {
     const staminaRoom = Math.max(0, sumMaxStamina - poolStam);
     const staminaCap = Math.floor(sumMaxStamina * staminaPct);
     const staminaMaxRecover = Math.min(staminaRoom, staminaCap);
-    let totalStaminaRecovered = staminaMaxRecover > 0 ? (1 + Math.floor(Math.random() * staminaMaxRecover)) : 0;
+    let totalStaminaRecovered = staminaMaxRecover > 0 ? rng.randomInt(1, staminaMaxRecover, 'camp-stamina') : 0;
     let hotSpringCampExtraStamina = 0;
     if (campInHotSpring) {
      const projectedStam = Math.min(sumMaxStamina, poolStam + totalStaminaRecovered);
      const missingStamAfterCamp = sumMaxStamina - projectedStam;
-     if (missingStamAfterCamp > 0 && Math.random() < HOT_SPRING_CAMP_EXTRA_BONUS_CHANCE) {
+     if (missingStamAfterCamp > 0 && rng.chance(HOT_SPRING_CAMP_EXTRA_BONUS_CHANCE, 'hot-spring-camp-stamina')) {
       const rawCapStam = Math.floor(sumMaxStamina * HOT_SPRING_HEAL_FRACTION);
       const stamHealCap = Math.max(rawCapStam, 1);
       hotSpringCampExtraStamina = Math.min(missingStamAfterCamp, stamHealCap);
@@ -10373,11 +10414,33 @@ module.exports = {
      subcommand: interaction.options?.getSubcommand()
    });
   }
- },
-
- async autocomplete(interaction) {
-  await handleAutocomplete(interaction);
- },
+}
 
- buildTestingEndAfterGrottoEmbed,
-};
+// ------------------- recordExploreRoll ------------------
+// Records the draws of one /explore run (if it made any), with the party's latest
+// progress log entry as the result -
+async function recordExploreRoll(interaction) {
+ if (!rng.getRollSession()?.pending.length) return null;
+ const expeditionId = normalizeExpeditionId(interaction.options.getString("id"));
+ const characterName = normalizeCharacterName(interaction.options.getString("charactername"));
+ const subcommandGroup = interaction.options.getSubcommandGroup(false);
+ const subcommand = interaction.options.getSubcommand(false);
+ try {
+  const character = characterName ? await findCharacterByNameAndUser(characterName, interaction.user.id) : null;
+  const party = expeditionId
+   ? await Party.findOne({ partyId: expeditionId }, { progressLog: { $slice: -1 } }).lean()
+   : null;
+  const lastEntry = party?.progressLog?.[0] || null;
+  return await rng.recordRoll({
+   kind: "explore",
+   character,
+   userId: interaction.user.id,
+   inputs: { expeditionId, subcommand: [subcommandGroup, subcommand].filter(Boolean).join(" ") },
+   result: lastEntry ? { outcome: lastEntry.outcome, message: lastEntry.message, loot: lastEntry.loot || null } : null,
+   summary: `/explore ${[subcommandGroup, subcommand].filter(Boolean).join(" ")} ${expeditionId || ""}`.trim()
+  });
+ } catch (error) {
+  logger.warn("EXPLORE", `[explore.js]⚠️ Failed to record explore roll: ${error?.message || error}`);
+  return null;
+ }
+}
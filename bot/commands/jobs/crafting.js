@@ -36,9 +36,10 @@ const { handleInteractionError } = require('@/utils/globalErrorHandler');
 const { enforceJail } = require('@/utils/jailCheck');
 const { runCraftingBrew } = require('./brewMixerHandler');
 const { isElixirItemName } = require('../../modules/elixirModule');
+const { buildCraftingPlan, createCraftingQueue, getActiveQueue, cancelCraftingQueue, runCraftingQueue } = require('../../modules/craftingPlanModule');
 
 // ------------------- Embed Imports -------------------
-const { createCraftingEmbed } = require('../../embeds/embeds.js');
+const { createCraftingEmbed, createCraftingPlanEmbed, createCraftingQueueEmbed } = require('../../embeds/embeds.js');
 
 // ------------------- External API Integrations -------------------
 // Google Sheets functionality removed
@@ -80,6 +81,74 @@ function craftingStaminaLogContext(character, itemName, { refund = false } = {})
   };
 }
 
+// ============================================================================
+// ------------------- Plan & Queue Subcommands -------------------
+// /crafting plan and /crafting queue (start | status | run | cancel); the
+// planning and crafting itself lives in modules/craftingPlanModule.js.
+// ============================================================================
+async function runCraftingPlanCommand(interaction, sub, group) {
+  await interaction.deferReply({ flags: [MessageFlags.Ephemeral] });
+  try {
+    await connectToTinglebot();
+
+    const characterName = interaction.options.getString('charactername', true);
+    const character = await fetchCharacterByNameAndUserId(characterName, interaction.user.id);
+    if (!character) {
+      return interaction.editReply({ content: `❌ **Character "${characterName}" not found or does not belong to you.**` });
+    }
+
+    // Same copy-paste cleanup as /crafting recipe
+    const itemName = (interaction.options.getString('itemname') || '')
+      .replace(/\s*\(Qty:\s*\d+\)/i, '')
+      .replace(/\s*-\s*🟩\s*\d+\s*\|\s*Has:\s*\d+/i, '')
+      .trim();
+    const quantity = interaction.options.getInteger('quantity') || 1;
+
+    if (!group) {
+      const { plan, error: planError } = await buildCraftingPlan(character, itemName, quantity);
+      if (planError) return interaction.editReply({ content: planError });
+      return interaction.editReply({ embeds: [createCraftingPlanEmbed(character, plan)] });
+    }
+
+    if (sub === 'start') {
+      const { queue, error: queueError } = await createCraftingQueue(character, itemName, quantity);
+      if (queueError) return interaction.editReply({ content: queueError });
+      return interaction.editReply({
+        content: `📋 **Queue started.** ${character.name} works through it each day after stamina recovery, or now with \`/crafting queue run\`.`,
+        embeds: [createCraftingQueueEmbed(queue)]
+      });
+    }
+
+    const queue = await getActiveQueue(character._id);
+    if (sub === 'cancel') {
+      const cancelled = await cancelCraftingQueue(character._id);
+      if (!cancelled) return interaction.editReply({ content: `❌ **${character.name} has no active crafting queue.**` });
+      return interaction.editReply({ content: `🛑 **Crafting queue for ${cancelled.targetQuantity}x ${cancelled.targetItem} cancelled.** Items already crafted stay in ${character.name}'s inventory.` });
+    }
+    if (!queue) {
+      return interaction.editReply({ content: `❌ **${character.name} has no active crafting queue.** Start one with \`/crafting queue start\`.` });
+    }
+    if (sub === 'status') {
+      return interaction.editReply({ embeds: [createCraftingQueueEmbed(queue)] });
+    }
+
+    // sub === 'run'
+    if (await enforceJail(interaction, character)) {
+      return;
+    }
+    const result = await runCraftingQueue(queue, { interaction });
+    if (result.blockedReason === 'running') {
+      return interaction.editReply({ content: `⏳ **${character.name}'s crafting queue is already running.** Check back with \`/crafting queue status\` in a moment.` });
+    }
+    return interaction.editReply({ embeds: [createCraftingQueueEmbed(queue, result)] });
+  } catch (err) {
+    await handleInteractionError(err, interaction, {
+      source: 'crafting.js',
+      subcommand: group ? `${group} ${sub}` : sub
+    });
+  }
+}
+
 // ============================================================================
 // ------------------- CRAFTING COMMAND HANDLER -------------------
 // Main handler for the /crafting command.
@@ -136,10 +205,71 @@ module.exports = {
             .setRequired(true)
             .setAutocomplete(true)
         )
+    )
+    .addSubcommand((sub) =>
+      sub
+        .setName('plan')
+        .setDescription('Show every sub-craft, missing material and the stamina needed for an item')
+        .addStringOption((opt) =>
+          opt.setName('charactername').setDescription('The name of the character').setRequired(true).setAutocomplete(true)
+        )
+        .addStringOption((opt) =>
+          opt.setName('itemname').setDescription('The item to plan for').setRequired(true).setAutocomplete(true)
+        )
+        .addIntegerOption((opt) =>
+          opt.setName('quantity').setDescription('How many to make').setRequired(true).setMinValue(1)
+        )
+    )
+    .addSubcommandGroup((group) =>
+      group
+        .setName('queue')
+        .setDescription('Craft a plan step by step across days as stamina allows')
+        .addSubcommand((sub) =>
+          sub
+            .setName('start')
+            .setDescription('Queue the sub-crafts of a plan')
+            .addStringOption((opt) =>
+              opt.setName('charactername').setDescription('The name of the character').setRequired(true).setAutocomplete(true)
+            )
+            .addStringOption((opt) =>
+              opt.setName('itemname').setDescription('The item to work towards').setRequired(true).setAutocomplete(true)
+            )
+            .addIntegerOption((opt) =>
+              opt.setName('quantity').setDescription('How many to make').setRequired(true).setMinValue(1)
+            )
+        )
+        .addSubcommand((sub) =>
+          sub
+            .setName('status')
+            .setDescription("Show a character's crafting queue")
+            .addStringOption((opt) =>
+              opt.setName('charactername').setDescription('The name of the character').setRequired(true).setAutocomplete(true)
+            )
+        )
+        .addSubcommand((sub) =>
+          sub
+            .setName('run')
+            .setDescription('Craft queued steps now with the stamina on hand')
+            .addStringOption((opt) =>
+              opt.setName('charactername').setDescription('The name of the character').setRequired(true).setAutocomplete(true)
+            )
+        )
+        .addSubcommand((sub) =>
+          sub
+            .setName('cancel')
+            .setDescription('Stop the crafting queue (crafted items are kept)')
+            .addStringOption((opt) =>
+              opt.setName('charactername').setDescription('The name of the character').setRequired(true).setAutocomplete(true)
+            )
+        )
     ),
 
   async execute(interaction) {
     const sub = interaction.options.getSubcommand();
+    const group = interaction.options.getSubcommandGroup(false);
+    if (group === 'queue' || sub === 'plan') {
+      return runCraftingPlanCommand(interaction, sub, group);
+    }
     if (sub === 'brew') {
       return runCraftingBrew(interaction);
     }
@@ -33,6 +33,7 @@ const { capitalizeWords } = require('../../modules/formattingModule.js');
 const logger = require('@/utils/logger.js');
 const { validateJobVoucher, activateJobVoucher, fetchJobVoucherItem, deactivateJobVoucher, getJobVoucherErrorMessage } = require('../../modules/jobVoucherModule.js');
 const { applyGatheringBoost } = require('../../modules/boostIntegration');
+const { getActiveWeatherEffects, applyWeatherToWeightedItems, applyWeatherToMonsterPool, addWeatherEffectsField } = require('../../modules/weatherEffectsModule.js');
 const { clearBoostAfterUse, retrieveBoostingRequestFromTempDataByCharacter, getEffectiveJob } = require('./boosting');
 
 // ============================================================================
@@ -54,6 +55,7 @@ const {
 // ------------------- Services -------------------
 // ============================================================================
 const { getWeatherWithoutGeneration } = require('@/services/weatherService');
+const rng = require('@/services/rngService');
 
 // ============================================================================
 // ------------------- Embeds -------------------
@@ -289,7 +291,16 @@ module.exports = {
   // ============================================================================
   // ------------------- Command Execution Logic -------------------
   // ============================================================================
-  async execute(interaction) {
+  // Every draw of a /gather run comes from one seeded roll session so it can be replayed
+  execute(interaction) {
+    return rng.runWithRollSession(() => runGather(interaction));
+  },
+};
+
+// ============================================================================
+// ------------------- Gather Command Body -------------------
+// ============================================================================
+async function runGather(interaction) {
     // Initialize variables at the top of the function
     let job;
     let region;
@@ -521,6 +532,7 @@ module.exports = {
         generateIfMissing: true,
         discordClient: interaction.client
       });
+      const weatherEffects = getActiveWeatherEffects(weatherData);
       
       // Store blight rain message to add to gather response
       let blightRainMessage = null;
@@ -565,7 +577,7 @@ module.exports = {
           // Ensure chance stays within reasonable bounds
           infectionChance = Math.max(0.1, Math.min(0.95, infectionChance));
           
-          const infectionRoll = Math.random();
+          const infectionRoll = rng.random('blight-rain-infection');
           
           if (infectionRoll < infectionChance) {
             blightRainMessage = 
@@ -615,7 +627,7 @@ module.exports = {
       let lightningStrikeMessage = null;
       if (weatherData?.special?.label === 'Lightning Storm') {
         const lightningStrikeChance = 0.015; // 1.5% chance
-        if (Math.random() < lightningStrikeChance) {
+        if (rng.chance(lightningStrikeChance, 'lightning-strike')) {
           // Character struck by lightning - 1 heart damage
           const { useHearts } = require('../../modules/characterStatsModule');
           await useHearts(character._id, 1, { source: 'lightning_strike' });
@@ -731,7 +743,7 @@ module.exports = {
       async function generateLootedItem(encounteredMonster, weightedItems) {
         // Use weighted random selection for loot
         const totalWeight = weightedItems.reduce((sum, item) => sum + (item.weight || 1), 0);
-        const randomWeight = Math.random() * totalWeight;
+        const randomWeight = rng.random('loot-item') * totalWeight;
         let currentWeight = 0;
         let selectedItem = null;
         
@@ -745,7 +757,7 @@ module.exports = {
         
         // Fallback to uniform selection if weighted selection fails
         if (!selectedItem) {
-          const randomIndex = Math.floor(Math.random() * weightedItems.length);
+          const randomIndex = rng.randomInt(0, weightedItems.length - 1, 'loot-item');
           selectedItem = weightedItems[randomIndex];
         }
         
@@ -788,8 +800,20 @@ module.exports = {
         return 1;
       }
 
+      // Helper function to record this run's draws so /mod-roll replay can reproduce it
+      function recordGatherRoll(inputs, result, summary) {
+        return rng.recordRoll({
+          kind: 'gather',
+          character,
+          userId: interaction.user.id,
+          inputs: { region, villageLevel, ...inputs },
+          result,
+          summary
+        });
+      }
+
       // ------------------- Encounter Determination ------------------
-      const randomChance = Math.random();
+      const randomChance = rng.random('gather-encounter');
       const bloodMoonActive = isBloodMoonActive();
 
       // If Blood Moon is active and chance triggers a monster encounter (25% chance)
@@ -804,7 +828,8 @@ module.exports = {
             monster => monster[monsterRegionKey] && monster.tier >= 1 && monster.tier <= 4
           );
           if (monstersByRegion.length > 0) {
-            const encounteredMonster = monstersByRegion[Math.floor(Math.random() * monstersByRegion.length)];
+            const monsterPool = applyWeatherToMonsterPool(monstersByRegion, weatherEffects);
+            const encounteredMonster = rng.pick(monsterPool, 'encounter-monster');
             // Consume daily roll only when we actually start an encounter (atomic — blocks double /gather)
             try {
               const claimed = await tryClaimGatherDailyRoll(character);
@@ -821,7 +846,7 @@ module.exports = {
               });
               return;
             }
-          const diceRoll = Math.floor(Math.random() * 100) + 1;
+          const diceRoll = rng.randomInt(1, 100, 'gather-d100');
           const { damageValue, adjustedRandomValue, attackSuccess, defenseSuccess } = calculateFinalValue(character, diceRoll);
           const outcome = await getEncounterOutcome(
             character,
@@ -829,7 +854,8 @@ module.exports = {
             damageValue,
             adjustedRandomValue,
             attackSuccess,
-            defenseSuccess
+            defenseSuccess,
+            { weatherEffects }
           );
 
           let gatherElixirBuffInfo = null;
@@ -922,7 +948,7 @@ module.exports = {
                 });
 
                 if (entertainerBonusPool.length > 0) {
-                  const bonusIndex = Math.floor(Math.random() * entertainerBonusPool.length);
+                  const bonusIndex = rng.randomInt(0, entertainerBonusPool.length - 1, 'entertainer-bonus-item');
                   let bonusItem = entertainerBonusPool[bonusIndex];
                   if (isAprilFoolsEastern()) {
                     bonusItem = await toAprilFoolsGatherItem(bonusItem);
@@ -1007,6 +1033,13 @@ module.exports = {
                 null,
                 gatherElixirRollMeta
               );
+              addWeatherEffectsField(embed, weatherEffects, 'gather');
+              const rollRecord = await recordGatherRoll(
+                { monster: encounteredMonster.name, diceRoll, adjustedRandomValue, bloodMoonActive },
+                { outcome: outcome.result, hearts: outcome.hearts || 0, items: [{ itemName: lootedItem.itemName, quantity: lootedItem.quantity }] },
+                `${outcome.result} vs ${encounteredMonster.name}`
+              );
+              rng.appendRollIdToFooter(embed, rollRecord?.rollId);
               await safeReply({ embeds: [embed] });
               return;
             }
@@ -1035,6 +1068,13 @@ module.exports = {
             null,
             gatherElixirRollMeta
           );
+          addWeatherEffectsField(embed, weatherEffects, 'gather');
+          const rollRecord = await recordGatherRoll(
+            { monster: encounteredMonster.name, diceRoll, adjustedRandomValue, bloodMoonActive },
+            { outcome: outcome.result, hearts: outcome.hearts || 0, items: [] },
+            `${outcome.result} vs ${encounteredMonster.name}`
+          );
+          rng.appendRollIdToFooter(embed, rollRecord?.rollId);
           await safeReply({ embeds: [embed] });
           return;
         } else {
@@ -1162,6 +1202,7 @@ module.exports = {
           }
           weightedItems = createWeightedItemList(boostedAvailableItems, undefined, job, villageLevel);
         }
+        weightedItems = applyWeatherToWeightedItems(weightedItems, weatherEffects);
         
         // Guard: Check if weightedItems is empty (can happen if all items filtered out or have zero weight)
         if (!weightedItems || weightedItems.length === 0) {
@@ -1236,7 +1277,7 @@ module.exports = {
         const totalWeightForSelection = weightedItems.reduce((sum, item) => sum + (item.weight || 1), 0);
         
         // Use weighted random selection
-        const randomWeight = Math.random() * totalWeightForSelection;
+        const randomWeight = rng.random('gather-item') * totalWeightForSelection;
         let currentWeight = 0;
         
         for (const item of weightedItems) {
@@ -1249,7 +1290,7 @@ module.exports = {
         
         // Fallback to uniform selection if weighted selection fails
         if (!randomItem) {
-          const randomIndex = Math.floor(Math.random() * weightedItems.length);
+          const randomIndex = rng.randomInt(0, weightedItems.length - 1, 'gather-item');
           randomItem = weightedItems[randomIndex];
         }
         
@@ -1283,8 +1324,8 @@ module.exports = {
         if (villageLevel >= 2) {
           if (villageLevel === 2) {
             // Level 2: 30-50% chance for +1 item
-            const bonusChance = Math.random();
-            const threshold = 0.30 + (Math.random() * 0.20); // Random between 0.30 and 0.50
+            const bonusChance = rng.random('village-bonus-item');
+            const threshold = 0.30 + (rng.random('village-bonus-chance') * 0.20); // Random between 0.30 and 0.50
             logger.info('GATHER', `🏘️ Village Level 2 quantity bonus check: ${(bonusChance * 100).toFixed(1)}% rolled vs ${(threshold * 100).toFixed(1)}% threshold`);
             if (bonusChance < threshold) {
               quantity = 2;
@@ -1295,12 +1336,12 @@ module.exports = {
             }
           } else if (villageLevel === 3) {
             // Level 3: 40-60% chance for bonus, then 50/50 for +1 or +2
-            const bonusChance = Math.random();
-            const threshold = 0.40 + (Math.random() * 0.20); // Random between 0.40 and 0.60
+            const bonusChance = rng.random('village-bonus-item');
+            const threshold = 0.40 + (rng.random('village-bonus-chance') * 0.20); // Random between 0.40 and 0.60
             logger.info('GATHER', `🏘️ Village Level 3 quantity bonus check: ${(bonusChance * 100).toFixed(1)}% rolled vs ${(threshold * 100).toFixed(1)}% threshold`);
             if (bonusChance < threshold) {
               // Determine bonus amount: 50% chance for +1, 50% chance for +2
-              const bonusAmount = Math.random() < 0.5 ? 1 : 2;
+              const bonusAmount = rng.randomInt(1, 2, 'village-bonus-amount');
               quantity = 1 + bonusAmount;
               villageBonusInfo = { level: 3, bonus: bonusAmount };
               logger.info('GATHER', `🏘️ Village Level 3 quantity bonus APPLIED: +${bonusAmount} items (total: ${quantity})`);
@@ -1337,7 +1378,7 @@ module.exports = {
 
           if (entertainerBonusPool.length > 0) {
             // Select a random entertainer item as bonus
-            const bonusIndex = Math.floor(Math.random() * entertainerBonusPool.length);
+            const bonusIndex = rng.randomInt(0, entertainerBonusPool.length - 1, 'entertainer-bonus-item');
             bonusItem = entertainerBonusPool[bonusIndex];
             if (isAprilFoolsEastern()) {
               bonusItem = await toAprilFoolsGatherItem(bonusItem);
@@ -1407,6 +1448,15 @@ module.exports = {
         // Debug info removed to reduce log bloat
         
         const embed = await createGatherEmbed(character, randomItem, bonusItem, isDivineItemWithPriestBoost, boosterCharacter, scholarTargetVillage, villageBonusInfo, quantity);
+        addWeatherEffectsField(embed, weatherEffects, 'gather');
+        const gatheredItems = [{ itemName: randomItem.itemName, quantity: quantity + stickyGatherExtras }];
+        if (bonusItem && isEntertainerBoost) gatheredItems.push({ itemName: bonusItem.itemName, quantity: 1 });
+        const rollRecord = await recordGatherRoll(
+          { gatheringRegion, encounterRoll: randomChance, bloodMoonActive },
+          { outcome: 'gathered', items: gatheredItems },
+          `Gathered ${quantity}x ${randomItem.itemName}`
+        );
+        rng.appendRollIdToFooter(embed, rollRecord?.rollId);
         if (stickyGatherExtras > 0) {
           const prev = embed.data?.description || '';
           embed.setDescription(
@@ -1525,5 +1575,4 @@ module.exports = {
         }
       }
     }
-  },
-};
\ No newline at end of file
+}
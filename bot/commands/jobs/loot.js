@@ -44,7 +44,7 @@ const { getWeatherWithoutGeneration } = require('@/services/weatherService');
 // Modules - Job, Location, Damage, and Formatting Logic
 const { getJobPerk, isValidJob } = require("../../modules/jobsModule.js");
 const { getVillageRegionByName } = require("../../modules/locationsModule.js");
-const { getEncounterOutcome } = require("../../modules/encounterModule.js");
+const { getEncounterOutcome, emitMonsterDefeated } = require("../../modules/encounterModule.js");
 const { capitalizeWords } = require("../../modules/formattingModule.js");
 const {
  activateJobVoucher,
@@ -67,6 +67,14 @@ const {
  getRandomBloodMoonEncounter,
 } = require("../../modules/rngModule.js");
 
+// Modules - Weather Effects
+const {
+ getActiveWeatherEffects,
+ applyWeatherToWeightedItems,
+ applyWeatherToMonsterPool,
+ addWeatherEffectsField,
+} = require("../../modules/weatherEffectsModule.js");
+
 // Event Handlers
 const { triggerRaid } = require('../../modules/raidModule.js');
 const { capitalizeVillageName } = require('@/utils/stringUtils');
@@ -114,6 +122,7 @@ const villageChannels = {
 
 // Modules - Weather Logic
 const { getCurrentWeather } = require('@/services/weatherService');
+const rng = require('@/services/rngService');
 
 // ------------------- Helper Functions -------------------
 
@@ -336,7 +345,14 @@ module.exports = {
   ),
 
  // ------------------- Main Execution Logic -------------------
- async execute(interaction) {
+ // Every draw of a /loot run comes from one seeded roll session so it can be replayed
+ execute(interaction) {
+  return rng.runWithRollSession(() => runLoot(interaction));
+ },
+};
+
+// ------------------- Loot Command Body -------------------
+async function runLoot(interaction) {
   try {
    logger.info('LOOT', `Starting for ${interaction.user.tag}`);
    
@@ -441,6 +457,7 @@ module.exports = {
      generateIfMissing: true,
      discordClient: interaction.client
    });
+   const weatherEffects = getActiveWeatherEffects(weather);
    let blightRainMessage = null;
    if (weather?.special?.label === 'Blight Rain') {
      // Mod characters and Hibiki are immune to blight infection
@@ -489,7 +506,7 @@ module.exports = {
        // Ensure chance stays within reasonable bounds
        infectionChance = Math.max(0.1, Math.min(0.95, infectionChance));
        
-       if (Math.random() < infectionChance) {
+       if (rng.chance(infectionChance, 'blight-rain-infection')) {
          blightRainMessage = 
            "<:blight_eye:805576955725611058> **Blight Rain!**\n\n" +
            `◈ Oh no... your character **${character.name}** has come into contact with the blight rain and has been **blighted**! ◈\n\n` +
@@ -543,7 +560,7 @@ module.exports = {
   let lightningStrikeMessage = null;
   if (weather?.special?.label === 'Lightning Storm') {
     const lightningStrikeChance = 0.015; // 1.5% chance
-    if (Math.random() < lightningStrikeChance) {
+    if (rng.chance(lightningStrikeChance, 'lightning-strike')) {
       // Character struck by lightning - 1 heart damage
       const { useHearts } = require('../../modules/characterStatsModule');
       await useHearts(character._id, 1, { source: 'lightning_strike' });
@@ -654,7 +671,7 @@ module.exports = {
    let encounteredMonster;
    
    // Generate the initial dice roll for the encounter (used for both normal and Blood Moon encounters)
-   const originalRoll = Math.floor(Math.random() * 100) + 1;
+   const originalRoll = rng.randomInt(1, 100, 'encounter-d100');
 
    if (bloodMoonActive) {
     try {
@@ -695,7 +712,7 @@ module.exports = {
      // Proceed if a monster is found; else attempt reroll logic
      if (filteredMonsters.length > 0) {
       encounteredMonster =
-       filteredMonsters[Math.floor(Math.random() * filteredMonsters.length)];
+       rng.pick(applyWeatherToMonsterPool(filteredMonsters, weatherEffects), 'encounter-monster');
 
       if (encounteredMonster.tier > 4) {
        // ------------------- Trigger Blood Moon Raid (voucher consumption only on success) -------------------
@@ -753,7 +770,8 @@ module.exports = {
        currentVillage,
        true, // Blood Moon status
        originalRoll, // Pass originalRoll for blight boost display
-       weatherMessage // Pass combined weather messages
+       weatherMessage, // Pass combined weather messages
+       weatherEffects
       );
       return; // Stop if reroll is needed and executed
      }
@@ -778,7 +796,8 @@ module.exports = {
      currentVillage,
      job,
      character,
-     bloodMoonActive
+     bloodMoonActive,
+     weatherEffects
     );
 
     if (!encounteredMonster) {
@@ -796,7 +815,8 @@ module.exports = {
     bloodMoonActive,
     character.jobVoucher && !voucherCheck?.skipVoucher, // Deactivate job voucher if needed
     originalRoll, // Pass originalRoll for blight boost display
-    weatherMessage // Pass combined weather messages
+    weatherMessage, // Pass combined weather messages
+    weatherEffects
    );
 
    
@@ -848,8 +868,7 @@ module.exports = {
       }
     }
   }
- },
-};
+}
 
 // ------------------- Blood Moon Rerolls Logic -------------------
 async function handleBloodMoonRerolls(
@@ -861,20 +880,21 @@ async function handleBloodMoonRerolls(
  currentVillage,
  bloodMoonActive,
  originalRoll = null,
- weatherMessage = null
+ weatherMessage = null,
+ weatherEffects = []
 ) {
  let rerollCount = 0;
  const maxRerolls = 5; // Limit the number of rerolls to prevent infinite loops
 
  while (rerollCount < maxRerolls) {
-  const rerollTier = Math.floor(Math.random() * 10) + 1; // Randomly choose a tier (1-10)
+  const rerollTier = rng.randomInt(1, 10, 'blood-moon-reroll-tier'); // Randomly choose a tier (1-10)
   const rerolledMonsters = monstersByCriteria.filter(
    (monster) => monster.tier === rerollTier
   );
 
    if (rerolledMonsters.length > 0) {
    const encounteredMonster =
-    rerolledMonsters[Math.floor(Math.random() * rerolledMonsters.length)];
+    rng.pick(applyWeatherToMonsterPool(rerolledMonsters, weatherEffects), 'blood-moon-reroll-monster');
 
    if (encounteredMonster.tier > 4) {
     // ------------------- Trigger Blood Moon Raid on reroll (voucher consumption only on success) -------------------
@@ -924,7 +944,8 @@ async function handleBloodMoonRerolls(
      bloodMoonActive,
      true, // Deactivate job voucher for reroll encounters
     originalRoll, // Pass originalRoll for blight boost display
-    weatherMessage // Pass combined weather messages
+    weatherMessage, // Pass combined weather messages
+    weatherEffects
     );
     return; // End reroll processing after looting
    }
@@ -941,7 +962,7 @@ async function handleBloodMoonRerolls(
 }
 
 // ------------------- Normal Encounter Logic -------------------
-async function handleNormalEncounter(interaction, currentVillage, job, character, bloodMoonActive) {
+async function handleNormalEncounter(interaction, currentVillage, job, character, bloodMoonActive, weatherEffects = []) {
   logger.info('LOOT', `handleNormalEncounter called for ${character.name} in ${currentVillage} with job ${job}`);
   
   // Check for blight stage 3 effect (no monsters)
@@ -964,7 +985,7 @@ async function handleNormalEncounter(interaction, currentVillage, job, character
     return null;
   }
 
-  const encounterResult = await getMonsterEncounterFromList(monstersByCriteria);
+  const encounterResult = await getMonsterEncounterFromList(applyWeatherToMonsterPool(monstersByCriteria, weatherEffects));
   logger.info('LOOT', `Encounter result: ${encounterResult.encounter}`);
   
   if (encounterResult.encounter === "No Encounter") {
@@ -975,10 +996,7 @@ async function handleNormalEncounter(interaction, currentVillage, job, character
     return null;
   }
 
-  const encounteredMonster =
-    encounterResult.monsters[
-      Math.floor(Math.random() * encounterResult.monsters.length)
-    ];
+  const encounteredMonster = rng.pick(encounterResult.monsters, 'encounter-monster');
   
   logger.info('LOOT', `Selected monster from encounter: ${encounteredMonster.name}`);
 
@@ -995,7 +1013,8 @@ async function processLootingLogic(
  bloodMoonActive,
  shouldDeactivateVoucher = false,
  originalRoll = null,
- weatherMessage = null
+ weatherMessage = null,
+ weatherEffects = []
 ) {
   try {
   // ------------------- Fetch Village Level -------------------
@@ -1005,14 +1024,14 @@ async function processLootingLogic(
   const items = await fetchItemsByMonster(encounteredMonster.name);
 
   // Step 1: Calculate Encounter Outcome
-  let diceRoll = Math.floor(Math.random() * 100) + 1;
+  let diceRoll = rng.randomInt(1, 100, 'loot-d100');
   
   // ------------------- Apply Village Combat Effectiveness Bonuses -------------------
   // Level 2: +1-3 to dice roll, Level 3: +3-5 to dice roll
   if (villageLevel >= 2) {
     const combatBonus = villageLevel === 2 
-      ? Math.floor(Math.random() * 3) + 1  // +1 to +3
-      : Math.floor(Math.random() * 3) + 3;  // +3 to +5
+      ? rng.randomInt(1, 3, 'village-combat-bonus')  // +1 to +3
+      : rng.randomInt(3, 5, 'village-combat-bonus');  // +3 to +5
     const originalDiceRoll = diceRoll;
     diceRoll = Math.min(100, diceRoll + combatBonus);
     if (diceRoll > originalDiceRoll) {
@@ -1097,7 +1116,10 @@ async function processLootingLogic(
 
   // Determine job for createWeightedItemList (use jobVoucherJob if active, otherwise default job)
   const jobForWeighting = character.jobVoucher && character.jobVoucherJob ? character.jobVoucherJob : character.job;
-  let weightedItems = createWeightedItemList(items, adjustedRandomValue, jobForWeighting, villageLevel);
+  let weightedItems = applyWeatherToWeightedItems(
+   createWeightedItemList(items, adjustedRandomValue, jobForWeighting, villageLevel),
+   weatherEffects
+  );
   
   // Build roll display showing progression: original → blight → elemental → boost
   let rollDisplay = `${originalRoll}`;
@@ -1126,7 +1148,8 @@ async function processLootingLogic(
    damageValue,
    adjustedRandomValue,
    attackSuccess,
-   defenseSuccess
+   defenseSuccess,
+   { weatherEffects }
   );
 
   // Track whether a Fortune Teller reroll occurred and whether it improved the outcome
@@ -1155,13 +1178,13 @@ async function processLootingLogic(
       } catch {}
 
       // Perform a single reroll end-to-end
-      let diceRollReroll = Math.floor(Math.random() * 100) + 1;
+      let diceRollReroll = rng.randomInt(1, 100, 'fortune-reroll-d100');
       
       // Apply village combat effectiveness bonus to reroll as well
       if (villageLevel >= 2) {
         const combatBonus = villageLevel === 2 
-          ? Math.floor(Math.random() * 3) + 1  // +1 to +3
-          : Math.floor(Math.random() * 3) + 3;  // +3 to +5
+          ? rng.randomInt(1, 3, 'village-combat-bonus')  // +1 to +3
+          : rng.randomInt(3, 5, 'village-combat-bonus');  // +3 to +5
         diceRollReroll = Math.min(100, diceRollReroll + combatBonus);
       }
       
@@ -1182,7 +1205,8 @@ async function processLootingLogic(
         damageValueReroll,
         adjustedRandomValueReroll,
         attackSuccessReroll,
-        defenseSuccessReroll
+        defenseSuccessReroll,
+        { weatherEffects }
       );
 
       // Determine how many hearts were deducted by the reroll's getEncounterOutcome side-effect
@@ -1257,7 +1281,10 @@ async function processLootingLogic(
 
         // Recompute weighted items with the new adjusted roll (include village level for rarity bonuses)
         const jobForWeightingReroll = character.jobVoucher && character.jobVoucherJob ? character.jobVoucherJob : character.job;
-        const newWeightedItems = createWeightedItemList(items, adjustedRandomValue, jobForWeightingReroll, villageLevel);
+        const newWeightedItems = applyWeatherToWeightedItems(
+          createWeightedItemList(items, adjustedRandomValue, jobForWeightingReroll, villageLevel),
+          weatherEffects
+        );
         // Replace reference used later
         weightedItems = newWeightedItems; // ensure later references use updated weights
 
@@ -1402,8 +1429,8 @@ async function processLootingLogic(
   let villageDamageReduction = 0;
   if (villageLevel >= 2 && outcome.hearts && outcome.hearts > 0 && outcome.result !== 'KO') {
     const reductionPercentage = villageLevel === 2
-      ? Math.random() * 0.05 + 0.05  // Random between 0.05 and 0.10 (5-10%)
-      : Math.random() * 0.05 + 0.10;  // Random between 0.10 and 0.15 (10-15%)
+      ? rng.random('village-damage-reduction') * 0.05 + 0.05  // Random between 0.05 and 0.10 (5-10%)
+      : rng.random('village-damage-reduction') * 0.05 + 0.10;  // Random between 0.10 and 0.15 (10-15%)
     
     const originalHeartDamage = outcome.hearts;
     const reducedDamage = Math.max(1, Math.floor(originalHeartDamage * (1 - reductionPercentage)));
@@ -1449,12 +1476,12 @@ async function processLootingLogic(
     logger.info('LOOT', `[VILLAGE_DAMAGE_CHECK] ✅ All conditions met! Checking 12.5% chance for village damage...`);
     try {
       const DAMAGE_CHANCE = 0.125;
-      const roll = Math.random();
+      const roll = rng.random('teacher-damage');
       logger.info('LOOT', `[VILLAGE_DAMAGE_CHECK] Damage chance roll: ${(roll * 100).toFixed(2)}% (need < ${(DAMAGE_CHANCE * 100).toFixed(1)}%)`);
       
       if (roll < DAMAGE_CHANCE) {
         // Damage amount: 1-3 HP (random between 1 and 3)
-        const damageAmount = Math.floor(Math.random() * 3) + 1; // 1, 2, or 3 HP
+        const damageAmount = rng.randomInt(1, 3, 'teacher-damage-amount'); // 1, 2, or 3 HP
         
         const { damageVillage } = require('../../modules/villageModule');
         const { capitalizeFirstLetter } = require('../../modules/formattingModule');
@@ -1519,6 +1546,10 @@ async function processLootingLogic(
     logger.error('BOOST', `Failed to determine boost unused state: ${e.message}`);
   }
 
+  if (outcome.canLoot) {
+   emitMonsterDefeated(character, encounteredMonster, "loot");
+  }
+
   // Step 4: Loot Item Logic
   let lootedItems = null;
   if (outcome.canLoot && weightedItems.length > 0) {
@@ -1555,6 +1586,7 @@ async function processLootingLogic(
     elementalCombatInfo, // Elemental weapon vs monster advantage/disadvantage
     elixirRollMeta
     );
+    addWeatherEffectsField(embed, weatherEffects, 'loot');
     
     // Update timestamp and clear boost only if damage was taken
     await updateCharacterLootTimestamp(character, damageWasTaken, interaction.client);
@@ -1570,7 +1602,7 @@ async function processLootingLogic(
   let chestItemMessage = '';
   if (outcome.result === "Win!/Loot" || outcome.result === "Win!/Loot (1HKO)") {
     if (encounteredMonster.name === 'Like Like') {
-      const chestDropChance = Math.random();
+      const chestDropChance = rng.random('like-like-chest');
       if (chestDropChance < 0.25) { // 25% chance to get extra item
         const allItems = await fetchAllItems();
         if ((allItems && allItems.length > 0) || isAprilFoolsEastern()) {
@@ -1581,7 +1613,7 @@ async function processLootingLogic(
             chestName = p.itemName;
             itemEmoji = p.emoji || '🧚';
           } else {
-            const randomItem = allItems[Math.floor(Math.random() * allItems.length)];
+            const randomItem = rng.pick(allItems, 'like-like-chest-item');
             chestName = randomItem.itemName;
             itemEmoji = randomItem.emoji || '📦';
           }
@@ -1611,6 +1643,26 @@ async function processLootingLogic(
     outcomeMessage += chestItemMessage;
   }
 
+  // ------------------- Record Roll -------------------
+  const rollRecord = await rng.recordRoll({
+   kind: 'loot',
+   character,
+   userId: interaction.user.id,
+   inputs: {
+    monster: encounteredMonster.name,
+    originalRoll,
+    adjustedRandomValue,
+    villageLevel,
+    bloodMoonActive: !!bloodMoonActive
+   },
+   result: {
+    outcome: outcome.result,
+    hearts: outcome.hearts || 0,
+    items: (lootedItems || []).map(item => ({ itemName: item.itemName, quantity: item.quantity || 1 }))
+   },
+   summary: `${outcome.result} vs ${encounteredMonster.name}`
+  });
+
   // Create embed BEFORE clearing boost so boost info can be retrieved
   const embed = await createMonsterEncounterEmbed(
    character,
@@ -1636,6 +1688,8 @@ async function processLootingLogic(
    elementalCombatInfo, // Elemental weapon vs monster advantage/disadvantage
    elixirRollMeta
    );
+  addWeatherEffectsField(embed, weatherEffects, 'loot');
+  rng.appendRollIdToFooter(embed, rollRecord?.rollId);
   
   // Update request embed to Fulfilled BEFORE clearing the boost
   try {
@@ -1788,22 +1842,22 @@ async function generateLootedItem(encounteredMonster, weightedItems, character,
      
      if (highestRarityItems.length > 0) {
        // Randomly select from the highest rarity items
-       const randomIndex = Math.floor(Math.random() * highestRarityItems.length);
+       const randomIndex = rng.randomInt(0, highestRarityItems.length - 1, 'loot-item');
        lootedItem = highestRarityItems[randomIndex];
        logger.info('LOOT', `🙏 Priest Divine Blessing: Selected highest rarity item (${maxRarity}) for ${character.name}`);
      } else {
        // Fallback to normal selection if no rarity found
-       const randomIndex = Math.floor(Math.random() * weightedItems.length);
+       const randomIndex = rng.randomInt(0, weightedItems.length - 1, 'loot-item');
        lootedItem = weightedItems[randomIndex];
      }
    } else {
      // Normal random selection for other boosts or no boost
-     const randomIndex = Math.floor(Math.random() * weightedItems.length);
+     const randomIndex = rng.randomInt(0, weightedItems.length - 1, 'loot-item');
      lootedItem = weightedItems[randomIndex];
    }
  } else {
    // Normal random selection if no boost
-   const randomIndex = Math.floor(Math.random() * weightedItems.length);
+   const randomIndex = rng.randomInt(0, weightedItems.length - 1, 'loot-item');
    lootedItem = weightedItems[randomIndex];
  }
 
@@ -1861,11 +1915,11 @@ async function generateLootedItem(encounteredMonster, weightedItems, character,
    
    // Level 2: Check for +1 bonus
    if (villageLevel === 2) {
-     const bonusChance = Math.random() * 0.05 + 0.05; // Random between 0.05 and 0.10 (5-10%)
-     if (Math.random() < bonusChance) {
+     const bonusChance = rng.random('village-bonus-chance') * 0.05 + 0.05; // Random between 0.05 and 0.10 (5-10%)
+     if (rng.chance(bonusChance, 'village-bonus-item')) {
        const bonusWeightedItems = createWeightedItemList(items, adjustedRandomValue, jobForWeighting, villageLevel);
        if (bonusWeightedItems.length > 0) {
-         const bonusIndex = Math.floor(Math.random() * bonusWeightedItems.length);
+         const bonusIndex = rng.randomInt(0, bonusWeightedItems.length - 1, 'village-bonus-item');
          const bonusItem = { ...bonusWeightedItems[bonusIndex] };
          bonusItem.quantity = 1;
          resultItems.push(bonusItem);
@@ -1876,15 +1930,15 @@ async function generateLootedItem(encounteredMonster, weightedItems, character,
    
    // Level 3: Check for +1 or +2 bonus
    if (villageLevel === 3) {
-     const roll = Math.random();
-     const bonus1Chance = 0.10 + Math.random() * 0.05; // Random between 0.10 and 0.15 (10-15%)
-     const bonus2Chance = 0.02 + Math.random() * 0.01; // Random between 0.02 and 0.03 (2-3%)
+     const roll = rng.random('village-bonus-item');
+     const bonus1Chance = 0.10 + rng.random('village-bonus-chance') * 0.05; // Random between 0.10 and 0.15 (10-15%)
+     const bonus2Chance = 0.02 + rng.random('village-bonus-chance') * 0.01; // Random between 0.02 and 0.03 (2-3%)
      
      if (roll < bonus2Chance) {
        // +2 bonus items
        const bonusWeightedItems = createWeightedItemList(items, adjustedRandomValue, jobForWeighting, villageLevel);
        for (let i = 0; i < 2 && bonusWeightedItems.length > 0; i++) {
-         const bonusIndex = Math.floor(Math.random() * bonusWeightedItems.length);
+         const bonusIndex = rng.randomInt(0, bonusWeightedItems.length - 1, 'village-bonus-item');
          const bonusItem = { ...bonusWeightedItems[bonusIndex] };
          bonusItem.quantity = 1;
          resultItems.push(bonusItem);
@@ -1894,7 +1948,7 @@ async function generateLootedItem(encounteredMonster, weightedItems, character,
        // +1 bonus item
        const bonusWeightedItems = createWeightedItemList(items, adjustedRandomValue, jobForWeighting, villageLevel);
        if (bonusWeightedItems.length > 0) {
-         const bonusIndex = Math.floor(Math.random() * bonusWeightedItems.length);
+         const bonusIndex = rng.randomInt(0, bonusWeightedItems.length - 1, 'village-bonus-item');
          const bonusItem = { ...bonusWeightedItems[bonusIndex] };
          bonusItem.quantity = 1;
          resultItems.push(bonusItem);
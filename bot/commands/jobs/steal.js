@@ -16,7 +16,8 @@ const {
     fetchModCharacterByNameAndUserId 
 } = require('@/database/db');
 const { removeItemInventoryDatabase, addItemInventoryDatabase, syncToInventoryDatabase, logItemAcquisitionToDatabase, logItemRemovalToDatabase } = require('@/utils/inventoryUtils');
-const { getNPCItems, NPCs, getStealFlavorText, getStealFailText } = require('../../modules/NPCsModule');
+const { getNPCItems, loadNPCRegistry, getNPCRegistry, getStealFlavorText, getStealFailText } = require('../../modules/NPCsModule');
+const { getNPCAvailability } = require('@tinglebot/shared/lib/npcRegistry');
 // Google Sheets functionality removed
 // Google Sheets validation removed - isValidGoogleSheetsUrl and extractSpreadsheetId no longer available
 const ItemModel = require('@/models/ItemModel');
@@ -36,6 +37,8 @@ const { checkJailStatus, sendToJail, formatJailTimeLeftDaysHours, DEFAULT_JAIL_D
 
 // Add StealStats model
 const StealStats = require('@/models/StealStatsModel');
+const { emitGameEvent } = require('@/utils/gameEvents');
+const rng = require('@/services/rngService');
 
 // Add NPC model for global steal protection tracking
 const NPC = require('@/models/NPCModel');
@@ -77,13 +80,6 @@ const FAILURE_CHANCES = {
     uncommon: 50
 };
 
-// ------------------- NPC Difficulty Modifiers -------------------
-// Zone and Peddler are harder to steal from due to uncommon items
-const NPC_DIFFICULTY_MODIFIERS = {
-    Zone: 18,      // +18 to failure threshold (harder to succeed)
-    Peddler: 15    // +15 to failure threshold (harder to succeed)
-};
-
 // ------------------- Error Messages -------------------
 const ERROR_MESSAGES = {
     CHARACTER_NOT_FOUND: '❌ **Character not found.**',
@@ -206,7 +202,8 @@ async function updateDailySteal(character, activity) {
 // This system ensures that if the requested rarity isn't available, the system
 // gracefully falls back to lower rarities rather than failing completely.
 // The fallback is transparent to the user but provides feedback when it occurs.
-async function selectItemsWithFallback(itemsWithRarity, targetRarity) {
+// rarityWeights (optional, per NPC) overrides RARITY_WEIGHTS for the rarities it lists.
+async function selectItemsWithFallback(itemsWithRarity, targetRarity, rarityWeights = null) {
     // Rarity mapping: 1-4 = common, 5 = uncommon (only rarity 1-5 allowed)
     const RARITY_MAPPING = {
         common: { min: 1, max: 4 },
@@ -226,7 +223,7 @@ async function selectItemsWithFallback(itemsWithRarity, targetRarity) {
         .map(({ itemName, itemRarity }) => {
             let tier = 'common';
             if (itemRarity >= 5) tier = 'uncommon';
-            return { itemName, itemRarity, tier, weight: RARITY_WEIGHTS[itemRarity] };
+            return { itemName, itemRarity, tier, weight: rarityWeights?.[itemRarity] ?? RARITY_WEIGHTS[itemRarity] };
         });
     
     // Try each tier in the fallback hierarchy
@@ -326,7 +323,7 @@ async function createStealResultEmbed(thiefCharacter, targetCharacter, item, qua
     let npcIcon = null;
     if (isNPC) {
         const npcName = typeof targetCharacter === 'string' ? targetCharacter : targetCharacter.name;
-        const npcData = NPCs[npcName];
+        const npcData = (await loadNPCRegistry())[npcName];
         if (npcData) {
             if (isSuccess) {
                 // Use success flavor text for successful steals
@@ -556,7 +553,7 @@ function createJailBlockEmbed(targetName, timeLeft, targetIcon, thiefIcon) {
         `*You'd have better luck stealing from the guards than from someone locked up.*`
     ];
     
-    const randomMessage = jailMessages[Math.floor(Math.random() * jailMessages.length)];
+    const randomMessage = rng.pick(jailMessages, 'jail-flavor');
     
     const embed = new EmbedBuilder()
         .setColor(0x8B4513) // Brown color for jail theme
@@ -977,8 +974,9 @@ async function getAllCooldownInfo(characterId = null) {
             players: []
         };
 
-        // Get all NPCs from the NPCs object (source of truth)
-        const allNPCNames = Object.keys(NPCs);
+        // Get all NPCs from the NPC registry (source of truth)
+        const npcRegistry = await loadNPCRegistry();
+        const allNPCNames = Object.keys(npcRegistry);
         
         for (const npcName of allNPCNames) {
             // Get NPC from database if it exists
@@ -1020,7 +1018,7 @@ async function getAllCooldownInfo(characterId = null) {
                 name: npcName,
                 global: globalCooldown,
                 personal: personalCooldown,
-                icon: NPCs[npcName]?.icon || null
+                icon: npcRegistry[npcName]?.icon || null
             });
         }
 
@@ -1114,7 +1112,7 @@ async function getTargetCooldownInfo(characterId, targetName, isNPC) {
                 isNPC: true,
                 global: globalCooldown,
                 personal: personalCooldown,
-                icon: NPCs[npc.name]?.icon || null
+                icon: getNPCRegistry()[npc.name]?.icon || null
             };
         } else {
             const character = await Character.findOne({ name: targetName });
@@ -1354,9 +1352,9 @@ function determineStealQuantity(item) {
     if (item.isNPC) {
         let quantityToSteal = 1;
         if (item.tier === 'common') {
-            quantityToSteal = Math.floor(Math.random() * 3) + 1; // 1-3
+            quantityToSteal = rng.randomInt(1, 3, 'steal-quantity'); // 1-3
         } else if (item.tier === 'uncommon') {
-            quantityToSteal = Math.floor(Math.random() * 2) + 1; // 1-2
+            quantityToSteal = rng.randomInt(1, 2, 'steal-quantity'); // 1-2
         }
         return quantityToSteal;
     }
@@ -1366,9 +1364,9 @@ function determineStealQuantity(item) {
     let quantityToSteal = 1;
     
     if (item.tier === 'common') {
-        quantityToSteal = Math.min(availableQuantity, Math.floor(Math.random() * 3) + 1);
+        quantityToSteal = Math.min(availableQuantity, rng.randomInt(1, 3, 'steal-quantity'));
     } else if (item.tier === 'uncommon') {
-        quantityToSteal = Math.min(availableQuantity, Math.floor(Math.random() * 2) + 1);
+        quantityToSteal = Math.min(availableQuantity, rng.randomInt(1, 2, 'steal-quantity'));
     }
     
     return quantityToSteal;
@@ -1379,7 +1377,7 @@ function getRandomItemByWeight(items) {
         (acc, item) => acc + (item.weight !== undefined ? item.weight : RARITY_WEIGHTS[item.itemRarity]),
         0
     );
-    let randomValue = Math.random() * totalWeight;
+    let randomValue = rng.random('steal-item') * totalWeight;
     for (const item of items) {
         const currentWeight = item.weight !== undefined ? item.weight : RARITY_WEIGHTS[item.itemRarity];
         randomValue -= currentWeight;
@@ -1613,7 +1611,7 @@ async function checkBlightInfection(thiefCharacter, targetCharacter, isNPC, inte
     }
 
     // 50% chance of infection
-    const infectionRoll = Math.random();
+    const infectionRoll = rng.random('blight-infection');
     if (infectionRoll > 0.5) {
         return { infected: false, message: null };
     }
@@ -1657,6 +1655,7 @@ async function checkBlightInfection(thiefCharacter, targetCharacter, isNPC, inte
 async function handleStealSuccess(thiefCharacter, targetCharacter, selectedItem, quantity, roll, failureThreshold, isNPC, interaction, voucherCheck, usedFallback, targetRarity, selectedTier, boostInfo = null) {
     incrementStreak(interaction.user.id);
     await updateStealStats(thiefCharacter._id, true, selectedItem.tier, isNPC ? null : targetCharacter, isNPC, isNPC ? targetCharacter : null);
+    emitGameEvent('steal.succeeded', { userId: thiefCharacter.userId, characterId: String(thiefCharacter._id), characterName: thiefCharacter.name });
     const isSuccess = true;
     
     // Check for blight infection
@@ -2008,7 +2007,7 @@ async function handleStealFailure(thiefCharacter, targetCharacter, selectedItem,
 // ------------------- Centralized Roll Generation -------------------
 // Centralized roll generation to eliminate duplication
 async function generateStealRoll(character = null) {
-    let roll = Math.floor(Math.random() * 99) + 1;
+    let roll = rng.randomInt(1, 99, 'steal-d99');
     logger.debug('JOB', `🎲 Base steal roll: ${roll}${character ? ` | character: ${character.name}` : ''}`);
     
     // ============================================================================
@@ -2046,10 +2045,10 @@ async function calculateFailureThreshold(itemTier, character = null, targetName
     // Apply Stealing boosts to the failure threshold
     threshold = await applyStealingJailBoost(character.name, threshold);
     
-    // Apply NPC-specific difficulty modifiers
-    if (targetName && NPC_DIFFICULTY_MODIFIERS[targetName]) {
+    // Apply NPC-specific difficulty modifiers from the NPC registry
+    const difficultyBonus = targetName ? getNPCRegistry()[targetName]?.stealDifficulty : 0;
+    if (difficultyBonus) {
         // Some NPCs are harder to steal from due to uncommon items
-        const difficultyBonus = NPC_DIFFICULTY_MODIFIERS[targetName];
         threshold += difficultyBonus;
         
         // Cap the threshold at 95 to prevent impossible steals
@@ -2894,39 +2893,52 @@ module.exports = {
 };
 
 // ------------------- NPC Validation Helper -------------------
-function validateNPCTarget(targetName) {
-    // Safety check: ensure NPCs is available
-    if (!NPCs || typeof NPCs !== 'object') {
-        logger.error('NPC', '❌ Critical error - NPCs object is not available');
+// npcRegistry comes from loadNPCRegistry(); village is the thief's current village
+function validateNPCTarget(targetName, npcRegistry, village = null) {
+    // Safety check: ensure the NPC registry is available
+    if (!npcRegistry || typeof npcRegistry !== 'object') {
+        logger.error('NPC', '❌ Critical error - NPC registry is not available');
         return { 
             valid: false, 
-            error: '❌ **System Error: NPC data not available**\n\n**Please contact a mod immediately and submit an error report.**\n\n**Error Details:** NPCs module failed to load properly.'
+            error: '❌ **System Error: NPC data not available**\n\n**Please contact a mod immediately and submit an error report.**\n\n**Error Details:** NPC registry failed to load properly.'
         };
     }
     
-    // Check if the target name exists in the NPCs object
-    if (NPCs[targetName]) {
-        return { valid: true, npcName: targetName };
+    // Check if the target name exists in the registry
+    // If not found, check if it might be a display name (e.g., "Lukan | Orchard Keeper")
+    let npcName = null;
+    if (npcRegistry[targetName]) {
+        npcName = targetName;
+    } else if (targetName.includes(' | ') && npcRegistry[targetName.split(' | ')[0]]) {
+        npcName = targetName.split(' | ')[0];
     }
     
-    // If not found, check if it might be a display name (e.g., "Lukan | Orchard Keeper")
-    // Extract the actual NPC name from the display format
-    if (targetName.includes(' | ')) {
-        const actualNPCName = targetName.split(' | ')[0];
-        if (NPCs[actualNPCName]) {
-            return { valid: true, npcName: actualNPCName };
+    if (npcName) {
+        const npc = npcRegistry[npcName];
+        const availability = getNPCAvailability(npc, { village });
+        if (availability.available) {
+            return { valid: true, npcName };
         }
+        
+        const unavailableMessages = {
+            village: `❌ **${npcName} isn't in ${village} right now!**\n🏘️ ${npc.pronouns.subject} can only be stolen from in **${npc.village}**.`,
+            schedule: `❌ **${npcName} isn't around right now!**\n📅 Try again later or try stealing from a different NPC.`,
+            inactive: `❌ **${npcName} can't be stolen from right now.**\n🔄 Please try stealing from a different NPC.`
+        };
+        return { valid: false, error: unavailableMessages[availability.reason] || unavailableMessages.inactive };
     }
     
     // If still not found, return available NPCs for error message
-    const availableNPCs = Object.keys(NPCs).map(npc => {
-        const profession = NPCs[npc].profession;
-        let role = profession;
-        if (npc === 'Lil Tim') {
-            role = 'Cucco';
-        }
-        return `• **${npc}** (${role})`;
-    }).join('\n');
+    const availableNPCs = Object.keys(npcRegistry)
+        .filter(npc => getNPCAvailability(npcRegistry[npc], { village }).available)
+        .map(npc => {
+            const profession = npcRegistry[npc].profession;
+            let role = profession;
+            if (npc === 'Lil Tim') {
+                role = 'Cucco';
+            }
+            return `• **${npc}** (${role})`;
+        }).join('\n');
     
     return { 
         valid: false, 
@@ -2940,7 +2952,8 @@ function validateNPCTarget(targetName) {
 async function validateStealTarget(targetName, targetType, thiefCharacter, interaction) {
     try {
         if (targetType === 'npc') {
-            const npcValidation = validateNPCTarget(targetName);
+            const npcRegistry = await loadNPCRegistry();
+            const npcValidation = validateNPCTarget(targetName, npcRegistry, thiefCharacter.currentVillage);
             if (!npcValidation.valid) {
                 logger.warn('NPC', `❌ NPC validation failed - targetName: "${targetName}"`);
                 return { valid: false, error: npcValidation.error };
@@ -2952,7 +2965,7 @@ async function validateStealTarget(targetName, targetType, thiefCharacter, inter
             if (mappedNPCName === 'Zone') {
                 try {
                     // Check if Zone NPC data is properly loaded
-                    if (!NPCs || !NPCs[mappedNPCName]) {
+                    if (!npcRegistry[mappedNPCName]) {
                         logger.error('NPC', '❌ Zone NPC data not available');
                         return { 
                             valid: false, 
@@ -2990,7 +3003,7 @@ async function validateStealTarget(targetName, targetType, thiefCharacter, inter
             const npcProtection = await isProtected(mappedNPCName);
             if (npcProtection.protected) {
                 const timeLeftMinutes = Math.ceil(npcProtection.timeLeft / (60 * 1000));
-                const npcIcon = NPCs[mappedNPCName]?.icon || null;
+                const npcIcon = npcRegistry[mappedNPCName]?.icon || null;
                 const protectionEmbed = createProtectionEmbed(mappedNPCName, timeLeftMinutes, true, npcProtection.type, npcIcon);
                 await interaction.editReply({ embeds: [protectionEmbed] });
                 return { valid: false, error: 'NPC is protected' };
@@ -3008,7 +3021,7 @@ async function validateStealTarget(targetName, targetType, thiefCharacter, inter
                         { name: '⏰ Time Remaining', value: `> **${timeLeft}** until you can steal from this NPC again`, inline: false },
                         { name: '💡 Tip', value: 'Try stealing from other NPCs instead! Each NPC has its own 30-day cooldown.', inline: false }
                     )
-                    .setThumbnail(NPCs[mappedNPCName]?.icon || null)
+                    .setThumbnail(npcRegistry[mappedNPCName]?.icon || null)
                     .setImage('https://storage.googleapis.com/tinglebot/Graphics/border.png')
                     .setFooter({ text: 'Individual NPC cooldown active' })
                     .setTimestamp();
@@ -3307,7 +3320,7 @@ async function processItemsForStealing(targetName, targetType, raritySelection,
             
             try {
                 itemsWithRarity = await processItemsWithRarity(npcInventory, true);
-                const fallbackResult = await selectItemsWithFallback(itemsWithRarity, raritySelection);
+                const fallbackResult = await selectItemsWithFallback(itemsWithRarity, raritySelection, getNPCRegistry()[targetName]?.rarityWeights);
                 filteredItems = fallbackResult.items;
                 selectedTier = fallbackResult.selectedTier;
                 usedFallback = fallbackResult.usedFallback;
@@ -3531,8 +3544,13 @@ async function processItemsForStealing(targetName, targetType, raritySelection,
 }
 
 // ------------------- Centralized Steal Execution -------------------
-// Centralized function to execute the actual steal attempt for both NPCs and players
-async function executeStealAttempt(thiefCharacter, targetName, targetType, raritySelection, targetCharacter, items, selectedTier, usedFallback, interaction, voucherCheck) {
+// Centralized function to execute the actual steal attempt for both NPCs and players.
+// The attempt runs in its own roll session so /mod-roll replay can reproduce it.
+function executeStealAttempt(...args) {
+    return rng.runWithRollSession(() => runStealAttempt(...args));
+}
+
+async function runStealAttempt(thiefCharacter, targetName, targetType, raritySelection, targetCharacter, items, selectedTier, usedFallback, interaction, voucherCheck) {
     try {
                     // Update daily steal only when actually attempting the steal
             if (!thiefCharacter.jobVoucher) {
@@ -3682,6 +3700,15 @@ async function executeStealAttempt(thiefCharacter, targetName, targetType, rarit
                 selectedTier
             );
         }
+
+        await rng.recordRoll({
+            kind: 'steal',
+            character: thiefCharacter,
+            userId: interaction.user.id,
+            inputs: { targetName, targetType, raritySelection, selectedTier, failureThreshold },
+            result: { itemName: selectedItem.itemName, tier: selectedItem.tier, roll, success: isSuccess },
+            summary: `${isSuccess ? 'Stole' : 'Failed to steal'} ${selectedItem.itemName} from ${targetName} (roll ${roll} vs ${failureThreshold})`
+        });
         
         return true;
     } catch (error) {
@@ -0,0 +1,125 @@
+// ============================================================================
+// Mod: Roll replay — reproduce a recorded roll from its seed and draw index
+// ============================================================================
+
+const { SlashCommandBuilder, PermissionsBitField, EmbedBuilder } = require('discord.js');
+const { connectToTinglebot } = require('@/database/db');
+const { handleInteractionError } = require('@/utils/globalErrorHandler');
+const RollLog = require('@/models/RollLogModel');
+const { replayRoll } = require('@/services/rngService');
+
+// Discord embed field values cap at 1024 characters; keep the step list well under it
+const MAX_STEPS_SHOWN = 20;
+
+const modRollCommand = new SlashCommandBuilder()
+  .setName('mod-roll')
+  .setDescription('🎲 Replay recorded loot, blight and minigame rolls')
+  .setDefaultMemberPermissions(PermissionsBitField.Flags.Administrator)
+  .addSubcommand(sub =>
+    sub
+      .setName('replay')
+      .setDescription('Regenerate a recorded roll from its seed and show how it was derived')
+      .addStringOption(opt =>
+        opt
+          .setName('rollid')
+          .setDescription('Roll ID shown on the result (e.g. R1ABC2DEF3)')
+          .setRequired(true)
+      )
+  )
+  .addSubcommand(sub =>
+    sub
+      .setName('recent')
+      .setDescription('List the most recent recorded rolls for a character')
+      .addStringOption(opt =>
+        opt
+          .setName('charactername')
+          .setDescription('Character name')
+          .setRequired(true)
+      )
+  );
+
+// ------------------- Formatting Helpers -------------------
+function formatStep(step) {
+  const derived = step.mapped != null ? ` → **${step.mapped}** (${step.min}–${step.max})` : '';
+  const check = step.match === true ? '✅' : step.match === false ? '❌' : '➖';
+  return `${check} \`#${step.index}\` ${step.label}: ${step.value.toFixed(6)}${derived}`;
+}
+
+function formatJson(value) {
+  const text = JSON.stringify(value ?? null);
+  return text.length > 1000 ? `${text.slice(0, 997)}...` : text;
+}
+
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+async function execute(interaction) {
+  try {
+    await connectToTinglebot();
+    await interaction.deferReply({ ephemeral: true });
+
+    const sub = interaction.options.getSubcommand();
+
+    if (sub === 'replay') {
+      const rollId = interaction.options.getString('rollid').trim().toUpperCase();
+      const rollLog = await RollLog.findOne({ rollId }).lean();
+      if (!rollLog) {
+        return interaction.editReply({ content: `❌ No recorded roll with ID \`${rollId}\`.` });
+      }
+
+      const replay = replayRoll(rollLog);
+      if (replay.error) {
+        return interaction.editReply({ content: `❌ ${replay.error}` });
+      }
+
+      const shown = replay.steps.slice(0, MAX_STEPS_SHOWN).map(formatStep);
+      if (replay.steps.length > MAX_STEPS_SHOWN) {
+        shown.push(`…and ${replay.steps.length - MAX_STEPS_SHOWN} more draw(s)`);
+      }
+
+      const verdict = replay.matches
+        ? (replay.truncated ? '✅ Stored draws match (later draws were not stored, regenerated only)' : '✅ Every draw matches the recorded roll')
+        : '❌ Replay does not match the recorded draws';
+
+      const embed = new EmbedBuilder()
+        .setColor(replay.matches ? 0x57f287 : 0xed4245)
+        .setTitle(`🎲 Roll ${rollLog.rollId} — ${rollLog.kind}`)
+        .setDescription(`${rollLog.summary || 'No summary'}\n\n${verdict}`)
+        .addFields(
+          { name: 'Character', value: rollLog.characterName || 'Unknown', inline: true },
+          { name: 'Seed', value: `\`${rollLog.seed}\``, inline: true },
+          { name: 'Draws', value: `#${rollLog.startIndex}–#${rollLog.startIndex + rollLog.drawCount - 1} (${rollLog.drawCount})`, inline: true },
+          { name: 'Inputs', value: `\`\`\`json\n${formatJson(rollLog.inputs)}\n\`\`\``.slice(0, 1024) },
+          { name: 'Derivation', value: (shown.join('\n') || 'No draws were made').slice(0, 1024) },
+          { name: 'Result', value: `\`\`\`json\n${formatJson(rollLog.result)}\n\`\`\``.slice(0, 1024) }
+        )
+        .setFooter({ text: `Rolled ${new Date(rollLog.createdAt).toISOString()}` });
+
+      return interaction.editReply({ embeds: [embed] });
+    }
+
+    if (sub === 'recent') {
+      const characterName = interaction.options.getString('charactername').trim();
+      const rolls = await RollLog.find({ characterName: { $regex: new RegExp(`^${escapeRegExp(characterName)}$`, 'i') } })
+        .sort({ createdAt: -1 })
+        .limit(15)
+        .lean();
+      if (rolls.length === 0) {
+        return interaction.editReply({ content: `❌ No recorded rolls for **${characterName}**.` });
+      }
+
+      const lines = rolls.map(r =>
+        `\`${r.rollId}\` · ${r.kind} · <t:${Math.floor(new Date(r.createdAt).getTime() / 1000)}:R> · ${r.summary || ''}`
+      );
+      return interaction.editReply({ content: `**Recent rolls for ${characterName}:**\n${lines.join('\n')}`.slice(0, 2000) });
+    }
+  } catch (error) {
+    await handleInteractionError(error, interaction, { source: 'mod-roll.js' });
+  }
+}
+
+module.exports = {
+  data: modRollCommand,
+  execute
+};
@@ -140,6 +140,8 @@ const {
   generateBlightLootFlavorText,
   generateBlightSubmissionExpiryFlavorText
 } = require('../../modules/flavorTextModule');
+const { notifyWishlistMatches } = require('../../modules/wishlistAlertModule');
+const { awardSeasonXPToUsers } = require('../../modules/seasonPassModule');
 
 // ------------------- Handlers -------------------
 const {
@@ -177,7 +179,7 @@ const {
 const { createMountEncounterEmbed } = require('../../embeds/embeds.js');
 const { generateWeatherEmbed } = require('@/services/weatherService');
 const WeatherService = require('@/services/weatherService');
-const { updateQuestEmbed, updateUserTracking } = require('../../modules/helpWantedModule');
+const { updateQuestEmbed, emitHelpWantedCompleted } = require('../../modules/helpWantedModule');
 
 
 // ============================================================================
@@ -1475,6 +1477,74 @@ const modCommand = new SlashCommandBuilder()
     )
 )
 
+// ------------------- Subcommand Group: scheduler -------------------
+.addSubcommandGroup(group =>
+  group
+    .setName('scheduler')
+    .setDescription('⏰ Inspect and control scheduled jobs')
+    .addSubcommand(sub =>
+      sub
+        .setName('list')
+        .setDescription('📋 Every scheduled job with its next and last run')
+    )
+    .addSubcommand(sub =>
+      sub
+        .setName('run')
+        .setDescription('▶️ Run a scheduled job now')
+        .addStringOption(option =>
+          option
+            .setName('job')
+            .setDescription('Scheduled job to run')
+            .setRequired(true)
+            .setAutocomplete(true)
+        )
+    )
+    .addSubcommand(sub =>
+      sub
+        .setName('pause')
+        .setDescription('⏸️ Stop a scheduled job from running until resumed')
+        .addStringOption(option =>
+          option
+            .setName('job')
+            .setDescription('Scheduled job to pause')
+            .setRequired(true)
+            .setAutocomplete(true)
+        )
+    )
+    .addSubcommand(sub =>
+      sub
+        .setName('resume')
+        .setDescription('⏯️ Resume a paused scheduled job')
+        .addStringOption(option =>
+          option
+            .setName('job')
+            .setDescription('Scheduled job to resume')
+            .setRequired(true)
+            .setAutocomplete(true)
+        )
+    )
+    .addSubcommand(sub =>
+      sub
+        .setName('history')
+        .setDescription('🕓 Recent runs with duration, outcome and error')
+        .addStringOption(option =>
+          option
+            .setName('job')
+            .setDescription('Only show this job')
+            .setRequired(false)
+            .setAutocomplete(true)
+        )
+        .addIntegerOption(option =>
+          option
+            .setName('limit')
+            .setDescription('Number of runs to show (default 10)')
+            .setRequired(false)
+            .setMinValue(1)
+            .setMaxValue(25)
+        )
+    )
+)
+
 // ============================================================================
 // ------------------- Execute Command Handler -------------------
 // Delegates logic to subcommand-specific handlers
@@ -1632,6 +1702,8 @@ async function execute(interaction) {
       } else if (subcommand === 'forecast') {
         return await handleWeatherForecast(interaction);
       }
+    } else if (subcommandGroup === 'scheduler') {
+      return await handleScheduler(interaction, subcommand);
     } else if (subcommand === 'mount') {
       return await handleMount(interaction);
     } else {
@@ -2362,6 +2434,15 @@ async function runSubmissionApproval(client, { submissionId, action, reason, mod
           console.log(`[mod.js]: Submission ${submissionId} has blightId ${submission.blightId} - user must use /blight submit to complete healing`);
         }
 
+        // ------------------- Season Pass XP -------------------
+        // Submitter and every collaborator earn submission season XP (best-effort)
+        const seasonXpUserIds = [userId];
+        if (hasCollaborators) {
+          const collaborators = Array.isArray(collab) ? collab : [collab];
+          seasonXpUserIds.push(...collaborators.map(c => String(c).replace(/[<@!>]/g, '').trim()));
+        }
+        await awardSeasonXPToUsers(seasonXpUserIds, 'submission');
+
         // ------------------- Quest Completion Logic -------------------
         // Check if this submission is linked to a quest and auto-complete it
         if (submission.questEvent && submission.questEvent !== 'N/A') {
@@ -3536,7 +3617,8 @@ async function handleModHelpWantedComplete(interaction) {
     });
   }
 
-  const user = await User.getOrCreateUser(targetUser.id);
+  // The help-wanted-tracking subscriber records the completion on this user
+  await User.getOrCreateUser(targetUser.id);
   const character = await Character.findOne({ userId: targetUser.id, name: characterName });
   if (!character) {
     return interaction.editReply({
@@ -3553,18 +3635,7 @@ async function handleModHelpWantedComplete(interaction) {
   };
   await quest.save();
 
-  if (!user.helpWanted) {
-    user.helpWanted = {
-      lastCompletion: null,
-      cooldownUntil: null,
-      totalCompletions: 0,
-      currentCompletions: 0,
-      lastExchangeAmount: 0,
-      lastExchangeAt: null,
-      completions: []
-    };
-  }
-  await updateUserTracking(user, quest, targetUser.id);
+  await emitHelpWantedCompleted(quest, targetUser.id, character._id);
 
   try {
     await updateQuestEmbed(interaction.client, quest, quest.completedBy);
@@ -3697,6 +3768,7 @@ async function handleShopAdd(interaction) {
       existingShopItem.buyPrice = finalBuyPrice;
       existingShopItem.sellPrice = finalSellPrice;
       await existingShopItem.save();
+      notifyWishlistMatches('villageShop', [{ itemName: item.itemName, emoji: item.emoji, detail: `${stock}x added (${finalBuyPrice} tokens each)` }]);
       
       return interaction.editReply({
         embeds: [new EmbedBuilder()
@@ -3762,6 +3834,7 @@ async function handleShopAdd(interaction) {
       });
 
       await newShopItem.save();
+      notifyWishlistMatches('villageShop', [{ itemName: item.itemName, emoji: item.emoji, detail: `${stock}x added (${finalBuyPrice} tokens each)` }]);
       
       return interaction.editReply({
         embeds: [new EmbedBuilder()
@@ -6608,6 +6681,94 @@ async function handleLevel(interaction) {
   }
 }
 
+// ------------------- Function: handleScheduler -------------------
+// /mod scheduler list | run | pause | resume | history
+const SCHEDULER_STATUS_EMOJI = {
+  ok: '🟢',
+  running: '🔄',
+  failed: '🔴',
+  paused: '⏸️',
+  'never run': '⚪'
+};
+
+function formatSchedulerTime(date) {
+  return date ? `<t:${Math.floor(new Date(date).getTime() / 1000)}:R>` : '—';
+}
+
+function formatSchedulerDuration(ms) {
+  if (ms == null) return '';
+  return ms < 1000 ? `${ms}ms` : `${(ms / 1000).toFixed(1)}s`;
+}
+
+async function handleScheduler(interaction, subcommand) {
+  try {
+    const scheduler = require('@/utils/scheduler');
+    const jobName = interaction.options.getString('job');
+
+    if (subcommand === 'list') {
+      const tasks = await scheduler.listTasks();
+      const lines = tasks.map(task => {
+        const last = task.lastRunAt
+          ? `last ${formatSchedulerTime(task.lastRunAt)}${task.lastDurationMs != null ? ` (${formatSchedulerDuration(task.lastDurationMs)})` : ''}`
+          : 'never run';
+        const next = task.paused ? 'paused' : `next ${formatSchedulerTime(task.nextRunAt)}`;
+        return `${SCHEDULER_STATUS_EMOJI[task.status] || '⚪'} \`${task.name}\` · ${next} · ${last}`;
+      });
+      const embeds = [];
+      for (const chunk of splitMessage(lines.join('\n'), 4000)) {
+        embeds.push(new EmbedBuilder().setColor('#5865F2').setDescription(chunk));
+      }
+      embeds[0].setTitle(`⏰ Scheduled Jobs (${tasks.length})`);
+      embeds[embeds.length - 1]
+        .setFooter({ text: '🟢 ok · 🔄 running · 🔴 last run failed · ⏸️ paused · ⚪ never run' })
+        .setTimestamp();
+      return await interaction.editReply({ embeds: embeds.slice(0, 10) });
+    }
+
+    if (subcommand === 'history') {
+      const limit = interaction.options.getInteger('limit') || 10;
+      const runs = await scheduler.getRunHistory(jobName, limit);
+      if (runs.length === 0) {
+        return await interaction.editReply({ content: `ℹ️ No recorded runs${jobName ? ` for \`${jobName}\`` : ''} yet.` });
+      }
+      const lines = runs.map(run => {
+        const icon = run.outcome === 'success' ? '✅' : '❌';
+        const who = run.trigger === 'scheduled' ? '' : ` · ${run.trigger}${run.triggeredBy ? ` by <@${run.triggeredBy}>` : ''}`;
+        const error = run.error ? `\n   ↳ ${run.error.slice(0, 200)}` : '';
+        return `${icon} ${jobName ? '' : `\`${run.jobName}\` · `}${formatSchedulerTime(run.startedAt)} · ${formatSchedulerDuration(run.durationMs)}${who}${error}`;
+      });
+      const embed = new EmbedBuilder()
+        .setColor('#5865F2')
+        .setTitle(`🕓 Run History${jobName ? `: ${jobName}` : ''}`)
+        .setDescription(lines.join('\n').slice(0, 4000))
+        .setTimestamp();
+      return await interaction.editReply({ embeds: [embed] });
+    }
+
+    if (subcommand === 'run') {
+      await scheduler.runTaskNow(jobName, interaction.user.id);
+      return await interaction.editReply({ content: `▶️ \`${jobName}\` queued to run now. Check \`/mod scheduler history job:${jobName}\` for the result.` });
+    }
+    if (subcommand === 'pause') {
+      await scheduler.pauseTask(jobName);
+      return await interaction.editReply({ content: `⏸️ \`${jobName}\` paused. It won't run until \`/mod scheduler resume\`.` });
+    }
+    if (subcommand === 'resume') {
+      await scheduler.resumeTask(jobName);
+      return await interaction.editReply({ content: `⏯️ \`${jobName}\` resumed.` });
+    }
+    return await interaction.editReply({ content: '❌ Unknown scheduler subcommand.' });
+  } catch (error) {
+    if (/Unknown scheduled task|Scheduler not initialized/.test(error.message)) {
+      return await interaction.editReply({ content: `❌ ${error.message}.` });
+    }
+    await handleInteractionError(error, interaction, {
+      source: 'mod.js',
+      subcommand: `scheduler ${subcommand}`
+    });
+  }
+}
+
 // ============================================================================
 // ------------------- Export Command -------------------
 // ============================================================================
@@ -5,12 +5,15 @@ const Character = require('@/models/CharacterModel');
 const ModCharacter = require('@/models/ModCharacterModel');
 const { getUserLevelInfo, createProgressBar, getLeaderboard } = require('../../modules/levelingModule');
 const { getExploreCountFromParties, resolveExploreStatCount } = require('../../modules/exploreModule');
-const { connectToTinglebot, updateTokenBalance } = require('@/database/db');
+const { connectToTinglebot, updateTokenBalance, fetchCharacterByNameAndUserId, fetchModCharacterByNameAndUserId } = require('@/database/db');
+const { claimSeasonRewards } = require('../../modules/seasonPassModule');
+const { formatSeasonReward, getSeasonProgress } = require('@tinglebot/shared/lib/seasonPass');
+const { summarizeAchievements } = require('@tinglebot/shared/lib/achievements');
 
 module.exports = {
   data: new SlashCommandBuilder()
     .setName('levels')
-    .setDescription('📈 Level system: view rank, exchange levels, and check leaderboards')
+    .setDescription('📈 Level system: view rank, exchange levels, season pass, and check leaderboards')
     
     // ------------------- Subcommand: rank -------------------
     .addSubcommand(subcommand =>
@@ -40,6 +43,31 @@ module.exports = {
         )
     )
     
+    // ------------------- Subcommand: season -------------------
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('season')
+        .setDescription('🍂 View season pass tier progress and claimable rewards')
+        .addUserOption(option =>
+          option.setName('user')
+            .setDescription('User to check (defaults to yourself)')
+            .setRequired(false)
+        )
+    )
+
+    // ------------------- Subcommand: season-claim -------------------
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('season-claim')
+        .setDescription('🎁 Claim every unlocked season pass reward')
+        .addStringOption(option =>
+          option.setName('charactername')
+            .setDescription('Character to receive item rewards (needed when a tier includes items)')
+            .setRequired(false)
+            .setAutocomplete(true)
+        )
+    )
+
     // ------------------- Subcommand: leaderboard -------------------
     .addSubcommand(subcommand =>
       subcommand
@@ -64,6 +92,10 @@ module.exports = {
         await handleExchange(interaction);
       } else if (subcommand === 'leaderboard') {
         await handleLeaderboard(interaction);
+      } else if (subcommand === 'season') {
+        await handleSeason(interaction);
+      } else if (subcommand === 'season-claim') {
+        await handleSeasonClaim(interaction);
       }
       
     } catch (error) {
@@ -124,6 +156,15 @@ async function handleRank(interaction) {
     }
     statsValue += `\n🗺️ **${totalExplores.toLocaleString()}** explores (across characters)`;
 
+    // Player achievements (character achievements show in /character view)
+    const achievementSummary = summarizeAchievements(user?.achievements || [], { scope: 'user' });
+    const characterAchievementCount = (user?.achievements || []).filter(a => a.characterId).length;
+    const achievementLines = achievementSummary.earned.map(a => `${a.emoji} **${a.name}**`);
+    if (achievementLines.length === 0) achievementLines.push('No player achievements yet.');
+    if (characterAchievementCount > 0) {
+      achievementLines.push(`🧑 **${characterAchievementCount}** character achievement${characterAchievementCount === 1 ? '' : 's'} (see \`/character view\`)`);
+    }
+
     // Create embed with better styling
     const embed = new EmbedBuilder()
       .setColor(0x00ff88)
@@ -146,6 +187,11 @@ async function handleRank(interaction) {
           name: `📈 Progress to Level ${levelInfo.level + 1}`,
           value: `\`${progressBar}\`\n**${levelInfo.progress.percentage}%** • **${levelInfo.progress.current.toLocaleString()}** / **${levelInfo.progress.needed.toLocaleString()}** XP`,
           inline: false
+        },
+        {
+          name: `🏆 Achievements (${achievementSummary.earned.length}/${achievementSummary.total})`,
+          value: achievementLines.join('\n'),
+          inline: false
         }
       )
       .setFooter({
@@ -386,3 +432,145 @@ async function handleLeaderboard(interaction) {
   }
 }
 
+// ------------------- Function: handleSeason -------------------
+async function handleSeason(interaction) {
+  try {
+    const targetUser = interaction.options.getUser('user') || interaction.user;
+    const user = await User.findOne({ discordId: targetUser.id });
+    // getSeasonProgress treats a missing or previous-season pass as 0 XP
+    const progress = user ? user.getSeasonPassProgress() : getSeasonProgress(null);
+    const { season } = progress;
+    const isSelf = targetUser.id === interaction.user.id;
+
+    const progressBar = createProgressBar(progress.xpIntoTier, progress.xpPerTier, 10);
+    const nextTier = progress.tiers.find(entry => !entry.unlocked);
+    const claimable = progress.tiers.filter(entry => progress.claimable.includes(entry.tier));
+    const bySource = user?.seasonPass?.seasonId === season.id ? user.seasonPass.xpBySource || {} : {};
+    const endsOn = `<t:${Math.floor(season.endsAt.getTime() / 1000)}:D>`;
+
+    const embed = new EmbedBuilder()
+      .setColor(0xE8A33D)
+      .setTitle(`${season.emoji} ${targetUser.displayName}'s ${season.label} Season Pass`)
+      .setThumbnail(targetUser.displayAvatarURL({ dynamic: true }))
+      .setImage('https://storage.googleapis.com/tinglebot/Graphics/border.png')
+      .setDescription(`**Tier ${progress.tier}/${progress.maxTier}** • ${progress.xp.toLocaleString()} season XP • ends ${endsOn}`)
+      .addFields(
+        {
+          name: '📊 Tier Progress',
+          value: progress.tier >= progress.maxTier
+            ? '**Track complete!**'
+            : `${progressBar}\n**${progress.xpIntoTier}/${progress.xpPerTier} XP** to tier ${progress.tier + 1}`,
+          inline: false
+        },
+        {
+          name: '⭐ Season XP Sources',
+          value: `💬 Chat **${(bySource.message || 0).toLocaleString()}** • 📜 Quests **${(bySource.quest || 0).toLocaleString()}**\n⚔️ Raids **${(bySource.raid || 0).toLocaleString()}** • 🎨 Submissions **${(bySource.submission || 0).toLocaleString()}**`,
+          inline: false
+        }
+      );
+
+    if (nextTier) {
+      embed.addFields({
+        name: `🎯 Next: Tier ${nextTier.tier}`,
+        value: nextTier.rewards.map(formatSeasonReward).join(' • '),
+        inline: false
+      });
+    }
+
+    embed.addFields({
+      name: `🎁 Claimable (${claimable.length})`,
+      value: claimable.length === 0
+        ? 'Nothing to claim right now.'
+        : claimable.slice(0, 10).map(entry => `**Tier ${entry.tier}:** ${entry.rewards.map(formatSeasonReward).join(', ')}`).join('\n') +
+          (claimable.length > 10 ? `\n…and ${claimable.length - 10} more` : ''),
+      inline: false
+    });
+
+    embed
+      .setFooter({
+        text: isSelf && claimable.length > 0
+          ? 'Use /levels season-claim to collect your rewards • Unclaimed rewards expire with the season'
+          : 'Earn season XP by chatting, completing quests, raiding, and getting submissions approved',
+        icon_url: interaction.client.user.displayAvatarURL()
+      })
+      .setTimestamp();
+
+    await interaction.reply({ embeds: [embed] });
+  } catch (error) {
+    console.error('[levels.js]: Error in handleSeason:', error);
+    await interaction.reply({
+      content: '❌ There was an error retrieving the season pass. Please try again later.',
+      ephemeral: true
+    });
+  }
+}
+
+// ------------------- Function: handleSeasonClaim -------------------
+async function handleSeasonClaim(interaction) {
+  try {
+    await interaction.deferReply();
+    const userId = interaction.user.id;
+
+    let character = null;
+    const characterName = interaction.options.getString('charactername');
+    if (characterName) {
+      await connectToTinglebot();
+      character = await fetchCharacterByNameAndUserId(characterName, userId)
+        || await fetchModCharacterByNameAndUserId(characterName, userId);
+      if (!character) {
+        return await interaction.editReply({ content: `❌ You don't own a character named **${characterName}**.` });
+      }
+    }
+
+    const result = await claimSeasonRewards(userId, { character, interaction });
+
+    if (!result.success) {
+      const messages = {
+        nothing: '🎁 You have no season pass rewards to claim right now. Use `/levels season` to see your progress.',
+        character: `📦 Tier${result.tiers?.length === 1 ? '' : 's'} ${(result.tiers || []).join(', ')} include${result.tiers?.length === 1 ? 's' : ''} items. Run \`/levels season-claim\` again with a **charactername** to receive them.`,
+        conflict: '⏳ Those rewards were just claimed. Use `/levels season` to check your progress.'
+      };
+      return await interaction.editReply({ content: messages[result.reason] || messages.nothing });
+    }
+
+    const rewardLines = [`🪙 **+${result.tokens.toLocaleString()}** tokens`];
+    for (const item of result.items) {
+      rewardLines.push(`📦 ${formatSeasonReward(item)}${character ? ` → **${character.name}**` : ''}`);
+    }
+    for (const badge of result.badges) {
+      rewardLines.push(`🏅 ${formatSeasonReward(badge)}`);
+    }
+
+    const embed = new EmbedBuilder()
+      .setColor(0x00ff88)
+      .setTitle(`${result.season.emoji} Season Rewards Claimed!`)
+      .setThumbnail(interaction.user.displayAvatarURL({ dynamic: true }))
+      .setImage('https://storage.googleapis.com/tinglebot/Graphics/border.png')
+      .setDescription(`**${result.season.label}** • Tier${result.tiers.length === 1 ? '' : 's'} ${result.tiers.join(', ') || '—'}`)
+      .addFields({ name: '🎁 Rewards', value: rewardLines.join('\n'), inline: false })
+      .setFooter({
+        text: 'Keep earning season XP to unlock more tiers!',
+        icon_url: interaction.client.user.displayAvatarURL()
+      })
+      .setTimestamp();
+
+    if (result.failedTiers.length > 0) {
+      embed.addFields({
+        name: '⚠️ Not Claimed',
+        value: `Item rewards for tier${result.failedTiers.length === 1 ? '' : 's'} ${result.failedTiers.join(', ')} could not be delivered. They stay claimable — try again later.`,
+        inline: false
+      });
+    }
+
+    await interaction.editReply({ embeds: [embed] });
+    console.log(`[levels.js]: ${interaction.user.tag} claimed season pass tiers ${result.tiers.join(', ')}`);
+  } catch (error) {
+    console.error('[levels.js]: Error in handleSeasonClaim:', error);
+    const reply = { content: '❌ There was an error claiming your season rewards. Please try again later.' };
+    if (interaction.deferred || interaction.replied) {
+      await interaction.editReply(reply);
+    } else {
+      await interaction.reply({ ...reply, ephemeral: true });
+    }
+  }
+}
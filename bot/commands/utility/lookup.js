@@ -7,9 +7,10 @@ const ItemModel = require('@/models/ItemModel.js');
 const Character = require('@/models/CharacterModel.js');
 const { handleAutocomplete } = require('../../handlers/autocompleteHandler.js');
 const { getCategoryColor } = require('../../modules/formattingModule.js');
-const { formatItemDetails } = require('../../embeds/embeds.js');
+const { formatItemDetails, createPriceIndexEmbed } = require('../../embeds/embeds.js');
 const generalCategories = require('@/models/GeneralItemCategories.js');
 const { normalizeElixirLevel } = require('@/modules/elixirModule.js');
+const { getPriceIndex, PRICE_WINDOW_DAYS } = require('@/modules/priceIndexModule.js');
 
 // ------------------- Constants -------------------
 const ITEMS_PER_PAGE = 25;
@@ -42,6 +43,27 @@ module.exports = {
             .setRequired(true)
         )
     )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('price')
+        .setDescription('See what players have been paying for an item')
+        .addStringOption(option =>
+          option.setName('name')
+            .setDescription('The name of the item to price')
+            .setAutocomplete(true)
+            .setRequired(true)
+        )
+        .addIntegerOption(option =>
+          option.setName('days')
+            .setDescription(`How far back to look (default ${PRICE_WINDOW_DAYS} days)`)
+            .setRequired(false)
+            .addChoices(
+              { name: 'Last 7 days', value: 7 },
+              { name: 'Last 30 days', value: 30 },
+              { name: 'Last 90 days', value: 90 }
+            )
+        )
+    )
     .addSubcommand(subcommand =>
       subcommand
         .setName('crafting')
@@ -68,6 +90,10 @@ module.exports = {
       } else if (subcommand === 'ingredient') {
         const ingredientName = interaction.options.getString('name');
         await handleIngredientLookup(interaction, ingredientName);
+      } else if (subcommand === 'price') {
+        const itemName = interaction.options.getString('name');
+        const days = interaction.options.getInteger('days') || PRICE_WINDOW_DAYS;
+        await handlePriceLookup(interaction, itemName, days);
       } else if (subcommand === 'crafting') {
         const characterName = interaction.options.getString('charactername');
         await handleCraftingLookup(interaction, characterName);
@@ -280,6 +306,20 @@ async function handleItemLookup(interaction, itemName) {
   }
 }
 
+// ------------------- Handle price lookup -------------------
+async function handlePriceLookup(interaction, itemName, days) {
+  const item = await ItemModel.findOne({
+    itemName: { $regex: new RegExp(`^${escapeRegExp(itemName)}$`, 'i') }
+  }).select('itemName emoji image buyPrice sellPrice').lean();
+
+  const index = await getPriceIndex(item?.itemName || itemName, { days });
+  if (!item && index.sales === 0) {
+    return interaction.editReply({ content: '❌ No item found with this name.' });
+  }
+
+  await interaction.editReply({ embeds: [createPriceIndexEmbed(index, item)] });
+}
+
 // ------------------- Handle ingredient lookup -------------------
 async function handleIngredientLookup(interaction, ingredientName) {
   const craftableItems = await getIngredientItems(ingredientName.toLowerCase());
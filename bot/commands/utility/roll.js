@@ -1,192 +1,303 @@
 // ------------------- Importing necessary modules -------------------
 const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
-const MersenneTwister = require('mersenne-twister');
-const { evaluate } = require('@/utils/mathParser');
-
-// ------------------- Initialize Mersenne Twister for random number generation -------------------
-const mt = new MersenneTwister();
-
-// ------------------- Roll class to handle roll data and operations -------------------
-class Roll {
-  constructor(data = null) {
-    this.errors = [];
-    this.pretty = [];
-    this.expressions = [];
-    if (data) {
-      Object.assign(this, data);
-    }
-  }
-
-  // ------------------- Parse a roll command string into a Roll object -------------------
-  static parseRoll(m) {
-    const self = new Roll();
-    const flavorMatch = m.match(/#\s*(.*)$/);
-    if (flavorMatch) {
-      self.flavor = flavorMatch[1];
-      m = m.replace(/#\s*(.*)$/, '').trim();
-    }
-    self.raw = m;
-    const parts = m.split(' ');
+const { handleInteractionError } = require('@/utils/globalErrorHandler');
+const { rollDiceNotation, formatRollBreakdown } = require('@/utils/diceNotation');
+const User = require('@/models/UserModel');
 
-    parts.forEach(p => this.parsePart(self, p));
-    self.result = evaluate(self.expressions.join(' '));
-    self.text = self.errors.length ? self.errors.join('; ') : `${self.pretty.join(' ')} = **${self.result}**`;
+// ------------------- Macro limits -------------------
+const MAX_ROLL_MACROS = 25;
+const MACRO_NAME_PATTERN = /^[a-z0-9_-]{1,32}$/;
 
-    return self;
+// ------------------- Generate a random color for the embed message -------------------
+function getRandomColor() {
+  const letters = '0123456789ABCDEF';
+  let color = '#';
+  for (let i = 0; i < 6; i++) {
+    color += letters[Math.floor(Math.random() * 16)];
   }
+  return color;
+}
 
-  // ------------------- Parse a part of the roll command string -------------------
-  static parsePart(self, p) {
-    const d = p.match(/([1-9]\d*)?[dDfF]([1-9fF]\d*)?([aAdDkKlLter+])?([0-9=<>]*)?/);
-    if (d) {
-      const ex = this.handleDice(d);
-      if (ex.error) {
-        self.errors.push(ex.error);
-      } else {
-        self.pretty.push(ex.pretty);
-        self.expressions.push(ex.expression);
-      }
-    } else if (p.match(/[0-9?:><=+\-*/()]/)) {
-      self.expressions.push(p);
-      self.pretty.push(p);
-    } else {
-      self.errors.push(`❌ Unrecognized roll expression: \`${p}\``);
-    }
+// ------------------- Roll with optional advantage -------------------
+// Advantage/disadvantage rolls the whole expression twice and keeps the higher/lower total.
+function rollWithAdvantage(expression, advantage) {
+  const first = rollDiceNotation(expression);
+  if (first.error || !advantage) return { result: first };
+  const second = rollDiceNotation(expression);
+  const firstWins = advantage === 'a' ? first.total >= second.total : first.total <= second.total;
+  return firstWins ? { result: first, other: second } : { result: second, other: first };
+}
+
+// ------------------- Build the result embed -------------------
+function buildRollEmbed({ expression, flavor, advantage, macroName }) {
+  const { result, other } = rollWithAdvantage(expression, advantage);
+  if (result.error) return { error: result.error };
+
+  let description = `🎲 **Roll Result:** ${result.total}`;
+  if (advantage) {
+    description += `\n_Rolling with ${advantage === 'a' ? 'Advantage' : 'Disadvantage'}_ (other roll: ${other.total})`;
   }
 
-  // ------------------- Handle the dice roll and return the expression and pretty print version -------------------
-  static handleDice(d) {
-    // Extract dice count and sides, ensuring they are valid integers
-    const count = d[1] ? parseInt(d[1]) : 1; // Defaults to 1 if not specified
-    const die = d[2] ? parseInt(d[2]) : 20; // Defaults to 20 sides if not specified
+  const embed = new EmbedBuilder()
+    .setDescription(description)
+    .setColor(getRandomColor())
+    .addFields({ name: 'Breakdown', value: formatRollBreakdown(result).slice(0, 1024), inline: false })
+    .setFooter({ text: `${macroName ? `${macroName}: ` : ''}${result.notation} = ${result.expression} = ${result.total}`.slice(0, 2048) });
 
-    // ------------------- Add validation for dice count and sides -------------------
-    if (!Number.isInteger(count) || count <= 0) {
-        return { error: `❌ The number of dice must be a positive integer greater than 0. You requested ${count}.` };
-    }
-    if (!Number.isInteger(die) || die <= 0) {
-        return { error: `❌ The number of sides on a die must be a positive integer greater than 0. You requested ${die}.` };
-    }
+  if (flavor) {
+    embed.addFields({ name: 'Flavor', value: flavor.slice(0, 1024), inline: false });
+  }
+  return { embed };
+}
 
-    // ------------------- Add limits to dice count and die sides -------------------
-    if (count > 100) {
-        return { error: `❌ Maximum allowed number of dice is 100. You requested ${count}.` };
-    }
-    if (die > 1000) {
-        return { error: `❌ Maximum allowed sides on a die is 1000. You requested ${die}.` };
-    }
+// ------------------- Macro helpers -------------------
+function normalizeMacroName(name) {
+  return String(name || '').trim().toLowerCase();
+}
 
-    // ------------------- Generate dice rolls -------------------
-    const adv = d[3] && d[3].toLowerCase().includes('a');
-    const dis = d[3] && d[3].toLowerCase().includes('d');
-    const ex = Array(count).fill(0).map(() => 1 + Math.floor(mt.random() * die));
-
-    if (adv || dis) {
-        const ex2 = Array(count).fill(0).map(() => 1 + Math.floor(mt.random() * die));
-        const exs = evaluate(ex.join('+'));
-        const ex2s = evaluate(ex2.join('+'));
-        const [best, worst] = [Math.max(exs, ex2s), Math.min(exs, ex2s)];
-        const final = adv ? best : worst;
-        return { pretty: `${ex.join(' ')} > ${ex2.join(' ')}`, expression: final.toString() };
-    }
+async function saveRollMacro(discordId, name, expression) {
+  await User.getOrCreateUser(discordId);
+  const updated = await User.updateOne(
+    { discordId, 'rollMacros.name': name },
+    { $set: { 'rollMacros.$.expression': expression, 'rollMacros.$.updatedAt': new Date() } }
+  );
+  if (updated.matchedCount > 0) return { replaced: true };
 
-    return { pretty: ex.join('+'), expression: ex.join('+') };
+  // Only push while under the limit (the Nth slot must still be empty)
+  const pushed = await User.updateOne(
+    { discordId, 'rollMacros.name': { $ne: name }, [`rollMacros.${MAX_ROLL_MACROS - 1}`]: { $exists: false } },
+    { $push: { rollMacros: { name, expression, updatedAt: new Date() } } }
+  );
+  if (pushed.matchedCount === 0) {
+    return { error: `❌ You can save up to ${MAX_ROLL_MACROS} macros. Delete one with \`/roll macro delete\` first.` };
   }
+  return { replaced: false };
+}
 
-  // ------------------- Generate a random color for the embed message -------------------
-  static getRandomColor() {
-    const letters = '0123456789ABCDEF';
-    let color = '#';
-    for (let i = 0; i < 6; i++) {
-      color += letters[Math.floor(Math.random() * 16)];
-    }
-    return color;
-  }
+async function findRollMacro(discordId, name) {
+  const user = await User.findOne({ discordId }, { rollMacros: 1 }).lean();
+  return (user?.rollMacros || []).find(macro => macro.name === name) || null;
 }
 
 // ------------------- Exporting the slash command for rolling dice -------------------
 module.exports = {
   data: new SlashCommandBuilder()
     .setName('roll')
-    .setDescription('🎲 Rolls a dice and returns the result')
-    .addIntegerOption(option =>
-      option.setName('dice')
-        .setDescription('The number of dice to roll')
-        .setRequired(true)
-    )
-    .addIntegerOption(option =>
-      option.setName('sides')
-        .setDescription('The number of sides on each die')
-        .setRequired(true)
+    .setDescription('🎲 Roll dice')
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('dice')
+        .setDescription('🎲 Roll a number of same-sided dice')
+        .addIntegerOption(option =>
+          option.setName('dice')
+            .setDescription('The number of dice to roll')
+            .setRequired(true)
+            .setMinValue(1)
+            .setMaxValue(100)
+        )
+        .addIntegerOption(option =>
+          option.setName('sides')
+            .setDescription('The number of sides on each die')
+            .setRequired(true)
+            .setMinValue(1)
+            .setMaxValue(1000)
+        )
+        .addStringOption(option =>
+          option.setName('flavor')
+            .setDescription('A flavor or description for the roll')
+            .setRequired(false)
+        )
+        .addStringOption(option =>
+          option.setName('advantage')
+            .setDescription('Advantage or disadvantage')
+            .setRequired(false)
+            .addChoices(
+              { name: 'Advantage', value: 'a' },
+              { name: 'Disadvantage', value: 'd' }
+            )
+        )
     )
-    .addStringOption(option =>
-      option.setName('flavor')
-        .setDescription('A flavor or description for the roll')
-        .setRequired(false)
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('notation')
+        .setDescription('🎲 Roll dice notation, e.g. 4d6kh3+2, 3d6!, 2d20r1, 6d10>7')
+        .addStringOption(option =>
+          option.setName('expr')
+            .setDescription('Dice notation: kh/kl keep, dh/dl drop, ! explode, r/ro reroll, >N count successes')
+            .setRequired(true)
+            .setMaxLength(200)
+        )
+        .addStringOption(option =>
+          option.setName('flavor')
+            .setDescription('A flavor or description for the roll')
+            .setRequired(false)
+        )
+        .addStringOption(option =>
+          option.setName('advantage')
+            .setDescription('Roll the whole expression twice and keep the higher or lower total')
+            .setRequired(false)
+            .addChoices(
+              { name: 'Advantage', value: 'a' },
+              { name: 'Disadvantage', value: 'd' }
+            )
+        )
     )
-    .addStringOption(option =>
-      option.setName('advantage')
-        .setDescription('Advantage or disadvantage')
-        .setRequired(false)
-        .addChoices(
-          { name: 'Advantage', value: 'a' },
-          { name: 'Disadvantage', value: 'd' }
+    .addSubcommandGroup(group =>
+      group
+        .setName('macro')
+        .setDescription('💾 Saved roll expressions')
+        .addSubcommand(subcommand =>
+          subcommand
+            .setName('save')
+            .setDescription('💾 Save (or replace) a roll macro')
+            .addStringOption(option =>
+              option.setName('name')
+                .setDescription('Macro name (letters, numbers, - and _)')
+                .setRequired(true)
+                .setMaxLength(32)
+            )
+            .addStringOption(option =>
+              option.setName('expr')
+                .setDescription('Dice notation, e.g. 1d20+5')
+                .setRequired(true)
+                .setMaxLength(200)
+            )
+        )
+        .addSubcommand(subcommand =>
+          subcommand
+            .setName('use')
+            .setDescription('🎲 Roll one of your macros')
+            .addStringOption(option =>
+              option.setName('name')
+                .setDescription('Macro name')
+                .setRequired(true)
+                .setAutocomplete(true)
+            )
+            .addStringOption(option =>
+              option.setName('flavor')
+                .setDescription('A flavor or description for the roll')
+                .setRequired(false)
+            )
+            .addStringOption(option =>
+              option.setName('advantage')
+                .setDescription('Roll the whole expression twice and keep the higher or lower total')
+                .setRequired(false)
+                .addChoices(
+                  { name: 'Advantage', value: 'a' },
+                  { name: 'Disadvantage', value: 'd' }
+                )
+            )
+        )
+        .addSubcommand(subcommand =>
+          subcommand
+            .setName('list')
+            .setDescription('📜 List your roll macros')
+        )
+        .addSubcommand(subcommand =>
+          subcommand
+            .setName('delete')
+            .setDescription('🗑️ Delete one of your macros')
+            .addStringOption(option =>
+              option.setName('name')
+                .setDescription('Macro name')
+                .setRequired(true)
+                .setAutocomplete(true)
+            )
         )
     ),
 
   // ------------------- Execute function to handle the roll command -------------------
   async execute(interaction) {
-    const dice = interaction.options.getInteger('dice');
-    const sides = interaction.options.getInteger('sides');
-    const flavor = interaction.options.getString('flavor');
-    const advantage = interaction.options.getString('advantage');
-
-    // Validate inputs before proceeding
-    if (dice <= 0) {
-      return await interaction.reply({ content: `❌ The number of dice must be a positive integer greater than 0. You requested ${dice}.`, ephemeral: true });
-    }
-    if (sides <= 0) {
-      return await interaction.reply({ content: `❌ The number of sides on a die must be a positive integer greater than 0. You requested ${sides}.`, ephemeral: true });
-    }
+    try {
+      const group = interaction.options.getSubcommandGroup(false);
+      const subcommand = interaction.options.getSubcommand();
 
-    // Construct the roll expression
-    let expression = `${dice}d${sides}`;
-    if (advantage) {
-      expression += advantage;
-    }
-    if (flavor) {
-      expression += ` # ${flavor}`;
-    }
+      // ------------------- Macro subcommands -------------------
+      if (group === 'macro') {
+        const discordId = interaction.user.id;
 
-    // Parse the roll and determine the outcome
-    const roll = Roll.parseRoll(expression);
-    if (roll.errors.length) {
-      return await interaction.reply({ content: roll.errors.join('\n'), ephemeral: true });
-    }
+        if (subcommand === 'save') {
+          const name = normalizeMacroName(interaction.options.getString('name'));
+          const expression = interaction.options.getString('expr').trim();
+          if (!MACRO_NAME_PATTERN.test(name)) {
+            return await interaction.reply({ content: '❌ Macro names can only use letters, numbers, `-` and `_` (up to 32 characters).', ephemeral: true });
+          }
+          // Validate by rolling once; the result is not shown
+          const check = rollDiceNotation(expression);
+          if (check.error) {
+            return await interaction.reply({ content: `❌ ${check.error}`, ephemeral: true });
+          }
+          const saved = await saveRollMacro(discordId, name, expression);
+          if (saved.error) {
+            return await interaction.reply({ content: saved.error, ephemeral: true });
+          }
+          return await interaction.reply({
+            content: `💾 ${saved.replaced ? 'Updated' : 'Saved'} macro **${name}**: \`${expression}\`. Roll it with \`/roll macro use name:${name}\`.`,
+            ephemeral: true
+          });
+        }
 
-    let advText = '';
-    if (advantage) {
-      advText = advantage === 'a' ? '_Rolling with Advantage_' : '_Rolling with Disadvantage_';
-    }
+        if (subcommand === 'use') {
+          const name = normalizeMacroName(interaction.options.getString('name'));
+          const macro = await findRollMacro(discordId, name);
+          if (!macro) {
+            return await interaction.reply({ content: `❌ You don't have a macro named **${name}**. See \`/roll macro list\`.`, ephemeral: true });
+          }
+          const { embed, error } = buildRollEmbed({
+            expression: macro.expression,
+            flavor: interaction.options.getString('flavor'),
+            advantage: interaction.options.getString('advantage'),
+            macroName: macro.name
+          });
+          if (error) {
+            return await interaction.reply({ content: `❌ ${error}`, ephemeral: true });
+          }
+          return await interaction.reply({ embeds: [embed] });
+        }
 
-    // Create an embed to display the result
-    const embed = new EmbedBuilder()
-      .setDescription(`🎲 **Roll Result:** ${roll.result}\n${advText}`)
-      .setColor(Roll.getRandomColor())
-      .setFooter({
-        text: `${expression.split('#')[0].trim()} = ${roll.pretty} = ${roll.result}`
-      });
+        if (subcommand === 'list') {
+          const user = await User.findOne({ discordId }, { rollMacros: 1 }).lean();
+          const macros = [...(user?.rollMacros || [])].sort((a, b) => a.name.localeCompare(b.name));
+          if (macros.length === 0) {
+            return await interaction.reply({ content: '📜 You have no roll macros yet. Save one with `/roll macro save`.', ephemeral: true });
+          }
+          const embed = new EmbedBuilder()
+            .setTitle('📜 Your Roll Macros')
+            .setColor(getRandomColor())
+            .setDescription(macros.map(macro => `**${macro.name}** — \`${macro.expression}\``).join('\n').slice(0, 4096))
+            .setFooter({ text: `${macros.length}/${MAX_ROLL_MACROS} macros` });
+          return await interaction.reply({ embeds: [embed], ephemeral: true });
+        }
 
-    // Add flavor text to the embed if provided
-    if (flavor) {
-      embed.addFields({
-        name: 'Flavor',
-        value: flavor,
-        inline: false
+        if (subcommand === 'delete') {
+          const name = normalizeMacroName(interaction.options.getString('name'));
+          const result = await User.updateOne({ discordId }, { $pull: { rollMacros: { name } } });
+          if (result.modifiedCount === 0) {
+            return await interaction.reply({ content: `❌ You don't have a macro named **${name}**.`, ephemeral: true });
+          }
+          return await interaction.reply({ content: `🗑️ Deleted macro **${name}**.`, ephemeral: true });
+        }
+        return;
+      }
+
+      // ------------------- Dice and notation subcommands -------------------
+      const expression = subcommand === 'dice'
+        ? `${interaction.options.getInteger('dice')}d${interaction.options.getInteger('sides')}`
+        : interaction.options.getString('expr');
+
+      const { embed, error } = buildRollEmbed({
+        expression,
+        flavor: interaction.options.getString('flavor'),
+        advantage: interaction.options.getString('advantage')
       });
-    }
+      if (error) {
+        return await interaction.reply({ content: `❌ ${error}`, ephemeral: true });
+      }
 
-    // Send the result back to the user
-    await interaction.reply({ embeds: [embed] });
+      // Send the result back to the user
+      await interaction.reply({ embeds: [embed] });
+    } catch (error) {
+      handleInteractionError(error, interaction, { source: 'roll.js' });
+    }
   }
 };
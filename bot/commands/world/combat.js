@@ -1,174 +1,307 @@
-// // ============================================================================
-// // Discord Combat Command - /combat
-// // This file defines the /combat command with PvP subcommands for challenging 
-// // and taking turns in combat.
-// // ============================================================================
-
-// // ------------------- Discord.js Components -------------------
-// // Core Discord.js objects for building commands and message embeds.
-// const { EmbedBuilder, SlashCommandBuilder } = require('discord.js');
-
-// const { handleInteractionError } = require('@/utils/globalErrorHandler');
-// const { enforceJail } = require('@/utils/jailCheck');
-// // ------------------- Database Services -------------------
-// // Services for retrieving character data.
-// const { fetchCharacterByName, fetchCharacterByNameAndUserId } = require('@/database/db');
-
-// // ------------------- Modules -------------------
-// // Combat module functions (alphabetized within this group).
-// const { getBattleProgressById, startPvPBattle, takePvPTurn, getTotalDefense  } = require('../../modules/pvpCombatModule');
-// const { getGearModLevel } = require('../../modules/gearModule');
-// const { checkInventorySync } = require('@/utils/characterUtils');
-
-// // ============================================================================
-// // /combat Command Definition and Execution
-// // ============================================================================
-// module.exports = {
-//   data: new SlashCommandBuilder()
-//     .setName('combat')
-//     .setDescription('💥 Engage in PvP or PvE combat!')
-//     .addSubcommand(sub =>
-//       sub
-//         .setName('challenge')
-//         .setDescription('⚔️ Challenge another character to a PvP duel!')
-//         .addStringOption(option =>
-//           option.setName('attacker')
-//             .setDescription('Your character initiating the duel')
-//             .setRequired(true)
-//             .setAutocomplete(true)
-//         )
-//         .addStringOption(option =>
-//           option.setName('defender')
-//             .setDescription('The character you want to fight (must be in the same village)')
-//             .setRequired(true)
-//             .setAutocomplete(true)
-//         )
-//     )
-//     .addSubcommand(sub =>
-//       sub
-//         .setName('attack')
-//         .setDescription('🎯 Take your turn in an ongoing PvP battle')
-//         .addStringOption(option =>
-//           option.setName('attacker')
-//             .setDescription('Your character taking the turn')
-//             .setRequired(true)
-//             .setAutocomplete(true)
-//         )
-//         .addStringOption(option =>
-//           option.setName('battleid')
-//             .setDescription('The battle ID')
-//             .setRequired(true)
-//         )
-//     ),
-
-//   // ------------------- Command Execution Logic -------------------
-//   // Handles both PvP challenge initiation and attack turns.
-//   async execute(interaction) {
-//     try {
-//       await interaction.deferReply();
-
-//       const subcommand = interaction.options.getSubcommand();
-//       const attackerName = interaction.options.getString('attacker');
-
-//       // Get attacker character
-//       const attacker = await fetchCharacterByNameAndUserId(attackerName, interaction.user.id);
-//       if (!attacker) {
-//         await interaction.editReply({
-//           content: `❌ **Character ${attackerName} not found or does not belong to you.**`,
-//         });
-//         return;
-//       }
-
-//       // Check if attacker is in jail
-//       if (await enforceJail(interaction, attacker)) {
-//         return;
-//       }
-
-//       if (attacker.ko || attacker.currentHearts <= 0) {
-//         return await interaction.editReply(`💤 **${attacker.name}** is KO'd and cannot fight.`);
-//       }
-
-//       // Check inventory sync before proceeding
-//       try {
-//         await checkInventorySync(attacker);
-//       } catch (error) {
-//         await interaction.editReply({
-//           content: error.message,
-//           ephemeral: true
-//         });
-//         return;
-//       }
-
-//       // ------------------- PvP Challenge Subcommand -------------------
-//       if (subcommand === 'challenge') {
-//         const defenderName = interaction.options.getString('defender');
-//         const defender = await fetchCharacterByName(defenderName);
-
-//         if (!defender || !defender.name) {
-//           return await interaction.editReply(`❌ Character **${defenderName}** not found.`);
-//         }
-
-//         if (defender.village !== attacker.village) {
-//           return await interaction.editReply(`🚫 **${defender.name}** is not in the same village as **${attacker.name}**.`);
-//         }
-
-//         if (defender.ko || defender.currentHearts <= 0) {
-//           return await interaction.editReply(`💤 **${defender.name}** is KO'd and cannot be attacked.`);
-//         }
-
-//         const battleId = await startPvPBattle(attacker, defender);
-//         return await interaction.editReply(`⚔️ **${attacker.name}** has challenged **${defender.name}** to a duel!\n🆔 Battle ID: \`${battleId}\``);
-//       }
-
-//       // ------------------- PvP Attack Turn Subcommand -------------------
-//       if (subcommand === 'attack') {
-//         const battleId = interaction.options.getString('battleid').trim();
-//         const battleLog = await takePvPTurn(battleId, attacker, null);
-//         const updatedBattle = await getBattleProgressById(battleId);
-
-//         if (!updatedBattle) {
-//           console.error(`[combat.js]: ❌ Error - No battle data found after turn for ID: ${battleId}`);
-//           return await interaction.editReply(`⚠️ Could not load battle data for ID \`${battleId}\`.`);
-//         }
-
-//         if (battleLog.error) {
-//           return await interaction.editReply(`❌ ${battleLog.error}`);
-//         }
-
-//         const embed = new EmbedBuilder()
-//         .setTitle(`⚔️ PvP Battle Turn`)
-//         .setDescription('Turn resolved.')
-//         .addFields(
-//           { name: '🆔 Battle ID', value: `\`${battleId}\``, inline: false },
-//           { name: `❤️ ${attacker.name}`, value: `${attacker.currentHearts} hearts`, inline: true },
-//           { name: `❤️ ${updatedBattle.characters?.defender?.name || 'Defender'}`, value: `${updatedBattle.characters?.defender?.currentHearts || '?'}`, inline: true },
-//           { name: '🎲 Roll Breakdown', value: battleLog.message, inline: false },
-//           { 
-//             name: '🛡️ Gear Stats', 
-//             value: `
-//       **Attacker:**  
-//       Weapon Mod: **${getGearModLevel(attacker.gearWeapon)}**  
-//       Armor Defense: **${getTotalDefense(attacker)}**
-      
-//       **Defender:**  
-//       Armor Defense: **${getTotalDefense(updatedBattle.characters.defender)}**
-//       Shield Defense: **${updatedBattle.characters.defender.gearShield ? getGearModLevel(updatedBattle.characters.defender.gearShield) : 0}**
-//             `,
-//             inline: false 
-//           }
-//         )
-//         .setColor('#ff003c')
-//         .setFooter({ text: 'Use /combat attack to continue your battle!' });
-      
-
-//         return await interaction.editReply({ embeds: [embed] });
-//       }
-
-//     } catch (error) {
-//     handleInteractionError(error, 'combat.js');
-
-//       console.error('[combat.js]: ❌ Error in /combat command:', error);
-//       return await interaction.editReply(`❌ An unexpected error occurred during combat.`);
-//     }
-//   }
-// };
+// ============================================================================
+// Discord Combat Command - /combat
+// This file defines the /combat command with PvP subcommands for challenging,
+// taking turns, checking status and forfeiting a duel.
+// Battle state is stored in PvPBattleModel; see modules/pvpCombatModule.js.
+// ============================================================================
+
+// ------------------- Discord.js Components -------------------
+// Core Discord.js objects for building commands and message embeds.
+const { EmbedBuilder, SlashCommandBuilder } = require('discord.js');
+
+const { handleInteractionError } = require('@/utils/globalErrorHandler');
+const { enforceJail } = require('@/utils/jailCheck');
+// ------------------- Database Services -------------------
+// Services for retrieving character data.
+const { fetchCharacterByName, fetchCharacterByNameAndUserId } = require('@/database/db');
+const Character = require('@/models/CharacterModel');
+
+// ------------------- Modules -------------------
+// Combat module functions (alphabetized within this group).
+const {
+  PVP_TURN_TIMEOUT_HOURS,
+  forfeitPvPBattle,
+  getBattleProgressById,
+  getTotalDefense,
+  getWeaponMod,
+  startPvPBattle,
+  takePvPTurn
+} = require('../../modules/pvpCombatModule');
+const { RIVALRY_ROLL_BONUS } = require('../../modules/relationshipModule');
+const { checkInventorySync } = require('@/utils/characterUtils');
+
+// ------------------- Constants -------------------
+const PVP_EMBED_COLOR = '#ff003c';
+const PVP_LOG_LINES_SHOWN = 5;
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+// ------------------- Format Turn Deadline -------------------
+function formatTurnDeadline(battle) {
+  const ts = Math.floor(new Date(battle.turnExpiresAt).getTime() / 1000);
+  return `<t:${ts}:R>`;
+}
+
+// ------------------- Build Battle Status Embed -------------------
+// Shows both combatants' live hearts, whose turn it is and the most recent log lines.
+async function buildBattleStatusEmbed(battle, title = '⚔️ PvP Battle Status') {
+  const [attackerChar, defenderChar] = await Promise.all([
+    Character.findById(battle.attacker.characterId).lean(),
+    Character.findById(battle.defender.characterId).lean()
+  ]);
+
+  const heartsLine = (combatant, character) =>
+    `${character?.currentHearts ?? '?'} / ${character?.maxHearts ?? '?'} hearts\n` +
+    `🎯 ${combatant.hits || 0} hit(s) · ${combatant.misses || 0} miss(es)`;
+
+  const recentLog = (battle.progressLog || [])
+    .slice(-PVP_LOG_LINES_SHOWN)
+    .map(entry => `• ${entry.message}`)
+    .join('\n') || '—';
+
+  const embed = new EmbedBuilder()
+    .setTitle(title)
+    .setColor(PVP_EMBED_COLOR)
+    .addFields(
+      { name: '🆔 Battle ID', value: `\`${battle.battleId}\``, inline: true },
+      { name: '🏘️ Village', value: battle.village || '—', inline: true },
+      { name: '🔁 Turns Taken', value: `${battle.turnCount}`, inline: true },
+      { name: `❤️ ${battle.attacker.name}`, value: heartsLine(battle.attacker, attackerChar), inline: true },
+      { name: `❤️ ${battle.defender.name}`, value: heartsLine(battle.defender, defenderChar), inline: true },
+      { name: '📜 Recent Turns', value: recentLog.slice(0, 1024), inline: false }
+    )
+    .setTimestamp();
+
+  if (battle.status === 'active') {
+    const current = battle.getCurrentTurnCombatant();
+    embed.addFields({
+      name: '⏳ Current Turn',
+      value: `**${current?.name || '?'}** — must act ${formatTurnDeadline(battle)} or forfeit`,
+      inline: false
+    });
+    embed.setFooter({ text: `Use /combat attack to take your turn • ${PVP_TURN_TIMEOUT_HOURS}h per turn` });
+  } else {
+    const winnerRole = battle.getCombatantRole(battle.winnerCharacterId);
+    const winnerName = winnerRole ? battle[winnerRole].name : null;
+    embed.addFields({
+      name: '🏁 Result',
+      value: winnerName ? `🏆 **${winnerName}** won (${battle.status.replace('_', ' ')})` : battle.status,
+      inline: false
+    });
+    embed.setFooter({ text: 'This battle has ended' });
+  }
+
+  return embed;
+}
+
+// ============================================================================
+// /combat Command Definition and Execution
+// ============================================================================
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('combat')
+    .setDescription('💥 Engage in PvP combat!')
+    .addSubcommand(sub =>
+      sub
+        .setName('challenge')
+        .setDescription('⚔️ Challenge another character to a PvP duel!')
+        .addStringOption(option =>
+          option.setName('attacker')
+            .setDescription('Your character initiating the duel')
+            .setRequired(true)
+            .setAutocomplete(true)
+        )
+        .addStringOption(option =>
+          option.setName('defender')
+            .setDescription('The character you want to fight (must be in the same village)')
+            .setRequired(true)
+            .setAutocomplete(true)
+        )
+    )
+    .addSubcommand(sub =>
+      sub
+        .setName('attack')
+        .setDescription('🎯 Take your turn in an ongoing PvP battle')
+        .addStringOption(option =>
+          option.setName('attacker')
+            .setDescription('Your character taking the turn')
+            .setRequired(true)
+            .setAutocomplete(true)
+        )
+        .addStringOption(option =>
+          option.setName('battleid')
+            .setDescription('The battle ID')
+            .setRequired(true)
+            .setAutocomplete(true)
+        )
+    )
+    .addSubcommand(sub =>
+      sub
+        .setName('status')
+        .setDescription('📊 View the current state of a PvP battle')
+        .addStringOption(option =>
+          option.setName('battleid')
+            .setDescription('The battle ID')
+            .setRequired(true)
+            .setAutocomplete(true)
+        )
+    )
+    .addSubcommand(sub =>
+      sub
+        .setName('forfeit')
+        .setDescription('🏳️ Surrender an ongoing PvP battle')
+        .addStringOption(option =>
+          option.setName('charactername')
+            .setDescription('Your character in the battle')
+            .setRequired(true)
+            .setAutocomplete(true)
+        )
+        .addStringOption(option =>
+          option.setName('battleid')
+            .setDescription('The battle ID')
+            .setRequired(true)
+            .setAutocomplete(true)
+        )
+    ),
+
+  // ------------------- Command Execution Logic -------------------
+  // Handles PvP challenge initiation, attack turns, status and forfeits.
+  async execute(interaction) {
+    try {
+      await interaction.deferReply();
+
+      const subcommand = interaction.options.getSubcommand();
+
+      // ------------------- PvP Status Subcommand -------------------
+      if (subcommand === 'status') {
+        const battleId = interaction.options.getString('battleid').trim();
+        const battle = await getBattleProgressById(battleId);
+        if (!battle) {
+          return await interaction.editReply(`❌ No battle found with ID \`${battleId}\`.`);
+        }
+        const embed = await buildBattleStatusEmbed(battle);
+        return await interaction.editReply({ embeds: [embed] });
+      }
+
+      const characterName = subcommand === 'forfeit'
+        ? interaction.options.getString('charactername')
+        : interaction.options.getString('attacker');
+
+      // Get the user's character
+      const attacker = await fetchCharacterByNameAndUserId(characterName, interaction.user.id);
+      if (!attacker) {
+        await interaction.editReply({
+          content: `❌ **Character ${characterName} not found or does not belong to you.**`,
+        });
+        return;
+      }
+
+      // ------------------- PvP Forfeit Subcommand -------------------
+      // Allowed even while KO'd or jailed so a stuck duel can always be closed.
+      if (subcommand === 'forfeit') {
+        const battleId = interaction.options.getString('battleid').trim();
+        const result = await forfeitPvPBattle(battleId, attacker);
+        if (result.error) {
+          return await interaction.editReply(`❌ ${result.error}`);
+        }
+        const embed = await buildBattleStatusEmbed(result.battle, '🏳️ PvP Battle Forfeited');
+        embed.setDescription(`**${attacker.name}** has forfeited. 🏆 **${result.winner.name}** wins the duel!`);
+        return await interaction.editReply({ content: `<@${result.winner.userId}>`, embeds: [embed] });
+      }
+
+      // Check if attacker is in jail
+      if (await enforceJail(interaction, attacker)) {
+        return;
+      }
+
+      if (attacker.ko || attacker.currentHearts <= 0) {
+        return await interaction.editReply(`💤 **${attacker.name}** is KO'd and cannot fight.`);
+      }
+
+      // Check inventory sync before proceeding
+      try {
+        await checkInventorySync(attacker);
+      } catch (error) {
+        await interaction.editReply({
+          content: error.message,
+          ephemeral: true
+        });
+        return;
+      }
+
+      // ------------------- PvP Challenge Subcommand -------------------
+      if (subcommand === 'challenge') {
+        const defenderName = interaction.options.getString('defender');
+        const defender = await fetchCharacterByName(defenderName);
+
+        if (!defender || !defender.name) {
+          return await interaction.editReply(`❌ Character **${defenderName}** not found.`);
+        }
+
+        if (defender._id.toString() === attacker._id.toString()) {
+          return await interaction.editReply(`❌ **${attacker.name}** cannot challenge themselves.`);
+        }
+
+        if ((defender.currentVillage || '').toLowerCase() !== (attacker.currentVillage || '').toLowerCase()) {
+          return await interaction.editReply(`🚫 **${defender.name}** is not in the same village as **${attacker.name}**.`);
+        }
+
+        if (defender.ko || defender.currentHearts <= 0) {
+          return await interaction.editReply(`💤 **${defender.name}** is KO'd and cannot be attacked.`);
+        }
+
+        const result = await startPvPBattle(attacker, defender, { channelId: interaction.channelId });
+        if (result.error) {
+          return await interaction.editReply(`❌ ${result.error}`);
+        }
+
+        const embed = await buildBattleStatusEmbed(result.battle, '⚔️ PvP Duel Started');
+        embed.setDescription(
+          `**${attacker.name}** has challenged **${defender.name}** to a duel!\n**${attacker.name}** takes the first turn.` +
+          (result.battle.rivalry ? `\n⚔️ **Rivals!** Both sides get +${RIVALRY_ROLL_BONUS} to attack rolls.` : '')
+        );
+        return await interaction.editReply({ content: `<@${defender.userId}>`, embeds: [embed] });
+      }
+
+      // ------------------- PvP Attack Turn Subcommand -------------------
+      if (subcommand === 'attack') {
+        const battleId = interaction.options.getString('battleid').trim();
+        const battleLog = await takePvPTurn(battleId, attacker);
+
+        if (battleLog.error) {
+          return await interaction.editReply(`❌ ${battleLog.error}`);
+        }
+
+        const updatedBattle = battleLog.battle;
+        const opponent = updatedBattle.getOpponent(attacker._id);
+        const defenderChar = await Character.findById(opponent.characterId);
+
+        const embed = await buildBattleStatusEmbed(updatedBattle, battleLog.ko ? '🏆 PvP Battle Won' : '⚔️ PvP Battle Turn');
+        embed
+          .setDescription(battleLog.ko
+            ? `**${opponent.name}** has been KO'd! 🏆 **${attacker.name}** wins the duel!`
+            : `Turn resolved. It's now **${opponent.name}**'s turn.`)
+          .addFields(
+            { name: '🎲 Roll Breakdown', value: battleLog.message.slice(0, 1024), inline: false },
+            {
+              name: '🛡️ Gear Stats',
+              value:
+                `**${attacker.name}:** Weapon Mod **${getWeaponMod(attacker)}** · Defense **${getTotalDefense(attacker)}**\n` +
+                `**${opponent.name}:** Defense **${defenderChar ? getTotalDefense(defenderChar) : '?'}**`,
+              inline: false
+            }
+          );
+
+        return await interaction.editReply({ content: `<@${opponent.userId}>`, embeds: [embed] });
+      }
+
+    } catch (error) {
+      handleInteractionError(error, 'combat.js');
+
+      console.error('[combat.js]: ❌ Error in /combat command:', error);
+      return await interaction.editReply(`❌ An unexpected error occurred during combat.`);
+    }
+  }
+};
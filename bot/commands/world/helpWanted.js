@@ -10,7 +10,7 @@ const User = require('@/models/UserModel');
 const Character = require('@/models/CharacterModel');
 const ModCharacter = require('@/models/ModCharacterModel');
 const { finalizeBlightApplication } = require('../../handlers/blightHandler');
-const { getTodaysQuests, hasUserCompletedQuestToday, hasUserReachedWeeklyQuestLimit, updateQuestEmbed, getEasternDateString } = require('../../modules/helpWantedModule');
+const { getTodaysQuests, hasUserCompletedQuestToday, hasUserReachedWeeklyQuestLimit, updateQuestEmbed, getEasternDateString, emitHelpWantedCompleted } = require('../../modules/helpWantedModule');
 const HelpWantedQuest = require('@/models/HelpWantedQuestModel');
 const { getWeatherWithoutGeneration } = require('@/services/weatherService');
 const VillageShopItem = require('@/models/VillageShopsModel');
@@ -290,15 +290,11 @@ async function validateQuestRequirements(character, quest) {
  * @returns {Promise<{requirementsMet: boolean, message: string}>}
  */
 async function validateItemQuestRequirements(character, quest) {
-  const { connectToInventories } = require('@/database/db');
+  const { getCharacterInventoryCollection } = require('@/database/db');
   
   try {
-    const inventoriesConnection = await connectToInventories();
-    const db = inventoriesConnection.useDb('inventories');
-    
-    // Per-character collection (same for regular and mod characters)
-    const collectionName = character.name.toLowerCase();
-    const inventoryCollection = db.collection(collectionName);
+    // Shared inventories collection, scoped to this character (regular and mod characters)
+    const inventoryCollection = await getCharacterInventoryCollection(character);
     
     const dbItems = await inventoryCollection.find({
       characterId: character._id,
@@ -356,7 +352,7 @@ function validateEscortQuestRequirements(character, quest) {
  * @returns {Promise<{requirementsMet: boolean, message: string}>}
  */
 async function validateCraftingQuestRequirements(character, quest) {
-  const { connectToInventories } = require('@/database/db');
+  const { getCharacterInventoryCollection } = require('@/database/db');
   
   try {
     console.log(`[helpWanted.js]: 🔍 CRAFTING QUEST VALIDATION DEBUG`);
@@ -364,14 +360,8 @@ async function validateCraftingQuestRequirements(character, quest) {
     console.log(`[helpWanted.js]: Quest requirements:`, quest.requirements);
     console.log(`[helpWanted.js]: Is mod character: ${character.isModCharacter}`);
     
-    const inventoriesConnection = await connectToInventories();
-    const db = inventoriesConnection.useDb('inventories');
-    
-    // Per-character collection (same for regular and mod characters)
-    const collectionName = character.name.toLowerCase();
-    console.log(`[helpWanted.js]: Using collection: ${collectionName}`);
-    
-    const inventoryCollection = db.collection(collectionName);
+    // Shared inventories collection, scoped to this character (regular and mod characters)
+    const inventoryCollection = await getCharacterInventoryCollection(character);
     
     // Build the query step by step for debugging
     const itemNameRegex = new RegExp(`^${escapeRegExp(quest.requirements.item)}$`, 'i');
@@ -455,15 +445,11 @@ async function removeQuestItems(character, quest, interaction) {
   }
   
   try {
-    const { connectToInventories } = require('@/database/db');
+    const { getCharacterInventoryCollection } = require('@/database/db');
     const { removeItemInventoryDatabase } = require('@/utils/inventoryUtils');
     
-    const inventoriesConnection = await connectToInventories();
-    const db = inventoriesConnection.useDb('inventories');
-    
-    // Per-character collection (same for regular and mod characters)
-    const collectionName = character.name.toLowerCase();
-    const inventoryCollection = db.collection(collectionName);
+    // Shared inventories collection, scoped to this character (regular and mod characters)
+    const inventoryCollection = await getCharacterInventoryCollection(character);
     
     let itemsToRemove = [];
     
@@ -624,42 +610,6 @@ async function updateVillageShopsStock(itemName, amountUsed, retryAttempt = 0) {
   }
 }
 
-/**
- * Updates user tracking for quest completion
- * @param {Object} user - User object
- * @param {Object} quest - Quest object
- * @param {string} userId - Discord user ID
- * @returns {Promise<void>}
- */
-async function updateUserTracking(user, quest, userId) {
-  if (!user.helpWanted) {
-    user.helpWanted = {
-      lastCompletion: null,
-      cooldownUntil: null,
-      totalCompletions: 0,
-      currentCompletions: 0,
-      lastExchangeAmount: 0,
-      lastExchangeAt: null,
-      completions: []
-    };
-  }
-  const now = new Date();
-  const today = getEasternDateString(now);
-
-  user.helpWanted.lastCompletion = today;
-  // Increment both total and current completions
-  user.helpWanted.totalCompletions = (user.helpWanted.totalCompletions || 0) + 1;
-  user.helpWanted.currentCompletions = (user.helpWanted.currentCompletions || 0) + 1;
-  user.helpWanted.completions.push({
-    date: today,
-    village: quest.village,
-    questType: quest.type,
-    questId: quest.questId,
-    timestamp: new Date()
-  });
-  await user.save();
-}
-
 /**
  * Handles /helpwanted guess: validate and complete a character-guess quest on correct guess
  */
@@ -760,7 +710,7 @@ async function handleCharacterGuess(interaction, questId, characterName, guess)
     quest = claimedQuest;
     const now = new Date();
     const today = getEasternDateString(now);
-    await updateUserTracking(user, quest, userId);
+    await emitHelpWantedCompleted(quest, userId, character._id);
     if (!character.helpWanted) {
       character.helpWanted = { lastCompletion: null, cooldownUntil: null, completions: [] };
     }
@@ -1876,10 +1826,7 @@ async function handleMonsterHunt(interaction, questId, characterName) {
     quest.completedBy = { userId: interaction.user.id, characterId: character._id, timestamp: new Date().toLocaleString('en-US', {timeZone: 'America/New_York'}) };
     await quest.save();
     
-    const user = await User.findOne({ discordId: interaction.user.id });
-    if (user) {
-      await updateUserTracking(user, quest, interaction.user.id);
-    }
+    await emitHelpWantedCompleted(quest, interaction.user.id, character._id);
     
     await updateQuestEmbed(interaction.client, quest, quest.completedBy);
 
@@ -2314,7 +2261,7 @@ module.exports = {
         }
 
         // Update user tracking
-        await updateUserTracking(user, quest, interaction.user.id);
+        await emitHelpWantedCompleted(quest, interaction.user.id, character._id);
 
         // Update quest embed
         await updateQuestEmbed(interaction.client, quest, quest.completedBy);
@@ -5,9 +5,11 @@ const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
 const { handleInteractionError } = require('@/utils/globalErrorHandler');
 const { fetchAnyCharacterByNameAndUserId, updateCharacterById, updateModCharacterById } = require('@/database/db');
 const { joinRaid, processRaidTurn, checkRaidExpiration, leaveRaid, scheduleRaidTurnSkip } = require('../../modules/raidModule');
+const { formatBondBonus } = require('../../modules/relationshipModule');
 const { createRaidKOEmbed, createBlightRaidParticipationEmbed, getExploreCommandId, getExploreOutcomeColor } = require('../../embeds/embeds.js');
 const { chatInputApplicationCommandMention } = require('@discordjs/formatters');
 const Raid = require('@/models/RaidModel');
+const rng = require('@/services/rngService');
 
 function normalizeRaidCharacterName(input) {
   if (!input) return '';
@@ -808,8 +810,9 @@ function getVillageRoleMention(village) {
 // ---- Function: createRaidTurnEmbed ----
 // Creates an embed showing the results of a raid turn
 async function createRaidTurnEmbed(character, raidId, turnResult, raidData) {
-  const { battleResult, participant } = turnResult;
+  const { battleResult, participant, bond } = turnResult;
   const { monster } = raidData;
+  const bondLine = formatBondBonus(bond?.bonded, bond?.bonus);
 
   // Get monster image from monsterMapping
   const { monsterMapping } = require('@/models/MonsterModel');
@@ -913,6 +916,10 @@ async function createRaidTurnEmbed(character, raidId, turnResult, raidData) {
       value: `⚔️ **${battleResult.hearts}** hearts`,
       inline: false
     },
+    ...(bondLine
+      ? [{ name: '💞 __Bonds__', value: bondLine, inline: false }]
+      : []
+    ),
     {
       name: `__Turn Order__`,
       value: turnOrder || 'No participants',
@@ -943,6 +950,7 @@ async function createRaidTurnEmbed(character, raidId, turnResult, raidData) {
       text: `Raid ID: ${raidId}` 
     })
     .setTimestamp();
+  rng.appendRollIdToFooter(embed, turnResult.rollId);
 
   // For exploration raids: add escape info (party hearts already in main status above)
   if (raidData.expeditionId) {
@@ -982,7 +990,13 @@ async function createRaidTurnEmbed(character, raidId, turnResult, raidData) {
 // ---- Function: handleRaidVictory ----
 // Handles raid victory with loot distribution for eligible participants only
 // Eligible: 1+ damage OR 3+ rounds participated; plus anyone in lootEligibleRemoved (left/removed but was eligible)
-async function handleRaidVictory(interaction, raidData, monster) {
+// Loot and Gloom Hands draws come from one seeded roll session so they can be replayed
+function handleRaidVictory(interaction, raidData, monster) {
+  return rng.runWithRollSession(() => runRaidVictory(interaction, raidData, monster));
+}
+
+// ---- Function: runRaidVictory ----
+async function runRaidVictory(interaction, raidData, monster) {
   try {
     // ------------------- Grotto Test of Power: complete grotto and grant Spirit Orbs to party -------------------
     if (raidData.grottoId) {
@@ -1155,7 +1169,7 @@ async function handleRaidVictory(interaction, raidData, monster) {
             const updateFn = character.isModCharacter ? updateModCharacterById : updateCharacterById;
             await updateFn(character._id, { buff: character.buff });
           }
-          if (Math.random() < gloomBlightChance) {
+          if (rng.chance(gloomBlightChance, 'gloom-hands-blight')) {
             if (!character.blighted) {
               const finalizeResult = await finalizeBlightApplication(
                 character,
@@ -1240,6 +1254,15 @@ async function handleRaidVictory(interaction, raidData, monster) {
       .setFooter({ text: `Raid ID: ${raidData.raidId}` })
       .setTimestamp();
 
+    const rollRecord = await rng.recordRoll({
+      kind: 'raid-victory',
+      userId: interaction.user.id,
+      inputs: { raidId: raidData.raidId, monster: monster.name, participants: participants.length },
+      result: { loot: lootResults, blighted: blightedCharacters },
+      summary: `Raid ${raidData.raidId} loot vs ${monster.name}`
+    });
+    rng.appendRollIdToFooter(victoryEmbed, rollRecord?.rollId);
+
     // Expedition raid (non-grotto): add "raid over — continue" to victory embed. Grotto raids get that on the separate grotto embed.
     if (raidData.expeditionId && !raidData.grottoId) {
       const exploreCmdId = getExploreCommandId();
@@ -1414,8 +1437,7 @@ async function generateLootedItem(monster, weightedItems, damageDealt = 0) {
   }
   
   // Select item from the filtered pool
-  const randomIndex = Math.floor(Math.random() * selectionPool.length);
-  const lootedItem = { ...selectionPool[randomIndex] };
+  const lootedItem = { ...rng.pick(selectionPool, 'raid-loot-item') };
   
   // Log the rarity selection for debugging
   console.log(`[raid.js]: 🎯 Loot selection for ${damageDealt} damage - Target rarity: ${targetRarity}, Selected rarity: ${lootedItem.itemRarity}, Item: ${lootedItem.itemName}`);
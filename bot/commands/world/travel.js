@@ -36,7 +36,7 @@ const {
 } = require('@/database/db.js');
 
 // ------------------- Database Models -------------------
-// const Mount = require('@/models/MountModel');
+const Mount = require('@/models/MountModel');
 const User = require('@/models/UserModel.js');
 const Character = require('@/models/CharacterModel.js');
 
@@ -57,13 +57,20 @@ const {
 const {
   createFinalTravelEmbed,
   handleTravelInteraction,
-  assignVillageVisitingRole
+  assignVillageVisitingRole,
+  recordTravelCompletion
 } = require('../../handlers/travelHandler.js');
 
 // ------------------- Utility Functions -------------------
 const { capitalizeFirstLetter, capitalizeWords } = require('../../modules/formattingModule.js');
 const { getMonstersByPath, getRandomTravelEncounter } = require('../../modules/rngModule.js');
 const { hasPerk } = require('../../modules/jobsModule.js');
+const {
+  getMountTravelDays,
+  getMountTravelStaminaCost,
+  isMountExhausted,
+  recoverMountStamina
+} = require('../../modules/mountModule.js');
 const { isValidVillage, getAllVillages } = require('../../modules/locationsModule.js');
 const { checkInventorySync } = require('@/utils/characterUtils');
 const { enforceJail } = require('@/utils/jailCheck');
@@ -71,8 +78,10 @@ const { handleInteractionError } = require('@/utils/globalErrorHandler.js');
 const { retrieveAllByType } = require('@/utils/storage.js');
 const TempData = require('@/models/TempDataModel');
 const { getWeatherWithoutGeneration } = require('@/services/weatherService');
+const rng = require('@/services/rngService');
 const { getActiveBuffEffects, shouldConsumeElixir, consumeElixirBuff, consumeElixirTravelChargeOrBuff } = require('../../modules/elixirModule');
 const { applyTravelWeatherBoost } = require('../../modules/boostIntegration');
+const { getActiveWeatherEffects, applyWeatherToMonsterPool, addWeatherEffectsField } = require('../../modules/weatherEffectsModule');
 const { generateBoostFlavorText } = require('../../modules/flavorTextModule');
 const { retrieveBoostingRequestFromTempDataByCharacter, saveBoostingRequestToTempData, updateBoostAppliedMessage } = require('../jobs/boosting');
 const { updateBoostRequestEmbed } = require('../../embeds/embeds.js');
@@ -124,8 +133,8 @@ const PATH_CHANNELS = {
 const TEST_TRAVEL_CHANNEL_ID = '1391812848099004578';
 
 const MODE_CHOICES = [
-  { name: 'on foot',  value: 'on foot'  }
-  // { name: 'on mount', value: 'on mount' } // Temporarily disabled
+  { name: 'on foot',  value: 'on foot'  },
+  { name: 'on mount', value: 'on mount' }
 ];
 
 const DELAY_MS = Number(TRAVEL_DELAY_MS);
@@ -155,8 +164,8 @@ const CommandData = new SlashCommandBuilder()
 
 // ------------------- Travel Duration Calculator -------------------
 // Determines number of travel days based on starting point, destination,
-// mode of travel, and character perks.
-function calculateTravelDuration(currentVillage, destination, mode, character) {
+// mode of travel (mount level shortens the on-foot days), and character perks.
+function calculateTravelDuration(currentVillage, destination, mode, character, mount = null) {
   // Safety check: ensure character object is valid
   if (!character || typeof character !== 'object') {
     logger.error('CHARACTER', 'Invalid character object passed to calculateTravelDuration');
@@ -169,18 +178,17 @@ function calculateTravelDuration(currentVillage, destination, mode, character) {
       'inariko-vhintl': 2,
       'rudania-inariko': 2,
       'vhintl-inariko': 2
-    },
-    'on mount': {
-      'inariko-rudania': 1,
-      'inariko-vhintl': 1,
-      'rudania-inariko': 1,
-      'vhintl-inariko': 1
     }
   };
 
   const key = `${currentVillage}-${destination}`;
   const reverseKey = `${destination}-${currentVillage}`;
-  let baseDuration = travelTimes[mode][key] || travelTimes[mode][reverseKey] || -1;
+  let baseDuration = travelTimes['on foot'][key] || travelTimes['on foot'][reverseKey] || -1;
+
+  // Mounts cover the same route in fewer days depending on their level
+  if (baseDuration > 0 && mode === 'on mount') {
+    baseDuration = getMountTravelDays(baseDuration, mount?.level);
+  }
 
   // Apply DELIVERING perk
   if (baseDuration > 0 && character.job && hasPerk(character, 'DELIVERING')) {
@@ -378,7 +386,7 @@ module.exports = {
           // Ensure chance stays within reasonable bounds
           infectionChance = Math.max(0.1, Math.min(0.95, infectionChance));
           
-          if (Math.random() < infectionChance) {
+          if (rng.chance(infectionChance, 'blight-rain-infection')) {
             // Create fancy blight infection embed
             const blightEmbed = new EmbedBuilder()
               .setColor('#AD1457')
@@ -531,43 +539,21 @@ module.exports = {
       }
 
       // ------------------- Mount Travel Logic -------------------
-      // let mount = null;
-      // if (mode === 'on mount') {
-      //   console.log(`[travel.js]: 🔍 Checking mount for character ${character.name} (${character._id})`);
-      //   mount = await Mount.findOne({ characterId: character._id, status: 'active' });
-      //   console.log(`[travel.js]: 🐴 Mount found: ${mount ? 'Yes' : 'No'}`);
-      //   if (!mount) {
-      //     console.log(`[travel.js]: ❌ No mount found for ${character.name}, blocking travel`);
-      //     return interaction.editReply({
-      //       content: `❌ **${character.name}** does not have a registered mount. You must register a mount before traveling on mount.`
-      //     });
-      //   }
-      //   console.log(`[travel.js]: ✅ Mount validation passed for ${character.name}`);
-      //   // Recover mount stamina if a day has passed since lastMountTravel
-      //   const now = new Date();
-      //   if (mount.lastMountTravel) {
-      //     const last = new Date(mount.lastMountTravel);
-      //     const msInDay = 24 * 60 * 60 * 1000;
-      //     const daysPassed = Math.floor((now - last) / msInDay);
-      //     if (daysPassed > 0) {
-      //       const maxStamina = mount.stamina;
-      //       mount.currentStamina = Math.min(maxStamina, (mount.currentStamina || maxStamina) + daysPassed);
-      //       await mount.save();
-      //     }
-      //     // Enforce 1 day cooldown
-      //     if ((now - last) < msInDay) {
-      //       return interaction.editReply({
-      //         content: `❌ **${mount.name}** must rest for 1 day before traveling again. Please wait before using your mount for travel.`
-      //       });
-      //     }
-      //   } else {
-      //     // If never traveled, initialize currentStamina
-      //     if (mount.currentStamina == null) {
-      //       mount.currentStamina = mount.stamina;
-      //       await mount.save();
-      //     }
-      //   }
-      // }
+      let mount = null;
+      if (mode === 'on mount') {
+        mount = await Mount.findOne({ characterId: character._id, status: 'active' });
+        if (!mount) {
+          return interaction.editReply({
+            content: `❌ **${character.name}** does not have an active mount. Register a mount (or take one out of the stable) before traveling on mount.`
+          });
+        }
+        // Apply daily stamina recovery before checking whether the mount can make the trip
+        const staminaBefore = mount.currentStamina;
+        recoverMountStamina(mount);
+        if (mount.currentStamina !== staminaBefore) {
+          await mount.save();
+        }
+      }
 
       // ------------------- Check for Debuff -------------------
       if (character.debuff?.active) {
@@ -614,11 +600,11 @@ module.exports = {
 
       // ------------------- Calculate Travel Duration -------------------
       let hastyTravelSummary = null;
-      const totalTravelDuration = calculateTravelDuration(startingVillage, destination, mode, character);
+      const totalTravelDuration = calculateTravelDuration(startingVillage, destination, mode, character, mount);
 
       // ------------------- Consume Hasty Elixir if Travel Time was Reduced -------------------
       // Check if the Hasty Elixir was used to reduce travel time
-      const originalDuration = calculateTravelDuration(startingVillage, destination, mode, { ...character, buff: { active: false } });
+      const originalDuration = calculateTravelDuration(startingVillage, destination, mode, { ...character, buff: { active: false } }, mount);
       if (totalTravelDuration < originalDuration) {
         try {
           const travelBuffType =
@@ -671,18 +657,15 @@ module.exports = {
         }
       }
 
-      // if (mode === 'on mount') {
-      //   if (!mount) {
-      //     return interaction.editReply({
-      //       content: `❌ **${character.name}** does not have a registered mount. You must register a mount before traveling on mount.`
-      //     });
-      //   }
-      //   if (mount.currentStamina < totalTravelDuration) {
-      //     return interaction.editReply({
-      //       content: `❌ **${mount.name}** does not have enough stamina to complete this journey. Required: ${totalTravelDuration}, Available: ${mount.currentStamina}`
-      //     });
-      //   }
-      // }
+      // ------------------- Block Exhausted Mounts -------------------
+      if (mode === 'on mount' && totalTravelDuration > 0) {
+        const mountStaminaCost = getMountTravelStaminaCost(totalTravelDuration);
+        if (isMountExhausted(mount, mountStaminaCost)) {
+          return interaction.editReply({
+            content: `❌ **${mount.name}** is too exhausted for this journey. Required: ${mountStaminaCost} 🥕, Available: ${mount.currentStamina}/${mount.stamina} 🥕\nMounts recover 1 🥕 stamina per day of rest.`
+          });
+        }
+      }
 
       if (
         (startingVillage === 'rudania' && destination === 'vhintl') ||
@@ -728,14 +711,6 @@ module.exports = {
       character.traveling = true;
       await character.save();
 
-      // ------------------- Update Mount After All Validations Pass -------------------
-      // if (mode === 'on mount') {
-      //   // Deduct mount stamina and update lastMountTravel
-      //   mount.currentStamina -= totalTravelDuration;
-      //   mount.lastMountTravel = new Date();
-      //   await mount.save();
-      // }
-
       // ------------------- Determine Paths & Stops -------------------
       let paths = [];
 
@@ -764,7 +739,7 @@ module.exports = {
         destination,
         paths,
         totalTravelDuration,
-        null,
+        mount,
         mode,
         boostFlavorText,
         hastyTravelSummary
@@ -826,7 +801,7 @@ module.exports = {
         travelingMessages: [],
         currentChannel: interaction.channelId,
         travelLog: [],
-        mount: null,
+        mount,
         mode,
         startingWeather,
         scholarTravelGuideActive: false,
@@ -953,6 +928,39 @@ async function checkAndHandleKO(character, channel, startingVillage) {
   return false;
 }
 
+// ------------------- Mount Stamina Per Leg -------------------
+// Deducts one leg of stamina from the mount with a conditional update so the
+// stored value never drops below zero, then mirrors it onto the in-memory document.
+async function spendMountStaminaForLeg(mount, day) {
+  const staminaCost = getMountTravelStaminaCost(1);
+  const wasFull = mount.currentStamina >= mount.stamina;
+  const now = new Date();
+  const update = {
+    $inc: { currentStamina: -staminaCost },
+    $set: { lastMountTravel: now }
+  };
+  // A full mount starts its recovery window on the first leg it spends
+  if (wasFull || !mount.staminaRecoveredAt) {
+    update.$set.staminaRecoveredAt = now;
+  }
+
+  const updated = await Mount.findOneAndUpdate(
+    { _id: mount._id, currentStamina: { $gte: staminaCost } },
+    update,
+    { new: true }
+  );
+
+  if (!updated) {
+    logger.warn('TRAVEL', `Mount ${mount.name} had no stamina left for day ${day}; continuing journey without deducting`);
+    return false;
+  }
+
+  mount.currentStamina = updated.currentStamina;
+  mount.lastMountTravel = updated.lastMountTravel;
+  mount.staminaRecoveredAt = updated.staminaRecoveredAt;
+  return true;
+}
+
 // ============================================================================
 // ------------------- Process Travel Day -------------------
 // ============================================================================
@@ -995,56 +1003,6 @@ async function processTravelDay(day, context) {
     context.entertainerBoleroTriggered = false;
 
 
-    // ------------------- Mount Travel: Skip Encounters & Gathering -------------------
-    // if (mode === 'on mount') {
-    //   if (day > totalTravelDuration) {
-    //     character.currentVillage = destination;
-    //     await character.save();
-    //     const finalChannelId = PATH_CHANNELS[paths[paths.length - 1]] || currentChannel;
-    //     const finalChannel = await interaction.client.channels.fetch(finalChannelId);
-        
-    //     // First embed with mount info
-    //     const mountEmbed = new EmbedBuilder()
-    //       .setTitle(`✅ Mount Travel Complete!`)
-    //       .setDescription(`**${character.name}** has arrived at **${capitalizeFirstLetter(destination)}** by mount!
-
-    // 🥕 **${mount.name}**'s stamina remaining: ${mount.currentStamina}`)
-    //       .setColor('#AA926A')
-    //       .setTimestamp();
-        
-    //     // Second embed with arrival image
-    //     const imageEmbed = new EmbedBuilder()
-    //       .setImage('https://storage.googleapis.com/tinglebot/Graphics/travel.png')
-    //       .setDescription(`🎉 **${character.name}** has arrived safely at **${capitalizeFirstLetter(destination)}**!`);
-
-    //     // Send both embeds in sequence
-    //     await finalChannel.send({ embeds: [mountEmbed] });
-    //     await finalChannel.send({ embeds: [imageEmbed] });
-
-    //     for (const msg of travelingMessages) {
-    //       await msg.delete();
-    //     }
-    //     return;
-    //   }
-    //   // Send a simple embed for each travel day
-    //   const currentPath = paths[0];
-    //   const channelId = PATH_CHANNELS[currentPath];
-    //   const channel = savedChannel || await interaction.client.channels.fetch(channelId);
-    //   const pathEmoji = pathEmojis[currentPath];
-    //   const travelDayEmbed = new EmbedBuilder()
-    //     .setTitle(`🐴 Traveling by Mount: Day ${day}`)
-    //     .setDescription(`**${character.name}** is traveling safely by mount (${mount.name}) to **${capitalizeFirstLetter(destination)}**.
-
-    // ${pathEmoji || ''} No monsters or gathering today!`)
-    //     .setColor('#AA926A')
-    //     .setTimestamp();
-    //   const travelMsg = await channel.send({ embeds: [travelDayEmbed] });
-    //   travelingMessages.push(travelMsg);
-    //   await new Promise(resolve => setTimeout(resolve, DELAY_MS));
-    //   await processTravelDay(day + 1, { ...context, channel });
-    //   return;
-    // }
-
     // ------------------- Check if Journey is Complete -------------------
     if (day > totalTravelDuration) {
       character.currentVillage = destination;
@@ -1072,237 +1030,21 @@ async function processTravelDay(day, context) {
       const finalChannelId = PATH_CHANNELS[paths[paths.length - 1]] || currentChannel;
       const finalChannel = await interaction.client.channels.fetch(finalChannelId);
     
-      // Check destination for blight rain after arrival
-      const destinationWeather = await getWeatherWithoutGeneration(destination, {
-        generateIfMissing: true,
-        discordClient: interaction.client
+      // Log the arrival; the arrival-weather subscriber of travel.completed posts
+      // blight rain and lightning here (modules/gameEventSubscribers.js)
+      await recordTravelCompletion(character, {
+        from: startingVillage,
+        to: destination,
+        days: totalTravelDuration,
+        mode,
+        departureWeatherLabel: startingWeather?.special?.label || null
+      }, {
+        channel: finalChannel,
+        client: interaction.client,
+        guild: interaction.guild,
+        travelLog: context.travelLog
       });
-      if (destinationWeather?.special?.label === 'Blight Rain') {
-        // Mod characters and Hibiki are immune to blight infection
-        const HIBIKI_USER_ID = "668281042414600212";
-        if (character.isModCharacter || character.userId === HIBIKI_USER_ID) {
-          let immuneMsg;
-          if (character.isModCharacter) {
-            immuneMsg =
-              "<:blight_eye:805576955725611058> **Blight Rain!**\n\n" +
-              `◈ Your character **${character.name}** arrived in ${capitalizeFirstLetter(destination)} during blight rain, but as a ${character.modTitle} of ${character.modType} they are immune to blight infection! ◈`;
-          } else {
-            immuneMsg =
-              "<:blight_eye:805576955725611058> **Blight Rain!**\n\n" +
-              `◈ Your character **${character.name}** arrived in ${capitalizeFirstLetter(destination)} during blight rain, and was definitely exposed to it, but somehow avoided being infected... Was it luck? Or something else? ◈`;
-          }
-          await finalChannel.send({ content: immuneMsg });
-        } else if (character.blighted) {
-          const alreadyMsg =
-            "<:blight_eye:805576955725611058> **Blight Rain!**\n\n" +
-            `◈ Your character **${character.name}** braved the blight rain, but they're already blighted... guess it doesn't matter! ◈`;
-          await finalChannel.send({ content: alreadyMsg });
-        } else if (Math.random() < 0.75) {
-          // Create fancy blight infection embed
-          const blightEmbed = new EmbedBuilder()
-            .setColor('#AD1457')
-            .setTitle('<:blight_eye:805576955725611058> Blight Infection!')
-            .setDescription(`◈ Oh no... your character **${character.name}** has come into contact with the blight rain and has been **blighted**! ◈`)
-            .addFields(
-              {
-                name: '🏥 Healing Available',
-                value: 'You can be healed by **Oracles, Sages & Dragons**',
-                inline: true
-              },
-              {
-                name: '📋 Blight Information',
-                value: '[Learn more about blight stages and healing](https://rootsofthewild.com/world/blight)',
-                inline: true
-              },
-              {
-                name: '⚠️ STAGE 1',
-                value: 'Infected areas appear like blight-colored bruises on the body. Side effects include fatigue, nausea, and feverish symptoms. At this stage you can be helped by having one of the sages, oracles or dragons heal you.',
-                inline: false
-              },
-              {
-                name: '🎲 Daily Rolling',
-                value: '**Starting tomorrow, you\'ll be prompted to roll in the Community Board each day to see if your blight gets worse!**\n*You will not be penalized for missing today\'s blight roll if you were just infected.*',
-                inline: false
-              }
-            )
-            .setThumbnail(character.icon)
-            .setImage('https://storage.googleapis.com/tinglebot/Graphics/border.png')
-            .setFooter({ text: 'Blight Infection System', iconURL: 'https://storage.googleapis.com/tinglebot/blight-icon.png' })
-            .setTimestamp();
-
-          await finalChannel.send({ embeds: [blightEmbed], ephemeral: false });
-          
-          // Use shared finalize helper - each step has its own try/catch for resilience
-          await finalizeBlightApplication(
-            character,
-            interaction.user.id,
-            {
-              client: interaction.client,
-              guild: interaction.guild,
-              source: `Blight Rain in ${capitalizeFirstLetter(destination)}`,
-              alreadySaved: false
-            }
-          );
-          
-          // Add to travel log
-          context.travelLog.push(`<:blight_eye:805576955725611058> **${character.name}** was infected with blight in **${capitalizeFirstLetter(destination)}**!`);
-        } else {
-          const safeMsg =
-            "<:blight_eye:805576955725611058> **Blight Rain!**\n\n" +
-            `◈ Your character **${character.name}** braved the blight rain but managed to avoid infection this time! ◈\n` +
-            "You feel lucky... but be careful out there.";
-          await finalChannel.send({ content: safeMsg });
-        }
-      }
-
-      // Check destination for lightning storm after arrival
-      if (destinationWeather?.special?.label === 'Lightning Storm') {
-        const lightningStrikeChance = 0.015; // 1.5% chance
-        if (Math.random() < lightningStrikeChance) {
-          // Character struck by lightning - 1 heart damage
-          const { useHearts } = require('../../modules/characterStatsModule');
-          await useHearts(character._id, 1, { source: 'lightning_strike' });
-          const lightningMsg = `⚡ **LIGHTNING STRIKE!** ⚡\n\nA bolt of lightning strikes ${character.name} directly as they arrive in ${capitalizeFirstLetter(destination)}! The force is overwhelming... (-1 ❤️)`;
-          await finalChannel.send({ content: lightningMsg });
-        }
-      }
-      
-      // Check starting village for blight rain AFTER successful travel completion
-      // This ensures characters are only blighted from starting village if they actually complete the journey
-      if (startingWeather?.special?.label === 'Blight Rain') {
-        // Mod characters and Hibiki are immune to blight infection
-        const HIBIKI_USER_ID = "668281042414600212";
-        if (character.isModCharacter || character.userId === HIBIKI_USER_ID) {
-          if (character.isModCharacter) {
-            const immuneMsg =
-              "<:blight_eye:805576955725611058> **Blight Rain at Departure!**\n\n" +
-              `◈ Your character **${character.name}** departed from ${capitalizeFirstLetter(startingVillage)} during blight rain, but as a ${character.modTitle} of ${character.modType} they are immune to blight infection! ◈`;
-            await finalChannel.send({ content: immuneMsg });
-          } else {
-            const immuneMsg =
-              "<:blight_eye:805576955725611058> **Blight Rain at Departure!**\n\n" +
-              `◈ Your character **${character.name}** departed from ${capitalizeFirstLetter(startingVillage)} during blight rain, and was definitely exposed to it, but somehow avoided being infected... Was it luck? Or something else? ◈`;
-            await finalChannel.send({ content: immuneMsg });
-          }
-        } else if (character.blighted) {
-          const alreadyMsg =
-            "<:blight_eye:805576955725611058> **Blight Rain at Departure!**\n\n" +
-            `◈ Your character **${character.name}** departed from ${capitalizeFirstLetter(startingVillage)} during blight rain, but they're already blighted... guess it doesn't matter! ◈`;
-          await finalChannel.send({ content: alreadyMsg });
-        } else {
-          // Check for resistance buffs
-          const buffEffects = getActiveBuffEffects(character);
-          let infectionChance = 0.75; // Base 75% chance
-          
-          // Apply resistance buffs
-          if (buffEffects && buffEffects.blightResistance > 0) {
-            infectionChance -= (buffEffects.blightResistance * 0.1); // Each level reduces by 10%
-            console.log(`[travel.js]: 🧪 Starting village blight resistance: ${infectionChance} chance`);
-          }
-          
-          // Consume elixirs after applying their effects
-          if (shouldConsumeElixir(character, 'travel', { blightRain: true })) {
-            consumeElixirBuff(character);
-            // Update character in database
-            const updateFunction = character.isModCharacter ? updateModCharacterById : updateCharacterById;
-            await updateFunction(character._id, { buff: character.buff });
-          } else if (character.buff?.active) {
-            // Log when elixir is not used due to conditions not being met
-            console.log(`[travel.js]: 🧪 Elixir not used for ${character.name} - conditions not met. Active buff: ${character.buff.type}`);
-          }
-          
-          // Ensure chance stays within reasonable bounds
-          infectionChance = Math.max(0.1, Math.min(0.95, infectionChance));
-          
-          if (Math.random() < infectionChance) {
-            // Create fancy blight infection embed
-            const blightEmbed = new EmbedBuilder()
-              .setColor('#AD1457')
-              .setTitle('<:blight_eye:805576955725611058> Blight Infection!')
-              .setDescription(`◈ Oh no... your character **${character.name}** was exposed to blight rain when departing from **${capitalizeFirstLetter(startingVillage)}** and has been **blighted**! ◈`)
-              .addFields(
-                {
-                  name: '🏥 Healing Available',
-                  value: 'You can be healed by **Oracles, Sages & Dragons**',
-                  inline: true
-                },
-                {
-                  name: '📋 Blight Information',
-                  value: '[Learn more about blight stages and healing](https://rootsofthewild.com/world/blight)',
-                  inline: true
-                },
-                {
-                  name: '⚠️ STAGE 1',
-                  value: 'Infected areas appear like blight-colored bruises on the body. Side effects include fatigue, nausea, and feverish symptoms. At this stage you can be helped by having one of the sages, oracles or dragons heal you.',
-                  inline: false
-                },
-                {
-                  name: '🎲 Daily Rolling',
-                  value: '**Starting tomorrow, you\'ll be prompted to roll in the Community Board each day to see if your blight gets worse!**\n*You will not be penalized for missing today\'s blight roll if you were just infected.*',
-                  inline: false
-                }
-              )
-              .setThumbnail(character.icon)
-              .setImage('https://storage.googleapis.com/tinglebot/Graphics/border.png')
-              .setFooter({ text: 'Blight Infection System', iconURL: 'https://storage.googleapis.com/tinglebot/blight-icon.png' })
-              .setTimestamp();
-
-            await finalChannel.send({ embeds: [blightEmbed], ephemeral: false });
-            
-            // Use shared finalize helper - each step has its own try/catch for resilience
-            await finalizeBlightApplication(
-              character,
-              interaction.user.id,
-              {
-                client: interaction.client,
-                guild: interaction.guild,
-                source: `Blight Rain when departing from ${capitalizeFirstLetter(startingVillage)}`,
-                alreadySaved: false
-              }
-            );
-            
-            // Add to travel log
-            context.travelLog.push(`<:blight_eye:805576955725611058> **${character.name}** was infected with blight when departing from **${capitalizeFirstLetter(startingVillage)}**!`);
-          } else {
-            let safeMsg = "<:blight_eye:805576955725611058> **Blight Rain at Departure!**\n\n";
-            
-            if (buffEffects && buffEffects.blightResistance > 0) {
-              safeMsg += `◈ Your character **${character.name}** departed from ${capitalizeFirstLetter(startingVillage)} during blight rain and managed to avoid infection thanks to their elixir buffs! ◈\n`;
-              safeMsg += "The protective effects of your elixir kept you safe from the blight.";
-              
-              // Consume Bright Elixir after use (blight resistance)
-              if (shouldConsumeElixir(character, 'travel', { blightRain: true })) {
-                consumeElixirBuff(character);
-                // Update character in database
-                const updateFunction = character.isModCharacter ? updateModCharacterById : updateCharacterById;
-                await updateFunction(character._id, { buff: character.buff });
-                safeMsg += "\n\n🧪 **Elixir consumed!** The protective effects have been used up.";
-              } else if (character.buff?.active) {
-                // Log when elixir is not used due to conditions not being met
-                console.log(`[travel.js]: 🧪 Elixir not used for ${character.name} - conditions not met. Active buff: ${character.buff.type}`);
-              }
-            } else {
-              safeMsg += `◈ Your character **${character.name}** departed from ${capitalizeFirstLetter(startingVillage)} during blight rain but managed to avoid infection this time! ◈\n`;
-              safeMsg += "You feel lucky... but be careful out there.";
-            }
-            
-            await finalChannel.send({ content: safeMsg });
-          }
-        }
-      }
 
-      // Check starting village for lightning storm AFTER successful travel completion
-      if (startingWeather?.special?.label === 'Lightning Storm') {
-        const lightningStrikeChance = 0.015; // 1.5% chance
-        if (Math.random() < lightningStrikeChance) {
-          // Character struck by lightning - 1 heart damage
-          const { useHearts } = require('../../modules/characterStatsModule');
-          await useHearts(character._id, 1, { source: 'lightning_strike' });
-          const lightningMsg = `⚡ **LIGHTNING STRIKE!** ⚡\n\nA bolt of lightning strikes ${character.name} directly as they depart from ${capitalizeFirstLetter(startingVillage)}! The force is overwhelming... (-1 ❤️)`;
-          await finalChannel.send({ content: lightningMsg });
-        }
-      }
-    
       // Filter out "fight: win & loot" logs from final summary
       if (context.scholarTravelGuideActive && !context.scholarTravelGuideTriggered) {
         context.travelLog.push('📚 **Travel Guide** was watching the roads, but there wasn\'t enough time to gather anything on this journey.');
@@ -1310,6 +1052,9 @@ async function processTravelDay(day, context) {
       if (context.entertainerBoleroActive && !context.entertainerBoleroTriggered) {
         context.travelLog.push('🎵 **Bolero of Fire** crackled in the air, warding off trouble before it could find you.');
       }
+      if (mode === 'on mount' && mount) {
+        context.travelLog.push(`🐴 **${mount.name}** carried ${character.name} the whole way. 🥕 Stamina remaining: ${mount.currentStamina}/${mount.stamina}`);
+      }
       const filteredLog = context.travelLog.filter(entry => !entry.startsWith('fight: win & loot'));
       const finalEmbed = createFinalTravelEmbed(
         character,
@@ -1329,15 +1074,6 @@ async function processTravelDay(day, context) {
         
         // Assign village visiting role after successful arrival
         await assignVillageVisitingRole(interaction, destination, character);
-        // Log travel completion
-        character.travelLog = character.travelLog || [];
-        character.travelLog.push({
-          from: startingVillage,
-          to: destination,
-          date: new Date(),
-          success: true
-        });
-        await character.save();
 
         // ------------------- Clear Boost After Travel -------------------
         // Only consume Traveling/Gathering boost when a road gather actually occurred (not on monster-only travel)
@@ -1412,6 +1148,11 @@ async function processTravelDay(day, context) {
       throw new Error(`Emoji for path "${currentPath}" is undefined.`);
     }
 
+    // ------------------- Spend Mount Stamina For This Leg -------------------
+    if (mode === 'on mount' && mount) {
+      await spendMountStaminaForLeg(mount, day);
+    }
+
     // ------------------- Post Traveling Message -------------------
     const travelingEmbed = createTravelingEmbed(character);
     const travelingMessage = await channel.send({ embeds: [travelingEmbed] });
@@ -1421,7 +1162,7 @@ async function processTravelDay(day, context) {
     await new Promise(resolve => setTimeout(resolve, DELAY_MS));
 
     // ------------------- Determine Encounter Type -------------------
-    const randomRoll = Math.random();
+    const randomRoll = rng.random('travel-encounter');
     const hasNoMonsters = character.blightEffects?.noMonsters === true;
     const isSafe = hasNoMonsters ? true : randomRoll < 0.5;
     
@@ -1454,8 +1195,9 @@ async function processTravelDay(day, context) {
         const monsters = await getMonstersByPath(currentPath);
         if (monsters.length) {
           const tier = parseInt(getRandomTravelEncounter().split(' ')[1], 10);
-          const options = monsters.filter(m => m.tier <= tier);
-          const monster = options[Math.floor(Math.random() * options.length)];
+          const weatherEffects = getActiveWeatherEffects(startingWeather);
+          const options = applyWeatherToMonsterPool(monsters.filter(m => m.tier <= tier), weatherEffects);
+          const monster = rng.pick(options, 'encounter-monster');
           dailyLogEntry += `⚔️ Encountered a ${monster.name}!\n`;
 
         // Before creating the encounter embed, check if Blood Moon is active
@@ -1474,6 +1216,7 @@ async function processTravelDay(day, context) {
           null, // boostCategoryOverride
           null // elixirBuffInfo - not implemented for travel yet
         );
+        addWeatherEffectsField(encounterEmbed, weatherEffects, 'travel');
         const buttons = new ActionRowBuilder().addComponents(
           new ButtonBuilder().setCustomId('fight').setLabel('⚔️ Fight').setStyle(ButtonStyle.Primary),
           new ButtonBuilder().setCustomId('flee').setLabel('💨 Flee').setStyle(ButtonStyle.Secondary).setDisabled(character.currentStamina === 0)
@@ -1636,7 +1379,7 @@ async function processTravelDay(day, context) {
       // ------------------- Safe Day of Travel -------------------
       // Check for chest discovery (incredibly rare on roads)
       // 0.1% per safe travel day => ~1 chest per 1000 travel-day rolls
-      const chestFound = Math.random() < 0.001;
+      const chestFound = rng.chance(0.001, 'travel-chest');
       context.chestFound = chestFound;
       
       // Generate Do Nothing flavor ONCE for this day
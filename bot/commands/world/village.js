@@ -22,6 +22,14 @@ const ItemModel = require('@/models/ItemModel');
 const { Village, VILLAGE_CONFIG, DEFAULT_TOKEN_REQUIREMENTS } = require('@/models/VillageModel');
 const UserModel = require('@/models/UserModel');
 const { initializeVillages, updateVillageStatus, getEffectiveVendingTier, getEffectiveVendingDiscount, getEffectiveRestLevel } = require('../../modules/villageModule');
+const {
+    getProjectDefinition,
+    listProjectDefinitions,
+    getProjectProgress,
+    getProjectBonus,
+    planProjectContribution,
+    applyProjectContribution
+} = require('../../modules/villageProjectModule');
 const moment = require('moment-timezone');
 const VILLAGE_DONATION_TZ = 'America/New_York';
 
@@ -786,6 +794,137 @@ async function processRepair(village, interaction, qty, characterName) {
     }
 }
 
+// ------------------- Function: processProjectContribution -------------------
+// Handles item/token donations toward a building project (or token repairs once it is built)
+async function processProjectContribution(village, interaction, projectKey, type, itemName, qty, characterName) {
+    try {
+        const plan = planProjectContribution(village, projectKey, { type, itemName, qty });
+        if (!plan.success) {
+            return { success: false, message: plan.message };
+        }
+        const def = getProjectDefinition(village.name, projectKey);
+
+        const donatingCharacter = await fetchCharacterByName(characterName);
+        if (!donatingCharacter) {
+            return { success: false, message: `❌ **Character "${characterName}" not found.**` };
+        }
+
+        const contributorKey = donatingCharacter._id.toString();
+        const contributorData = village.contributors.get(contributorKey) || { items: {}, tokens: 0 };
+
+        if (type === 'Items') {
+            const removed = await removeItemInventoryDatabase(donatingCharacter._id, plan.itemName, qty, interaction);
+            if (!removed) {
+                return { success: false, message: `❌ **Failed to remove items from ${characterName}'s inventory.**` };
+            }
+            addContributorItemQty(contributorData, plan.itemName, qty);
+        } else {
+            const userId = interaction.user.id;
+            const tokenRecord = await getOrCreateToken(userId);
+            if (tokenRecord.tokens < qty) {
+                return { success: false, message: `❌ **You do not have enough tokens to contribute.** Current Balance: ${tokenRecord.tokens}, Required: ${qty}` };
+            }
+            const interactionUrl = `https://discord.com/channels/${interaction.guildId}/${interaction.channelId}/${interaction.id}`;
+            await updateTokenBalance(userId, -qty, {
+                category: 'village',
+                description: `Village ${def.name} ${plan.mode === 'repair' ? 'repair' : 'project'} (${village.name}) Tokens x${qty} by ${characterName}`,
+                link: interactionUrl
+            });
+            contributorData.tokens += qty;
+        }
+
+        const { completed, repaired } = applyProjectContribution(village, projectKey, { mode: plan.mode, itemName: plan.itemName, qty });
+
+        contributorData.lastDonatedAt = new Date();
+        village.contributors.set(contributorKey, contributorData);
+        village.markModified('contributors');
+        await village.save();
+
+        const progress = getProjectProgress(village, projectKey);
+        let description;
+        if (plan.mode === 'repair') {
+            description = `🔧 **${characterName}** has contributed **Tokens x ${qty}** to repair the ${def.emoji} **${def.name}** (+${repaired}% condition).`;
+        } else if (completed) {
+            description = `🎉 **${characterName}** has donated **${plan.itemName || 'Tokens'} x ${qty}** and finished the ${def.emoji} **${def.name}**!\n\n` +
+                `🌟 **${def.effectText}.**`;
+        } else {
+            description = `🎉 **${characterName}** has donated **${plan.itemName || 'Tokens'} x ${qty}** toward the ${def.emoji} **${def.name}**!\n` +
+                `Use </village view:1324300899585363968> to check construction status.`;
+        }
+
+        const embed = new EmbedBuilder()
+            .setTitle(`${village.name} — ${def.emoji} ${def.name}`)
+            .setDescription(description)
+            .addFields(progress.state.completedAt
+                ? { name: '🏗️ Condition', value: `> ${formatProgress(progress.state.condition, 100)}%`, inline: true }
+                : { name: '🏗️ Construction', value: `> ${formatProgress(progress.percent, 100)}%`, inline: true })
+            .setColor(village.color)
+            .setThumbnail(VILLAGE_IMAGES[village.name]?.thumbnail || BORDER_IMAGE)
+            .setImage(VILLAGE_IMAGES[village.name]?.banner || BORDER_IMAGE);
+
+        return { success: true, embed };
+    } catch (error) {
+        if (error instanceof InsufficientInventoryError) {
+            return {
+                success: false,
+                message: `❌ **Not enough ${error.itemName} in inventory.**\nRequired: **${error.required}** · Available: **${error.available ?? '?'}**`,
+                ...(error.embed ? { embed: error.embed } : {}),
+            };
+        }
+        handleInteractionError(error, 'village.js');
+        console.error('[processProjectContribution] Error:', error);
+        return { success: false, message: '❌ **An error occurred while processing your project contribution.**' };
+    }
+}
+
+// ------------------- Function: generateProjectsEmbed -------------------
+// Construction status of every building project in the village (second embed on /village view)
+async function generateProjectsEmbed(village) {
+    const statusLabels = {
+        locked: '🔒 Locked',
+        building: '🚧 Under construction',
+        complete: '✅ Active',
+        damaged: '⚠️ Damaged - effect inactive'
+    };
+
+    const embed = new EmbedBuilder()
+        .setTitle(`${village.name} Building Projects`)
+        .setDescription('*Fund projects with </village donate:1324300899585363968> using the `project` option. Raids and damage wear them down.*')
+        .setColor(village.color)
+        .setImage(BORDER_IMAGE);
+
+    for (const def of listProjectDefinitions(village.name)) {
+        const progress = getProjectProgress(village, def.key);
+        const lines = [`> ${def.description}`, `> **Effect:** ${def.effectText}`];
+
+        if (progress.status === 'locked') {
+            lines.push(`> Requires village level ${def.minLevel}`);
+        } else if (progress.state.completedAt) {
+            lines.push(`> **Condition:** ${formatProgress(progress.state.condition, 100)}%`);
+            if (progress.repairCost > 0) {
+                lines.push(`> 🔧 ${progress.repairCost.toLocaleString()} tokens to fully repair`);
+            }
+        } else {
+            lines.push(`> **Construction:** ${formatProgress(progress.percent, 100)}%`);
+            const needed = [];
+            for (const { name, current, required } of progress.materials) {
+                const item = await ItemModel.findOne({ itemName: { $regex: `^${name}$`, $options: 'i' } });
+                needed.push(`${item?.emoji || ':grey_question:'} ${name} ${current}/${required}`);
+            }
+            needed.push(`🪙 Tokens ${progress.tokens.current.toLocaleString()}/${progress.tokens.required.toLocaleString()}`);
+            lines.push(`> ${needed.join(' · ')}`);
+        }
+
+        embed.addFields({
+            name: `${def.emoji} **__${def.name}__** — ${statusLabels[progress.status]}`,
+            value: lines.join('\n').slice(0, 1024),
+            inline: false
+        });
+    }
+
+    return embed;
+}
+
 // ------------------- Function: generateProgressEmbed -------------------
 // Generates an embed showing village upgrade or repair progress
 async function generateProgressEmbed(village) {
@@ -1371,6 +1510,11 @@ module.exports = {
                         .setDescription('Name of the item to use (if using Items)')
                         .setRequired(false)
                         .setAutocomplete(true))
+                .addStringOption(option =>
+                    option.setName('project')
+                        .setDescription('Donate toward a building project instead of the village upgrade')
+                        .setRequired(false)
+                        .setAutocomplete(true))
         )
         // ------------------- Subcommand: Contributors -------------------
         .addSubcommand(subcommand =>
@@ -1418,6 +1562,7 @@ module.exports = {
         const itemName = interaction.options.getString('itemname');
         const qty = interaction.options.getInteger('qty');
         const characterName = interaction.options.getString('charactername');
+        const projectKey = interaction.options.getString('project');
 
         try {
             console.log(`[village.js] execute: Handling subcommand "${subcommand}" for village "${villageName}"`);
@@ -1471,9 +1616,9 @@ module.exports = {
                 // Format vending status
                 let vendingStatus = '';
                 if (vendingTier === 3) {
-                    vendingStatus = '🛍️ **Rare stock unlocked (-20% cost)**';
+                    vendingStatus = `🛍️ **Rare stock unlocked (-${vendingDiscount}% cost)**`;
                 } else if (vendingTier === 2) {
-                    vendingStatus = '🛍️ **Mid-tier stock unlocked (-10% cost)**';
+                    vendingStatus = `🛍️ **Mid-tier stock unlocked (-${vendingDiscount}% cost)**`;
                 } else {
                     vendingStatus = '🛍️ **Basic stock only**';
                 }
@@ -1639,7 +1784,8 @@ module.exports = {
                     { name: '👥 **__Top Contributors__**', value: contributorsList.join('\n'), inline: false }
                 );
 
-                return interaction.reply({ embeds: [embed] });
+                const projectsEmbed = await generateProjectsEmbed(villageToDisplay);
+                return interaction.reply({ embeds: [embed, projectsEmbed] });
             }
 
             // ------------------- Subcommand: Donate -------------------
@@ -1653,8 +1799,12 @@ module.exports = {
                     });
                 }
                 
-                // Check if village is at max level
-                if (village.level >= 3 && village.status === 'max') {
+                if (projectKey && !getProjectDefinition(village.name, projectKey)) {
+                    return interaction.reply({ content: '❌ **Unknown building project. Pick one from the list.**', ephemeral: true });
+                }
+
+                // Check if village is at max level (building projects can still be funded)
+                if (!projectKey && village.level >= 3 && village.status === 'max') {
                     const maxHealth = village.levelHealth instanceof Map 
                         ? village.levelHealth.get(village.level.toString()) 
                         : village.levelHealth[village.level.toString()] || 100;
@@ -1808,8 +1958,10 @@ module.exports = {
                     }
                 }
 
-                // Process donate contribution (combines repair and upgrade)
-                const result = await processImprove(village, interaction, type, cleanItemName, qty, characterName);
+                // Process donate contribution (building project, or combined repair and upgrade)
+                const result = projectKey
+                    ? await processProjectContribution(village, interaction, projectKey.toLowerCase(), type, cleanItemName, qty, characterName)
+                    : await processImprove(village, interaction, type, cleanItemName, qty, characterName);
                 if (!result.success) {
                     // If donation failed, remove the cooldown we just set from UserModel
                     if (COOLDOWN_ENABLED) {
@@ -1865,8 +2017,8 @@ module.exports = {
                 // Process rest spot based on effective rest level (L3 perks only when topped off)
                 const effectiveRestLevel = getEffectiveRestLevel(village);
                 if (effectiveRestLevel === 2) {
-                    // Effective tier 2: Random 1-2 hearts (50/50 chance)
-                    const heartsToRestore = Math.random() < 0.5 ? 1 : 2;
+                    // Effective tier 2: Random 1-2 hearts (50/50 chance), plus the Clinic bonus when built
+                    const heartsToRestore = (Math.random() < 0.5 ? 1 : 2) + getProjectBonus(village, 'restBonusHearts');
                     const maxRestore = character.maxHearts - character.currentHearts;
                     const actualRestore = Math.min(heartsToRestore, maxRestore);
 
@@ -1918,11 +2070,12 @@ module.exports = {
                         );
                     }
                     
+                    const heartsOffered = 2 + getProjectBonus(village, 'restBonusHearts');
                     if (canRestoreHearts) {
                         buttons.addComponents(
                             new ButtonBuilder()
                                 .setCustomId(`restSpot_${village.name}_${character._id}_hearts`)
-                                .setLabel('Restore 2 Hearts')
+                                .setLabel(`Restore ${heartsOffered} Hearts`)
                                 .setStyle(ButtonStyle.Success)
                                 .setEmoji('❤️')
                         );
@@ -1934,7 +2087,7 @@ module.exports = {
                             `**${character.name}** arrives at the ${theme.description}...\n\n` +
                             `Choose your benefit:\n` +
                             `${canRestoreStamina ? '🟩 **Restore 1 Stamina** (50% chance)\n' : ''}` +
-                            `${canRestoreHearts ? '❤️ **Restore 2 Hearts** (50% chance)\n' : ''}\n` +
+                            `${canRestoreHearts ? `❤️ **Restore ${heartsOffered} Hearts** (50% chance)\n` : ''}\n` +
                             `*Select your choice below. You can use the rest spot again tomorrow at 8am EST.*`
                         )
                         .setColor(village.color)
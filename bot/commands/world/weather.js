@@ -0,0 +1,58 @@
+// ============================================================================
+// 🌤️ Weather Command
+// Player-facing weather lookups. /weather forecast shows a village's rolling
+// 7-day forecast (services/weatherService.js keeps it up to date each morning).
+// ============================================================================
+
+// ------------------- Discord.js Components -------------------
+const { SlashCommandBuilder } = require('discord.js');
+
+// ------------------- Modules -------------------
+const { handleInteractionError } = require('@/utils/globalErrorHandler.js');
+const { getWeatherForecast, generateForecastEmbed } = require('@/services/weatherService');
+
+module.exports = {
+  // ------------------- Slash Command Definition -------------------
+  data: new SlashCommandBuilder()
+    .setName('weather')
+    .setDescription('🌤️ Village weather')
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('forecast')
+        .setDescription('See the 7-day weather forecast for a village')
+        .addStringOption(option =>
+          option
+            .setName('village')
+            .setDescription('The village to forecast')
+            .setRequired(true)
+            .addChoices(
+              { name: 'Rudania', value: 'Rudania' },
+              { name: 'Inariko', value: 'Inariko' },
+              { name: 'Vhintl', value: 'Vhintl' }
+            )
+        )
+    ),
+
+  // ------------------- Main execute function for weather -------------------
+  async execute(interaction) {
+    try {
+      const subcommand = interaction.options.getSubcommand();
+      if (subcommand === 'forecast') {
+        await interaction.deferReply();
+        const village = interaction.options.getString('village');
+        const days = await getWeatherForecast(village);
+        if (days.length === 0) {
+          await interaction.editReply({ content: `❌ No forecast is available for ${village} right now.` });
+          return;
+        }
+        const { embed, files } = generateForecastEmbed(village, days);
+        await interaction.editReply({ embeds: [embed], files });
+      }
+    } catch (error) {
+      await handleInteractionError(error, interaction, {
+        source: 'weather.js',
+        subcommand: interaction.options.getSubcommand()
+      });
+    }
+  }
+};
@@ -4,6 +4,8 @@
 // Source: GROTTOS_README.md
 // ============================================================================
 
+const rng = require('../services/rngService');
+
 const BLESSING_FLAVORS = [
   "As you enter the grotto, you encounter a really interesting looking chest. Your group opens it and voila... a Spirit Orb! It's almost a bit boring without having to work for it...",
   "The grotto opens into a small chamber lit by soft blue light. At its center, an ancient tree stump holds a shallow basin. Spirit orbs materialize within—one for each of you. The old roots seem to sigh with approval.",
@@ -18,7 +20,7 @@ const BLESSING_FLAVORS = [
  * @returns {string}
  */
 function getRandomBlessingFlavor() {
-  return BLESSING_FLAVORS[Math.floor(Math.random() * BLESSING_FLAVORS.length)];
+  return rng.pick(BLESSING_FLAVORS, 'grotto-blessing');
 }
 
 module.exports = {
@@ -3,6 +3,8 @@
 // From GROTTOS_README.md Entry variants
 // ============================================================================
 
+const rng = require('../services/rngService');
+
 const MAZE_ENTRY_FLAVORS = [
   "As you journey beneath the earth, a landing comes into view, foggy and softly lit by rows of luminous stones. An ambient empty noise permeates with a dull hum from the ground — you feel the vibrations in the roots of your being. Walls stop your view on three sides, only leaving the path in which you began to retreat.",
   "Your consciousness drifts the moment you interact with the stump, coiled down into the earth like the stump's roots. As you emerge from drifting, your group is no longer above ground but instead in the heart of the grotto, blue flames illuminating walls surrounding you. A few passages are open, but which is the right way? And where did you come from? The smell of rotting wood lingers as a faint background to your wandering mind and you wonder if you can make it back out in one piece.",
@@ -15,7 +17,7 @@ const MAZE_ENTRY_FLAVORS = [
 ];
 
 function getRandomMazeEntryFlavor() {
-  return MAZE_ENTRY_FLAVORS[Math.floor(Math.random() * MAZE_ENTRY_FLAVORS.length)];
+  return rng.pick(MAZE_ENTRY_FLAVORS, 'grotto-maze-entry');
 }
 
 module.exports = { MAZE_ENTRY_FLAVORS, getRandomMazeEntryFlavor };
@@ -3,6 +3,8 @@
 // Used by /explore grotto maze when action is "wall".
 // ============================================================================
 
+const rng = require('../services/rngService');
+
 const GROTTO_MAZE_OUTCOMES = [
   // Roll 5 — Hinox Construct (tier 7)
   {
@@ -310,7 +312,7 @@ function getGrottoMazeTrapOutcome(roll) {
       ctaHint: 'Continue exploring. Use </explore grotto maze>.',
     };
   }
-  return candidates[Math.floor(Math.random() * candidates.length)];
+  return rng.pick(candidates, 'grotto-maze');
 }
 
 /**
@@ -329,7 +331,7 @@ function getGrottoMazeOutcome(roll) {
       ctaHint: 'Continue exploring. Use </explore grotto maze>.',
     };
   }
-  return candidates[Math.floor(Math.random() * candidates.length)];
+  return rng.pick(candidates, 'grotto-maze');
 }
 
 // ============================================================================
@@ -368,10 +370,10 @@ const CTA_HINT = 'Continue exploring. Use </explore grotto maze>.';
  */
 function getGazepScryingOutcome(success) {
   if (success) {
-    const flavor = MAZEP_PASS_OUTCOMES[Math.floor(Math.random() * MAZEP_PASS_OUTCOMES.length)];
+    const flavor = rng.pick(MAZEP_PASS_OUTCOMES, 'grotto-maze');
     return { flavor, type: 'faster_path_open', ctaHint: CTA_HINT };
   }
-  const outcome = MAZEP_FAIL_OUTCOMES[Math.floor(Math.random() * MAZEP_FAIL_OUTCOMES.length)];
+  const outcome = rng.pick(MAZEP_FAIL_OUTCOMES, 'grotto-maze');
   return {
     flavor: outcome.flavor,
     type: outcome.type,
@@ -416,7 +418,7 @@ function getGrottoMazeChestLoot(allItems) {
   }
   if (pool.length === 0) return { itemName: "Spirit Orb", emoji: "💫" };
   const total = pool.reduce((s, x) => s + x.weight, 0);
-  let r = Math.random() * total;
+  let r = rng.random('grotto-maze') * total;
   let chosen = null;
   for (const entry of pool) {
     r -= entry.weight;
@@ -469,10 +471,10 @@ const RANDOM_MOVE_WEIGHTS = { none: 52, flavor: 32, gather: 11, monster: 5 };
  * @returns {{ type: 'none'|'flavor'|'gather'|'monster', flavor?: string }}
  */
 function getGrottoMazeRandomMoveEvent() {
-  const r = Math.random() * 100;
+  const r = rng.random('grotto-maze') * 100;
   if (r < RANDOM_MOVE_WEIGHTS.none) return { type: 'none' };
   if (r < RANDOM_MOVE_WEIGHTS.none + RANDOM_MOVE_WEIGHTS.flavor) {
-    const flavor = GROTTO_MAZE_RANDOM_MOVE_FLAVOR[Math.floor(Math.random() * GROTTO_MAZE_RANDOM_MOVE_FLAVOR.length)];
+    const flavor = rng.pick(GROTTO_MAZE_RANDOM_MOVE_FLAVOR, 'grotto-maze');
     return { type: 'flavor', flavor };
   }
   if (r < RANDOM_MOVE_WEIGHTS.none + RANDOM_MOVE_WEIGHTS.flavor + RANDOM_MOVE_WEIGHTS.gather) {
@@ -4,6 +4,8 @@
 // Deduplicated at load — do not add duplicates.
 // ============================================================================
 
+const rng = require('../services/rngService');
+
 const GROTTO_BASE_NAMES_RAW = [
   "Adenamimik", "Apogek", "Bamitok", "Chichim", "Domizuin", "Ekochiu", "En-oma", "Eshos", "Eutoum",
   "Ga-ahisas", "Ganos", "Gasas", "Gatakis", "Gatanisis", "Gemimik", "Gikaku", "Gutanbac",
@@ -31,7 +33,7 @@ const GROTTO_BASE_NAMES_RAW = [
 const GROTTO_BASE_NAMES = [...new Set(GROTTO_BASE_NAMES_RAW)];
 
 function getRandomGrottoName() {
-  const base = GROTTO_BASE_NAMES[Math.floor(Math.random() * GROTTO_BASE_NAMES.length)];
+  const base = rng.pick(GROTTO_BASE_NAMES, 'grotto-name');
   return `${base} Grotto`;
 }
 
@@ -39,11 +41,11 @@ function getRandomGrottoName() {
 function getRandomGrottoNameUnused(usedNames = []) {
   const usedLower = new Set((usedNames || []).map((n) => String(n).trim().toLowerCase()));
   for (let attempt = 0; attempt < GROTTO_BASE_NAMES.length * 2; attempt++) {
-    const base = GROTTO_BASE_NAMES[Math.floor(Math.random() * GROTTO_BASE_NAMES.length)];
+    const base = rng.pick(GROTTO_BASE_NAMES, 'grotto-name');
     const name = `${base} Grotto`;
     if (!usedLower.has(name.toLowerCase())) return name;
   }
-  const base = GROTTO_BASE_NAMES[Math.floor(Math.random() * GROTTO_BASE_NAMES.length)];
+  const base = rng.pick(GROTTO_BASE_NAMES, 'grotto-name');
   let suffix = 2;
   let candidate = `${base} Grotto (${suffix})`;
   while (usedLower.has(candidate.toLowerCase())) {
@@ -1,6 +1,8 @@
 // grottoPuzzleData.js — Puzzle trial definitions: Odd Structure variants and Offering Statue clues
 // Used for grotto trial type "puzzle" — flavor text, required items, and validation
 
+const rng = require('../services/rngService');
+
 const ODDS_STRUCTURE = 'odd_structure';
 const OFFERING_STATUE = 'offering_statue';
 
@@ -344,15 +346,15 @@ const OFFERING_STATUE_CLUES = [
 // ---------------------------------------------------------------------------
 
 function rollPuzzleConfig() {
-  const isOfferingStatue = Math.random() < 0.5;
+  const isOfferingStatue = rng.chance(0.5, 'grotto-puzzle');
   if (isOfferingStatue) {
-    const clueIndex = Math.floor(Math.random() * OFFERING_STATUE_CLUES.length);
+    const clueIndex = rng.randomInt(0, OFFERING_STATUE_CLUES.length - 1, 'grotto-puzzle');
     return {
       subType: OFFERING_STATUE,
       clueIndex,
     };
   }
-  const variant = Math.floor(Math.random() * ODD_STRUCTURE_VARIANTS.length);
+  const variant = rng.randomInt(0, ODD_STRUCTURE_VARIANTS.length - 1, 'grotto-puzzle');
   return {
     subType: ODDS_STRUCTURE,
     variant,
@@ -1010,7 +1012,7 @@ const PUZZLE_SUCCESS_FLAVORS = [
 ];
 
 function getRandomPuzzleSuccessFlavor() {
-  return PUZZLE_SUCCESS_FLAVORS[Math.floor(Math.random() * PUZZLE_SUCCESS_FLAVORS.length)];
+  return rng.pick(PUZZLE_SUCCESS_FLAVORS, 'grotto-puzzle');
 }
 
 module.exports = {
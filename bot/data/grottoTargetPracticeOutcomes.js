@@ -3,6 +3,8 @@
 // Used by /explore grotto targetpractice. Replace {char} with character name.
 // ============================================================================
 
+const rng = require('../services/rngService');
+
 const FAIL_OUTCOMES = [
   {
     flavor: "A shadow emerges behind the group, halting all shooting in its tracks. No one is able to turn in time before a disembodied and ominous \"Ya. Ha. Ha.\" eeks into your ears. You're suddenly back above the grotto grounds and it is locked for the time being.",
@@ -137,7 +139,7 @@ const COMPLETE_OUTCOMES = [
 ];
 
 function pickRandom(arr) {
-  return arr[Math.floor(Math.random() * arr.length)];
+  return rng.pick(arr, 'grotto-target-practice');
 }
 
 function getFailOutcome() {
@@ -3,6 +3,8 @@
 // Weights are relative. Monster is resolved by name from DB; hearts/tier used if not in DB.
 // ============================================================================
 
+const rng = require('../services/rngService');
+
 const TEST_OF_POWER_MONSTERS = [
   { name: 'Gloom Hands', hearts: 10, tier: 5, weight: 2 },
   { name: 'Golden Lynel Construct', hearts: 20, tier: 10, weight: 1 },
@@ -17,7 +19,7 @@ const TEST_OF_POWER_MONSTERS = [
 
 function rollTestOfPowerMonster() {
   const total = TEST_OF_POWER_MONSTERS.reduce((s, m) => s + m.weight, 0);
-  let r = Math.random() * total;
+  let r = rng.random('grotto-test-of-power') * total;
   for (const m of TEST_OF_POWER_MONSTERS) {
     r -= m.weight;
     if (r <= 0) return m;
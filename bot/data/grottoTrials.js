@@ -1,4 +1,6 @@
 // Trial types when a grotto is cleansed. Weights are relative (higher = more likely). Weight 0 = never rolled.
+const rng = require('../services/rngService');
+
 const GROTTO_CLEARED_FLAVOR = "**Spirit orbs** materialize before each of you—the grotto's reward. A bright light blooms from the depths and sweeps you gently back to the entrance; the roots seal behind you with a soft, final glow. The trial complete, this sacred place will not open again.";
 
 // Shown when revisiting an already-cleared blessing grotto (no orbs granted again).
@@ -23,7 +25,7 @@ const GROTTO_TRIAL_WEIGHTS = [
 // Trial type is independent of location (no quadrant/square); each roll is random.
 function rollGrottoTrialType() {
   const total = GROTTO_TRIAL_WEIGHTS.reduce((s, t) => s + t.weight, 0);
-  let r = Math.random() * total;
+  let r = rng.random('grotto-trial') * total;
   for (const t of GROTTO_TRIAL_WEIGHTS) {
     r -= t.weight;
     if (r <= 0) return t.id;
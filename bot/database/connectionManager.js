@@ -15,6 +15,11 @@ const path = require('path');
 const dbConfig = require('../config/database');
 const { retryOperation } = require('./retryStrategy');
 const { checkConnectionHealth, startHealthChecks, stopHealthChecks } = require('./healthMonitor');
+const {
+  INVENTORIES_COLLECTION,
+  createCharacterInventoryView,
+  ensureInventoryIndexes
+} = require('./inventoryCollection');
 
 // ============================================================================
 // ------------------- Logger & Error Handler Setup -------------------
@@ -401,17 +406,95 @@ class DatabaseConnectionManager {
   }
 
   /**
-   * Get inventory collection for a character
-   * @param {string} characterName - Character name
+   * Get the inventories database on the tinglebot (mongoose) client, so its
+   * collections can join sessions started with mongoose.startSession()
+   * @returns {Promise<Db>}
+   */
+  static async getTransactionalInventoriesDb() {
+    if (dbConfig.inventories !== dbConfig.tinglebot) {
+      throw new Error('Inventory transactions need the inventories database on the tinglebot cluster.');
+    }
+    const connection = await this.ensureTinglebotConnected();
+    return connection.getClient().db('inventories');
+  }
+
+  /**
+   * Get the shared `inventories` collection that holds every character's items
+   * (indexes are created on first use)
+   * @param {Object} [options]
+   * @param {boolean} [options.transactional] - Use the tinglebot client so writes can join its sessions
+   * @returns {Promise<Collection>}
+   */
+  static async getInventoriesCollection({ transactional = false } = {}) {
+    const inventoriesDb = transactional
+      ? await this.getTransactionalInventoriesDb()
+      : await this.connectToInventoriesNative();
+    const collection = inventoriesDb.collection(INVENTORIES_COLLECTION);
+    try {
+      await ensureInventoryIndexes(collection);
+    } catch (error) {
+      logger.warn('DATABASE', `Failed to ensure inventory indexes: ${error.message}`);
+    }
+    return collection;
+  }
+
+  /**
+   * Get a raw, non-character collection in the inventories database (e.g. mod_shared_inventory)
+   * @param {string} collectionName - Collection name
+   * @param {Object} [options]
+   * @param {boolean} [options.transactional] - Use the tinglebot client so writes can join its sessions
    * @returns {Promise<Collection>}
    */
-  static async getInventoryCollection(characterName) {
-    if (typeof characterName !== "string") {
+  static async getNamedInventoryCollection(collectionName, { transactional = false } = {}) {
+    if (typeof collectionName !== "string") {
+      throw new Error("Collection name must be a string.");
+    }
+    const inventoriesDb = transactional
+      ? await this.getTransactionalInventoriesDb()
+      : await this.connectToInventoriesNative();
+    return inventoriesDb.collection(collectionName.trim());
+  }
+
+  /**
+   * Resolve the character (or mod character) that owns an inventory
+   * @param {string|Object} characterOrName - Character document or character name
+   * @returns {Promise<{_id: ObjectId, name: string}>}
+   */
+  static async resolveInventoryOwner(characterOrName) {
+    if (characterOrName && typeof characterOrName === "object") {
+      if (!characterOrName._id) {
+        throw new Error("Character object must have an _id to resolve its inventory.");
+      }
+      return characterOrName;
+    }
+    if (typeof characterOrName !== "string") {
       throw new Error("Character name must be a string.");
     }
-    const inventoriesDb = await this.connectToInventoriesNative();
-    const collectionName = characterName.trim().toLowerCase();
-    return inventoriesDb.collection(collectionName);
+
+    const name = characterOrName.trim();
+    const nameRegex = new RegExp(`^${name.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}$`, "i");
+    // Lazy-loaded to avoid a require cycle (models -> db -> connectionManager)
+    const Character = require('../models/CharacterModel');
+    const ModCharacter = require('../models/ModCharacterModel');
+    const owner =
+      (await Character.findOne({ name: nameRegex }).select('_id name').lean()) ||
+      (await ModCharacter.findOne({ name: nameRegex }).select('_id name').lean());
+    if (!owner) {
+      throw new Error(`Character "${name}" not found for inventory lookup.`);
+    }
+    return owner;
+  }
+
+  /**
+   * Get the inventory collection for a character, scoped to that character's rows
+   * in the shared `inventories` collection
+   * @param {string|Object} characterOrName - Character document or character name
+   * @returns {Promise<Object>} Collection-like view (find, findOne, updateOne, ...)
+   */
+  static async getInventoryCollection(characterOrName) {
+    const owner = await this.resolveInventoryOwner(characterOrName);
+    const collection = await this.getInventoriesCollection();
+    return createCharacterInventoryView(collection, owner);
   }
 
   // ==========================================================================
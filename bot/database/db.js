@@ -19,7 +19,9 @@ const { characterQueryDetector, modCharacterQueryDetector } = require("../utils/
 const { generateUniqueId } = require("../utils/uniqueIdUtils");
 const dbConfig = require('../config/database');
 const logger = require('../utils/logger');
+const { emitGameEvent } = require('../utils/gameEvents');
 const DatabaseConnectionManager = require('./connectionManager');
+const { MOD_SHARED_INVENTORY_COLLECTION } = require('./inventoryCollection');
 
 // Memory monitor (optional - won't break if not initialized)
 let memoryMonitor = null;
@@ -183,12 +185,14 @@ const connectToInventoriesNative = async () => {
 };
 
 // ------------------- getInventoryCollection -------------------
-const getInventoryCollection = async (characterName) => {
+// Accepts a character document or a character name; returns that character's
+// scoped view of the shared `inventories` collection.
+const getInventoryCollection = async (characterOrName) => {
   try {
-    return await DatabaseConnectionManager.getInventoryCollection(characterName);
+    return await DatabaseConnectionManager.getInventoryCollection(characterOrName);
   } catch (error) {
     handleError(error, "db.js");
-    logger.error('DATABASE', `Failed to get inventory collection for ${characterName}`);
+    logger.error('DATABASE', `Failed to get inventory collection for ${characterOrName?.name || characterOrName}`);
     throw error;
   }
 };
@@ -536,38 +540,32 @@ const updateCharacterInventorySynced = async (characterId) => {
 };
 
 // ------------------- getCharacterInventoryCollection -------------------
+// Inventories are keyed by characterId in one shared collection, so renames no longer
+// orphan items. Pass the character document when you have it to skip the name lookup.
 const getCharacterInventoryCollection = async (characterName) => {
  try {
-  if (typeof characterName !== "string") {
+  if (typeof characterName !== "string" && !(characterName && characterName._id)) {
    throw new TypeError(
-    `Expected a string for characterName, but received ${typeof characterName}`
+    `Expected a string or character document for characterName, but received ${typeof characterName}`
    );
   }
   await connectToInventories();
-  const collectionName = characterName.trim().toLowerCase();
-  return await getInventoryCollection(collectionName);
+  return await getInventoryCollection(characterName);
  } catch (error) {
   handleError(error, "db.js");
   console.error(
-   `[characterService]: logs - Error in getCharacterInventoryCollection for "${characterName}": ${error.message}`
+   `[characterService]: logs - Error in getCharacterInventoryCollection for "${characterName?.name || characterName}": ${error.message}`
   );
   throw error;
  }
 };
 
 // ------------------- getCharacterInventoryCollectionWithModSupport -------------------
+// Regular and mod characters share the same keyed collection; kept for existing callers.
 const getCharacterInventoryCollectionWithModSupport = async (characterOrName) => {
  try {
   await connectToInventories();
-  let collectionName;
-  if (typeof characterOrName === 'object' && characterOrName.isModCharacter) {
-    collectionName = characterOrName.name.toLowerCase().replace(/[^a-z0-9]/g, '_');
-  } else if (typeof characterOrName === 'object') {
-    collectionName = characterOrName.name.toLowerCase();
-  } else { // string
-    collectionName = characterOrName.trim().toLowerCase();
-  }
-  return await getInventoryCollection(collectionName);
+  return await getInventoryCollection(characterOrName);
  } catch (error) {
   handleError(error, "db.js");
   console.error(
@@ -580,7 +578,7 @@ const getCharacterInventoryCollectionWithModSupport = async (characterOrName) =>
 // ------------------- createCharacterInventory -------------------
 const createCharacterInventory = async (characterName, characterId, job) => {
  try {
-  const collection = await getInventoryCollection(characterName);
+  const collection = await getInventoryCollection({ _id: characterId, name: characterName });
   const initialInventory = {
    characterId,
    itemName: "Initial Item",
@@ -609,6 +607,7 @@ const createCharacterInventory = async (characterName, characterId, job) => {
 // Before deleting a character's inventory, transfer all items into the village shops
 // so they are not lost. Does not drop the collection; caller still calls deleteCharacterInventoryCollection.
 const transferCharacterInventoryToVillageShops = async (characterName) => {
+ const characterLabel = characterName?.name || characterName;
  try {
   const collection = await getCharacterInventoryCollection(characterName);
   const docs = await collection.find({}).toArray();
@@ -691,12 +690,12 @@ const transferCharacterInventoryToVillageShops = async (characterName) => {
    createdCount++;
   }
   if (byItem.size > 0) {
-   logger.info("INVENTORY_TRANSFER", `[db.js] ${characterName}: ${byItem.size} item type(s), ${updatedCount} stock update(s), ${createdCount} new shop entry(ies)`);
+   logger.info("INVENTORY_TRANSFER", `[db.js] ${characterLabel}: ${byItem.size} item type(s), ${updatedCount} stock update(s), ${createdCount} new shop entry(ies)`);
   }
  } catch (error) {
   handleError(error, "db.js");
   console.error(
-   `[characterService]: logs - Error in transferCharacterInventoryToVillageShops for "${characterName}": ${error.message}`
+   `[characterService]: logs - Error in transferCharacterInventoryToVillageShops for "${characterLabel}": ${error.message}`
   );
   throw error;
  }
@@ -798,6 +797,7 @@ const incrementVillageShopStockFromCatalog = async (itemName, quantity) => {
 };
 
 // ------------------- deleteCharacterInventoryCollection -------------------
+// Removes the character's rows from the shared inventories collection.
 const deleteCharacterInventoryCollection = async (characterName) => {
  try {
   const collection = await getCharacterInventoryCollection(characterName);
@@ -805,7 +805,7 @@ const deleteCharacterInventoryCollection = async (characterName) => {
  } catch (error) {
   handleError(error, "db.js");
   console.error(
-   `[characterService]: logs - Error in deleteCharacterInventoryCollection for "${characterName}": ${error.message}`
+   `[characterService]: logs - Error in deleteCharacterInventoryCollection for "${characterName?.name || characterName}": ${error.message}`
   );
   throw error;
  }
@@ -815,8 +815,7 @@ const deleteCharacterInventoryCollection = async (characterName) => {
 const getModSharedInventoryCollection = async () => {
  try {
   await connectToInventories();
-  const collectionName = 'mod_shared_inventory';
-  return await getInventoryCollection(collectionName);
+  return await DatabaseConnectionManager.getNamedInventoryCollection(MOD_SHARED_INVENTORY_COLLECTION);
  } catch (error) {
   handleError(error, "db.js");
   console.error(
@@ -1954,6 +1953,14 @@ async function updateTokenBalance(userId, change, transactionMetadata = null) {
    } catch (logError) {
     console.error('[tokenService.js]: ⚠️ Error logging token transaction:', logError);
    }
+
+   emitGameEvent('tokens.changed', {
+    userId: String(userId),
+    change: normalizedChange,
+    balanceBefore: currentBalance,
+    balanceAfter: newBalance,
+    category: transactionMetadata?.category || 'system'
+   });
   }
   
   return newBalance;
@@ -2299,6 +2306,7 @@ const generateVendingStockList = async () => {
    limitedItems,
    createdAt: new Date(),
   });
+  return { stockList, limitedItems };
  } catch (error) {
   handleError(error, "vendingService.js");
   console.error(
@@ -0,0 +1,163 @@
+// ============================================================================
+// ------------------- Unified Inventory Collection -------------------
+// Purpose: Every character inventory lives in ONE `inventories` collection in the
+// inventories database, keyed by characterId (previously one collection per
+// lowercased character name, which broke on renames and made cross-character
+// queries scan hundreds of collections).
+// - createCharacterInventoryView() returns a collection-like object scoped to one
+//   character, so existing callers that used `collection.find(...)` etc. keep working
+// - ensureInventoryIndexes() creates the compound indexes once per process
+// Used by: connectionManager.js (getInventoryCollection), scripts/migrate-inventories-to-single-collection.js
+// ============================================================================
+
+const { ObjectId } = require('mongodb');
+
+// ============================================================================
+// ------------------- Constants -------------------
+// ============================================================================
+
+const INVENTORIES_COLLECTION = 'inventories';
+
+// Shared mod pool is not a character inventory and stays in its own collection
+const MOD_SHARED_INVENTORY_COLLECTION = 'mod_shared_inventory';
+
+const INVENTORY_INDEXES = [
+  // Per-character lookups: /inventory, add/remove stacking, autocomplete
+  { key: { characterId: 1, itemName: 1 }, name: 'characterId_itemName' },
+  // Cross-character lookups: item ownership, aggregated inventories
+  { key: { itemName: 1, characterId: 1 }, name: 'itemName_characterId' },
+  // Invalid-stack cleanup (quantity <= 0) per character
+  { key: { characterId: 1, quantity: 1 }, name: 'characterId_quantity' },
+  { key: { characterId: 1, category: 1 }, name: 'characterId_category' }
+];
+
+let indexesEnsured = null;
+
+// ============================================================================
+// ------------------- Index Management -------------------
+// ============================================================================
+
+// ------------------- ensureInventoryIndexes -------------------
+// Creates the inventory indexes once per process. Failures are not cached so the
+// next call retries.
+async function ensureInventoryIndexes(collection) {
+  if (!indexesEnsured) {
+    indexesEnsured = collection.createIndexes(INVENTORY_INDEXES).catch((error) => {
+      indexesEnsured = null;
+      throw error;
+    });
+  }
+  return indexesEnsured;
+}
+
+// ============================================================================
+// ------------------- Scoping Helpers -------------------
+// ============================================================================
+
+// ------------------- toObjectId -------------------
+function toObjectId(id) {
+  if (id instanceof ObjectId) return id;
+  if (id && typeof id.toHexString === 'function') return new ObjectId(id.toHexString());
+  return new ObjectId(String(id));
+}
+
+// ------------------- scopeFilter -------------------
+// Forces a query onto one character. The character's id always wins over any
+// characterId the caller passed (legacy rows sometimes stored null or a string).
+function scopeFilter(filter, characterId) {
+  return { ...(filter || {}), characterId };
+}
+
+// ------------------- scopeDocument -------------------
+function scopeDocument(doc, characterId) {
+  return { ...(doc || {}), characterId };
+}
+
+// ------------------- scopeBulkOperation -------------------
+function scopeBulkOperation(operation, characterId) {
+  const [type] = Object.keys(operation);
+  const body = operation[type];
+  switch (type) {
+    case 'insertOne':
+      return { insertOne: { ...body, document: scopeDocument(body.document, characterId) } };
+    case 'replaceOne':
+      return {
+        replaceOne: {
+          ...body,
+          filter: scopeFilter(body.filter, characterId),
+          replacement: scopeDocument(body.replacement, characterId)
+        }
+      };
+    case 'updateOne':
+    case 'updateMany':
+    case 'deleteOne':
+    case 'deleteMany':
+      return { [type]: { ...body, filter: scopeFilter(body.filter, characterId) } };
+    default:
+      throw new Error(`Unsupported bulk operation for character inventory: ${type}`);
+  }
+}
+
+// ============================================================================
+// ------------------- Character Inventory View -------------------
+// ============================================================================
+
+// ------------------- createCharacterInventoryView -------------------
+// Wraps the shared inventories collection so every read/write is limited to one
+// character. Supports the subset of the native Collection API used by the bot.
+function createCharacterInventoryView(collection, owner) {
+  if (!owner || !owner._id) {
+    throw new Error('Character inventory view requires an owner with an _id');
+  }
+  const characterId = toObjectId(owner._id);
+
+  return {
+    characterId,
+    characterName: owner.name || null,
+    collectionName: collection.collectionName,
+
+    find: (filter = {}, options) => collection.find(scopeFilter(filter, characterId), options),
+    findOne: (filter = {}, options) => collection.findOne(scopeFilter(filter, characterId), options),
+    countDocuments: (filter = {}, options) => collection.countDocuments(scopeFilter(filter, characterId), options),
+    count: (filter = {}, options) => collection.countDocuments(scopeFilter(filter, characterId), options),
+    estimatedDocumentCount: () => collection.countDocuments({ characterId }),
+    distinct: (key, filter = {}, options) => collection.distinct(key, scopeFilter(filter, characterId), options),
+    aggregate: (pipeline = [], options) => collection.aggregate([{ $match: { characterId } }, ...pipeline], options),
+
+    insertOne: (doc, options) => collection.insertOne(scopeDocument(doc, characterId), options),
+    insertMany: (docs, options) => collection.insertMany(docs.map((doc) => scopeDocument(doc, characterId)), options),
+    replaceOne: (filter, doc, options) =>
+      collection.replaceOne(scopeFilter(filter, characterId), scopeDocument(doc, characterId), options),
+    updateOne: (filter, update, options) => collection.updateOne(scopeFilter(filter, characterId), update, options),
+    updateMany: (filter, update, options) => collection.updateMany(scopeFilter(filter, characterId), update, options),
+    findOneAndUpdate: (filter, update, options) =>
+      collection.findOneAndUpdate(scopeFilter(filter, characterId), update, options),
+    findOneAndReplace: (filter, doc, options) =>
+      collection.findOneAndReplace(scopeFilter(filter, characterId), scopeDocument(doc, characterId), options),
+    findOneAndDelete: (filter, options) => collection.findOneAndDelete(scopeFilter(filter, characterId), options),
+    deleteOne: (filter, options) => collection.deleteOne(scopeFilter(filter, characterId), options),
+    deleteMany: (filter = {}, options) => collection.deleteMany(scopeFilter(filter, characterId), options),
+    bulkWrite: (operations, options) =>
+      collection.bulkWrite(operations.map((op) => scopeBulkOperation(op, characterId)), options),
+
+    // Dropping a character inventory only removes that character's rows
+    drop: async () => {
+      await collection.deleteMany({ characterId });
+      return true;
+    }
+  };
+}
+
+// ============================================================================
+// ------------------- Exports -------------------
+// ============================================================================
+
+module.exports = {
+  INVENTORIES_COLLECTION,
+  MOD_SHARED_INVENTORY_COLLECTION,
+  INVENTORY_INDEXES,
+  ensureInventoryIndexes,
+  createCharacterInventoryView,
+  scopeFilter,
+  toObjectId
+};
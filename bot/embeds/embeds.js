@@ -575,6 +575,77 @@ const createCharacterGearEmbed = (character, gearMap, type, unequippedMessage =
   .setImage(DEFAULT_IMAGE_URL);
 };
 
+// ------------------- Function: createCharacterHistoryEmbed -------------------
+// Creates an embed for one page of a character's ledger (modules/characterLedgerModule.js)
+const createCharacterHistoryEmbed = (character, ledger, { kindLabel = "All", days = null, stealSummary = null } = {}) => {
+ const settings = getCommonEmbedSettings(character);
+ const kindEmojis = {
+  tokens: "🪙",
+  items: "📦",
+  steals: "🦝",
+  stamina: "🟩",
+  hearts: "❤️",
+  blight: "🧿",
+  quests: "📜",
+ };
+ const signed = (value) => (value > 0 ? `+${value}` : `${value}`);
+
+ const lines = ledger.entries.map((entry) => {
+  const stamp = `<t:${Math.floor(entry.at.getTime() / 1000)}:d>`;
+  const amount = entry.amount !== null ? ` **${signed(entry.amount)}**` : "";
+  const beforeAfter = entry.before !== null && entry.after !== null ? ` (${entry.before} → ${entry.after})` : "";
+  const source = entry.source ? ` — *${entry.source}*` : "";
+  const link = entry.link ? ` [↗](${entry.link})` : "";
+  return `${stamp} ${kindEmojis[entry.kind] || "•"}${amount} ${entry.description}${beforeAfter}${source}${link}`;
+ });
+
+ let description = lines.length > 0 ? lines.join("\n") : "No entries match these filters.";
+ if (description.length > 4000) description = `${description.slice(0, 3997)}...`;
+
+ const filters = [`Type: ${kindLabel}`, days ? `Last ${days} day${days === 1 ? "" : "s"}` : "All time"];
+ const embed = new EmbedBuilder()
+  .setColor(settings.color || "#0099ff")
+  .setAuthor(settings.author)
+  .setTitle(`📜 ${character.name}'s History`)
+  .setDescription(description)
+  .setFooter({
+   text: `Page ${ledger.page}${ledger.hasMore ? "" : " (last)"} • ${filters.join(" • ")} • Tokens are shared by all of your characters`,
+  })
+  .setTimestamp()
+  .setImage(DEFAULT_IMAGE_URL);
+
+ if (stealSummary) {
+  embed.addFields({
+   name: "__🦝 Steal Record__",
+   value: `${stealSummary.successfulSteals} successful / ${stealSummary.failedSteals} failed (${stealSummary.totalAttempts} attempts)`,
+   inline: false,
+  });
+ }
+ return embed;
+};
+
+// ------------------- Function: createCharacterAchievementsEmbed -------------------
+// Creates an embed listing a character's earned achievements (summary from
+// @tinglebot/shared lib/achievements summarizeAchievements, character scope)
+const createCharacterAchievementsEmbed = (character, summary) => {
+ const settings = getCommonEmbedSettings(character);
+ const earnedLines = summary.earned.map(
+  (a) => `${a.emoji} **${a.name}** — ${a.description}${a.earnedAt ? ` (<t:${Math.floor(new Date(a.earnedAt).getTime() / 1000)}:d>)` : ""}`
+ );
+ const nextLines = summary.locked.slice(0, 3).map((a) => `🔒 ${a.name} — ${a.description}`);
+
+ const embed = new EmbedBuilder()
+  .setColor(settings.color || "#0099ff")
+  .setTitle(`🏆 ${character.name}'s Achievements (${summary.earned.length}/${summary.total})`)
+  .setDescription(earnedLines.length > 0 ? earnedLines.join("\n").slice(0, 4000) : "No achievements yet.")
+  .setImage(DEFAULT_IMAGE_URL);
+
+ if (nextLines.length > 0) {
+  embed.addFields({ name: "__Up Next__", value: nextLines.join("\n"), inline: false });
+ }
+ return embed;
+};
+
 // ------------------- Function: createVendorEmbed -------------------
 // Creates an embed displaying vendor shop information and stats
 const createVendorEmbed = (character) => {
@@ -1718,6 +1789,95 @@ const createCraftingEmbed = async (item, character, flavorText, materialsUsed, q
  return embed;
 };
 
+// ------------------- Function: createCraftingPlanEmbed -------------------
+// Creates the /crafting plan breakdown: sub-crafts in order, materials set aside and what is missing
+const createCraftingPlanEmbed = (character, plan) => {
+ const listOrNone = (lines, none) => {
+  if (lines.length === 0) return none;
+  const text = lines.join('\n');
+  return text.length > 1024 ? `${text.slice(0, 1000).replace(/\n[^\n]*$/, '')}\n…` : text;
+ };
+ const missingReasons = { category: 'any item of this category', cycle: 'recipe loops back on itself', 'too deep': 'recipe chain too long' };
+
+ const stepLines = plan.steps.map((step, i) =>
+  `${i + 1}. ${step.emoji || DEFAULT_EMOJI} **${step.quantity}x ${step.itemName}** · 🟩 ${step.stamina}`
+ );
+ const ownedLines = plan.fromInventory.map(entry => `• ${entry.quantity}x ${entry.itemName}`);
+ const missingLines = plan.missing.map(entry =>
+  `• ${entry.quantity}x ${entry.itemName}${missingReasons[entry.reason] ? ` *(${missingReasons[entry.reason]})*` : ''}`
+ );
+ const currentStamina = character.currentStamina ?? 0;
+
+ const embed = new EmbedBuilder()
+  .setColor(plan.missing.length > 0 ? '#E67E22' : '#2ECC71')
+  .setTitle(`📋 Crafting Plan: ${plan.target.quantity}x ${plan.target.itemName}`)
+  .setDescription(plan.missing.length > 0
+   ? `**${character.name}** is missing some materials. Gather, buy or trade for them before the queue reaches that step.`
+   : `**${character.name}** has everything needed. Start it with \`/crafting queue start\`.`)
+  .addFields(
+   { name: '__🔨 Crafts (in order)__', value: listOrNone(stepLines, 'Nothing to craft'), inline: false },
+   { name: '__📦 From Inventory__', value: listOrNone(ownedLines, 'Nothing'), inline: true },
+   { name: '__❌ Missing__', value: listOrNone(missingLines, 'Nothing'), inline: true },
+   { name: '__🟩 Stamina__', value: `**${plan.totalStamina}** total · ${character.name} has ${currentStamina}/${character.maxStamina ?? currentStamina}`, inline: false }
+  )
+  .setFooter({ text: 'Queued crafts use base recipe costs (no boosts, vouchers or village discounts)' });
+
+ if (character.icon && isValidImageUrl(character.icon)) {
+  embed.setThumbnail(character.icon);
+ }
+
+ setDefaultImage(embed);
+ return embed;
+};
+
+// ------------------- Function: createCraftingQueueEmbed -------------------
+// Creates the /crafting queue status embed, optionally with the result of the latest run
+const createCraftingQueueEmbed = (queue, runResult = null) => {
+ const blockedReasons = {
+  stamina: 'Waiting for stamina',
+  materials: 'Waiting for materials',
+  jailed: 'Paused while in jail',
+  debuffed: 'Paused while debuffed',
+ };
+ const stepLines = queue.steps.map((step, i) => {
+  const icon = step.crafted >= step.quantity ? '✅' : step.crafted > 0 ? '🔨' : '⏳';
+  return `${icon} ${i + 1}. ${step.itemName} · ${step.crafted}/${step.quantity}`;
+ });
+ const remainingStamina = queue.steps.reduce((sum, step) => sum + Math.max(0, step.quantity - step.crafted) * step.staminaPerItem, 0);
+
+ const statusText = queue.status === 'completed'
+  ? '✅ Complete'
+  : queue.status === 'cancelled'
+   ? '❌ Cancelled'
+   : queue.blockedReason
+    ? `⏸️ ${blockedReasons[queue.blockedReason] || queue.blockedReason}`
+    : '▶️ Active';
+
+ const embed = new EmbedBuilder()
+  .setColor(queue.status === 'completed' ? '#2ECC71' : queue.status === 'cancelled' ? '#95A5A6' : '#AA926A')
+  .setTitle(`📋 ${queue.characterName}'s Crafting Queue`)
+  .setDescription(`**${queue.targetQuantity}x ${queue.targetItem}**\n${statusText}`)
+  .addFields(
+   { name: '__Steps__', value: stepLines.join('\n').slice(0, 1024) || 'No steps', inline: false },
+   { name: '__🟩 Stamina Left__', value: `${remainingStamina}`, inline: true }
+  )
+  .setFooter({ text: 'Runs each day after stamina recovery · /crafting queue run to craft now' })
+  .setTimestamp();
+
+ if (runResult) {
+  embed.addFields({
+   name: '__This Run__',
+   value: runResult.crafted.length > 0
+    ? `${runResult.crafted.map(entry => `🔨 ${entry.quantity}x ${entry.itemName}`).join('\n')}\n🟩 ${runResult.staminaUsed} stamina used`
+    : 'Nothing crafted',
+   inline: true,
+  });
+ }
+
+ setDefaultImage(embed);
+ return embed;
+};
+
 // ------------------- Function: createWritingSubmissionEmbed -------------------
 // Creates an embed for writing submission approvals with token calculations
 const createWritingSubmissionEmbed = (submissionData) => {
@@ -2520,6 +2680,104 @@ const createTradeEmbed = async (
  return embed;
 };
 
+// ------------------- Function: createAuctionEmbed -------------------
+// Creates the embed for an /auction lot (live, sold, unsold or cancelled)
+const createAuctionEmbed = (auction) => {
+ const { getMinimumNextBid } = require('../modules/auctionModule');
+ const toTimestamp = (date, style) => `<t:${Math.floor(new Date(date).getTime() / 1000)}:${style}>`;
+ const lot = `${auction.item.emoji || DEFAULT_EMOJI} ${auction.item.quantity}x ${auction.item.itemName}`;
+
+ const statusLines = {
+  active: `⏳ Ends ${toTimestamp(auction.endsAt, 'R')} (${toTimestamp(auction.endsAt, 'f')})`,
+  sold: `🔨 Sold to **${auction.highBid?.characterName}** for **${auction.highBid?.amount}** tokens${auction.boughtOut ? ' (buyout)' : ''}`,
+  unsold: '📦 Ended without bids. The lot was returned to the seller.',
+  cancelled: '❌ Cancelled. The lot was returned to the seller.',
+ };
+
+ const embed = new EmbedBuilder()
+  .setColor(auction.status === 'active' ? '#AA926A' : auction.status === 'sold' ? '#2ECC71' : '#95A5A6')
+  .setTitle(`✬ Auction ${auction.auctionId} ✬`)
+  .setDescription(`**${lot}**\n${statusLines[auction.status] || auction.status}`)
+  .addFields(
+   { name: '__Seller__', value: `${auction.seller.characterName} (<@${auction.seller.userId}>)`, inline: true },
+   { name: '__Minimum Bid__', value: `${auction.minimumBid} tokens`, inline: true },
+   { name: '__Buyout__', value: auction.buyoutPrice ? `${auction.buyoutPrice} tokens` : 'None', inline: true },
+   {
+    name: '__High Bid__',
+    value: auction.highBid
+     ? `**${auction.highBid.amount}** tokens by ${auction.highBid.characterName} (${auction.bidCount} bid${auction.bidCount === 1 ? '' : 's'})`
+     : 'No bids yet',
+    inline: false,
+   }
+  )
+  .setFooter({ text: `Auction House • ${auction.auctionId}` })
+  .setTimestamp();
+
+ if (auction.status === 'active') {
+  embed.addFields({
+   name: '__Next Bid__',
+   value: `At least **${getMinimumNextBid(auction)}** tokens with \`/auction bid auctionid:${auction.auctionId}\``,
+   inline: false,
+  });
+ }
+ if (auction.item.image && isValidImageUrl(auction.item.image)) {
+  embed.setThumbnail(auction.item.image);
+ }
+
+ setDefaultImage(embed);
+ return embed;
+};
+
+// ------------------- Function: createPriceIndexEmbed -------------------
+// Creates the /lookup price embed: rolling market prices next to the shop prices
+const createPriceIndexEmbed = (index, item = null) => {
+ const emoji = item?.emoji || DEFAULT_EMOJI;
+ const tokens = (amount) => (amount === null || amount === undefined ? 'N/A' : `${amount} tokens`);
+ const sources = Object.entries(index.bySource || {})
+  .map(([source, count]) => `${count} ${source === 'vending' || count === 1 ? source : `${source}s`}`)
+  .join(', ');
+
+ const embed = new EmbedBuilder()
+  .setColor('#AA926A')
+  .setTitle(`${emoji} ${index.itemName} — Market Price`)
+  .addFields(
+   { name: '__Shop Buy Price__', value: tokens(item?.buyPrice || null), inline: true },
+   { name: '__Shop Sell Price__', value: tokens(item?.sellPrice || null), inline: true },
+   { name: '\u200B', value: '\u200B', inline: true }
+  )
+  .setFooter({ text: `Player sales over the last ${index.days} days • vending, trades and auctions` })
+  .setTimestamp();
+
+ if (index.sales === 0) {
+  embed.setDescription(`No player sales recorded in the last ${index.days} days.`);
+ } else {
+  embed
+   .setDescription(`**${index.units}** sold across **${index.sales}** sale${index.sales === 1 ? '' : 's'} (${sources})`)
+   .addFields(
+    { name: '__Median__', value: `**${tokens(index.median)}** each`, inline: true },
+    { name: '__Low__', value: tokens(index.low), inline: true },
+    { name: '__High__', value: tokens(index.high), inline: true },
+    { name: '__Last Sold__', value: `<t:${Math.floor(new Date(index.lastSoldAt).getTime() / 1000)}:R>`, inline: false }
+   );
+
+  const recentDays = (index.history || []).slice(-7).reverse();
+  if (recentDays.length > 1) {
+   embed.addFields({
+    name: '__Recent Days__',
+    value: recentDays.map(point => `\`${point.date}\` ${point.median} tokens (${point.units} sold)`).join('\n'),
+    inline: false,
+   });
+  }
+ }
+
+ if (item?.image && isValidImageUrl(item.image)) {
+  embed.setThumbnail(item.image);
+ }
+
+ setDefaultImage(embed);
+ return embed;
+};
+
 // ------------------- Combat and Monster Encounter Embeds ------------------
 // ------------------- Function: createMonsterEncounterEmbed -------------------
 // Creates a monster encounter embed with boost support
@@ -4343,6 +4601,8 @@ module.exports = {
  createCharacterEmbed,
  createSimpleCharacterEmbed,
  createCharacterGearEmbed,
+ createCharacterHistoryEmbed,
+ createCharacterAchievementsEmbed,
  createVendorEmbed,
  createVendingSetupInstructionsEmbed,
  addExplorationStandardFields,
@@ -4362,6 +4622,8 @@ module.exports = {
  editSyncErrorMessage,
  createTokenTrackerSetupEmbed,
  createCraftingEmbed,
+ createCraftingPlanEmbed,
+ createCraftingQueueEmbed,
  createWritingSubmissionEmbed,
  createArtSubmissionEmbed,
  getPendingSubmissionApprovalDescription,
@@ -4369,6 +4631,8 @@ module.exports = {
  createTransferEmbed,
  createGiftEmbed,
  createTradeEmbed,
+ createAuctionEmbed,
+ createPriceIndexEmbed,
  createMonsterEncounterEmbed,
  createNoEncounterEmbed,
  createBlightStage3NoEncounterEmbed,
@@ -59,7 +59,8 @@ const {
 const { normalPets, specialPets, speciesRollPermissions } = require("../modules/petModule");
 const MapModule = require("../modules/mapModule");
 const { getAllRaces } = require("../modules/raceModule");
-const { NPCs } = require("../modules/NPCsModule");
+const { getAvailableNPCs } = require("../modules/NPCsModule");
+const { createJobCraftCheck } = require("../modules/craftingPlanModule");
 const {
   ELIXIR_LEVEL_NAMES,
   formatElixirItemOptionValue,
@@ -82,6 +83,7 @@ const TableRoll = require('@/models/TableRollModel');
 const TempData = require('@/models/TempDataModel');
 const { VendingRequest } = require('@/models/VendingModel');
 const { Village, VILLAGE_CONFIG, DEFAULT_TOKEN_REQUIREMENTS } = require('@/models/VillageModel');
+const { listProjectDefinitions, getProjectDefinition, getProjectProgress } = require('@/modules/villageProjectModule');
 const generalCategories = require('@/models/GeneralItemCategories');
 
 
@@ -357,6 +359,10 @@ async function handleAutocompleteInternal(interaction, commandName, focusedOptio
                     await handleModHelpWantedQuestIdAutocomplete(interaction, focusedOption);
                   }
                 }
+              } else if (modSubcommandGroup === "scheduler") {
+                if (focusedOption.name === "job") {
+                  await handleModSchedulerJobAutocomplete(interaction, focusedOption);
+                }
               } else if (modSubcommandGroup === "quest") {
                 if (modSubcommand === "add" && focusedOption.name === "quest_id") {
                   await handleModQuestAddQuestIdAutocomplete(interaction, focusedOption);
@@ -517,6 +523,12 @@ async function handleAutocompleteInternal(interaction, commandName, focusedOptio
               } else if (focusedOption.name === "charactername") {
                 await handleCharacterBasedCommandsAutocomplete(interaction, focusedOption, "crafting");
               }
+            } else if (craftingSub === "plan" || interaction.options.getSubcommandGroup(false) === "queue") {
+              if (focusedOption.name === "charactername") {
+                await handleCharacterBasedCommandsAutocomplete(interaction, focusedOption, "crafting");
+              } else if (focusedOption.name === "itemname") {
+                await handleCraftingPlanAutocomplete(interaction, focusedOption);
+              }
             } else {
               if (focusedOption.name === "charactername") {
                 await handleCharacterBasedCommandsAutocomplete(interaction, focusedOption, "crafting");
@@ -532,6 +544,11 @@ async function handleAutocompleteInternal(interaction, commandName, focusedOptio
             await handleEconomyAutocomplete(interaction, focusedOption);
             break;
 
+          // ------------------- Auction Command -------------------
+          case "auction":
+            await handleAuctionAutocomplete(interaction, focusedOption);
+            break;
+
           // ------------------- Item Command -------------------
           case "item":
             if (focusedOption.name === "charactername") {
@@ -621,6 +638,17 @@ async function handleAutocompleteInternal(interaction, commandName, focusedOptio
             }
             break;
 
+          // ------------------- Combat Command -------------------
+          case "combat":
+            if (focusedOption.name === "attacker" || focusedOption.name === "charactername") {
+              await handleCharacterBasedCommandsAutocomplete(interaction, focusedOption, "combat");
+            } else if (focusedOption.name === "defender") {
+              await handleCombatDefenderAutocomplete(interaction, focusedOption);
+            } else if (focusedOption.name === "battleid") {
+              await handleCombatBattleIdAutocomplete(interaction, focusedOption);
+            }
+            break;
+
           // ------------------- Raid Command -------------------
           case "raid":
             if (focusedOption.name === "raidid") {
@@ -750,6 +778,8 @@ async function handleAutocompleteInternal(interaction, commandName, focusedOptio
               await handleVillageTypeAutocomplete(interaction, focusedOption);
             } else if (focusedOption.name === "itemname") {
               await handleVillageItemAutocomplete(interaction, focusedOption, villageSubcommand);
+            } else if (focusedOption.name === "project") {
+              await handleVillageProjectAutocomplete(interaction, focusedOption);
             }
             break;
 
@@ -856,6 +886,20 @@ async function handleAutocompleteInternal(interaction, commandName, focusedOptio
             }
             break;
 
+          // ------------------- Roll Command -------------------
+          case "roll":
+            if (interaction.options.getSubcommandGroup(false) === "macro" && focusedOption.name === "name") {
+              await handleRollMacroAutocomplete(interaction, focusedOption);
+            }
+            break;
+
+          // ------------------- Levels Command -------------------
+          case "levels":
+            if (focusedOption.name === "charactername") {
+              await handleCharacterBasedCommandsAutocomplete(interaction, focusedOption, "levels");
+            }
+            break;
+
           // ------------------- Table Roll Command -------------------
           case "tableroll":
             if (interaction.options._subcommand) {
@@ -2131,6 +2175,42 @@ async function handleCraftingAutocomplete(interaction, focusedOption) {
   }
 }
 
+// ------------------- /crafting plan & queue start — item autocomplete -------------------
+// Everything the character's own job can craft; unlike /crafting recipe the
+// materials don't have to be held, since the plan works out what is missing.
+async function handleCraftingPlanAutocomplete(interaction, focusedOption) {
+  try {
+    const characterName = interaction.options.getString("charactername");
+    const searchQuery = focusedOption.value?.toLowerCase() || "";
+    const character = await fetchCharacterByNameAndUserId(characterName, interaction.user.id);
+    if (!character) {
+      return await safeAutocompleteResponse(interaction, []);
+    }
+
+    const canCraft = createJobCraftCheck(character.job);
+    const items = await Item.find({
+      crafting: true,
+      itemName: { $regex: searchQuery.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), $options: "i" }
+    })
+      .select("itemName crafting craftingMaterial staminaToCraft cook blacksmith craftsman maskMaker researcher weaver artist witch")
+      .sort({ itemName: 1 })
+      .lean();
+
+    const choices = items
+      .filter(canCraft)
+      .slice(0, 25)
+      .map(item => ({
+        name: `${item.itemName} - 🟩 ${item.staminaToCraft || 0}`,
+        value: item.itemName
+      }));
+
+    await safeAutocompleteResponse(interaction, choices);
+  } catch (error) {
+    handleError(error, "autocompleteHandler.js");
+    await safeAutocompleteResponse(interaction, []);
+  }
+}
+
 // ------------------- /crafting accept — open commission request_id autocomplete -------------------
 async function handleCraftingAcceptRequestIdAutocomplete(interaction, focusedOption) {
   try {
@@ -2830,6 +2910,88 @@ async function handleTradeItemAutocomplete(interaction, focusedValue) {
   }
 }
 
+// ============================================================================
+// ------------------- AUCTION COMMANDS -------------------
+// Handles autocomplete for /auction:
+// - Character selection (seller / receiving bidder)
+// - Item selection from the seller's inventory
+// - Auction IDs (live auctions, or the user's own for cancel)
+// ============================================================================
+
+// ------------------- Function: handleAuctionAutocomplete -------------------
+async function handleAuctionAutocomplete(interaction, focusedOption) {
+  try {
+    const subcommand = interaction.options.getSubcommand(false);
+
+    if (focusedOption.name === 'charactername') {
+      return await handleCharacterBasedCommandsAutocomplete(interaction, focusedOption, 'auction');
+    }
+    if (focusedOption.name === 'itemname' && subcommand === 'create') {
+      return await handleAuctionItemAutocomplete(interaction, focusedOption);
+    }
+    if (focusedOption.name === 'auctionid') {
+      return await handleAuctionIdAutocomplete(interaction, focusedOption, subcommand);
+    }
+  } catch (error) {
+    handleError(error, "autocompleteHandler.js");
+    console.error("[autocompleteHandler.js]❌ Error in handleAuctionAutocomplete:", error);
+    await safeRespondWithError(interaction, error);
+  }
+}
+
+// ------------------- Function: handleAuctionItemAutocomplete -------------------
+// Items in the chosen seller's inventory, aggregated by name
+async function handleAuctionItemAutocomplete(interaction, focusedOption) {
+  const characterName = interaction.options.getString('charactername');
+  if (!characterName) return await safeAutocompleteResponse(interaction, []);
+
+  const character = await fetchCharacterByNameAndUserId(characterName, interaction.user.id);
+  if (!character) return await safeAutocompleteResponse(interaction, []);
+
+  const inventoryCollection = await DatabaseConnectionManager.getInventoryCollection(character);
+  const items = await inventoryCollection.find({ quantity: { $gt: 0 } }).toArray();
+
+  const itemMap = new Map();
+  for (const item of items) {
+    if (!item.itemName || item.itemName.toLowerCase() === 'initial item') continue;
+    const key = item.itemName.trim().toLowerCase();
+    if (!itemMap.has(key)) {
+      itemMap.set(key, { name: item.itemName, quantity: item.quantity });
+    } else {
+      itemMap.get(key).quantity += item.quantity;
+    }
+  }
+
+  const choices = Array.from(itemMap.values()).map(item => ({
+    name: `${capitalizeWords(item.name)} (Qty: ${item.quantity})`,
+    value: item.name
+  }));
+  await respondWithFilteredChoices(interaction, focusedOption, choices);
+}
+
+// ------------------- Function: handleAuctionIdAutocomplete -------------------
+// Live auctions for bid/view; only the user's own unbid auctions for cancel
+async function handleAuctionIdAutocomplete(interaction, focusedOption, subcommand) {
+  const Auction = require('@/models/AuctionModel');
+  const filter = { status: 'active', endsAt: { $gt: new Date() } };
+  if (subcommand === 'cancel') {
+    filter['seller.userId'] = interaction.user.id;
+    filter.highBid = null;
+  }
+
+  const auctions = await Auction.find(filter)
+    .select('auctionId item.itemName item.quantity highBid.amount minimumBid')
+    .sort({ endsAt: 1 })
+    .limit(100)
+    .lean();
+
+  const choices = auctions.map(auction => ({
+    name: `${auction.auctionId} | ${auction.item.quantity}x ${auction.item.itemName} | ${auction.highBid ? `High bid ${auction.highBid.amount}` : `Min ${auction.minimumBid}`}`,
+    value: auction.auctionId
+  }));
+  await respondWithFilteredChoices(interaction, focusedOption, choices);
+}
+
 // ============================================================================
 // ------------------- GIFT COMMANDS -------------------
 // Handles autocomplete interactions for the gift command, including:
@@ -4791,7 +4953,7 @@ async function handleLookupAutocomplete(interaction, focusedOption) {
     const subcommand = interaction.options.getSubcommand();
 
     // Route based on the subcommand and focused option name
-    if (subcommand === 'item' && focusedOption.name === 'name') {
+    if ((subcommand === 'item' || subcommand === 'price') && focusedOption.name === 'name') {
       return await handleLookupItemAutocomplete(interaction, focusedValue);
     } else if (subcommand === 'ingredient' && focusedOption.name === 'name') {
       return await handleLookupIngredientAutocomplete(interaction, focusedValue);
@@ -4953,8 +5115,19 @@ async function handleVillageItemAutocomplete(interaction, focusedOption, subcomm
     let requiredMaterials = [];
     let materials = {};
     let nextLevel = village.level + 1;
+    const projectKey = subcommand === 'donate' ? interaction.options.getString('project') : null;
+    const projectProgress = projectKey && getProjectDefinition(village.name, projectKey)
+      ? getProjectProgress(village, projectKey.toLowerCase())
+      : null;
     
-    if (subcommand === 'donate') {
+    if (projectProgress) {
+      // Building project: only recipe materials that still need donations
+      if (projectProgress.status === 'building') {
+        requiredMaterials = projectProgress.materials
+          .filter(m => m.current < m.required)
+          .map(m => m.name);
+      }
+    } else if (subcommand === 'donate') {
       // Get materials needed for next level
       materials = village.materials instanceof Map ? Object.fromEntries(village.materials) : village.materials;
       requiredMaterials = Object.entries(materials)
@@ -5015,7 +5188,13 @@ async function handleVillageItemAutocomplete(interaction, focusedOption, subcomm
       .map(item => {
         const quantity = inventoryMap.get(item.itemName.toLowerCase()) || 0;
         let nameStr = `${item.itemName} - Qty: ${quantity}`;
-        if (subcommand === 'donate') {
+        if (projectProgress) {
+          const material = projectProgress.materials.find(m => m.name.toLowerCase() === item.itemName.toLowerCase());
+          if (material) {
+            const limit = Math.min(Math.max(1, Math.ceil(material.required * DONATION_ITEM_PERCENT)), material.required - material.current);
+            nameStr += ` | limit: ${limit}`;
+          }
+        } else if (subcommand === 'donate') {
           const configMaterials = VILLAGE_CONFIG[villageName]?.materials || {};
           const configKey = Object.keys(configMaterials).find(k => k.toLowerCase() === item.itemName.toLowerCase());
           if (configKey) {
@@ -5048,7 +5227,15 @@ async function handleVillageTypeAutocomplete(interaction, focusedOption) {
 
     if (villageName) {
       const village = await Village.findOne({ name: { $regex: `^${villageName}$`, $options: 'i' } });
-      if (village) {
+      const projectKey = interaction.options.getString('project');
+      if (village && projectKey && getProjectDefinition(village.name, projectKey)) {
+        // Building project: 10% of the project's token cost, or the remaining repair cost once built
+        const progress = getProjectProgress(village, projectKey.toLowerCase());
+        const limit = progress.state.completedAt
+          ? progress.repairCost
+          : Math.min(Math.max(1, Math.ceil(progress.tokens.required * 0.10)), progress.tokens.required - progress.tokens.current);
+        choices.push({ name: `Tokens | Limit: ${limit}`, value: 'Tokens' });
+      } else if (village) {
         const DONATION_TOKEN_PERCENT = 0.10;
         // Limit is always 10% of upgrade requirement (never based on HP/repair)
         const requiredTokens = village.level < 3
@@ -5073,6 +5260,39 @@ async function handleVillageTypeAutocomplete(interaction, focusedOption) {
   }
 }
 
+// ------------------- Function: handleVillageProjectAutocomplete -------------------
+// Lists the village's building projects with their construction status
+async function handleVillageProjectAutocomplete(interaction, focusedOption) {
+  try {
+    const villageName = interaction.options.getString('name');
+    const searchValue = focusedOption.value?.toLowerCase() || '';
+    if (!villageName) {
+      return await safeRespondWithValidation(interaction, []);
+    }
+
+    const village = await Village.findOne({ name: { $regex: `^${villageName}$`, $options: 'i' } });
+    if (!village) {
+      return await safeRespondWithValidation(interaction, []);
+    }
+
+    const choices = listProjectDefinitions(village.name)
+      .map(def => {
+        const progress = getProjectProgress(village, def.key);
+        let statusText;
+        if (progress.status === 'locked') statusText = `requires level ${def.minLevel}`;
+        else if (!progress.state.completedAt) statusText = `${progress.percent}% built`;
+        else statusText = progress.repairCost > 0 ? `${progress.state.condition}% condition` : 'built';
+        return { name: `${def.name} | ${statusText}`, value: def.key };
+      })
+      .filter(c => c.name.toLowerCase().includes(searchValue));
+
+    return await safeRespondWithValidation(interaction, choices.slice(0, 25));
+  } catch (error) {
+    console.error('[handleVillageProjectAutocomplete]: Error:', error);
+    await safeRespondWithError(interaction);
+  }
+}
+
 // ------------------- Function: handleLookupCraftingAutocomplete -------------------
 // Provides autocomplete for character names when checking crafting options
 async function handleLookupCraftingAutocomplete(interaction, focusedValue) {
@@ -5229,6 +5449,23 @@ async function handleModQuestCharacterAutocomplete(interaction, focusedOption) {
   }
 }
 
+// ------------------- /mod scheduler: Job Name Autocomplete -------------------
+// Recurring tasks registered from tasks/tasks.js
+async function handleModSchedulerJobAutocomplete(interaction, focusedOption) {
+  try {
+    const { getTaskStatus } = require("../utils/scheduler");
+    const searchQuery = focusedOption.value?.toLowerCase() || "";
+    const choices = getTaskStatus()
+      .filter(task => task.cronExpression && task.name.toLowerCase().includes(searchQuery))
+      .slice(0, 25)
+      .map(task => ({ name: `${task.name} (${task.cronExpression})`, value: task.name }));
+    await safeAutocompleteResponse(interaction, choices);
+  } catch (error) {
+    handleError(error, "autocompleteHandler.js");
+    await safeAutocompleteResponse(interaction, []);
+  }
+}
+
 // ------------------- /mod quest add: Main Quest ID Autocomplete (RP/Art/Writing - all quests including completed) -------------------
 async function handleModQuestAddQuestIdAutocomplete(interaction, focusedOption) {
   try {
@@ -6114,22 +6351,26 @@ async function handleStealTargetAutocomplete(interaction, focusedOption) {
         const targetType = interaction.options.getString('targettype');
 
         if (targetType === 'npc') {
-            const npcNames = Object.keys(NPCs);
-            const filteredNPCs = npcNames.filter(npc => 
-                npc.toLowerCase().includes(focusedOption.value.toLowerCase())
+            // Only offer NPCs the selected character can reach right now
+            const characterName = interaction.options.getString('charactername');
+            const character = characterName
+                ? await fetchCharacterByNameAndUserId(characterName, interaction.user.id)
+                : null;
+            const availableNPCs = await getAvailableNPCs({ village: character?.currentVillage || null });
+            const filteredNPCs = availableNPCs.filter(npc => 
+                npc.name.toLowerCase().includes(focusedOption.value.toLowerCase())
             );
 
             const choices = filteredNPCs.map(npc => {
-                const profession = NPCs[npc].profession;
-                let role = profession;
+                let role = npc.profession;
                 
-                if (npc === 'Lil Tim') {
+                if (npc.name === 'Lil Tim') {
                     role = 'Cucco';
                 }
                 
                 return {
-                    name: `${npc} | ${role}`,
-                    value: npc
+                    name: `${npc.name} | ${role}`,
+                    value: npc.name
                 };
             }).slice(0, 25); // Limit to 25 choices
 
@@ -7287,9 +7528,12 @@ module.exports = {
  handleChangeVillageNewVillageAutocomplete,
 
  // ------------------- Combat Functions -------------------
+ handleCombatDefenderAutocomplete,
+ handleCombatBattleIdAutocomplete,
 
  // ------------------- Crafting Functions -------------------
  handleCraftingAutocomplete,
+ handleCraftingPlanAutocomplete,
 
  // ------------------- Create Character Functions -------------------
  handleCreateCharacterVillageAutocomplete,
@@ -7349,6 +7593,7 @@ handleModPetLevelPetNameAutocomplete,
  // ------------------- Mod Character Functions -------------------
  handleModCharacterJobAutocomplete,
  handleModCharacterNameAutocomplete,
+ handleModSchedulerJobAutocomplete,
 
  // ------------------- Submit Functions -------------------
  handleSubmitCollabAutocomplete,
@@ -7496,6 +7741,30 @@ async function handleTableRollNameAutocomplete(interaction, focusedOption) {
   }
 }
 
+// ------------------- Roll Macro Autocomplete -------------------
+// Suggests the user's own saved /roll macros.
+async function handleRollMacroAutocomplete(interaction, focusedOption) {
+  try {
+    const User = require('@/models/UserModel');
+    const searchQuery = focusedOption.value?.toLowerCase() || "";
+    const user = await User.findOne({ discordId: interaction.user.id }, { rollMacros: 1 }).lean();
+
+    const choices = (user?.rollMacros || [])
+      .filter(macro => macro.name.includes(searchQuery))
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .map(macro => ({
+        name: `${macro.name} — ${macro.expression}`.slice(0, 100),
+        value: macro.name,
+      }));
+
+    await interaction.respond(choices.slice(0, 25));
+  } catch (error) {
+    handleError(error, "autocompleteHandler.js");
+    console.error("[handleRollMacroAutocomplete]: Error:", error);
+    await safeRespondWithError(interaction);
+  }
+}
+
 // ------------------- Raid ID Autocomplete -------------------
 // In-flight set so we only respond once per interaction (avoids 40060 when duplicate events run concurrently)
 const raidAutocompleteInFlight = new Set();
@@ -7555,6 +7824,65 @@ async function handleRaidIdAutocomplete(interaction, focusedOption) {
   }
 }
 
+// ------------------- Function: handleCombatDefenderAutocomplete -------------------
+// Other users' characters in the same village as the chosen attacker
+async function handleCombatDefenderAutocomplete(interaction, focusedOption) {
+  try {
+    const attackerName = interaction.options.getString('attacker');
+    const characters = await fetchAllCharactersExceptUser(interaction.user.id);
+    let attackerVillage = null;
+    if (attackerName) {
+      const attacker = await Character.findOne({ name: attackerName.split('|')[0].trim(), userId: interaction.user.id })
+        .select('currentVillage')
+        .lean();
+      attackerVillage = attacker?.currentVillage?.toLowerCase() || null;
+    }
+
+    const choices = characters
+      .filter(char => !char.ko && (!attackerVillage || (char.currentVillage || '').toLowerCase() === attackerVillage))
+      .map(char => ({
+        name: `${char.name} | ${capitalize(char.currentVillage)} | ${capitalize(char.job)}`,
+        value: char.name
+      }));
+
+    await respondWithFilteredChoices(interaction, focusedOption, choices);
+  } catch (error) {
+    handleError(error, "autocompleteHandler.js");
+    console.error("[handleCombatDefenderAutocomplete]: Error:", error);
+    await safeRespondWithError(interaction, error);
+  }
+}
+
+// ------------------- Function: handleCombatBattleIdAutocomplete -------------------
+// Active PvP battles the user has a character in
+async function handleCombatBattleIdAutocomplete(interaction, focusedOption) {
+  try {
+    const PvPBattle = require('@/models/PvPBattleModel');
+    const searchQuery = focusedOption.value?.toLowerCase() || "";
+    const subcommand = interaction.options.getSubcommand(false);
+
+    // Anyone can look up the status of any active duel; attack/forfeit only list the user's own
+    const battles = subcommand === 'status'
+      ? await PvPBattle.find({ status: 'active' }).sort({ createdAt: -1 }).limit(25).lean()
+      : await PvPBattle.findActiveByUser(interaction.user.id).limit(25).lean();
+
+    const choices = battles.map((battle) => ({
+      name: `${battle.battleId} | ${battle.attacker.name} vs ${battle.defender.name} (${battle.village})`,
+      value: battle.battleId,
+    }));
+
+    const filteredChoices = choices.filter(choice =>
+      choice.name.toLowerCase().includes(searchQuery)
+    );
+
+    await interaction.respond(filteredChoices.slice(0, 25));
+  } catch (error) {
+    handleError(error, "autocompleteHandler.js");
+    console.error("[handleCombatBattleIdAutocomplete]: Error:", error);
+    await safeRespondWithError(interaction, error);
+  }
+}
+
 // ------------------- Function: handleWaveIdAutocomplete -------------------
 async function handleWaveIdAutocomplete(interaction, focusedOption) {
   try {
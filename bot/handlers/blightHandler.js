@@ -44,6 +44,7 @@ const { Village } = require('@/models/VillageModel');
 
 // ------------------- Utilities -------------------
 const logger = require('@/utils/logger');
+const rng = require('@/services/rngService');
 const TempData = require('@/models/TempDataModel');
 const Pet = require('@/models/PetModel');
 const Mount = require('@/models/MountModel');
@@ -53,6 +54,7 @@ const Mount = require('@/models/MountModel');
 const { getModCharacterByName } = require('../modules/modCharacters');
 // Module for generating flavorful text and lore
 const { generateBlightSubmissionExpiryFlavorText } = require('../modules/flavorTextModule');
+const { emitGameEvent } = require('@/utils/gameEvents');
 const { characterHasRelic } = require('@/utils/relicUtils.js');
 
 // ------------------- Utility Functions -------------------
@@ -115,6 +117,32 @@ function getFirstBlightRollObligationBoundary(blightedAt) {
   return windowStart;
 }
 
+// ============================================================================
+// ------------------- Stage Progression Helpers -------------------
+// The daily d1000 roll advances a stage when it lands at or under the
+// current stage's threshold. Only one stage can progress per roll.
+// ============================================================================
+
+const BLIGHT_PROGRESSION_THRESHOLDS = { 1: 25, 2: 40, 3: 67, 4: 100 };
+
+// ------------------- Function: getBlightStageAfterRoll -------------------
+function getBlightStageAfterRoll(previousStage, roll) {
+  const threshold = BLIGHT_PROGRESSION_THRESHOLDS[previousStage];
+  if (threshold != null && roll <= threshold) {
+    return previousStage + 1;
+  }
+  return previousStage;
+}
+
+// ------------------- Function: getBlightEffectsForStage -------------------
+function getBlightEffectsForStage(stage) {
+  return {
+    rollMultiplier: stage === 2 ? 1.5 : 1.0,
+    noMonsters: stage >= 3,
+    noGathering: stage >= 4
+  };
+}
+
 // ============================================================================
 // ------------------- Database Connection -------------------
 // Use DatabaseConnectionManager for unified connection management
@@ -377,8 +405,7 @@ function getRandomHealingRequirement(healer, characterName) {
   });
   
   // Select random requirement from weighted array
-  const randomIndex = Math.floor(Math.random() * weightedRequirements.length);
-  return weightedRequirements[randomIndex];
+  return rng.pick(weightedRequirements, 'healing-requirement');
 }
 
 // ------------------- Function: healBlight -------------------
@@ -892,6 +919,8 @@ function validateHealerPermission(healer, blightStage) {
 // ------------------- Function: completeBlightHealing -------------------
 // Applies healing effects and resets blight status.
 async function completeBlightHealing(character, interaction = null, client = null) {
+  const healedFromStage = character.blightStage || 0;
+
   // Save healing completion to blight history
   await saveBlightEventToHistory(character, 'Healing Completed', {
     notes: `Character healed from blight - Stage ${character.blightStage} to 0`,
@@ -915,6 +944,12 @@ async function completeBlightHealing(character, interaction = null, client = nul
   character.deathDeadline = null;
 
   await character.save();
+  emitGameEvent('blight.healed', {
+    userId: character.userId,
+    characterId: String(character._id),
+    characterName: character.name,
+    healedFromStage
+  });
 
   // Check if user has any other blighted characters and manage blighted role
   try {
@@ -2351,11 +2386,7 @@ async function rollForBlightProgression(interaction, characterName) {
           const toStage = expectedStage;
 
           character.blightStage = toStage;
-          character.blightEffects = {
-            rollMultiplier: toStage === 2 ? 1.5 : 1.0,
-            noMonsters: toStage >= 3,
-            noGathering: toStage >= 4
-          };
+          character.blightEffects = getBlightEffectsForStage(toStage);
 
           if (toStage === 5) {
             character.deathDeadline = character.deathDeadline ||
@@ -2383,7 +2414,19 @@ async function rollForBlightProgression(interaction, characterName) {
     // Debug logging
     logger.info('BLIGHT', `${characterName} rolling for blight - Current time: ${now.toISOString()}, Roll boundary: ${rollBoundary.toISOString()}, Next blight call: ${nextCallStart.toISOString()}`);
     
-    const roll = Math.floor(Math.random() * 1000) + 1;
+    // Seeded roll session so mods can replay disputed blight rolls (/mod-roll replay)
+    const { roll, rollRecord } = await rng.runWithRollSession(async () => {
+      const d1000 = rng.randomInt(1, 1000, 'blight-d1000');
+      const record = await rng.recordRoll({
+        kind: 'blight',
+        character,
+        userId: interaction.user.id,
+        inputs: { previousStage: character.blightStage || 1 },
+        result: { roll: d1000 },
+        summary: `Blight roll ${d1000} at stage ${character.blightStage || 1}`
+      });
+      return { roll: d1000, rollRecord: record };
+    });
     let stage;
     let embedTitle;
     let embedDescription;
@@ -2392,41 +2435,30 @@ async function rollForBlightProgression(interaction, characterName) {
 
     // Determine progression based on roll thresholds
     // Only one stage can progress at a time
-    if (roll <= 25 && previousStage === 1) {
-      // Stage 1 -> 2
-      stage = 2;
+    stage = getBlightStageAfterRoll(previousStage, roll);
+    if (stage === previousStage) {
+      // No progression - stay at current stage
+      embedTitle = `🎉 Safe Roll! No Blight Progression Today! 🎉`;
+      embedDescription = `You rolled a ${roll}, which is safe. **${characterName}** remains at Stage ${previousStage}. Keep rolling daily to avoid blight progression!`;
+    } else if (stage === 2) {
       embedTitle = `${blightEmoji} Your Blight Sickness ADVANCES to STAGE 2 ${blightEmoji}`;
       embedDescription = `⚠️ Infected areas spread inside and out, and the blight begins traveling toward vital organs. Fatigue fades but nausea typically persists.\n\nInfected now experience an **increase in physical strength**.\n\n🎯 **Stage 2 Effect**: Your rolls are now multiplied by 1.5x.\n\nYou can still be healed by **sages, oracles, or dragons**.`;
-    } else if (roll <= 40 && previousStage === 2) {
-      // Stage 2 -> 3
-      stage = 3;
+    } else if (stage === 3) {
       embedTitle = `${blightEmoji} Your Blight Sickness ADVANCES to STAGE 3 ${blightEmoji}`;
       embedDescription = `⚠️ Visible infected areas and feverish symptoms fade. You experience **frequent nosebleeds** and **malice-like sputum**, which can now **infect others**.\n\nHallucinations, **further strength increases**, and **aggressive mood swings** occur.\n\n👻 **Stage 3 Effect**: Monsters no longer attack you.\n\nAt this stage, healing is only possible by **oracles or dragons**.`;
-    } else if (roll <= 67 && previousStage === 3) {
-      // Stage 3 -> 4
-      stage = 4;
+    } else if (stage === 4) {
       embedTitle = `${blightEmoji} Your Blight Sickness ADVANCES to STAGE 4 ${blightEmoji}`;
       embedDescription = `⚠️ All outward signs of infection vanish—**except your eyes**, which now resemble those of Malice.\n\nVital organs begin to **fail**, and the infected is driven by an **uncontrollable desire to destroy**.\n\nAny contact with bodily fluids poses a **severe infection risk to others**.\n\n💀 **Stage 4 Effect**: No monsters. No gathering.\n\nYou can only be healed by **dragons** at this stage.`;
-    } else if (roll <= 100 && previousStage === 4) {
+    } else {
       // Stage 4 -> 5
-      stage = 5;
       character.deathDeadline = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
       embedTitle = `☠ Your Blight Sickness IS ON THE EDGE of STAGE 5 ☠`;
       embedDescription = `⚠️ You are dangerously close to death.\n\nYou have **7 days** to complete your **healing prompt** or find **miraculous intervention**. Stage 5 is irreversible.\n\n💀 **Stage 5 Effect**: No monsters. No gathering. No healing except by Dragons.\n\nThis is your **final warning**.`;
-    } else {
-      // No progression - stay at current stage
-      stage = previousStage;
-      embedTitle = `🎉 Safe Roll! No Blight Progression Today! 🎉`;
-      embedDescription = `You rolled a ${roll}, which is safe. **${characterName}** remains at Stage ${previousStage}. Keep rolling daily to avoid blight progression!`;
     }
 
     // ------------------- Update Character -------------------
     character.blightStage = stage;
-    character.blightEffects = {
-      rollMultiplier: stage === 2 ? 1.5 : 1.0,
-      noMonsters: stage >= 3,
-      noGathering: stage >= 4
-    };
+    character.blightEffects = getBlightEffectsForStage(stage);
     await character.save();
 
     // ------------------- Log Blight Roll History -------------------
@@ -2449,7 +2481,10 @@ async function rollForBlightProgression(interaction, characterName) {
         previousStage,
         newStage: stage,
         timestamp: new Date(),
-        notes: ''
+        notes: '',
+        rollId: rollRecord?.rollId || null,
+        rollSeed: rollRecord?.seed ?? null,
+        rollDrawIndex: rollRecord?.startIndex ?? null
       });
       logger.success('BLIGHT', `Successfully created blight roll history entry: ${historyEntry._id}`);
     } catch (error) {
@@ -2468,7 +2503,7 @@ async function rollForBlightProgression(interaction, characterName) {
       .setColor('#AD1457')
       .setTitle(embedTitle)
       .setDescription(embedDescription)
-      .setFooter({ text: `🎲 Roll: ${roll}` })
+      .setFooter({ text: rollRecord ? `🎲 Roll: ${roll} | Roll ID: ${rollRecord.rollId}` : `🎲 Roll: ${roll}` })
       .setThumbnail(character.icon)
       .setAuthor({ name: `${characterName}'s Blight Progression`, iconURL: interaction.user.displayAvatarURL() })
       .setImage('https://storage.googleapis.com/tinglebot/border%20blight.png')
@@ -3838,20 +3873,11 @@ async function checkMissedRolls(client) {
 
           // Wipe character's inventory from DB (not sheet)
           try {
-            const inventoriesConnection = await connectToInventories();
-            const db = inventoriesConnection.useDb("inventories");
+            // Removes only this character's rows from the shared inventories collection
+            const inventoryCollection = await getCharacterInventoryCollection(character);
+            await inventoryCollection.drop();
             
-            // Per-character collection (same for regular and mod characters)
-            const collectionName = character.name.toLowerCase();
-            
-            // Drop the entire collection instead of just deleting documents
-            await db.collection(collectionName).drop().catch(error => {
-              if (error.code !== 26) { // Ignore "namespace not found" error
-                throw error;
-              }
-            });
-            
-            console.log(`[blightHandler]: Dropped inventory collection for ${character.name}`);
+            console.log(`[blightHandler]: Wiped inventory for ${character.name}`);
           } catch (error) {
             handleError(error, 'blightHandler.js', {
               operation: 'wipeInventory',
@@ -3988,11 +4014,7 @@ async function checkMissedRolls(client) {
         }
 
         // Update blight effects based on new stage
-        characterDoc.blightEffects = {
-          rollMultiplier: characterDoc.blightStage === 2 ? 1.5 : 1.0,
-          noMonsters: characterDoc.blightStage >= 3,
-          noGathering: characterDoc.blightStage >= 4
-        };
+        characterDoc.blightEffects = getBlightEffectsForStage(characterDoc.blightStage);
 
         await characterDoc.save();
         console.log(`[blightHandler]: Saved progression for ${characterDoc.name} to Stage ${characterDoc.blightStage}`);
@@ -4121,5 +4143,7 @@ module.exports = {
   checkMissedRolls,
   getCharacterBlightHistory,
   completeBlightHealing,
-  checkAndPostMissedBlightPing
+  checkAndPostMissedBlightPing,
+  getBlightStageAfterRoll,
+  getBlightEffectsForStage
 };
@@ -57,6 +57,7 @@ const { getVillageColorByName } = require('../modules/locationsModule');
 const { roles } = require('../modules/rolesModule');
 const { recoverHearts, recoverStamina } = require('../modules/characterStatsModule');
 const { getEffectiveVendingTier } = require('../modules/villageModule');
+const { getProjectBonus } = require('../modules/villageProjectModule');
 
 // ------------------- Handler Imports -------------------
 const {
@@ -2152,7 +2153,7 @@ async function handleRestSpotChoice(interaction) {
         });
       }
       if (success) {
-        restored = 2;
+        restored = 2 + getProjectBonus(village, 'restBonusHearts'); // Clinic bonus when built
         restoreType = 'hearts';
         restoreEmoji = '❤️';
         const maxRestore = character.maxHearts - character.currentHearts;
@@ -18,7 +18,7 @@ const VILLAGE_VISITING_ROLES = {
 const { EmbedBuilder } = require('discord.js');
 
 // ------------------- Database Services -------------------
-const { fetchAllItems, fetchItemsByMonster } = require('@/database/db');
+const { fetchAllItems, fetchItemsByMonster, updateCharacterById, updateModCharacterById } = require('@/database/db');
 
 // ------------------- Embeds -------------------
 const { 
@@ -37,7 +37,7 @@ const {
   useHearts,
   useStamina
 } = require('../modules/characterStatsModule');
-const { getEncounterOutcome } = require('../modules/encounterModule');
+const { getEncounterOutcome, emitMonsterDefeated } = require('../modules/encounterModule');
 const {
   generateDamageMessage,
   generateVictoryMessage
@@ -51,10 +51,15 @@ const {
   createWeightedItemList
 } = require('../modules/rngModule');
 const { capitalizeFirstLetter, capitalizeWords } = require('../modules/formattingModule');
+const { getMountTravelTraits } = require('../modules/mountModule');
+const { getActiveWeatherEffects, addWeatherEffectsField } = require('../modules/weatherEffectsModule');
+const { getWeatherWithoutGeneration } = require('@/services/weatherService');
+const rng = require('@/services/rngService');
+const { finalizeBlightApplication } = require('./blightHandler');
 
 // ------------------- Utility Functions -------------------
 const { addItemInventoryDatabase, logItemAcquisitionToDatabase, syncToInventoryDatabase, SOURCE_TYPES } = require('@/utils/inventoryUtils');
-const { rollStickyBonusExtraQuantity } = require('../modules/elixirModule');
+const { rollStickyBonusExtraQuantity, getActiveBuffEffects, shouldConsumeElixir, consumeElixirBuff } = require('../modules/elixirModule');
 const {
   isAprilFoolsEastern,
   aprilFoolsMessageSuffix,
@@ -64,6 +69,7 @@ const {
 } = require('@/utils/aprilFoolsRoll.js');
 // Google Sheets functionality removed
 const { handleError } = require('@/utils/globalErrorHandler');
+const { emitGameEvent } = require('@/utils/gameEvents');
 const { info, success, warn, error, debug } = require('@/utils/logger');
 
 const Character = require('@/models/CharacterModel');
@@ -263,6 +269,269 @@ async function assignVillageVisitingRole(interaction, destination, character = n
   }
 }
 
+// ------------------- Record Travel Completion -------------------
+// Logs a successful arrival on the character's travel log and emits travel.completed.
+// `live` ({ channel, client, guild, travelLog }) is passed to the subscribers
+// (arrival weather posts to the channel); resolves once they have run.
+async function recordTravelCompletion(character, { from, to, days = 0, mode = 'on foot', departureWeatherLabel = null }, live = null) {
+  character.travelLog = character.travelLog || [];
+  character.travelLog.push({
+    from,
+    to,
+    date: new Date(),
+    success: true
+  });
+  await character.save();
+
+  return emitGameEvent('travel.completed', {
+    characterId: String(character._id),
+    characterName: character.name,
+    userId: character.userId || null,
+    from,
+    to,
+    days,
+    mode,
+    departureWeatherLabel,
+    channelId: live?.channel?.id || null
+  }, live && { ...live, character });
+}
+
+// ------------------- Arrival Weather -------------------
+// Blight rain and lightning at the destination, and at the starting village when
+// the character left during them, once a journey is complete. Posts to the final
+// path channel and adds infections to the journey's travel log. Runs as the
+// arrival-weather subscriber of travel.completed.
+async function applyArrivalWeather(character, { from: startingVillage, to: destination, departureWeatherLabel = null, channel: finalChannel, client, guild, travelLog = [] }) {
+  // Check destination for blight rain after arrival
+  const destinationWeather = await getWeatherWithoutGeneration(destination, {
+    generateIfMissing: true,
+    discordClient: client
+  });
+  if (destinationWeather?.special?.label === 'Blight Rain') {
+    // Mod characters and Hibiki are immune to blight infection
+    const HIBIKI_USER_ID = "668281042414600212";
+    if (character.isModCharacter || character.userId === HIBIKI_USER_ID) {
+      let immuneMsg;
+      if (character.isModCharacter) {
+        immuneMsg =
+          "<:blight_eye:805576955725611058> **Blight Rain!**\n\n" +
+          `◈ Your character **${character.name}** arrived in ${capitalizeFirstLetter(destination)} during blight rain, but as a ${character.modTitle} of ${character.modType} they are immune to blight infection! ◈`;
+      } else {
+        immuneMsg =
+          "<:blight_eye:805576955725611058> **Blight Rain!**\n\n" +
+          `◈ Your character **${character.name}** arrived in ${capitalizeFirstLetter(destination)} during blight rain, and was definitely exposed to it, but somehow avoided being infected... Was it luck? Or something else? ◈`;
+      }
+      await finalChannel.send({ content: immuneMsg });
+    } else if (character.blighted) {
+      const alreadyMsg =
+        "<:blight_eye:805576955725611058> **Blight Rain!**\n\n" +
+        `◈ Your character **${character.name}** braved the blight rain, but they're already blighted... guess it doesn't matter! ◈`;
+      await finalChannel.send({ content: alreadyMsg });
+    } else if (rng.chance(0.75, 'blight-rain-infection')) {
+      // Create fancy blight infection embed
+      const blightEmbed = new EmbedBuilder()
+        .setColor('#AD1457')
+        .setTitle('<:blight_eye:805576955725611058> Blight Infection!')
+        .setDescription(`◈ Oh no... your character **${character.name}** has come into contact with the blight rain and has been **blighted**! ◈`)
+        .addFields(
+          {
+            name: '🏥 Healing Available',
+            value: 'You can be healed by **Oracles, Sages & Dragons**',
+            inline: true
+          },
+          {
+            name: '📋 Blight Information',
+            value: '[Learn more about blight stages and healing](https://rootsofthewild.com/world/blight)',
+            inline: true
+          },
+          {
+            name: '⚠️ STAGE 1',
+            value: 'Infected areas appear like blight-colored bruises on the body. Side effects include fatigue, nausea, and feverish symptoms. At this stage you can be helped by having one of the sages, oracles or dragons heal you.',
+            inline: false
+          },
+          {
+            name: '🎲 Daily Rolling',
+            value: '**Starting tomorrow, you\'ll be prompted to roll in the Community Board each day to see if your blight gets worse!**\n*You will not be penalized for missing today\'s blight roll if you were just infected.*',
+            inline: false
+          }
+        )
+        .setThumbnail(character.icon)
+        .setImage('https://storage.googleapis.com/tinglebot/Graphics/border.png')
+        .setFooter({ text: 'Blight Infection System', iconURL: 'https://storage.googleapis.com/tinglebot/blight-icon.png' })
+        .setTimestamp();
+
+      await finalChannel.send({ embeds: [blightEmbed], ephemeral: false });
+
+      // Use shared finalize helper - each step has its own try/catch for resilience
+      await finalizeBlightApplication(
+        character,
+        character.userId,
+        {
+          client: client,
+          guild: guild,
+          source: `Blight Rain in ${capitalizeFirstLetter(destination)}`,
+          alreadySaved: false
+        }
+      );
+
+      // Add to travel log
+      travelLog.push(`<:blight_eye:805576955725611058> **${character.name}** was infected with blight in **${capitalizeFirstLetter(destination)}**!`);
+    } else {
+      const safeMsg =
+        "<:blight_eye:805576955725611058> **Blight Rain!**\n\n" +
+        `◈ Your character **${character.name}** braved the blight rain but managed to avoid infection this time! ◈\n` +
+        "You feel lucky... but be careful out there.";
+      await finalChannel.send({ content: safeMsg });
+    }
+  }
+
+  // Check destination for lightning storm after arrival
+  if (destinationWeather?.special?.label === 'Lightning Storm') {
+    const lightningStrikeChance = 0.015; // 1.5% chance
+    if (rng.chance(lightningStrikeChance, 'lightning-strike')) {
+      // Character struck by lightning - 1 heart damage
+      await useHearts(character._id, 1, { source: 'lightning_strike' });
+      const lightningMsg = `⚡ **LIGHTNING STRIKE!** ⚡\n\nA bolt of lightning strikes ${character.name} directly as they arrive in ${capitalizeFirstLetter(destination)}! The force is overwhelming... (-1 ❤️)`;
+      await finalChannel.send({ content: lightningMsg });
+    }
+  }
+
+  // Check starting village for blight rain AFTER successful travel completion
+  // This ensures characters are only blighted from starting village if they actually complete the journey
+  if (departureWeatherLabel === 'Blight Rain') {
+    // Mod characters and Hibiki are immune to blight infection
+    const HIBIKI_USER_ID = "668281042414600212";
+    if (character.isModCharacter || character.userId === HIBIKI_USER_ID) {
+      if (character.isModCharacter) {
+        const immuneMsg =
+          "<:blight_eye:805576955725611058> **Blight Rain at Departure!**\n\n" +
+          `◈ Your character **${character.name}** departed from ${capitalizeFirstLetter(startingVillage)} during blight rain, but as a ${character.modTitle} of ${character.modType} they are immune to blight infection! ◈`;
+        await finalChannel.send({ content: immuneMsg });
+      } else {
+        const immuneMsg =
+          "<:blight_eye:805576955725611058> **Blight Rain at Departure!**\n\n" +
+          `◈ Your character **${character.name}** departed from ${capitalizeFirstLetter(startingVillage)} during blight rain, and was definitely exposed to it, but somehow avoided being infected... Was it luck? Or something else? ◈`;
+        await finalChannel.send({ content: immuneMsg });
+      }
+    } else if (character.blighted) {
+      const alreadyMsg =
+        "<:blight_eye:805576955725611058> **Blight Rain at Departure!**\n\n" +
+        `◈ Your character **${character.name}** departed from ${capitalizeFirstLetter(startingVillage)} during blight rain, but they're already blighted... guess it doesn't matter! ◈`;
+      await finalChannel.send({ content: alreadyMsg });
+    } else {
+      // Check for resistance buffs
+      const buffEffects = getActiveBuffEffects(character);
+      let infectionChance = 0.75; // Base 75% chance
+
+      // Apply resistance buffs
+      if (buffEffects && buffEffects.blightResistance > 0) {
+        infectionChance -= (buffEffects.blightResistance * 0.1); // Each level reduces by 10%
+        console.log(`[travelHandler.js]: 🧪 Starting village blight resistance: ${infectionChance} chance`);
+      }
+
+      // Consume elixirs after applying their effects
+      if (shouldConsumeElixir(character, 'travel', { blightRain: true })) {
+        consumeElixirBuff(character);
+        // Update character in database
+        const updateFunction = character.isModCharacter ? updateModCharacterById : updateCharacterById;
+        await updateFunction(character._id, { buff: character.buff });
+      } else if (character.buff?.active) {
+        // Log when elixir is not used due to conditions not being met
+        console.log(`[travelHandler.js]: 🧪 Elixir not used for ${character.name} - conditions not met. Active buff: ${character.buff.type}`);
+      }
+
+      // Ensure chance stays within reasonable bounds
+      infectionChance = Math.max(0.1, Math.min(0.95, infectionChance));
+
+      if (rng.chance(infectionChance, 'blight-rain-infection')) {
+        // Create fancy blight infection embed
+        const blightEmbed = new EmbedBuilder()
+          .setColor('#AD1457')
+          .setTitle('<:blight_eye:805576955725611058> Blight Infection!')
+          .setDescription(`◈ Oh no... your character **${character.name}** was exposed to blight rain when departing from **${capitalizeFirstLetter(startingVillage)}** and has been **blighted**! ◈`)
+          .addFields(
+            {
+              name: '🏥 Healing Available',
+              value: 'You can be healed by **Oracles, Sages & Dragons**',
+              inline: true
+            },
+            {
+              name: '📋 Blight Information',
+              value: '[Learn more about blight stages and healing](https://rootsofthewild.com/world/blight)',
+              inline: true
+            },
+            {
+              name: '⚠️ STAGE 1',
+              value: 'Infected areas appear like blight-colored bruises on the body. Side effects include fatigue, nausea, and feverish symptoms. At this stage you can be helped by having one of the sages, oracles or dragons heal you.',
+              inline: false
+            },
+            {
+              name: '🎲 Daily Rolling',
+              value: '**Starting tomorrow, you\'ll be prompted to roll in the Community Board each day to see if your blight gets worse!**\n*You will not be penalized for missing today\'s blight roll if you were just infected.*',
+              inline: false
+            }
+          )
+          .setThumbnail(character.icon)
+          .setImage('https://storage.googleapis.com/tinglebot/Graphics/border.png')
+          .setFooter({ text: 'Blight Infection System', iconURL: 'https://storage.googleapis.com/tinglebot/blight-icon.png' })
+          .setTimestamp();
+
+        await finalChannel.send({ embeds: [blightEmbed], ephemeral: false });
+
+        // Use shared finalize helper - each step has its own try/catch for resilience
+        await finalizeBlightApplication(
+          character,
+          character.userId,
+          {
+            client: client,
+            guild: guild,
+            source: `Blight Rain when departing from ${capitalizeFirstLetter(startingVillage)}`,
+            alreadySaved: false
+          }
+        );
+
+        // Add to travel log
+        travelLog.push(`<:blight_eye:805576955725611058> **${character.name}** was infected with blight when departing from **${capitalizeFirstLetter(startingVillage)}**!`);
+      } else {
+        let safeMsg = "<:blight_eye:805576955725611058> **Blight Rain at Departure!**\n\n";
+
+        if (buffEffects && buffEffects.blightResistance > 0) {
+          safeMsg += `◈ Your character **${character.name}** departed from ${capitalizeFirstLetter(startingVillage)} during blight rain and managed to avoid infection thanks to their elixir buffs! ◈\n`;
+          safeMsg += "The protective effects of your elixir kept you safe from the blight.";
+
+          // Consume Bright Elixir after use (blight resistance)
+          if (shouldConsumeElixir(character, 'travel', { blightRain: true })) {
+            consumeElixirBuff(character);
+            // Update character in database
+            const updateFunction = character.isModCharacter ? updateModCharacterById : updateCharacterById;
+            await updateFunction(character._id, { buff: character.buff });
+            safeMsg += "\n\n🧪 **Elixir consumed!** The protective effects have been used up.";
+          } else if (character.buff?.active) {
+            // Log when elixir is not used due to conditions not being met
+            console.log(`[travelHandler.js]: 🧪 Elixir not used for ${character.name} - conditions not met. Active buff: ${character.buff.type}`);
+          }
+        } else {
+          safeMsg += `◈ Your character **${character.name}** departed from ${capitalizeFirstLetter(startingVillage)} during blight rain but managed to avoid infection this time! ◈\n`;
+          safeMsg += "You feel lucky... but be careful out there.";
+        }
+
+        await finalChannel.send({ content: safeMsg });
+      }
+    }
+  }
+
+  // Check starting village for lightning storm AFTER successful travel completion
+  if (departureWeatherLabel === 'Lightning Storm') {
+    const lightningStrikeChance = 0.015; // 1.5% chance
+    if (rng.chance(lightningStrikeChance, 'lightning-strike')) {
+      // Character struck by lightning - 1 heart damage
+      await useHearts(character._id, 1, { source: 'lightning_strike' });
+      const lightningMsg = `⚡ **LIGHTNING STRIKE!** ⚡\n\nA bolt of lightning strikes ${character.name} directly as they depart from ${capitalizeFirstLetter(startingVillage)}! The force is overwhelming... (-1 ❤️)`;
+      await finalChannel.send({ content: lightningMsg });
+    }
+  }
+}
+
 // ------------------- Recover Helper -------------------
 // Attempts to recover a heart if character not KO'd, has stamina or Delivering perk,
 // handles full-hearts case, updates stats, travel log, and edits encounter embed.
@@ -309,14 +578,19 @@ async function handleRecover(interaction, character, encounterMessage, travelLog
     let decision, outcomeMessage;
     let restfulBlessingApplied = false;
 
-    if (character.currentStamina >= 1 || hasPerk(character, 'DELIVERING')) {
-      if (!hasPerk(character, 'DELIVERING')) {
+    // Mount traits (only when traveling on mount)
+    const mount = travelContext.mode === 'on mount' ? travelContext.mount : null;
+    const mountTraits = mount ? getMountTravelTraits(mount) : null;
+    const staminaFree = hasPerk(character, 'DELIVERING') || !!mountTraits?.freeRecover;
+
+    if (character.currentStamina >= 1 || staminaFree) {
+      if (!staminaFree) {
         const staminaResult = await useStamina(character._id, 1);
         if (!staminaResult.exhausted) character.currentStamina = Math.max(0, (character.currentStamina ?? 0) - 1);
       }
 
       const heartsMissing = Math.max(0, character.maxHearts - character.currentHearts);
-      let baseRecovery = Math.min(1, heartsMissing);
+      let baseRecovery = Math.min(1 + (mountTraits?.recoverBonus || 0), heartsMissing);
       if (baseRecovery <= 0) {
         baseRecovery = 0;
       }
@@ -349,8 +623,13 @@ async function handleRecover(interaction, character, encounterMessage, travelLog
       }
 
       const heartLabel = actualHeartsRecovered === 1 ? 'heart' : 'hearts';
-      decision = `💖 Recovered ${actualHeartsRecovered} ${heartLabel}${hasPerk(character,'DELIVERING') ? '' : ' (-1 🟩 stamina)'}.`;
-      outcomeMessage = `${character.name} recovered ${actualHeartsRecovered} ${heartLabel}${hasPerk(character,'DELIVERING') ? '' : ' and lost 1 🟩 stamina'}.`;
+      decision = `💖 Recovered ${actualHeartsRecovered} ${heartLabel}${staminaFree ? '' : ' (-1 🟩 stamina)'}.`;
+      outcomeMessage = `${character.name} recovered ${actualHeartsRecovered} ${heartLabel}${staminaFree ? '' : ' and lost 1 🟩 stamina'}.`;
+
+      if (mountTraits && (mountTraits.freeRecover || mountTraits.recoverBonus > 0)) {
+        decision += `\n🐴 ${mount.name}: ${mountTraits.description}.`;
+        travelLog.push(`recover: mount ${mount.name} (${mountTraits.description})`);
+      }
 
       if (restfulBlessingApplied && actualHeartsRecovered > baseRecovery) {
         const bonusHearts = actualHeartsRecovered - baseRecovery;
@@ -462,7 +741,7 @@ async function handleGather(interaction, character, currentPath, encounterMessag
       const jobForWeighting = character.jobVoucher && character.jobVoucherJob ? character.jobVoucherJob : character.job;
       const weighted = createWeightedItemList(available, 50, jobForWeighting);
       const rollRandomItem = () => {
-        const baseItem = weighted[Math.floor(Math.random() * weighted.length)];
+        const baseItem = rng.pick(weighted, 'travel-gather-item');
         const rarity = Number(baseItem.itemRarity) ?? Number(baseItem.rarity) ?? 0;
         return {
           ...baseItem,
@@ -668,7 +947,13 @@ async function handleGather(interaction, character, currentPath, encounterMessag
 // ------------------- Fight Helper -------------------
 // Resolves combat, handles KO relocation, loot (incl. Chuchu logic),
 // sheet sync, stamina, updates embed fields & footer, logs outcomes.
-async function handleFight(interaction, character, encounterMessage, monster, travelLog, startingVillage) {
+// Every draw of a fight comes from one seeded roll session so it can be replayed.
+function handleFight(...args) {
+  return rng.runWithRollSession(() => runFight(...args));
+}
+
+async function runFight(interaction, character, encounterMessage, monster, travelLog, startingVillage, travelContext = null) {
+  travelContext = travelContext || {};
   try {
     travelLog = Array.isArray(travelLog) ? travelLog : [];
     const jobPerk = getJobPerk(character.job);
@@ -681,13 +966,34 @@ async function handleFight(interaction, character, encounterMessage, monster, tr
     info('COMBAT', `Starting combat for ${character.name} vs ${monster.name} (Tier ${monster.tier})`);
     debug('COMBAT', `Initial hearts: ${character.currentHearts}/${character.maxHearts}`);
 
-    const diceRoll = Math.floor(Math.random() * 100) + 1;
+    let diceRoll = rng.randomInt(1, 100, 'travel-fight-d100');
+
+    // Mount fight bonus (only when traveling on mount); the roll is still capped at 100
+    const mount = travelContext.mode === 'on mount' ? travelContext.mount : null;
+    const mountFightBonus = mount ? getMountTravelTraits(mount).fightBonus : 0;
+    if (mountFightBonus > 0) {
+      diceRoll = Math.min(100, diceRoll + mountFightBonus);
+      debug('COMBAT', `Mount ${mount.name} (${mount.species}) adds +${mountFightBonus} to the roll → ${diceRoll}`);
+      travelLog.push(`fight: mount ${mount.name} +${mountFightBonus} roll`);
+    }
+
     const { damageValue, adjustedRandomValue, attackSuccess, defenseSuccess } = calculateFinalValue(character, diceRoll);
     debug('COMBAT', `Combat results - Damage: ${damageValue}, Adjusted: ${adjustedRandomValue}, Attack: ${attackSuccess}, Defense: ${defenseSuccess}`);
 
-    const outcome = await getEncounterOutcome(character, monster, damageValue, adjustedRandomValue, attackSuccess, defenseSuccess);
+    // Weather at the starting village (not known after a bot restart, so no modifiers then)
+    const weatherEffects = getActiveWeatherEffects(travelContext.startingWeather);
+    const outcome = await getEncounterOutcome(character, monster, damageValue, adjustedRandomValue, attackSuccess, defenseSuccess, { weatherEffects });
     info('COMBAT', `Combat outcome: ${outcome.result}, Hearts: ${outcome.hearts}`);
 
+    const recordFightRoll = (items = []) => rng.recordRoll({
+      kind: 'travel-fight',
+      character,
+      userId: interaction?.user?.id || null,
+      inputs: { monster: monster.name, diceRoll, adjustedRandomValue, mountFightBonus },
+      result: { outcome: outcome.result, hearts: outcome.hearts || 0, items },
+      summary: `${outcome.result} vs ${monster.name} (travel)`
+    });
+
     // ------------------- KO Branch -------------------
     if (outcome.result === 'KO') {
       info('COMBAT', `Character KO'd - Previous hearts: ${character.currentHearts}`, { character: character.name });
@@ -715,6 +1021,7 @@ async function handleFight(interaction, character, encounterMessage, monster, tr
       await useStamina(character._id, 0);
       await character.save();
 
+      await recordFightRoll();
       travelLog.push(`fight: KO (${prevHearts}→0 hearts, ${prevStamina}→0 stam)`);
       return `💀 ${character.name} was KO'd and moved back to ${capitalizeFirstLetter(character.currentVillage)}.`;
     }
@@ -739,10 +1046,11 @@ async function handleFight(interaction, character, encounterMessage, monster, tr
     let item = null;
 
     if (outcome.result === 'Win!/Loot') {
+      emitMonsterDefeated(character, monster, 'travel');
       const drops = await fetchItemsByMonster(monster.name);
       if (drops.length > 0) {
         const weighted = createWeightedItemList(drops, adjustedRandomValue);
-        item = weighted[Math.floor(Math.random() * weighted.length)];
+        item = rng.pick(weighted, 'loot-item');
 
         // Chuchu Special Case
         if (item && /Chuchu/.test(monster.name)) {
@@ -845,7 +1153,7 @@ async function handleFight(interaction, character, encounterMessage, monster, tr
 
       // Like Like Special Case - Chance to get extra item from chest
       if (monster.name === 'Like Like') {
-        const chestDropChance = Math.random();
+        const chestDropChance = rng.random('like-like-chest');
         if (chestDropChance < 0.25) { // 25% chance to get extra item
           const allItems = await fetchAllItems();
           if ((allItems && allItems.length > 0) || isAprilFoolsEastern()) {
@@ -856,7 +1164,7 @@ async function handleFight(interaction, character, encounterMessage, monster, tr
               chestName = p.itemName;
               chestEmoji = p.emoji || '🧚';
             } else {
-              const randomItem = allItems[Math.floor(Math.random() * allItems.length)];
+              const randomItem = rng.pick(allItems, 'like-like-chest-item');
               chestName = randomItem.itemName;
               chestEmoji = randomItem.emoji || '📦';
             }
@@ -899,6 +1207,8 @@ async function handleFight(interaction, character, encounterMessage, monster, tr
       // travelLog.push(outcomeMessage);
     }
 
+    const rollRecord = await recordFightRoll(item ? [{ itemName: item.itemName, quantity: item.quantity || 1 }] : []);
+
     // ------------------- Embed Update -------------------
     const description =
       `> ${outcomeMessage}` +
@@ -910,9 +1220,10 @@ async function handleFight(interaction, character, encounterMessage, monster, tr
       character,
       description,
       fields: [],
-      footer: { text: `Tier: ${monster.tier}` },
+      footer: { text: rollRecord?.rollId ? `Tier: ${monster.tier} | Roll ID: ${rollRecord.rollId}` : `Tier: ${monster.tier}` },
       titleFallback: `${character.name} vs ${monster?.name || 'Unknown Monster'}`
     });
+    addWeatherEffectsField(embed, weatherEffects, 'travel');
 
     if (typeof encounterMessage?.edit === 'function') {
       await encounterMessage.edit({ embeds: [embed], components: [] });
@@ -1193,7 +1504,7 @@ async function handleOpenChest(interaction, character, encounterMessage, travelL
       chestItemName = p.itemName;
       itemEmoji = p.emoji || '🧚';
     } else {
-      const randomItem = eligibleChestItems[Math.floor(Math.random() * eligibleChestItems.length)];
+      const randomItem = rng.pick(eligibleChestItems, 'travel-chest-item');
       chestItemName = randomItem.itemName;
       itemEmoji = randomItem.emoji || '📦';
     }
@@ -1305,7 +1616,7 @@ async function handleTravelInteraction(
             result = `❌ **${character.name} cannot fight monsters during travel!**\n\n<:blight_eye:805576955725611058> At **Blight Stage ${character.blightStage}**, monsters no longer attack your character. You cannot fight monsters until you are healed.`;
             break;
           }
-          result = await handleFight(interaction, character, encounterMessage, monster, travelLog, startingVillage);
+          result = await handleFight(interaction, character, encounterMessage, monster, travelLog, startingVillage, travelContext);
           break;
         case 'flee':
           result = await handleFlee(interaction, character, encounterMessage, monster, travelLog, travelContext);
@@ -1319,7 +1630,7 @@ async function handleTravelInteraction(
             if (character.blighted && character.blightStage >= 3) {
               result = `❌ **${character.name} cannot fight monsters during travel!**\n\n<:blight_eye:805576955725611058> At **Blight Stage ${character.blightStage}**, monsters no longer attack your character. You cannot fight monsters until you are healed.`;
             } else {
-              result = await handleFight(interaction, character, encounterMessage, monster, travelLog, startingVillage);
+              result = await handleFight(interaction, character, encounterMessage, monster, travelLog, startingVillage, travelContext);
             }
           } else {
             result = await handleDoNothing(interaction, character, encounterMessage, travelLog, preGeneratedFlavor);
@@ -1341,5 +1652,7 @@ async function handleTravelInteraction(
   module.exports = { 
     handleTravelInteraction,
     createFinalTravelEmbed,
-    assignVillageVisitingRole
+    assignVillageVisitingRole,
+    recordTravelCompletion,
+    applyArrivalWeather
   };
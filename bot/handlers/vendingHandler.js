@@ -70,6 +70,12 @@ const {
 
  const { createVendingSetupInstructionsEmbed } = require("../embeds/embeds.js");
 
+// ------------------- Price Index -------------------
+const { recordVendingSale } = require('@/modules/priceIndexModule.js');
+
+// ------------------- Wishlist Alerts -------------------
+const { notifyWishlistMatches, vendingStockWishlistItems } = require('@/modules/wishlistAlertModule.js');
+
 // ------------------- Validation Functions -------------------
 const {
   validateVendingItem,
@@ -1843,6 +1849,13 @@ async function handleRestock(interaction) {
 
     await interaction.editReply({ embeds: [successEmbed] });
 
+    // Let players wishing for this item know (not awaited: DMs are paced)
+    notifyWishlistMatches(
+      'vendorRestock',
+      [{ itemName, emoji: itemDetails?.emoji, detail: `${stockQty}x at ${character.name}'s shop` }],
+      { excludeUserIds: [character.userId], location: capitalizeFirstLetter(character.currentVillage || '') || undefined }
+    );
+
   } catch (error) {
     console.error('[handleRestock]: Error:', error);
     const errorMessage = error.message || 'Unknown error occurred';
@@ -3161,6 +3174,19 @@ async function handleFulfill(interaction) {
         perItemPrice = request._transactionData.perItemPrice;
       }
 
+      // ------------------- Record Sale in Price Index (best-effort) -------------------
+      if (paymentMethod === 'tokens' && totalCost !== null) {
+        await recordVendingSale({
+          fulfillmentId,
+          itemName,
+          quantity,
+          paymentMethod,
+          isVendorSelfPurchase,
+          userCharacterName: buyer.name,
+          vendorCharacterName: vendor.name
+        }, totalCost);
+      }
+
       // ------------------- Update Google Sheets (Non-critical, don't fail transaction) -------------------
       // These operations happen after the transaction commits
       // If they fail, the transaction is already complete, so we just log the error
@@ -4590,7 +4616,10 @@ async function viewVendingStock(interaction) {
     // Auto-generate if missing
     if (!result || !result.stockList || Object.keys(result.stockList).length === 0) {
       console.warn(`[viewVendingStock]⚠️ No vending stock for ${monthName} — generating now...`);
-      await generateVendingStockList();
+      const generated = await generateVendingStockList();
+      if (generated) {
+        notifyWishlistMatches('vendingStock', vendingStockWishlistItems(generated));
+      }
       result = await getCurrentVendingStockList();
     }
 
@@ -5144,5 +5173,7 @@ module.exports = {
     handleVendingViewVillage,
     handleSyncButton,
     handleAddPersonalItem,
-    cleanupExpiredVendingRequests
+    cleanupExpiredVendingRequests,
+    atomicUpdateTokenBalance,
+    atomicUpdateStockQuantity
 };
\ No newline at end of file
@@ -64,6 +64,12 @@ const { convertToHyruleanDate } = require("./modules/calendarModule");
 // ============================================================================
 const logger = require('@/utils/logger');
 const { getMemoryMonitor } = require('@/utils/memoryMonitor');
+const {
+  CONTENT_TYPE: METRICS_CONTENT_TYPE,
+  recordCommand,
+  recordInteractionFailure,
+  renderMetrics,
+} = require('@/utils/metrics');
 const {
   handleError,
   initializeErrorHandler,
@@ -512,6 +518,10 @@ async function initializeClient() {
         logger.section('System Modules');
         logger.divider();
         
+        // Game event subscribers (achievements, season pass, ...)
+        const { registerGameEventSubscribers } = require('./modules/gameEventSubscribers');
+        registerGameEventSubscribers();
+
         // Initialize core systems
         initializeReactionHandler(client);
         initializeReactionRolesHandler(client);
@@ -635,9 +645,12 @@ async function initializeClient() {
           const command = client.commands.get(interaction.commandName);
           if (!command) return;
 
+          const startedAt = Date.now();
           try {
             await command.execute(interaction);
+            recordCommand(interaction.commandName, Date.now() - startedAt, 'success');
           } catch (error) {
+            recordCommand(interaction.commandName, Date.now() - startedAt, 'error');
             if (error instanceof InsufficientInventoryError) {
               try {
                 const payload = error.embed
@@ -661,6 +674,7 @@ async function initializeClient() {
               }
               return;
             }
+            recordInteractionFailure(interaction.commandName, 'command');
             handleError(error, 'index.js', {
               commandName: interaction.commandName,
               userTag: interaction.user?.tag,
@@ -701,6 +715,7 @@ async function initializeClient() {
             try {
               await command.autocomplete(interaction);
             } catch (error) {
+              recordInteractionFailure(interaction.commandName, 'autocomplete');
               handleError(error, "index.js", {
                 commandName: interaction.commandName,
                 userTag: interaction.user?.tag,
@@ -837,34 +852,21 @@ async function initializeClient() {
       }
     });
 
-    // ------------------- RP Quest Post Tracking ------------------
+    // ------------------- Member Messages (message.posted) ------------------
+    // RP quest post tracking and leveling XP subscribe to message.posted
+    // (modules/gameEventSubscribers.js)
     client.on("messageCreate", async (message) => {
       if (isBotMessage(message)) return;
       if (!isGuildMessage(message)) return;
-      
-      if (message.channel.isThread()) {
-        try {
-          const { handleRPPostTracking } = require('./modules/rpQuestTrackingModule');
-          await handleRPPostTracking(message);
-        } catch (error) {
-          logger.error('RP_TRACKING', `[index.js]❌ Error tracking RP post: ${error.message}`);
-        }
-      }
-    });
 
-    // ------------------- Leveling System - XP Tracking ------------------
-    client.on("messageCreate", async (message) => {
-      if (isBotMessage(message)) return;
-      if (!isGuildMessage(message)) return;
-      
-      try {
-        const { handleXP } = require('./modules/levelingModule');
-        await handleXP(message);
-        const { trackLastMessage } = require('@/utils/messageUtils');
-        await trackLastMessage(message);
-      } catch (error) {
-        logger.error('XP_TRACKING', `[index.js]❌ Error handling XP tracking: ${error.message}`);
-      }
+      const { emitGameEvent } = require('@/utils/gameEvents');
+      await emitGameEvent('message.posted', {
+        userId: message.author.id,
+        guildId: message.guild.id,
+        channelId: message.channel.id,
+        messageId: message.id,
+        inThread: message.channel.isThread()
+      }, { message });
     });
 
     // ============================================================================
@@ -1267,32 +1269,28 @@ async function initializeClient() {
         const allCharacterIds = [...characterIds, ...modCharacterIds];
         const allCharacterNames = [...characterNames, ...modCharacterNames];
         
-        // Build inventory collection names: regular = trim+lowercase; mod = trim+lowercase+replace non-alphanumeric with underscore (match modCharacter.js creation)
-        const regularCollectionNames = characterNames.map(n => (n || '').trim().toLowerCase());
-        const modCollectionNames = modCharacterNames.map(n => (n || '').trim().toLowerCase().replace(/[^a-z0-9]/g, '_'));
-        const allCollectionNames = [...regularCollectionNames, ...modCollectionNames];
+        // Inventories are keyed by characterId in the shared inventories collection
+        const allInventoryOwners = [...characters, ...modCharacters];
         
         const deletionResults = {};
         
-        // 1. Transfer inventories to village shops and drop collections (before deleting User/Character/ModCharacter)
+        // 1. Transfer inventories to village shops and delete inventory rows (before deleting User/Character/ModCharacter)
         const { deleteCharacterInventoryCollection, transferCharacterInventoryToVillageShops } = require('@/database/db');
         let inventoryCollectionsDeleted = 0;
-        if (allCollectionNames.length > 0) {
-          for (const collectionName of allCollectionNames) {
+        if (allInventoryOwners.length > 0) {
+          for (const owner of allInventoryOwners) {
             try {
-              await transferCharacterInventoryToVillageShops(collectionName);
-              logger.success('CLEANUP', `[index.js] Transferred inventory to village shops for collection: ${collectionName}`);
+              await transferCharacterInventoryToVillageShops(owner);
+              logger.success('CLEANUP', `[index.js] Transferred inventory to village shops for: ${owner.name}`);
               try {
-                await deleteCharacterInventoryCollection(collectionName);
+                await deleteCharacterInventoryCollection(owner);
                 inventoryCollectionsDeleted++;
               } catch (inventoryError) {
-                if (inventoryError.code !== 26) {
-                  logger.warn('CLEANUP', `[index.js]⚠️ Error deleting inventory collection for ${collectionName}: ${inventoryError.message}`);
-                }
+                logger.warn('CLEANUP', `[index.js]⚠️ Error deleting inventory for ${owner.name}: ${inventoryError.message}`);
               }
             } catch (transferErr) {
               const errStack = transferErr && transferErr.stack ? transferErr.stack : String(transferErr);
-              logger.warn('CLEANUP', `[index.js] Failed to transfer inventory to village shops for ${collectionName}: ${transferErr?.message ?? transferErr}. ${errStack}`);
+              logger.warn('CLEANUP', `[index.js] Failed to transfer inventory to village shops for ${owner.name}: ${transferErr?.message ?? transferErr}. ${errStack}`);
             }
           }
           deletionResults.inventoryItems = inventoryCollectionsDeleted;
@@ -1553,6 +1551,25 @@ async function initializeClient() {
         return;
       }
 
+      // Prometheus scrape target; set METRICS_TOKEN to require `Authorization: Bearer <token>`
+      if (req.method === 'GET' && pathOnly === '/metrics') {
+        const metricsToken = process.env.METRICS_TOKEN;
+        if (metricsToken && req.headers.authorization !== `Bearer ${metricsToken}`) {
+          res.writeHead(401, { 'Content-Type': 'text/plain' });
+          res.end('Unauthorized\n');
+          return;
+        }
+        try {
+          res.writeHead(200, { 'Content-Type': METRICS_CONTENT_TYPE });
+          res.end(renderMetrics());
+        } catch (error) {
+          logger.error('METRICS', `Error rendering metrics: ${error.message}`);
+          res.writeHead(500, { 'Content-Type': 'text/plain' });
+          res.end('Internal error\n');
+        }
+        return;
+      }
+
       // Log all healthcheck requests for debugging
       if (pathOnly === '/health' || pathOnly === '/healthcheck') {
         logger.info('HEALTHCHECK', `Healthcheck request received from ${req.headers['user-agent'] || 'unknown'}`);
@@ -1627,6 +1644,7 @@ async function initializeClient() {
     healthcheckServer.listen(port, '0.0.0.0', () => {
       logger.success('HEALTHCHECK', `Healthcheck server listening on port ${port}`);
       logger.info('HEALTHCHECK', `Healthcheck endpoint: http://0.0.0.0:${port}/health or /healthcheck`);
+      logger.info('HEALTHCHECK', `Metrics endpoint: http://0.0.0.0:${port}/metrics${process.env.METRICS_TOKEN ? ' (bearer token required)' : ''}`);
       logger.info('HEALTHCHECK', 'Returns 503 (unhealthy) when memory > 1GB');
       logger.warn('HEALTHCHECK', 'IMPORTANT: Configure Railway Healthcheck Path to /health in service settings!');
     });
@@ -0,0 +1,7 @@
+// ============================================================================
+// ------------------- Auction model -------------------
+// Schema lives in @tinglebot/shared (models/AuctionModel.js); edit it there.
+// ============================================================================
+const mongoose = require('mongoose');
+
+module.exports = require('@tinglebot/shared/models/AuctionModel')(mongoose);
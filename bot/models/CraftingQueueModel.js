@@ -0,0 +1,51 @@
+// ============================================================================
+// ---- Standard Libraries ----
+// ============================================================================
+const mongoose = require('mongoose');
+
+// ============================================================================
+// ---- Crafting Queue Schema ----
+// Backs /crafting queue. Holds the ordered sub-crafts of a /crafting plan for one
+// character; modules/craftingPlanModule.js works through them as stamina allows
+// (on /crafting queue run and once a day after stamina recovery).
+// ============================================================================
+const queueStepSchema = new mongoose.Schema({
+  itemName: { type: String, required: true },
+  quantity: { type: Number, required: true, min: 1 },
+  crafted: { type: Number, default: 0, min: 0 },
+  staminaPerItem: { type: Number, default: 0, min: 0 }
+}, { _id: false });
+
+const craftingQueueSchema = new mongoose.Schema({
+  characterId: { type: mongoose.Schema.Types.ObjectId, ref: 'Character', required: true },
+  characterName: { type: String, required: true },
+  userId: { type: String, required: true },
+
+  targetItem: { type: String, required: true },
+  targetQuantity: { type: Number, required: true, min: 1 },
+  // Execution order: every step's craftable ingredients come before it
+  steps: { type: [queueStepSchema], default: [] },
+
+  status: {
+    type: String,
+    enum: ['active', 'completed', 'cancelled'],
+    default: 'active'
+  },
+  // Why the last run stopped early ('stamina', 'materials', 'jailed', 'debuffed', ...)
+  blockedReason: { type: String, default: null },
+  lastRunAt: { type: Date, default: null },
+  // Lease held while a run is crafting, so a manual run and the daily run never overlap
+  runningUntil: { type: Date, default: null },
+  completedAt: { type: Date, default: null }
+}, {
+  timestamps: true
+});
+
+// One active queue per character
+craftingQueueSchema.index(
+  { characterId: 1 },
+  { unique: true, partialFilterExpression: { status: 'active' } }
+);
+craftingQueueSchema.index({ status: 1 });
+
+module.exports = mongoose.model('CraftingQueue', craftingQueueSchema);
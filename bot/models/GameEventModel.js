@@ -0,0 +1,48 @@
+// ============================================================================
+// ---- Standard Libraries ----
+// ============================================================================
+const mongoose = require('mongoose');
+
+// ============================================================================
+// ---- Game Event Schema ----
+// One entry per event emitted on the game event bus (utils/gameEvents.js),
+// with the payload and how each subscriber handled it. Replaying an entry
+// re-delivers the stored payload to the current subscribers.
+// ============================================================================
+const subscriberResultSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  ok: { type: Boolean, default: true },
+  error: { type: String, default: null }
+}, { _id: false });
+
+const gameEventSchema = new mongoose.Schema({
+  event: { type: String, required: true },
+  payload: { type: mongoose.Schema.Types.Mixed, default: {} },
+
+  // ---- Indexed subjects (copied from the payload when present) ----
+  userId: { type: String, default: null },
+  characterId: { type: mongoose.Schema.Types.ObjectId, default: null },
+
+  // ---- Delivery ----
+  subscribers: { type: [subscriberResultSchema], default: [] },
+  failed: { type: Boolean, default: false },
+  replayCount: { type: Number, default: 0 },
+  lastReplayedAt: { type: Date, default: null },
+
+  emittedAt: { type: Date, default: Date.now }
+});
+
+// ============================================================================
+// ---- Indexes ----
+// ============================================================================
+gameEventSchema.index({ event: 1, emittedAt: -1 });
+gameEventSchema.index({ characterId: 1, emittedAt: -1 });
+gameEventSchema.index({ userId: 1, emittedAt: -1 });
+gameEventSchema.index({ failed: 1, emittedAt: -1 });
+// Item and token events are frequent; 30 days is plenty for debugging and replay
+gameEventSchema.index({ emittedAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+// ============================================================================
+// ---- Export ----
+// ============================================================================
+module.exports = mongoose.model('GameEvent', gameEventSchema);
@@ -59,6 +59,7 @@ const GrottoSchema = new Schema({
       width: Number,
       height: Number,
       entryNodes: Schema.Types.Mixed,
+      seed: { type: Number, default: null }, // rngService seed; regenerates this exact layout
       pathCells: [{
         x: Number,
         y: Number,
@@ -71,6 +71,10 @@ const MountSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  staminaRecoveredAt: { // Start of the current daily recovery window (partial days carry over)
+    type: Date,
+    default: null
+  },
 
   storageLocation: { // Specifies where the mount is stored
     type: String,
@@ -0,0 +1,245 @@
+// ============================================================================
+// ---- Standard Libraries ----
+// ============================================================================
+const mongoose = require('mongoose');
+
+// ============================================================================
+// ---- PvP Battle Schema ----
+// Replaces the old data/pvpBattleProgress.json file used by /combat challenge.
+// Turns are claimed with a conditional findOneAndUpdate (see claimTurn) so two
+// concurrent /combat attack calls can never both resolve the same turn.
+// ============================================================================
+const combatantSchema = new mongoose.Schema({
+  characterId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Character',
+    required: true
+  },
+  userId: {
+    type: String,
+    required: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  // Hearts at the moment the battle started (current hearts always come from the Character document)
+  startingHearts: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  hits: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  misses: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, { _id: false });
+
+const pvpBattleSchema = new mongoose.Schema({
+  // Basic battle information
+  battleId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  village: {
+    type: String,
+    required: true
+  },
+  channelId: {
+    type: String,
+    default: null
+  },
+
+  // Combatants (the challenger is the attacker and takes the first turn)
+  attacker: {
+    type: combatantSchema,
+    required: true
+  },
+  defender: {
+    type: combatantSchema,
+    required: true
+  },
+
+  // Combatants share a RIVAL relationship: both sides add RIVALRY_ROLL_BONUS to attack rolls
+  rivalry: {
+    type: Boolean,
+    default: false
+  },
+
+  // Turn tracking
+  currentTurnCharacterId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Character',
+    required: true
+  },
+  turnCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  turnExpiresAt: {
+    type: Date,
+    required: true
+  },
+
+  // Status information
+  status: {
+    type: String,
+    enum: ['active', 'completed', 'forfeited', 'timed_out'],
+    default: 'active'
+  },
+  winnerCharacterId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Character',
+    default: null
+  },
+  loserCharacterId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Character',
+    default: null
+  },
+  endedAt: {
+    type: Date,
+    default: null
+  },
+
+  // Turn-by-turn log (replaces the old newline-joined "progress" string)
+  progressLog: [{
+    at: { type: Date, default: Date.now },
+    turn: { type: Number, default: 0 },
+    characterName: { type: String },
+    outcome: { type: String, enum: ['start', 'hit', 'miss', 'ko', 'forfeit', 'timeout'] },
+    message: { type: String }
+  }]
+}, {
+  timestamps: true
+});
+
+// ============================================================================
+// ---- Indexes ----
+// ============================================================================
+pvpBattleSchema.index({ status: 1, turnExpiresAt: 1 });
+pvpBattleSchema.index({ 'attacker.characterId': 1, status: 1 });
+pvpBattleSchema.index({ 'defender.characterId': 1, status: 1 });
+pvpBattleSchema.index({ 'attacker.userId': 1 });
+pvpBattleSchema.index({ 'defender.userId': 1 });
+
+// ============================================================================
+// ---- Instance Methods ----
+// ============================================================================
+
+// ---- Method: getCombatantRole ----
+// Returns 'attacker' / 'defender' for the given character, or null if they are not in this battle
+pvpBattleSchema.methods.getCombatantRole = function(characterId) {
+  const id = characterId?.toString();
+  if (!id) return null;
+  if (this.attacker?.characterId?.toString() === id) return 'attacker';
+  if (this.defender?.characterId?.toString() === id) return 'defender';
+  return null;
+};
+
+// ---- Method: getOpponent ----
+// Returns the combatant on the other side from the given character
+pvpBattleSchema.methods.getOpponent = function(characterId) {
+  const role = this.getCombatantRole(characterId);
+  if (role === 'attacker') return this.defender;
+  if (role === 'defender') return this.attacker;
+  return null;
+};
+
+// ---- Method: getCurrentTurnCombatant ----
+pvpBattleSchema.methods.getCurrentTurnCombatant = function() {
+  const role = this.getCombatantRole(this.currentTurnCharacterId);
+  return role ? this[role] : null;
+};
+
+// ---- Method: isTurnExpired ----
+pvpBattleSchema.methods.isTurnExpired = function() {
+  return Date.now() > this.turnExpiresAt.getTime();
+};
+
+// ============================================================================
+// ---- Static Methods ----
+// ============================================================================
+
+// ---- Method: findActiveByCharacter ----
+// Find the active battle (if any) the character is part of
+pvpBattleSchema.statics.findActiveByCharacter = function(characterId) {
+  return this.findOne({
+    status: 'active',
+    $or: [
+      { 'attacker.characterId': characterId },
+      { 'defender.characterId': characterId }
+    ]
+  });
+};
+
+// ---- Method: findActiveByUser ----
+// Find all active battles a Discord user has a character in
+pvpBattleSchema.statics.findActiveByUser = function(userId) {
+  return this.find({
+    status: 'active',
+    $or: [
+      { 'attacker.userId': userId },
+      { 'defender.userId': userId }
+    ]
+  }).sort({ createdAt: -1 });
+};
+
+// ---- Method: findExpiredTurns ----
+// Find active battles where the current combatant has not acted before their turn deadline
+pvpBattleSchema.statics.findExpiredTurns = function() {
+  return this.find({
+    status: 'active',
+    turnExpiresAt: { $lte: new Date() }
+  });
+};
+
+// ---- Method: claimTurn ----
+// Atomically resolves one turn: only succeeds if the battle is still active, it is still
+// this character's turn, and nobody else advanced the turn counter in the meantime.
+// Returns the updated document, or null if the turn was already taken / battle ended.
+pvpBattleSchema.statics.claimTurn = function(battleId, characterId, expectedTurnCount, update) {
+  const { nextTurnCharacterId, turnExpiresAt, logEntry, statField } = update;
+  const mongoUpdate = {
+    $inc: { turnCount: 1 },
+    $set: { currentTurnCharacterId: nextTurnCharacterId, turnExpiresAt },
+    $push: { progressLog: logEntry }
+  };
+  if (statField) mongoUpdate.$inc[statField] = 1;
+  return this.findOneAndUpdate(
+    {
+      battleId,
+      status: 'active',
+      currentTurnCharacterId: characterId,
+      turnCount: expectedTurnCount
+    },
+    mongoUpdate,
+    { new: true }
+  );
+};
+
+// ---- Method: endBattle ----
+// Atomically ends an active battle. Returns the updated document, or null if it had already ended.
+pvpBattleSchema.statics.endBattle = function(battleId, { status, winnerCharacterId = null, loserCharacterId = null, logEntry = null, expectedTurnCount = null }) {
+  const filter = { battleId, status: 'active' };
+  if (typeof expectedTurnCount === 'number') filter.turnCount = expectedTurnCount;
+  const update = {
+    $set: { status, winnerCharacterId, loserCharacterId, endedAt: new Date() }
+  };
+  if (logEntry) update.$push = { progressLog: logEntry };
+  return this.findOneAndUpdate(filter, update, { new: true });
+};
+
+// ============================================================================
+// ---- Export ----
+// ============================================================================
+module.exports = mongoose.model('PvPBattle', pvpBattleSchema);
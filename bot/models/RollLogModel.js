@@ -0,0 +1,59 @@
+// ============================================================================
+// ---- Standard Libraries ----
+// ============================================================================
+const mongoose = require('mongoose');
+
+// ============================================================================
+// ---- Roll Log Schema ----
+// One entry per recorded roll (loot, blight, blupee, grotto, ...).
+// Stores the Mersenne Twister seed and the draw index range the roll consumed
+// so mods can regenerate the exact draws with /mod-roll replay.
+// ============================================================================
+const rollDrawSchema = new mongoose.Schema({
+  index: { type: Number, required: true },
+  label: { type: String, default: 'random' },
+  value: { type: Number, required: true },
+  // Set for integer draws (randomInt / pick) so the mapped result can be re-derived
+  min: { type: Number, default: null },
+  max: { type: Number, default: null }
+}, { _id: false });
+
+const rollLogSchema = new mongoose.Schema({
+  rollId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  kind: { type: String, required: true },
+
+  // ---- Derivation ----
+  seed: { type: Number, required: true },
+  startIndex: { type: Number, required: true },
+  drawCount: { type: Number, required: true },
+  // Capped at MAX_STORED_DRAWS; replay regenerates the full range from the seed
+  draws: { type: [rollDrawSchema], default: [] },
+
+  // ---- Context ----
+  characterId: { type: mongoose.Schema.Types.ObjectId, default: null },
+  characterName: { type: String, default: null },
+  userId: { type: String, default: null },
+  inputs: { type: mongoose.Schema.Types.Mixed, default: {} },
+  result: { type: mongoose.Schema.Types.Mixed, default: null },
+  summary: { type: String, default: '' },
+
+  createdAt: { type: Date, default: Date.now }
+});
+
+// ============================================================================
+// ---- Indexes ----
+// ============================================================================
+rollLogSchema.index({ characterId: 1, createdAt: -1 });
+rollLogSchema.index({ kind: 1, createdAt: -1 });
+// Keep roll logs for 180 days, long enough for any dispute
+rollLogSchema.index({ createdAt: 1 }, { expireAfterSeconds: 180 * 24 * 60 * 60 });
+
+// ============================================================================
+// ---- Export ----
+// ============================================================================
+module.exports = mongoose.model('RollLog', rollLogSchema);
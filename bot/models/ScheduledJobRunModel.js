@@ -0,0 +1,7 @@
+// ============================================================================
+// ------------------- Scheduled job run model -------------------
+// Schema lives in @tinglebot/shared (models/ScheduledJobRunModel.js); edit it there.
+// ============================================================================
+const mongoose = require('mongoose');
+
+module.exports = require('@tinglebot/shared/models/ScheduledJobRunModel')(mongoose);
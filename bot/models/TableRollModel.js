@@ -1,5 +1,6 @@
 // ------------------- Import necessary modules -------------------
 const mongoose = require('mongoose');
+const rng = require('../services/rngService');
 const { Schema } = mongoose;
 
 // ------------------- Schema for table roll entries -------------------
@@ -248,7 +249,7 @@ TableRollSchema.statics.rollOnTable = async function (tableName, options = {}) {
   }
 
   const totalW = table.totalWeight > 0 ? table.totalWeight : table.entries.reduce((s, e) => s + (e.weight || 0), 0);
-  const randomValue = Math.random() * (totalW || 1);
+  const randomValue = rng.random(`table:${table.name}`) * (totalW || 1);
 
   let currentWeight = 0;
   let selectedEntry = null;
@@ -0,0 +1,71 @@
+// ============================================================================
+// ---- Standard Libraries ----
+// ============================================================================
+const mongoose = require('mongoose');
+
+// ============================================================================
+// ---- Task Period Schema ----
+// Ledger of the periods (day/week/month) each periodic scheduled task has run
+// for. utils/scheduler.js claims a period before running the task, so a second
+// run for the same period (Agenda's own retry, a startup catch-up, another bot
+// instance) skips instead of granting stamina or rewards twice.
+// ============================================================================
+
+// A 'running' claim older than this is treated as a crashed run and can be retaken
+const STALE_CLAIM_MS = 60 * 60 * 1000;
+// Well past the longest catch-up lookback (62 days for monthly tasks)
+const LEDGER_TTL_DAYS = 120;
+
+const taskPeriodSchema = new mongoose.Schema({
+  taskName: { type: String, required: true },
+  // e.g. '2026-10-19', '2026-W42', '2026-10' (see utils/taskPeriods.js)
+  periodKey: { type: String, required: true },
+  status: {
+    type: String,
+    enum: ['running', 'completed'],
+    default: 'running'
+  },
+  trigger: {
+    type: String,
+    enum: ['scheduled', 'manual', 'catch-up'],
+    default: 'scheduled'
+  },
+  startedAt: { type: Date, default: Date.now },
+  completedAt: { type: Date, default: null }
+});
+
+taskPeriodSchema.index({ taskName: 1, periodKey: 1 }, { unique: true });
+taskPeriodSchema.index({ startedAt: 1 }, { expireAfterSeconds: LEDGER_TTL_DAYS * 24 * 60 * 60 });
+
+// ------------------- Static: claim -------------------
+// Returns the claim, or null when the period already ran or is running elsewhere.
+taskPeriodSchema.statics.claim = async function (taskName, periodKey, trigger = 'scheduled') {
+  try {
+    return await this.findOneAndUpdate(
+      { taskName, periodKey, status: 'running', startedAt: { $lt: new Date(Date.now() - STALE_CLAIM_MS) } },
+      { $set: { trigger, startedAt: new Date(), completedAt: null } },
+      { upsert: true, new: true }
+    );
+  } catch (err) {
+    if (err.code === 11000) return null;
+    throw err;
+  }
+};
+
+// ------------------- Static: complete -------------------
+// Upserts, so manual runs (which skip the claim) still close the period.
+taskPeriodSchema.statics.complete = function (taskName, periodKey, trigger = 'scheduled') {
+  return this.updateOne(
+    { taskName, periodKey },
+    { $set: { status: 'completed', completedAt: new Date() }, $setOnInsert: { trigger, startedAt: new Date() } },
+    { upsert: true }
+  );
+};
+
+// ------------------- Static: release -------------------
+// Drops an unfinished claim so the period can run again (failed or not-yet-due run).
+taskPeriodSchema.statics.release = function (taskName, periodKey) {
+  return this.deleteOne({ taskName, periodKey, status: 'running' });
+};
+
+module.exports = mongoose.model('TaskPeriod', taskPeriodSchema);
@@ -0,0 +1,123 @@
+// ============================================================================
+// ---- Standard Libraries ----
+// ============================================================================
+const mongoose = require('mongoose');
+
+// ============================================================================
+// ---- Trade Schema ----
+// Replaces the TempData 'trade' entries used by /economy trade.
+// Offered items and tokens are moved into escrow (inventories.trade_escrow /
+// User.tokens) when a side is offered, and both sides are delivered in a single
+// Mongo transaction on commit (see modules/tradeModule.js).
+// ============================================================================
+const tradeLineSchema = new mongoose.Schema({
+  itemName: { type: String, required: true },
+  quantity: { type: Number, required: true, min: 1 },
+  // Elixir stack key; null for regular items
+  elixirLevel: { type: Number, default: null },
+  modifierHearts: { type: Number, default: null },
+  emoji: { type: String, default: '' }
+}, { _id: false });
+
+const tradePartySchema = new mongoose.Schema({
+  userId: { type: String, required: true },
+  characterId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  characterName: { type: String, required: true },
+  isModCharacter: { type: Boolean, default: false },
+  items: { type: [tradeLineSchema], default: [] },
+  tokens: { type: Number, default: 0, min: 0 },
+  confirmed: { type: Boolean, default: false },
+  // Bumped every time this side's offer changes (counter-offers)
+  offerVersion: { type: Number, default: 0 }
+}, { _id: false });
+
+const tradeSchema = new mongoose.Schema({
+  tradeId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  status: {
+    type: String,
+    enum: ['open', 'completed', 'cancelled', 'expired'],
+    default: 'open'
+  },
+
+  // The initiator proposes first; the target answers with their side (or a counter-offer)
+  initiator: { type: tradePartySchema, required: true },
+  target: { type: tradePartySchema, required: true },
+
+  // Bumped on every offer change so a stale confirmation can never commit a different deal
+  version: { type: Number, default: 0 },
+
+  // Discord message bookkeeping
+  messageId: { type: String, default: null },
+  channelId: { type: String, default: null },
+  confirmMessageId: { type: String, default: null },
+  confirmChannelId: { type: String, default: null },
+
+  expiresAt: { type: Date, required: true },
+  completedAt: { type: Date, default: null },
+  cancelledReason: { type: String, default: null },
+
+  history: [{
+    at: { type: Date, default: Date.now },
+    userId: { type: String },
+    action: { type: String, enum: ['propose', 'counter', 'confirm', 'complete', 'cancel', 'expire'] },
+    note: { type: String }
+  }]
+}, {
+  timestamps: true
+});
+
+// ============================================================================
+// ---- Indexes ----
+// ============================================================================
+tradeSchema.index({ status: 1, expiresAt: 1 });
+tradeSchema.index({ 'initiator.characterId': 1, status: 1 });
+tradeSchema.index({ 'target.characterId': 1, status: 1 });
+tradeSchema.index({ 'initiator.userId': 1, status: 1 });
+tradeSchema.index({ 'target.userId': 1, status: 1 });
+
+// ============================================================================
+// ---- Instance Methods ----
+// ============================================================================
+
+// ---- Method: getSide ----
+// Returns 'initiator' / 'target' for the given Discord user, or null if they are not in this trade
+tradeSchema.methods.getSide = function(userId) {
+  if (this.initiator?.userId === userId) return 'initiator';
+  if (this.target?.userId === userId) return 'target';
+  return null;
+};
+
+// ---- Method: isExpired ----
+tradeSchema.methods.isExpired = function() {
+  return Date.now() > this.expiresAt.getTime();
+};
+
+// ---- Method: isFullyConfirmed ----
+tradeSchema.methods.isFullyConfirmed = function() {
+  return !!(this.initiator?.confirmed && this.target?.confirmed);
+};
+
+// ============================================================================
+// ---- Static Methods ----
+// ============================================================================
+
+// ---- Method: findOpenByTradeId ----
+tradeSchema.statics.findOpenByTradeId = function(tradeId) {
+  return this.findOne({ tradeId, status: 'open' });
+};
+
+// ---- Method: findExpiredOpen ----
+// Open trades past their deadline whose escrow still needs releasing
+tradeSchema.statics.findExpiredOpen = function() {
+  return this.find({ status: 'open', expiresAt: { $lte: new Date() } });
+};
+
+// ============================================================================
+// ---- Export ----
+// ============================================================================
+module.exports = mongoose.model('Trade', tradeSchema);
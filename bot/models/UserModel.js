@@ -3,6 +3,7 @@ const mongoose = require('mongoose');
 const moment = require('moment-timezone');
 const { countUniqueQuestCompletions } = require('../utils/questTrackingUtils');
 const logger = require('../utils/logger');
+const { getSeasonWindow, getTierForXP, getSeasonProgress, SEASON_XP_AWARDS, SEASON_XP_SOURCES } = require('@tinglebot/shared/lib/seasonPass');
 // ------------------- Define the user schema -------------------
 const userSchema = new mongoose.Schema({
   discordId: { type: String, required: true, unique: true }, // Unique Discord ID of the user
@@ -171,7 +172,60 @@ const userSchema = new mongoose.Schema({
   villageDonationCooldown: {
     type: Number,
     default: null // Week start (ms): Sunday 00:00 America/New_York; one donation per week total (all villages)
-  }
+  },
+
+  // ------------------- Roll Macros -------------------
+  // Saved /roll expressions (/roll macro save|use|list|delete); names are lowercase and unique per user
+  rollMacros: [{
+    name: { type: String, required: true },
+    expression: { type: String, required: true },
+    updatedAt: { type: Date, default: Date.now }
+  }],
+
+  // ------------------- Notification Settings -------------------
+  // DM preferences read by utils/notificationService.js, toggled on the dashboard profile (Notifications tab)
+  settings: {
+    wishlistAlerts: { type: Boolean, default: true } // DM when an item on a character's wishlist is stocked
+  },
+
+  // ------------------- Season Pass -------------------
+  // Seasonal progression track (@tinglebot/shared lib/seasonPass): season XP from chat, quests,
+  // raids and approved submissions; rolled over by the season-pass-rollover job
+  seasonPass: {
+    seasonId: { type: String, default: null }, // e.g. '2026-autumn'
+    xp: { type: Number, default: 0 },
+    xpBySource: {
+      message: { type: Number, default: 0 },
+      quest: { type: Number, default: 0 },
+      raid: { type: Number, default: 0 },
+      submission: { type: Number, default: 0 }
+    },
+    claimedTiers: [{ type: Number }],
+    history: [{
+      seasonId: { type: String },
+      xp: { type: Number },
+      tier: { type: Number },
+      endedAt: { type: Date }
+    }]
+  },
+
+  // ------------------- Profile Badges -------------------
+  badges: [{
+    badgeId: { type: String, required: true },
+    label: { type: String, required: true },
+    emoji: { type: String, default: null },
+    seasonId: { type: String, default: null },
+    earnedAt: { type: Date, default: Date.now }
+  }],
+
+  // ------------------- Achievements -------------------
+  // Milestones from @tinglebot/shared lib/achievements; characterId is set for character-scoped ones
+  achievements: [{
+    achievementId: { type: String, required: true },
+    characterId: { type: mongoose.Schema.Types.ObjectId, default: null },
+    characterName: { type: String, default: null },
+    earnedAt: { type: Date, default: Date.now }
+  }]
 });
 
 // ------------------- Static methods for leveling -------------------
@@ -473,6 +527,60 @@ userSchema.methods.getTotalXPForLevel = function(targetLevel) {
   return totalXP;
 };
 
+// ------------------- Instance methods for the season pass -------------------
+// Moves a pass from an earlier season into history and starts the current one.
+// Returns true when the pass was reset (caller saves).
+userSchema.methods.ensureCurrentSeasonPass = function(now = new Date()) {
+  const season = getSeasonWindow(now);
+  if (!this.seasonPass) {
+    this.seasonPass = {};
+  }
+  if (this.seasonPass.seasonId === season.id) {
+    return false;
+  }
+
+  if (this.seasonPass.seasonId && (this.seasonPass.xp || 0) > 0) {
+    this.seasonPass.history.push({
+      seasonId: this.seasonPass.seasonId,
+      xp: this.seasonPass.xp,
+      tier: getTierForXP(this.seasonPass.xp),
+      endedAt: now
+    });
+    if (this.seasonPass.history.length > 12) {
+      this.seasonPass.history = this.seasonPass.history.slice(-12);
+    }
+  }
+
+  this.seasonPass.seasonId = season.id;
+  this.seasonPass.xp = 0;
+  this.seasonPass.xpBySource = { message: 0, quest: 0, raid: 0, submission: 0 };
+  this.seasonPass.claimedTiers = [];
+  return true;
+};
+
+userSchema.methods.addSeasonXP = async function(amount, source = 'message', save = true) {
+  if (!Number.isFinite(amount) || amount <= 0) {
+    return null;
+  }
+  this.ensureCurrentSeasonPass();
+
+  const previousTier = getTierForXP(this.seasonPass.xp);
+  this.seasonPass.xp = (this.seasonPass.xp || 0) + amount;
+  if (SEASON_XP_SOURCES.includes(source)) {
+    this.seasonPass.xpBySource[source] = (this.seasonPass.xpBySource[source] || 0) + amount;
+  }
+  const tier = getTierForXP(this.seasonPass.xp);
+
+  if (save) {
+    await this.save();
+  }
+  return { xp: this.seasonPass.xp, tier, previousTier, tierUp: tier > previousTier };
+};
+
+userSchema.methods.getSeasonPassProgress = function(now = new Date()) {
+  return getSeasonProgress(this.seasonPass, now);
+};
+
 // ------------------- Quest Tracking Methods -------------------
 function getQuestTypeKey(questType = '') {
   const normalized = questType.trim().toLowerCase();
@@ -772,6 +880,8 @@ userSchema.methods.recordQuestCompletion = async function({
   }
   
   if (isNewCompletion) {
+    // Season pass XP for every newly recorded completion (saved with the quest tracking below)
+    await this.addSeasonXP(SEASON_XP_AWARDS.quest, 'quest', false);
     questTracking.completions.push({
       questId,
       questType,
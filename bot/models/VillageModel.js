@@ -99,6 +99,57 @@ const VILLAGE_CONFIG = {
     },
 };
 
+// ---- Building Projects ----
+// Discrete buildings funded through /village donate (project option). Each has a
+// per-village material recipe, a token cost and an effect that only applies while
+// the building is finished and its condition is at least PROJECT_ACTIVE_CONDITION.
+const PROJECT_ACTIVE_CONDITION = 50;
+
+const VILLAGE_PROJECTS = {
+    watchtower: {
+        name: 'Watchtower',
+        emoji: '🗼',
+        minLevel: 1,
+        description: 'Lookouts spot raiders early, softening the blow of failed raids.',
+        effect: { raidDamageReduction: 0.25 },
+        effectText: 'Raid damage to the village reduced by 25%',
+        tokens: 5000,
+        materials: {
+            Rudania: { Wood: 150, "Goron Ore": 60, "Flint": 20 },
+            Inariko: { Wood: 150, "Silver Ore": 60, "Luminous Stone": 20 },
+            Vhintl: { Wood: 150, "Tree Branch": 60, "Korok Leaf": 20 },
+        },
+    },
+    clinic: {
+        name: 'Clinic',
+        emoji: '🏥',
+        minLevel: 2,
+        description: 'Healers staff the rest spot around the clock.',
+        effect: { restBonusHearts: 1 },
+        effectText: '+1 heart recovered at the village rest spot',
+        tokens: 8000,
+        materials: {
+            Rudania: { Wood: 80, "Sunshroom": 40, "Fireproof Lizard": 25, "Rock Salt": 15 },
+            Inariko: { Wood: 80, "Blue Nightshade": 40, "Fleet-Lotus Seeds": 25, "Silent Princess": 15 },
+            Vhintl: { Wood: 80, "Mighty Bananas": 40, "Hydromelon": 25, "Thornberry": 25 },
+        },
+    },
+    market: {
+        name: 'Market',
+        emoji: '🏪',
+        minLevel: 2,
+        description: 'A covered market square draws travelling merchants.',
+        effect: { vendingDiscountBonus: 5 },
+        effectText: '+5% vending discount',
+        tokens: 10000,
+        materials: {
+            Rudania: { Wood: 100, "Gold Ore": 25, "Gold Dust": 20 },
+            Inariko: { Wood: 100, "Hyrule Bass": 20, "Ancient Screw": 15 },
+            Vhintl: { Wood: 100, "Spider Silk": 25, "Palm Fruit": 30 },
+        },
+    },
+};
+
 // ============================================================================
 // ---- Schema Definition ----
 // ============================================================================
@@ -108,6 +159,13 @@ const ContributorSchema = new mongoose.Schema({
     lastDonatedAt: { type: Date, default: null },
 }, { _id: false });
 
+const ProjectSchema = new mongoose.Schema({
+    materials: { type: Map, of: Number, default: {} },
+    tokens: { type: Number, default: 0 },
+    completedAt: { type: Date, default: null },
+    condition: { type: Number, default: 100, min: 0, max: 100 },
+}, { _id: false });
+
 const VillageSchema = new mongoose.Schema({
     name: {
         type: String,
@@ -158,6 +216,11 @@ const VillageSchema = new mongoose.Schema({
         of: ContributorSchema,
         default: {},
     },
+    projects: {
+        type: Map,
+        of: ProjectSchema,
+        default: {},
+    },
     cooldowns: {
         type: Map,
         of: Date,
@@ -216,5 +279,7 @@ module.exports = {
     Village,
     VILLAGE_CONFIG,
     DEFAULT_HEALTH,
-    DEFAULT_TOKEN_REQUIREMENTS
+    DEFAULT_TOKEN_REQUIREMENTS,
+    VILLAGE_PROJECTS,
+    PROJECT_ACTIVE_CONDITION
 };
@@ -0,0 +1,7 @@
+// ============================================================================
+// ------------------- Weather forecast model -------------------
+// Schema lives in @tinglebot/shared (models/WeatherForecastModel.js); edit it there.
+// ============================================================================
+const mongoose = require('mongoose');
+
+module.exports = require('@tinglebot/shared/models/WeatherForecastModel')(mongoose);
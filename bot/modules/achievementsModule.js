@@ -0,0 +1,199 @@
+// ============================================================================
+// Achievements Module
+// Evaluates the declarative registry in @tinglebot/shared lib/achievements when
+// a game event happens, records new awards on User.achievements and announces
+// them. Each registry event is a game event (utils/gameEvents.js); the
+// subscriptions in modules/gameEventSubscribers.js call checkAchievements.
+// Stats are resolved from the existing trackers unless the event passes them.
+// Awards are recorded once, so replaying an event to the achievements subscriber
+// is safe. Errors are logged and, unless the caller asks for them (the event
+// subscriber does, so the bus records the failure), never thrown.
+// ============================================================================
+
+// ------------------- Standard Libraries -------------------
+const mongoose = require('mongoose');
+const logger = require('@/utils/logger');
+const { handleError } = require('@/utils/globalErrorHandler');
+const { sendChannelEmbed } = require('@/utils/notificationService');
+const {
+  ACHIEVEMENT_CATEGORIES,
+  getAchievementsForEvent,
+  getUnlockedAchievements,
+  summarizeAchievements
+} = require('@tinglebot/shared/lib/achievements');
+
+// ------------------- Database Models -------------------
+const User = require('@/models/UserModel');
+const Character = require('@/models/CharacterModel');
+const ModCharacter = require('@/models/ModCharacterModel');
+const StealStats = require('@/models/StealStatsModel');
+const Grotto = require('@/models/GrottoModel');
+const Party = require('@/models/PartyModel');
+const Raid = require('@/models/RaidModel');
+const TokenTransaction = require('@/models/TokenTransactionModel');
+
+// ------------------- Configuration Constants -------------------
+const ACHIEVEMENTS_CHANNEL_ID = process.env.ACHIEVEMENTS_CHANNEL_ID || process.env.COMMUNITY_BOARD_CHANNEL_ID || '651614266046152705';
+const ACHIEVEMENT_EMBED_COLOR = 0xFFD700;
+
+// ------------------- Stat Resolvers -------------------
+// Current value of each registry stat for one subject ({ userId, characterId }).
+const STAT_RESOLVERS = {
+  successfulSteals: async ({ characterId }) => {
+    const stats = await StealStats.findOne({ characterId }).select('successfulSteals').lean();
+    return stats?.successfulSteals || 0;
+  },
+  journeysCompleted: async ({ characterId }) => {
+    const character = await Character.findById(characterId).select('travelLog.success').lean();
+    return (character?.travelLog || []).filter(entry => entry.success).length;
+  },
+  exploreCount: async ({ characterId }) => {
+    const character = await Character.findById(characterId).select('exploreCount').lean()
+      || await ModCharacter.findById(characterId).select('exploreCount').lean();
+    return character?.exploreCount || 0;
+  },
+  grottosCleared: async ({ characterId }) => {
+    const partyIds = await Party.find({ 'characters._id': characterId }).distinct('partyId');
+    if (partyIds.length === 0) return 0;
+    return Grotto.countDocuments({ partyId: { $in: partyIds }, status: 'cleared' });
+  },
+  raidVictories: ({ characterId }) =>
+    Raid.countDocuments({ 'participants.characterId': characterId, result: 'defeated' }),
+  helpWantedCompletions: async ({ userId }) => {
+    const user = await User.findOne({ discordId: userId }).select('helpWanted.totalCompletions').lean();
+    return user?.helpWanted?.totalCompletions || 0;
+  },
+  blupeeCatches: ({ userId }) =>
+    TokenTransaction.countDocuments({ userId: String(userId), category: 'blupee', type: 'earned' })
+};
+
+// ============================================================================
+// ------------------- Evaluation -------------------
+// ============================================================================
+
+// ------------------- Function: resolveStats -------------------
+// Fills in every stat the candidate achievements need that the event didn't supply.
+async function resolveStats(candidates, subject, provided = {}) {
+  const stats = { ...provided };
+  const needed = [...new Set(candidates.map(a => a.stat))].filter(stat => typeof stats[stat] !== 'number');
+  for (const stat of needed) {
+    const resolver = STAT_RESOLVERS[stat];
+    if (!resolver) continue; // Event-only stat (e.g. healedFromStage) that wasn't passed
+    stats[stat] = await resolver(subject);
+  }
+  return stats;
+}
+
+// ------------------- Function: awardAchievement -------------------
+// Records the award unless it is already on the user; returns true when new.
+async function awardAchievement(userId, achievement, { characterId = null, characterName = null } = {}) {
+  const scopedCharacterId = achievement.scope === 'character' && characterId
+    ? new mongoose.Types.ObjectId(String(characterId))
+    : null;
+  const result = await User.updateOne(
+    {
+      discordId: userId,
+      achievements: { $not: { $elemMatch: { achievementId: achievement.id, characterId: scopedCharacterId } } }
+    },
+    {
+      $push: {
+        achievements: {
+          achievementId: achievement.id,
+          characterId: scopedCharacterId,
+          characterName: achievement.scope === 'character' ? characterName : null,
+          earnedAt: new Date()
+        }
+      }
+    }
+  );
+  return result.modifiedCount > 0;
+}
+
+// ------------------- Function: checkAchievements -------------------
+// Evaluates every achievement tied to `event` for the subject and awards the
+// newly met ones. `stats` may supply values (required for event-only stats).
+// Returns the newly awarded achievement definitions; rethrows with `throwErrors`.
+async function checkAchievements(event, { userId = null, characterId = null, characterName = null, stats = {} } = {}, { throwErrors = false } = {}) {
+  try {
+    let candidates = getAchievementsForEvent(event);
+    if (candidates.length === 0) return [];
+
+    if (characterId && (!userId || !characterName)) {
+      const character = await Character.findById(characterId).select('userId name').lean()
+        || await ModCharacter.findById(characterId).select('userId name').lean();
+      userId = userId || character?.userId || null;
+      characterName = characterName || character?.name || null;
+    }
+    if (!userId) return [];
+    if (!characterId) {
+      candidates = candidates.filter(a => a.scope === 'user');
+    }
+    if (candidates.length === 0) return [];
+
+    const resolved = await resolveStats(candidates, { userId, characterId }, stats);
+    const unlocked = getUnlockedAchievements(event, resolved).filter(a => candidates.includes(a));
+
+    const awarded = [];
+    for (const achievement of unlocked) {
+      if (await awardAchievement(userId, achievement, { characterId, characterName })) {
+        awarded.push(achievement);
+        logger.info('ACHIEVEMENT', `${characterName || userId} earned ${achievement.id} (${event})`);
+      }
+    }
+
+    for (const achievement of awarded) {
+      await announceAchievement(userId, achievement, characterName);
+    }
+    return awarded;
+  } catch (error) {
+    handleError(error, 'achievementsModule.js');
+    logger.warn('ACHIEVEMENT', `Failed to check ${event} achievements for ${userId || characterId}: ${error.message}`);
+    if (throwErrors) throw error;
+    return [];
+  }
+}
+
+// ============================================================================
+// ------------------- Display -------------------
+// ============================================================================
+
+// ------------------- Function: buildAchievementAnnouncement -------------------
+function buildAchievementAnnouncement(userId, achievement, characterName = null) {
+  const category = ACHIEVEMENT_CATEGORIES[achievement.category];
+  const earner = achievement.scope === 'character' && characterName ? `**${characterName}** (<@${userId}>)` : `<@${userId}>`;
+  return {
+    title: `🏆 Achievement Unlocked: ${achievement.emoji} ${achievement.name}`,
+    description: `${earner} — ${achievement.description}!`,
+    color: ACHIEVEMENT_EMBED_COLOR,
+    image: { url: 'https://storage.googleapis.com/tinglebot/Graphics/border.png' },
+    footer: { text: category ? `${category.emoji} ${category.label} achievement` : 'Achievement' },
+    timestamp: new Date().toISOString()
+  };
+}
+
+// ------------------- Function: announceAchievement -------------------
+async function announceAchievement(userId, achievement, characterName = null) {
+  const posted = await sendChannelEmbed(ACHIEVEMENTS_CHANNEL_ID, buildAchievementAnnouncement(userId, achievement, characterName));
+  if (!posted) {
+    logger.warn('ACHIEVEMENT', `Could not announce ${achievement.id} for ${userId}`);
+  }
+  return posted;
+}
+
+// ------------------- Function: getAchievementSummary -------------------
+// Earned/locked achievements for a player (user scope) or one of their characters.
+async function getAchievementSummary(userId, { characterId = null } = {}) {
+  const user = await User.findOne({ discordId: userId }).select('achievements').lean();
+  return summarizeAchievements(user?.achievements || [], {
+    scope: characterId ? 'character' : 'user',
+    characterId
+  });
+}
+
+module.exports = {
+  STAT_RESOLVERS,
+  checkAchievements,
+  awardAchievement,
+  buildAchievementAnnouncement,
+  getAchievementSummary
+};
@@ -0,0 +1,520 @@
+// ============================================================================
+// Auction Module
+// Engine behind /auction.
+// - Creating an auction moves the lot out of the seller's inventory into the
+//   auction document's escrow, so it cannot be sold or traded twice
+// - A bid takes the bidder's tokens and refunds the previous high bidder in the
+//   same transaction; a bid at the buyout price settles the auction immediately
+// - Settlement (scheduled at endsAt through utils/scheduler.js, with a sweep as
+//   fallback) delivers the lot to the winner and the tokens to the seller, or
+//   returns the lot if nobody bid
+// - TokenTransaction / InventoryLog entries, tokens.changed events and DMs are
+//   written after the commit
+// Inventory and token movement reuses the trade helpers in modules/tradeModule.js.
+// ============================================================================
+
+// ------------------- Standard Libraries -------------------
+const { handleError } = require('@/utils/globalErrorHandler');
+const logger = require('@/utils/logger');
+
+// ------------------- Database Models -------------------
+const Auction = require('@/models/AuctionModel');
+const Character = require('@/models/CharacterModel');
+const ItemModel = require('@/models/ItemModel');
+const ModCharacter = require('@/models/ModCharacterModel');
+
+// ------------------- Database Helpers -------------------
+const DatabaseConnectionManager = require('@/database/connectionManager');
+
+// ------------------- Modules -------------------
+const {
+  takeLineFromInventory,
+  addEscrowRowToInventory,
+  loadReceiverInfo,
+  debitTokens,
+  creditTokens,
+  emitTokenChanges
+} = require('./tradeModule');
+const { recordAuctionSale } = require('./priceIndexModule');
+
+// ------------------- Utility Functions -------------------
+const { escapeRegExp, logItemAcquisitionToDatabase, logItemRemovalToDatabase } = require('@/utils/inventoryUtils');
+const { sendDiscordDM } = require('@/utils/notificationService');
+const { generateUniqueId } = require('@/utils/uniqueIdUtils');
+const { runTransaction } = require('@/utils/transactionUtils');
+const scheduler = require('@/utils/scheduler');
+
+// ------------------- Configuration Constants -------------------
+const AUCTION_SETTLE_JOB_NAME = 'auction-settle';
+const AUCTION_MIN_DURATION_HOURS = 1;
+const AUCTION_MAX_DURATION_HOURS = 72;
+const AUCTION_DEFAULT_DURATION_HOURS = 24;
+// Each bid must beat the high bid by at least this share of it (minimum 1 token)
+const MIN_BID_INCREMENT_PERCENT = 5;
+const MAX_ACTIVE_AUCTIONS_PER_USER = 5;
+const AUCTION_DM_FOOTER = 'Roots of the Wild • Auction House';
+const BORDER_IMAGE_URL = 'https://storage.googleapis.com/tinglebot/Graphics/border.png';
+
+// ============================================================================
+// Transaction Helpers
+// ------------------- runAuctionTransaction -------------------
+// Runs fn(session) in a retried transaction; auctionError failures abort without retrying
+function runAuctionTransaction(fn) {
+  return runTransaction(fn, { category: 'AUCTION', isUserError: error => error.isAuctionError });
+}
+
+// ------------------- auctionError -------------------
+// User-facing failure; aborts the transaction without retrying
+function auctionError(message) {
+  const error = new Error(message);
+  error.isAuctionError = true;
+  return error;
+}
+
+// ------------------- getInventoriesCollection -------------------
+// Inventories collection on the mongoose client so it can join its sessions
+function getInventoriesCollection() {
+  return DatabaseConnectionManager.getInventoriesCollection({ transactional: true });
+}
+
+// ------------------- getMinimumBidIncrement -------------------
+function getMinimumBidIncrement(amount) {
+  return Math.max(1, Math.ceil((amount * MIN_BID_INCREMENT_PERCENT) / 100));
+}
+
+// ------------------- getMinimumNextBid -------------------
+function getMinimumNextBid(auction) {
+  if (!auction.highBid) return auction.minimumBid;
+  return auction.getMinimumNextBid(getMinimumBidIncrement(auction.highBid.amount));
+}
+
+// ------------------- buildParty -------------------
+function buildParty(character) {
+  return {
+    userId: character.userId,
+    characterId: character._id,
+    characterName: character.name,
+    isModCharacter: !!character.isModCharacter
+  };
+}
+
+// ------------------- formatLotName -------------------
+function formatLotName(auction) {
+  return `${auction.item.quantity}x ${auction.item.itemName}`;
+}
+
+// ============================================================================
+// Scheduling
+// ------------------- scheduleAuctionSettlement -------------------
+// One settlement job per auction; auction-settle-cleanup sweeps anything missed
+async function scheduleAuctionSettlement(auction) {
+  try {
+    await scheduler.scheduleOneTimeJob(AUCTION_SETTLE_JOB_NAME, new Date(auction.endsAt), {
+      auctionId: auction.auctionId
+    });
+  } catch (err) {
+    logger.warn('AUCTION', `Failed to schedule settlement for ${auction.auctionId}: ${err.message}`);
+  }
+}
+
+// ------------------- cancelAuctionSettlement -------------------
+async function cancelAuctionSettlement(auctionId) {
+  try {
+    await scheduler.cancelJob(AUCTION_SETTLE_JOB_NAME, { auctionId });
+  } catch (err) {
+    logger.warn('AUCTION', `Failed to cancel settlement job for ${auctionId}: ${err.message}`);
+  }
+}
+
+// ============================================================================
+// Auction Lifecycle
+// ------------------- createAuction -------------------
+// Escrows the lot and creates the auction in one transaction.
+// line: { itemName, quantity, elixirLevel?, modifierHearts? }
+async function createAuction(sellerCharacter, line, { minimumBid, buyoutPrice = null, durationHours = AUCTION_DEFAULT_DURATION_HOURS } = {}) {
+  try {
+    const minBid = Math.floor(Number(minimumBid) || 0);
+    const buyout = buyoutPrice == null ? null : Math.floor(Number(buyoutPrice) || 0);
+    const hours = Math.floor(Number(durationHours) || AUCTION_DEFAULT_DURATION_HOURS);
+
+    if (minBid < 1) return { error: 'The minimum bid must be at least 1 token.' };
+    if (buyout != null && buyout <= minBid) return { error: 'The buyout price must be higher than the minimum bid.' };
+    if (hours < AUCTION_MIN_DURATION_HOURS || hours > AUCTION_MAX_DURATION_HOURS) {
+      return { error: `Auctions must run between ${AUCTION_MIN_DURATION_HOURS} and ${AUCTION_MAX_DURATION_HOURS} hours.` };
+    }
+
+    const activeCount = await Auction.countDocuments({ 'seller.userId': sellerCharacter.userId, status: 'active' });
+    if (activeCount >= MAX_ACTIVE_AUCTIONS_PER_USER) {
+      return { error: `You already have ${MAX_ACTIVE_AUCTIONS_PER_USER} active auctions. Wait for one to end or cancel one first.` };
+    }
+
+    const itemName = String(line.itemName || '').trim();
+    const itemDetails = itemName.includes('+')
+      ? await ItemModel.findOne({ itemName }).lean()
+      : await ItemModel.findOne({ itemName: new RegExp(`^${escapeRegExp(itemName)}$`, 'i') }).lean();
+    if (!itemDetails) return { error: `"${itemName}" is not a known item.` };
+
+    const inventories = await getInventoriesCollection();
+    const auctionId = generateUniqueId('A');
+    const seller = buildParty(sellerCharacter);
+    const lotLine = {
+      itemName: itemDetails.itemName,
+      quantity: line.quantity,
+      elixirLevel: line.elixirLevel ?? null,
+      modifierHearts: line.modifierHearts ?? null
+    };
+
+    const auction = await runAuctionTransaction(async (session) => {
+      const escrow = await takeLineFromInventory(inventories, session, seller, lotLine, auctionError);
+      const [created] = await Auction.create([{
+        auctionId,
+        status: 'active',
+        seller,
+        village: sellerCharacter.currentVillage || '',
+        item: {
+          ...lotLine,
+          emoji: itemDetails.emoji || '',
+          image: itemDetails.image && itemDetails.image !== 'No Image' ? itemDetails.image : ''
+        },
+        escrow,
+        minimumBid: minBid,
+        buyoutPrice: buyout,
+        endsAt: new Date(Date.now() + hours * 60 * 60 * 1000)
+      }], { session });
+      return created;
+    });
+
+    await scheduleAuctionSettlement(auction);
+    logger.info('AUCTION', `Auction ${auctionId} created by ${sellerCharacter.name}: ${formatLotName(auction)}`);
+    return { auction };
+  } catch (error) {
+    if (error.isAuctionError) return { error: error.message };
+    handleError(error, 'auctionModule.js');
+    throw error;
+  }
+}
+
+// ------------------- placeBid -------------------
+// Takes the bid from the bidder's tokens and refunds the previous high bidder.
+// Raising your own high bid only takes the difference.
+async function placeBid(auctionId, bidderCharacter, amount) {
+  try {
+    const bid = Math.floor(Number(amount) || 0);
+    const bidder = buildParty(bidderCharacter);
+
+    const { auction, previousHighBid, boughtOut, bidChanges, sellerCredit } = await runAuctionTransaction(async (session) => {
+      const current = await Auction.findOne({ auctionId, status: 'active' }).session(session);
+      if (!current) throw auctionError('This auction is no longer active.');
+      if (current.hasEnded()) throw auctionError('This auction has already ended.');
+      if (current.seller.userId === bidder.userId) throw auctionError('You cannot bid on your own auction.');
+
+      const minimumNext = getMinimumNextBid(current);
+      let finalBid = bid;
+      let isBuyout = false;
+      if (current.buyoutPrice != null && bid >= current.buyoutPrice) {
+        finalBid = current.buyoutPrice;
+        isBuyout = true;
+      } else if (bid < minimumNext) {
+        throw auctionError(`Your bid must be at least **${minimumNext}** tokens.`);
+      }
+
+      const previous = current.highBid ? current.highBid.toObject() : null;
+      const raisingOwnBid = previous?.userId === bidder.userId;
+      const charge = raisingOwnBid ? finalBid - previous.amount : finalBid;
+
+      const debit = await debitTokens(session, bidder.userId, charge);
+      if (!debit) {
+        throw auctionError(`You don't have ${charge} tokens available for this bid.`);
+      }
+      const refund = previous && !raisingOwnBid
+        ? await creditTokens(session, previous.userId, previous.amount)
+        : null;
+
+      current.highBid = { ...bidder, amount: finalBid, at: new Date() };
+      current.bidCount += 1;
+      current.bids.push({ userId: bidder.userId, characterName: bidder.characterName, amount: finalBid });
+
+      let credit = null;
+      if (isBuyout) {
+        current.boughtOut = true;
+        credit = await settleWithinSession(session, current);
+      } else {
+        await current.save({ session });
+      }
+      return {
+        auction: current,
+        previousHighBid: raisingOwnBid ? null : previous,
+        boughtOut: isBuyout,
+        bidChanges: [debit, refund],
+        sellerCredit: credit
+      };
+    });
+    emitTokenChanges(bidChanges, 'auction');
+
+    logger.info('AUCTION', `Auction ${auctionId}: ${bidder.characterName} bid ${auction.highBid.amount}${boughtOut ? ' (buyout)' : ''}`);
+
+    if (previousHighBid) {
+      await notifyOutbid(auction, previousHighBid);
+    }
+    if (boughtOut) {
+      await cancelAuctionSettlement(auctionId);
+      await afterSettlement(auction, sellerCredit);
+    }
+    return { auction, boughtOut };
+  } catch (error) {
+    if (error.isAuctionError) return { error: error.message };
+    handleError(error, 'auctionModule.js');
+    throw error;
+  }
+}
+
+// ------------------- settleWithinSession -------------------
+// Delivers the lot to the high bidder and pays the seller, or returns the lot unsold.
+// Returns the seller's tokenChange (null when unsold) for afterSettlement.
+async function settleWithinSession(session, auction) {
+  const inventories = await getInventoriesCollection();
+  const collections = { inventories };
+
+  let sellerCredit = null;
+  if (auction.highBid) {
+    const receiver = await loadReceiverInfo(auction.highBid);
+    for (const stack of auction.escrow) {
+      await addEscrowRowToInventory(collections, session, receiver, stack, `Auction ${auction.auctionId} from ${auction.seller.characterName}`);
+    }
+    sellerCredit = await creditTokens(session, auction.seller.userId, auction.highBid.amount);
+    auction.status = 'sold';
+  } else {
+    const owner = await loadReceiverInfo(auction.seller);
+    for (const stack of auction.escrow) {
+      await addEscrowRowToInventory(collections, session, owner, stack, `Auction ${auction.auctionId} returned`);
+    }
+    auction.status = 'unsold';
+  }
+  auction.settledAt = new Date();
+  await auction.save({ session });
+  return sellerCredit;
+}
+
+// ------------------- settleAuction -------------------
+// Called by the auction-settle job and the sweep; a no-op for auctions already closed
+async function settleAuction(auctionId) {
+  try {
+    const settled = await runAuctionTransaction(async (session) => {
+      const current = await Auction.findOne({ auctionId, status: 'active' }).session(session);
+      if (!current) return null;
+      if (!current.hasEnded()) throw auctionError('This auction has not ended yet.');
+      const sellerCredit = await settleWithinSession(session, current);
+      return { auction: current, sellerCredit };
+    });
+    if (!settled) return null;
+    const { auction, sellerCredit } = settled;
+
+    logger.success('AUCTION', `Auction ${auctionId} settled (${auction.status})`);
+    await afterSettlement(auction, sellerCredit);
+    return auction;
+  } catch (error) {
+    if (error.isAuctionError) return null;
+    handleError(error, 'auctionModule.js');
+    throw error;
+  }
+}
+
+// ------------------- settleEndedAuctions -------------------
+// Scheduled sweep: settles every active auction past its end time
+async function settleEndedAuctions(client = null) {
+  const ended = await Auction.findEndedActive();
+  let settled = 0;
+  for (const auction of ended) {
+    try {
+      const result = await settleAuction(auction.auctionId);
+      if (!result) continue;
+      await refreshAuctionMessage(client, result);
+      settled++;
+    } catch (error) {
+      logger.error('AUCTION', `Failed to settle auction ${auction.auctionId}: ${error.message}`);
+    }
+  }
+  return settled;
+}
+
+// ------------------- cancelAuction -------------------
+// Sellers may pull an auction until the first bid; the lot goes back to them
+async function cancelAuction(auctionId, userId, reason = 'Cancelled by the seller') {
+  try {
+    const auction = await runAuctionTransaction(async (session) => {
+      const current = await Auction.findOne({ auctionId, status: 'active' }).session(session);
+      if (!current) throw auctionError('This auction is no longer active.');
+      if (current.seller.userId !== userId) throw auctionError('Only the seller can cancel this auction.');
+      if (current.highBid) throw auctionError('This auction already has bids and can no longer be cancelled.');
+
+      const owner = await loadReceiverInfo(current.seller);
+      const collections = { inventories: await getInventoriesCollection() };
+      for (const stack of current.escrow) {
+        await addEscrowRowToInventory(collections, session, owner, stack, `Auction ${current.auctionId} cancelled`);
+      }
+      current.status = 'cancelled';
+      current.cancelledReason = reason;
+      current.settledAt = new Date();
+      await current.save({ session });
+      return current;
+    });
+
+    await cancelAuctionSettlement(auctionId);
+    logger.info('AUCTION', `Auction ${auctionId} cancelled by ${userId}`);
+    return { auction };
+  } catch (error) {
+    if (error.isAuctionError) return { error: error.message };
+    handleError(error, 'auctionModule.js');
+    throw error;
+  }
+}
+
+// ------------------- refreshAuctionMessage -------------------
+// Keeps the original /auction create post in sync with bids and settlement
+async function refreshAuctionMessage(client, auction) {
+  if (!client || !auction.messageId || !auction.channelId) return;
+  try {
+    const { createAuctionEmbed } = require('../embeds/embeds');
+    const channel = await client.channels.fetch(auction.channelId);
+    const message = await channel.messages.fetch(auction.messageId);
+    await message.edit({ content: null, embeds: [createAuctionEmbed(auction)] });
+  } catch (error) {
+    logger.warn('AUCTION', `Could not update auction message for ${auction.auctionId}: ${error.message}`);
+  }
+}
+
+// ============================================================================
+// Logging & Notifications
+// ------------------- afterSettlement -------------------
+// Ledger entries, inventory logs, the price index and DMs for a settled auction (best-effort)
+async function afterSettlement(auction, sellerCredit = null) {
+  if (auction.status === 'sold') {
+    await logSoldAuction(auction, sellerCredit);
+    await recordAuctionSale(auction);
+  }
+  await notifySettlement(auction);
+}
+
+// ------------------- logSoldAuction -------------------
+async function logSoldAuction(auction, sellerCredit = null) {
+  emitTokenChanges([sellerCredit], 'auction');
+  const loadCharacter = (party) => (party.isModCharacter ? ModCharacter : Character).findById(party.characterId);
+  try {
+    const [sellerChar, winnerChar] = await Promise.all([loadCharacter(auction.seller), loadCharacter(auction.highBid)]);
+
+    for (const stack of auction.escrow) {
+      const itemData = { itemName: stack.itemName, _id: stack.itemId };
+      if (winnerChar) {
+        await logItemAcquisitionToDatabase(winnerChar, itemData, {
+          itemName: stack.itemName,
+          quantity: stack.quantity,
+          obtain: 'Auction',
+          location: winnerChar.currentVillage || winnerChar.homeVillage || 'Unknown',
+          link: ''
+        });
+      }
+      if (sellerChar) {
+        await logItemRemovalToDatabase(sellerChar, itemData, {
+          itemName: stack.itemName,
+          quantity: stack.quantity,
+          obtain: 'Auctioned',
+          location: sellerChar.currentVillage || sellerChar.homeVillage || 'Unknown',
+          link: ''
+        });
+      }
+    }
+
+    const TokenTransaction = require('@/models/TokenTransactionModel');
+    const description = `Auction ${auction.auctionId}: ${formatLotName(auction)} (${auction.seller.characterName} → ${auction.highBid.characterName})`;
+    await TokenTransaction.createTransaction({
+      userId: auction.highBid.userId,
+      amount: auction.highBid.amount,
+      type: 'spent',
+      category: 'auction',
+      description
+    });
+    await TokenTransaction.createTransaction({
+      userId: auction.seller.userId,
+      amount: auction.highBid.amount,
+      type: 'earned',
+      category: 'auction',
+      description
+    });
+  } catch (error) {
+    logger.warn('AUCTION', `Auction ${auction.auctionId} settled but logging failed: ${error.message}`);
+  }
+}
+
+// ------------------- notifyOutbid -------------------
+async function notifyOutbid(auction, previousHighBid) {
+  try {
+    await sendDiscordDM(previousHighBid.userId, {
+      title: '📢 You were outbid!',
+      description:
+        `**${auction.highBid.characterName}** bid **${auction.highBid.amount}** tokens on **${formatLotName(auction)}** ` +
+        `(auction \`${auction.auctionId}\`).\n\nYour ${previousHighBid.amount} tokens have been returned.` +
+        (auction.status === 'active'
+          ? `\nBid at least **${getMinimumNextBid(auction)}** tokens with \`/auction bid\` before <t:${Math.floor(auction.endsAt.getTime() / 1000)}:R> to win it back.`
+          : '\nThe lot was bought out, so this auction is over.'),
+      color: 0xF1C40F,
+      image: { url: BORDER_IMAGE_URL },
+      footer: { text: AUCTION_DM_FOOTER },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.warn('AUCTION', `Failed to send outbid DM for ${auction.auctionId}: ${error.message}`);
+  }
+}
+
+// ------------------- notifySettlement -------------------
+async function notifySettlement(auction) {
+  const lot = formatLotName(auction);
+  try {
+    if (auction.status === 'sold') {
+      await sendDiscordDM(auction.seller.userId, {
+        title: '🔨 Your auction sold!',
+        description: `**${lot}** sold to **${auction.highBid.characterName}** for **${auction.highBid.amount}** tokens.\nThe tokens have been added to your balance.`,
+        color: 0x2ECC71,
+        image: { url: BORDER_IMAGE_URL },
+        footer: { text: AUCTION_DM_FOOTER },
+        timestamp: new Date().toISOString()
+      });
+      await sendDiscordDM(auction.highBid.userId, {
+        title: '🏆 You won an auction!',
+        description: `**${auction.highBid.characterName}** won **${lot}** from **${auction.seller.characterName}** for **${auction.highBid.amount}** tokens.\nThe items are now in ${auction.highBid.characterName}'s inventory.`,
+        color: 0x2ECC71,
+        image: { url: BORDER_IMAGE_URL },
+        footer: { text: AUCTION_DM_FOOTER },
+        timestamp: new Date().toISOString()
+      });
+    } else if (auction.status === 'unsold') {
+      await sendDiscordDM(auction.seller.userId, {
+        title: '📦 Your auction ended without bids',
+        description: `Nobody bid on **${lot}**. The items have been returned to ${auction.seller.characterName}'s inventory.`,
+        color: 0x95A5A6,
+        image: { url: BORDER_IMAGE_URL },
+        footer: { text: AUCTION_DM_FOOTER },
+        timestamp: new Date().toISOString()
+      });
+    }
+  } catch (error) {
+    logger.warn('AUCTION', `Failed to send settlement DMs for ${auction.auctionId}: ${error.message}`);
+  }
+}
+
+// ============================================================================
+// Exports
+// ============================================================================
+module.exports = {
+  AUCTION_SETTLE_JOB_NAME,
+  AUCTION_MIN_DURATION_HOURS,
+  AUCTION_MAX_DURATION_HOURS,
+  AUCTION_DEFAULT_DURATION_HOURS,
+  getMinimumNextBid,
+  createAuction,
+  placeBid,
+  settleAuction,
+  settleEndedAuctions,
+  cancelAuction,
+  refreshAuctionMessage
+};
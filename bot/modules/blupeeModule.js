@@ -12,7 +12,9 @@ const Quest = require('@/models/QuestModel');
 const { connectToTinglebot } = require('@/database/db');
 const { getMinigameCommandId } = require('../embeds/embeds');
 const logger = require('@/utils/logger');
+const rng = require('@/services/rngService');
 const { handleInteractionError } = require('@/utils/globalErrorHandler');
+const { emitGameEvent } = require('@/utils/gameEvents');
 
 const BLUPEE_TABLE_NAME = 'blupee';
 /** Success catch embed accent (bright green). */
@@ -91,13 +93,13 @@ function endOfUtcDay(d) {
 function randomDistinctMinutes(count, maxExclusive) {
   const set = new Set();
   while (set.size < count) {
-    set.add(Math.floor(Math.random() * maxExclusive));
+    set.add(rng.randomInt(0, maxExclusive - 1, 'blupee-spawn-minute'));
   }
   return [...set].sort((a, b) => a - b);
 }
 
 function getRandomBlupeeImageUrl() {
-  const candidate = BLUPEE_IMAGES[Math.floor(Math.random() * BLUPEE_IMAGES.length)];
+  const candidate = rng.pick(BLUPEE_IMAGES, 'blupee-image');
   return candidate || BLUPEE_FALLBACK_IMAGE;
 }
 
@@ -637,6 +639,37 @@ async function deleteSpawnAnnouncementMessage(client, stateKey, messageId) {
   }
 }
 
+// Rolls the Blupee table ticket inside the caller's roll session and records it.
+// Mods have a small near-miss upgrade so catching stays mostly rare.
+// Example with totalWeight=100: base catch occurs at ticket=100 (1%).
+// Upgrading ticket=99 with 25% probability adds ~0.25% more catches (=~25% more likely).
+async function rollBlupeeTicket({ character, userId, isModCharacter, sessionId }) {
+  const rollResult = await TableRoll.rollOnTable(BLUPEE_TABLE_NAME);
+  const totalWeight = Number(rollResult?.table?.totalWeight);
+  const baseRollValue = Number(rollResult?.rollValue);
+  const baseTicket = Number.isFinite(baseRollValue)
+    ? Math.max(1, Math.min(totalWeight, Math.floor(baseRollValue) + 1))
+    : 1;
+
+  let effectiveTicket = baseTicket;
+  if (isModCharacter && baseTicket === totalWeight - 1) {
+    if (rng.chance(BLUPEE_MOD_NEAR_MISS_UPGRADE_PROB, 'blupee-mod-near-miss')) {
+      effectiveTicket = totalWeight;
+    }
+  }
+
+  const rollRecord = await rng.recordRoll({
+    kind: 'blupee',
+    character,
+    userId,
+    inputs: { sessionId: sessionId || null, totalWeight, isModCharacter },
+    result: { baseTicket, effectiveTicket, entry: rollResult?.result?.item || null },
+    summary: `Blupee ticket ${effectiveTicket} / ${totalWeight}`
+  });
+
+  return { rollResult, totalWeight, effectiveTicket, rollRecord };
+}
+
 async function rollBlupee(interaction, character, requestedSessionId) {
   const userId = interaction.user.id;
   const { channelId, parentId } = await resolveBlupeeChannelIdsForInteraction(interaction);
@@ -833,9 +866,11 @@ async function rollBlupee(interaction, character, requestedSessionId) {
     );
   }
 
-  let rollResult;
+  let ticketRoll;
   try {
-    rollResult = await TableRoll.rollOnTable(BLUPEE_TABLE_NAME);
+    ticketRoll = await rng.runWithRollSession(() =>
+      rollBlupeeTicket({ character, userId, isModCharacter, sessionId: spawnSessionId })
+    );
   } catch (err) {
     handleInteractionError(err, 'blupeeModule.js', {
       commandName: 'minigame blupee',
@@ -846,24 +881,10 @@ async function rollBlupee(interaction, character, requestedSessionId) {
     });
   }
 
+  const { rollResult, totalWeight, effectiveTicket, rollRecord } = ticketRoll;
   const entry = rollResult.result;
   let outcome = parseOutcome(entry.item);
   let flavorBody = entry.flavor || '';
-  const totalWeight = Number(rollResult?.table?.totalWeight);
-  const baseRollValue = Number(rollResult?.rollValue);
-  const baseTicket = Number.isFinite(baseRollValue)
-    ? Math.max(1, Math.min(totalWeight, Math.floor(baseRollValue) + 1))
-    : 1;
-
-  let effectiveTicket = baseTicket;
-  // Mods have a small near-miss upgrade so catching stays mostly rare.
-  // Example with totalWeight=100: base catch occurs at ticket=100 (1%).
-  // Upgrading ticket=99 with 25% probability adds ~0.25% more catches (=~25% more likely).
-  if (isModCharacter && baseTicket === totalWeight - 1) {
-    if (Math.random() < BLUPEE_MOD_NEAR_MISS_UPGRADE_PROB) {
-      effectiveTicket = totalWeight;
-    }
-  }
 
   // Only a 100 effective ticket catches the Blupee.
   const finalOutcome =
@@ -880,6 +901,9 @@ async function rollBlupee(interaction, character, requestedSessionId) {
 
   outcome = finalOutcome;
   let rollLine = buildBlupeeRollLine(rollResult, outcome, effectiveTicket);
+  if (rollLine && rollRecord) {
+    rollLine += `\n🧾 **Roll ID:** \`${rollRecord.rollId}\``;
+  }
 
   if (outcome === 'miss') {
     const embed = buildBlupeeEmbed({
@@ -931,6 +955,7 @@ async function rollBlupee(interaction, character, requestedSessionId) {
     try {
       const tokenReward = await awardBlupeeCatchTokens(userId);
       const tally = await incrementBlupeeRupeeTally(userId);
+      emitGameEvent('blupee.caught', { userId });
       inventoryParts.push(
         `✅ **+${tokenReward.amount} tokens** awarded. Your balance is now **${tokenReward.balanceAfter}**.`,
         `✅ **+1 Blupee rupee** added to your internal tally. You now have **${tally.total}** for season **${tally.seasonKey}**.`
@@ -0,0 +1,143 @@
+// ============================================================================
+// Character Ledger Module
+// One timeline for everything recorded about a character, merged from:
+// - TokenTransaction (owner's account: tokens are shared by all their characters)
+// - InventoryLog (items gained/lost; steals are split out by their obtain text)
+// - Character.staminaLog / heartsLog (embedded, capped in characterStatsModule)
+// - BlightRollHistory
+// - Quest participants (joined / completed / rewarded)
+// StealStats only holds running totals, so it is summarized beside the timeline.
+// Row mapping, merging, paging and CSV export are shared with the dashboard
+// (@tinglebot/shared lib/characterLedger); this module reads the rows.
+// Used by /character history.
+// ============================================================================
+
+// ------------------- Shared Helpers -------------------
+const {
+  LEDGER_KINDS,
+  LEDGER_KIND_LABELS,
+  MAX_LEDGER_ENTRIES,
+  parseLedgerKinds,
+  mergeLedgerEntries,
+  sinceFilter,
+  inventoryLogFilter,
+  questParticipantPath,
+  tokenTransactionToEntry,
+  inventoryLogToEntry,
+  blightRollToEntry,
+  statLogEntries,
+  questParticipantEntries,
+  getLedgerPageWindow,
+  toLedgerPage,
+  ledgerToCsv
+} = require('@tinglebot/shared/lib/characterLedger');
+
+// ------------------- Database Models -------------------
+const BlightRollHistory = require('@/models/BlightRollHistoryModel');
+const InventoryLog = require('@/models/InventoryLogModel');
+const Quest = require('@/models/QuestModel');
+const StealStats = require('@/models/StealStatsModel');
+const TokenTransaction = require('@/models/TokenTransactionModel');
+
+// ------------------- Configuration Constants -------------------
+const DEFAULT_PAGE_SIZE = 10;
+
+// ============================================================================
+// Sources
+// Each collector returns at most `limit` entries, newest first.
+// ------------------- collectTokenEntries -------------------
+async function collectTokenEntries(character, { since, limit }) {
+  const rows = await TokenTransaction.find({ userId: character.userId, ...sinceFilter('timestamp', since) })
+    .sort({ timestamp: -1 })
+    .limit(limit)
+    .lean();
+  return rows.map(tokenTransactionToEntry);
+}
+
+// ------------------- collectInventoryEntries -------------------
+async function collectInventoryEntries(character, { since, limit, includeItems, includeSteals }) {
+  const rows = await InventoryLog.find(inventoryLogFilter(character._id, { since, includeItems, includeSteals }))
+    .sort({ dateTime: -1 })
+    .limit(limit)
+    .lean();
+  return rows.map(inventoryLogToEntry);
+}
+
+// ------------------- collectBlightEntries -------------------
+async function collectBlightEntries(character, { since, limit }) {
+  const rows = await BlightRollHistory.find({ characterId: character._id, ...sinceFilter('timestamp', since) })
+    .sort({ timestamp: -1 })
+    .limit(limit)
+    .lean();
+  return rows.map(blightRollToEntry);
+}
+
+// ------------------- collectQuestEntries -------------------
+async function collectQuestEntries(character, { since, limit }) {
+  const participantPath = questParticipantPath(character.userId);
+  const quests = await Quest.find({ [`${participantPath}.characterName`]: character.name })
+    .select(`questID title guildId targetChannel messageID ${participantPath}`)
+    .lean();
+  return questParticipantEntries(quests, character.userId, { since, limit });
+}
+
+// ============================================================================
+// Public API
+// ------------------- collectLedgerEntries -------------------
+// Each source is read up to `limit` rows, so the first `limit` merged rows are exact.
+async function collectLedgerEntries(character, { kinds, since = null, limit }) {
+  const wanted = new Set(parseLedgerKinds(kinds));
+  const options = { since, limit };
+  // Mod characters do not keep stat logs
+  const isMod = Boolean(character?.isModCharacter);
+
+  const sources = [];
+  if (wanted.has('tokens')) sources.push(collectTokenEntries(character, options));
+  if (wanted.has('items') || wanted.has('steals')) {
+    sources.push(collectInventoryEntries(character, {
+      ...options,
+      includeItems: wanted.has('items'),
+      includeSteals: wanted.has('steals')
+    }));
+  }
+  if (wanted.has('stamina') && !isMod) sources.push(statLogEntries(character.staminaLog, 'stamina', options));
+  if (wanted.has('hearts') && !isMod) sources.push(statLogEntries(character.heartsLog, 'hearts', options));
+  if (wanted.has('blight')) sources.push(collectBlightEntries(character, options));
+  if (wanted.has('quests')) sources.push(collectQuestEntries(character, options));
+
+  return mergeLedgerEntries(await Promise.all(sources), limit);
+}
+
+// ------------------- getCharacterLedger -------------------
+// One page of the merged timeline, newest first.
+async function getCharacterLedger(character, { kinds = LEDGER_KINDS, since = null, page = 1, pageSize = DEFAULT_PAGE_SIZE } = {}) {
+  const pageWindow = getLedgerPageWindow(page, pageSize);
+  const rows = await collectLedgerEntries(character, { kinds, since, limit: pageWindow.limit });
+  return toLedgerPage(rows, pageWindow);
+}
+
+// ------------------- exportCharacterLedger -------------------
+async function exportCharacterLedger(character, { kinds = LEDGER_KINDS, since = null } = {}) {
+  return collectLedgerEntries(character, { kinds, since, limit: MAX_LEDGER_ENTRIES });
+}
+
+// ------------------- getStealSummary -------------------
+async function getStealSummary(character) {
+  const stats = await StealStats.findOne({ characterId: character._id }).lean();
+  if (!stats || !stats.totalAttempts) return null;
+  return {
+    totalAttempts: stats.totalAttempts,
+    successfulSteals: stats.successfulSteals,
+    failedSteals: stats.failedSteals
+  };
+}
+
+module.exports = {
+  LEDGER_KINDS,
+  LEDGER_KIND_LABELS,
+  MAX_LEDGER_ENTRIES,
+  getCharacterLedger,
+  exportCharacterLedger,
+  getStealSummary,
+  ledgerToCsv
+};
@@ -13,6 +13,7 @@ const ModCharacter = require('../models/ModCharacterModel');
 
 const { handleError } = require('../utils/globalErrorHandler');
 const { info, success, debug } = require('../utils/logger');
+const { emitGameEvent } = require('../utils/gameEvents');
 // ============================================================================
 // Discord.js Components
 // ------------------- Importing Discord.js components -------------------
@@ -452,6 +453,12 @@ const handleKO = async (characterId, context = {}) => {
     
     await Character.updateOne({ _id: characterId }, { $set: { ko: true, currentHearts: 0 } });
     success('CHARACTER', `Character ID ${characterId} is KO'd`);
+    emitGameEvent('character.ko', {
+      characterId: String(character._id),
+      characterName: character.name,
+      userId: character.userId || null,
+      source: context?.source || context?.operation || null
+    });
   } catch (error) {
     handleError(error, 'characterStatsModule.js', context);
     console.error(`[characterStatsModule.js]: ❌ Error in handleKO: ${error.message}`);
@@ -519,16 +526,28 @@ const exchangeSpiritOrbs = async (characterId, type) => {
 
 // ============================================================================
 // Daily Recovery Functions
+// ------------------- Claim Daily Recovery -------------------
+// Marks the character as recovered for `day`; false when that day was already granted.
+const claimDailyRecovery = async (characterId, day) => {
+  const result = await Character.updateOne(
+    { _id: characterId, lastDailyStaminaRecovery: { $ne: day } },
+    { $set: { lastDailyStaminaRecovery: day } }
+  );
+  return result.modifiedCount > 0;
+};
+
 // ------------------- Recover Daily Stamina -------------------
 // Recovers stamina for all characters daily if they haven't used stamina today.
-const recoverDailyStamina = async () => {
+// `day` (YYYY-MM-DD, Eastern) lets the scheduler replay a missed day; each character
+// recovers at most once per day however often this runs.
+const recoverDailyStamina = async ({ day } = {}) => {
   let today;
   try {
     const characters = await Character.find({});
     const now = new Date();
     // EST is UTC-5, subtract 5 hours
     const estNow = new Date(now.getTime() - 5 * 60 * 60 * 1000);
-    today = `${estNow.getUTCFullYear()}-${String(estNow.getUTCMonth() + 1).padStart(2, '0')}-${String(estNow.getUTCDate()).padStart(2, '0')}`;
+    today = day || `${estNow.getUTCFullYear()}-${String(estNow.getUTCMonth() + 1).padStart(2, '0')}-${String(estNow.getUTCDate()).padStart(2, '0')}`;
 
     info('SYNC', `Starting daily stamina recovery for ${today}`);
 
@@ -540,6 +559,10 @@ const recoverDailyStamina = async () => {
         if (!character.lastStaminaUsage) {
           // If no last usage, they can recover
           if (character.currentStamina < character.maxStamina) {
+            if (!(await claimDailyRecovery(character._id, today))) {
+              skippedCount++;
+              continue;
+            }
             const before = Math.max(0, Number(character.currentStamina) || 0);
             const newStamina = Math.min(character.currentStamina + 1, character.maxStamina);
             await updateCurrentStamina(character._id, newStamina);
@@ -565,6 +588,10 @@ const recoverDailyStamina = async () => {
         // 1. Last usage was not today (same rule as comment above — one recovery per calendar day in EST offset frame)
         // 2. Current stamina is below max
         if (lastUsageDate < today && character.currentStamina < character.maxStamina) {
+          if (!(await claimDailyRecovery(character._id, today))) {
+            skippedCount++;
+            continue;
+          }
           const before = Math.max(0, Number(character.currentStamina) || 0);
           const newStamina = Math.min(character.currentStamina + 1, character.maxStamina);
           await updateCurrentStamina(character._id, newStamina);
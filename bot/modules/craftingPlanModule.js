@@ -0,0 +1,475 @@
+// ============================================================================
+// Crafting Plan Module
+// Engine behind /crafting plan and /crafting queue.
+// - A plan expands a target item's recipe tree: ingredients the character
+//   already holds are set aside, craftable ones become sub-crafts, and the rest
+//   are reported as missing
+// - A queue stores a plan's sub-crafts for one character and crafts them in
+//   order as stamina allows, on /crafting queue run and once a day after
+//   stamina recovery (tasks/tasks.js)
+// Queued crafts use the character's own job and base recipe costs: boosts, job
+// vouchers and village discounts only apply to /crafting recipe.
+// ============================================================================
+
+// ------------------- Standard Libraries -------------------
+const { handleError } = require('@/utils/globalErrorHandler');
+const logger = require('@/utils/logger');
+
+// ------------------- Database Models -------------------
+const Character = require('@/models/CharacterModel');
+const CraftingQueue = require('@/models/CraftingQueueModel');
+const ItemModel = require('@/models/ItemModel');
+
+// ------------------- Database Helpers -------------------
+const { getCharacterInventoryCollection } = require('@/database/db');
+
+// ------------------- Modules -------------------
+const { checkAndUseStamina } = require('./characterStatsModule');
+const { isElixirItemName } = require('./elixirModule');
+const { getJobPerk } = require('./jobsModule');
+
+// ------------------- Utility Functions -------------------
+const { addItemInventoryDatabase, escapeRegExp, removeItemInventoryDatabase } = require('@/utils/inventoryUtils');
+const { sendDiscordDM } = require('@/utils/notificationService');
+const generalCategories = require('@/models/GeneralItemCategories');
+
+// ------------------- Configuration Constants -------------------
+// Deepest recipe chain a plan follows before treating an ingredient as missing
+const MAX_PLAN_DEPTH = 6;
+const QUEUE_OBTAIN = 'Crafting Queue';
+// How long a run holds the queue; a crashed run frees it after this
+const QUEUE_RUN_LEASE_MS = 10 * 60 * 1000;
+const CRAFTING_JOB_FIELDS = {
+  'cook': 'cook',
+  'blacksmith': 'blacksmith',
+  'craftsman': 'craftsman',
+  'mask maker': 'maskMaker',
+  'researcher': 'researcher',
+  'weaver': 'weaver',
+  'artist': 'artist',
+  'witch': 'witch'
+};
+const PLAN_ITEM_FIELDS = 'itemName emoji crafting craftingMaterial staminaToCraft ' + Object.values(CRAFTING_JOB_FIELDS).join(' ');
+
+// ============================================================================
+// ------------------- Plan Resolution -------------------
+// ============================================================================
+
+// ------------------- Function: createJobCraftCheck -------------------
+// Returns item => boolean for what `job` can craft with /crafting recipe
+function createJobCraftCheck(job) {
+  const jobName = (job || '').trim();
+  const jobPerk = getJobPerk(jobName);
+  if (!jobPerk) return () => false;
+  const hasAllPerks = jobPerk.perks.includes('ALL');
+  if (!hasAllPerks && !jobPerk.perks.includes('CRAFTING')) return () => false;
+  const jobField = CRAFTING_JOB_FIELDS[jobName.toLowerCase()];
+  return (item) => {
+    if (!item?.crafting || !Array.isArray(item.craftingMaterial) || item.craftingMaterial.length === 0) return false;
+    // Elixirs are brewed with /crafting brew
+    if (isElixirItemName(item.itemName)) return false;
+    return hasAllPerks || (Boolean(jobField) && item[jobField] === true);
+  };
+}
+
+// ------------------- Function: countInventory -------------------
+// itemName (lowercase) → total quantity held
+function countInventory(inventory = []) {
+  const counts = new Map();
+  for (const entry of inventory) {
+    const quantity = Number(entry.quantity) || 0;
+    if (!entry.itemName || quantity <= 0) continue;
+    const key = entry.itemName.toLowerCase();
+    counts.set(key, (counts.get(key) || 0) + quantity);
+  }
+  return counts;
+}
+
+// ------------------- Function: resolveCraftingPlan -------------------
+// Pure plan resolver. `items` maps lowercase item name → item document for every
+// item in the recipe tree; `canCraft(item)` decides which ones become sub-crafts.
+// Returns { target, steps, fromInventory, missing, totalStamina } where steps are
+// in execution order and the last step is the target itself.
+function resolveCraftingPlan({ itemName, quantity, items, inventory = [], canCraft }) {
+  const pool = countInventory(inventory);
+  const steps = new Map();
+  const fromInventory = new Map();
+  const missing = new Map();
+
+  const addTo = (map, name, qty, extra = {}) => {
+    const key = name.toLowerCase();
+    const entry = map.get(key) || { itemName: name, quantity: 0, ...extra };
+    entry.quantity += qty;
+    map.set(key, entry);
+  };
+
+  // Sets aside owned copies of `name` (any member for a general category)
+  const takeFromPool = (name, qty) => {
+    const members = generalCategories[name]
+      ? [...generalCategories[name]].sort((a, b) => (pool.get(b.toLowerCase()) || 0) - (pool.get(a.toLowerCase()) || 0))
+      : [name];
+    let taken = 0;
+    for (const member of members) {
+      const key = member.toLowerCase();
+      const take = Math.min(pool.get(key) || 0, qty - taken);
+      if (take <= 0) continue;
+      pool.set(key, pool.get(key) - take);
+      addTo(fromInventory, member, take);
+      taken += take;
+      if (taken >= qty) break;
+    }
+    return taken;
+  };
+
+  const need = (name, qty, path) => {
+    const key = name.toLowerCase();
+    const isTarget = path.length === 0;
+    const remaining = isTarget ? qty : qty - takeFromPool(name, qty);
+    if (remaining <= 0) return;
+
+    const item = items.get(key);
+    let reason = null;
+    if (generalCategories[name]) reason = 'category';
+    else if (!item || !canCraft(item)) reason = 'material';
+    else if (path.includes(key)) reason = 'cycle';
+    else if (path.length >= MAX_PLAN_DEPTH) reason = 'too deep';
+    if (reason) {
+      addTo(missing, name, remaining, { reason });
+      return;
+    }
+
+    for (const material of item.craftingMaterial) {
+      need(material.itemName, (Number(material.quantity) || 0) * remaining, [...path, key]);
+    }
+    addTo(steps, item.itemName, remaining, {
+      emoji: item.emoji || '',
+      staminaPerItem: Number(item.staminaToCraft) || 0
+    });
+  };
+
+  need(itemName, quantity, []);
+
+  // Order sub-crafts so every ingredient is crafted before anything that uses it
+  const heights = new Map();
+  const heightOf = (key, seen = new Set()) => {
+    if (heights.has(key)) return heights.get(key);
+    if (seen.has(key)) return 0;
+    seen.add(key);
+    let height = 0;
+    for (const material of items.get(key)?.craftingMaterial || []) {
+      const materialKey = material.itemName.toLowerCase();
+      if (steps.has(materialKey)) height = Math.max(height, heightOf(materialKey, seen) + 1);
+    }
+    heights.set(key, height);
+    return height;
+  };
+  const orderedSteps = [...steps.entries()]
+    .sort(([a], [b]) => heightOf(a) - heightOf(b))
+    .map(([, step]) => ({ ...step, stamina: step.staminaPerItem * step.quantity }));
+
+  return {
+    target: { itemName: items.get(itemName.toLowerCase())?.itemName || itemName, quantity },
+    steps: orderedSteps,
+    fromInventory: [...fromInventory.values()],
+    missing: [...missing.values()],
+    totalStamina: orderedSteps.reduce((sum, step) => sum + step.stamina, 0)
+  };
+}
+
+// ------------------- Function: loadRecipeTree -------------------
+// Fetches the target and every item reachable through its recipes, level by level
+async function loadRecipeTree(itemName) {
+  const items = new Map();
+  let pending = [itemName];
+  for (let depth = 0; depth <= MAX_PLAN_DEPTH && pending.length > 0; depth++) {
+    const docs = await ItemModel.find({ itemName: { $in: pending } }).select(PLAN_ITEM_FIELDS).lean();
+    const next = new Set();
+    for (const doc of docs) {
+      items.set(doc.itemName.toLowerCase(), doc);
+      for (const material of doc.craftingMaterial || []) {
+        const key = material.itemName.toLowerCase();
+        if (!items.has(key) && !generalCategories[material.itemName]) next.add(material.itemName);
+      }
+    }
+    pending = [...next];
+  }
+  return items;
+}
+
+// ------------------- Function: buildCraftingPlan -------------------
+// Returns { plan } for `character` or { error } when the target can't be crafted
+async function buildCraftingPlan(character, itemName, quantity) {
+  const targetDoc = await ItemModel.findOne({ itemName: { $regex: `^${escapeRegExp(itemName)}$`, $options: 'i' } }).select('itemName').lean();
+  if (!targetDoc) {
+    return { error: `❌ **No item found named "${itemName}".**` };
+  }
+  const items = await loadRecipeTree(targetDoc.itemName);
+  const target = items.get(targetDoc.itemName.toLowerCase());
+  const canCraft = createJobCraftCheck(character.job);
+  if (!canCraft(target)) {
+    return { error: `❌ **${character.name} (${character.job || 'no job'}) can't craft ${target.itemName}.** Plans use the character's own job; job vouchers only apply to \`/crafting recipe\`.` };
+  }
+  const inventoryCollection = await getCharacterInventoryCollection(character.name);
+  const inventory = await inventoryCollection.find().toArray();
+  const plan = resolveCraftingPlan({ itemName: target.itemName, quantity, items, inventory, canCraft });
+  return { plan };
+}
+
+// ============================================================================
+// ------------------- Queue Management -------------------
+// ============================================================================
+
+// ------------------- Function: getActiveQueue -------------------
+async function getActiveQueue(characterId) {
+  return CraftingQueue.findOne({ characterId, status: 'active' });
+}
+
+// ------------------- Function: createCraftingQueue -------------------
+// Stores a plan's sub-crafts. Returns { queue, plan } or { error }.
+async function createCraftingQueue(character, itemName, quantity) {
+  if (await getActiveQueue(character._id)) {
+    return { error: `❌ **${character.name} already has a crafting queue.** Check it with \`/crafting queue status\` or cancel it first.` };
+  }
+  const { plan, error } = await buildCraftingPlan(character, itemName, quantity);
+  if (error) return { error };
+
+  try {
+    const queue = await CraftingQueue.create({
+      characterId: character._id,
+      characterName: character.name,
+      userId: character.userId,
+      targetItem: plan.target.itemName,
+      targetQuantity: quantity,
+      steps: plan.steps.map(step => ({
+        itemName: step.itemName,
+        quantity: step.quantity,
+        staminaPerItem: step.staminaPerItem
+      }))
+    });
+    logger.info('CRFT', `Crafting queue created for ${character.name}: ${quantity}x ${plan.target.itemName} (${plan.steps.length} step${plan.steps.length === 1 ? '' : 's'})`);
+    return { queue, plan };
+  } catch (err) {
+    if (err?.code === 11000) {
+      return { error: `❌ **${character.name} already has a crafting queue.** Check it with \`/crafting queue status\` or cancel it first.` };
+    }
+    throw err;
+  }
+}
+
+// ------------------- Function: cancelCraftingQueue -------------------
+// Stops the queue. Items already crafted stay in the inventory.
+async function cancelCraftingQueue(characterId) {
+  return CraftingQueue.findOneAndUpdate(
+    { characterId, status: 'active' },
+    { $set: { status: 'cancelled', blockedReason: null } },
+    { new: true }
+  );
+}
+
+// ------------------- Function: pickMaterialStacks -------------------
+// Which held items to spend for `quantity` of a recipe line (largest stacks first
+// for general categories). Returns [{ itemName, quantity }] or null if short, and
+// takes the picks out of `counts` so later recipe lines can't spend them again.
+function pickMaterialStacks(counts, materialName, quantity) {
+  const members = generalCategories[materialName] || [materialName];
+  const held = members
+    .map(name => ({ itemName: name, available: counts.get(name.toLowerCase()) || 0 }))
+    .filter(entry => entry.available > 0)
+    .sort((a, b) => b.available - a.available);
+  const picks = [];
+  let remaining = quantity;
+  for (const entry of held) {
+    const take = Math.min(entry.available, remaining);
+    picks.push({ itemName: entry.itemName, quantity: take });
+    remaining -= take;
+    if (remaining <= 0) break;
+  }
+  if (remaining > 0) return null;
+  for (const pick of picks) {
+    const key = pick.itemName.toLowerCase();
+    counts.set(key, counts.get(key) - pick.quantity);
+  }
+  return picks;
+}
+
+// ------------------- Function: countCraftable -------------------
+// How many of `item` the held materials cover
+function countCraftable(counts, item) {
+  let craftable = Infinity;
+  for (const material of item.craftingMaterial || []) {
+    const perItem = Number(material.quantity) || 0;
+    if (perItem <= 0) continue;
+    const members = generalCategories[material.itemName] || [material.itemName];
+    const held = members.reduce((sum, name) => sum + (counts.get(name.toLowerCase()) || 0), 0);
+    craftable = Math.min(craftable, Math.floor(held / perItem));
+  }
+  return craftable === Infinity ? 0 : craftable;
+}
+
+// ------------------- Function: claimCraftingQueue -------------------
+// Takes the run lease on an active queue. Returns the queue as stored, or null
+// when another run holds it (or the queue is no longer active).
+async function claimCraftingQueue(queueId) {
+  const now = new Date();
+  return CraftingQueue.findOneAndUpdate(
+    { _id: queueId, status: 'active', $or: [{ runningUntil: null }, { runningUntil: { $lte: now } }] },
+    { $set: { runningUntil: new Date(now.getTime() + QUEUE_RUN_LEASE_MS) } },
+    { new: true }
+  );
+}
+
+// ------------------- Function: runCraftingQueue -------------------
+// Crafts queued steps in order until stamina or materials run out. A step that
+// can only be partly crafted stops the run so later steps never skip ahead.
+// Returns { queue, crafted: [{ itemName, quantity }], staminaUsed, completed, blockedReason };
+// blockedReason is 'running' when another run holds the queue.
+async function runCraftingQueue(queue, { interaction = null } = {}) {
+  const result = { queue, crafted: [], staminaUsed: 0, completed: false, blockedReason: null };
+  const claimed = await claimCraftingQueue(queue._id);
+  if (!claimed) {
+    result.blockedReason = 'running';
+    return result;
+  }
+
+  try {
+    // Continue from the stored progress, not from what the caller loaded
+    queue.steps = claimed.steps;
+    await craftQueuedSteps(queue, result, interaction);
+  } finally {
+    await CraftingQueue.updateOne({ _id: queue._id }, { $set: { runningUntil: null } }).catch(err =>
+      handleError(err, 'craftingPlanModule.js', { operation: 'releaseCraftingQueue', characterName: queue.characterName }));
+  }
+  if (result.crafted.length > 0) {
+    logger.info('CRFT', `Crafting queue for ${queue.characterName}: crafted ${result.crafted.map(c => `${c.quantity}x ${c.itemName}`).join(', ')}${result.blockedReason ? ` (stopped: ${result.blockedReason})` : ''}`);
+  }
+  return result;
+}
+
+// ------------------- Function: craftQueuedSteps -------------------
+// The body of runCraftingQueue, run while holding the lease. Fills `result`.
+// Each step's progress is stored as soon as it is crafted, so a run that fails
+// part-way never crafts the same items again on the next run.
+async function craftQueuedSteps(queue, result, interaction) {
+  const character = await Character.findById(queue.characterId);
+
+  if (!character) {
+    queue.status = 'cancelled';
+    result.blockedReason = 'character not found';
+  } else if (character.inJail) {
+    result.blockedReason = 'jailed';
+  } else if (character.debuff?.active && new Date(character.debuff.endDate) > new Date()) {
+    result.blockedReason = 'debuffed';
+  } else {
+    const inventoryCollection = await getCharacterInventoryCollection(character.name);
+
+    for (const step of queue.steps) {
+      const remaining = step.quantity - step.crafted;
+      if (remaining <= 0) continue;
+
+      const item = await ItemModel.findOne({ itemName: step.itemName }).select(PLAN_ITEM_FIELDS).lean();
+      if (!item) {
+        result.blockedReason = `${step.itemName} no longer exists`;
+        break;
+      }
+      const counts = countInventory(await inventoryCollection.find().toArray());
+      const staminaPerItem = Number(item.staminaToCraft) || 0;
+      const byStamina = staminaPerItem > 0 ? Math.floor((character.currentStamina || 0) / staminaPerItem) : remaining;
+      const byMaterials = countCraftable(counts, item);
+      const quantity = Math.min(remaining, byStamina, byMaterials);
+
+      let picks = [];
+      for (const material of quantity > 0 ? item.craftingMaterial : []) {
+        const lineQuantity = (Number(material.quantity) || 0) * quantity;
+        const linePicks = lineQuantity > 0 ? pickMaterialStacks(counts, material.itemName, lineQuantity) : [];
+        if (!linePicks) {
+          // Two recipe lines draw on the same items and together need more than is held
+          picks = null;
+          break;
+        }
+        picks.push(...linePicks);
+      }
+      if (!picks) {
+        result.blockedReason = 'materials';
+        break;
+      }
+
+      if (quantity > 0) {
+        // Stamina first: if it can't be spent, no materials are lost
+        const staminaCost = staminaPerItem * quantity;
+        if (staminaCost > 0) {
+          await checkAndUseStamina(character, staminaCost, { source: QUEUE_OBTAIN, itemName: item.itemName });
+        }
+        for (const pick of picks) {
+          await removeItemInventoryDatabase(character._id, pick.itemName, pick.quantity, interaction, QUEUE_OBTAIN);
+        }
+        await addItemInventoryDatabase(character._id, item.itemName, quantity, interaction, QUEUE_OBTAIN, { craftedAt: new Date() });
+        await CraftingQueue.updateOne(
+          { _id: queue._id, 'steps.itemName': step.itemName },
+          { $inc: { 'steps.$.crafted': quantity } }
+        );
+
+        step.crafted += quantity;
+        result.crafted.push({ itemName: item.itemName, quantity });
+        result.staminaUsed += staminaCost;
+      }
+
+      if (quantity < remaining) {
+        result.blockedReason = byStamina < byMaterials ? 'stamina' : 'materials';
+        break;
+      }
+    }
+
+    if (queue.steps.every(step => step.crafted >= step.quantity)) {
+      queue.status = 'completed';
+      queue.completedAt = new Date();
+      result.completed = true;
+    }
+  }
+
+  queue.blockedReason = result.blockedReason;
+  queue.lastRunAt = new Date();
+  await CraftingQueue.updateOne({ _id: queue._id }, {
+    $set: {
+      status: queue.status,
+      completedAt: queue.completedAt,
+      blockedReason: queue.blockedReason,
+      lastRunAt: queue.lastRunAt
+    }
+  });
+}
+
+// ------------------- Function: runDailyCraftingQueues -------------------
+// Scheduled after daily stamina recovery. DMs owners whose queue made progress.
+async function runDailyCraftingQueues() {
+  const queues = await CraftingQueue.find({ status: 'active' });
+  let progressed = 0;
+  for (const queue of queues) {
+    try {
+      const result = await runCraftingQueue(queue);
+      if (result.crafted.length === 0) continue;
+      progressed++;
+      const { createCraftingQueueEmbed } = require('../embeds/embeds.js');
+      await sendDiscordDM(queue.userId, createCraftingQueueEmbed(queue, result).toJSON());
+    } catch (err) {
+      handleError(err, 'craftingPlanModule.js', { operation: 'runDailyCraftingQueues', characterName: queue.characterName });
+    }
+  }
+  return { processed: queues.length, progressed };
+}
+
+module.exports = {
+  MAX_PLAN_DEPTH,
+  CRAFTING_JOB_FIELDS,
+  createJobCraftCheck,
+  countInventory,
+  resolveCraftingPlan,
+  loadRecipeTree,
+  buildCraftingPlan,
+  getActiveQueue,
+  createCraftingQueue,
+  cancelCraftingQueue,
+  pickMaterialStacks,
+  countCraftable,
+  runCraftingQueue,
+  runDailyCraftingQueues
+};
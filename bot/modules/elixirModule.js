@@ -3,6 +3,8 @@
 // and integration with existing game systems. Elixirs now work like job vouchers -
 // they last until their effects are used in relevant activities.
 
+const rng = require('../services/rngService');
+
 // ============================================================================
 // ------------------- Elixir tier (one catalog name, level on inventory) ---
 // ============================================================================
@@ -80,7 +82,7 @@ function rollStickyBonusExtraQuantity(character) {
   const lv = normalizeElixirLevel(character.buff.elixirLevel);
   const range = STICKY_BONUS_EXTRA_RANGE_BY_LEVEL[lv - 1] ?? STICKY_BONUS_EXTRA_RANGE_BY_LEVEL[0];
   const [min, max] = range;
-  return min + Math.floor(Math.random() * (max - min + 1));
+  return rng.randomInt(min, max, 'sticky-extra');
 }
 
 /**
@@ -28,6 +28,8 @@ const Monster = require('@/models/MonsterModel');
 const { calculateAttackBuff, calculateDefenseBuff, applyBuffs, getDamageResistance } = require('./buffModule');
 const { handleError } = require('@/utils/globalErrorHandler');
 const { retrieveFromStorage, saveToStorage } = require('@/utils/storage');
+const { getWeatherDamageBonus } = require('./weatherEffectsModule');
+const { emitGameEvent } = require('@/utils/gameEvents');
 
 // ============================================================================
 // Utility Functions
@@ -160,6 +162,7 @@ function calculateDamage(attacker, defender) {
 // ---- Function: getEncounterOutcome ----
 // Determines the outcome of battles for tiers 1-4
 // options: { skipPersist } - when true, do not call useHearts (for exploration testing mode)
+//          { weatherEffects } - active weather effects; elemental ones add to hearts lost
 const getEncounterOutcome = async (character, monster, damageValue, adjustedRandomValue, attackSuccess, defenseSuccess, options = {}) => {
     try {
         const tier = monster.tier;
@@ -227,6 +230,14 @@ const getEncounterOutcome = async (character, monster, damageValue, adjustedRand
             logger.info('EXPLORE', `encounter T${tier} adj=${adjustedRandomValue} → win loot`);
         }
 
+        // --- Weather elemental damage (e.g. electric monsters in a thunderstorm) ---
+        const weatherDamage = outcome.hearts > 0 ? getWeatherDamageBonus(options.weatherEffects, monster) : 0;
+        if (weatherDamage > 0) {
+            const hearts = outcome.hearts + weatherDamage;
+            outcome = { ...outcome, result: `${hearts} HEART(S)`, hearts, weatherDamage };
+            logger.info('LOOT', `${monster.name} deals +${weatherDamage}❤ in this weather`);
+        }
+
         if (outcome.hearts > 0 && !options.skipPersist) {
             logger.info('LOOT', `${character.name} loses ${outcome.hearts} hearts`);
             await useHearts(character._id, outcome.hearts, createEncounterContext(character, 'encounter_heart_loss'));
@@ -1202,6 +1213,20 @@ async function handleEncounter(character, monster, battleId) {
     }
 }
 
+// ---- Function: emitMonsterDefeated ----
+// Emits monster.defeated once the caller has its final outcome. getEncounterOutcome
+// is re-run for rerolls and elixir boosts, so it can't emit on its own.
+function emitMonsterDefeated(character, monster, source) {
+  return emitGameEvent('monster.defeated', {
+    characterId: String(character._id),
+    characterName: character.name,
+    userId: character.userId || null,
+    monsterName: monster.name,
+    tier: monster.tier,
+    source
+  });
+}
+
 // ---- Function: getBattleProgressById ----
 // Retrieves battle progress for a given battleId from storage
 async function getBattleProgressById(battleId) {
@@ -1240,5 +1265,6 @@ module.exports = {
     getTier9EncounterOutcome,
     getTier10EncounterOutcome,
     calculateDamage,
-    createEncounterContext
+    createEncounterContext,
+    emitMonsterDefeated
 }; 
\ No newline at end of file
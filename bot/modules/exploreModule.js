@@ -6,6 +6,7 @@ const Character = require('@/models/CharacterModel');
 const ModCharacter = require('@/models/ModCharacterModel');
 const Square = require('../models/mapModel');
 const Party = require('@/models/PartyModel');
+const { emitGameEvent } = require('@/utils/gameEvents');
 const Pin = require('@/models/PinModel');
 
 const { handleError } = require('@/utils/globalErrorHandler');
@@ -310,6 +311,13 @@ async function markGrottoCleared(grotto) {
     }
     grotto.markModified?.("status");
     await grotto.save();
+    if (grotto.partyId) {
+        // One grotto.cleared event per party member (not awaited; emitGameEvent never throws)
+        Party.findOne({ partyId: grotto.partyId }).select("characters").lean()
+            .then((party) => Promise.all((party?.characters || []).map((c) =>
+                emitGameEvent("grotto.cleared", { userId: c.userId, characterId: String(c._id), characterName: c.name, grottoId: String(grotto._id) }))))
+            .catch((err) => handleError(err, "exploreModule.js"));
+    }
     if (!grotto.squareId || !grotto.quadrantId) return;
     const dk = grotto.discoveryKey;
     if (dk) {
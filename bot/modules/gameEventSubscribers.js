@@ -0,0 +1,151 @@
+// ============================================================================
+// Game Event Subscribers
+// Every feature that reacts to game events (utils/gameEvents.js) subscribes
+// here, so one file shows what runs when something happens. Registered once at
+// startup (index.js); tests and scripts that need the side effects call
+// registerGameEventSubscribers() themselves.
+// Subscribers that can run twice for one event without doubling their effect
+// are registered with { replaySafe: true }; only those are replayed by default.
+// ============================================================================
+
+// ------------------- Standard Libraries -------------------
+const logger = require('@/utils/logger');
+const { GAME_EVENTS, subscribe, getSubscribers } = require('@/utils/gameEvents');
+const { getAchievementsForEvent } = require('@tinglebot/shared/lib/achievements');
+
+// ------------------- Database Models -------------------
+const User = require('@/models/UserModel');
+
+// ------------------- Feature Modules -------------------
+const { checkAchievements } = require('./achievementsModule');
+const { awardSeasonXPToUsers } = require('./seasonPassModule');
+const { updateUserTracking } = require('./helpWantedModule');
+const { handleXP } = require('./levelingModule');
+const { handleRPPostTracking } = require('./rpQuestTrackingModule');
+const { applyArrivalWeather } = require('../handlers/travelHandler');
+const { removeInitialItemIfSynced } = require('@/utils/inventoryUtils');
+const { trackLastMessage } = require('@/utils/messageUtils');
+
+// ------------------- Function: requireLiveContext -------------------
+// The live objects a subscriber needs from meta.context. Missing on replays, so
+// the delivery fails (and is recorded) instead of running half the side effect.
+function requireLiveContext(meta, ...keys) {
+  const context = meta?.context || {};
+  const missing = keys.filter(key => !context[key]);
+  if (missing.length > 0) {
+    throw new Error(`${meta?.event} needs the live ${missing.join(', ')} (not available on replay)`);
+  }
+  return context;
+}
+
+// ============================================================================
+// ------------------- Achievements -------------------
+// ============================================================================
+
+// ------------------- Function: toAchievementSubjects -------------------
+// Maps an event payload to the checkAchievements subjects it concerns.
+function toAchievementSubjects(event, payload) {
+  switch (event) {
+    case 'raid.won':
+      return (payload.participants || []).map(participant => ({
+        userId: participant.userId,
+        characterId: participant.characterId,
+        characterName: participant.name
+      }));
+    case 'blight.healed':
+      return [{ ...pickSubject(payload), stats: { healedFromStage: payload.healedFromStage } }];
+    case 'monster.defeated':
+      return [{ ...pickSubject(payload), stats: { monsterTier: Number(payload.tier) || 0 } }];
+    case 'character.ko':
+      return [{ ...pickSubject(payload), stats: { knockouts: 1 } }];
+    case 'tokens.changed':
+      return [{ userId: payload.userId, stats: { tokenBalance: payload.balanceAfter } }];
+    default:
+      return [pickSubject(payload)];
+  }
+}
+
+function pickSubject(payload) {
+  return {
+    userId: payload.userId || null,
+    characterId: payload.characterId || null,
+    characterName: payload.characterName || null
+  };
+}
+
+// ------------------- Function: registerAchievementSubscribers -------------------
+// Subscribes checkAchievements to every event the registry has achievements for.
+// Awards are recorded once, so replaying is safe.
+function registerAchievementSubscribers(events) {
+  for (const event of events) {
+    if (getAchievementsForEvent(event).length === 0) continue;
+    subscribe(event, 'achievements', async payload => {
+      for (const subject of toAchievementSubjects(event, payload)) {
+        await checkAchievements(event, subject, { throwErrors: true });
+      }
+    }, { replaySafe: true });
+  }
+}
+
+// ============================================================================
+// ------------------- Registration -------------------
+// ============================================================================
+
+// ------------------- Function: registerGameEventSubscribers -------------------
+// Safe to call more than once: subscribing the same name replaces the handler.
+// Subscribers of one event run in the order they are registered here.
+function registerGameEventSubscribers() {
+  // Help Wanted: completion tracking on the user (before achievements, which
+  // count the tracked completions). Skips quests already tracked.
+  subscribe('helpWanted.completed', 'help-wanted-tracking', async payload => {
+    const user = await User.findOne({ discordId: payload.userId });
+    if (!user) return;
+    await updateUserTracking(user, { questId: payload.questId, village: payload.village, type: payload.questType }, payload.userId);
+  }, { replaySafe: true });
+
+  // Travel: blight rain and lightning on arrival, posted to the final path channel
+  subscribe('travel.completed', 'arrival-weather', async (payload, meta) => {
+    const { character, channel, client, guild, travelLog } = requireLiveContext(meta, 'character', 'channel', 'client');
+    await applyArrivalWeather(character, {
+      from: payload.from,
+      to: payload.to,
+      departureWeatherLabel: payload.departureWeatherLabel,
+      channel,
+      client,
+      guild,
+      travelLog
+    });
+  });
+
+  // Messages: RP quest post counts (threads only), then leveling XP and last-message tracking
+  subscribe('message.posted', 'rp-quest-tracking', async (payload, meta) => {
+    if (!payload.inThread) return;
+    const { message } = requireLiveContext(meta, 'message');
+    await handleRPPostTracking(message);
+  });
+  subscribe('message.posted', 'leveling', async (payload, meta) => {
+    const { message } = requireLiveContext(meta, 'message');
+    await handleXP(message);
+    await trackLastMessage(message);
+  });
+
+  // Inventory: drop the Initial Item placeholder once real items arrive
+  subscribe('item.acquired', 'initial-item-cleanup', payload =>
+    removeInitialItemIfSynced(payload.characterId), { replaySafe: true });
+
+  registerAchievementSubscribers(Object.keys(GAME_EVENTS));
+
+  // Season pass: raid XP for every participant of a defeated raid (not replay-safe:
+  // a replay awards the XP again)
+  subscribe('raid.won', 'season-pass', payload =>
+    awardSeasonXPToUsers((payload.participants || []).map(participant => participant.userId), 'raid', { throwErrors: true }));
+
+  const registered = getSubscribers();
+  const count = Object.values(registered).reduce((sum, names) => sum + names.length, 0);
+  logger.info('EVENTS', `Registered ${count} game event subscriber(s) across ${Object.keys(registered).length} event(s)`);
+  return registered;
+}
+
+module.exports = {
+  registerGameEventSubscribers
+};
@@ -19,6 +19,7 @@ const { escapeRegExp } = require('@/utils/inventoryUtils');
 const logger = require('@/utils/logger');
 const Character = require('@/models/CharacterModel');
 const ModCharacter = require('@/models/ModCharacterModel');
+const { emitGameEvent } = require('@/utils/gameEvents');
 
 // ============================================================================
 // ------------------- Constants -------------------
@@ -3450,21 +3451,14 @@ async function completeQuestFromSubmission(quest, submissionData, client) {
     await quest.save();
 
     // Update user tracking
-    const User = require('@/models/UserModel');
-    const user = await User.findOne({ discordId: submissionData.userId });
-    if (user) {
-      await updateUserTracking(user, quest, submissionData.userId);
-    }
+    await emitHelpWantedCompleted(quest, submissionData.userId, character?._id);
     // Mark collab partners as having completed the quest
     const collabList = Array.isArray(submissionData.collab) ? submissionData.collab : (submissionData.collab ? [submissionData.collab] : []);
     for (const collaboratorMention of collabList) {
       if (!collaboratorMention || typeof collaboratorMention !== 'string') continue;
       const collaboratorId = collaboratorMention.replace(/[<@!>]/g, '').trim();
       if (!collaboratorId) continue;
-      const collabUser = await User.findOne({ discordId: collaboratorId });
-      if (collabUser) {
-        await updateUserTracking(collabUser, quest, collaboratorId);
-      }
+      await emitHelpWantedCompleted(quest, collaboratorId);
     }
 
     // Update character's helpWanted.completions so character bio and bot-side reads see the completion
@@ -3500,7 +3494,9 @@ async function completeQuestFromSubmission(quest, submissionData, client) {
 }
 
 // ------------------- Function: updateUserTracking -------------------
-// Updates user tracking for quest completion (copied from helpWanted.js)
+// Records a quest completion on the user (the help-wanted-tracking subscriber of
+// helpWanted.completed). A quest already on the user's completions is skipped,
+// so replaying the event is safe.
 async function updateUserTracking(user, quest, userId) {
   if (!user.helpWanted) {
     user.helpWanted = {
@@ -3513,6 +3509,11 @@ async function updateUserTracking(user, quest, userId) {
       completions: []
     };
   }
+  user.helpWanted.completions = user.helpWanted.completions || [];
+  if (user.helpWanted.completions.some(completion => completion.questId === quest.questId)) {
+    logger.info('QUEST', `Quest ${quest.questId} is already tracked for ${userId}, skipping`);
+    return false;
+  }
   const now = new Date();
   const today = getEasternDateString(now);
 
@@ -3528,6 +3529,20 @@ async function updateUserTracking(user, quest, userId) {
     timestamp: new Date()
   });
   await user.save();
+  return true;
+}
+
+// ------------------- Function: emitHelpWantedCompleted -------------------
+// Emits helpWanted.completed for one user; completion tracking and achievements
+// subscribe to it (modules/gameEventSubscribers.js).
+function emitHelpWantedCompleted(quest, userId, characterId = null) {
+  return emitGameEvent('helpWanted.completed', {
+    userId: String(userId),
+    questId: quest.questId,
+    village: quest.village,
+    questType: quest.type,
+    characterId: characterId ? String(characterId) : null
+  });
 }
 
 // ------------------- Function: sendQuestCompletionMessage -------------------
@@ -3666,6 +3681,7 @@ module.exports = {
   getCurrentQuestSchedule,
   updateQuestEmbed,
   updateUserTracking,
+  emitHelpWantedCompleted,
   postQuestToDiscord,
   verifyQuestMessageExists,
   isQuestExpired,
@@ -58,6 +58,9 @@ async function handleXP(message) {
       xpSource = `message_${bonusConfig.name.toLowerCase().replace(/\s+/g, '_')}`;
     }
     
+    // Season pass XP matches the level XP; addXP's save below persists both
+    await user.addSeasonXP(finalXP, 'message', false);
+
     // Add XP to user and update message tracking in a single save operation
     const result = await user.addXP(finalXP, xpSource, true);
 
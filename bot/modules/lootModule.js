@@ -8,6 +8,7 @@ const { createWeightedItemList, calculateFinalValue } = require('../modules/rngM
 const { fetchItemsByMonster, fetchCharacterByName } = require('@/database/db');
 const { addItemInventoryDatabase } = require('@/utils/inventoryUtils');
 const { isAprilFoolsEastern, aprilFoolsMessageSuffix, toAprilFoolsLootObject } = require('@/utils/aprilFoolsRoll.js');
+const rng = require('@/services/rngService');
 // Google Sheets functionality removed
 
 // Additional utilities and services
@@ -50,14 +51,24 @@ async function processLoot(battleProgress, currentMonster, interaction, battleId
         continue;
       }
 
-      const diceRoll = Math.floor(Math.random() * 100) + 1;
-      const { adjustedRandomValue } = calculateFinalValue(character, diceRoll);  // Calculate adjusted roll value
-      const weightedItems = createWeightedItemList(items, adjustedRandomValue);  // Create weighted list of loot items
-
-      if (weightedItems.length > 0) {
-        const randomIndex = Math.floor(Math.random() * weightedItems.length);
-        let lootedItem = weightedItems[randomIndex];  // Select random loot item
-        lootedItem = await toAprilFoolsLootObject(lootedItem);
+      // Each character's loot roll gets its own seeded session so it can be replayed
+      const { lootedItem: rolledItem, rollId } = await rng.runWithRollSession(async () => {
+        const diceRoll = rng.randomInt(1, 100, 'loot-d100');
+        const { adjustedRandomValue } = calculateFinalValue(character, diceRoll);  // Calculate adjusted roll value
+        const weightedItems = createWeightedItemList(items, adjustedRandomValue);  // Create weighted list of loot items
+        const picked = weightedItems.length > 0 ? rng.pick(weightedItems, 'loot-item') : null;
+        const record = await rng.recordRoll({
+          kind: 'loot',
+          character,
+          inputs: { monster: currentMonster.name, battleId, diceRoll, adjustedRandomValue, weightedItemCount: weightedItems.length },
+          result: picked ? { itemName: picked.itemName } : null,
+          summary: picked ? `Looted ${picked.itemName} from ${currentMonster.name}` : `No loot from ${currentMonster.name}`
+        });
+        return { lootedItem: picked, rollId: record?.rollId || null };
+      });
+
+      if (rolledItem) {
+        const lootedItem = await toAprilFoolsLootObject(rolledItem);
 
         // Add loot to the character's inventory
         const quantity = lootedItem.quantity ? lootedItem.quantity.toString() : '1';
@@ -75,6 +86,9 @@ async function processLoot(battleProgress, currentMonster, interaction, battleId
         if (isAprilFoolsEastern()) {
           line += aprilFoolsMessageSuffix();
         }
+        if (rollId) {
+          line += ` \`${rollId}\``;
+        }
         lootMessage += line;
 
       } else {
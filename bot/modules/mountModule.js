@@ -485,6 +485,8 @@ const horseTraits = {
       2: 'Fluffy',
     },
   },
+  // Travel encounter bonus (see getMountTravelTraits)
+  travel: { fightBonus: 5, recoverBonus: 0, freeRecover: false, description: 'Charging gallop (+5 fight roll)' },
 };
 
 // ------------------- Donkey Trait Options -------------------
@@ -525,6 +527,8 @@ const donkeyTraits = {
       3: 'Dun Stripe',
     },
   },
+  // Travel encounter bonus (see getMountTravelTraits)
+  travel: { fightBonus: 0, recoverBonus: 0, freeRecover: true, description: 'Pack carrier (Recover costs no 🟩 stamina)' },
 };
 
 // ------------------- Ostrich Trait Options -------------------
@@ -550,6 +554,8 @@ const ostrichTraits = {
       5: 'Golden (Metallic)',
     },
   },
+  // Travel encounter bonus (see getMountTravelTraits)
+  travel: { fightBonus: 3, recoverBonus: 0, freeRecover: false, description: 'Swift kick (+3 fight roll)' },
 };
 
 // ------------------- Bullbo Trait Options -------------------
@@ -575,6 +581,8 @@ const bullboTraits = {
       5: 'Golden',
     },
   },
+  // Travel encounter bonus (see getMountTravelTraits)
+  travel: { fightBonus: 10, recoverBonus: 0, freeRecover: false, description: 'Thundering charge (+10 fight roll)' },
 };
 
 // ------------------- Dodongo Trait Options -------------------
@@ -605,6 +613,8 @@ const dodongoTraits = {
       6: 'Golden',
     },
   },
+  // Travel encounter bonus (see getMountTravelTraits)
+  travel: { fightBonus: 8, recoverBonus: 0, freeRecover: false, description: 'Fire breath (+8 fight roll)' },
 };
 
 // ------------------- Mountain Goat Trait Options -------------------
@@ -639,6 +649,8 @@ const mountainGoatTraits = {
       6: 'Full White',
     },
   },
+  // Travel encounter bonus (see getMountTravelTraits)
+  travel: { fightBonus: 0, recoverBonus: 1, freeRecover: false, description: 'Sure-footed rest (+1 ❤️ on Recover)' },
 };
 
 // ------------------- Water Buffalo Trait Options -------------------
@@ -669,6 +681,8 @@ const waterBuffaloTraits = {
       6: 'Full Black'
     },
   },
+  // Travel encounter bonus (see getMountTravelTraits)
+  travel: { fightBonus: 0, recoverBonus: 0, freeRecover: true, description: 'Steady hauler (Recover costs no 🟩 stamina)' },
 };
 
 // ------------------- Deer Trait Options -------------------
@@ -694,6 +708,8 @@ const deerTraits = {
       5: 'Golden (M or F)',
     },
   },
+  // Travel encounter bonus (see getMountTravelTraits)
+  travel: { fightBonus: 0, recoverBonus: 1, freeRecover: false, description: 'Gentle company (+1 ❤️ on Recover)' },
 };
 
 // ------------------- Wolfos Trait Options -------------------
@@ -718,6 +734,8 @@ const wolfosTraits = {
       4: 'Frost (White with Icey Aura)',
     },
   },
+  // Travel encounter bonus (see getMountTravelTraits)
+  travel: { fightBonus: 8, recoverBonus: 0, freeRecover: false, description: 'Pack hunter (+8 fight roll)' },
 };
 
 // ------------------- Bear Trait Options -------------------
@@ -743,7 +761,8 @@ const bearTraits = {
       5: 'Golden',
     },
   },
-
+  // Travel encounter bonus (see getMountTravelTraits)
+  travel: { fightBonus: 10, recoverBonus: 0, freeRecover: false, description: 'Mauling swipe (+10 fight roll)' },
 };
 // ------------------- Moose Trait Options -------------------
 const mooseTraits = {
@@ -768,6 +787,8 @@ const mooseTraits = {
           5: 'Golden (M or F)',
       },
   },
+  // Travel encounter bonus (see getMountTravelTraits)
+  travel: { fightBonus: 3, recoverBonus: 1, freeRecover: false, description: 'Sturdy guardian (+3 fight roll, +1 ❤️ on Recover)' },
 };
 
 
@@ -1074,6 +1095,85 @@ function calculateMountPrice(mount) {
   return finalPrice;
 }
 
+// ------------------- Mount Travel -------------------
+// Used by /travel mode:on mount. Each travel day on a path (a "leg") costs the mount
+// 1 stamina, and a resting mount recovers 1 stamina per full day since its last recovery.
+const MOUNT_STAMINA_PER_LEG = 1;
+const MOUNT_STAMINA_RECOVERY_MS = 24 * 60 * 60 * 1000;
+
+// Fraction of the on-foot travel days a mount of each level needs (minimum 1 day)
+const mountTravelSpeed = {
+  Basic: 0.75,
+  Mid: 0.5,
+  High: 0.5,
+  Legendary: 0.25
+};
+
+// Species trait tables by MountModel species, for the travel bonuses stored on each table:
+// fightBonus is added to the fight roll, recoverBonus adds extra hearts on Recover,
+// and freeRecover lets the mount carry the load so Recover costs no character stamina.
+const speciesTraitTables = {
+  'Horse': horseTraits,
+  'Donkey': donkeyTraits,
+  'Ostrich': ostrichTraits,
+  'M.Goat': mountainGoatTraits,
+  'Deer': deerTraits,
+  'Bullbo': bullboTraits,
+  'W.Buffalo': waterBuffaloTraits,
+  'Wolfos': wolfosTraits,
+  'Dodongo': dodongoTraits,
+  'Moose': mooseTraits,
+  'Bear': bearTraits
+};
+
+// Helper function to get the number of travel days on mount for a route that takes footDays on foot
+function getMountTravelDays(footDays, level) {
+  if (!footDays || footDays < 1) return footDays;
+  const speed = mountTravelSpeed[level] ?? 1;
+  return Math.max(1, Math.ceil(footDays * speed));
+}
+
+// Helper function to get the total mount stamina a journey of travelDays will cost
+function getMountTravelStaminaCost(travelDays) {
+  return Math.max(0, travelDays) * MOUNT_STAMINA_PER_LEG;
+}
+
+// Helper function to get the travel encounter bonuses for a mount (zeroed for species without a trait table)
+function getMountTravelTraits(mount) {
+  return speciesTraitTables[mount?.species]?.travel || { fightBonus: 0, recoverBonus: 0, freeRecover: false, description: null };
+}
+
+// Helper function to apply daily stamina recovery to a mount document (does not save).
+// Returns the amount of stamina recovered.
+function recoverMountStamina(mount, now = new Date()) {
+  if (!mount) return 0;
+  if (mount.currentStamina == null) {
+    mount.currentStamina = mount.stamina;
+    return 0;
+  }
+  if (mount.currentStamina >= mount.stamina) return 0;
+
+  const recoveryStart = mount.staminaRecoveredAt || mount.lastMountTravel;
+  if (!recoveryStart) {
+    mount.currentStamina = mount.stamina;
+    return 0;
+  }
+
+  const daysPassed = Math.floor((now.getTime() - new Date(recoveryStart).getTime()) / MOUNT_STAMINA_RECOVERY_MS);
+  if (daysPassed <= 0) return 0;
+
+  const before = mount.currentStamina;
+  mount.currentStamina = Math.min(mount.stamina, before + daysPassed);
+  // Carry partial days forward so recovery is never lost between checks
+  mount.staminaRecoveredAt = new Date(new Date(recoveryStart).getTime() + daysPassed * MOUNT_STAMINA_RECOVERY_MS);
+  return mount.currentStamina - before;
+}
+
+// Helper function to check whether a mount can cover a journey costing staminaCost
+function isMountExhausted(mount, staminaCost = MOUNT_STAMINA_PER_LEG) {
+  return !mount || (mount.currentStamina ?? 0) < staminaCost;
+}
+
 // ------------------- Mount Display Names -------------------
 const mountDisplayNames = {
   'Horse': 'Horse',
@@ -1141,5 +1241,12 @@ module.exports = {
   mooseTraits,
   generateMooseTraits,
   calculateMountPrice,
-  getMountDisplayName
+  getMountDisplayName,
+  MOUNT_STAMINA_PER_LEG,
+  mountTravelSpeed,
+  getMountTravelDays,
+  getMountTravelStaminaCost,
+  getMountTravelTraits,
+  recoverMountStamina,
+  isMountExhausted
 };
@@ -0,0 +1,209 @@
+// ============================================================================
+// Price Index Module
+// Records token sales between players and reads them back as a rolling price
+// index for /lookup price and the dashboard items page.
+// - Completed vending purchases paid in tokens (vendor self-purchases use the
+//   fixed ROTW sell price and are left out)
+// - Completed trades where one side gives only tokens and the other only one item
+// - Sold auctions (the winning bid over the lot)
+// Recording is best-effort and idempotent per (source, reference, item), so a
+// retried hook or a backfill run never counts a sale twice.
+// ============================================================================
+
+// ------------------- Standard Libraries -------------------
+const logger = require('@/utils/logger');
+
+// ------------------- Database Models -------------------
+const MarketSale = require('@/models/MarketSaleModel');
+
+// ------------------- Utility Functions -------------------
+const { escapeRegExp } = require('@/utils/inventoryUtils');
+const {
+  PRICE_WINDOW_DAYS,
+  summarizeSales,
+  buildPriceHistory,
+  priceWindowStart
+} = require('@tinglebot/shared/lib/priceIndex');
+
+// ============================================================================
+// Recording
+// ------------------- recordMarketSale -------------------
+// `sale` is { itemName, source, referenceId, quantity, totalTokens, buyerName, sellerName, soldAt }.
+// Returns true when a new sale was stored.
+async function recordMarketSale(sale) {
+  const quantity = Number(sale.quantity);
+  const totalTokens = Number(sale.totalTokens);
+  if (!sale.itemName || !sale.referenceId || !(quantity > 0) || !(totalTokens >= 0)) return false;
+
+  try {
+    const result = await MarketSale.updateOne(
+      { source: sale.source, referenceId: String(sale.referenceId), itemName: sale.itemName },
+      {
+        $setOnInsert: {
+          quantity,
+          totalTokens,
+          unitPrice: Math.round((totalTokens / quantity) * 100) / 100,
+          buyerName: sale.buyerName || null,
+          sellerName: sale.sellerName || null,
+          soldAt: sale.soldAt || new Date()
+        }
+      },
+      { upsert: true }
+    );
+    return result.upsertedCount > 0;
+  } catch (error) {
+    if (error.code === 11000) return false;
+    logger.warn('PRICE_INDEX', `Failed to record ${sale.source} sale of ${sale.itemName}: ${error.message}`);
+    return false;
+  }
+}
+
+// ------------------- getTradeSale -------------------
+// A trade only prices an item when one side is tokens alone and the other is
+// a single regular item (any number of stacks); anything else is a swap.
+function getTradeSale(trade) {
+  const sides = [[trade.initiator, trade.target], [trade.target, trade.initiator]];
+  for (const [seller, buyer] of sides) {
+    const lines = seller.items || [];
+    if (!lines.length || seller.tokens > 0) continue;
+    if ((buyer.items || []).length || !(buyer.tokens > 0)) continue;
+
+    const itemName = lines[0].itemName;
+    const sameItem = lines.every(line => line.itemName === itemName && line.elixirLevel == null);
+    if (!sameItem) return null;
+
+    return {
+      itemName,
+      source: 'trade',
+      referenceId: trade.tradeId,
+      quantity: lines.reduce((sum, line) => sum + line.quantity, 0),
+      totalTokens: buyer.tokens,
+      buyerName: buyer.characterName,
+      sellerName: seller.characterName,
+      soldAt: trade.completedAt || new Date()
+    };
+  }
+  return null;
+}
+
+// ------------------- recordTradeSale -------------------
+async function recordTradeSale(trade) {
+  const sale = getTradeSale(trade);
+  return sale ? recordMarketSale(sale) : false;
+}
+
+// ------------------- getAuctionSale -------------------
+// Elixir lots are priced by level and stay out of the index.
+function getAuctionSale(auction) {
+  if (auction.status !== 'sold' || !auction.highBid || auction.item?.elixirLevel != null) return null;
+  return {
+    itemName: auction.item.itemName,
+    source: 'auction',
+    referenceId: auction.auctionId,
+    quantity: auction.item.quantity,
+    totalTokens: auction.highBid.amount,
+    buyerName: auction.highBid.characterName,
+    sellerName: auction.seller?.characterName,
+    soldAt: auction.settledAt || auction.endsAt || new Date()
+  };
+}
+
+// ------------------- recordAuctionSale -------------------
+async function recordAuctionSale(auction) {
+  const sale = getAuctionSale(auction);
+  return sale ? recordMarketSale(sale) : false;
+}
+
+// ------------------- getVendingSale -------------------
+function getVendingSale(request, totalTokens) {
+  if (request.paymentMethod !== 'tokens' || request.isVendorSelfPurchase) return null;
+  return {
+    itemName: request.itemName,
+    source: 'vending',
+    referenceId: request.fulfillmentId,
+    quantity: request.quantity,
+    totalTokens,
+    buyerName: request.userCharacterName,
+    sellerName: request.vendorCharacterName,
+    soldAt: request.processedAt || new Date()
+  };
+}
+
+// ------------------- recordVendingSale -------------------
+// Called once a token purchase has been fulfilled (handlers/vendingHandler.js).
+async function recordVendingSale(request, totalTokens) {
+  const sale = getVendingSale(request, totalTokens);
+  return sale ? recordMarketSale(sale) : false;
+}
+
+// ============================================================================
+// Reading
+// ------------------- getPriceIndex -------------------
+// Rolling summary plus a per-day series over the last `days` days.
+async function getPriceIndex(itemName, { days = PRICE_WINDOW_DAYS, now = new Date() } = {}) {
+  const sales = await MarketSale.find({
+    itemName: new RegExp(`^${escapeRegExp(itemName)}$`, 'i'),
+    soldAt: { $gte: priceWindowStart(days, now), $lte: now }
+  }).sort({ soldAt: 1 }).lean();
+
+  const bySource = {};
+  for (const sale of sales) bySource[sale.source] = (bySource[sale.source] || 0) + 1;
+
+  return {
+    itemName: sales[0]?.itemName || itemName,
+    days,
+    ...summarizeSales(sales),
+    bySource,
+    history: buildPriceHistory(sales)
+  };
+}
+
+// ============================================================================
+// Backfill
+// ------------------- backfillMarketSales -------------------
+// Imports sales that happened before the index existed: completed trades, sold
+// auctions and token vending requests still on file (requests expire after 7 days).
+async function backfillMarketSales({ dryRun = false } = {}) {
+  const Trade = require('@/models/TradeModel');
+  const Auction = require('@/models/AuctionModel');
+  const { VendingRequest } = require('@/models/VendingModel');
+
+  const counts = { trade: 0, auction: 0, vending: 0 };
+  const record = async (source, sale) => {
+    if (!sale) return;
+    if (dryRun || await recordMarketSale(sale)) counts[source]++;
+  };
+
+  for await (const trade of Trade.find({ status: 'completed' }).lean().cursor()) {
+    await record('trade', getTradeSale(trade));
+  }
+
+  for await (const auction of Auction.find({ status: 'sold' }).lean().cursor()) {
+    await record('auction', getAuctionSale(auction));
+  }
+
+  // Stock prices may have changed since; the price the buyer agreed to is on the request
+  const vendingQuery = { status: 'completed', paymentMethod: 'tokens', originalTokenPrice: { $gt: 0 } };
+  for await (const request of VendingRequest.find(vendingQuery).lean().cursor()) {
+    const sale = getVendingSale(request, request.originalTokenPrice * request.quantity);
+    await record('vending', sale && { ...sale, soldAt: request.processedAt || request.date });
+  }
+
+  return counts;
+}
+
+// ============================================================================
+// Exports
+// ============================================================================
+module.exports = {
+  PRICE_WINDOW_DAYS,
+  recordMarketSale,
+  getTradeSale,
+  getAuctionSale,
+  getVendingSale,
+  recordTradeSale,
+  recordAuctionSale,
+  recordVendingSale,
+  getPriceIndex,
+  backfillMarketSales
+};
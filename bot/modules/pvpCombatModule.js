@@ -41,138 +41,125 @@
 // PvP Combat Module
 // This module manages player vs player combat operations such as storing battle progress,
 // updating battle states, and handling PvP combat turns.
+// Battle state lives in PvPBattleModel (MongoDB) so duels survive redeploys; each turn is
+// claimed atomically and an Agenda job forfeits a combatant who lets their turn time out.
 // ============================================================================
 
 // ------------------- Standard Libraries -------------------
-const fs = require('fs');
-const path = require('path');
+const { EmbedBuilder } = require('discord.js');
 const { handleError } = require('@/utils/globalErrorHandler');
+const logger = require('@/utils/logger');
 
 // ------------------- Modules -------------------
 const { handleKO, useHearts } = require('../modules/characterStatsModule');
 const { getGearModLevel } = require('../modules/gearModule');
 const { calculateAttackBuff, calculateDefenseBuff, getDamageResistance } = require('./buffModule');
+const { areRivals, RIVALRY_ROLL_BONUS } = require('./relationshipModule');
+
+// ------------------- Database Models -------------------
+const Character = require('@/models/CharacterModel');
+const PvPBattle = require('@/models/PvPBattleModel');
 
 // ------------------- Utility Functions -------------------
 const { generateUniqueId } = require('@/utils/uniqueIdUtils');
+const scheduler = require('@/utils/scheduler');
 
 // ------------------- Configuration Constants -------------------
-const BATTLE_PROGRESS_PATH = path.join(__dirname, '..', 'data', 'pvpBattleProgress.json');
-
-// ------------------- New Storage Functions -------------------
-const { 
-  saveBattleProgressToStorage, 
-  retrieveBattleProgressFromStorage, 
-  deleteBattleProgressFromStorage 
-} = require('@/utils/storage.js');
+// One-time Agenda job fired when the current combatant's turn deadline passes
+const PVP_TURN_TIMEOUT_JOB_NAME = 'pvp-turn-timeout';
+// How long a combatant has to take their turn before forfeiting the duel
+const PVP_TURN_TIMEOUT_HOURS = 24;
+const PVP_TURN_TIMEOUT_MS = PVP_TURN_TIMEOUT_HOURS * 60 * 60 * 1000;
 
 // ============================================================================
-// File Initialization Functions
-// ------------------- Ensure Battle Progress File Exists -------------------
-function ensureBattleProgressFileExists() {
-  if (!fs.existsSync(BATTLE_PROGRESS_PATH)) {
-    fs.writeFileSync(BATTLE_PROGRESS_PATH, JSON.stringify({}));
-  } else {
-    try {
-      JSON.parse(fs.readFileSync(BATTLE_PROGRESS_PATH, 'utf8'));
-    } catch (error) {
-      handleError(error, 'pvpCombatModule.js');
-      fs.writeFileSync(BATTLE_PROGRESS_PATH, JSON.stringify({}));
-    }
-  }
+// Battle Progress Storage Functions
+// ------------------- Build Combatant -------------------
+function buildCombatant(character) {
+  return {
+    characterId: character._id,
+    userId: character.userId,
+    name: character.name,
+    startingHearts: Math.max(0, Number(character.currentHearts) || 0)
+  };
 }
 
-// ============================================================================
-// Battle Progress Storage Functions
 // ------------------- Store Battle Progress -------------------
-async function storeBattleProgress(attacker, defender) {
-  ensureBattleProgressFileExists();
-  const battleProgress = JSON.parse(fs.readFileSync(BATTLE_PROGRESS_PATH, 'utf8'));
-  
+async function storeBattleProgress(attacker, defender, options = {}) {
   const battleId = generateUniqueId('P'); // 'P' for PvP battles
-  
-  battleProgress[battleId] = {
-    battleId,
-    characters: {
-      attacker,
-      defender
-    },
-    progress: 'PvP Battle initiated',
-    turnCount: 0
-  };
+  const turnExpiresAt = new Date(Date.now() + PVP_TURN_TIMEOUT_MS);
 
   try {
-    fs.writeFileSync(BATTLE_PROGRESS_PATH, JSON.stringify(battleProgress, null, 2));
+    const battle = await PvPBattle.create({
+      battleId,
+      village: attacker.currentVillage,
+      channelId: options.channelId || null,
+      attacker: buildCombatant(attacker),
+      defender: buildCombatant(defender),
+      rivalry: !!options.rivalry,
+      currentTurnCharacterId: attacker._id,
+      turnExpiresAt,
+      progressLog: [{
+        at: new Date(),
+        turn: 0,
+        characterName: attacker.name,
+        outcome: 'start',
+        message: `${attacker.name} challenged ${defender.name} to a duel.`
+      }]
+    });
+    return battle;
   } catch (err) {
     handleError(err, 'pvpCombatModule.js');
     console.error(`[pvpCombatModule.js]: ❌ Error storing battle progress for Battle ID "${battleId}":`, err);
     throw err;
   }
-  return battleId;
 }
 
 // ------------------- Get Battle Progress by ID -------------------
 async function getBattleProgressById(battleId) {
-  ensureBattleProgressFileExists();
-  const battleProgress = JSON.parse(fs.readFileSync(BATTLE_PROGRESS_PATH, 'utf8'));
-
-  if (battleProgress[battleId]) {
-    return battleProgress[battleId];
+  const battle = await PvPBattle.findOne({ battleId });
+  if (battle) {
+    return battle;
   }
 
   console.error(`[pvpCombatModule.js]: ❌ Error - No battle progress found for Battle ID: ${battleId}`);
   return null;
 }
 
-// ------------------- Update Battle Progress -------------------
-async function updateBattleProgress(battleId, updatedProgress, outcome) {
-  ensureBattleProgressFileExists();
-  const battleProgress = JSON.parse(fs.readFileSync(BATTLE_PROGRESS_PATH, 'utf8'));
-  
-  if (!battleProgress[battleId]) return;
-
-  battleProgress[battleId].progress += `\n${updatedProgress}`;
-  battleProgress[battleId].turnCount++;
-
-  if (outcome.hearts > 0) {
-    await useHearts(outcome.character._id, outcome.hearts, {
-      commandName: 'pvp_combat',
-      characterName: outcome.character.name,
-      userId: outcome.character.userId,
-      operation: 'pvp_combat_damage'
-    });
-    if (outcome.character.currentHearts === 0) {
-      await handleKO(outcome.character._id, {
-        commandName: 'pvp_combat',
-        characterName: outcome.character.name,
-        userId: outcome.character.userId,
-        operation: 'pvp_combat_ko'
-      });
-      battleProgress[battleId].progress += `\n${outcome.character.name} has been KO'd!`;
-    }
+// ------------------- Delete Battle Progress -------------------
+async function deleteBattleProgressById(battleId) {
+  try {
+    await cancelPvPTurnTimeout(battleId);
+    await PvPBattle.deleteOne({ battleId });
+  } catch (error) {
+    handleError(error, 'pvpCombatModule.js');
+    console.error(`[pvpCombatModule.js]: ❌ Error deleting battle progress for Battle ID "${battleId}":`, error);
   }
+}
 
+// ============================================================================
+// Turn Timeout Scheduling
+// ------------------- Schedule Turn Timeout -------------------
+// Only one timeout job per battle: any previous one is cancelled first. The job carries the
+// turnCount it was scheduled for so a late-running job never forfeits a newer turn.
+async function schedulePvPTurnTimeout(battle) {
   try {
-    fs.writeFileSync(BATTLE_PROGRESS_PATH, JSON.stringify(battleProgress, null, 2));
+    await cancelPvPTurnTimeout(battle.battleId);
+    await scheduler.scheduleOneTimeJob(PVP_TURN_TIMEOUT_JOB_NAME, new Date(battle.turnExpiresAt), {
+      battleId: battle.battleId,
+      turnCount: battle.turnCount
+    });
   } catch (err) {
-    handleError(err, 'pvpCombatModule.js');
-    console.error(`[pvpCombatModule.js]: ❌ Error updating battle progress for Battle ID "${battleId}":`, err);
-    throw err;
+    // Fallback: pvp-turn-timeout-cleanup sweeps expired turns every 15 minutes
+    logger.warn('PVP', `Failed to schedule turn timeout for ${battle.battleId}: ${err.message}`);
   }
 }
 
-// ------------------- Delete Battle Progress -------------------
-async function deleteBattleProgressById(battleId) {
-  ensureBattleProgressFileExists();
+// ------------------- Cancel Turn Timeout -------------------
+async function cancelPvPTurnTimeout(battleId) {
   try {
-    const battleProgress = JSON.parse(fs.readFileSync(BATTLE_PROGRESS_PATH, 'utf8'));
-    if (battleProgress[battleId]) {
-      delete battleProgress[battleId];
-      fs.writeFileSync(BATTLE_PROGRESS_PATH, JSON.stringify(battleProgress, null, 2));
-    }
-  } catch (error) {
-    handleError(error, 'pvpCombatModule.js');
-    console.error(`[pvpCombatModule.js]: ❌ Error deleting battle progress for Battle ID "${battleId}":`, error);
+    await scheduler.cancelJob(PVP_TURN_TIMEOUT_JOB_NAME, { battleId });
+  } catch (err) {
+    logger.warn('PVP', `Failed to cancel turn timeout for ${battleId}: ${err.message}`);
   }
 }
 
@@ -249,56 +236,255 @@ function isFlurryTrigger(rollTotal, modLevel, flurryCount = 0) {
 // ============================================================================
 // PvP Battle Functions
 // ------------------- Start PvP Battle -------------------
-async function startPvPBattle(attacker, defender) {
-  const battleId = await storeBattleProgress(attacker, defender);
-  return battleId;
+async function startPvPBattle(attacker, defender, options = {}) {
+  const [attackerBattle, defenderBattle] = await Promise.all([
+    PvPBattle.findActiveByCharacter(attacker._id),
+    PvPBattle.findActiveByCharacter(defender._id)
+  ]);
+  if (attackerBattle) {
+    return { error: `**${attacker.name}** is already in battle \`${attackerBattle.battleId}\`. Finish or forfeit it first.` };
+  }
+  if (defenderBattle) {
+    return { error: `**${defender.name}** is already in battle \`${defenderBattle.battleId}\`.` };
+  }
+
+  const rivalry = await areRivals(attacker, defender);
+  const battle = await storeBattleProgress(attacker, defender, { ...options, rivalry });
+  await schedulePvPTurnTimeout(battle);
+  logger.info('PVP', `Started battle ${battle.battleId}: ${attacker.name} vs ${defender.name}${rivalry ? ' (rivals)' : ''}`);
+  return { battleId: battle.battleId, battle };
 }
 
 // ------------------- Take PvP Turn -------------------
-async function takePvPTurn(battleId, attacker, defender) {
-  const battleProgress = await getBattleProgressById(battleId);
-  if (!battleProgress) return null;
+// Resolves the attacker's turn against their opponent. The turn is claimed atomically before any
+// hearts are removed, so a double-submitted /combat attack resolves at most once.
+async function takePvPTurn(battleId, attacker) {
+  const battle = await getBattleProgressById(battleId);
+  if (!battle) return { error: `No battle found with ID \`${battleId}\`.` };
+  if (battle.status !== 'active') return { error: `Battle \`${battleId}\` has already ended.` };
+
+  const role = battle.getCombatantRole(attacker._id);
+  if (!role) return { error: `**${attacker.name}** is not part of battle \`${battleId}\`.` };
+  if (battle.currentTurnCharacterId.toString() !== attacker._id.toString()) {
+    const current = battle.getCurrentTurnCombatant();
+    return { error: `It is **${current?.name || 'your opponent'}**'s turn, not **${attacker.name}**'s.` };
+  }
+
+  const opponent = battle.getOpponent(attacker._id);
+  const defender = await Character.findById(opponent.characterId);
+  if (!defender) return { error: `Could not load **${opponent.name}** for this battle.` };
 
   const weaponMod = getWeaponMod(attacker);
-  const { total: rollTotal, rolls } = rollWeaponDice(weaponMod);
-  const defense = getTotalDefense(defender || battleProgress.characters.defender);
+  const { total: diceTotal, rolls } = rollWeaponDice(weaponMod);
+  const rivalryBonus = battle.rivalry ? RIVALRY_ROLL_BONUS : 0;
+  const rollTotal = diceTotal + rivalryBonus;
+  const defense = getTotalDefense(defender);
 
   // Check for elixir buff effects in the battle log
   let buffInfo = '';
+  if (rivalryBonus > 0) {
+    buffInfo += `\n⚔️ Rivalry: +${rivalryBonus} to the roll`;
+  }
   if (attacker.buff?.active) {
     buffInfo += `\n🧪 **${attacker.name}** has active **${attacker.buff.type}** buff`;
   }
-  if (defender?.buff?.active || battleProgress.characters.defender?.buff?.active) {
-    const defenderChar = defender || battleProgress.characters.defender;
-    buffInfo += `\n🧪 **${defenderChar.name}** has active **${defenderChar.buff.type}** buff`;
+  if (defender.buff?.active) {
+    buffInfo += `\n🧪 **${defender.name}** has active **${defender.buff.type}** buff`;
+  }
+
+  const success = rollTotal > defense;
+  const message =
+    `${attacker.name} rolled ${rollTotal} (${rolls.join(', ') || 'no dice'}) against ${defender.name}'s defense of ${defense}. ` +
+    `${success ? 'Hit!' : 'Miss!'}${buffInfo}`;
+
+  const claimed = await PvPBattle.claimTurn(battleId, attacker._id, battle.turnCount, {
+    nextTurnCharacterId: defender._id,
+    turnExpiresAt: new Date(Date.now() + PVP_TURN_TIMEOUT_MS),
+    statField: `${role}.${success ? 'hits' : 'misses'}`,
+    logEntry: {
+      at: new Date(),
+      turn: battle.turnCount + 1,
+      characterName: attacker.name,
+      outcome: success ? 'hit' : 'miss',
+      message
+    }
+  });
+  if (!claimed) {
+    return { error: `That turn was already resolved. Use \`/combat status\` to see the current state of \`${battleId}\`.` };
   }
 
   const outcome = {
+    battleId,
     attacker: attacker.name,
-    defender: (defender || battleProgress.characters.defender).name,
+    defender: defender.name,
     rollTotal,
     rolls,
+    rivalryBonus,
     defense,
-    success: rollTotal > defense,
-    hearts: rollTotal > defense ? 1 : 0,
-    character: defender || battleProgress.characters.defender
+    success,
+    hearts: success ? 1 : 0,
+    message,
+    ko: false,
+    battle: claimed
   };
 
-  await updateBattleProgress(battleId, 
-    `${attacker.name} rolled ${rollTotal} (${rolls.join(', ')}) against ${outcome.defender}'s defense of ${defense}. ` +
-    `${outcome.success ? 'Hit!' : 'Miss!'}${buffInfo}`, 
-    outcome
-  );
+  if (outcome.hearts > 0) {
+    await useHearts(defender._id, outcome.hearts, {
+      commandName: 'pvp_combat',
+      characterName: defender.name,
+      userId: defender.userId,
+      operation: 'pvp_combat_damage'
+    });
+  }
+
+  const refreshedDefender = await Character.findById(defender._id);
+  outcome.defenderHearts = refreshedDefender?.currentHearts ?? 0;
+
+  if (refreshedDefender && (refreshedDefender.ko || refreshedDefender.currentHearts <= 0)) {
+    if (!refreshedDefender.ko) {
+      await handleKO(refreshedDefender._id, {
+        commandName: 'pvp_combat',
+        characterName: refreshedDefender.name,
+        userId: refreshedDefender.userId,
+        operation: 'pvp_combat_ko'
+      });
+    }
+    const ended = await PvPBattle.endBattle(battleId, {
+      status: 'completed',
+      winnerCharacterId: attacker._id,
+      loserCharacterId: defender._id,
+      logEntry: {
+        at: new Date(),
+        turn: claimed.turnCount,
+        characterName: defender.name,
+        outcome: 'ko',
+        message: `${defender.name} has been KO'd! ${attacker.name} wins the duel.`
+      }
+    });
+    outcome.ko = true;
+    outcome.battle = ended || claimed;
+    await cancelPvPTurnTimeout(battleId);
+    logger.info('PVP', `Battle ${battleId} won by ${attacker.name} (KO)`);
+  } else {
+    await schedulePvPTurnTimeout(claimed);
+  }
 
   return outcome;
 }
 
+// ------------------- Forfeit PvP Battle -------------------
+// Voluntary surrender by either combatant. The opponent is recorded as the winner.
+async function forfeitPvPBattle(battleId, character) {
+  const battle = await getBattleProgressById(battleId);
+  if (!battle) return { error: `No battle found with ID \`${battleId}\`.` };
+  if (battle.status !== 'active') return { error: `Battle \`${battleId}\` has already ended.` };
+  if (!battle.getCombatantRole(character._id)) {
+    return { error: `**${character.name}** is not part of battle \`${battleId}\`.` };
+  }
+
+  const opponent = battle.getOpponent(character._id);
+  const ended = await PvPBattle.endBattle(battleId, {
+    status: 'forfeited',
+    winnerCharacterId: opponent.characterId,
+    loserCharacterId: character._id,
+    logEntry: {
+      at: new Date(),
+      turn: battle.turnCount,
+      characterName: character.name,
+      outcome: 'forfeit',
+      message: `${character.name} forfeited the duel. ${opponent.name} wins.`
+    }
+  });
+  if (!ended) return { error: `Battle \`${battleId}\` has already ended.` };
+
+  await cancelPvPTurnTimeout(battleId);
+  logger.info('PVP', `Battle ${battleId} forfeited by ${character.name}`);
+  return { battle: ended, winner: opponent, loser: character.name };
+}
+
+// ------------------- Expire Idle PvP Turn -------------------
+// Called by the pvp-turn-timeout job and the cleanup sweep. Forfeits the combatant whose turn it is
+// when their deadline has passed. expectedTurnCount (from the job data) guards against a job that
+// fires after the turn has already moved on.
+async function expireIdlePvPTurn(battleId, client = null, expectedTurnCount = null) {
+  const battle = await PvPBattle.findOne({ battleId, status: 'active' });
+  if (!battle) return null;
+  if (typeof expectedTurnCount === 'number' && battle.turnCount !== expectedTurnCount) return null;
+  if (!battle.isTurnExpired()) {
+    // Job ran early (clock skew / restart): put the timer back instead of forfeiting
+    await schedulePvPTurnTimeout(battle);
+    return null;
+  }
+
+  const idle = battle.getCurrentTurnCombatant();
+  const opponent = battle.getOpponent(battle.currentTurnCharacterId);
+  if (!idle || !opponent) return null;
+
+  const ended = await PvPBattle.endBattle(battleId, {
+    status: 'timed_out',
+    winnerCharacterId: opponent.characterId,
+    loserCharacterId: idle.characterId,
+    expectedTurnCount: battle.turnCount,
+    logEntry: {
+      at: new Date(),
+      turn: battle.turnCount,
+      characterName: idle.name,
+      outcome: 'timeout',
+      message: `${idle.name} did not take their turn within ${PVP_TURN_TIMEOUT_HOURS} hours and forfeits. ${opponent.name} wins.`
+    }
+  });
+  if (!ended) return null;
+
+  logger.info('PVP', `Battle ${battleId} timed out: ${idle.name} forfeits to ${opponent.name}`);
+
+  if (client?.channels && ended.channelId) {
+    try {
+      const channel = await client.channels.fetch(ended.channelId).catch(() => null);
+      if (channel) {
+        const embed = new EmbedBuilder()
+          .setColor('#FFA500')
+          .setTitle('⏱️ PvP turn timed out')
+          .setDescription(`**${idle.name}** did not take their turn within ${PVP_TURN_TIMEOUT_HOURS} hours and forfeits the duel.\n🏆 **${opponent.name}** wins!`)
+          .addFields({ name: '🆔 Battle ID', value: `\`${battleId}\``, inline: true })
+          .setFooter({ text: 'PvP Combat' })
+          .setTimestamp();
+        await channel.send({ content: `<@${idle.userId}> <@${opponent.userId}>`, embeds: [embed] });
+      }
+    } catch (err) {
+      logger.warn('PVP', `Could not post timeout for ${battleId}: ${err.message}`);
+    }
+  }
+
+  return ended;
+}
+
+// ------------------- Expire All Idle PvP Turns -------------------
+// Sweep for turns whose one-time job was lost (restart, scheduling failure).
+async function expireAllIdlePvPTurns(client = null) {
+  const expired = await PvPBattle.findExpiredTurns();
+  let processed = 0;
+  for (const battle of expired) {
+    try {
+      if (await expireIdlePvPTurn(battle.battleId, client)) processed++;
+    } catch (err) {
+      handleError(err, 'pvpCombatModule.js');
+      logger.error('PVP', `Failed to expire battle ${battle.battleId}: ${err.message}`);
+    }
+  }
+  return processed;
+}
+
 module.exports = {
+  PVP_TURN_TIMEOUT_JOB_NAME,
+  PVP_TURN_TIMEOUT_HOURS,
   getBattleProgressById,
   startPvPBattle,
   takePvPTurn,
+  forfeitPvPBattle,
+  expireIdlePvPTurn,
+  expireAllIdlePvPTurns,
   getTotalDefense,
   getWeaponMod,
   isFlurryTrigger,
   deleteBattleProgressById
-}; 
\ No newline at end of file
+};
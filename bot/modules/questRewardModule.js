@@ -11,6 +11,14 @@ const ApprovedSubmission = require('../models/ApprovedSubmissionModel');
 const { handleError } = require('../utils/globalErrorHandler');
 const logger = require('../utils/logger');
 const { EmbedBuilder } = require('discord.js');
+const {
+    SHEIKAH_SLATE_CHANNEL_ID,
+    chunkDiscordContent,
+    getQuestNotificationChannelId,
+    buildQuestCompletionEmbed,
+    buildQuestSummaryMessages,
+    buildQuestCompletionRecord
+} = require('@tinglebot/shared/lib/questCompletion');
 
 // ============================================================================
 // ------------------- Constants -------------------
@@ -168,18 +176,6 @@ function chunkLinesForEmbed(lines, maxChars = 1000) {
     return chunks.length ? chunks : [''];
 }
 
-function chunkDiscordContent(str, maxLen = 1990) {
-    if (str.length <= maxLen) return [str];
-    const parts = [];
-    let rest = str;
-    while (rest.length > maxLen) {
-        parts.push(rest.slice(0, maxLen));
-        rest = rest.slice(maxLen);
-    }
-    if (rest.length) parts.push(rest);
-    return parts;
-}
-
 function getBatchedRewardEmbedCopy(quest, entries) {
     const allPreCredited =
         entries.length > 0 &&
@@ -215,7 +211,6 @@ async function sendBatchedQuestRewardNotification(quest, entries) {
             return { success: false, error: 'Discord client not available' };
         }
 
-        const SHEIKAH_SLATE_CHANNEL_ID = '641858948802150400';
         const channel = await client.channels.fetch(SHEIKAH_SLATE_CHANNEL_ID);
         if (!channel) {
             console.log(`[questRewardModule] ❌ Could not find Sheikah Slate channel ${SHEIKAH_SLATE_CHANNEL_ID} for notification`);
@@ -337,107 +332,30 @@ async function sendQuestCompletionNotification(quest, participant, channelId = n
 }
 
 // ------------------- Get Quest Notification Channel -------------------
+// Channel rules live in @tinglebot/shared (lib/questCompletion.js) so dashboard completions match
 async function getQuestNotificationChannel(quest, participant) {
-    try {
-        const SHEIKAH_SLATE_CHANNEL_ID = '641858948802150400';
-
-        // For RP quests, use the RP thread if available
-        if (quest.questType.toLowerCase() === 'rp' && participant.rpThreadId) {
-            return participant.rpThreadId;
-        }
-
-        // Art, Writing, Art/Writing, Interactive, and Interactive/RP quest completion notifications...
-        const questType = (quest.questType || '').toLowerCase();
-        if (
-            questType === 'art' ||
-            questType === 'writing' ||
-            questType === 'art / writing' ||
-            questType === 'art/writing' ||
-            questType === 'interactive' ||
-            questType === 'interactive / rp'
-        ) {
-            return SHEIKAH_SLATE_CHANNEL_ID;
-        }
-
-        // For other quest types, use the quest channel if specified
-        if (quest.targetChannel) {
-            return quest.targetChannel;
-        }
-
-        // Fallback to Sheikah Slate channel for quest completion notifications
-        // (Quest Board channel is used for quest announcements, not completions)
-        return SHEIKAH_SLATE_CHANNEL_ID;
-
-    } catch (error) {
-        console.error(`[questRewardModule] ❌ Error getting notification channel:`, error);
-        return null;
-    }
+    return getQuestNotificationChannelId(quest, participant);
 }
 
 // ------------------- Create Completion Notification Embed -------------------
 async function createCompletionNotificationEmbed(quest, participant) {
     try {
-        const handler = QUEST_TYPE_HANDLERS[quest.questType];
-        
-        let title, description, progressField;
-        
-        if (handler) {
-            title = handler.getTitle();
-            description = handler.getDescription(participant.characterName);
-            progressField = handler.getProgressField(participant, quest);
-        } else {
-            // Default fallback
-            title = '🎉 Quest Completed!';
-            description = `**${participant.characterName}** has successfully completed the quest!`;
-            progressField = {
-                name: 'Status',
-                value: '✅ Completed',
-                inline: true
-            };
-        }
-
-        const embed = createBaseEmbed(title, description);
-        
-        // Add progress field if available
-        const additionalFields = [];
-        if (progressField) {
-            additionalFields.push(progressField);
-        }
-        additionalFields.push({ name: 'Status', value: '✅ Completed', inline: true });
-        
-        addQuestInfoFields(embed, quest, additionalFields);
-
-        // Add quest-specific information
-        if (
-          (Array.isArray(quest.tableRollNames) && quest.tableRollNames.length > 0) ||
-          quest.tableRollName
-        ) {
-          embed.addFields({
-            name: "Table rolls",
-            value:
-              Array.isArray(quest.tableRollNames) && quest.tableRollNames.length > 0
-                ? quest.tableRollNames.join(", ")
-                : String(quest.tableRollName),
-            inline: true,
-          });
-        }
-
-        if (quest.requiredVillage && (quest.questType === 'RP' || quest.questType === QUEST_TYPES.INTERACTIVE_RP)) {
-            embed.addFields({
-                name: 'Quest Village',
-                value: quest.requiredVillage.charAt(0).toUpperCase() + quest.requiredVillage.slice(1),
-                inline: true
-            });
-        }
-
-        return embed;
-
+        return EmbedBuilder.from(buildQuestCompletionEmbed(quest, participant, getQuestRequirements(quest)));
     } catch (error) {
         console.error(`[questRewardModule] ❌ Error creating completion notification embed:`, error);
         return null;
     }
 }
 
+// ------------------- Get Quest Requirements -------------------
+// Effective RP post and roll minimums shown on the completion notice
+function getQuestRequirements(quest) {
+    return {
+        posts: resolvePostRequirement(quest),
+        rolls: quest.requiredRolls || DEFAULT_ROLL_REQUIREMENT
+    };
+}
+
 // ------------------- Send Quest Completion Summary -------------------
 async function sendQuestCompletionSummary(quest, completionReason) {
     try {
@@ -449,65 +367,16 @@ async function sendQuestCompletionSummary(quest, completionReason) {
             return { success: false, error: 'Discord client not available' };
         }
 
-        const participants = Array.from(quest.participants.values());
-        const completedParticipants = participants.filter(p => p.progress === 'completed' || p.progress === 'rewarded');
-
-        const reasonKey = String(completionReason || 'time_expired').replace(/_/g, ' ').toUpperCase();
-
-        let summaryTitle = '🏁 Quest completed';
-        let summaryDescription = `**${quest.title}** has finished.`;
-
-        if (completionReason === 'time_expired') {
-            summaryTitle = '⏰ Quest time ended';
-            summaryDescription = `**${quest.title}** has ended (time expired).`;
-        }
-
-        const maxNamesInDesc = 25;
-        const nameLines = completedParticipants.slice(0, maxNamesInDesc).map((p) => `• **${p.characterName || 'Unknown'}** ✅`);
-        const overflow =
-            completedParticipants.length > maxNamesInDesc
-                ? `\n_…and ${completedParticipants.length - maxNamesInDesc} more._`
-                : '';
-        const rosterText =
-            completedParticipants.length === 0
-                ? '_No participants met completion requirements._'
-                : `**These members completed the quest:**\n${nameLines.join('\n')}${overflow}`;
-
-        summaryDescription = `${summaryDescription}\n\n${rosterText}`;
-        const MAX_EMBED_DESC = 3900;
-        if (summaryDescription.length > MAX_EMBED_DESC) {
-            summaryDescription = `${summaryDescription.slice(0, MAX_EMBED_DESC - 20).trimEnd()}…\n_— message truncated —_`;
-        }
-
-        const embed = createBaseEmbed(
-            summaryTitle,
-            summaryDescription,
-            completionReason === 'time_expired' ? QUEST_COLORS.EXPIRED : QUEST_COLORS.SUCCESS
-        );
-
-        const additionalFields = [
-            { name: 'Total signed up', value: participants.length.toString(), inline: true },
-            { name: 'Completed', value: completedParticipants.length.toString(), inline: true },
-            { name: 'Closure', value: reasonKey, inline: true },
-        ];
-
-        addQuestInfoFields(embed, quest, additionalFields);
-
-        const SHEIKAH_SLATE_CHANNEL_ID = '641858948802150400';
-
-        const completerIds = [...new Set(completedParticipants.map((p) => p.userId).filter(Boolean))];
-        const mentionStr = completerIds.map((id) => `<@${id}>`).join(' ');
-        const mentionParts = chunkDiscordContent(mentionStr);
-
+        const [first, ...rest] = buildQuestSummaryMessages(quest, completionReason);
         try {
             const sheikahSlateChannel = await client.channels.fetch(SHEIKAH_SLATE_CHANNEL_ID);
             if (sheikahSlateChannel) {
                 await sheikahSlateChannel.send({
-                    content: mentionParts[0] || undefined,
-                    embeds: [embed],
+                    content: first.content,
+                    embeds: first.embeds.map(embed => EmbedBuilder.from(embed)),
                 });
-                for (let i = 1; i < mentionParts.length; i++) {
-                    await sheikahSlateChannel.send({ content: mentionParts[i] });
+                for (const message of rest) {
+                    await sheikahSlateChannel.send(message);
                 }
                 console.log(`[questRewardModule] ✅ Sent quest completion summary to Sheikah Slate channel`);
                 return { success: true };
@@ -610,100 +479,6 @@ function addQuestInfoFields(embed, quest, additionalFields = []) {
     return embed;
 }
 
-// ------------------- Quest Type Specific Logic ------------------
-const QUEST_TYPE_HANDLERS = {
-    [QUEST_TYPES.RP]: {
-        checkRequirements: (participant, quest) => {
-            const eff = resolvePostRequirement(quest);
-            return eff === 0 || participant.rpPostCount >= eff;
-        },
-        getProgressField: (participant, quest) => {
-            const eff = resolvePostRequirement(quest);
-            const value =
-                eff === 0
-                    ? `${participant.rpPostCount} (no minimum)`
-                    : `${participant.rpPostCount}/${eff}`;
-            return {
-                name: 'Posts Completed',
-                value,
-                inline: true
-            };
-        },
-        getTitle: () => '🎭 RP Quest Completed!',
-        getDescription: (characterName) => `**${characterName}** has successfully completed the RP quest!`
-    },
-    [QUEST_TYPES.ART]: {
-        checkRequirements: (participant) => 
-            participant.submissions.some(sub => sub.type === SUBMISSION_TYPES.ART && sub.approved),
-        getProgressField: () => ({
-            name: 'Art Submission',
-            value: '✅ Approved',
-            inline: true
-        }),
-        getTitle: () => '🎨 Art Quest Completed!',
-        getDescription: (characterName) => `**${characterName}** has successfully submitted their art for the quest!`
-    },
-    [QUEST_TYPES.WRITING]: {
-        checkRequirements: (participant) => 
-            participant.submissions.some(sub => sub.type === SUBMISSION_TYPES.WRITING && sub.approved),
-        getProgressField: () => ({
-            name: 'Writing Submission',
-            value: '✅ Approved',
-            inline: true
-        }),
-        getTitle: () => '✍️ Writing Quest Completed!',
-        getDescription: (characterName) => `**${characterName}** has successfully submitted their writing for the quest!`
-    },
-    [QUEST_TYPES.ART_WRITING]: {
-        checkRequirements: (participant, quest) => {
-            const artWritingMode = (quest?.artWritingMode || 'both').toLowerCase();
-            const hasArt = participant.submissions.some(sub => sub.type === SUBMISSION_TYPES.ART && sub.approved);
-            const hasWriting = participant.submissions.some(sub => sub.type === SUBMISSION_TYPES.WRITING && sub.approved);
-            if (artWritingMode === 'either') return hasArt || hasWriting;
-            return hasArt && hasWriting;
-        },
-        getProgressField: (participant, quest) => {
-            const artCount = participant.submissions.filter(sub => sub.type === SUBMISSION_TYPES.ART && sub.approved).length;
-            const writingCount = participant.submissions.filter(sub => sub.type === SUBMISSION_TYPES.WRITING && sub.approved).length;
-            const mode = (quest?.artWritingMode || 'both').toLowerCase();
-            const value = mode === 'either'
-                ? `🎨 ${artCount} art, ✍️ ${writingCount} writing (either counts)`
-                : `🎨 ${artCount} art, ✍️ ${writingCount} writing`;
-            return { name: 'Submissions', value, inline: true };
-        },
-        getTitle: () => '🎨✍️ Art & Writing Quest Completed!',
-        getDescription: (characterName) => `**${characterName}** has successfully submitted for the quest!`
-    },
-    [QUEST_TYPES.INTERACTIVE_RP]: {
-        checkRequirements: () => true,
-        getProgressField: (participant, quest) => {
-            const eff = resolvePostRequirement(quest);
-            const postsPart =
-                eff === 0
-                    ? `📝 Posts ${participant.rpPostCount} (no minimum)`
-                    : `📝 Posts ${participant.rpPostCount}/${eff}`;
-            return {
-                name: 'Progress',
-                value: `${postsPart}\n🎲 Rolls ${participant.successfulRolls}/${quest.requiredRolls || DEFAULT_ROLL_REQUIREMENT}`,
-                inline: false,
-            };
-        },
-        getTitle: () => '🎭🎮 Interactive / RP Quest Completed!',
-        getDescription: (characterName) =>
-            `**${characterName}** has met the RP posts and table roll requirements for this quest!`,
-    },
-    [QUEST_TYPES.INTERACTIVE]: {
-        checkRequirements: () => true, // Interactive quests have different completion logic
-        getProgressField: (participant, quest) => ({
-            name: 'Rolls',
-            value: `${participant.successfulRolls}/${quest.requiredRolls || DEFAULT_ROLL_REQUIREMENT}`,
-            inline: true
-        }),
-        getTitle: () => '🎮 Interactive Quest Completed!',
-        getDescription: (characterName) => `**${characterName}** has successfully completed the interactive quest!`
-    }
-};
-
 // ------------------- Sync Approved Submissions to Participant ------------------
 // Safeguard function to ensure approved submissions are synced to participant records
 async function syncApprovedSubmissionsToParticipant(quest, participant) {
@@ -1442,49 +1217,24 @@ async function distributeTokens(userId, tokensToAward, transactionMeta = {}) {
 // This ensures quest count is updated even if reward processing doesn't happen immediately
 async function recordQuestCompletionSafeguard(participant, quest) {
     try {
-        // Only record if participant is marked as completed
+        // Only record if participant is marked as completed (record rules shared with the dashboard)
         if (participant.progress !== 'completed' && participant.progress !== 'rewarded') {
             return;
         }
-        
-        const user = await findUserSafely(participant.userId);
-        if (!user || typeof user.recordQuestCompletion !== 'function') {
-            return;
-        }
-        
-        // Validate quest data - require non-empty questID for proper tracking
-        if (!quest || typeof quest.questID !== 'string' || quest.questID.trim() === '') {
+        const record = buildQuestCompletionRecord(participant, quest);
+        if (!record) {
             logger.warn('QUEST', 'recordQuestCompletionSafeguard: quest or questID missing, skipping');
             return;
         }
 
-        const te = Number(participant.tokensEarned);
-        const tokensEarned = Number.isFinite(te) && te >= 0 ? te : 0;
-        const paidViaSubmission = participant.questTokensPaidViaSubmission === true;
-        const rewardedAt =
-            participant.rewardedAt ||
-            (tokensEarned > 0 ? participant.completedAt || new Date() : null);
-        let rewardSource = 'pending';
-        if (tokensEarned > 0 && paidViaSubmission) {
-            rewardSource = 'submission';
-        } else if (participant.rewardSource && participant.rewardSource !== 'pending') {
-            rewardSource = participant.rewardSource;
-        } else if (tokensEarned > 0) {
-            rewardSource = 'immediate';
+        const user = await findUserSafely(participant.userId);
+        if (!user || typeof user.recordQuestCompletion !== 'function') {
+            return;
         }
 
-        await user.recordQuestCompletion({
-            questId: quest.questID,
-            questType: quest.questType || 'Other',
-            questTitle: quest.title || `Quest ${quest.questID}`,
-            completedAt: participant.completedAt || new Date(),
-            rewardedAt: rewardedAt || (tokensEarned > 0 ? participant.completedAt || new Date() : null),
-            tokensEarned,
-            itemsEarned: [],
-            rewardSource
-        });
+        await user.recordQuestCompletion(record);
 
-        logger.info('QUEST', `recordQuestCompletionSafeguard: recorded for userId=${participant.userId} questId=${quest.questID} rewardSource=${rewardSource}`);
+        logger.info('QUEST', `recordQuestCompletionSafeguard: recorded for userId=${participant.userId} questId=${quest.questID} rewardSource=${record.rewardSource}`);
     } catch (error) {
         logger.error('QUEST', `Error in quest completion safeguard for user ${participant.userId}: ${error.message}`, error);
     }
@@ -1535,7 +1285,7 @@ async function distributeItems(quest, participant) {
         const character = await findCharacterSafely(participant.characterName, participant.userId);
         
         // Import inventory utilities and database functions
-        const { connectToInventories } = require('../database/db');
+        const { getCharacterInventoryCollection } = require('../database/db');
         const Item = require('../models/ItemModel');
         // Google Sheets functionality removed
         const { logItemAcquisitionToDatabase } = require('../utils/inventoryUtils');
@@ -1555,13 +1305,8 @@ async function distributeItems(quest, participant) {
             return { success: true, itemsAdded: 0, itemsDistributed: [] };
         }
         
-        // Connect to inventories database
-        const inventoriesConnection = await connectToInventories();
-        const db = inventoriesConnection.useDb('inventories');
-        
-        // Get collection name (per-character inventory)
-        const collectionName = character.name.toLowerCase();
-        const inventoryCollection = db.collection(collectionName);
+        // Shared inventories collection, scoped to this character
+        const inventoryCollection = await getCharacterInventoryCollection(character);
         
         const distributedItems = [];
         let totalItemsAdded = 0;
@@ -2755,6 +2500,11 @@ module.exports = {
     recordQuestCompletionSafeguard,
     syncApprovedSubmissionsToParticipant,
 
+    // Token Calculation Functions
+    parseTokenReward,
+    computeParticipantUnits,
+    computeTokensForParticipant,
+
     // Village Validation Functions
     extractVillageFromLocation,
     validateRPQuestVillage,
@@ -31,7 +31,10 @@ const { getCharacterBoostStatus, applyLootingDamageBoost } = require('./boostInt
 const { isBoostActive } = require('../commands/jobs/boosting');
 const { shouldConsumeElixir, consumeElixirBuff, getActiveBuffEffects } = require('./elixirModule');
 const { useHearts } = require('./characterStatsModule');
+const { applyBondRollBonus } = require('./relationshipModule');
+const { emitGameEvent } = require('@/utils/gameEvents');
 const { getCurrentWeather } = require('@/services/weatherService');
+const rng = require('@/services/rngService');
 const { getGlobalRaidCooldown, setGlobalRaidCooldown, getVillageRaidCooldown, VILLAGE_RAID_COOLDOWN, setVillageRaidCooldown } = require('../scripts/randomMonsterEncounters');
 
 // ============================================================================
@@ -291,7 +294,7 @@ async function processRaidBattle(character, monster, diceRoll, damageValue, adju
         fortuneRerollTriggered = true;
 
         // Perform a single reroll end-to-end
-        const diceRollReroll = Math.floor(Math.random() * 100) + 1;
+        const diceRollReroll = rng.randomInt(1, 100, 'raid-fortune-reroll');
         let { damageValue: damageValueReroll, adjustedRandomValue: adjustedRandomValueReroll, attackSuccess: attackSuccessReroll, defenseSuccess: defenseSuccessReroll } =
           calculateRaidFinalValue(character, diceRollReroll);
 
@@ -627,7 +630,7 @@ async function joinRaid(character, raidId, options = {}) {
         // Ensure chance stays within reasonable bounds
         infectionChance = Math.max(0.1, Math.min(0.95, infectionChance));
         
-        const infectionRoll = Math.random();
+        const infectionRoll = rng.random('blight-rain-infection');
         
         if (infectionRoll < infectionChance) {
           blightRainMessage = 
@@ -981,14 +984,20 @@ async function maybeRetryTurnAdvanced(character, raidId, interaction, raidData,
   const refetchedPart = (refetched.participants || []).find(p => p.characterId.toString() === character._id.toString());
   const refetchedCurrent = refetched.getCurrentTurnParticipant();
   if (refetchedPart && refetchedCurrent && refetchedCurrent.characterId.toString() === character._id.toString() && !refetchedPart.hasTakenActionThisTurn) {
-    return processRaidTurn(character, raidId, interaction, raidData, true);
+    return runRaidTurn(character, raidId, interaction, raidData, true);
   }
   return null;
 }
 
 // ------------------- processRaidTurn ------------------
-// Processes a single turn in a raid for a character
-async function processRaidTurn(character, raidId, interaction, raidData = null, turnAdvancedRetry = false) {
+// Processes a single turn in a raid for a character. Every draw of the turn comes
+// from one seeded roll session so /mod-roll replay can reproduce it.
+function processRaidTurn(character, raidId, interaction, raidData = null, turnAdvancedRetry = false) {
+  return rng.runWithRollSession(() => runRaidTurn(character, raidId, interaction, raidData, turnAdvancedRetry));
+}
+
+// ------------------- runRaidTurn ------------------
+async function runRaidTurn(character, raidId, interaction, raidData = null, turnAdvancedRetry = false) {
   try {
     // Cancel 1-minute skip job first (before fetch) so turn-skip job is less likely to run in the window between fetch and cancel
     const isModTurn = !!character.isModCharacter;
@@ -1043,13 +1052,16 @@ async function processRaidTurn(character, raidId, interaction, raidData = null,
     // Note: KO'd characters can still take turns in raids (KO status is handled during combat)
 
     // Generate random roll and apply raid difficulty penalty before calculating final value
-    let diceRoll = Math.floor(Math.random() * 100) + 1;
+    let diceRoll = rng.randomInt(1, 100, 'raid-d100');
     // Party-size and tier-based penalty: -1 per extra participant, -0.5 per tier above 5 (capped total 15)
     const partySize = (raid.participants || []).length;
     const partyPenalty = Math.max(0, (partySize - 1) * 1);
     const tierPenalty = Math.max(0, ((raid.monster?.tier || 5) - 5) * 0.5);
     const totalPenalty = Math.min(15, partyPenalty + tierPenalty);
     diceRoll = Math.max(1, Math.floor(diceRoll - totalPenalty));
+    // Bonded companions (FRIEND/FAMILY links) in the raid win back part of the penalty
+    const bond = await applyBondRollBonus(diceRoll, character, participants);
+    diceRoll = bond.diceRoll;
     const { damageValue, adjustedRandomValue, attackSuccess, defenseSuccess } = calculateRaidFinalValue(character, diceRoll);
 
     // For expedition raids, use party pool as the source of truth (not character DB)
@@ -1121,6 +1133,12 @@ async function processRaidTurn(character, raidId, interaction, raidData = null,
 
           await syncExpeditionPartyPoolFromRaid(raid);
           await raid.completeRaid('defeated');
+          // Season pass XP and raid achievements subscribe to raid.won
+          emitGameEvent('raid.won', {
+            raidId: raid.raidId,
+            monsterName: raid.monster?.name || null,
+            participants: (raid.participants || []).map(p => ({ userId: p.userId, characterId: String(p.characterId), name: p.name }))
+          });
           if (raid.expeditionId && interaction?.client) {
             await notifyExpeditionRaidOver(raid, interaction.client, 'defeated', character);
           }
@@ -1310,12 +1328,34 @@ async function processRaidTurn(character, raidId, interaction, raidData = null,
     }
 
     // Turn completion logged only in debug mode
+
+    const rollRecord = await rng.recordRoll({
+      kind: 'raid-turn',
+      character,
+      inputs: {
+        raidId,
+        monster: raid.monster?.name,
+        tier: raid.monster?.tier,
+        partySize,
+        penalty: totalPenalty,
+        bondBonus: bond.bonus || 0
+      },
+      result: {
+        diceRoll,
+        adjustedRandomValue,
+        damage: battleResult.hearts,
+        monsterHearts: battleResult.monsterHearts?.current ?? null
+      },
+      summary: `Raid ${raidId} turn vs ${raid.monster?.name}`
+    });
     
     return {
       raidId,
       raidData: raid,
       battleResult,
-      participant
+      participant,
+      bond: { bonus: bond.bonus, bonded: bond.bonded },
+      rollId: rollRecord?.rollId || null
     };
   } catch (error) {
     handleError(error, 'raidModule.js', {
@@ -0,0 +1,125 @@
+// ============================================================================
+// Relationship Module
+// Gameplay hooks for character relationships (RelationshipModel, managed on the
+// dashboard at /characters/relationships).
+// - Bonds: FRIEND / CLOSE_FRIEND / FAMILY links between characters in the same
+//   explore party or raid add a small bonus to encounter rolls.
+// - Rivalry: a RIVAL link between duelists adds to both sides' attack rolls in
+//   /combat challenge.
+// Links are directional on the model (each owner records their own character's
+// side); either direction counts. Lookups are best-effort and never block a command.
+// ============================================================================
+
+// ------------------- Standard Libraries -------------------
+const logger = require('@/utils/logger');
+
+// ------------------- Database Models -------------------
+const Relationship = require('@/models/RelationshipModel');
+
+// ------------------- Configuration Constants -------------------
+const BOND_TYPES = ['FRIEND', 'CLOSE_FRIEND', 'FAMILY'];
+const RIVAL_TYPES = ['RIVAL'];
+
+// d100 encounter roll bonus per bonded companion, capped
+const BOND_ROLL_BONUS_PER_COMPANION = 2;
+const MAX_BOND_ROLL_BONUS = 4;
+
+// Added to each side's weapon dice total in a duel between rivals
+const RIVALRY_ROLL_BONUS = 1;
+
+// ============================================================================
+// Lookups
+// ============================================================================
+
+// ------------------- findLinkedCharacterIds -------------------
+// Ids from `companionIds` linked to `characterId` (either direction) by any of `types`.
+async function findLinkedCharacterIds(characterId, companionIds, types) {
+  const ids = (companionIds || [])
+    .map(id => id?.toString())
+    .filter(id => id && id !== characterId?.toString());
+  if (!characterId || ids.length === 0) return [];
+
+  const links = await Relationship.find({
+    relationshipTypes: { $in: types },
+    $or: [
+      { characterId, targetCharacterId: { $in: ids } },
+      { characterId: { $in: ids }, targetCharacterId: characterId }
+    ]
+  }).select('characterId targetCharacterId').lean();
+
+  const self = characterId.toString();
+  const linked = new Set(links.map(link => (
+    link.characterId.toString() === self ? link.targetCharacterId.toString() : link.characterId.toString()
+  )));
+  return ids.filter(id => linked.has(id));
+}
+
+// ------------------- getBondedCompanions -------------------
+// Companions ({ _id|characterId, name }) bonded to `character`; [] on any error.
+async function getBondedCompanions(character, companions = []) {
+  try {
+    const byId = new Map();
+    for (const companion of companions) {
+      const id = (companion?.characterId || companion?._id)?.toString();
+      if (id) byId.set(id, companion);
+    }
+    const bondedIds = await findLinkedCharacterIds(character?._id, [...byId.keys()], BOND_TYPES);
+    return bondedIds.map(id => byId.get(id));
+  } catch (error) {
+    logger.warn('RELATIONSHIP', `Could not load bonds for ${character?.name}: ${error.message}`);
+    return [];
+  }
+}
+
+// ------------------- areRivals -------------------
+async function areRivals(characterA, characterB) {
+  try {
+    const linked = await findLinkedCharacterIds(characterA?._id, [characterB?._id], RIVAL_TYPES);
+    return linked.length > 0;
+  } catch (error) {
+    logger.warn('RELATIONSHIP', `Could not check rivalry for ${characterA?.name} / ${characterB?.name}: ${error.message}`);
+    return false;
+  }
+}
+
+// ============================================================================
+// Bonuses
+// ============================================================================
+
+// ------------------- getBondRollBonus -------------------
+function getBondRollBonus(bondedCount) {
+  return Math.min(MAX_BOND_ROLL_BONUS, Math.max(0, bondedCount) * BOND_ROLL_BONUS_PER_COMPANION);
+}
+
+// ------------------- applyBondRollBonus -------------------
+// Raises a d100 roll (kept within 1-100). Returns { diceRoll, bonus, bonded }.
+async function applyBondRollBonus(diceRoll, character, companions) {
+  const bonded = await getBondedCompanions(character, companions);
+  const bonus = getBondRollBonus(bonded.length);
+  if (bonus === 0) return { diceRoll, bonus, bonded };
+  logger.info('RELATIONSHIP', `${character.name} fights alongside ${bonded.map(c => c.name).join(', ')}: roll ${diceRoll} → +${bonus}`);
+  return { diceRoll: Math.min(100, diceRoll + bonus), bonus, bonded };
+}
+
+// ------------------- formatBondBonus -------------------
+function formatBondBonus(bonded, bonus) {
+  if (!bonus || !bonded?.length) return null;
+  return `Fighting alongside ${bonded.map(c => `**${c.name}**`).join(', ')} (+${bonus} to roll)`;
+}
+
+// ============================================================================
+// Exports
+// ============================================================================
+
+module.exports = {
+  BOND_TYPES,
+  RIVAL_TYPES,
+  BOND_ROLL_BONUS_PER_COMPANION,
+  MAX_BOND_ROLL_BONUS,
+  RIVALRY_ROLL_BONUS,
+  getBondedCompanions,
+  areRivals,
+  getBondRollBonus,
+  applyBondRollBonus,
+  formatBondBonus
+};
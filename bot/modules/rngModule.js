@@ -12,6 +12,7 @@ const Monster = require('@/models/MonsterModel');
 
 const { handleError } = require('@/utils/globalErrorHandler');
 const logger = require('@/utils/logger');
+const rng = require('@/services/rngService');
 // ============================================================================
 // Modules
 // ------------------- Importing custom modules -------------------
@@ -126,14 +127,14 @@ const adjustRarityWeights = (fv, villageLevel = 1) => {
       
       // Level 2: +10-15% for rarity 3-5
       if (villageLevel === 2 && rarityNum >= 3 && rarityNum <= 5) {
-        const villageMultiplier = 1.0 + (Math.random() * 0.05 + 0.10); // Random between 1.10 and 1.15
+        const villageMultiplier = 1.0 + (rng.random('village-l2-rarity-bonus') * 0.05 + 0.10); // Random between 1.10 and 1.15
         multiplier *= villageMultiplier;
         logger.info('GATHER', `🏘️ Village Level 2 rarity bonus: Rarity ${rarity} weight multiplier ${villageMultiplier.toFixed(3)}x (${((villageMultiplier - 1) * 100).toFixed(1)}% increase)`);
       }
       
       // Level 3: +20-30% for rarity 3-7
       if (villageLevel === 3 && rarityNum >= 3 && rarityNum <= 7) {
-        const villageMultiplier = 1.0 + (Math.random() * 0.10 + 0.20); // Random between 1.20 and 1.30
+        const villageMultiplier = 1.0 + (rng.random('village-l3-rarity-bonus') * 0.10 + 0.20); // Random between 1.20 and 1.30
         multiplier *= villageMultiplier;
         logger.info('GATHER', `🏘️ Village Level 3 rarity bonus: Rarity ${rarity} weight multiplier ${villageMultiplier.toFixed(3)}x (${((villageMultiplier - 1) * 100).toFixed(1)}% increase)`);
       }
@@ -353,8 +354,8 @@ function calculateFinalValue(character, diceRoll) {
 
   const weaponChance = Math.max(0, Math.min(1, rawAttack * REGULAR_WEAPON_CHANCE_PER_ATTACK));
   const armorChance = Math.max(0, Math.min(1, rawDefense * REGULAR_ARMOR_CHANCE_PER_DEFENSE));
-  const weaponApplies = attackStat > 0 && Math.random() < weaponChance;
-  const armorApplies = defenseStat > 0 && Math.random() < armorChance;
+  const weaponApplies = attackStat > 0 && rng.chance(weaponChance, 'weapon-applies');
+  const armorApplies = defenseStat > 0 && rng.chance(armorChance, 'armor-applies');
   const effectiveAttack = weaponApplies ? attackStat : 0;
   const effectiveDefense = armorApplies ? defenseStat : 0;
 
@@ -439,7 +440,7 @@ function calculateRaidFinalValue(character, diceRoll) {
 // ------------------- Get Random Encounter -------------------
 // Determines a random encounter based on defined encounter probabilities.
 function getRandomEncounter() {
-  const randomValue = Math.random() * 100;
+  const randomValue = rng.random('encounter') * 100;
   let encounter;
   if (randomValue < encounterProbabilities.noEncounter) {
     encounter = 'No Encounter';
@@ -458,7 +459,7 @@ function getRandomEncounter() {
 // ------------------- Get Random Blood Moon Encounter -------------------
 // Determines a random encounter during a Blood Moon event using equal probability for tiers.
 function getRandomBloodMoonEncounter() {
-  const randomValue = Math.random() * 100;
+  const randomValue = rng.random('blood-moon-encounter') * 100;
   let cumulative = 0;
   for (const [tier, probability] of Object.entries(encounterProbabilitiesBloodMoon)) {
     cumulative += probability;
@@ -515,11 +516,11 @@ function getExplorationMonsterFromList(monsters, dangerBonus = 0) {
       tierWeights.push({ tier, weight: totalWeight, list });
     }
   }
-  if (totalWeight <= 0) return monsters[Math.floor(Math.random() * monsters.length)];
-  const r = Math.random() * totalWeight;
+  if (totalWeight <= 0) return rng.pick(monsters, 'exploration-monster');
+  const r = rng.random('exploration-monster-tier') * totalWeight;
   const chosen = tierWeights.find(({ weight }) => r < weight) || tierWeights[tierWeights.length - 1];
   const list = chosen.list;
-  return list[Math.floor(Math.random() * list.length)];
+  return rng.pick(list, 'exploration-monster');
 }
 
 // ------------------- Get Monster Encounter from List -------------------
@@ -545,7 +546,7 @@ async function getMonsterEncounterFromList(monsters) {
       return { encounter: 'No Encounter', monsters: [] };
     }
 
-    const selectedMonster = filteredMonsters[Math.floor(Math.random() * filteredMonsters.length)];
+    const selectedMonster = rng.pick(filteredMonsters, 'encounter-monster');
     return { encounter: `Tier ${tier}`, monsters: [selectedMonster] };
   } catch (error) {
     handleError(error, 'rngModule.js');
@@ -582,7 +583,7 @@ const encounterProbabilitiesTravel = {
 };
 
 function getRandomTravelEncounter() {
-  const randomValue = Math.random() * 100;
+  const randomValue = rng.random('travel-encounter') * 100;
   if (randomValue < encounterProbabilitiesTravel.tier1) {
     return 'Tier 1';
   } else if (randomValue < encounterProbabilitiesTravel.tier1 + encounterProbabilitiesTravel.tier2) {
@@ -645,7 +646,7 @@ function calculateWeightedDamage(tier) {
       return acc;
   }, []);
   const totalWeight = cumulativeWeights[cumulativeWeights.length - 1];
-  const randomWeight = Math.random() * totalWeight;
+  const randomWeight = rng.random('weighted-damage') * totalWeight;
   for (let i = 0; i < cumulativeWeights.length; i++) {
       if (randomWeight <= cumulativeWeights[i]) {
           return i + 1;
@@ -654,6 +655,20 @@ function calculateWeightedDamage(tier) {
   return 1; // Fallback damage
 }
 
+// ------------------- Calculate Flee Chance -------------------
+// Base 50%, +5% per earlier failed attempt, +15% per Sneaky Elixir flee level; capped at 95%.
+function calculateFleeChance(character) {
+  const { getActiveBuffEffects } = require('./elixirModule');
+  const buffEffects = getActiveBuffEffects(character);
+  const baseFleeChance = 0.5;
+  const bonusFleeChance = (character.failedFleeAttempts || 0) * 0.05;
+  const elixirFleeBonus = buffEffects && buffEffects.fleeBoost > 0 ? buffEffects.fleeBoost * 0.15 : 0;
+  return {
+    fleeChance: Math.min(baseFleeChance + bonusFleeChance + elixirFleeBonus, 0.95),
+    elixirFleeBonus
+  };
+}
+
 // ------------------- Attempt Flee -------------------
 // Attempts to flee from an encounter. Calculates flee chance, applies damage if fleeing fails,
 // and updates character state accordingly.
@@ -661,23 +676,17 @@ async function attemptFlee(character, monster, options = {}) {
   try {
     const advantageAttempts = Math.max(1, options.advantageAttempts || 1);
     const originalFailedAttempts = character.failedFleeAttempts || 0;
-    const baseFleeChance = 0.5;
-    const bonusFleeChance = originalFailedAttempts * 0.05;
     
     // Apply Sneaky Elixir flee boost
-    const { getActiveBuffEffects, shouldConsumeElixir, consumeElixirBuff } = require('./elixirModule');
-    const buffEffects = getActiveBuffEffects(character);
-    let elixirFleeBonus = 0;
-    let sneakyElixirUsed = false;
-    if (buffEffects && buffEffects.fleeBoost > 0) {
-      elixirFleeBonus = buffEffects.fleeBoost * 0.15; // +15% per level
-      sneakyElixirUsed = true;
+    const { shouldConsumeElixir, consumeElixirBuff } = require('./elixirModule');
+    const { fleeChance, elixirFleeBonus } = calculateFleeChance(character);
+    const sneakyElixirUsed = elixirFleeBonus > 0;
+    if (sneakyElixirUsed) {
       console.log(`[rngModule.js]: 👻 Sneaky Elixir flee boost: +${(elixirFleeBonus * 100).toFixed(0)}%`);
     }
     
-    const fleeChance = Math.min(baseFleeChance + bonusFleeChance + elixirFleeBonus, 0.95);
 
-    const rollSucceeds = () => Math.random() < fleeChance;
+    const rollSucceeds = () => rng.chance(fleeChance, 'flee');
 
     let attemptsMade = 0;
     let success = false;
@@ -769,10 +778,13 @@ module.exports = {
   calculateFinalValue,
   calculateRaidFinalValue,
   getMonstersByPath,
+  getRandomEncounter,
   getRandomTravelEncounter,
   encounterProbabilitiesTravel,
   getMonstersByRegion,
   getRandomBloodMoonEncounter,
   encounterProbabilitiesBloodMoon,
+  calculateWeightedDamage,
+  calculateFleeChance,
   attemptFlee
 };
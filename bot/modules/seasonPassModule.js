@@ -0,0 +1,200 @@
+// ============================================================================
+// Season Pass Module
+// Seasonal progression track on top of /levels (tiers and rewards are defined in
+// @tinglebot/shared lib/seasonPass). Season XP sources:
+// - message: the same XP levelingModule.handleXP grants for chat
+// - quest: UserModel.recordQuestCompletion, for every new completion
+// - raid: each participant of a defeated raid (raid.won, modules/gameEventSubscribers.js)
+// - submission: the submitter and collaborators of an approved submission (/mod approve)
+// Rewards are claimed with /levels season-claim; the season-pass-rollover job in
+// tasks.js archives passes from the previous season.
+// XP awards are best-effort: errors are logged and never block the caller
+// (the raid.won subscriber asks for them so the event bus records the failure).
+// ============================================================================
+
+// ------------------- Standard Libraries -------------------
+const logger = require('@/utils/logger');
+const { handleError } = require('@/utils/globalErrorHandler');
+const { addItemInventoryDatabase } = require('@/utils/inventoryUtils');
+const { updateTokenBalance } = require('@/database/db');
+const {
+  SEASON_XP_AWARDS,
+  getSeasonWindow,
+  formatSeasonReward
+} = require('@tinglebot/shared/lib/seasonPass');
+
+// ------------------- Database Models -------------------
+const User = require('@/models/UserModel');
+
+// ============================================================================
+// ------------------- Season XP -------------------
+// ============================================================================
+
+// ------------------- Function: awardSeasonXP -------------------
+// Adds season XP to one user; returns addSeasonXP's result or null.
+async function awardSeasonXP(discordId, amount, source, { throwErrors = false } = {}) {
+  try {
+    if (!discordId) return null;
+    const user = await User.findOne({ discordId });
+    if (!user) return null;
+    const result = await user.addSeasonXP(amount, source);
+    if (result?.tierUp) {
+      logger.info('SEASON', `${discordId} reached season tier ${result.tier} (${source})`);
+    }
+    return result;
+  } catch (error) {
+    handleError(error, 'seasonPassModule.js');
+    logger.warn('SEASON', `Failed to award ${amount} season XP (${source}) to ${discordId}: ${error.message}`);
+    if (throwErrors) throw error;
+    return null;
+  }
+}
+
+// ------------------- Function: awardSeasonXPToUsers -------------------
+// Awards the flat SEASON_XP_AWARDS amount for `source` once per distinct user.
+// With `throwErrors`, every user is still tried and one error naming the users
+// that failed is thrown at the end.
+async function awardSeasonXPToUsers(discordIds, source, { throwErrors = false } = {}) {
+  const amount = SEASON_XP_AWARDS[source];
+  if (!amount) return 0;
+  const uniqueIds = [...new Set((discordIds || []).filter(Boolean).map(String))];
+  let awarded = 0;
+  const failedIds = [];
+  for (const discordId of uniqueIds) {
+    try {
+      if (await awardSeasonXP(discordId, amount, source, { throwErrors })) awarded++;
+    } catch (error) {
+      failedIds.push(discordId);
+    }
+  }
+  if (failedIds.length > 0) {
+    throw new Error(`Season XP (${source}) failed for ${failedIds.join(', ')}`);
+  }
+  return awarded;
+}
+
+// ============================================================================
+// ------------------- Rewards -------------------
+// ============================================================================
+
+// ------------------- Function: claimSeasonRewards -------------------
+// Claims every unlocked, unclaimed tier of the current season. Tiers are marked
+// claimed atomically first so a double-submit can't grant twice; a tier whose
+// item could not be added is released again so it can be retried.
+// `character` (a Character or ModCharacter owned by the user) is required only
+// when a claimable tier includes an item.
+// Returns { success: false, reason: 'nothing' | 'character' | 'conflict' } or
+// { success: true, season, tiers, tokens, items, badges, failedTiers }.
+async function claimSeasonRewards(discordId, { character = null, interaction = null } = {}) {
+  const user = await User.findOne({ discordId });
+  if (!user) return { success: false, reason: 'nothing' };
+  if (user.ensureCurrentSeasonPass()) {
+    await user.save();
+  }
+
+  const progress = user.getSeasonPassProgress();
+  const { season } = progress;
+  const claimable = progress.tiers.filter(entry => progress.claimable.includes(entry.tier));
+  if (claimable.length === 0) return { success: false, reason: 'nothing' };
+  if (!character && claimable.some(entry => entry.rewards.some(reward => reward.type === 'item'))) {
+    return { success: false, reason: 'character', season, tiers: claimable.map(entry => entry.tier) };
+  }
+
+  const tierNumbers = claimable.map(entry => entry.tier);
+  const claim = await User.updateOne(
+    { _id: user._id, 'seasonPass.seasonId': season.id, 'seasonPass.claimedTiers': { $nin: tierNumbers } },
+    { $addToSet: { 'seasonPass.claimedTiers': { $each: tierNumbers } } }
+  );
+  if (!claim.modifiedCount) return { success: false, reason: 'conflict' };
+
+  // ------------------- Items first: a failed item releases its tier -------------------
+  const items = [];
+  const failedTiers = [];
+  for (const entry of claimable) {
+    for (const reward of entry.rewards.filter(r => r.type === 'item')) {
+      try {
+        await addItemInventoryDatabase(character._id, reward.itemName, reward.quantity, interaction, 'Season Pass');
+        items.push(reward);
+      } catch (error) {
+        handleError(error, 'seasonPassModule.js');
+        logger.warn('SEASON', `Failed to grant ${reward.itemName} for tier ${entry.tier} to ${discordId}: ${error.message}`);
+        failedTiers.push(entry.tier);
+      }
+    }
+  }
+  if (failedTiers.length > 0) {
+    await User.updateOne({ _id: user._id }, { $pull: { 'seasonPass.claimedTiers': { $in: failedTiers } } });
+  }
+  const granted = claimable.filter(entry => !failedTiers.includes(entry.tier));
+
+  // ------------------- Tokens -------------------
+  const tokens = granted.reduce((sum, entry) =>
+    sum + entry.rewards.filter(r => r.type === 'tokens').reduce((s, r) => s + r.amount, 0), 0);
+  if (tokens > 0) {
+    await updateTokenBalance(discordId, tokens, {
+      category: 'season-pass',
+      description: `${season.label} season pass: tier${granted.length === 1 ? '' : 's'} ${granted.map(entry => entry.tier).join(', ')}`
+    });
+  }
+
+  // ------------------- Badges -------------------
+  const badges = [];
+  for (const entry of granted) {
+    for (const reward of entry.rewards.filter(r => r.type === 'badge')) {
+      await User.updateOne(
+        { _id: user._id, 'badges.badgeId': { $ne: reward.badgeId } },
+        { $push: { badges: { badgeId: reward.badgeId, label: reward.label, emoji: reward.emoji, seasonId: season.id, earnedAt: new Date() } } }
+      );
+      badges.push(reward);
+    }
+  }
+
+  logger.info('SEASON', `${discordId} claimed ${season.id} tiers ${granted.map(entry => entry.tier).join(', ') || '(none)'}: ${[`${tokens} tokens`, ...items.map(formatSeasonReward), ...badges.map(formatSeasonReward)].join(', ')}`);
+
+  return {
+    success: true,
+    season,
+    tiers: granted.map(entry => entry.tier),
+    tokens,
+    items,
+    badges,
+    failedTiers
+  };
+}
+
+// ============================================================================
+// ------------------- Season Reset -------------------
+// ============================================================================
+
+// ------------------- Function: rolloverSeasonPasses -------------------
+// Archives every pass still on an earlier season into seasonPass.history and
+// starts the current season. Passes also roll over lazily on their next XP
+// award; this job keeps the dashboard and leaderboards consistent at the boundary.
+async function rolloverSeasonPasses(now = new Date()) {
+  const season = getSeasonWindow(now);
+  const cursor = User.find({
+    'seasonPass.seasonId': { $nin: [null, season.id] }
+  }).cursor();
+
+  let rolledOver = 0;
+  for await (const user of cursor) {
+    try {
+      if (user.ensureCurrentSeasonPass(now)) {
+        await user.save();
+        rolledOver++;
+      }
+    } catch (error) {
+      handleError(error, 'seasonPassModule.js');
+      logger.warn('SEASON', `Failed to roll over season pass for ${user.discordId}: ${error.message}`);
+    }
+  }
+
+  return { season, rolledOver };
+}
+
+module.exports = {
+  awardSeasonXP,
+  awardSeasonXPToUsers,
+  claimSeasonRewards,
+  rolloverSeasonPasses
+};
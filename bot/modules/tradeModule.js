@@ -0,0 +1,616 @@
+// ============================================================================
+// Trade Module
+// Transactional engine behind /economy trade.
+// - Offering a side moves its items out of the character's inventory into
+//   inventories.trade_escrow and debits its tokens, so nothing offered can be
+//   spent, sold or traded twice while the trade is open
+// - A counter-offer releases the side's old escrow and escrows the new lines,
+//   resetting the other party's confirmation
+// - Once both parties confirm, every escrow row is delivered to the other side and
+//   the trade is marked completed in ONE Mongo transaction, so a crash mid-commit
+//   can never duplicate or lose items
+// - Cancelled / expired trades return escrow to the original owners
+// Transactions run on the tinglebot client, which also reaches the inventories
+// database (see DatabaseConnectionManager.getTransactionalInventoriesDb).
+// ============================================================================
+
+// ------------------- Standard Libraries -------------------
+const { handleError } = require('@/utils/globalErrorHandler');
+const logger = require('@/utils/logger');
+
+// ------------------- Database Models -------------------
+const Character = require('@/models/CharacterModel');
+const ModCharacter = require('@/models/ModCharacterModel');
+const Trade = require('@/models/TradeModel');
+const User = require('@/models/UserModel');
+
+// ------------------- Database Helpers -------------------
+const DatabaseConnectionManager = require('@/database/connectionManager');
+
+// ------------------- Modules -------------------
+const { normalizeElixirLevel } = require('./elixirModule');
+const { recordTradeSale } = require('./priceIndexModule');
+
+// ------------------- Utility Functions -------------------
+const { emitGameEvent } = require('@/utils/gameEvents');
+const { escapeRegExp, logItemAcquisitionToDatabase, logItemRemovalToDatabase } = require('@/utils/inventoryUtils');
+const { generateUniqueId } = require('@/utils/uniqueIdUtils');
+const { runTransaction } = require('@/utils/transactionUtils');
+
+// ------------------- Configuration Constants -------------------
+const TRADE_EXPIRY_HOURS = 24;
+const TRADE_EXPIRY_MS = TRADE_EXPIRY_HOURS * 60 * 60 * 1000;
+const TRADE_ESCROW_COLLECTION = 'trade_escrow';
+
+let escrowIndexesEnsured = null;
+
+// ============================================================================
+// Transaction Helpers
+// ------------------- runTradeTransaction -------------------
+// Runs fn(session) in a retried transaction; tradeError failures abort without retrying
+function runTradeTransaction(fn) {
+  return runTransaction(fn, { category: 'TRADE', isUserError: error => error.isTradeError });
+}
+
+// ------------------- tradeError -------------------
+// User-facing failure; aborts the transaction without retrying
+function tradeError(message) {
+  const error = new Error(message);
+  error.isTradeError = true;
+  return error;
+}
+
+// ------------------- getTradeCollections -------------------
+// Inventories collections on the mongoose client so they can join its sessions
+async function getTradeCollections() {
+  const escrow = await DatabaseConnectionManager.getNamedInventoryCollection(TRADE_ESCROW_COLLECTION, { transactional: true });
+  if (!escrowIndexesEnsured) {
+    escrowIndexesEnsured = escrow.createIndexes([
+      { key: { tradeId: 1, side: 1 }, name: 'tradeId_side' },
+      { key: { ownerCharacterId: 1 }, name: 'ownerCharacterId' }
+    ]).catch((error) => {
+      escrowIndexesEnsured = null;
+      logger.warn('TRADE', `Failed to ensure escrow indexes: ${error.message}`);
+    });
+  }
+  await escrowIndexesEnsured;
+  return {
+    inventories: await DatabaseConnectionManager.getInventoriesCollection({ transactional: true }),
+    escrow
+  };
+}
+
+// ============================================================================
+// Inventory Movement (all calls take the active session)
+// ------------------- itemNameFilter -------------------
+function itemNameFilter(itemName) {
+  const name = String(itemName || '').trim();
+  // Names containing "+" (e.g. elixir mixes) are matched exactly, like the rest of /economy
+  return name.includes('+') ? name : new RegExp(`^${escapeRegExp(name)}$`, 'i');
+}
+
+// ------------------- matchesElixirLine -------------------
+// A line without an elixir level accepts any stack; otherwise the stack key must match
+function matchesElixirLine(row, line) {
+  if (line.elixirLevel == null) return true;
+  if (normalizeElixirLevel(row.elixirLevel) !== normalizeElixirLevel(line.elixirLevel)) return false;
+  if (line.modifierHearts == null) return true;
+  return Math.max(0, Math.floor(Number(row.modifierHearts) || 0)) === line.modifierHearts;
+}
+
+// ------------------- takeLineFromInventory -------------------
+// Removes one line from the owner's stacks and returns a snapshot of every stack it
+// drew from, so elixir tiers / mix-ins survive the round trip. Also used by the
+// auction house (modules/auctionModule.js) to escrow a lot.
+async function takeLineFromInventory(inventories, session, party, line, errorFactory = tradeError) {
+  const rows = await inventories
+    .find(
+      { characterId: party.characterId, itemName: itemNameFilter(line.itemName), quantity: { $gt: 0 } },
+      { session }
+    )
+    .sort({ _id: 1 })
+    .toArray();
+
+  const candidates = rows
+    .filter(row => matchesElixirLine(row, line))
+    .sort((a, b) =>
+      normalizeElixirLevel(a.elixirLevel) - normalizeElixirLevel(b.elixirLevel) ||
+      (Number(a.modifierHearts) || 0) - (Number(b.modifierHearts) || 0)
+    );
+
+  const taken = [];
+  let remaining = line.quantity;
+  for (const row of candidates) {
+    if (remaining <= 0) break;
+    const take = Math.min(remaining, row.quantity);
+
+    const result = await inventories.updateOne(
+      { _id: row._id, quantity: { $gte: take } },
+      { $inc: { quantity: -take } },
+      { session }
+    );
+    if (result.modifiedCount !== 1) {
+      throw errorFactory(`${party.characterName}'s ${line.itemName} changed while it was being moved. Please try again.`);
+    }
+    if (row.quantity - take <= 0) {
+      await inventories.deleteOne({ _id: row._id }, { session });
+    }
+
+    taken.push({
+      itemName: row.itemName,
+      quantity: take,
+      elixirLevel: row.elixirLevel ?? null,
+      modifierHearts: row.modifierHearts ?? null,
+      itemId: row.itemId ?? null,
+      category: row.category ?? '',
+      type: row.type ?? '',
+      subtype: row.subtype ?? ''
+    });
+    remaining -= take;
+  }
+
+  if (remaining > 0) {
+    throw errorFactory(`${party.characterName} doesn't have ${line.quantity}x ${line.itemName} to offer.`);
+  }
+  return taken;
+}
+
+// ------------------- takeLineIntoEscrow -------------------
+// Moves one trade line into trade_escrow, one escrow row per source stack
+async function takeLineIntoEscrow({ inventories, escrow }, session, trade, side, line) {
+  const party = trade[side];
+  const taken = await takeLineFromInventory(inventories, session, party, line);
+  for (const stack of taken) {
+    await escrow.insertOne({
+      tradeId: trade.tradeId,
+      side,
+      ownerCharacterId: party.characterId,
+      ...stack,
+      createdAt: new Date()
+    }, { session });
+  }
+}
+
+// ------------------- addEscrowRowToInventory -------------------
+// Stacks an escrow row onto the receiver's inventory (same stack key rules as syncToInventoryDatabase)
+async function addEscrowRowToInventory({ inventories }, session, receiver, row, obtain) {
+  const filter = {
+    characterId: receiver.characterId,
+    itemName: itemNameFilter(row.itemName),
+    quantity: { $gt: 0 }
+  };
+  if (row.elixirLevel != null) {
+    filter.elixirLevel = row.elixirLevel;
+    filter.modifierHearts = row.modifierHearts ? row.modifierHearts : { $in: [0, null] };
+  }
+
+  const updated = await inventories.updateOne(filter, { $inc: { quantity: row.quantity } }, { session });
+  if (updated.matchedCount > 0) return;
+
+  const insertDoc = {
+    characterId: receiver.characterId,
+    itemId: row.itemId,
+    itemName: row.itemName,
+    quantity: row.quantity,
+    category: row.category,
+    type: row.type,
+    subtype: row.subtype,
+    job: receiver.job || '',
+    perk: '',
+    location: receiver.location || '',
+    link: '',
+    date: new Date(),
+    obtain,
+    synced: ''
+  };
+  if (row.elixirLevel != null) {
+    insertDoc.elixirLevel = row.elixirLevel;
+    if (row.modifierHearts) insertDoc.modifierHearts = row.modifierHearts;
+  }
+  await inventories.insertOne(insertDoc, { session });
+}
+
+// ------------------- tokenChange -------------------
+// Balance move in the shape of the tokens.changed payload
+function tokenChange(userId, change, balanceAfter) {
+  return { userId: String(userId), change, balanceBefore: balanceAfter - change, balanceAfter };
+}
+
+// ------------------- debitTokens -------------------
+// Takes amount from the user's balance; returns the tokenChange, or null if they can't cover it
+async function debitTokens(session, userId, amount) {
+  const user = await User.findOneAndUpdate(
+    { discordId: userId, tokens: { $gte: amount } },
+    { $inc: { tokens: -amount } },
+    { session, new: true, projection: { tokens: 1 } }
+  );
+  return user ? tokenChange(userId, -amount, user.tokens) : null;
+}
+
+// ------------------- escrowTokens -------------------
+async function escrowTokens(session, party, amount) {
+  if (!amount) return null;
+  const change = await debitTokens(session, party.userId, amount);
+  if (!change) {
+    throw tradeError(`${party.characterName}'s owner doesn't have ${amount} tokens to offer.`);
+  }
+  return change;
+}
+
+// ------------------- creditTokens -------------------
+async function creditTokens(session, userId, amount) {
+  if (!amount) return null;
+  const user = await User.findOneAndUpdate(
+    { discordId: userId },
+    { $inc: { tokens: amount }, $setOnInsert: { discordId: userId } },
+    { session, upsert: true, new: true, projection: { tokens: 1 } }
+  );
+  return tokenChange(userId, amount, user.tokens);
+}
+
+// ------------------- emitTokenChanges -------------------
+// Trade and auction balances move with $inc inside a transaction rather than through
+// updateTokenBalance, so they emit tokens.changed themselves once it has committed
+function emitTokenChanges(changes, category) {
+  for (const change of changes) {
+    if (change) emitGameEvent('tokens.changed', { ...change, category });
+  }
+}
+
+// ------------------- releaseSideEscrow -------------------
+// Returns everything one side has in escrow to its owner (used by counter-offers and cancels).
+// The refunded tokens' change is pushed onto tokenChanges.
+async function releaseSideEscrow(collections, session, trade, side, tokenChanges) {
+  const party = trade[side];
+  const rows = await collections.escrow.find({ tradeId: trade.tradeId, side }, { session }).toArray();
+  const owner = await loadReceiverInfo(party);
+  for (const row of rows) {
+    await addEscrowRowToInventory(collections, session, owner, row, `Trade ${trade.tradeId} returned`);
+  }
+  await collections.escrow.deleteMany({ tradeId: trade.tradeId, side }, { session });
+  tokenChanges.push(await creditTokens(session, party.userId, party.tokens));
+  return rows;
+}
+
+// ------------------- loadReceiverInfo -------------------
+// Job / location used on freshly inserted inventory rows
+async function loadReceiverInfo(party) {
+  const Model = party.isModCharacter ? ModCharacter : Character;
+  const character = await Model.findById(party.characterId).select('job currentVillage homeVillage').lean();
+  return {
+    characterId: party.characterId,
+    job: character?.job || '',
+    location: character?.currentVillage || character?.homeVillage || ''
+  };
+}
+
+// ============================================================================
+// Trade Lifecycle
+// ------------------- buildParty -------------------
+function buildParty(character, lines, tokens) {
+  return {
+    userId: character.userId,
+    characterId: character._id,
+    characterName: character.name,
+    isModCharacter: !!character.isModCharacter,
+    items: lines,
+    tokens: Math.max(0, Math.floor(Number(tokens) || 0)),
+    confirmed: false,
+    offerVersion: 0
+  };
+}
+
+// ------------------- proposeTrade -------------------
+// Creates the trade and escrows the initiator's offer in one transaction.
+// lines: [{ itemName, quantity, elixirLevel?, modifierHearts?, emoji? }]
+async function proposeTrade(initiatorCharacter, targetCharacter, lines, tokens = 0) {
+  try {
+    const collections = await getTradeCollections();
+    const tradeId = generateUniqueId('T');
+
+    let tokenChanges = [];
+    const trade = await runTradeTransaction(async (session) => {
+      tokenChanges = [];
+      const [created] = await Trade.create([{
+        tradeId,
+        status: 'open',
+        initiator: { ...buildParty(initiatorCharacter, lines, tokens), confirmed: true },
+        target: buildParty(targetCharacter, [], 0),
+        expiresAt: new Date(Date.now() + TRADE_EXPIRY_MS),
+        history: [{ userId: initiatorCharacter.userId, action: 'propose' }]
+      }], { session });
+
+      for (const line of created.initiator.items) {
+        await takeLineIntoEscrow(collections, session, created, 'initiator', line);
+      }
+      tokenChanges.push(await escrowTokens(session, created.initiator, created.initiator.tokens));
+      return created;
+    });
+    emitTokenChanges(tokenChanges, 'trade');
+
+    logger.info('TRADE', `Trade ${tradeId} proposed by ${initiatorCharacter.name} to ${targetCharacter.name}`);
+    return { trade };
+  } catch (error) {
+    if (error.isTradeError) return { error: error.message };
+    handleError(error, 'tradeModule.js');
+    throw error;
+  }
+}
+
+// ------------------- setTradeOffer -------------------
+// Replaces one side's offer (the target's answer or either party's counter-offer).
+// The side that makes the offer is confirmed; the other side must re-confirm.
+async function setTradeOffer(tradeId, userId, lines, tokens = 0) {
+  try {
+    const collections = await getTradeCollections();
+
+    let tokenChanges = [];
+    const trade = await runTradeTransaction(async (session) => {
+      tokenChanges = [];
+      const current = await Trade.findOne({ tradeId, status: 'open' }).session(session);
+      if (!current) throw tradeError('This trade is no longer open.');
+      if (current.isExpired()) throw tradeError('This trade has expired.');
+
+      const side = current.getSide(userId);
+      if (!side) throw tradeError('You are not part of this trade.');
+      const otherSide = side === 'initiator' ? 'target' : 'initiator';
+      const hadOffer = current[side].items.length > 0 || current[side].tokens > 0;
+
+      await releaseSideEscrow(collections, session, current, side, tokenChanges);
+
+      current[side].items = lines;
+      current[side].tokens = Math.max(0, Math.floor(Number(tokens) || 0));
+      current[side].confirmed = true;
+      current[side].offerVersion += 1;
+      current[otherSide].confirmed = false;
+      current.version += 1;
+      current.history.push({ userId, action: hadOffer ? 'counter' : 'propose' });
+
+      for (const line of current[side].items) {
+        await takeLineIntoEscrow(collections, session, current, side, line);
+      }
+      tokenChanges.push(await escrowTokens(session, current[side], current[side].tokens));
+
+      await current.save({ session });
+      return current;
+    });
+    emitTokenChanges(tokenChanges, 'trade');
+
+    return { trade };
+  } catch (error) {
+    if (error.isTradeError) return { error: error.message };
+    handleError(error, 'tradeModule.js');
+    throw error;
+  }
+}
+
+// ------------------- confirmTrade -------------------
+// Marks the user's side confirmed for the current version and commits once both agree.
+async function confirmTrade(tradeId, userId, expectedVersion = null) {
+  const trade = await Trade.findOpenByTradeId(tradeId);
+  if (!trade) return { error: 'This trade is no longer open.' };
+  if (trade.isExpired()) {
+    await expireTrade(trade);
+    return { error: 'This trade has expired. Offered items were returned.' };
+  }
+
+  const side = trade.getSide(userId);
+  if (!side) return { error: 'You are not part of this trade.' };
+  if (trade[side].confirmed) return { trade, alreadyConfirmed: true };
+
+  const filter = { tradeId, status: 'open', version: typeof expectedVersion === 'number' ? expectedVersion : trade.version };
+  const updated = await Trade.findOneAndUpdate(
+    filter,
+    {
+      $set: { [`${side}.confirmed`]: true },
+      $push: { history: { userId, action: 'confirm' } }
+    },
+    { new: true }
+  );
+  if (!updated) return { error: 'The offer changed before you confirmed. Please review the trade and confirm again.' };
+
+  if (updated.isFullyConfirmed()) {
+    return commitTrade(tradeId);
+  }
+  return { trade: updated };
+}
+
+// ------------------- commitTrade -------------------
+// Delivers both sides' escrow and completes the trade in a single transaction.
+// Two confirms that land together both get here; the one that finds the trade
+// already completed by the other reports success instead of an error.
+async function commitTrade(tradeId) {
+  try {
+    const collections = await getTradeCollections();
+
+    const { trade, delivered, tokenChanges, alreadyCompleted } = await runTradeTransaction(async (session) => {
+      const current = await Trade.findOne({ tradeId, status: 'open' }).session(session);
+      if (!current) {
+        const closed = await Trade.findOne({ tradeId }).session(session);
+        if (closed?.status === 'completed') return { trade: closed, alreadyCompleted: true };
+        throw tradeError('This trade is no longer open.');
+      }
+      if (!current.isFullyConfirmed()) throw tradeError('Both parties must confirm before the trade completes.');
+
+      const receivers = {
+        initiator: await loadReceiverInfo(current.target),
+        target: await loadReceiverInfo(current.initiator)
+      };
+
+      const rows = await collections.escrow.find({ tradeId }, { session }).toArray();
+      for (const row of rows) {
+        const from = current[row.side];
+        await addEscrowRowToInventory(collections, session, receivers[row.side], row, `Trade from ${from.characterName}`);
+      }
+      await collections.escrow.deleteMany({ tradeId }, { session });
+
+      const credits = [
+        await creditTokens(session, current.target.userId, current.initiator.tokens),
+        await creditTokens(session, current.initiator.userId, current.target.tokens)
+      ];
+
+      current.status = 'completed';
+      current.completedAt = new Date();
+      current.history.push({ action: 'complete' });
+      await current.save({ session });
+
+      return { trade: current, delivered: rows, tokenChanges: credits };
+    });
+    if (alreadyCompleted) return { trade, completed: true };
+
+    logger.success('TRADE', `Trade ${tradeId} completed (${delivered.length} escrow row(s) delivered)`);
+    await logCompletedTrade(trade, delivered, tokenChanges);
+    await recordTradeSale(trade);
+    return { trade, completed: true };
+  } catch (error) {
+    if (error.isTradeError) return { error: error.message };
+    handleError(error, 'tradeModule.js');
+    throw error;
+  }
+}
+
+// ------------------- closeTrade -------------------
+// Shared by cancel and expire: returns both sides' escrow and closes the trade
+async function closeTrade(tradeId, status, userId = null, reason = null) {
+  const collections = await getTradeCollections();
+  let tokenChanges = [];
+  const closed = await runTradeTransaction(async (session) => {
+    tokenChanges = [];
+    const current = await Trade.findOne({ tradeId, status: 'open' }).session(session);
+    if (!current) throw tradeError('This trade is no longer open.');
+
+    await releaseSideEscrow(collections, session, current, 'initiator', tokenChanges);
+    await releaseSideEscrow(collections, session, current, 'target', tokenChanges);
+
+    current.status = status;
+    current.cancelledReason = reason;
+    current.history.push({ userId, action: status === 'expired' ? 'expire' : 'cancel', note: reason || undefined });
+    await current.save({ session });
+    return current;
+  });
+  emitTokenChanges(tokenChanges, 'trade');
+  return closed;
+}
+
+// ------------------- cancelTrade -------------------
+async function cancelTrade(tradeId, userId, reason = 'Cancelled by a trade party') {
+  try {
+    const trade = await Trade.findOpenByTradeId(tradeId);
+    if (!trade) return { error: 'This trade is no longer open.' };
+    if (!trade.getSide(userId)) return { error: 'You are not part of this trade.' };
+
+    const cancelled = await closeTrade(tradeId, 'cancelled', userId, reason);
+    logger.info('TRADE', `Trade ${tradeId} cancelled by ${userId}`);
+    return { trade: cancelled };
+  } catch (error) {
+    if (error.isTradeError) return { error: error.message };
+    handleError(error, 'tradeModule.js');
+    throw error;
+  }
+}
+
+// ------------------- expireTrade -------------------
+async function expireTrade(trade) {
+  try {
+    return await closeTrade(trade.tradeId, 'expired', null, 'Expired');
+  } catch (error) {
+    if (error.isTradeError) return null;
+    handleError(error, 'tradeModule.js');
+    throw error;
+  }
+}
+
+// ------------------- expireStaleTrades -------------------
+// Scheduled sweep: releases escrow for every open trade past its deadline
+async function expireStaleTrades() {
+  const stale = await Trade.findExpiredOpen();
+  let expired = 0;
+  for (const trade of stale) {
+    try {
+      if (await expireTrade(trade)) expired++;
+    } catch (error) {
+      logger.error('TRADE', `Failed to expire trade ${trade.tradeId}: ${error.message}`);
+    }
+  }
+  return expired;
+}
+
+// ============================================================================
+// Logging
+// ------------------- logCompletedTrade -------------------
+// InventoryLog / TokenTransaction entries and tokens.changed are written after the commit (best-effort)
+async function logCompletedTrade(trade, deliveredRows, tokenChanges = []) {
+  emitTokenChanges(tokenChanges, 'trade');
+  const loadCharacter = (party) => (party.isModCharacter ? ModCharacter : Character).findById(party.characterId);
+  try {
+    const [initiatorChar, targetChar] = await Promise.all([loadCharacter(trade.initiator), loadCharacter(trade.target)]);
+    const bySide = { initiator: initiatorChar, target: targetChar };
+
+    for (const row of deliveredRows) {
+      const fromChar = bySide[row.side];
+      const toChar = bySide[row.side === 'initiator' ? 'target' : 'initiator'];
+      const itemData = { itemName: row.itemName, _id: row.itemId };
+      if (toChar) {
+        await logItemAcquisitionToDatabase(toChar, itemData, {
+          itemName: row.itemName,
+          quantity: row.quantity,
+          obtain: 'Trade',
+          location: toChar.currentVillage || toChar.homeVillage || 'Unknown',
+          link: ''
+        });
+      }
+      if (fromChar) {
+        await logItemRemovalToDatabase(fromChar, itemData, {
+          itemName: row.itemName,
+          quantity: row.quantity,
+          obtain: 'Traded',
+          location: fromChar.currentVillage || fromChar.homeVillage || 'Unknown',
+          link: ''
+        });
+      }
+    }
+
+    const TokenTransaction = require('@/models/TokenTransactionModel');
+    for (const [payer, payee] of [[trade.initiator, trade.target], [trade.target, trade.initiator]]) {
+      if (!payer.tokens) continue;
+      await TokenTransaction.createTransaction({
+        userId: payer.userId,
+        amount: payer.tokens,
+        type: 'spent',
+        category: 'trade',
+        description: `Trade ${trade.tradeId}: ${payer.characterName} → ${payee.characterName}`
+      });
+      await TokenTransaction.createTransaction({
+        userId: payee.userId,
+        amount: payer.tokens,
+        type: 'earned',
+        category: 'trade',
+        description: `Trade ${trade.tradeId}: ${payer.characterName} → ${payee.characterName}`
+      });
+    }
+  } catch (error) {
+    logger.warn('TRADE', `Trade ${trade.tradeId} completed but logging failed: ${error.message}`);
+  }
+}
+
+// ============================================================================
+// Exports
+// ============================================================================
+module.exports = {
+  TRADE_EXPIRY_HOURS,
+  TRADE_ESCROW_COLLECTION,
+  proposeTrade,
+  setTradeOffer,
+  confirmTrade,
+  commitTrade,
+  cancelTrade,
+  expireTrade,
+  expireStaleTrades,
+  // Inventory and token movement shared with the auction house
+  takeLineFromInventory,
+  addEscrowRowToInventory,
+  loadReceiverInfo,
+  debitTokens,
+  creditTokens,
+  emitTokenChanges
+};
@@ -20,6 +20,7 @@ const {
 } = require('@/models/VillageModel');
 const { VILLAGE_BANNERS } = require('@/database/db');
 const ItemModel = require('@/models/ItemModel');
+const { getProjectBonus, applyProjectDamage, formatProjectLosses } = require('@/modules/villageProjectModule');
 
 // ============================================================================
 // ---- Constants ----
@@ -206,9 +207,11 @@ function getEffectiveVendingTier(village) {
 }
 
 // ------------------- Function: getEffectiveVendingDiscount -------------------
+// A finished Market building adds its bonus on top of the tier discount.
 function getEffectiveVendingDiscount(village) {
     const tier = getEffectiveVendingTier(village);
-    return tier === 3 ? 20 : tier === 2 ? 10 : 0;
+    const tierDiscount = tier === 3 ? 20 : tier === 2 ? 10 : 0;
+    return tierDiscount + getProjectBonus(village, 'vendingDiscountBonus');
 }
 
 // ------------------- Function: getEffectiveRestLevel -------------------
@@ -428,6 +431,14 @@ async function damageVillage(villageName, damageAmount, damageCause = null) {
             updateVillageStatus(village);
         }
 
+        // Building projects decay with the village: unfinished progress is lost proportionally, finished buildings lose condition
+        const projectLosses = actualHPLost > 0
+            ? applyProjectDamage(village, damagePercentage, { levelDropped })
+            : [];
+        if (projectLosses.length > 0) {
+            console.log(`[damageVillage] Building project losses for "${villageName}":`, formatProjectLosses(projectLosses).join(' | '));
+        }
+
         // Update lastDamageTime when damage is applied
         village.lastDamageTime = new Date();
         
@@ -547,6 +558,14 @@ async function damageVillage(villageName, damageAmount, damageCause = null) {
                             });
                         }
                         
+                        if (projectLosses.length > 0) {
+                            damageEmbed.addFields({
+                                name: '__🏗️ Building Projects__',
+                                value: formatProjectLosses(projectLosses).map(line => `> ${line}`).join('\n'),
+                                inline: false
+                            });
+                        }
+
                         // Add level drop warning if applicable
                         if (levelDropped) {
                             damageEmbed.addFields({
@@ -567,7 +586,7 @@ async function damageVillage(villageName, damageAmount, damageCause = null) {
             }
         }
         
-        return { village, removedResources };
+        return { village, removedResources, projectLosses };
     } catch (error) {
         handleError(error, 'villageModule.js');
         console.error(`[damageVillage] Error for village "${villageName}":`, error.message);
@@ -592,12 +611,18 @@ async function applyVillageDamage(villageName, monster, thread) {
             9: 14,
             10: 15
         };
-        const damageAmount = tierDamageMap[monster.tier] || Math.ceil(monster.tier * 1.5); // Fallback for unexpected tiers
-        console.log(`[applyVillageDamage] Calculated damage: ${damageAmount} HP (Monster Tier: ${monster.tier})`);
+        const baseDamage = tierDamageMap[monster.tier] || Math.ceil(monster.tier * 1.5); // Fallback for unexpected tiers
+
+        // A finished Watchtower softens the raid (always at least 1 HP of damage)
+        const targetVillage = await Village.findOne({ name: { $regex: `^${villageName}$`, $options: 'i' } });
+        const damageReduction = Math.min(getProjectBonus(targetVillage, 'raidDamageReduction'), 0.9);
+        const damageAmount = damageReduction > 0 ? Math.max(1, Math.round(baseDamage * (1 - damageReduction))) : baseDamage;
+        const damagePrevented = baseDamage - damageAmount;
+        console.log(`[applyVillageDamage] Calculated damage: ${damageAmount} HP (Monster Tier: ${monster.tier}${damagePrevented > 0 ? `, ${damagePrevented} HP prevented by Watchtower` : ''})`);
 
         const damageCause = `Monster: **${monster.name}** (Failed raid - Tier ${monster.tier})`;
         // Apply damage to the village
-        const { village: updatedVillage, removedResources } = await damageVillage(villageName, damageAmount, damageCause);
+        const { village: updatedVillage, removedResources, projectLosses } = await damageVillage(villageName, damageAmount, damageCause);
 
         const tokensRemaining = updatedVillage.currentTokens || 0;
 
@@ -667,6 +692,22 @@ async function applyVillageDamage(villageName, monster, thread) {
             failureEmbed.setThumbnail(monster.image);
         }
 
+        if (damagePrevented > 0) {
+            failureEmbed.addFields({
+                name: '🗼 Watchtower',
+                value: `Lookouts spotted the attack early and prevented **${damagePrevented} HP** of damage.`,
+                inline: false
+            });
+        }
+
+        if (projectLosses.length > 0) {
+            failureEmbed.addFields({
+                name: '🏗️ Building Projects Damaged',
+                value: formatProjectLosses(projectLosses).join('\n'),
+                inline: false
+            });
+        }
+
         // Add level drop message as a field if applicable
         if (levelDropped) {
             failureEmbed.addFields({
@@ -0,0 +1,306 @@
+// ============================================================================
+// ---- Imports ----
+// ============================================================================
+const {
+    VILLAGE_PROJECTS,
+    PROJECT_ACTIVE_CONDITION
+} = require('@/models/VillageModel');
+
+// ============================================================================
+// ---- Constants ----
+// ============================================================================
+const PROJECT_DONATION_PERCENT = 0.10; // Max 10% of a project's recipe per donation (same as upgrades)
+const PROJECT_REPAIR_TOKEN_SHARE = 0.25; // Repairing 0 → 100 condition costs 25% of the build token cost
+
+// ============================================================================
+// ---- Definition Helpers ----
+// ============================================================================
+
+// ------------------- Function: getProjectDefinition -------------------
+// Returns the project config with the recipe resolved for the given village, or null
+function getProjectDefinition(villageName, projectKey) {
+    const key = String(projectKey || '').toLowerCase();
+    const def = VILLAGE_PROJECTS[key];
+    if (!def) return null;
+    return { ...def, key, materials: { ...(def.materials?.[villageName] || {}) } };
+}
+
+// ------------------- Function: listProjectDefinitions -------------------
+function listProjectDefinitions(villageName) {
+    return Object.keys(VILLAGE_PROJECTS).map(key => getProjectDefinition(villageName, key));
+}
+
+// ------------------- Function: getRepairTokenCost -------------------
+// Tokens needed to bring a finished project back to 100% condition
+function getRepairTokenCost(def, condition) {
+    const missing = Math.max(0, 100 - (Number(condition) || 0));
+    return Math.ceil(missing * (def.tokens * PROJECT_REPAIR_TOKEN_SHARE) / 100);
+}
+
+// ============================================================================
+// ---- State Helpers ----
+// ============================================================================
+
+// ------------------- Function: getProjectState -------------------
+// Normalizes a stored project entry (Mongoose subdoc, lean object or missing) to plain values
+function getProjectState(village, projectKey) {
+    const projects = village?.projects;
+    const raw = projects instanceof Map ? projects.get(projectKey) : projects?.[projectKey];
+    const materials = raw?.materials instanceof Map ? Object.fromEntries(raw.materials) : { ...(raw?.materials || {}) };
+    const condition = Number(raw?.condition);
+    return {
+        materials,
+        tokens: Number(raw?.tokens) || 0,
+        completedAt: raw?.completedAt || null,
+        condition: Number.isFinite(condition) ? condition : 100,
+    };
+}
+
+// ------------------- Function: setProjectState -------------------
+function setProjectState(village, projectKey, state) {
+    if (!(village.projects instanceof Map)) {
+        village.projects = new Map(Object.entries(village.projects || {}));
+    }
+    village.projects.set(projectKey, {
+        materials: { ...state.materials },
+        tokens: state.tokens,
+        completedAt: state.completedAt,
+        condition: state.condition,
+    });
+    if (typeof village.markModified === 'function') village.markModified('projects');
+}
+
+// ------------------- Function: isProjectFunded -------------------
+function isProjectFunded(def, state) {
+    if (state.tokens < def.tokens) return false;
+    return Object.entries(def.materials).every(([name, required]) => (state.materials[name] || 0) >= required);
+}
+
+// ------------------- Function: getProjectStatus -------------------
+// locked: village below minLevel | building: not finished | complete: effect active | damaged: finished but below PROJECT_ACTIVE_CONDITION
+function getProjectStatus(village, projectKey) {
+    const def = getProjectDefinition(village?.name, projectKey);
+    if (!def) return null;
+    if ((village.level || 1) < def.minLevel) return 'locked';
+    const state = getProjectState(village, projectKey);
+    if (!state.completedAt) return 'building';
+    return state.condition >= PROJECT_ACTIVE_CONDITION ? 'complete' : 'damaged';
+}
+
+// ------------------- Function: isProjectActive -------------------
+function isProjectActive(village, projectKey) {
+    return getProjectStatus(village, projectKey) === 'complete';
+}
+
+// ------------------- Function: getProjectBonus -------------------
+// Sums one effect (e.g. raidDamageReduction) across every active project in the village
+function getProjectBonus(village, effectName) {
+    if (!village) return 0;
+    return Object.keys(VILLAGE_PROJECTS).reduce((sum, key) => {
+        if (!isProjectActive(village, key)) return sum;
+        return sum + (Number(VILLAGE_PROJECTS[key].effect?.[effectName]) || 0);
+    }, 0);
+}
+
+// ------------------- Function: getProjectProgress -------------------
+// Per-requirement progress used by /village view and the donate replies
+function getProjectProgress(village, projectKey) {
+    const def = getProjectDefinition(village.name, projectKey);
+    const state = getProjectState(village, projectKey);
+    const materials = Object.entries(def.materials).map(([name, required]) => ({
+        name,
+        required,
+        current: Math.min(required, state.materials[name] || 0),
+    }));
+    const needed = materials.reduce((sum, m) => sum + m.required, 0) + def.tokens;
+    const have = materials.reduce((sum, m) => sum + m.current, 0) + Math.min(def.tokens, state.tokens);
+    return {
+        def,
+        state,
+        status: getProjectStatus(village, projectKey),
+        materials,
+        tokens: { current: Math.min(def.tokens, state.tokens), required: def.tokens },
+        percent: needed > 0 ? Math.floor((have / needed) * 100) : 100,
+        repairCost: state.completedAt ? getRepairTokenCost(def, state.condition) : 0,
+    };
+}
+
+// ============================================================================
+// ---- Contributions ----
+// ============================================================================
+
+// ------------------- Function: planProjectContribution -------------------
+// Validates a donation without touching inventory or balances.
+// Returns { success: false, message } or { success: true, mode: 'build' | 'repair', itemName, allowed }
+function planProjectContribution(village, projectKey, { type, itemName, qty }) {
+    const def = getProjectDefinition(village.name, projectKey);
+    if (!def) {
+        return { success: false, message: '❌ **Unknown building project.**' };
+    }
+    if (!Number.isInteger(qty) || qty <= 0) {
+        return { success: false, message: '❌ **Quantity must be a positive number.**' };
+    }
+
+    const status = getProjectStatus(village, projectKey);
+    if (status === 'locked') {
+        return { success: false, message: `❌ **${def.name} requires village level ${def.minLevel}.**` };
+    }
+
+    const state = getProjectState(village, projectKey);
+
+    // Finished projects only take tokens, to restore condition lost to raids and damage
+    if (state.completedAt) {
+        const repairCost = getRepairTokenCost(def, state.condition);
+        if (repairCost <= 0) {
+            return { success: false, message: `❌ **${def.name} is already built and in full repair.**` };
+        }
+        if (type !== 'Tokens') {
+            return { success: false, message: `❌ **${def.name} is already built. Donate tokens to repair it.**` };
+        }
+        if (qty > repairCost) {
+            return { success: false, message: `❌ **Cannot contribute more than required. Need ${repairCost} more tokens to fully repair ${def.name}.**`, allowed: repairCost };
+        }
+        return { success: true, mode: 'repair', itemName: null, allowed: repairCost };
+    }
+
+    let required;
+    let current;
+    let matchedName = null;
+    if (type === 'Items') {
+        matchedName = Object.keys(def.materials).find(name => name.toLowerCase() === String(itemName || '').trim().toLowerCase());
+        if (!matchedName) {
+            return { success: false, message: `❌ **${def.name} does not need that item. Needed: ${Object.keys(def.materials).join(', ')}.**` };
+        }
+        required = def.materials[matchedName];
+        current = state.materials[matchedName] || 0;
+    } else if (type === 'Tokens') {
+        required = def.tokens;
+        current = state.tokens;
+    } else {
+        return { success: false, message: '❌ **Invalid contribution type.**' };
+    }
+
+    const remainingNeeded = Math.max(0, required - current);
+    if (remainingNeeded === 0) {
+        return { success: false, message: `❌ **${def.name} already has all the ${matchedName || 'tokens'} it needs.**` };
+    }
+    const allowed = Math.min(Math.max(1, Math.ceil(required * PROJECT_DONATION_PERCENT)), remainingNeeded);
+    if (qty > allowed) {
+        return { success: false, message: `❌ **Maximum donation per contribution is ${allowed} (10% of required).**`, allowed };
+    }
+    return { success: true, mode: 'build', itemName: matchedName, allowed };
+}
+
+// ------------------- Function: applyProjectContribution -------------------
+// Records an already-paid donation on the village document (caller saves).
+// Returns { completed, repaired, state }
+function applyProjectContribution(village, projectKey, { mode, itemName, qty }) {
+    const def = getProjectDefinition(village.name, projectKey);
+    const state = getProjectState(village, projectKey);
+    let completed = false;
+    let repaired = 0;
+
+    if (mode === 'repair') {
+        const perPoint = (def.tokens * PROJECT_REPAIR_TOKEN_SHARE) / 100;
+        const before = state.condition;
+        state.condition = Math.min(100, before + Math.floor(qty / perPoint));
+        // Paying the full remaining cost always finishes the repair (rounding)
+        if (qty >= getRepairTokenCost(def, before)) state.condition = 100;
+        repaired = state.condition - before;
+    } else if (itemName) {
+        state.materials[itemName] = (state.materials[itemName] || 0) + qty;
+    } else {
+        state.tokens += qty;
+    }
+
+    if (!state.completedAt && isProjectFunded(def, state)) {
+        state.completedAt = new Date();
+        state.condition = 100;
+        completed = true;
+    }
+
+    setProjectState(village, projectKey, state);
+    return { completed, repaired, state };
+}
+
+// ============================================================================
+// ---- Damage ----
+// ============================================================================
+
+// ------------------- Function: applyProjectDamage -------------------
+// Decays projects alongside village resources (caller saves).
+// Unfinished projects lose floor(progress × damagePercentage) of each material and of tokens;
+// finished projects lose ceil(damagePercentage × 100) condition. A level drop wipes unfinished
+// progress and leaves finished buildings at 0 condition.
+function applyProjectDamage(village, damagePercentage, { levelDropped = false } = {}) {
+    const losses = [];
+    if (!village || (!(damagePercentage > 0) && !levelDropped)) return losses;
+    const pct = Math.min(1, Math.max(0, damagePercentage));
+
+    for (const key of Object.keys(VILLAGE_PROJECTS)) {
+        const def = getProjectDefinition(village.name, key);
+        const state = getProjectState(village, key);
+        let changed = false;
+
+        if (state.completedAt) {
+            const lost = levelDropped ? state.condition : Math.min(state.condition, Math.ceil(pct * 100));
+            if (lost > 0) {
+                state.condition -= lost;
+                losses.push({ project: key, name: def.name, type: 'Condition', amount: lost });
+                changed = true;
+            }
+        } else {
+            for (const [name, current] of Object.entries(state.materials)) {
+                const lost = levelDropped ? current : Math.floor(current * pct);
+                if (lost > 0) {
+                    state.materials[name] = current - lost;
+                    losses.push({ project: key, name: def.name, type: 'Material', item: name, amount: lost });
+                    changed = true;
+                }
+            }
+            const lostTokens = levelDropped ? state.tokens : Math.floor(state.tokens * pct);
+            if (lostTokens > 0) {
+                state.tokens -= lostTokens;
+                losses.push({ project: key, name: def.name, type: 'Tokens', amount: lostTokens });
+                changed = true;
+            }
+        }
+
+        if (changed) setProjectState(village, key, state);
+    }
+    return losses;
+}
+
+// ------------------- Function: formatProjectLosses -------------------
+// One line per project for damage reports, e.g. "🗼 Watchtower: -25% condition"
+function formatProjectLosses(losses) {
+    const byProject = new Map();
+    for (const loss of losses) {
+        const parts = byProject.get(loss.project) || [];
+        if (loss.type === 'Condition') parts.push(`-${loss.amount}% condition`);
+        else if (loss.type === 'Tokens') parts.push(`-${loss.amount} tokens`);
+        else parts.push(`-${loss.amount} ${loss.item}`);
+        byProject.set(loss.project, parts);
+    }
+    return [...byProject.entries()].map(([key, parts]) => `${VILLAGE_PROJECTS[key].emoji} **${VILLAGE_PROJECTS[key].name}:** ${parts.join(', ')}`);
+}
+
+// ============================================================================
+// ---- Exports ----
+// ============================================================================
+module.exports = {
+    PROJECT_DONATION_PERCENT,
+    PROJECT_REPAIR_TOKEN_SHARE,
+    getProjectDefinition,
+    listProjectDefinitions,
+    getRepairTokenCost,
+    getProjectState,
+    getProjectStatus,
+    isProjectActive,
+    getProjectBonus,
+    getProjectProgress,
+    planProjectContribution,
+    applyProjectContribution,
+    applyProjectDamage,
+    formatProjectLosses
+};
@@ -0,0 +1,251 @@
+// ============================================================================
+// Weather Effects Module
+// Declarative table of how each weather condition changes gameplay, consulted by
+// /gather, /loot, /travel encounters and /explore roll.
+// - items: weight multiplier per item type/subtype/category (e.g. Fish, Mushroom)
+// - monsters: encounter weight multiplier per monster element
+// - damage: extra hearts taken from monsters of an element (tier 1-4 encounters)
+// - stamina: extra stamina per action, by activity (only 'explore' rolls today)
+// Effects from the day's precipitation, temperature, wind and special weather
+// stack: weights multiply, damage and stamina add up to their caps.
+// Travel blocking stays in travel.js / helpWantedModule (TRAVEL_BLOCKING_WEATHER).
+// ============================================================================
+
+// ------------------- Standard Libraries -------------------
+const logger = require('@/utils/logger');
+
+// ============================================================================
+// Effects Table
+// Keys are the exact weather labels from @tinglebot/shared/weather/weatherData.
+// ============================================================================
+
+const WEATHER_EFFECTS = {
+  special: {
+    'Blight Rain': { monsters: { undead: 1.5 } },
+    'Drought': { items: { Plant: 0.5, Mushroom: 0.5, Fish: 0.75 }, monsters: { fire: 1.5 } },
+    'Flood': { items: { Fish: 2 }, monsters: { water: 2 }, stamina: { explore: 1 } },
+    'Jubilee': { items: { Fish: 2 } },
+    'Lightning Storm': { monsters: { electric: 2 }, damage: { electric: 1 } },
+    'Meteor Shower': { items: { Ore: 1.5 } },
+    'Muggy': { items: { Creature: 1.5 } },
+    'Avalanche': { monsters: { ice: 1.5 }, stamina: { explore: 1 } },
+    'Rock Slide': { monsters: { earth: 1.5 }, stamina: { explore: 1 } }
+  },
+  precipitation: {
+    'Sunny': { items: { Plant: 1.25, Fruit: 1.25 } },
+    'Light Rain': { items: { Mushroom: 1.25 } },
+    'Rain': { items: { Mushroom: 1.25, Fish: 1.25 }, monsters: { water: 1.25 } },
+    'Heavy Rain': { items: { Fish: 1.5, Mushroom: 1.5 }, monsters: { water: 1.5, fire: 0.5 }, stamina: { explore: 1 } },
+    'Thunderstorm': { monsters: { electric: 2 }, damage: { electric: 1 }, stamina: { explore: 1 } },
+    'Thundersnow': { monsters: { electric: 1.5, ice: 1.5 }, damage: { electric: 1 } },
+    'Heat Lightning': { monsters: { electric: 1.5 } },
+    'Fog': { monsters: { undead: 1.5 } },
+    'Snow': { monsters: { ice: 1.25 } },
+    'Heavy Snow': { items: { Plant: 0.75, Fruit: 0.5 }, monsters: { ice: 1.5 }, stamina: { explore: 1 } },
+    'Blizzard': { monsters: { ice: 2, fire: 0.5 }, damage: { ice: 1 }, stamina: { explore: 1 } },
+    'Cinder Storm': { monsters: { fire: 2, ice: 0.5 }, damage: { fire: 1 }, stamina: { explore: 1 } },
+    'Hail': { stamina: { explore: 1 } }
+  },
+  temperature: {
+    '0°F / -18°C - Frigid': { monsters: { ice: 1.5, fire: 0.5 }, damage: { ice: 1 } },
+    '8°F / -14°C - Freezing': { monsters: { ice: 1.25 } },
+    '97°F / 36°C - Scorching': { monsters: { fire: 1.25 }, stamina: { explore: 1 } },
+    '100°F / 38°C - Heat Wave': { monsters: { fire: 1.5, ice: 0.5 }, damage: { fire: 1 }, stamina: { explore: 1 } }
+  },
+  wind: {
+    '63 - 87(km/h) // Gale': { monsters: { wind: 1.5 }, stamina: { explore: 1 } },
+    '88 - 117(km/h) // Storm': { monsters: { wind: 2 }, damage: { wind: 1 }, stamina: { explore: 1 } },
+    '>= 118(km/h) // Hurricane': { monsters: { wind: 2 }, damage: { wind: 1 }, stamina: { explore: 2 } }
+  }
+};
+
+// Which modifiers each activity consults (and shows in its result embed)
+const ACTIVITY_MODIFIERS = {
+  gather: ['items', 'monsters', 'damage'],
+  loot: ['items', 'monsters', 'damage'],
+  travel: ['monsters', 'damage'],
+  explore: ['items', 'monsters', 'damage', 'stamina']
+};
+
+const WEATHER_CATEGORIES = ['special', 'precipitation', 'temperature', 'wind'];
+
+// Stacked weather never costs more than this per action
+const MAX_WEATHER_STAMINA_COST = 2;
+const MAX_WEATHER_DAMAGE_BONUS = 1;
+
+// Monster pools are rebuilt with this many copies per monster at ×1, so ×0.5 still leaves one
+const MONSTER_POOL_BASE_COPIES = 2;
+
+// ============================================================================
+// Active Effects
+// ============================================================================
+
+// ------------------- getActiveWeatherEffects -------------------
+// Effects for a Weather doc, special weather first:
+// [{ category, label, emoji, items?, monsters?, damage?, stamina? }]
+function getActiveWeatherEffects(weather) {
+  if (!weather) return [];
+  const effects = [];
+  for (const category of WEATHER_CATEGORIES) {
+    const label = weather[category]?.label;
+    const effect = label && WEATHER_EFFECTS[category][label];
+    if (effect) {
+      effects.push({ category, label, emoji: weather[category].emoji || '', ...effect });
+    }
+  }
+  return effects;
+}
+
+// ------------------- getWeatherEffectsForVillage -------------------
+// Best-effort: weather problems never block the command, they just mean no modifiers.
+async function getWeatherEffectsForVillage(village, options = {}) {
+  try {
+    const { getWeatherWithoutGeneration } = require('@/services/weatherService');
+    const weather = await getWeatherWithoutGeneration(village, { generateIfMissing: true, ...options });
+    return getActiveWeatherEffects(weather);
+  } catch (error) {
+    logger.warn('WEATHER', `Could not load weather effects for ${village}: ${error.message}`);
+    return [];
+  }
+}
+
+// ============================================================================
+// Modifiers
+// ============================================================================
+
+// ------------------- getItemWeatherMultiplier -------------------
+// Matches the item's type, subtype and category labels (case-insensitive).
+function getItemWeatherMultiplier(item, effects = []) {
+  const labels = new Set(
+    [].concat(item?.type || [], item?.subtype || [], item?.category || [])
+      .map(label => String(label).trim().toLowerCase())
+  );
+  let multiplier = 1;
+  for (const effect of effects) {
+    for (const [label, value] of Object.entries(effect.items || {})) {
+      if (labels.has(label.toLowerCase())) multiplier *= value;
+    }
+  }
+  return multiplier;
+}
+
+// ------------------- applyWeatherToWeightedItems -------------------
+// Weighted item lists repeat an item once per unit of weight (see rngModule);
+// rescale each item's copies by its multiplier, keeping at least one.
+function applyWeatherToWeightedItems(weightedItems, effects = []) {
+  if (!Array.isArray(weightedItems) || !effects.some(effect => effect.items)) return weightedItems;
+  const byName = new Map();
+  for (const item of weightedItems) {
+    const entry = byName.get(item.itemName);
+    if (entry) entry.count++;
+    else byName.set(item.itemName, { item, count: 1 });
+  }
+  const result = [];
+  for (const { item, count } of byName.values()) {
+    const multiplier = getItemWeatherMultiplier(item, effects);
+    const copies = multiplier === 1 ? count : Math.max(1, Math.round(count * multiplier));
+    for (let i = 0; i < copies; i++) result.push(item);
+  }
+  return result;
+}
+
+// ------------------- getMonsterWeatherMultiplier -------------------
+function getMonsterWeatherMultiplier(monster, effects = []) {
+  const element = monster?.element;
+  if (!element || element === 'none') return 1;
+  return effects.reduce((multiplier, effect) => multiplier * (effect.monsters?.[element] ?? 1), 1);
+}
+
+// ------------------- applyWeatherToMonsterPool -------------------
+// Returns a list with monsters repeated by weight (same shape as applyQuadrantMonsterBias).
+function applyWeatherToMonsterPool(monsters, effects = []) {
+  if (!Array.isArray(monsters) || !effects.some(effect => effect.monsters)) return monsters;
+  const pool = [];
+  for (const monster of monsters) {
+    const copies = Math.max(1, Math.round(MONSTER_POOL_BASE_COPIES * getMonsterWeatherMultiplier(monster, effects)));
+    for (let i = 0; i < copies; i++) pool.push(monster);
+  }
+  return pool;
+}
+
+// ------------------- getWeatherDamageBonus -------------------
+// Extra hearts a hit from `monster` deals in this weather.
+function getWeatherDamageBonus(effects = [], monster) {
+  const element = monster?.element;
+  if (!element || element === 'none') return 0;
+  const bonus = effects.reduce((sum, effect) => sum + (effect.damage?.[element] ?? 0), 0);
+  return Math.min(MAX_WEATHER_DAMAGE_BONUS, bonus);
+}
+
+// ------------------- getWeatherStaminaCost -------------------
+// Extra stamina an action costs in this weather.
+function getWeatherStaminaCost(effects = [], activity) {
+  const cost = effects.reduce((sum, effect) => sum + (effect.stamina?.[activity] ?? 0), 0);
+  return Math.min(MAX_WEATHER_STAMINA_COST, cost);
+}
+
+// ============================================================================
+// Display
+// ============================================================================
+
+function formatMultipliers(multipliers, suffix = '') {
+  return Object.entries(multipliers)
+    .map(([label, value]) => `${label}${suffix} ×${value}`)
+    .join(', ');
+}
+
+// ------------------- formatWeatherEffects -------------------
+// One line per active condition that changes something for `activity`, or null.
+function formatWeatherEffects(effects = [], activity) {
+  const modifiers = ACTIVITY_MODIFIERS[activity] || [];
+  const lines = [];
+  for (const effect of effects) {
+    const parts = [];
+    if (modifiers.includes('items') && effect.items) {
+      parts.push(formatMultipliers(effect.items));
+    }
+    if (modifiers.includes('monsters') && effect.monsters) {
+      parts.push(formatMultipliers(effect.monsters, ' monsters'));
+    }
+    if (modifiers.includes('damage') && effect.damage) {
+      parts.push(Object.entries(effect.damage).map(([element, hearts]) => `+${hearts} ❤️ from ${element} monsters`).join(', '));
+    }
+    if (modifiers.includes('stamina') && effect.stamina?.[activity]) {
+      parts.push(`+${effect.stamina[activity]} 🟩 stamina`);
+    }
+    if (parts.length > 0) {
+      lines.push(`${effect.emoji ? `${effect.emoji} ` : ''}**${effect.label}:** ${parts.join(' · ')}`);
+    }
+  }
+  return lines.length > 0 ? lines.join('\n') : null;
+}
+
+// ------------------- addWeatherEffectsField -------------------
+// Adds a "Weather" field to a result embed when any modifier applied.
+function addWeatherEffectsField(embed, effects, activity) {
+  const value = formatWeatherEffects(effects, activity);
+  if (embed && value) {
+    embed.addFields({ name: '🌦️ __Weather__', value: value.slice(0, 1024), inline: false });
+  }
+  return embed;
+}
+
+// ============================================================================
+// Exports
+// ============================================================================
+
+module.exports = {
+  WEATHER_EFFECTS,
+  MAX_WEATHER_STAMINA_COST,
+  MAX_WEATHER_DAMAGE_BONUS,
+  getActiveWeatherEffects,
+  getWeatherEffectsForVillage,
+  getItemWeatherMultiplier,
+  applyWeatherToWeightedItems,
+  getMonsterWeatherMultiplier,
+  applyWeatherToMonsterPool,
+  getWeatherDamageBonus,
+  getWeatherStaminaCost,
+  formatWeatherEffects,
+  addWeatherEffectsField
+};
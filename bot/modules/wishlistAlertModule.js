@@ -0,0 +1,191 @@
+// ============================================================================
+// Wishlist Alert Module
+// DMs players when an item on one of their characters' wishlists (wishlistItems,
+// up to 5 per character, edited on the dashboard) becomes available:
+// - peddler: the weekly Peddler restock of the village shops
+// - villageShop: a mod adding stock with /mod village shopadd
+// - vendingStock: a new monthly vending stock list
+// - vendorRestock: a vendor stocking their shop with /vending restock
+// Each user gets one DM per event listing every matching character and item,
+// sent through notificationService (which skips users who turned the alert off).
+// Best-effort: errors are logged and never block the caller.
+// ============================================================================
+
+// ------------------- Standard Libraries -------------------
+const logger = require('@/utils/logger');
+const { escapeRegExp } = require('@/utils/inventoryUtils');
+const { sendWishlistAlert } = require('@/utils/notificationService');
+
+// ------------------- Database Models -------------------
+const Character = require('@/models/CharacterModel');
+const ModCharacter = require('@/models/ModCharacterModel');
+
+// ------------------- Configuration Constants -------------------
+const WISHLIST_ALERT_SOURCES = {
+  peddler: {
+    title: '🧺 Wishlist: the Peddler brought something you want!',
+    description: 'Fresh wares just reached the village shops. Buy them with `/economy shop-buy` before they sell out.'
+  },
+  villageShop: {
+    title: '🛒 Wishlist: now in the village shop!',
+    description: 'The village shop just stocked an item on your wishlist. Buy it with `/economy shop-buy`.'
+  },
+  vendingStock: {
+    title: '📦 Wishlist: in this month\'s vending stock!',
+    description: 'This month\'s vending stock includes an item on your wishlist. Ask a Merchant or Shopkeeper in that village to stock it.'
+  },
+  vendorRestock: {
+    title: '🏪 Wishlist: a vendor just stocked it!',
+    description: 'A vendor added an item on your wishlist to their shop. Buy it with `/vending barter`.'
+  }
+};
+
+// Keep DMs readable: the monthly vending stock can match many lines
+const MAX_LINES_PER_CHARACTER = 10;
+const MAX_FIELDS = 10;
+// Pause between DMs, matching the other bulk senders in notificationService
+const DM_DELAY_MS = 1000;
+
+// ============================================================================
+// Matching
+// ============================================================================
+
+// ------------------- normalizeItemName -------------------
+function normalizeItemName(name) {
+  return String(name || '').trim().toLowerCase();
+}
+
+// ------------------- matchWishlists -------------------
+// Pure matcher. `characters`: [{ userId, name, wishlistItems }]; `items`: [{ itemName, emoji?, detail? }]
+// (an item may appear more than once, e.g. once per village). Returns Map userId → [{ characterName, items }].
+function matchWishlists(characters, items, { excludeUserIds = [] } = {}) {
+  const itemsByName = new Map();
+  for (const item of items || []) {
+    const key = normalizeItemName(item?.itemName);
+    if (!key) continue;
+    if (!itemsByName.has(key)) itemsByName.set(key, []);
+    itemsByName.get(key).push(item);
+  }
+
+  const excluded = new Set(excludeUserIds.filter(Boolean).map(String));
+  const byUser = new Map();
+  for (const character of characters || []) {
+    if (!character?.userId || excluded.has(String(character.userId))) continue;
+    const wanted = [...new Set((character.wishlistItems || []).map(normalizeItemName))];
+    const matched = wanted.flatMap(key => itemsByName.get(key) || []);
+    if (matched.length === 0) continue;
+
+    const userId = String(character.userId);
+    if (!byUser.has(userId)) byUser.set(userId, []);
+    byUser.get(userId).push({ characterName: character.name, items: matched });
+  }
+  return byUser;
+}
+
+// ------------------- findWishlistCharacters -------------------
+// Accepted characters (including mod characters) wishing for any of `itemNames`.
+async function findWishlistCharacters(itemNames) {
+  const names = [...new Set((itemNames || []).map(name => String(name || '').trim()).filter(Boolean))];
+  if (names.length === 0) return [];
+  const filter = {
+    status: 'accepted',
+    wishlistItems: { $in: names.map(name => new RegExp(`^${escapeRegExp(name)}$`, 'i')) }
+  };
+  const [characters, modCharacters] = await Promise.all([
+    Character.find(filter).select('userId name wishlistItems').lean(),
+    ModCharacter.find(filter).select('userId name wishlistItems').lean()
+  ]);
+  return [...characters, ...modCharacters];
+}
+
+// ============================================================================
+// Formatting
+// ============================================================================
+
+// ------------------- formatWishlistItemLine -------------------
+function formatWishlistItemLine(item) {
+  const emoji = (item.emoji && String(item.emoji).trim()) || '📦';
+  return `${emoji} **${item.itemName}**${item.detail ? ` — ${item.detail}` : ''}`;
+}
+
+// ------------------- buildWishlistAlert -------------------
+// notificationService alert data for one user's matches.
+function buildWishlistAlert(source, matches, { location } = {}) {
+  const config = WISHLIST_ALERT_SOURCES[source] || WISHLIST_ALERT_SOURCES.villageShop;
+  const fields = matches.slice(0, MAX_FIELDS).map(({ characterName, items }) => {
+    const lines = items.slice(0, MAX_LINES_PER_CHARACTER).map(formatWishlistItemLine);
+    if (items.length > MAX_LINES_PER_CHARACTER) {
+      lines.push(`…and ${items.length - MAX_LINES_PER_CHARACTER} more`);
+    }
+    return { name: `🎁 On ${characterName}'s wishlist`, value: lines.join('\n').slice(0, 1024), inline: false };
+  });
+  if (location) {
+    fields.push({ name: '📍 Where', value: location, inline: false });
+  }
+  return {
+    title: config.title,
+    description: config.description,
+    fields,
+    footer: 'Roots of the Wild • Wishlist Alerts (turn off in dashboard profile settings)'
+  };
+}
+
+// ============================================================================
+// Notifying
+// ============================================================================
+
+// ------------------- notifyWishlistMatches -------------------
+// Finds wishlist matches for `items` and DMs each matching user once.
+// `excludeUserIds` skips e.g. the vendor who stocked the item themselves.
+// Returns { users, sent }; never throws.
+async function notifyWishlistMatches(source, items, { excludeUserIds = [], location } = {}) {
+  try {
+    const characters = await findWishlistCharacters((items || []).map(item => item?.itemName));
+    const byUser = matchWishlists(characters, items, { excludeUserIds });
+    if (byUser.size === 0) return { users: 0, sent: 0 };
+
+    let sent = 0;
+    for (const [userId, matches] of byUser) {
+      if (sent > 0) await new Promise(resolve => setTimeout(resolve, DM_DELAY_MS));
+      if (await sendWishlistAlert(userId, buildWishlistAlert(source, matches, { location }))) sent++;
+    }
+    logger.info('WISHLIST', `${source}: ${byUser.size} user(s) matched, ${sent} alert(s) sent`);
+    return { users: byUser.size, sent };
+  } catch (error) {
+    logger.warn('WISHLIST', `${source}: wishlist alerts failed: ${error.message}`);
+    return { users: 0, sent: 0 };
+  }
+}
+
+// ------------------- vendingStockWishlistItems -------------------
+// Flattens a vending stock list ({ stockList: { village: [...] }, limitedItems }) into alert items.
+function vendingStockWishlistItems(stock) {
+  const items = [];
+  for (const [village, entries] of Object.entries(stock?.stockList || {})) {
+    const villageLabel = village.charAt(0).toUpperCase() + village.slice(1);
+    for (const entry of entries || []) {
+      items.push({
+        itemName: entry.itemName,
+        emoji: entry.emoji,
+        detail: `${villageLabel} · ${entry.vendingType} · ${entry.points} pts`
+      });
+    }
+  }
+  for (const entry of stock?.limitedItems || []) {
+    items.push({ itemName: entry.itemName, emoji: entry.emoji, detail: `Limited · ${entry.points} pts · ${entry.stock} left` });
+  }
+  return items;
+}
+
+// ============================================================================
+// Exports
+// ============================================================================
+
+module.exports = {
+  WISHLIST_ALERT_SOURCES,
+  matchWishlists,
+  findWishlistCharacters,
+  buildWishlistAlert,
+  notifyWishlistMatches,
+  vendingStockWishlistItems
+};
@@ -0,0 +1,50 @@
+// ============================================================================
+// Backfill the market price index (MarketSale) from sales made before it existed:
+// completed token-for-item trades, sold auctions and completed token vending
+// requests still on file. Safe to re-run: sales already recorded are skipped.
+// ============================================================================
+// Usage (from repo root):  npm run backfill:market-sales -- --dry-run
+//        (from bot/):       node scripts/backfillMarketSales.js
+// ============================================================================
+
+const path = require('path');
+const fs = require('fs');
+const dotenv = require('dotenv');
+
+const rootEnvPath = path.resolve(__dirname, '..', '..', '.env');
+const botEnvPath = path.resolve(__dirname, '..', '.env');
+if (fs.existsSync(rootEnvPath)) {
+  dotenv.config({ path: rootEnvPath });
+} else if (fs.existsSync(botEnvPath)) {
+  dotenv.config({ path: botEnvPath });
+}
+
+require('module-alias/register');
+const moduleAlias = require('module-alias');
+moduleAlias.addAlias('@', path.resolve(__dirname, '..'));
+
+const DatabaseConnectionManager = require('../database/connectionManager');
+const { backfillMarketSales } = require('../modules/priceIndexModule');
+
+async function main() {
+  const dryRun = process.argv.slice(2).includes('--dry-run');
+
+  if (!process.env.MONGODB_URI && !process.env.MONGODB_TINGLEBOT_URI) {
+    console.error('❌ Set MONGODB_URI (or MONGODB_TINGLEBOT_URI) in .env');
+    process.exit(1);
+  }
+
+  console.log(`backfillMarketSales (${dryRun ? 'DRY RUN — no writes' : 'APPLY'})`);
+  await DatabaseConnectionManager.connectToTinglebot();
+
+  const counts = await backfillMarketSales({ dryRun });
+  console.log(`\n${dryRun ? 'Would record' : 'Recorded'}: ${counts.trade} trade, ${counts.auction} auction, ${counts.vending} vending sale(s).`);
+
+  await DatabaseConnectionManager.closeAll().catch(() => {});
+}
+
+main().catch((e) => {
+  console.error(e);
+  DatabaseConnectionManager.closeAll().catch(() => {});
+  process.exit(1);
+});
@@ -0,0 +1,395 @@
+// ============================================================================
+// Migrate per-character inventory collections into the single `inventories` collection
+// ============================================================================
+// Before: database `inventories` held one collection per character (name lowercased,
+// e.g. `ven`), plus `<name>_<...>` style names for mod characters.
+// After: every row lives in `inventories.inventories`, keyed by characterId
+// (see bot/database/inventoryCollection.js).
+//
+// The migration is resumable: per-collection progress is stored in
+// `inventory_migration_state`, rows are upserted by their original _id and owner so a
+// re-run never duplicates, and collections already verified are skipped. A row whose
+// _id is already in the shared collection under another character is never replaced:
+// it is reported as a collision and its collection is left unverified.
+//
+// Usage:
+//   node bot/scripts/migrate-inventories-to-single-collection.js
+//   node bot/scripts/migrate-inventories-to-single-collection.js --write
+//   node bot/scripts/migrate-inventories-to-single-collection.js --write --drop-verified
+//   node bot/scripts/migrate-inventories-to-single-collection.js --write --only=ven,link
+//   node bot/scripts/migrate-inventories-to-single-collection.js --write --batch=500
+// ============================================================================
+
+const path = require('path');
+const fs = require('fs');
+const { MongoClient, ObjectId } = require('mongodb');
+
+const projectRoot = path.resolve(__dirname, '..', '..');
+for (const envFile of [
+  path.join(projectRoot, '.env'),
+  path.join(projectRoot, 'dashboard', '.env'),
+  path.join(projectRoot, 'bot', '.env'),
+]) {
+  if (fs.existsSync(envFile)) {
+    require('dotenv').config({ path: envFile });
+    break;
+  }
+}
+
+const {
+  INVENTORIES_COLLECTION,
+  MOD_SHARED_INVENTORY_COLLECTION,
+  INVENTORY_INDEXES,
+} = require(path.join(projectRoot, 'bot', 'database', 'inventoryCollection.js'));
+
+const STATE_COLLECTION = 'inventory_migration_state';
+const DEFAULT_BATCH_SIZE = 1000;
+const DUPLICATE_KEY_ERROR = 11000;
+
+/** Never treat these as per-character inventories (target, global catalog, logs, etc.) */
+const EXCLUDED_COLLECTIONS = new Set(
+  [
+    INVENTORIES_COLLECTION,
+    MOD_SHARED_INVENTORY_COLLECTION,
+    STATE_COLLECTION,
+    'items',
+    'inventorylogs',
+    'inventorylog',
+    'inventory_snapshots',
+    'item',
+    'monsters',
+    'characters',
+    'modcharacters',
+    'parties',
+    'users',
+    'inventorylogmodels',
+  ].map((s) => s.toLowerCase())
+);
+
+function isExcludedCollection(name) {
+  const n = String(name || '').toLowerCase();
+  if (EXCLUDED_COLLECTIONS.has(n)) return true;
+  if (n.startsWith('system.')) return true;
+  if (n.includes('inventorylog')) return true;
+  return false;
+}
+
+function getInventoriesUri() {
+  return (
+    process.env.MONGODB_INVENTORIES_URI ||
+    process.env.MONGODB_INVENTORIES_URI_PROD ||
+    process.env.MONGODB_TINGLEBOT_URI ||
+    process.env.MONGODB_TINGLEBOT_URI_PROD ||
+    process.env.MONGODB_URI ||
+    null
+  );
+}
+
+function getTinglebotUri() {
+  return (
+    process.env.MONGODB_TINGLEBOT_URI ||
+    process.env.MONGODB_TINGLEBOT_URI_PROD ||
+    process.env.MONGODB_URI ||
+    getInventoriesUri()
+  );
+}
+
+function parseArgValue(argv, prefix) {
+  const hit = argv.find((a) => a.startsWith(prefix));
+  if (!hit) return null;
+  const eq = hit.indexOf('=');
+  if (eq === -1) return null;
+  return hit.slice(eq + 1).trim();
+}
+
+function maskUri(uri) {
+  try {
+    const m = String(uri).match(/^(mongodb\+?srv?:\/\/)([^@]+)@/);
+    if (m) return `${m[1]}***@${String(uri).split('@')[1]?.slice(0, 80) || ''}`;
+    return String(uri).slice(0, 60) + (uri.length > 60 ? '…' : '');
+  } catch (_) {
+    return '(uri)';
+  }
+}
+
+// ------------------- Owner Resolution -------------------
+// Maps legacy collection names to character ids. Regular characters used
+// name.toLowerCase(); mod characters also appeared with non-alphanumerics replaced by "_".
+async function loadOwners(tinglebotDb) {
+  const byCollectionName = new Map();
+  const byId = new Map();
+
+  for (const source of ['characters', 'modcharacters']) {
+    const docs = await tinglebotDb
+      .collection(source)
+      .find({}, { projection: { _id: 1, name: 1 } })
+      .toArray();
+    for (const doc of docs) {
+      if (!doc.name) continue;
+      const owner = { _id: doc._id, name: doc.name, source };
+      byId.set(String(doc._id), owner);
+      const lower = doc.name.toLowerCase();
+      if (!byCollectionName.has(lower)) byCollectionName.set(lower, owner);
+      const sanitized = lower.replace(/[^a-z0-9]/g, '_');
+      if (!byCollectionName.has(sanitized)) byCollectionName.set(sanitized, owner);
+    }
+  }
+
+  return { byCollectionName, byId };
+}
+
+// Falls back to the characterId stored on the rows when the collection name no longer
+// matches a character (e.g. the character was renamed after the collection was created).
+async function resolveOwner(collection, collName, owners) {
+  const byName = owners.byCollectionName.get(collName.toLowerCase());
+  if (byName) return byName;
+
+  const ids = await collection.distinct('characterId', { characterId: { $ne: null } });
+  const matches = ids.map((id) => owners.byId.get(String(id))).filter(Boolean);
+  const unique = [...new Map(matches.map((o) => [String(o._id), o])).values()];
+  return unique.length === 1 ? unique[0] : null;
+}
+
+// ------------------- Copy + Verify -------------------
+// The upsert only matches a row this owner already has; when the _id belongs to another
+// character the insert fails on the _id index, and that row is returned as a collision.
+async function copyCollection(source, target, ownerId, batchSize) {
+  let copied = 0;
+  const collisions = [];
+  let ops = [];
+
+  const flush = async () => {
+    const batch = ops;
+    ops = [];
+    try {
+      await target.bulkWrite(batch, { ordered: false });
+      copied += batch.length;
+    } catch (error) {
+      const writeErrors = error.writeErrors ? [].concat(error.writeErrors) : [];
+      if (writeErrors.length === 0 || writeErrors.some((e) => e.code !== DUPLICATE_KEY_ERROR)) throw error;
+      copied += batch.length - writeErrors.length;
+      for (const e of writeErrors) collisions.push(batch[e.index].replaceOne.filter._id);
+    }
+  };
+
+  for await (const doc of source.find({})) {
+    ops.push({
+      replaceOne: {
+        filter: { _id: doc._id, characterId: ownerId },
+        replacement: { ...doc, characterId: ownerId },
+        upsert: true,
+      },
+    });
+    if (ops.length >= batchSize) await flush();
+  }
+  if (ops.length > 0) await flush();
+
+  return { copied, collisions };
+}
+
+// Who already owns each colliding _id in the shared collection
+async function describeCollisions(target, ids) {
+  const rows = await target
+    .find({ _id: { $in: ids } }, { projection: { _id: 1, characterId: 1, itemName: 1 } })
+    .toArray();
+  return rows.map((row) => ({ _id: row._id, existingCharacterId: row.characterId, itemName: row.itemName }));
+}
+
+// Every source _id must exist in the target under the same owner
+async function verifyCollection(source, target, ownerId, batchSize) {
+  const sourceCount = await source.countDocuments({});
+  let present = 0;
+  let ids = [];
+
+  const countPresent = async (batch) =>
+    target.countDocuments({ _id: { $in: batch }, characterId: ownerId });
+
+  for await (const doc of source.find({}, { projection: { _id: 1 } })) {
+    ids.push(doc._id);
+    if (ids.length >= batchSize) {
+      present += await countPresent(ids);
+      ids = [];
+    }
+  }
+  if (ids.length > 0) present += await countPresent(ids);
+
+  return { sourceCount, present, ok: present === sourceCount };
+}
+
+async function main() {
+  const write = process.argv.includes('--write');
+  const dropVerified = process.argv.includes('--drop-verified');
+  const dryRun = !write;
+
+  const uri = getInventoriesUri();
+  if (!uri) {
+    console.error('❌ Missing MongoDB URI (try MONGODB_INVENTORIES_URI or MONGODB_TINGLEBOT_URI or MONGODB_URI).');
+    process.exit(1);
+  }
+  if (dropVerified && dryRun) {
+    console.error('❌ --drop-verified requires --write.');
+    process.exit(1);
+  }
+
+  const inventoriesDbName = parseArgValue(process.argv, '--db=') || 'inventories';
+  const charactersDbName = parseArgValue(process.argv, '--characters-db=') || 'tinglebot';
+  const batchSize = Math.max(1, parseInt(parseArgValue(process.argv, '--batch=') || DEFAULT_BATCH_SIZE, 10));
+  const onlyArg = parseArgValue(process.argv, '--only=');
+  const only = onlyArg ? new Set(onlyArg.split(',').map((s) => s.trim().toLowerCase()).filter(Boolean)) : null;
+
+  console.log(`Mode: ${dryRun ? 'dry-run (no writes)' : 'WRITE — will copy rows into the shared collection'}`);
+  if (dropVerified) console.log('Verified source collections will be DROPPED.');
+  console.log(`URI: ${maskUri(uri)}`);
+  console.log(`Inventories DB: ${inventoriesDbName} → ${INVENTORIES_COLLECTION}`);
+  console.log(`Characters DB: ${charactersDbName}`);
+  console.log('Connecting...\n');
+
+  const client = new MongoClient(uri);
+  await client.connect();
+  const tinglebotUri = getTinglebotUri();
+  const tinglebotClient = tinglebotUri === uri ? client : new MongoClient(tinglebotUri);
+  if (tinglebotClient !== client) await tinglebotClient.connect();
+
+  const db = client.db(inventoriesDbName);
+  const target = db.collection(INVENTORIES_COLLECTION);
+  const state = db.collection(STATE_COLLECTION);
+  const owners = await loadOwners(tinglebotClient.db(charactersDbName));
+
+  if (!dryRun) {
+    await target.createIndexes(INVENTORY_INDEXES);
+  }
+
+  const collInfos = await db.listCollections({ type: 'collection' }).toArray();
+  const names = collInfos
+    .map((c) => c.name)
+    .filter((n) => !isExcludedCollection(n))
+    .filter((n) => !only || only.has(n.toLowerCase()))
+    .sort();
+
+  const results = { migrated: [], skipped: [], unresolved: [], collisions: [], failed: [], dropped: [] };
+
+  for (const collName of names) {
+    const source = db.collection(collName);
+    const previous = await state.findOne({ _id: collName });
+
+    if (previous?.status === 'verified') {
+      results.skipped.push({ collection: collName, reason: 'already verified' });
+      if (dropVerified) {
+        await source.drop();
+        await state.updateOne({ _id: collName }, { $set: { status: 'dropped', droppedAt: new Date() } });
+        results.dropped.push(collName);
+      }
+      continue;
+    }
+
+    const owner = await resolveOwner(source, collName, owners);
+    if (!owner) {
+      results.unresolved.push({ collection: collName, documents: await source.countDocuments({}) });
+      continue;
+    }
+
+    const ownerId = new ObjectId(String(owner._id));
+    if (dryRun) {
+      results.migrated.push({
+        collection: collName,
+        owner: owner.name,
+        ownerSource: owner.source,
+        documents: await source.countDocuments({}),
+      });
+      continue;
+    }
+
+    await state.updateOne(
+      { _id: collName },
+      { $set: { status: 'pending', characterId: ownerId, characterName: owner.name, startedAt: new Date() } },
+      { upsert: true }
+    );
+
+    const { copied, collisions } = await copyCollection(source, target, ownerId, batchSize);
+    if (collisions.length > 0) {
+      const rows = await describeCollisions(target, collisions);
+      await state.updateOne(
+        { _id: collName },
+        { $set: { status: 'collision', copied, collisions: rows, copiedAt: new Date() } }
+      );
+      results.collisions.push({ collection: collName, owner: owner.name, characterId: ownerId, rows });
+      continue;
+    }
+    await state.updateOne({ _id: collName }, { $set: { status: 'copied', copied, copiedAt: new Date() } });
+
+    const verification = await verifyCollection(source, target, ownerId, batchSize);
+    if (!verification.ok) {
+      await state.updateOne(
+        { _id: collName },
+        { $set: { status: 'failed', sourceCount: verification.sourceCount, present: verification.present } }
+      );
+      results.failed.push({ collection: collName, owner: owner.name, ...verification });
+      continue;
+    }
+
+    await state.updateOne(
+      { _id: collName },
+      { $set: { status: 'verified', sourceCount: verification.sourceCount, verifiedAt: new Date() } }
+    );
+    results.migrated.push({ collection: collName, owner: owner.name, ownerSource: owner.source, documents: copied });
+
+    if (dropVerified) {
+      await source.drop();
+      await state.updateOne({ _id: collName }, { $set: { status: 'dropped', droppedAt: new Date() } });
+      results.dropped.push(collName);
+    }
+  }
+
+  const targetCount = await target.countDocuments({}).catch(() => 0);
+  if (tinglebotClient !== client) await tinglebotClient.close();
+  await client.close();
+
+  const report = {
+    generatedAt: new Date().toISOString(),
+    mode: dryRun ? 'dry-run' : 'write',
+    database: inventoriesDbName,
+    collectionsScanned: names.length,
+    targetDocuments: targetCount,
+    ...results,
+  };
+
+  const reportPath = path.join(projectRoot, 'bot', 'scripts', 'migrate-inventories-to-single-collection.report.json');
+  fs.writeFileSync(reportPath, JSON.stringify(report, null, 2), 'utf8');
+
+  console.log(`Scanned ${names.length} legacy collection(s).`);
+  console.log(`${dryRun ? 'Would migrate' : 'Migrated + verified'}: ${results.migrated.length}`);
+  console.log(`Skipped (already verified): ${results.skipped.length}`);
+  console.log(`Unresolved owner: ${results.unresolved.length}`);
+  console.log(`_id collisions: ${results.collisions.length}`);
+  console.log(`Verification failed: ${results.failed.length}`);
+  if (dropVerified) console.log(`Dropped: ${results.dropped.length}`);
+  console.log(`Rows in ${INVENTORIES_COLLECTION}: ${targetCount}`);
+
+  if (results.unresolved.length) {
+    console.log('\n⚠️ Collections with no matching character (left untouched):');
+    for (const u of results.unresolved) console.log(`  • ${u.collection} (${u.documents} rows)`);
+  }
+  if (results.collisions.length) {
+    console.log('\n❌ Rows whose _id already belongs to another character (not copied, collection left unverified):');
+    for (const c of results.collisions) {
+      for (const row of c.rows) {
+        console.log(`  • ${c.collection} (${c.owner}): ${row._id} ${row.itemName || ''} is owned by ${row.existingCharacterId}`);
+      }
+    }
+  }
+  if (results.failed.length) {
+    console.log('\n❌ Verification failed (re-run to resume):');
+    for (const f of results.failed) console.log(`  • ${f.collection}: ${f.present}/${f.sourceCount} rows present`);
+  }
+  if (dryRun) {
+    console.log('\nDry-run only. Re-run with --write to copy rows.');
+  }
+  console.log(`\nReport written to: ${reportPath}`);
+
+  if (results.failed.length || results.collisions.length) process.exitCode = 2;
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
@@ -21,7 +21,12 @@ if (require('fs').existsSync(envSpecificPath)) {
   dotenv.config({ path: rootEnvPath });
 }
 
+require('module-alias/register');
+const moduleAlias = require('module-alias');
+moduleAlias.addAlias('@', path.resolve(__dirname, '..'));
+
 const DatabaseConnectionManager = require('../database/connectionManager');
+const { getCharacterInventoryCollection } = require('../database/db');
 const Character = require('../models/CharacterModel');
 const InventoryLog = require('../models/InventoryLogModel');
 const logger = require('../utils/logger');
@@ -137,10 +142,7 @@ async function getCurrentInventory(characterName) {
       throw new Error(`Character "${characterName}" not found`);
     }
 
-    const inventoriesConnection = await DatabaseConnectionManager.connectToInventoriesNative();
-    const db = inventoriesConnection.useDb('inventories');
-    const collectionName = character.name.toLowerCase();
-    const inventoryCollection = db.collection(collectionName);
+    const inventoryCollection = await getCharacterInventoryCollection(character);
 
     const items = await inventoryCollection.find({
       characterId: character._id
@@ -260,10 +262,7 @@ async function restoreInventory(characterName, beforeDate = null, dryRun = false
       throw new Error(`Character "${characterName}" not found`);
     }
 
-    const inventoriesConnection = await DatabaseConnectionManager.connectToInventoriesNative();
-    const db = inventoriesConnection.useDb('inventories');
-    const collectionName = character.name.toLowerCase();
-    const inventoryCollection = db.collection(collectionName);
+    const inventoryCollection = await getCharacterInventoryCollection(character);
 
     const changes = [];
     const restored = [];
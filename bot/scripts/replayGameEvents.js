@@ -0,0 +1,84 @@
+// ============================================================================
+// Replay stored game events (GameEvent) to the current subscribers, oldest first.
+// Use it after fixing a subscriber bug, e.g. to re-deliver the raid.won events
+// the achievements subscriber failed on. Without --apply it only lists matches.
+// Only replay-safe subscribers (e.g. achievements) are reached unless
+// --subscriber names one; with --failed, only the subscribers that failed.
+// ============================================================================
+// Usage (from repo root):  npm run replay:game-events -- --event raid.won --subscriber achievements --failed
+//        (from bot/):       node scripts/replayGameEvents.js --since 2026-10-01 --failed --apply
+// Options: --event <name>  --subscriber <name>  --since <date>  --until <date>
+//          --failed (only failed deliveries)  --limit <n> (default 500)  --apply
+// ============================================================================
+
+const path = require('path');
+const fs = require('fs');
+const dotenv = require('dotenv');
+
+const rootEnvPath = path.resolve(__dirname, '..', '..', '.env');
+const botEnvPath = path.resolve(__dirname, '..', '.env');
+if (fs.existsSync(rootEnvPath)) {
+  dotenv.config({ path: rootEnvPath });
+} else if (fs.existsSync(botEnvPath)) {
+  dotenv.config({ path: botEnvPath });
+}
+
+require('module-alias/register');
+const moduleAlias = require('module-alias');
+moduleAlias.addAlias('@', path.resolve(__dirname, '..'));
+
+const DatabaseConnectionManager = require('../database/connectionManager');
+const GameEvent = require('../models/GameEventModel');
+const { buildReplayQuery, replayGameEvents } = require('../utils/gameEvents');
+const { registerGameEventSubscribers } = require('../modules/gameEventSubscribers');
+
+function parseArgs(argv) {
+  const options = { failedOnly: false, apply: false, limit: 500 };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--failed') options.failedOnly = true;
+    else if (arg === '--apply') options.apply = true;
+    else if (arg === '--event') options.event = argv[++i];
+    else if (arg === '--subscriber') options.subscriber = argv[++i];
+    else if (arg === '--since') options.since = argv[++i];
+    else if (arg === '--until') options.until = argv[++i];
+    else if (arg === '--limit') options.limit = Number(argv[++i]) || 500;
+  }
+  return options;
+}
+
+async function main() {
+  const { apply, ...filters } = parseArgs(process.argv.slice(2));
+
+  if (!process.env.MONGODB_URI && !process.env.MONGODB_TINGLEBOT_URI) {
+    console.error('❌ Set MONGODB_URI (or MONGODB_TINGLEBOT_URI) in .env');
+    process.exit(1);
+  }
+
+  console.log(`replayGameEvents (${apply ? 'APPLY' : 'DRY RUN — listing only'})`, filters);
+  await DatabaseConnectionManager.connectToTinglebot();
+
+  if (!apply) {
+    const entries = await GameEvent.find(buildReplayQuery(filters)).sort({ emittedAt: 1 }).limit(filters.limit).lean();
+    for (const entry of entries) {
+      const failures = (entry.subscribers || []).filter(s => !s.ok).map(s => `${s.name}: ${s.error}`);
+      console.log(`${entry.emittedAt.toISOString()}  ${entry.event}  ${JSON.stringify(entry.payload)}${failures.length ? `  ✗ ${failures.join('; ')}` : ''}`);
+    }
+    console.log(`\nWould replay ${entries.length} event(s). Re-run with --apply.`);
+  } else {
+    registerGameEventSubscribers();
+    const { replayed, failed, skipped } = await replayGameEvents(filters);
+    console.log(`\nReplayed ${replayed} event(s), ${failed} with failures.`);
+    for (const [name, count] of Object.entries(skipped)) {
+      console.log(`Skipped ${name} on ${count} event(s): not replay-safe, re-run with --subscriber ${name} to replay it anyway.`);
+    }
+  }
+
+  await DatabaseConnectionManager.closeAll().catch(() => {});
+}
+
+main().catch((e) => {
+  console.error(e);
+  DatabaseConnectionManager.closeAll().catch(() => {});
+  process.exit(1);
+});
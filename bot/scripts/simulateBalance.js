@@ -0,0 +1,697 @@
+// ============================================================================
+// simulateBalance.js
+//
+// Offline balance harness for /loot, /gather and travel encounters.
+// Loads items and monsters from a JSON fixture (no database connection) and runs
+// thousands of simulated actions through the live roll code — createWeightedItemList,
+// calculateFinalValue, getEncounterOutcome, calculateWeightedDamage and the job boost
+// functions in boostingModule — so balance changes can be compared before deploying.
+//
+// Every run is seeded (rngService), so the same flags + seed give the same report.
+// Each simulated action starts from a fresh character: full hearts, the elixir buff
+// active, and the booster applied.
+//
+// Fixture format: { "items": [ItemModel-shaped docs], "monsters": [MonsterModel-shaped docs] }
+// See scripts/balanceFixture.example.json. Export real data with mongoexport --jsonArray
+// and combine both arrays into one file to simulate against production tables.
+// Token value is the item's sellPrice; items missing from the fixture count as 0.
+//
+// Usage (repo root):
+//   node bot/scripts/simulateBalance.js --activity loot --job Hunter --village Rudania
+//   node bot/scripts/simulateBalance.js --activity loot --job Hunter --village Rudania --village-level 3 --booster Teacher
+//   node bot/scripts/simulateBalance.js --activity gather --job Farmer --village Vhintl --weather "Blight Rain" --elixir "Bright Elixir:2"
+//   node bot/scripts/simulateBalance.js --activity travel --path pathOfScarletLeaves --job Hunter --on-encounter flee --elixir "Sneaky Elixir"
+//   node bot/scripts/simulateBalance.js --activity loot --job Hunter --village Rudania --runs 50000 --seed 42 --json
+//
+// Flags:
+//   --fixture <file>         Items/monsters fixture (default: scripts/balanceFixture.example.json)
+//   --activity <a>           loot | gather | travel (default: loot)
+//   --job <job>              Character job (default: Hunter)
+//   --village <name>         Rudania | Inariko | Vhintl — sets the region for loot/gather tables
+//   --village-level <1-3>    Village level (default: 1)
+//   --path <path>            Travel path field, e.g. pathOfScarletLeaves | leafDewWay (travel only)
+//   --weather <label>        Special weather: "Lightning Storm" | "Blight Rain" (loot/gather only)
+//   --elixir <name[:level]>  Active elixir, e.g. "Mighty Elixir:2" (level 1-3, default 1)
+//   --booster <job>          Boosting job: Teacher | Fortune Teller | Entertainer | Priest (see notes below)
+//   --hearts <n>             Current/max hearts of the simulated character (default: 3)
+//   --attack <n> / --defense <n>  Gear attack/defense stats (default: 0)
+//   --weapon <name>          Weapon name, used for the elemental combat bonus
+//   --on-encounter <c>       Travel: fight | flee (default: fight)
+//   --on-safe <c>            Travel: gather | rest on a safe day (default: gather)
+//   --stamina-per-action <n> Stamina-equivalent cost of one daily loot/gather roll (default: 1)
+//   --runs <n>               Number of simulated actions (default: 10000)
+//   --seed <n>               Seed for a reproducible run (default: random, printed in the report)
+//   --json                   Print the summary as JSON instead of tables
+//
+// Not simulated: Blood Moon encounters and raids (tier 5+), Scholar boosts, and the
+// Priest/Entertainer gathering boosts (they read the live item catalog).
+// ============================================================================
+
+const path = require('path');
+const fs = require('fs');
+
+require('module-alias/register');
+const moduleAlias = require('module-alias');
+moduleAlias.addAlias('@', path.resolve(__dirname, '..'));
+
+const rng = require('../services/rngService');
+const {
+  createWeightedItemList,
+  calculateFinalValue,
+  getMonsterEncounterFromList,
+  getRandomTravelEncounter,
+  calculateWeightedDamage,
+  calculateFleeChance
+} = require('../modules/rngModule');
+const { getEncounterOutcome } = require('../modules/encounterModule');
+const {
+  ELIXIR_EFFECTS,
+  resolveElixirItemName,
+  scaleElixirEffects,
+  getActiveBuffEffects,
+  shouldConsumeElixir,
+  consumeElixirBuff,
+  calculateElementalCombatBonus,
+  rollStickyBonusExtraQuantity
+} = require('../modules/elixirModule');
+const {
+  normalizeJobName,
+  applyTeacherLootingBoost,
+  applyEntertainerLootingBoost,
+  applyFortuneTellerGatheringBoost,
+  applyTeacherGatheringBoost,
+  applyTeacherTravelingBoost
+} = require('../modules/boostingModule');
+const { getVillageRegionByName } = require('../modules/locationsModule');
+
+const DEFAULT_FIXTURE = path.join(__dirname, 'balanceFixture.example.json');
+
+// Mirrors commands/world/travel.js: half of all travel days are safe
+const TRAVEL_SAFE_DAY_CHANCE = 0.5;
+// Mirrors commands/jobs/loot.js: Lightning Storm strikes for 1 heart
+const LIGHTNING_STRIKE_CHANCE = 0.015;
+// Mirrors commands/jobs/loot.js + gather.js: Blight Rain infection chance before elixir resistance
+const BLIGHT_RAIN_INFECTION_CHANCE = 0.75;
+
+const SUPPORTED_BOOSTERS = {
+  loot: ['Teacher', 'Fortune Teller', 'Entertainer', 'Priest'],
+  gather: ['Teacher', 'Fortune Teller'],
+  travel: ['Teacher']
+};
+
+// ============================================================================
+// ------------------- Arguments -------------------
+// ============================================================================
+
+function getArg(name) {
+  const i = process.argv.indexOf(`--${name}`);
+  if (i === -1) return null;
+  const v = process.argv[i + 1];
+  if (v == null || v.startsWith('--')) return null;
+  return v;
+}
+
+function getNumberArg(name, fallback) {
+  const raw = getArg(name);
+  if (raw == null) return fallback;
+  const n = Number(raw);
+  if (!Number.isFinite(n)) {
+    throw new Error(`--${name} must be a number (got "${raw}")`);
+  }
+  return n;
+}
+
+function parseOptions() {
+  const activity = (getArg('activity') || 'loot').toLowerCase();
+  if (!['loot', 'gather', 'travel'].includes(activity)) {
+    throw new Error('--activity must be loot, gather or travel');
+  }
+
+  const villageLevel = getNumberArg('village-level', 1);
+  if (![1, 2, 3].includes(villageLevel)) {
+    throw new Error('--village-level must be 1, 2 or 3');
+  }
+
+  const booster = getArg('booster');
+  if (booster && !SUPPORTED_BOOSTERS[activity].some(b => b.toLowerCase() === booster.toLowerCase())) {
+    throw new Error(`--booster ${booster} is not simulated for ${activity} (supported: ${SUPPORTED_BOOSTERS[activity].join(', ')})`);
+  }
+
+  const onEncounter = (getArg('on-encounter') || 'fight').toLowerCase();
+  const onSafe = (getArg('on-safe') || 'gather').toLowerCase();
+  if (!['fight', 'flee'].includes(onEncounter)) throw new Error('--on-encounter must be fight or flee');
+  if (!['gather', 'rest'].includes(onSafe)) throw new Error('--on-safe must be gather or rest');
+
+  const options = {
+    fixture: path.resolve(getArg('fixture') || DEFAULT_FIXTURE),
+    activity,
+    job: getArg('job') || 'Hunter',
+    village: getArg('village'),
+    villageLevel,
+    path: getArg('path'),
+    weather: getArg('weather'),
+    elixir: getArg('elixir'),
+    booster: booster
+      ? SUPPORTED_BOOSTERS[activity].find(b => b.toLowerCase() === booster.toLowerCase())
+      : null,
+    hearts: Math.max(1, Math.floor(getNumberArg('hearts', 3))),
+    attack: getNumberArg('attack', 0),
+    defense: getNumberArg('defense', 0),
+    weapon: getArg('weapon'),
+    onEncounter,
+    onSafe,
+    staminaPerAction: getNumberArg('stamina-per-action', 1),
+    runs: Math.max(1, Math.floor(getNumberArg('runs', 10000))),
+    seed: getArg('seed') != null ? getNumberArg('seed', 0) >>> 0 : null,
+    json: process.argv.includes('--json')
+  };
+
+  if (activity !== 'travel' && !getVillageRegionByName(options.village || '')) {
+    throw new Error('--village must be Rudania, Inariko or Vhintl for loot/gather');
+  }
+  if (activity === 'travel' && !options.path) {
+    throw new Error('--path is required for travel (e.g. pathOfScarletLeaves)');
+  }
+  return options;
+}
+
+// ============================================================================
+// ------------------- Fixture & Character -------------------
+// ============================================================================
+
+function loadFixture(file) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`Fixture not found: ${file}`);
+  }
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!Array.isArray(data.items) || !Array.isArray(data.monsters)) {
+    throw new Error('Fixture must contain "items" and "monsters" arrays');
+  }
+  return data;
+}
+
+// Same normalization as getMonstersByCriteria / gather.js normalizeRegionKey
+function regionKeyForVillage(village) {
+  const region = getVillageRegionByName(village);
+  if (!region) return null;
+  const lowered = region.toLowerCase().replace(/\s+/g, '');
+  return lowered === 'centralhyrule' ? 'centralHyrule' : lowered;
+}
+
+function parseElixir(raw, hearts) {
+  if (!raw) return null;
+  const [namePart, levelPart] = raw.split(':');
+  const name = resolveElixirItemName(namePart);
+  const definition = ELIXIR_EFFECTS[name];
+  if (!definition) {
+    throw new Error(`Unknown elixir "${namePart}" (known: ${Object.keys(ELIXIR_EFFECTS).join(', ')})`);
+  }
+  const level = levelPart ? Number(levelPart) : 1;
+  return {
+    name,
+    type: definition.type,
+    level,
+    effects: scaleElixirEffects(name, definition.effects, level, { maxHeartsForHearty: hearts })
+  };
+}
+
+// Fresh in-memory character for one simulated action (buffs are consumed by the roll code)
+function buildCharacter(options, elixir) {
+  const extraHearts = elixir?.effects?.extraHearts || 0;
+  return {
+    name: 'Simulated Character',
+    job: options.job,
+    currentVillage: options.village,
+    attack: options.attack,
+    defense: options.defense,
+    maxHearts: options.hearts,
+    currentHearts: options.hearts + extraHearts,
+    failedFleeAttempts: 0,
+    gearWeapon: options.weapon ? { name: options.weapon } : null,
+    buff: elixir
+      ? { active: true, type: elixir.type, elixirLevel: elixir.level, effects: { ...elixir.effects } }
+      : { active: false, type: null, effects: {} }
+  };
+}
+
+// ============================================================================
+// ------------------- Tally -------------------
+// ============================================================================
+
+function createTally() {
+  return {
+    runs: 0,
+    outcomes: {},
+    heartsLost: 0,
+    weatherHeartsLost: 0,
+    knockouts: 0,
+    blightInfections: 0,
+    staminaUsed: 0,
+    tokenValue: 0,
+    drops: {}
+  };
+}
+
+function countOutcome(tally, outcome) {
+  tally.outcomes[outcome] = (tally.outcomes[outcome] || 0) + 1;
+}
+
+function countDrop(tally, item, quantity, itemsByName) {
+  const name = item.itemName;
+  const catalogEntry = itemsByName.get(name) || item;
+  const sellPrice = Number(catalogEntry.sellPrice) || 0;
+  if (!tally.drops[name]) {
+    tally.drops[name] = { itemName: name, rarity: Number(catalogEntry.itemRarity) || 0, sellPrice, times: 0, quantity: 0 };
+  }
+  tally.drops[name].times += 1;
+  tally.drops[name].quantity += quantity;
+  tally.tokenValue += sellPrice * quantity;
+}
+
+function loseHearts(tally, character, hearts) {
+  if (!hearts || hearts <= 0) return;
+  const lost = Math.min(hearts, character.currentHearts);
+  character.currentHearts -= lost;
+  tally.heartsLost += lost;
+  if (character.currentHearts <= 0) {
+    tally.knockouts += 1;
+  }
+}
+
+// ------------------- Weather Hazards -------------------
+// Lightning Storm and Blight Rain checks run before the loot/gather roll, as in the commands
+function applyWeatherHazards(options, character, tally, activity) {
+  if (options.weather === 'Blight Rain') {
+    const buffEffects = getActiveBuffEffects(character);
+    let infectionChance = BLIGHT_RAIN_INFECTION_CHANCE;
+    if (buffEffects && buffEffects.blightResistance > 0) {
+      infectionChance -= buffEffects.blightResistance * 0.3;
+    }
+    if (shouldConsumeElixir(character, activity, { blightRain: true })) {
+      consumeElixirBuff(character);
+    }
+    infectionChance = Math.max(0.1, Math.min(0.95, infectionChance));
+    if (rng.chance(infectionChance, 'blight-rain-infection')) {
+      tally.blightInfections += 1;
+    }
+  }
+  if (options.weather === 'Lightning Storm' && activity === 'loot') {
+    if (rng.chance(LIGHTNING_STRIKE_CHANCE, 'lightning-strike')) {
+      const before = tally.heartsLost;
+      loseHearts(tally, character, 1);
+      tally.weatherHeartsLost += tally.heartsLost - before;
+    }
+  }
+}
+
+// ------------------- Chuchu Jelly -------------------
+// Same substitution as loot.js generateLootedItem and travelHandler handleFight
+function chuchuDrop(monster) {
+  if (!monster.name.includes('Chuchu')) return null;
+  let itemName = 'Chuchu Jelly';
+  if (monster.name.includes('Ice')) itemName = 'White Chuchu Jelly';
+  else if (monster.name.includes('Fire')) itemName = 'Red Chuchu Jelly';
+  else if (monster.name.includes('Electric')) itemName = 'Yellow Chuchu Jelly';
+  const quantity = monster.name.includes('Large') ? 3 : monster.name.includes('Medium') ? 2 : 1;
+  return { itemName, quantity };
+}
+
+// ------------------- Combat Roll -------------------
+// d100 (+ village bonus for /loot) → calculateFinalValue → elemental bonus → booster
+function rollCombat(character, monster, { villageLevel = 1, booster = null, label = 'loot-d100' } = {}) {
+  let diceRoll = rng.randomInt(1, 100, label);
+  if (villageLevel >= 2) {
+    const combatBonus = villageLevel === 2
+      ? rng.randomInt(1, 3, 'village-combat-bonus')
+      : rng.randomInt(3, 5, 'village-combat-bonus');
+    diceRoll = Math.min(100, diceRoll + combatBonus);
+  }
+
+  let { damageValue, adjustedRandomValue, attackSuccess, defenseSuccess } = calculateFinalValue(character, diceRoll);
+
+  const elemental = calculateElementalCombatBonus(character, monster);
+  if (elemental.bonus) {
+    adjustedRandomValue = Math.max(1, Math.min(100, adjustedRandomValue + Math.round(adjustedRandomValue * elemental.bonus)));
+  }
+
+  if (booster === 'Teacher') {
+    adjustedRandomValue = applyTeacherLootingBoost(adjustedRandomValue);
+  }
+
+  return { damageValue, adjustedRandomValue, attackSuccess, defenseSuccess };
+}
+
+// ============================================================================
+// ------------------- Simulations -------------------
+// ============================================================================
+
+// ------------------- /loot -------------------
+async function simulateLoot(ctx, tally) {
+  const { options, elixir } = ctx;
+  const character = buildCharacter(options, elixir);
+  applyWeatherHazards(options, character, tally, 'loot');
+  if (options.staminaPerAction) tally.staminaUsed += options.staminaPerAction;
+
+  const encounter = await getMonsterEncounterFromList(ctx.lootMonsters);
+  if (encounter.encounter === 'No Encounter' || encounter.monsters.length === 0) {
+    countOutcome(tally, 'No encounter');
+    return;
+  }
+  const monster = rng.pick(encounter.monsters, 'encounter-monster');
+  const villageLevel = options.villageLevel;
+  const drops = ctx.dropsFor(monster);
+
+  let roll = rollCombat(character, monster, { villageLevel, booster: options.booster });
+  let outcome = await getEncounterOutcome(character, monster, roll.damageValue, roll.adjustedRandomValue, roll.attackSuccess, roll.defenseSuccess, { skipPersist: true });
+
+  // Fortune Teller: Fated Reroll when damage was taken, keep the better result
+  if (options.booster === 'Fortune Teller' && outcome.hearts > 0) {
+    const reroll = rollCombat(character, monster, { villageLevel, label: 'fortune-reroll-d100' });
+    const rerollOutcome = await getEncounterOutcome(character, monster, reroll.damageValue, reroll.adjustedRandomValue, reroll.attackSuccess, reroll.defenseSuccess, { skipPersist: true });
+    const isRerollBetter = (rerollOutcome.hearts || 0) < (outcome.hearts || 0) || (
+      (rerollOutcome.hearts || 0) === (outcome.hearts || 0) && reroll.adjustedRandomValue > roll.adjustedRandomValue
+    );
+    if (isRerollBetter) {
+      roll = reroll;
+      outcome = rerollOutcome;
+    }
+  }
+
+  let hearts = outcome.hearts || 0;
+  if (options.booster === 'Entertainer' && hearts > 0) {
+    hearts = applyEntertainerLootingBoost(hearts, monster.tier || 1);
+  }
+  if (villageLevel >= 2 && hearts > 0) {
+    const reductionPercentage = villageLevel === 2
+      ? rng.random('village-damage-reduction') * 0.05 + 0.05
+      : rng.random('village-damage-reduction') * 0.05 + 0.10;
+    hearts = Math.max(1, Math.floor(hearts * (1 - reductionPercentage)));
+  }
+  loseHearts(tally, character, hearts);
+
+  if (!outcome.canLoot) {
+    countOutcome(tally, character.currentHearts <= 0 ? 'KO' : `Lost ${hearts} heart(s)`);
+    return;
+  }
+
+  const weightedItems = createWeightedItemList(drops, roll.adjustedRandomValue, options.job, villageLevel);
+  if (weightedItems.length === 0) {
+    countOutcome(tally, 'Win, no drops');
+    return;
+  }
+  countOutcome(tally, 'Win/loot');
+
+  let lootedItem;
+  if (options.booster === 'Priest') {
+    const maxRarity = Math.max(...weightedItems.map(item => item.itemRarity || 0));
+    lootedItem = rng.pick(weightedItems.filter(item => (item.itemRarity || 0) === maxRarity), 'loot-item');
+  } else {
+    lootedItem = rng.pick(weightedItems, 'loot-item');
+  }
+  const jelly = options.booster === 'Priest' ? null : chuchuDrop(monster);
+  const quantity = (jelly ? jelly.quantity : 1) + rollStickyBonusExtraQuantity(character);
+  countDrop(tally, jelly ? { itemName: jelly.itemName } : lootedItem, quantity, ctx.itemsByName);
+
+  // Village quantity bonus: L2 5-10% for +1, L3 10-15% for +1 / 2-3% for +2
+  let bonusItems = 0;
+  if (villageLevel === 2) {
+    const bonusChance = rng.random('village-bonus-chance') * 0.05 + 0.05;
+    if (rng.chance(bonusChance, 'village-bonus-item')) bonusItems = 1;
+  } else if (villageLevel === 3) {
+    const bonusRoll = rng.random('village-bonus-item');
+    const bonus1Chance = 0.10 + rng.random('village-bonus-chance') * 0.05;
+    const bonus2Chance = 0.02 + rng.random('village-bonus-chance') * 0.01;
+    bonusItems = bonusRoll < bonus2Chance ? 2 : bonusRoll < bonus1Chance ? 1 : 0;
+  }
+  if (bonusItems > 0) {
+    const bonusWeightedItems = createWeightedItemList(drops, roll.adjustedRandomValue, options.job, villageLevel);
+    for (let i = 0; i < bonusItems && bonusWeightedItems.length > 0; i++) {
+      countDrop(tally, rng.pick(bonusWeightedItems, 'village-bonus-item'), 1, ctx.itemsByName);
+    }
+  }
+}
+
+// ------------------- /gather -------------------
+async function simulateGather(ctx, tally) {
+  const { options, elixir } = ctx;
+  const character = buildCharacter(options, elixir);
+  applyWeatherHazards(options, character, tally, 'gather');
+  if (options.staminaPerAction) tally.staminaUsed += options.staminaPerAction;
+
+  let weightedItems;
+  if (options.booster === 'Fortune Teller') {
+    // Fortune Teller returns an already-weighted table, used directly by gather.js
+    weightedItems = applyFortuneTellerGatheringBoost(ctx.gatherItems);
+  } else {
+    const table = options.booster === 'Teacher' ? applyTeacherGatheringBoost(ctx.gatherItems) : ctx.gatherItems;
+    weightedItems = createWeightedItemList(table, undefined, options.job, options.villageLevel);
+  }
+  if (!weightedItems || weightedItems.length === 0) {
+    countOutcome(tally, 'Nothing to gather');
+    return;
+  }
+
+  // Weighted selection on item.weight, as in gather.js
+  const totalWeight = weightedItems.reduce((sum, item) => sum + (item.weight || 1), 0);
+  const randomWeight = rng.random('gather-item') * totalWeight;
+  let currentWeight = 0;
+  let gathered = weightedItems[weightedItems.length - 1];
+  for (const item of weightedItems) {
+    currentWeight += item.weight || 1;
+    if (randomWeight <= currentWeight) {
+      gathered = item;
+      break;
+    }
+  }
+
+  let quantity = 1;
+  if (options.villageLevel === 2) {
+    const bonusChance = rng.random('village-bonus-item');
+    const threshold = 0.30 + rng.random('village-bonus-chance') * 0.20;
+    if (bonusChance < threshold) quantity = 2;
+  } else if (options.villageLevel === 3) {
+    const bonusChance = rng.random('village-bonus-item');
+    const threshold = 0.40 + rng.random('village-bonus-chance') * 0.20;
+    if (bonusChance < threshold) quantity = 1 + (rng.chance(0.5, 'village-bonus-amount') ? 1 : 2);
+  }
+
+  countOutcome(tally, 'Gathered');
+  countDrop(tally, gathered, quantity + rollStickyBonusExtraQuantity(character), ctx.itemsByName);
+}
+
+// ------------------- Travel Day -------------------
+async function simulateTravelDay(ctx, tally) {
+  const { options, elixir } = ctx;
+  const character = buildCharacter(options, elixir);
+
+  if (rng.chance(TRAVEL_SAFE_DAY_CHANCE, 'travel-safe-day')) {
+    if (options.onSafe === 'rest' || ctx.roadItems.length === 0) {
+      countOutcome(tally, 'Safe day, rested');
+      return;
+    }
+    // Road gather: 1 stamina, uniform pick from createWeightedItemList(available, 50, job)
+    tally.staminaUsed += 1;
+    const weighted = createWeightedItemList(ctx.roadItems, 50, options.job);
+    const rolls = [rng.pick(weighted, 'road-gather-item')];
+    if (options.booster === 'Teacher') rolls.push(rng.pick(weighted, 'road-gather-item'));
+    const item = options.booster === 'Teacher' ? applyTeacherTravelingBoost(rolls) : rolls[0];
+    countOutcome(tally, 'Safe day, gathered');
+    countDrop(tally, item, 1 + rollStickyBonusExtraQuantity(character), ctx.itemsByName);
+    return;
+  }
+
+  const tier = parseInt(getRandomTravelEncounter().split(' ')[1], 10);
+  const candidates = ctx.pathMonsters.filter(m => m.tier <= tier);
+  if (candidates.length === 0) {
+    countOutcome(tally, 'Encounter, no monster at tier');
+    return;
+  }
+  const monster = rng.pick(candidates, 'travel-monster');
+
+  if (options.onEncounter === 'flee') {
+    tally.staminaUsed += 1;
+    const { fleeChance } = calculateFleeChance(character);
+    if (rng.chance(fleeChance, 'flee')) {
+      countOutcome(tally, 'Fled');
+      return;
+    }
+    const damage = calculateWeightedDamage(monster.tier);
+    loseHearts(tally, character, damage);
+    countOutcome(tally, character.currentHearts <= 0 ? 'KO' : 'Flee failed, attacked');
+    return;
+  }
+
+  const roll = rollCombat(character, monster, { label: 'travel-d100' });
+  const outcome = await getEncounterOutcome(character, monster, roll.damageValue, roll.adjustedRandomValue, roll.attackSuccess, roll.defenseSuccess, { skipPersist: true });
+  loseHearts(tally, character, outcome.hearts || 0);
+  if (!outcome.canLoot) {
+    countOutcome(tally, character.currentHearts <= 0 ? 'KO' : `Lost ${outcome.hearts} heart(s)`);
+    return;
+  }
+
+  const weighted = createWeightedItemList(ctx.dropsFor(monster), roll.adjustedRandomValue);
+  if (weighted.length === 0) {
+    countOutcome(tally, 'Win, no drops');
+    return;
+  }
+  countOutcome(tally, 'Win/loot');
+  const item = rng.pick(weighted, 'travel-loot-item');
+  const jelly = chuchuDrop(monster);
+  countDrop(tally, jelly ? { itemName: jelly.itemName } : item, (jelly ? jelly.quantity : 1) + rollStickyBonusExtraQuantity(character), ctx.itemsByName);
+}
+
+// ============================================================================
+// ------------------- Report -------------------
+// ============================================================================
+
+function buildSummary(options, elixir, tally, seed) {
+  const runs = tally.runs;
+  const drops = Object.values(tally.drops)
+    .map(d => ({
+      ...d,
+      dropRate: d.times / runs,
+      perThousandRuns: (d.quantity / runs) * 1000,
+      tokenShare: tally.tokenValue > 0 ? (d.sellPrice * d.quantity) / tally.tokenValue : 0
+    }))
+    .sort((a, b) => b.dropRate - a.dropRate);
+
+  return {
+    activity: options.activity,
+    job: options.job,
+    village: options.village,
+    villageLevel: options.villageLevel,
+    path: options.path,
+    weather: options.weather || null,
+    elixir: elixir ? `${elixir.name} (level ${elixir.level})` : null,
+    booster: options.booster,
+    hearts: options.hearts,
+    runs,
+    seed,
+    outcomes: Object.fromEntries(
+      Object.entries(tally.outcomes).sort((a, b) => b[1] - a[1]).map(([k, v]) => [k, v / runs])
+    ),
+    expectedHeartsLost: tally.heartsLost / runs,
+    expectedWeatherHeartsLost: tally.weatherHeartsLost / runs,
+    knockoutRate: tally.knockouts / runs,
+    blightInfectionRate: tally.blightInfections / runs,
+    staminaPerRun: tally.staminaUsed / runs,
+    tokenValuePerRun: tally.tokenValue / runs,
+    tokenValuePerStamina: tally.staminaUsed > 0 ? tally.tokenValue / tally.staminaUsed : null,
+    drops
+  };
+}
+
+function pct(value) {
+  return `${(value * 100).toFixed(2)}%`;
+}
+
+function printReport(summary) {
+  const where = summary.activity === 'travel'
+    ? `on ${summary.path}`
+    : `@ ${summary.village} (village L${summary.villageLevel})`;
+  console.log(`\n📊 Balance simulation — ${summary.activity} · ${summary.job} ${where} · ${summary.runs} runs · seed ${summary.seed}`);
+  console.log(`   Weather: ${summary.weather || 'none'} · Elixir: ${summary.elixir || 'none'} · Booster: ${summary.booster || 'none'} · Hearts: ${summary.hearts}\n`);
+
+  console.log('Outcomes');
+  for (const [outcome, rate] of Object.entries(summary.outcomes)) {
+    console.log(`  ${outcome.padEnd(32)} ${pct(rate).padStart(8)}`);
+  }
+
+  console.log('\nCosts & value');
+  console.log(`  Expected hearts lost / run       ${summary.expectedHeartsLost.toFixed(3).padStart(8)}${summary.expectedWeatherHeartsLost ? ` (weather ${summary.expectedWeatherHeartsLost.toFixed(3)})` : ''}`);
+  console.log(`  KO rate                          ${pct(summary.knockoutRate).padStart(8)}`);
+  if (summary.weather === 'Blight Rain') {
+    console.log(`  Blight infection rate            ${pct(summary.blightInfectionRate).padStart(8)}`);
+  }
+  console.log(`  Stamina / run                    ${summary.staminaPerRun.toFixed(3).padStart(8)}`);
+  console.log(`  Token value / run                ${summary.tokenValuePerRun.toFixed(2).padStart(8)}`);
+  console.log(`  Token value / stamina            ${(summary.tokenValuePerStamina == null ? 'n/a' : summary.tokenValuePerStamina.toFixed(2)).padStart(8)}`);
+
+  console.log('\nDrops');
+  if (summary.drops.length === 0) {
+    console.log('  (none)');
+  } else {
+    console.log(`  ${'Item'.padEnd(32)} ${'Rarity'.padStart(6)} ${'Drop rate'.padStart(10)} ${'Qty/1000'.padStart(9)} ${'Sell'.padStart(6)} ${'Value %'.padStart(8)}`);
+    for (const d of summary.drops) {
+      console.log(`  ${d.itemName.slice(0, 32).padEnd(32)} ${String(d.rarity).padStart(6)} ${pct(d.dropRate).padStart(10)} ${d.perThousandRuns.toFixed(1).padStart(9)} ${String(d.sellPrice).padStart(6)} ${pct(d.tokenShare).padStart(8)}`);
+    }
+  }
+  console.log('');
+}
+
+// ============================================================================
+// ------------------- Main -------------------
+// ============================================================================
+
+async function main() {
+  let options;
+  try {
+    options = parseOptions();
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    console.error('Usage: node bot/scripts/simulateBalance.js --activity loot|gather|travel --job <job> (--village <name> | --path <path>) [flags]');
+    process.exit(1);
+  }
+
+  const fixture = loadFixture(options.fixture);
+  const elixir = parseElixir(options.elixir, options.hearts);
+  const normalizedJob = normalizeJobName(options.job);
+  const jobKey = options.job.toLowerCase().replace(/\s+/g, '');
+  const regionKey = options.village ? regionKeyForVillage(options.village) : null;
+  const pathKey = options.path ? options.path.replace(/-/g, '') : null;
+
+  const ctx = {
+    options,
+    elixir,
+    itemsByName: new Map(fixture.items.map(item => [item.itemName, item])),
+    // Same filters as getMonstersByCriteria, gather.js and travelHandler road gathering
+    lootMonsters: fixture.monsters.filter(m => m[jobKey] === true && m[regionKey] === true),
+    gatherItems: fixture.items.filter(item =>
+      item.gathering === true &&
+      item[regionKey] === true &&
+      (item.allJobs || []).some(j => normalizeJobName(j) === normalizedJob)
+    ),
+    pathMonsters: pathKey ? fixture.monsters.filter(m => m[pathKey] === true) : [],
+    roadItems: pathKey
+      ? fixture.items.filter(item => item[pathKey] === true && !/^Map #\d+$/.test(item.itemName) && !/ Relic$/i.test(item.itemName))
+      : [],
+    // fetchItemsByMonster: items flagged with the monster's nameMapping field
+    dropsFor: monster => fixture.items.filter(item => monster.nameMapping && item[monster.nameMapping] === true)
+  };
+
+  const simulate = { loot: simulateLoot, gather: simulateGather, travel: simulateTravelDay }[options.activity];
+  const tally = createTally();
+
+  // The roll code logs every step; silence it for the duration of the run
+  const originalConsole = { log: console.log, info: console.info, warn: console.warn, debug: console.debug };
+  console.log = console.info = console.warn = console.debug = () => {};
+  let seed;
+  try {
+    await rng.runWithRollSession(async () => {
+      const session = rng.getRollSession();
+      // Nothing is recorded, so don't keep every draw in memory
+      session.keepDraws = false;
+      seed = session.seed;
+      for (let i = 0; i < options.runs; i++) {
+        await simulate(ctx, tally);
+        tally.runs += 1;
+      }
+    }, { seed: options.seed });
+  } finally {
+    Object.assign(console, originalConsole);
+  }
+
+  const summary = buildSummary(options, elixir, tally, seed);
+  if (options.json) {
+    console.log(JSON.stringify(summary, null, 2));
+  } else {
+    printReport(summary);
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error(error);
+    process.exit(1);
+  });
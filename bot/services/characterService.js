@@ -276,20 +276,20 @@ const updateCharacterInventorySynced = async (characterId) => {
 };
 
 // ------------------- getCharacterInventoryCollection -------------------
+// Returns the character's scoped view of the shared `inventories` collection.
 const getCharacterInventoryCollection = async (characterName) => {
   try {
-    if (typeof characterName !== "string") {
+    if (typeof characterName !== "string" && !(characterName && characterName._id)) {
       throw new TypeError(
-        `Expected a string for characterName, but received ${typeof characterName}`
+        `Expected a string or character document for characterName, but received ${typeof characterName}`
       );
     }
     await DatabaseConnectionManager.connectToInventories();
-    const collectionName = characterName.trim().toLowerCase();
-    return await DatabaseConnectionManager.getInventoryCollection(collectionName);
+    return await DatabaseConnectionManager.getInventoryCollection(characterName);
   } catch (error) {
     handleError(error, "characterService");
     console.error(
-      `[characterService]: logs - Error in getCharacterInventoryCollection for "${characterName}": ${error.message}`
+      `[characterService]: logs - Error in getCharacterInventoryCollection for "${characterName?.name || characterName}": ${error.message}`
     );
     throw error;
   }
@@ -299,15 +299,7 @@ const getCharacterInventoryCollection = async (characterName) => {
 const getCharacterInventoryCollectionWithModSupport = async (characterOrName) => {
   try {
     await DatabaseConnectionManager.connectToInventories();
-    let collectionName;
-    if (typeof characterOrName === 'object' && characterOrName.isModCharacter) {
-      collectionName = characterOrName.name.toLowerCase();
-    } else if (typeof characterOrName === 'object') {
-      collectionName = characterOrName.name.toLowerCase();
-    } else {
-      collectionName = characterOrName.trim().toLowerCase();
-    }
-    return await DatabaseConnectionManager.getInventoryCollection(collectionName);
+    return await DatabaseConnectionManager.getInventoryCollection(characterOrName);
   } catch (error) {
     handleError(error, "characterService");
     console.error(
@@ -320,7 +312,7 @@ const getCharacterInventoryCollectionWithModSupport = async (characterOrName) =>
 // ------------------- createCharacterInventory -------------------
 const createCharacterInventory = async (characterName, characterId, job) => {
   try {
-    const collection = await DatabaseConnectionManager.getInventoryCollection(characterName);
+    const collection = await DatabaseConnectionManager.getInventoryCollection({ _id: characterId, name: characterName });
     const initialInventory = {
       characterId,
       itemName: "Initial Item",
@@ -363,8 +355,7 @@ const deleteCharacterInventoryCollection = async (characterName) => {
 const getModSharedInventoryCollection = async () => {
   try {
     await DatabaseConnectionManager.connectToInventories();
-    const collectionName = 'mod_shared_inventory';
-    return await DatabaseConnectionManager.getInventoryCollection(collectionName);
+    return await DatabaseConnectionManager.getNamedInventoryCollection('mod_shared_inventory');
   } catch (error) {
     handleError(error, "characterService");
     console.error(
@@ -0,0 +1,237 @@
+// ============================================================================
+// 🎲 RNG Service
+// Deterministic seeded random numbers for every game roll.
+// Each roll session owns a Mersenne Twister seeded from crypto; recorded rolls
+// store the seed + draw index range so /mod-roll replay can reproduce them.
+// ============================================================================
+
+// ============================================================================
+// ------------------- Imports -------------------
+// ============================================================================
+
+// Node.js built-ins
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+
+// Third-party
+const MersenneTwister = require('mersenne-twister');
+
+// Local modules
+const logger = require('../utils/logger');
+
+// ============================================================================
+// ------------------- Constants -------------------
+// ============================================================================
+
+// Draws stored on a RollLog entry; replay regenerates the full range from the seed anyway
+const MAX_STORED_DRAWS = 200;
+
+// Replays beyond this many draws are refused (protects the bot from absurd skip counts)
+const MAX_REPLAY_DRAWS = 100000;
+
+const rollStorage = new AsyncLocalStorage();
+
+// ============================================================================
+// ------------------- Roll Stream -------------------
+// ============================================================================
+
+// ------------------- Function: generateSeed -------------------
+function generateSeed() {
+  return crypto.randomInt(0, 0xFFFFFFFF);
+}
+
+// ------------------- Class: RollStream -------------------
+// A seeded draw sequence. Session streams keep their draws until recorded;
+// the process fallback stream does not (it is never recorded).
+class RollStream {
+  constructor(seed = generateSeed(), { keepDraws = true } = {}) {
+    this.seed = seed >>> 0;
+    this.mt = new MersenneTwister(this.seed);
+    this.index = 0;
+    this.keepDraws = keepDraws;
+    this.pending = [];
+  }
+
+  next(label = 'random', min = null, max = null) {
+    const value = this.mt.random();
+    if (this.keepDraws) {
+      this.pending.push({ index: this.index, label, value, min, max });
+    }
+    this.index++;
+    return value;
+  }
+
+  // Hands over the draws since the last record and starts a new range
+  takePending() {
+    const draws = this.pending;
+    this.pending = [];
+    return draws;
+  }
+}
+
+// Used for draws made outside any roll session (flavor text, background tasks)
+const fallbackStream = new RollStream(generateSeed(), { keepDraws: false });
+
+// ------------------- Function: currentStream -------------------
+function currentStream() {
+  return rollStorage.getStore() || fallbackStream;
+}
+
+// ============================================================================
+// ------------------- Draw Functions -------------------
+// Drop-in replacements for Math.random() based rolls.
+// ============================================================================
+
+// ------------------- Function: random -------------------
+// Float in [0, 1), same contract as Math.random()
+function random(label = 'random') {
+  return currentStream().next(label);
+}
+
+// ------------------- Function: randomInt -------------------
+// Integer in [min, max] (inclusive)
+function randomInt(min, max, label = 'randomInt') {
+  const value = currentStream().next(label, min, max);
+  return min + Math.floor(value * (max - min + 1));
+}
+
+// ------------------- Function: pick -------------------
+// Random element of a list (undefined for an empty list, no draw consumed)
+function pick(list, label = 'pick') {
+  if (!Array.isArray(list) || list.length === 0) return undefined;
+  return list[randomInt(0, list.length - 1, label)];
+}
+
+// ------------------- Function: chance -------------------
+// True with the given probability (0-1)
+function chance(probability, label = 'chance') {
+  return random(label) < probability;
+}
+
+// ============================================================================
+// ------------------- Roll Sessions -------------------
+// ============================================================================
+
+// ------------------- Function: runWithRollSession -------------------
+// Runs fn with a fresh seeded stream; every draw made inside (across awaits)
+// comes from that stream and can be recorded with recordRoll.
+function runWithRollSession(fn, { seed } = {}) {
+  const stream = new RollStream(seed == null ? generateSeed() : seed);
+  return rollStorage.run(stream, fn);
+}
+
+// ------------------- Function: getRollSession -------------------
+function getRollSession() {
+  return rollStorage.getStore() || null;
+}
+
+// ------------------- Function: generateRollId -------------------
+function generateRollId() {
+  return `R${Date.now().toString(36).toUpperCase()}${crypto.randomBytes(2).toString('hex').toUpperCase()}`;
+}
+
+// ------------------- Function: recordRoll -------------------
+// Persists the draws made since the last record in this session.
+// Best-effort: a failed log never breaks the roll itself.
+// Returns { rollId, seed, startIndex } for the caller's own log entry, or null.
+async function recordRoll({ kind, character = null, userId = null, inputs = {}, result = null, summary = '' }) {
+  const stream = getRollSession();
+  if (!stream) {
+    logger.warn('RNG', `recordRoll(${kind}) called outside a roll session; roll not recorded`);
+    return null;
+  }
+
+  const draws = stream.takePending();
+  const startIndex = draws.length > 0 ? draws[0].index : stream.index;
+
+  try {
+    const RollLog = require('../models/RollLogModel');
+    const rollId = generateRollId();
+    await RollLog.create({
+      rollId,
+      kind,
+      seed: stream.seed,
+      startIndex,
+      drawCount: draws.length,
+      draws: draws.slice(0, MAX_STORED_DRAWS),
+      characterId: character?._id || null,
+      characterName: character?.name || null,
+      userId: userId || character?.userId || null,
+      inputs,
+      result,
+      summary
+    });
+    return { rollId, seed: stream.seed, startIndex };
+  } catch (error) {
+    logger.error('RNG', `Failed to record ${kind} roll (seed ${stream.seed}, draw ${startIndex}): ${error.message}`);
+    return null;
+  }
+}
+
+// ------------------- Function: appendRollIdToFooter -------------------
+// Shows the replayable roll ID next to an embed's existing footer text
+function appendRollIdToFooter(embed, rollId) {
+  if (!rollId) return;
+  const footer = embed.data.footer || {};
+  embed.setFooter({
+    text: footer.text ? `${footer.text} | Roll ID: ${rollId}` : `Roll ID: ${rollId}`,
+    iconURL: footer.icon_url
+  });
+}
+
+// ============================================================================
+// ------------------- Replay -------------------
+// ============================================================================
+
+// ------------------- Function: replayRoll -------------------
+// Regenerates a recorded roll from its seed and compares every draw with what was stored.
+function replayRoll(rollLog) {
+  const { seed, startIndex, drawCount } = rollLog;
+  if (startIndex + drawCount > MAX_REPLAY_DRAWS) {
+    return { error: `Roll uses draws up to #${startIndex + drawCount}, beyond the replay limit of ${MAX_REPLAY_DRAWS}.` };
+  }
+
+  const mt = new MersenneTwister(seed >>> 0);
+  for (let i = 0; i < startIndex; i++) mt.random();
+
+  const stored = rollLog.draws || [];
+  const steps = [];
+  let matches = true;
+  for (let i = 0; i < drawCount; i++) {
+    const value = mt.random();
+    const original = stored[i] || null;
+    const min = original?.min ?? null;
+    const max = original?.max ?? null;
+    const match = original ? original.value === value : null;
+    if (match === false) matches = false;
+    steps.push({
+      index: startIndex + i,
+      label: original?.label || 'random',
+      value,
+      storedValue: original ? original.value : null,
+      mapped: min != null && max != null ? min + Math.floor(value * (max - min + 1)) : null,
+      min,
+      max,
+      match
+    });
+  }
+
+  return { steps, matches, truncated: drawCount > stored.length };
+}
+
+// ============================================================================
+// ------------------- Exports -------------------
+// ============================================================================
+module.exports = {
+  MAX_STORED_DRAWS,
+  RollStream,
+  random,
+  randomInt,
+  pick,
+  chance,
+  runWithRollSession,
+  getRollSession,
+  recordRoll,
+  appendRollIdToFooter,
+  replayRoll
+};
@@ -22,6 +22,7 @@ const moment = require('moment-timezone');
 
 // Local modules
 const Weather = require('../models/WeatherModel');
+const WeatherForecast = require('../models/WeatherForecastModel');
 const { convertToHyruleanDate } = require('../modules/calendarModule');
 const { 
   checkNumericCondition, 
@@ -45,6 +46,11 @@ const {
   winds 
 } = require('../data/weatherData');
 const seasonsData = require('../data/seasonsData');
+const {
+  FORECAST_DAYS,
+  describeForecastDay,
+  shouldReviseForecast
+} = require('../utils/weatherForecast');
 
 // Optional memory monitor
 let memoryMonitor = null;
@@ -544,7 +550,9 @@ function getSpecialCondition(seasonData, simTemp, simWind, precipLabel, rainStre
 // Simulate weighted weather for village and season -
 async function simulateWeightedWeather(village, season, options = {}) {
   const {
-    useDatabaseHistory = true
+    useDatabaseHistory = true,
+    // Newest-first history to smooth from instead of the database (forecast days chain off each other)
+    history: providedHistory = null
   } = options;
   
   // Convert 'fall' to 'autumn' for data lookup since seasonsData uses 'Autumn'
@@ -562,7 +570,9 @@ async function simulateWeightedWeather(village, season, options = {}) {
   
   // Get history based on configuration
   let history = [];
-  if (useDatabaseHistory) {
+  if (providedHistory) {
+    history = providedHistory;
+  } else if (useDatabaseHistory) {
     try {
       history = await Weather.getRecentWeather(village, 3);
     } catch (error) {
@@ -841,7 +851,7 @@ async function saveWeatherWithDuplicateHandling(normalizedVillage, normalizedDat
 
 // Generate and save new weather for period -
 async function generateAndSaveWeather(normalizedVillage, normalizedDate, season, periodSearchStart, startOfNextPeriodUTC) {
-  const newWeather = await simulateWeightedWeather(normalizedVillage, season, { useDatabaseHistory: true });
+  const newWeather = await simulateWeatherForPeriod(normalizedVillage, season, normalizedDate, startOfNextPeriodUTC);
   
   if (!newWeather) {
     throw new Error(`Failed to generate weather for ${normalizedVillage}`);
@@ -1074,6 +1084,190 @@ async function getCurrentWeather(village) {
   }
 }
 
+// ============================================================================
+// ------------------- Weather Forecast -------------------
+// A rolling 7-day forecast per village, kept in WeatherForecast (not Weather,
+// so it never feeds the smoothing history). Each day chains off the one before
+// with the same smoothing and special-weather rules as real weather; every
+// morning's refresh re-rolls days at FORECAST_REVISION_CHANCE, so the forecast
+// firms up as a day approaches. A period's weather is its forecast when it starts.
+// ============================================================================
+
+const FORECAST_DAY_MS = 24 * 60 * 60 * 1000;
+
+// ------------------- Forecast Helpers ------------------
+// Period starts for the next FORECAST_DAYS periods after the current one -
+function getForecastPeriodStarts(now = new Date()) {
+  const { startUTC } = getCurrentPeriodBounds(now);
+  return Array.from({ length: FORECAST_DAYS }, (_, index) =>
+    moment(startUTC).tz(WEATHER_PERIOD_TZ).add(index + 1, 'day').toDate()
+  );
+}
+
+// Could `next` follow `previous` under the smoothing and special-weather rules? -
+function isSmoothWeatherTransition(previous, next, windOptions = []) {
+  if (!previous?.temperature?.label || !next?.temperature?.label) return true;
+  const hadStorm = ['Thunderstorm', 'Heavy Rain'].includes(previous.precipitation?.label);
+  const temperatureOk = getSmoothTemperatureChoices(
+    parseFahrenheit(previous.temperature.label),
+    [next.temperature.label],
+    hadStorm
+  ).length > 0;
+  const windOk = !previous.wind?.label || !windOptions.includes(previous.wind.label) ||
+    getSmoothWindChoices(previous.wind.label, windOptions).includes(next.wind?.label);
+  const blightOk = !(previous.special?.label === 'Blight Rain' && next.special?.label === 'Blight Rain');
+  return temperatureOk && windOk && blightOk;
+}
+
+// Weather fields for a period: its forecast when it still follows the real weather, else a fresh roll -
+async function simulateWeatherForPeriod(normalizedVillage, season, startUTC, endUTC) {
+  const forecast = await WeatherForecast.findOne({
+    village: normalizedVillage,
+    date: { $gte: startUTC, $lt: endUTC }
+  }).lean();
+
+  if (forecast?.temperature?.label && forecast?.wind?.label && forecast?.precipitation?.label) {
+    const [previous] = await Weather.find({ village: normalizedVillage, date: { $lt: startUTC } })
+      .sort({ date: -1 })
+      .limit(1)
+      .lean();
+    const windOptions = getSeasonInfoForVillageAndSeason(normalizedVillage, season)?.seasonInfo?.Wind || [];
+    if (isSmoothWeatherTransition(previous, forecast, windOptions)) {
+      logInfo(`Using forecast weather for ${normalizedVillage} (${startUTC.toISOString()})`);
+      return {
+        village: normalizedVillage,
+        date: new Date(),
+        season,
+        temperature: forecast.temperature,
+        wind: forecast.wind,
+        precipitation: forecast.precipitation,
+        ...(forecast.special?.label ? { special: forecast.special } : {})
+      };
+    }
+    logWarn(`Forecast for ${normalizedVillage} no longer follows the current weather; rolling fresh weather`);
+  }
+
+  return simulateWeightedWeather(normalizedVillage, season, { useDatabaseHistory: true });
+}
+
+// ------------------- Refresh Weather Forecast ------------------
+// Keeps or re-rolls each of the next FORECAST_DAYS periods. Returns the stored days, soonest first.
+async function refreshWeatherForecast(village, now = new Date()) {
+  const normalizedVillage = normalizeVillageName(village);
+  const periodStarts = getForecastPeriodStarts(now);
+  const rangeEnd = moment(periodStarts[periodStarts.length - 1]).tz(WEATHER_PERIOD_TZ).add(1, 'day').toDate();
+
+  const existing = await WeatherForecast.find({
+    village: normalizedVillage,
+    date: { $gte: periodStarts[0], $lt: rangeEnd }
+  }).lean();
+  const existingByTime = new Map(existing.map(doc => [new Date(doc.date).getTime(), doc]));
+
+  // Chain off real weather up to now (not scheduled future weather such as Song of Storms)
+  let history = await Weather.find({ village: normalizedVillage, date: { $lt: periodStarts[0] } })
+    .sort({ date: -1 })
+    .limit(3)
+    .lean();
+
+  const days = [];
+  for (const [index, date] of periodStarts.entries()) {
+    const daysAhead = index + 1;
+    const season = getCurrentSeason(date);
+    const windOptions = getSeasonInfoForVillageAndSeason(normalizedVillage, season)?.seasonInfo?.Wind || [];
+    let forecast = existingByTime.get(date.getTime());
+
+    const keep = forecast &&
+      !shouldReviseForecast(daysAhead) &&
+      isSmoothWeatherTransition(history[0], forecast, windOptions);
+
+    if (!keep) {
+      const simulated = await simulateWeightedWeather(normalizedVillage, season, { history });
+      if (!simulated) {
+        throw new Error(`Failed to simulate forecast weather for ${normalizedVillage} (${date.toISOString()})`);
+      }
+      const fields = {
+        season,
+        temperature: simulated.temperature,
+        wind: simulated.wind,
+        precipitation: simulated.precipitation
+      };
+      const update = simulated.special
+        ? { $set: { ...fields, special: simulated.special } }
+        : { $set: fields, $unset: { special: 1 } };
+      forecast = await WeatherForecast.findOneAndUpdate(
+        { village: normalizedVillage, date },
+        { ...update, $inc: { revisions: forecast ? 1 : 0 } },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+      ).lean();
+    }
+
+    days.push(forecast);
+    history = [forecast, ...history].slice(0, 3);
+  }
+
+  logInfo(`Forecast refreshed for ${normalizedVillage} (${days.length} days)`);
+  return days;
+}
+
+// ------------------- Get Weather Forecast ------------------
+// Player-facing forecast days (confidence, temperature range), soonest first.
+async function getWeatherForecast(village, options = {}) {
+  const { now = new Date(), refreshIfMissing = true } = options;
+  const normalizedVillage = normalizeVillageName(village);
+  const { startUTC } = getCurrentPeriodBounds(now);
+
+  let docs = await WeatherForecast.find({ village: normalizedVillage, date: { $gt: startUTC } })
+    .sort({ date: 1 })
+    .limit(FORECAST_DAYS)
+    .lean();
+  if (docs.length < FORECAST_DAYS && refreshIfMissing) {
+    docs = await refreshWeatherForecast(normalizedVillage, now);
+  }
+
+  return docs.map(doc => describeForecastDay(doc, Math.round((new Date(doc.date) - startUTC) / FORECAST_DAY_MS)));
+}
+
+// ------------------- Generate Forecast Embed ------------------
+function generateForecastEmbed(villageInput, days) {
+  const village = normalizeVillageName(villageInput);
+  const crestIconName = `crest_${village.toLowerCase()}.png`;
+  const files = fs.existsSync(VILLAGE_ICONS[village])
+    ? [new AttachmentBuilder(VILLAGE_ICONS[village], { name: crestIconName })]
+    : [];
+
+  const embed = new EmbedBuilder()
+    .setColor(VILLAGE_COLORS[village])
+    .setTitle(`${village}'s ${FORECAST_DAYS}-Day Forecast`)
+    .setDescription('Forecasts firm up as the day approaches. Today\'s weather is posted in the town hall at 8am Eastern.')
+    .setFooter({ text: 'Confidence is the chance the forecast holds until that morning' })
+    .setTimestamp();
+  if (files.length) {
+    embed.setAuthor({ name: `${village} Town Hall`, iconURL: `attachment://${crestIconName}` });
+  }
+
+  for (const day of days) {
+    const range = day.temperatureRange;
+    const temperature = !range
+      ? day.temperature?.label || 'Unknown'
+      : range.low === range.high ? `${range.low}°F` : `${range.low}–${range.high}°F`;
+    const lines = [
+      `${day.temperature?.emoji || '🌡️'} ${temperature}`,
+      `${day.wind?.emoji || '💨'} ${day.wind?.label || 'Unknown'}`,
+      `${day.precipitation?.emoji || '🌧️'} ${day.precipitation?.label || 'Unknown'}`
+    ];
+    if (day.special) {
+      lines.push(`✨ Possible ${day.special.emoji || ''} ${day.special.label}`);
+    }
+    embed.addFields({
+      name: `<t:${Math.floor(day.date.getTime() / 1000)}:D> · ${day.confidence}% confidence`,
+      value: lines.join('\n'),
+      inline: false
+    });
+  }
+
+  return { embed, files };
+}
+
 // ============================================================================
 // ------------------- Banner Generation -------------------
 // ============================================================================
@@ -1266,10 +1460,13 @@ async function findOrCreateWeatherForNextPeriod(normalizedVillage, startOfNextPe
     return existingCheck;
   }
 
-  // Generate new weather
-  const generatedWeather = await simulateWeightedWeather(normalizedVillage, seasonForPeriod, {
-    useDatabaseHistory: true
-  });
+  // Generate new weather (from the forecast when there is one)
+  const generatedWeather = await simulateWeatherForPeriod(
+    normalizedVillage,
+    seasonForPeriod,
+    startOfNextPeriodUTC,
+    endOfNextPeriodUTC
+  );
 
   if (!generatedWeather) {
     throw new Error(`Failed to generate baseline weather for ${normalizedVillage}.`);
@@ -1902,6 +2099,12 @@ module.exports = {
   completeAmTownHallWeatherPost,
   PERIOD_VALIDATION_TOLERANCE_MS,
 
+  // Forecast
+  refreshWeatherForecast,
+  getWeatherForecast,
+  generateForecastEmbed,
+  isSmoothWeatherTransition,
+
   // Banner and embed generation
   generateBanner,
   generateWeatherEmbed,
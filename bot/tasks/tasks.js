@@ -16,6 +16,7 @@ const {
   getWeatherWithoutGeneration,
   getDailyAmWeatherPostSkipDecision,
   completeAmTownHallWeatherPost,
+  refreshWeatherForecast,
 } = require('@/services/weatherService');
 const Character = require('@/models/CharacterModel');
 const ModCharacter = require('@/models/ModCharacterModel');
@@ -31,12 +32,18 @@ const TempData = require('@/models/TempDataModel');
 const TokenTransaction = require('@/models/TokenTransactionModel');
 const { releaseFromJail } = require('@/utils/jailCheck');
 const { recoverDailyStamina } = require('@/modules/characterStatsModule');
+const { runDailyCraftingQueues } = require('@/modules/craftingPlanModule');
 const {
   processMonthlyQuestRewards,
   sweepExpiredActiveQuestsForCompletion,
   cleanupStaleQuestParticipantRoles
 } = require('@/modules/questRewardModule');
 const { checkRaidExpiration, RAID_EXPIRATION_JOB_NAME, RAID_TURN_SKIP_JOB_NAME, scheduleRaidTurnSkip, applyPartySizeScalingToRaid } = require('@/modules/raidModule');
+const { PVP_TURN_TIMEOUT_JOB_NAME, expireIdlePvPTurn, expireAllIdlePvPTurns } = require('@/modules/pvpCombatModule');
+const { expireStaleTrades } = require('@/modules/tradeModule');
+const { AUCTION_SETTLE_JOB_NAME, settleAuction, settleEndedAuctions, refreshAuctionMessage } = require('@/modules/auctionModule');
+const { notifyWishlistMatches, vendingStockWishlistItems } = require('@/modules/wishlistAlertModule');
+const { rolloverSeasonPasses } = require('@/modules/seasonPassModule');
 const { checkVillageRaidQuotas } = require('@/scripts/randomMonsterEncounters');
 const {
   postBlightRollCall,
@@ -60,6 +67,8 @@ const {
   connectToInventoriesNative,
   markRelicDeteriorated,
   incrementVillageShopStockFromCatalog,
+  getCurrentVendingStockList,
+  generateVendingStockList,
 } = require('@/database/db');
 const RelicModel = require('@/models/RelicModel');
 const RelicArchiveRequest = require('@/models/RelicArchiveRequestModel');
@@ -290,6 +299,20 @@ async function weatherReminder(client, _data = {}) {
   logger.success('SCHEDULED', 'weather-reminder: done');
 }
 
+// ------------------- weather-forecast-refresh (8:05am Eastern) -------------------
+// Rolls the 7-day forecast forward once today's weather has been taken from it.
+async function weatherForecastRefresh(_client, _data = {}) {
+  logger.info('SCHEDULED', 'weather-forecast-refresh: starting');
+  for (const village of VILLAGES) {
+    try {
+      await refreshWeatherForecast(village);
+    } catch (err) {
+      logger.error('SCHEDULED', `weather-forecast-refresh: ${village} failed: ${err.message}`);
+    }
+  }
+  logger.success('SCHEDULED', 'weather-forecast-refresh: done');
+}
+
 // ============================================================================
 // ------------------- Blood Moon Tasks -------------------
 // ============================================================================
@@ -748,16 +771,28 @@ async function resetPetRollDates(_client, _data = {}) {
 }
 
 // ------------------- recover-daily-stamina -------------------
-async function recoverDailyStaminaTask(_client, _data = {}) {
+async function recoverDailyStaminaTask(_client, data = {}) {
   try {
     logger.info('SCHEDULED', 'recover-daily-stamina: starting');
-    await recoverDailyStamina();
+    // Catch-up replays each missed day, so recover for the day being run rather than today
+    await recoverDailyStamina({ day: data.period?.key });
     logger.success('SCHEDULED', 'recover-daily-stamina: done');
   } catch (err) {
     logger.error('SCHEDULED', `recover-daily-stamina: ${err.message}`);
   }
 }
 
+// ------------------- crafting-queue-run (after stamina recovery) -------------------
+async function craftingQueueRun(_client, _data = {}) {
+  try {
+    logger.info('SCHEDULED', 'crafting-queue-run: starting');
+    const { processed, progressed } = await runDailyCraftingQueues();
+    logger.success('SCHEDULED', `crafting-queue-run: done (${progressed}/${processed} queues progressed)`);
+  } catch (err) {
+    logger.error('SCHEDULED', `crafting-queue-run: ${err.message}`);
+  }
+}
+
 // ------------------- generate-daily-quests (midnight EST = 05:00 UTC) -------------------
 async function generateDailyQuests(client, _data = {}) {
   try {
@@ -865,6 +900,22 @@ async function boostCleanup(_client, _data = {}) {
   }
 }
 
+// ------------------- season-pass-rollover (12am EST) -------------------
+// Season boundaries (Mar/Jun/Sep/Dec 21) fall on arbitrary weekdays, so this runs
+// daily and only does work for passes still on an earlier season.
+async function seasonPassRollover(_client, _data = {}) {
+  try {
+    const { season, rolledOver } = await rolloverSeasonPasses();
+    if (rolledOver > 0) {
+      logger.success('SCHEDULED', `season-pass-rollover: ${rolledOver} season pass(es) archived, ${season.label} started`);
+    } else {
+      logger.debug('SCHEDULED', `season-pass-rollover: nothing to roll over (${season.id})`);
+    }
+  } catch (err) {
+    logger.error('SCHEDULED', `season-pass-rollover: ${err.message}`);
+  }
+}
+
 // ============================================================================
 // ------------------- Weekly Tasks (Sunday 12am EST = 05:00 UTC) -------------------
 // ============================================================================
@@ -1036,6 +1087,12 @@ async function peddlerWeeklyVillageRestock(client, _data = {}) {
       return;
     }
 
+    // Wishlist DMs go out even if the channel post below fails
+    await notifyWishlistMatches(
+      'peddler',
+      deliveries.map(({ em, item, qty }) => ({ itemName: item.itemName, emoji: em, detail: `${qty}x stocked` }))
+    );
+
     if (!client?.channels) {
       logger.error('SCHEDULED', 'peddler-weekly-village-restock: Discord client not available');
       return;
@@ -1127,28 +1184,39 @@ function isTodayLastDayOfMonthEastern() {
 }
 
 // ------------------- monthly-vending-stock (1st of month 12am EST = 05:00 UTC) -------------------
-async function monthlyVendingStock(_client, _data = {}) {
+async function monthlyVendingStock(_client, data = {}) {
   try {
-    if (!isFirstOfMonth()) {
+    if (!data.period?.catchUp && !isFirstOfMonth()) {
       logger.debug('SCHEDULED', 'monthly-vending-stock: Not first of month, skipping');
       return;
     }
     
     logger.info('SCHEDULED', 'monthly-vending-stock: starting');
-    
-    // Monthly vending stock reset logic would go here
-    // This can be implemented when vending stock system is ready
-    
-    logger.info('SCHEDULED', 'monthly-vending-stock: done (vending stock system not yet implemented)');
+
+    // /vending view generates the list on demand if nobody has yet; don't replace one already in use
+    const existing = await getCurrentVendingStockList();
+    if (existing?.stockList && Object.keys(existing.stockList).length > 0) {
+      logger.info('SCHEDULED', 'monthly-vending-stock: stock list already generated this month, skipping');
+      return;
+    }
+
+    const stock = await generateVendingStockList();
+    if (!stock) {
+      logger.warn('SCHEDULED', 'monthly-vending-stock: stock list generation failed');
+      return;
+    }
+
+    await notifyWishlistMatches('vendingStock', vendingStockWishlistItems(stock));
+    logger.info('SCHEDULED', 'monthly-vending-stock: done');
   } catch (err) {
     logger.error('SCHEDULED', `monthly-vending-stock: ${err.message}`);
   }
 }
 
 // ------------------- monthly-nitro-boost-rewards (1st of month 12am EST = 05:00 UTC) -------------------
-async function monthlyNitroBoostRewards(client, _data = {}) {
+async function monthlyNitroBoostRewards(client, data = {}) {
   try {
-    if (!isFirstOfMonth()) {
+    if (!data.period?.catchUp && !isFirstOfMonth()) {
       logger.debug('SCHEDULED', 'monthly-nitro-boost-rewards: Not first of month, skipping');
       return;
     }
@@ -1171,45 +1239,34 @@ async function monthlyNitroBoostRewards(client, _data = {}) {
     const boosters = members.filter(member => member.premiumSince !== null);
     const boosterIds = [...boosters.values()].map(m => m.user?.id).filter(Boolean);
     
-    const currentMonth = new Date().toISOString().slice(0, 7); // YYYY-MM
+    const currentMonth = data.period?.key || moment.tz(SCHEDULE_TZ_EASTERN).format('YYYY-MM');
     
     let rewardedCount = 0;
     for (const [userId, member] of boosters) {
       try {
-        const user = await User.findOne({ discordId: userId });
-        if (!user) continue;
-        
-        // Check if already rewarded this month
-        if (user.boostRewards?.lastRewardMonth === currentMonth) {
-          continue;
-        }
-        
         // Calculate tokens (1 boost = 1000 tokens)
         const boostCount = 1; // Each member with premiumSince has 1 boost
         const tokens = boostCount * 1000;
+        
+        // Grant and mark the month in one update, so a re-run can't reward the same user twice
+        const user = await User.findOneAndUpdate(
+          { discordId: userId, 'boostRewards.lastRewardMonth': { $ne: currentMonth } },
+          {
+            $set: { 'boostRewards.lastRewardMonth': currentMonth },
+            $inc: { 'boostRewards.totalRewards': tokens, tokens },
+            $push: {
+              'boostRewards.rewardHistory': {
+                month: currentMonth,
+                boostCount,
+                tokensReceived: tokens,
+                timestamp: new Date()
+              }
+            }
+          }
+        );
+        if (!user) continue; // No account, or already rewarded this month
         const balanceBefore = user.tokens || 0;
         const balanceAfter = balanceBefore + tokens;
-        
-        // Update user
-        if (!user.boostRewards) {
-          user.boostRewards = {
-            lastRewardMonth: null,
-            totalRewards: 0,
-            rewardHistory: []
-          };
-        }
-        
-        user.boostRewards.lastRewardMonth = currentMonth;
-        user.boostRewards.totalRewards += tokens;
-        user.boostRewards.rewardHistory.push({
-          month: currentMonth,
-          boostCount,
-          tokensReceived: tokens,
-          timestamp: new Date()
-        });
-        user.tokens = balanceAfter;
-        
-        await user.save();
         rewardedCount++;
         
         // Log to TokenTransactionModel for tracking/analytics
@@ -1911,9 +1968,9 @@ function getCurrentMonthFormats() {
   return { yyyyMm, monthName };
 }
 
-async function questPostingCheck(client, _data = {}) {
+async function questPostingCheck(client, data = {}) {
   try {
-    if (!isFirstOfMonth()) {
+    if (!data.period?.catchUp && !isFirstOfMonth()) {
       logger.debug('SCHEDULED', 'quest-posting-check: Not first of month, skipping');
       return;
     }
@@ -2020,11 +2077,12 @@ async function questPostingCheck(client, _data = {}) {
 }
 
 // ------------------- monthly-quest-reward-payout (11:59pm Eastern on last day of month) -------------------
-async function monthlyQuestRewardPayout(_client, _data = {}) {
+// Returns false on the 28th-30th so the month stays open for the last-day run.
+async function monthlyQuestRewardPayout(_client, data = {}) {
   try {
-    if (!isTodayLastDayOfMonthEastern()) {
+    if (!data.period?.catchUp && !isTodayLastDayOfMonthEastern()) {
       logger.debug('SCHEDULED', 'monthly-quest-reward-payout: Not last day of month (Eastern), skipping');
-      return;
+      return false;
     }
     
     logger.info('SCHEDULED', 'monthly-quest-reward-payout: starting');
@@ -2687,6 +2745,86 @@ async function villageTrackingCheck(_client, _data = {}) {
   }
 }
 
+// ============================================================================
+// ------------------- PvP Combat Tasks -------------------
+// ============================================================================
+// Same two-layer approach as raids: a one-time job per turn (pvp-turn-timeout) plus a sweep
+// (pvp-turn-timeout-cleanup) that catches turns whose job was lost to a restart.
+
+// ------------------- pvp-turn-timeout (One-time job: current combatant's turn deadline passed) -------------------
+async function pvpTurnTimeout(client, data = {}) {
+  try {
+    const { battleId, turnCount } = data;
+    if (!battleId) {
+      logger.error('SCHEDULED', `${PVP_TURN_TIMEOUT_JOB_NAME}: Missing battleId in job data`);
+      return;
+    }
+    const ended = await expireIdlePvPTurn(battleId, client, typeof turnCount === 'number' ? turnCount : null);
+    if (ended) {
+      logger.info('SCHEDULED', `${PVP_TURN_TIMEOUT_JOB_NAME}: Battle ${battleId} forfeited on turn timeout`);
+    }
+  } catch (err) {
+    logger.error('SCHEDULED', `${PVP_TURN_TIMEOUT_JOB_NAME}: ${err.message}`);
+  }
+}
+
+// ------------------- pvp-turn-timeout-cleanup (Every 15 minutes) -------------------
+async function pvpTurnTimeoutCleanup(client, _data = {}) {
+  try {
+    const processed = await expireAllIdlePvPTurns(client);
+    if (processed > 0) {
+      logger.info('SCHEDULED', `pvp-turn-timeout-cleanup: forfeited ${processed} idle battle(s)`);
+    }
+  } catch (err) {
+    logger.error('SCHEDULED', `pvp-turn-timeout-cleanup: ${err.message}`);
+  }
+}
+
+// ------------------- trade-expiry-cleanup (Every 15 minutes) -------------------
+// Expires open trades past their deadline and returns escrowed items/tokens
+async function tradeExpiryCleanup(_client, _data = {}) {
+  try {
+    const expired = await expireStaleTrades();
+    if (expired > 0) {
+      logger.info('SCHEDULED', `trade-expiry-cleanup: expired ${expired} trade(s)`);
+    }
+  } catch (err) {
+    logger.error('SCHEDULED', `trade-expiry-cleanup: ${err.message}`);
+  }
+}
+
+// ------------------- auction-settle (One-time job per auction) -------------------
+// Settles one auction at its end time: lot to the winner, tokens to the seller
+async function auctionSettle(client, data = {}) {
+  try {
+    const { auctionId } = data;
+    if (!auctionId) {
+      logger.error('SCHEDULED', `${AUCTION_SETTLE_JOB_NAME}: Missing auctionId in job data`);
+      return;
+    }
+    const auction = await settleAuction(auctionId);
+    if (auction) {
+      await refreshAuctionMessage(client, auction);
+      logger.info('SCHEDULED', `${AUCTION_SETTLE_JOB_NAME}: Auction ${auctionId} settled (${auction.status})`);
+    }
+  } catch (err) {
+    logger.error('SCHEDULED', `${AUCTION_SETTLE_JOB_NAME}: ${err.message}`);
+  }
+}
+
+// ------------------- auction-settle-cleanup (Every 15 minutes) -------------------
+// Settles ended auctions whose one-time job was missed (e.g. bot restarted)
+async function auctionSettleCleanup(client, _data = {}) {
+  try {
+    const settled = await settleEndedAuctions(client);
+    if (settled > 0) {
+      logger.info('SCHEDULED', `auction-settle-cleanup: settled ${settled} auction(s)`);
+    }
+  } catch (err) {
+    logger.error('SCHEDULED', `auction-settle-cleanup: ${err.message}`);
+  }
+}
+
 // ============================================================================
 // ------------------- Character Timer Tasks (Polling - every minute) -------------------
 // ============================================================================
@@ -3387,45 +3525,50 @@ async function mazeImagesCleanup(_client, _data = {}) {
 // ============================================================================
 
 // Eastern community times use IANA America/New_York so 8pm stays 8pm through EST/EDT. Others stay UTC.
+// period: runs once per day/week/month and missed periods are replayed on startup (utils/scheduler.js).
+// catchUp: false skips the replay for tasks that make no sense late; 'each' replays every missed day.
 const TASKS = [
   // Weather Tasks
-  { name: 'daily-weather', cron: '0 8 * * *', handler: dailyWeather, timezone: SCHEDULE_TZ_EASTERN }, // 8am Eastern
-  { name: 'weather-fallback-check', cron: '15 8 * * *', handler: weatherFallbackCheck, timezone: SCHEDULE_TZ_EASTERN }, // 8:15am Eastern
-  { name: 'weather-reminder', cron: '0 20 * * *', handler: weatherReminder, timezone: SCHEDULE_TZ_EASTERN }, // 8pm Eastern
+  { name: 'daily-weather', cron: '0 8 * * *', handler: dailyWeather, timezone: SCHEDULE_TZ_EASTERN, period: 'day' }, // 8am Eastern
+  { name: 'weather-fallback-check', cron: '15 8 * * *', handler: weatherFallbackCheck, timezone: SCHEDULE_TZ_EASTERN, period: 'day', catchUp: false }, // 8:15am Eastern
+  { name: 'weather-forecast-refresh', cron: '5 8 * * *', handler: weatherForecastRefresh, timezone: SCHEDULE_TZ_EASTERN, period: 'day' }, // 8:05am Eastern
+  { name: 'weather-reminder', cron: '0 20 * * *', handler: weatherReminder, timezone: SCHEDULE_TZ_EASTERN, period: 'day', catchUp: false }, // 8pm Eastern
 
   // Blood Moon Tasks
-  { name: 'bloodmoon-start-announcement', cron: '0 20 * * *', handler: bloodmoonStartAnnouncement, timezone: SCHEDULE_TZ_EASTERN },
-  { name: 'bloodmoon-end-announcement', cron: '0 8 * * *', handler: bloodmoonEndAnnouncement, timezone: SCHEDULE_TZ_EASTERN },
-  { name: 'bloodmoon-channel-revert', cron: '0 8 * * *', handler: bloodmoonChannelRevert, timezone: SCHEDULE_TZ_EASTERN },
-  { name: 'bloodmoon-cleanup', cron: '0 1 * * *', handler: bloodmoonCleanup, timezone: SCHEDULE_TZ_EASTERN }, // 1am Eastern
+  { name: 'bloodmoon-start-announcement', cron: '0 20 * * *', handler: bloodmoonStartAnnouncement, timezone: SCHEDULE_TZ_EASTERN, period: 'day', catchUp: false },
+  { name: 'bloodmoon-end-announcement', cron: '0 8 * * *', handler: bloodmoonEndAnnouncement, timezone: SCHEDULE_TZ_EASTERN, period: 'day' },
+  { name: 'bloodmoon-channel-revert', cron: '0 8 * * *', handler: bloodmoonChannelRevert, timezone: SCHEDULE_TZ_EASTERN, period: 'day' },
+  { name: 'bloodmoon-cleanup', cron: '0 1 * * *', handler: bloodmoonCleanup, timezone: SCHEDULE_TZ_EASTERN, period: 'day' }, // 1am Eastern
 
   // Blight Tasks
-  { name: 'blight-roll-call', cron: '0 20 * * *', handler: blightRollCall, timezone: SCHEDULE_TZ_EASTERN },
-  { name: 'blight-roll-call-check', cron: '5 20 * * *', handler: blightRollCallCheck, timezone: SCHEDULE_TZ_EASTERN }, // 8:05pm Eastern (after roll call; missed-roll window closed)
+  { name: 'blight-roll-call', cron: '0 20 * * *', handler: blightRollCall, timezone: SCHEDULE_TZ_EASTERN, period: 'day', catchUp: false },
+  { name: 'blight-roll-call-check', cron: '5 20 * * *', handler: blightRollCallCheck, timezone: SCHEDULE_TZ_EASTERN, period: 'day', catchUp: false }, // 8:05pm Eastern (after roll call; missed-roll window closed)
 
   // Birthday Tasks (midnight Eastern)
-  { name: 'birthday-assign-role', cron: '0 0 * * *', handler: birthdayAssignRole, timezone: SCHEDULE_TZ_EASTERN },
-  { name: 'birthday-remove-role', cron: '0 0 * * *', handler: birthdayRemoveRole, timezone: SCHEDULE_TZ_EASTERN },
-  { name: 'birthday-announcements', cron: '0 0 * * *', handler: birthdayAnnouncements, timezone: SCHEDULE_TZ_EASTERN },
+  { name: 'birthday-assign-role', cron: '0 0 * * *', handler: birthdayAssignRole, timezone: SCHEDULE_TZ_EASTERN, period: 'day' },
+  { name: 'birthday-remove-role', cron: '0 0 * * *', handler: birthdayRemoveRole, timezone: SCHEDULE_TZ_EASTERN, period: 'day' },
+  { name: 'birthday-announcements', cron: '0 0 * * *', handler: birthdayAnnouncements, timezone: SCHEDULE_TZ_EASTERN, period: 'day' },
 
   // Daily Reset Tasks
-  { name: 'reset-daily-rolls', cron: '0 8 * * *', handler: resetDailyRolls, timezone: SCHEDULE_TZ_EASTERN },
-  { name: 'reset-pet-roll-dates', cron: '0 0 * * *', handler: resetPetRollDates, timezone: SCHEDULE_TZ_EASTERN },
-  { name: 'recover-daily-stamina', cron: '0 8 * * *', handler: recoverDailyStaminaTask, timezone: SCHEDULE_TZ_EASTERN },
-  { name: 'generate-daily-quests', cron: '0 0 * * *', handler: generateDailyQuests, timezone: SCHEDULE_TZ_EASTERN },
-  { name: 'reset-global-steal-protections', cron: '0 0 * * *', handler: resetGlobalStealProtections, timezone: SCHEDULE_TZ_EASTERN },
-  { name: 'boost-cleanup', cron: '0 0 * * *', handler: boostCleanup, timezone: SCHEDULE_TZ_EASTERN },
+  { name: 'reset-daily-rolls', cron: '0 8 * * *', handler: resetDailyRolls, timezone: SCHEDULE_TZ_EASTERN, period: 'day' },
+  { name: 'reset-pet-roll-dates', cron: '0 0 * * *', handler: resetPetRollDates, timezone: SCHEDULE_TZ_EASTERN, period: 'day' },
+  { name: 'recover-daily-stamina', cron: '0 8 * * *', handler: recoverDailyStaminaTask, timezone: SCHEDULE_TZ_EASTERN, period: 'day', catchUp: 'each' },
+  { name: 'crafting-queue-run', cron: '15 8 * * *', handler: craftingQueueRun, timezone: SCHEDULE_TZ_EASTERN, period: 'day' },
+  { name: 'generate-daily-quests', cron: '0 0 * * *', handler: generateDailyQuests, timezone: SCHEDULE_TZ_EASTERN, period: 'day' },
+  { name: 'reset-global-steal-protections', cron: '0 0 * * *', handler: resetGlobalStealProtections, timezone: SCHEDULE_TZ_EASTERN, period: 'day' },
+  { name: 'boost-cleanup', cron: '0 0 * * *', handler: boostCleanup, timezone: SCHEDULE_TZ_EASTERN, period: 'day' },
+  { name: 'season-pass-rollover', cron: '0 0 * * *', handler: seasonPassRollover, timezone: SCHEDULE_TZ_EASTERN, period: 'day' },
 
   // Weekly Tasks (Sunday midnight Eastern)
-  { name: 'weekly-pet-rolls-reset', cron: '0 0 * * 0', handler: weeklyPetRollsReset, timezone: SCHEDULE_TZ_EASTERN },
-  { name: 'weekly-inventory-snapshot', cron: '0 0 * * 0', handler: weeklyInventorySnapshot, timezone: SCHEDULE_TZ_EASTERN },
-  { name: 'peddler-weekly-village-restock', cron: '0 0 * * 0', handler: peddlerWeeklyVillageRestock, timezone: SCHEDULE_TZ_EASTERN },
+  { name: 'weekly-pet-rolls-reset', cron: '0 0 * * 0', handler: weeklyPetRollsReset, timezone: SCHEDULE_TZ_EASTERN, period: 'week' },
+  { name: 'weekly-inventory-snapshot', cron: '0 0 * * 0', handler: weeklyInventorySnapshot, timezone: SCHEDULE_TZ_EASTERN, period: 'week' },
+  { name: 'peddler-weekly-village-restock', cron: '0 0 * * 0', handler: peddlerWeeklyVillageRestock, timezone: SCHEDULE_TZ_EASTERN, period: 'week' },
 
   // Monthly Tasks
-  { name: 'monthly-vending-stock', cron: '0 0 1 * *', handler: monthlyVendingStock, timezone: SCHEDULE_TZ_EASTERN },
-  { name: 'monthly-nitro-boost-rewards', cron: '0 0 1 * *', handler: monthlyNitroBoostRewards, timezone: SCHEDULE_TZ_EASTERN },
-  { name: 'quest-posting-check', cron: '0 0 1 * *', handler: questPostingCheck, timezone: SCHEDULE_TZ_EASTERN },
-  { name: 'monthly-quest-reward-payout', cron: '59 23 28-31 * *', handler: monthlyQuestRewardPayout, timezone: SCHEDULE_TZ_EASTERN },
+  { name: 'monthly-vending-stock', cron: '0 0 1 * *', handler: monthlyVendingStock, timezone: SCHEDULE_TZ_EASTERN, period: 'month' },
+  { name: 'monthly-nitro-boost-rewards', cron: '0 0 1 * *', handler: monthlyNitroBoostRewards, timezone: SCHEDULE_TZ_EASTERN, period: 'month' },
+  { name: 'quest-posting-check', cron: '0 0 1 * *', handler: questPostingCheck, timezone: SCHEDULE_TZ_EASTERN, period: 'month' },
+  { name: 'monthly-quest-reward-payout', cron: '59 23 28-31 * *', handler: monthlyQuestRewardPayout, timezone: SCHEDULE_TZ_EASTERN, period: 'month' },
   
   // Quest/Help Wanted Tasks
   { name: 'help-wanted-board-check', cron: '0 * * * *', handler: helpWantedBoardCheck }, // Every hour
@@ -3439,6 +3582,17 @@ const TASKS = [
   { name: 'quest-participant-role-cleanup', cron: '25 */6 * * *', handler: questParticipantRoleCleanup }, // Every 6 h (offset) — backfill per-quest roles
   { name: 'village-tracking-check', cron: '0 */2 * * *', handler: villageTrackingCheck }, // Every 2 hours
   
+  // PvP Combat Tasks
+  { name: PVP_TURN_TIMEOUT_JOB_NAME, cron: null, handler: pvpTurnTimeout }, // One-time job (scheduled per turn)
+  { name: 'pvp-turn-timeout-cleanup', cron: '*/15 * * * *', handler: pvpTurnTimeoutCleanup }, // Every 15 minutes
+
+  // Trade Tasks
+  { name: 'trade-expiry-cleanup', cron: '*/15 * * * *', handler: tradeExpiryCleanup }, // Every 15 minutes
+
+  // Auction Tasks
+  { name: AUCTION_SETTLE_JOB_NAME, cron: null, handler: auctionSettle }, // One-time job (scheduled per auction)
+  { name: 'auction-settle-cleanup', cron: '*/15 * * * *', handler: auctionSettleCleanup }, // Every 15 minutes
+
   // Character Timer Tasks
   { name: 'character-timer-poll', cron: '0 */12 * * *', handler: characterTimerPoll }, // Every 12 hours
   
@@ -3450,11 +3604,11 @@ const TASKS = [
   { name: 'mod-todo-reminder', cron: '*/30 * * * *', handler: modTodoReminder }, // Every 30 min check; repeat channel ping at most every 6h for overdue/due-soon mod tasks
 
   // Relic Deadline Tasks
-  { name: 'relic-appraisal-deadline', cron: '0 6 * * *', handler: relicAppraisalDeadline }, // Daily 6am UTC: deteriorate unappraised relics past 7 days
-  { name: 'relic-art-deadline', cron: '0 6 * * *', handler: relicArtDeadline }, // Daily 6am UTC: mark relics lost if art not submitted within 2 months
+  { name: 'relic-appraisal-deadline', cron: '0 6 * * *', handler: relicAppraisalDeadline, period: 'day' }, // Daily 6am UTC: deteriorate unappraised relics past 7 days
+  { name: 'relic-art-deadline', cron: '0 6 * * *', handler: relicArtDeadline, period: 'day' }, // Daily 6am UTC: mark relics lost if art not submitted within 2 months
 
   // Maze images: delete PNGs older than 1 week (bot/scripts/example-mazes/)
-  { name: 'maze-images-cleanup', cron: '0 6 * * *', handler: mazeImagesCleanup }, // Daily 6am UTC
+  { name: 'maze-images-cleanup', cron: '0 6 * * *', handler: mazeImagesCleanup, period: 'day' }, // Daily 6am UTC
 
   // Map Appraisal: send coordinates DM for approved requests (e.g. NPC on dashboard)
   { name: 'map-appraisal-send-coordinates-dm', cron: '*/10 * * * *', handler: mapAppraisalSendCoordinatesDm }, // Every 10 minutes
@@ -3472,9 +3626,11 @@ const TASKS = [
  */
 function registerScheduledTasks(scheduler) {
   for (const task of TASKS) {
-    const { name, cron, handler, timezone } = task;
+    const { name, cron, handler, timezone, period, catchUp } = task;
     const opts = {};
     if (timezone) opts.timezone = timezone;
+    if (period) opts.period = period;
+    if (catchUp !== undefined) opts.catchUp = catchUp;
     scheduler.registerTask(name, cron, handler, opts);
   }
 }
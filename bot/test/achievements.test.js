@@ -0,0 +1,106 @@
+// ============================================================================
+// Achievements — registry, unlock thresholds, summaries and one-time awards
+// ============================================================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  ACHIEVEMENTS,
+  ACHIEVEMENT_CATEGORIES,
+  getUnlockedAchievements,
+  summarizeAchievements
+} = require('@tinglebot/shared/lib/achievements');
+const User = require('@/models/UserModel');
+const {
+  STAT_RESOLVERS,
+  awardAchievement,
+  buildAchievementAnnouncement,
+  checkAchievements
+} = require('@/modules/achievementsModule');
+const { useTestDatabase } = require('./helpers/mongo');
+
+const db = useTestDatabase();
+
+test.describe('achievement registry', () => {
+  test('ids are unique and every definition is complete', () => {
+    assert.equal(new Set(ACHIEVEMENTS.map(a => a.id)).size, ACHIEVEMENTS.length);
+    for (const a of ACHIEVEMENTS) {
+      assert.ok(ACHIEVEMENT_CATEGORIES[a.category], `${a.id} has a known category`);
+      assert.ok(['user', 'character'].includes(a.scope), `${a.id} has a known scope`);
+      assert.ok(a.threshold > 0, `${a.id} has a positive threshold`);
+    }
+  });
+
+  test('every stat is resolvable or supplied by its event', () => {
+    const eventOnlyStats = ['healedFromStage', 'monsterTier', 'knockouts', 'tokenBalance'];
+    for (const a of ACHIEVEMENTS) {
+      assert.ok(STAT_RESOLVERS[a.stat] || eventOnlyStats.includes(a.stat), `${a.id} stat ${a.stat}`);
+    }
+  });
+
+  test('thresholds unlock the matching milestones only', () => {
+    assert.deepEqual(getUnlockedAchievements('steal.succeeded', { successfulSteals: 99 }).map(a => a.id), ['steal-first']);
+    assert.deepEqual(getUnlockedAchievements('steal.succeeded', { successfulSteals: 100 }).map(a => a.id), ['steal-first', 'steal-100']);
+    assert.deepEqual(getUnlockedAchievements('blight.healed', { healedFromStage: 3 }), []);
+    assert.deepEqual(getUnlockedAchievements('blight.healed', { healedFromStage: 4 }).map(a => a.id), ['blight-survivor']);
+    assert.deepEqual(getUnlockedAchievements('blupee.caught', {}), []);
+  });
+});
+
+test.describe('achievement summaries', () => {
+  const earned = [
+    { achievementId: 'steal-first', characterId: 'char-a', characterName: 'Link', earnedAt: new Date('2026-10-01') },
+    { achievementId: 'raid-first', characterId: 'char-a', characterName: 'Link', earnedAt: new Date('2026-10-03') },
+    { achievementId: 'steal-first', characterId: 'char-b', characterName: 'Mipha', earnedAt: new Date('2026-10-02') },
+    { achievementId: 'blupee-first', characterId: null, earnedAt: new Date('2026-10-04') }
+  ];
+
+  test('character scope only counts that character, newest first', () => {
+    const summary = summarizeAchievements(earned, { scope: 'character', characterId: 'char-a' });
+    assert.deepEqual(summary.earned.map(a => a.id), ['raid-first', 'steal-first']);
+    assert.equal(summary.total, summary.earned.length + summary.locked.length);
+  });
+
+  test('user scope ignores character achievements', () => {
+    const summary = summarizeAchievements(earned, { scope: 'user' });
+    assert.deepEqual(summary.earned.map(a => a.id), ['blupee-first']);
+  });
+
+  test('announcements name the character and the player', () => {
+    const achievement = ACHIEVEMENTS.find(a => a.id === 'steal-100');
+    const embed = buildAchievementAnnouncement('123', achievement, 'Link');
+    assert.match(embed.title, /Master Thief/);
+    assert.match(embed.description, /\*\*Link\*\* \(<@123>\)/);
+  });
+});
+
+test.describe('awarding achievements', () => {
+  test('an achievement is recorded once per character', async t => {
+    if (db.skip) return t.skip(db.skip);
+    await User.create({ discordId: 'achiever' });
+    const achievement = ACHIEVEMENTS.find(a => a.id === 'steal-first');
+    const characterId = '64b000000000000000000001';
+
+    assert.equal(await awardAchievement('achiever', achievement, { characterId, characterName: 'Link' }), true);
+    assert.equal(await awardAchievement('achiever', achievement, { characterId, characterName: 'Link' }), false);
+    assert.equal(await awardAchievement('achiever', achievement, { characterId: '64b000000000000000000002', characterName: 'Mipha' }), true);
+
+    const user = await User.findOne({ discordId: 'achiever' }).lean();
+    assert.equal(user.achievements.length, 2);
+  });
+
+  test('checkAchievements awards user milestones from supplied stats', async t => {
+    if (db.skip) return t.skip(db.skip);
+    await User.create({ discordId: 'helper' });
+    const awarded = await checkAchievements('helpWanted.completed', {
+      userId: 'helper',
+      stats: { helpWantedCompletions: 10 }
+    });
+    assert.deepEqual(awarded.map(a => a.id), ['help-wanted-10']);
+    assert.deepEqual(await checkAchievements('helpWanted.completed', {
+      userId: 'helper',
+      stats: { helpWantedCompletions: 10 }
+    }), []);
+  });
+});
@@ -0,0 +1,152 @@
+// ============================================================================
+// Auction house — lot escrow, bid escrow/refunds, buyout and cancellation
+// ============================================================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { subscribe, clearSubscribers } = require('@/utils/gameEvents');
+const { useTestDatabase } = require('./helpers/mongo');
+const { createMockInteraction, stubBotClient } = require('./helpers/discord');
+
+const db = useTestDatabase();
+stubBotClient(null);
+
+let database;
+let inventoryUtils;
+let auctionModule;
+let fixtures;
+test.before(() => {
+  database = require('@/database/db');
+  inventoryUtils = require('@/utils/inventoryUtils');
+  auctionModule = require('@/modules/auctionModule');
+  fixtures = require('./helpers/fixtures');
+});
+test.afterEach(() => clearSubscribers());
+
+// ------------------- Helpers -------------------
+// The auction engine runs its transactions on the default mongoose connection
+async function connect() {
+  await require('@/database/connectionManager').connectToTinglebot();
+}
+
+async function quantityOf(character, itemName) {
+  const collection = await database.getCharacterInventoryCollection(character);
+  const stacks = await collection.find({ itemName }).toArray();
+  return stacks.reduce((sum, stack) => sum + stack.quantity, 0);
+}
+
+async function tokensOf(userId) {
+  const User = require('@/models/UserModel');
+  return (await User.findOne({ discordId: userId }))?.tokens ?? 0;
+}
+
+// Seller holding `quantity` relics plus two funded bidders
+async function setupAuction({ quantity = 1, minimumBid = 100, buyoutPrice = null } = {}) {
+  await connect();
+  await fixtures.createItem({ itemName: 'Ancient Relic' });
+  const seller = await fixtures.createCharacter();
+  const alice = await fixtures.createCharacter();
+  const bob = await fixtures.createCharacter();
+  await fixtures.createUser({ discordId: seller.userId, tokens: 0 });
+  await fixtures.createUser({ discordId: alice.userId, tokens: 500 });
+  await fixtures.createUser({ discordId: bob.userId, tokens: 500 });
+  await inventoryUtils.addItemInventoryDatabase(seller._id, 'Ancient Relic', quantity, createMockInteraction(), 'Exploring');
+
+  const { auction, error } = await auctionModule.createAuction(
+    seller,
+    { itemName: 'Ancient Relic', quantity },
+    { minimumBid, buyoutPrice, durationHours: 24 }
+  );
+  assert.equal(error, undefined);
+  return { auction, seller, alice, bob };
+}
+
+test.describe('createAuction', () => {
+  test('takes the lot out of the seller inventory', async t => {
+    if (db.skip) return t.skip(db.skip);
+    const { auction, seller } = await setupAuction({ quantity: 2 });
+
+    assert.equal(auction.status, 'active');
+    assert.equal(await quantityOf(seller, 'Ancient Relic'), 0);
+    assert.equal(auction.escrow.reduce((sum, stack) => sum + stack.quantity, 0), 2);
+  });
+
+  test('refuses a lot the seller does not hold', async t => {
+    if (db.skip) return t.skip(db.skip);
+    await connect();
+    await fixtures.createItem({ itemName: 'Old Map' });
+    const seller = await fixtures.createCharacter();
+
+    const { error } = await auctionModule.createAuction(seller, { itemName: 'Old Map', quantity: 1 }, { minimumBid: 10 });
+    assert.match(error, /doesn't have 1x Old Map/);
+  });
+});
+
+test.describe('placeBid', () => {
+  test('holds the high bid and refunds the bidder who was outbid', async t => {
+    if (db.skip) return t.skip(db.skip);
+    const { auction, alice, bob } = await setupAuction();
+
+    assert.equal((await auctionModule.placeBid(auction.auctionId, alice, 120)).error, undefined);
+    assert.equal(await tokensOf(alice.userId), 380);
+
+    const result = await auctionModule.placeBid(auction.auctionId, bob, 200);
+    assert.equal(result.error, undefined);
+    assert.equal(await tokensOf(alice.userId), 500);
+    assert.equal(await tokensOf(bob.userId), 300);
+    assert.equal(result.auction.highBid.characterName, bob.name);
+  });
+
+  test('rejects bids under the next minimum and bids on your own auction', async t => {
+    if (db.skip) return t.skip(db.skip);
+    const { auction, seller, alice, bob } = await setupAuction();
+    await auctionModule.placeBid(auction.auctionId, alice, 100);
+
+    assert.match((await auctionModule.placeBid(auction.auctionId, bob, 101)).error, /at least \*\*105\*\*/);
+    assert.match((await auctionModule.placeBid(auction.auctionId, seller, 300)).error, /own auction/);
+  });
+
+  test('a buyout settles at once: lot to the winner, tokens to the seller', async t => {
+    if (db.skip) return t.skip(db.skip);
+    const TokenTransaction = require('@/models/TokenTransactionModel');
+    const { auction, seller, alice } = await setupAuction({ buyoutPrice: 250 });
+    const tokenEvents = [];
+    subscribe('tokens.changed', 'test', payload => { tokenEvents.push(payload); });
+
+    const result = await auctionModule.placeBid(auction.auctionId, alice, 400);
+
+    assert.equal(result.boughtOut, true);
+    assert.equal(result.auction.status, 'sold');
+    assert.equal(await tokensOf(alice.userId), 250);
+    assert.equal(await tokensOf(seller.userId), 250);
+    assert.equal(await quantityOf(alice, 'Ancient Relic'), 1);
+    assert.equal(await TokenTransaction.countDocuments({ category: 'auction' }), 2);
+    assert.deepEqual(
+      tokenEvents.map(({ userId, change, balanceBefore, balanceAfter }) => [userId, change, balanceBefore, balanceAfter]),
+      [[alice.userId, -250, 500, 250], [seller.userId, 250, 0, 250]]
+    );
+  });
+});
+
+test.describe('settlement and cancellation', () => {
+  test('an ended auction without bids returns the lot', async t => {
+    if (db.skip) return t.skip(db.skip);
+    const Auction = require('@/models/AuctionModel');
+    const { auction, seller } = await setupAuction();
+    await Auction.updateOne({ auctionId: auction.auctionId }, { $set: { endsAt: new Date(Date.now() - 1000) } });
+
+    assert.equal(await auctionModule.settleEndedAuctions(), 1);
+    assert.equal((await Auction.findOne({ auctionId: auction.auctionId })).status, 'unsold');
+    assert.equal(await quantityOf(seller, 'Ancient Relic'), 1);
+  });
+
+  test('only an unbid auction can be cancelled, and only by its seller', async t => {
+    if (db.skip) return t.skip(db.skip);
+    const { auction, seller, alice } = await setupAuction();
+
+    assert.match((await auctionModule.cancelAuction(auction.auctionId, alice.userId)).error, /Only the seller/);
+    assert.equal((await auctionModule.cancelAuction(auction.auctionId, seller.userId)).auction.status, 'cancelled');
+    assert.equal(await quantityOf(seller, 'Ancient Relic'), 1);
+  });
+});
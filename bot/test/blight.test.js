@@ -0,0 +1,143 @@
+// ============================================================================
+// Blight stage progression — roll thresholds, stage effects and /blight roll
+// ============================================================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { useTestDatabase } = require('./helpers/mongo');
+const { createMockInteraction, createMockUser, stubBotClient } = require('./helpers/discord');
+
+const db = useTestDatabase();
+stubBotClient(null);
+
+let blightHandler;
+let fixtures;
+test.before(() => {
+  blightHandler = require('@/handlers/blightHandler');
+  fixtures = require('./helpers/fixtures');
+});
+
+// ------------------- Character Builder -------------------
+// Blighted a day and a half ago and never rolled, so today's roll is due and
+// the missed-roll failsafe has nothing to catch up on
+async function createBlightedCharacter(overrides = {}) {
+  const now = Date.now();
+  return fixtures.createCharacter({
+    blighted: true,
+    blightStage: 1,
+    blightedAt: new Date(now - 36 * 60 * 60 * 1000),
+    lastRollDate: null,
+    ...overrides
+  });
+}
+
+test.describe('getBlightStageAfterRoll', () => {
+  test('advances one stage at or under the threshold', () => {
+    assert.equal(blightHandler.getBlightStageAfterRoll(1, 25), 2);
+    assert.equal(blightHandler.getBlightStageAfterRoll(2, 40), 3);
+    assert.equal(blightHandler.getBlightStageAfterRoll(3, 67), 4);
+    assert.equal(blightHandler.getBlightStageAfterRoll(4, 100), 5);
+  });
+
+  test('stays put above the threshold', () => {
+    assert.equal(blightHandler.getBlightStageAfterRoll(1, 26), 1);
+    assert.equal(blightHandler.getBlightStageAfterRoll(2, 41), 2);
+    assert.equal(blightHandler.getBlightStageAfterRoll(3, 68), 3);
+    assert.equal(blightHandler.getBlightStageAfterRoll(4, 101), 4);
+  });
+
+  test('never advances past stage 5', () => {
+    assert.equal(blightHandler.getBlightStageAfterRoll(5, 1), 5);
+  });
+});
+
+test.describe('getBlightEffectsForStage', () => {
+  test('stage 2 multiplies rolls', () => {
+    assert.deepEqual(blightHandler.getBlightEffectsForStage(2), { rollMultiplier: 1.5, noMonsters: false, noGathering: false });
+  });
+
+  test('stage 3 stops monsters, stage 4 also stops gathering', () => {
+    assert.deepEqual(blightHandler.getBlightEffectsForStage(3), { rollMultiplier: 1.0, noMonsters: true, noGathering: false });
+    assert.deepEqual(blightHandler.getBlightEffectsForStage(4), { rollMultiplier: 1.0, noMonsters: true, noGathering: true });
+  });
+});
+
+test.describe('rollForBlightProgression', () => {
+  test('applies the recorded roll to the stage and logs it', async t => {
+    if (db.skip) return t.skip(db.skip);
+    const Character = require('@/models/CharacterModel');
+    const BlightRollHistory = require('@/models/BlightRollHistoryModel');
+    const RollLog = require('@/models/RollLogModel');
+    const { replayRoll } = require('@/services/rngService');
+
+    const user = createMockUser();
+    const character = await createBlightedCharacter({ userId: user.id, name: 'Roller', blightStage: 3 });
+    const interaction = createMockInteraction({ user, commandName: 'blight' });
+
+    await blightHandler.rollForBlightProgression(interaction, 'Roller');
+
+    const history = await BlightRollHistory.findOne({ characterId: character._id }).lean();
+    assert.ok(history, 'a roll history entry is written');
+    assert.equal(history.previousStage, 3);
+    assert.equal(history.newStage, blightHandler.getBlightStageAfterRoll(3, history.rollValue));
+
+    const saved = await Character.findById(character._id).lean();
+    assert.equal(saved.blightStage, history.newStage);
+    assert.deepEqual(saved.blightEffects, blightHandler.getBlightEffectsForStage(history.newStage));
+    assert.ok(saved.lastRollDate, 'the roll date is stamped');
+
+    const rollLog = await RollLog.findOne({ rollId: history.rollId }).lean();
+    assert.ok(rollLog, 'the roll is recorded for replay');
+    assert.equal(replayRoll(rollLog).matches, true);
+    assert.match(interaction.lastReplyText(), /Roll|Blight/);
+  });
+
+  test('refuses a second roll in the same blight day', async t => {
+    if (db.skip) return t.skip(db.skip);
+    const Character = require('@/models/CharacterModel');
+
+    const user = createMockUser();
+    const character = await createBlightedCharacter({ userId: user.id, name: 'Eager', blightStage: 2, lastRollDate: new Date() });
+    const interaction = createMockInteraction({ user, commandName: 'blight' });
+
+    await blightHandler.rollForBlightProgression(interaction, 'Eager');
+
+    assert.match(interaction.lastReplyText(), /Already Rolled/);
+    const saved = await Character.findById(character._id).lean();
+    assert.equal(saved.blightStage, 2);
+  });
+
+  test('does not roll while progression is paused', async t => {
+    if (db.skip) return t.skip(db.skip);
+    const Character = require('@/models/CharacterModel');
+
+    const user = createMockUser();
+    const character = await createBlightedCharacter({ userId: user.id, name: 'Paused', blightStage: 4, blightPaused: true });
+    const interaction = createMockInteraction({ user, commandName: 'blight' });
+
+    await blightHandler.rollForBlightProgression(interaction, 'Paused');
+
+    assert.match(interaction.lastReplyText(), /Paused/);
+    const saved = await Character.findById(character._id).lean();
+    assert.equal(saved.blightStage, 4);
+    assert.equal(saved.lastRollDate, null);
+  });
+
+  test('stage 5 characters cannot roll', async t => {
+    if (db.skip) return t.skip(db.skip);
+
+    const user = createMockUser();
+    await createBlightedCharacter({
+      userId: user.id,
+      name: 'Doomed',
+      blightStage: 5,
+      deathDeadline: new Date(Date.now() + 3 * 24 * 60 * 60 * 1000)
+    });
+    const interaction = createMockInteraction({ user, commandName: 'blight' });
+
+    await blightHandler.rollForBlightProgression(interaction, 'Doomed');
+
+    assert.match(interaction.lastReplyText(), /Stage 5 Blight and cannot roll/);
+  });
+});
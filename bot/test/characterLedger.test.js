@@ -0,0 +1,82 @@
+// ============================================================================
+// Character ledger — sources merged newest first, kind filters, paging, CSV
+// ============================================================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { useTestDatabase } = require('./helpers/mongo');
+
+const db = useTestDatabase();
+
+let ledger;
+let fixtures;
+test.before(() => {
+  ledger = require('@/modules/characterLedgerModule');
+  fixtures = require('./helpers/fixtures');
+});
+
+// ------------------- Helpers -------------------
+// One row from each source, a minute apart: tokens (oldest) → items → steal → stamina (newest)
+async function seedHistory() {
+  await require('@/database/connectionManager').connectToTinglebot();
+  const InventoryLog = require('@/models/InventoryLogModel');
+  const TokenTransaction = require('@/models/TokenTransactionModel');
+  const Character = require('@/models/CharacterModel');
+
+  const character = await fixtures.createCharacter();
+  const at = minutes => new Date(Date.UTC(2026, 0, 1, 12, minutes));
+
+  await TokenTransaction.create({
+    userId: character.userId, amount: 50, type: 'earned', category: 'quest_reward',
+    description: 'Quest reward', balanceBefore: 10, balanceAfter: 60, timestamp: at(0), dayKey: '2026-01-01'
+  });
+  await InventoryLog.create({
+    characterName: character.name, characterId: character._id, itemName: 'Wood', quantity: 3, obtain: 'Gathering', dateTime: at(1)
+  });
+  await InventoryLog.create({
+    characterName: character.name, characterId: character._id, itemName: 'Apple', quantity: 1, obtain: 'Stolen from Bob', dateTime: at(2)
+  });
+  await Character.updateOne({ _id: character._id }, {
+    $push: { staminaLog: { ts: at(3), delta: -1, before: 5, after: 4, reason: 'gather' } }
+  });
+
+  return Character.findById(character._id);
+}
+
+test.describe('getCharacterLedger', () => {
+  test('merges every source newest first', async t => {
+    if (db.skip) return t.skip(db.skip);
+    const character = await seedHistory();
+
+    const { entries, hasMore } = await ledger.getCharacterLedger(character);
+
+    assert.deepEqual(entries.map(entry => entry.kind), ['stamina', 'steals', 'items', 'tokens']);
+    assert.deepEqual([entries[3].before, entries[3].after], [10, 60]);
+    assert.equal(hasMore, false);
+  });
+
+  test('filters by kind and pages through the result', async t => {
+    if (db.skip) return t.skip(db.skip);
+    const character = await seedHistory();
+
+    const steals = await ledger.getCharacterLedger(character, { kinds: ['steals'] });
+    assert.deepEqual(steals.entries.map(entry => entry.description), ['Apple']);
+
+    const first = await ledger.getCharacterLedger(character, { pageSize: 3 });
+    const second = await ledger.getCharacterLedger(character, { pageSize: 3, page: 2 });
+    assert.equal(first.hasMore, true);
+    assert.deepEqual(second.entries.map(entry => entry.kind), ['tokens']);
+  });
+});
+
+test.describe('ledgerToCsv', () => {
+  test('writes one quoted-as-needed row per entry', () => {
+    const csv = ledger.ledgerToCsv([{
+      at: new Date('2026-01-01T00:00:00Z'), kind: 'items', description: 'Wood, dry', source: 'Gathering',
+      amount: 3, before: null, after: null, link: ''
+    }]);
+
+    assert.equal(csv.split('\n')[1], '2026-01-01T00:00:00.000Z,items,"Wood, dry",Gathering,3,,,');
+  });
+});
@@ -0,0 +1,201 @@
+// ============================================================================
+// Crafting plans and queues — recipe-tree resolution and queued crafting
+// ============================================================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { useTestDatabase } = require('./helpers/mongo');
+const { createMockInteraction, stubBotClient } = require('./helpers/discord');
+
+const db = useTestDatabase();
+stubBotClient(null);
+
+let planModule;
+test.before(() => {
+  planModule = require('@/modules/craftingPlanModule');
+});
+
+// ------------------- Helpers -------------------
+// Cook recipes: Meat Pie <- Dough x2 + Any Raw Meat; Dough <- Wheat x2
+function recipeBook() {
+  const items = [
+    { itemName: 'Meat Pie', crafting: true, cook: true, staminaToCraft: 3, craftingMaterial: [{ itemName: 'Dough', quantity: 2 }, { itemName: 'Any Raw Meat', quantity: 1 }] },
+    { itemName: 'Dough', crafting: true, cook: true, staminaToCraft: 1, craftingMaterial: [{ itemName: 'Wheat', quantity: 2 }] },
+    { itemName: 'Wheat', crafting: false, craftingMaterial: [] }
+  ];
+  return new Map(items.map(item => [item.itemName.toLowerCase(), item]));
+}
+
+function plan(quantity, inventory = [], items = recipeBook()) {
+  return planModule.resolveCraftingPlan({
+    itemName: 'meat pie',
+    quantity,
+    items,
+    inventory,
+    canCraft: planModule.createJobCraftCheck('Cook')
+  });
+}
+
+test.describe('resolveCraftingPlan', () => {
+  test('orders sub-crafts before the items that use them', () => {
+    const result = plan(2);
+    assert.equal(result.target.itemName, 'Meat Pie');
+    assert.deepEqual(result.steps.map(step => [step.itemName, step.quantity]), [['Dough', 4], ['Meat Pie', 2]]);
+    assert.equal(result.totalStamina, 4 * 1 + 2 * 3);
+    assert.deepEqual(result.missing, [
+      { itemName: 'Wheat', quantity: 8, reason: 'material' },
+      { itemName: 'Any Raw Meat', quantity: 2, reason: 'category' }
+    ]);
+  });
+
+  test('sets held ingredients aside instead of crafting them', () => {
+    const result = plan(2, [
+      { itemName: 'Dough', quantity: 1 },
+      { itemName: 'Wheat', quantity: 20 },
+      { itemName: 'Raw Meat', quantity: 1 },
+      { itemName: 'Raw Prime Meat', quantity: 3 }
+    ]);
+    assert.deepEqual(result.steps.map(step => [step.itemName, step.quantity]), [['Dough', 3], ['Meat Pie', 2]]);
+    assert.deepEqual(result.missing, []);
+    const held = Object.fromEntries(result.fromInventory.map(entry => [entry.itemName, entry.quantity]));
+    assert.deepEqual(held, { Dough: 1, Wheat: 6, 'Raw Prime Meat': 2 }, 'categories draw on the largest stack');
+  });
+
+  test('always crafts the target even when some are already held', () => {
+    const result = plan(1, [{ itemName: 'Meat Pie', quantity: 5 }]);
+    assert.equal(result.steps.at(-1).itemName, 'Meat Pie');
+    assert.equal(result.steps.at(-1).quantity, 1);
+  });
+
+  test('reports items the job cannot craft and recipe cycles as missing', () => {
+    const items = recipeBook();
+    items.get('wheat').crafting = true;
+    items.get('wheat').craftingMaterial = [{ itemName: 'Dough', quantity: 1 }];
+    items.get('wheat').cook = true;
+    const result = plan(1, [], items);
+    assert.deepEqual(result.missing.find(entry => entry.itemName === 'Dough'), { itemName: 'Dough', quantity: 4, reason: 'cycle' });
+
+    const bakerOnly = recipeBook();
+    bakerOnly.get('dough').cook = false;
+    const cook = plan(1, [], bakerOnly);
+    assert.deepEqual(cook.steps.map(step => step.itemName), ['Meat Pie']);
+    assert.deepEqual(cook.missing.find(entry => entry.itemName === 'Dough'), { itemName: 'Dough', quantity: 2, reason: 'material' });
+  });
+});
+
+test.describe('queue material helpers', () => {
+  test('pickMaterialStacks spends the largest stacks and refuses shortfalls', () => {
+    const counts = planModule.countInventory([
+      { itemName: 'Raw Meat', quantity: 1 },
+      { itemName: 'Raw Prime Meat', quantity: 2 },
+      { itemName: 'raw prime meat', quantity: 1 }
+    ]);
+    assert.deepEqual(planModule.pickMaterialStacks(counts, 'Any Raw Meat', 4), [
+      { itemName: 'Raw Prime Meat', quantity: 3 },
+      { itemName: 'Raw Meat', quantity: 1 }
+    ]);
+    assert.equal(counts.get('raw meat'), 0);
+    assert.equal(planModule.pickMaterialStacks(counts, 'Any Raw Meat', 1), null);
+  });
+
+  test('countCraftable is limited by the scarcest material', () => {
+    const counts = planModule.countInventory([
+      { itemName: 'Dough', quantity: 7 },
+      { itemName: 'Raw Meat', quantity: 5 }
+    ]);
+    assert.equal(planModule.countCraftable(counts, recipeBook().get('meat pie')), 3);
+  });
+});
+
+test.describe('runCraftingQueue', () => {
+  test('crafts steps in order and stops when stamina runs out', async t => {
+    if (db.skip) return t.skip(db.skip);
+    require('@/database/db');
+    const fixtures = require('./helpers/fixtures');
+    const Character = require('@/models/CharacterModel');
+    const { addItemInventoryDatabase } = require('@/utils/inventoryUtils');
+    for (const item of recipeBook().values()) {
+      await fixtures.createItem(item);
+    }
+    await fixtures.createItem({ itemName: 'Raw Meat' });
+    const character = await fixtures.createCharacter({ job: 'Cook', currentStamina: 5, maxStamina: 5 });
+    await addItemInventoryDatabase(character._id, 'Wheat', 8, createMockInteraction(), 'Gathering');
+    await addItemInventoryDatabase(character._id, 'Raw Meat', 2, createMockInteraction(), 'Gathering');
+
+    const { queue, error } = await planModule.createCraftingQueue(character, 'Meat Pie', 2);
+    assert.equal(error, undefined);
+    assert.deepEqual(queue.steps.map(step => step.itemName), ['Dough', 'Meat Pie']);
+    assert.match((await planModule.createCraftingQueue(character, 'Meat Pie', 1)).error, /already has a crafting queue/);
+
+    const first = await planModule.runCraftingQueue(queue);
+    assert.deepEqual(first.crafted, [{ itemName: 'Dough', quantity: 4 }]);
+    assert.equal(first.blockedReason, 'stamina');
+    assert.equal(first.completed, false);
+    assert.equal((await Character.findById(character._id)).currentStamina, 1);
+
+    await Character.updateOne({ _id: character._id }, { $set: { currentStamina: 5 } });
+    const second = await planModule.runCraftingQueue(queue);
+    assert.deepEqual(second.crafted, [{ itemName: 'Meat Pie', quantity: 1 }]);
+    assert.equal(second.blockedReason, 'stamina');
+
+    await Character.updateOne({ _id: character._id }, { $set: { currentStamina: 5 } });
+    const third = await planModule.runCraftingQueue(queue);
+    assert.equal(third.completed, true);
+    assert.equal(queue.status, 'completed');
+    assert.equal(await planModule.getActiveQueue(character._id), null);
+  });
+
+  test('a step crafted before a run fails keeps its progress', async t => {
+    if (db.skip) return t.skip(db.skip);
+    require('@/database/db');
+    const fixtures = require('./helpers/fixtures');
+    const CraftingQueue = require('@/models/CraftingQueueModel');
+    const ItemModel = require('@/models/ItemModel');
+    const { addItemInventoryDatabase } = require('@/utils/inventoryUtils');
+    for (const item of recipeBook().values()) {
+      await fixtures.createItem(item);
+    }
+    await fixtures.createItem({ itemName: 'Raw Meat' });
+    const character = await fixtures.createCharacter({ job: 'Cook', currentStamina: 20, maxStamina: 20 });
+    await addItemInventoryDatabase(character._id, 'Wheat', 8, createMockInteraction(), 'Gathering');
+    await addItemInventoryDatabase(character._id, 'Raw Meat', 2, createMockInteraction(), 'Gathering');
+    const { queue } = await planModule.createCraftingQueue(character, 'Meat Pie', 2);
+
+    // The Meat Pie step fails after the Dough step has been crafted
+    const findOne = ItemModel.findOne;
+    t.mock.method(ItemModel, 'findOne', function (filter, ...rest) {
+      if (filter?.itemName === 'Meat Pie') throw new Error('database hiccup');
+      return findOne.call(this, filter, ...rest);
+    });
+    await assert.rejects(planModule.runCraftingQueue(queue), /database hiccup/);
+
+    const stored = await CraftingQueue.findById(queue._id).lean();
+    assert.deepEqual(stored.steps.map(step => step.crafted), [4, 0]);
+  });
+
+  test('a queue held by another run is left alone', async t => {
+    if (db.skip) return t.skip(db.skip);
+    require('@/database/db');
+    const fixtures = require('./helpers/fixtures');
+    const CraftingQueue = require('@/models/CraftingQueueModel');
+    for (const item of recipeBook().values()) {
+      await fixtures.createItem(item);
+    }
+    const character = await fixtures.createCharacter({ job: 'Cook', currentStamina: 5, maxStamina: 5 });
+    const { addItemInventoryDatabase } = require('@/utils/inventoryUtils');
+    await addItemInventoryDatabase(character._id, 'Wheat', 2, createMockInteraction(), 'Gathering');
+    const { queue } = await planModule.createCraftingQueue(character, 'Dough', 1);
+
+    await CraftingQueue.updateOne({ _id: queue._id }, { $set: { runningUntil: new Date(Date.now() + 60000) } });
+    const blocked = await planModule.runCraftingQueue(queue);
+    assert.equal(blocked.blockedReason, 'running');
+    assert.deepEqual(blocked.crafted, []);
+
+    // An expired lease is taken over, and released afterwards
+    await CraftingQueue.updateOne({ _id: queue._id }, { $set: { runningUntil: new Date(Date.now() - 1000) } });
+    const run = await planModule.runCraftingQueue(queue);
+    assert.deepEqual(run.crafted, [{ itemName: 'Dough', quantity: 1 }]);
+    assert.equal((await CraftingQueue.findById(queue._id).lean()).runningUntil, null);
+  });
+});
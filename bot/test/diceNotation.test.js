@@ -0,0 +1,93 @@
+// ============================================================================
+// Dice notation — parsing, modifiers, limits and the breakdown text
+// ============================================================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  MAX_DICE_PER_TERM,
+  formatRollBreakdown,
+  parseDiceNotation,
+  rollDiceNotation
+} = require('@/utils/diceNotation');
+
+// random() that makes a `sides`-sided die land on each face in turn
+function faces(sides, ...values) {
+  let index = 0;
+  return () => {
+    const value = values[index++];
+    if (value === undefined) throw new Error('ran out of scripted rolls');
+    return (value - 0.5) / sides;
+  };
+}
+
+const roll = (notation, random) => rollDiceNotation(notation, { random });
+
+test.describe('rollDiceNotation', () => {
+  test('keeps the highest dice and adds modifiers', () => {
+    const result = roll('4d6kh3+2', faces(6, 2, 6, 5, 4));
+    assert.equal(result.total, 17);
+    assert.deepEqual(result.terms[0].dice.map(die => die.kept), [false, true, true, true]);
+    assert.equal(formatRollBreakdown(result), '`4d6kh3` [~~2~~, 6, 5, 4] = **15**');
+  });
+
+  test('drops the lowest and handles arithmetic around terms', () => {
+    assert.equal(roll('(5d6dl2 - 1) * 2', faces(6, 1, 5, 5, 2, 6)).total, 30);
+    assert.equal(roll('2d20kl1', faces(20, 15, 3)).total, 3);
+  });
+
+  test('explodes on the max face and on a compare point', () => {
+    const result = roll('2d6!', faces(6, 6, 6, 2, 3));
+    assert.equal(result.total, 17);
+    assert.deepEqual(result.terms[0].dice.map(die => die.exploded), [false, true, true, false]);
+    assert.equal(roll('1d10!>9', faces(10, 9, 10, 1)).total, 20);
+  });
+
+  test('rerolls until clear, or once with ro', () => {
+    const result = roll('1d20r1', faces(20, 1, 1, 12));
+    assert.equal(result.total, 12);
+    assert.deepEqual(result.terms[0].dice[0].rerolled, [1, 1]);
+    assert.equal(roll('2d8ro<2', faces(8, 2, 1, 5)).total, 6, 'ro keeps the second roll even if low');
+  });
+
+  test('counts successes minus failures', () => {
+    const result = roll('6d10>7f1', faces(10, 8, 1, 7, 3, 10, 1));
+    assert.equal(result.total, 1);
+    assert.match(formatRollBreakdown(result), /= \*\*1 success\*\*$/);
+  });
+
+  test('fate dice roll -1, 0 or +1', () => {
+    const result = roll('4dF+1', faces(3, 1, 2, 3, 3));
+    assert.equal(result.total, 2);
+    assert.match(formatRollBreakdown(result), /\[−, 0, \+, \+\]/);
+  });
+
+  test('stops runaway explosions at the extra-dice cap', () => {
+    const result = roll('1d2!', () => 0.99);
+    assert.equal(result.capped, true);
+    assert.equal(result.terms[0].dice.length, 101);
+  });
+});
+
+test.describe('parseDiceNotation errors', () => {
+  for (const [notation, pattern] of [
+    ['', /Enter something/],
+    ['hello', /Unrecognized/],
+    ['5+3', /at least one dice term/],
+    [`${MAX_DICE_PER_TERM + 1}d6`, /at most 100 dice per term/],
+    ['1d6!>1', /never stop/],
+    ['1d20r<20', /never stop/],
+    ['1d20 5', /operator/],
+    ['2d6f1', /success target/],
+    ['1d20kh1kl1', /one keep\/drop/]
+  ]) {
+    test(`rejects "${notation}"`, () => {
+      assert.match(parseDiceNotation(notation).error, pattern);
+    });
+  }
+
+  test('bad arithmetic is reported, not thrown', () => {
+    assert.match(rollDiceNotation('1d20+').error, /arithmetic/);
+  });
+});
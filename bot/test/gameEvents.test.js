@@ -0,0 +1,154 @@
+// ============================================================================
+// Game event bus — subscriptions, delivery, validation, persistence and replay
+// ============================================================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { getAchievementsForEvent } = require('@tinglebot/shared/lib/achievements');
+const GameEvent = require('@/models/GameEventModel');
+const {
+  GAME_EVENTS,
+  subscribe,
+  getSubscribers,
+  clearSubscribers,
+  emitGameEvent,
+  buildReplayQuery,
+  getReplayTargets,
+  replayGameEvents
+} = require('@/utils/gameEvents');
+const { registerGameEventSubscribers } = require('@/modules/gameEventSubscribers');
+const { useTestDatabase } = require('./helpers/mongo');
+
+const db = useTestDatabase();
+
+test.afterEach(() => clearSubscribers());
+
+test.describe('subscriptions and delivery', () => {
+  test('subscribers receive the payload in registration order', async () => {
+    const calls = [];
+    subscribe('tokens.changed', 'first', payload => { calls.push(['first', payload.change]); });
+    subscribe('tokens.changed', 'second', (payload, meta) => { calls.push(['second', meta.event, meta.replay]); });
+
+    const result = await emitGameEvent('tokens.changed', { userId: '1', change: 5, balanceAfter: 5 });
+    assert.deepEqual(calls, [['first', 5], ['second', 'tokens.changed', false]]);
+    assert.deepEqual(result.results.map(r => r.ok), [true, true]);
+  });
+
+  test('a failing subscriber is recorded and does not stop the others', async () => {
+    let delivered = false;
+    subscribe('character.ko', 'broken', () => { throw new Error('boom'); });
+    subscribe('character.ko', 'working', () => { delivered = true; });
+
+    const { results } = await emitGameEvent('character.ko', { characterId: 'c1' });
+    assert.equal(delivered, true);
+    assert.deepEqual(results, [
+      { name: 'broken', ok: false, error: 'boom' },
+      { name: 'working', ok: true, error: null }
+    ]);
+  });
+
+  test('subscribing the same name again replaces the handler', () => {
+    subscribe('item.acquired', 'wishlist', () => {});
+    subscribe('item.acquired', 'wishlist', () => {});
+    assert.deepEqual(getSubscribers('item.acquired'), ['wishlist']);
+  });
+
+  test('unknown events and missing required fields are rejected', async () => {
+    assert.throws(() => subscribe('item.teleported', 'x', () => {}), /Unknown game event/);
+    assert.equal(await emitGameEvent('item.teleported', {}), null);
+
+    let called = false;
+    subscribe('monster.defeated', 'counter', () => { called = true; });
+    assert.equal(await emitGameEvent('monster.defeated', { characterId: 'c1' }), null);
+    assert.equal(called, false);
+  });
+});
+
+test.describe('registered subscribers', () => {
+  test('achievements subscribe to every registry event and season pass to raid.won', () => {
+    registerGameEventSubscribers();
+    for (const event of Object.keys(GAME_EVENTS)) {
+      const expected = getAchievementsForEvent(event).length > 0;
+      assert.equal(getSubscribers(event).includes('achievements'), expected, event);
+    }
+    assert.ok(getSubscribers('raid.won').includes('season-pass'));
+  });
+
+  test('feature side effects run as subscribers, tracking before achievements', () => {
+    registerGameEventSubscribers();
+    assert.deepEqual(getSubscribers('helpWanted.completed'), ['help-wanted-tracking', 'achievements']);
+    assert.deepEqual(getSubscribers('message.posted'), ['rp-quest-tracking', 'leveling']);
+    assert.ok(getSubscribers('travel.completed').includes('arrival-weather'));
+    assert.ok(getSubscribers('item.acquired').includes('initial-item-cleanup'));
+    for (const event of ['monster.defeated', 'character.ko', 'tokens.changed']) {
+      assert.ok(getSubscribers(event).includes('achievements'), event);
+    }
+  });
+
+  test('live-context subscribers fail without the live objects instead of running half their effect', async () => {
+    registerGameEventSubscribers();
+    const { results } = await emitGameEvent('message.posted', { userId: '1', channelId: '2', messageId: '3', inThread: false });
+    assert.deepEqual(results.map(r => [r.name, r.ok]), [['rp-quest-tracking', true], ['leveling', false]]);
+    assert.match(results[1].error, /needs the live message/);
+  });
+});
+
+test.describe('replay', () => {
+  test('failedOnly targets the failing subscriber', () => {
+    assert.deepEqual(buildReplayQuery({ failedOnly: true, subscriber: 'achievements', event: 'raid.won' }), {
+      event: 'raid.won',
+      subscribers: { $elemMatch: { name: 'achievements', ok: false } }
+    });
+    assert.deepEqual(buildReplayQuery({ failedOnly: true }), { failed: true });
+  });
+
+  test('replays reach replay-safe subscribers unless one is named', () => {
+    subscribe('raid.won', 'achievements', () => {}, { replaySafe: true });
+    subscribe('raid.won', 'season-pass', () => {});
+    subscribe('raid.won', 'announcer', () => {}, { replaySafe: true });
+    const stored = [
+      { name: 'achievements', ok: false, error: 'boom' },
+      { name: 'season-pass', ok: false, error: 'boom' },
+      { name: 'announcer', ok: true, error: null }
+    ];
+
+    assert.deepEqual(getReplayTargets('raid.won', stored), { targets: ['achievements', 'announcer'], skipped: ['season-pass'] });
+    assert.deepEqual(getReplayTargets('raid.won', stored, { failedOnly: true }), { targets: ['achievements'], skipped: ['season-pass'] });
+    assert.deepEqual(getReplayTargets('raid.won', stored, { subscriber: 'season-pass', failedOnly: true }), { targets: ['season-pass'], skipped: [] });
+    assert.deepEqual(getReplayTargets('raid.won', stored, { subscriber: 'gone' }), { targets: [], skipped: [] });
+  });
+
+  test('registered subscribers record their failures', async () => {
+    registerGameEventSubscribers();
+    // Not an ObjectId: the achievements lookup fails before reaching the database
+    const { results } = await emitGameEvent('blight.healed', { characterId: 'not-an-id', healedFromStage: 4 });
+    const achievements = results.find(result => result.name === 'achievements');
+    assert.equal(achievements.ok, false);
+    assert.match(achievements.error, /Cast to ObjectId failed/);
+  });
+
+  test('emitted events are stored and failed deliveries can be replayed', async t => {
+    if (db.skip) return t.skip(db.skip);
+    // Events are stored on the default mongoose connection
+    await require('@/database/connectionManager').connectToTinglebot();
+
+    let attempts = 0;
+    subscribe('blupee.caught', 'flaky', () => {
+      attempts++;
+      if (attempts === 1) throw new Error('temporarily down');
+    });
+    const { eventId } = await emitGameEvent('blupee.caught', { userId: 'catcher' });
+
+    const stored = await GameEvent.findById(eventId).lean();
+    assert.equal(stored.failed, true);
+    assert.equal(stored.userId, 'catcher');
+
+    const { replayed, failed } = await replayGameEvents({ failedOnly: true, subscriber: 'flaky' });
+    assert.equal(replayed, 1);
+    assert.equal(failed, 0);
+    const replayedEntry = await GameEvent.findById(eventId).lean();
+    assert.equal(replayedEntry.failed, false);
+    assert.equal(replayedEntry.replayCount, 1);
+  });
+});
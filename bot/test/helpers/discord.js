@@ -0,0 +1,140 @@
+// ============================================================================
+// discord.js
+//
+// Mock discord.js objects for handler tests. Interactions answer option
+// getters from a plain object and record every reply so tests can assert on
+// what the bot would have sent.
+// ============================================================================
+
+const Module = require('module');
+const path = require('path');
+
+// ------------------- Function: createMockUser -------------------
+function createMockUser({ id = '100000000000000001', username = 'tester' } = {}) {
+  return {
+    id,
+    username,
+    tag: `${username}#0001`,
+    bot: false,
+    displayAvatarURL: () => 'https://cdn.discordapp.com/embed/avatars/0.png',
+    send: async () => ({ id: 'dm-message' })
+  };
+}
+
+// ------------------- Function: createMockInteraction -------------------
+// options: { optionName: value }; subcommand / subcommandGroup for grouped commands
+function createMockInteraction({
+  user = createMockUser(),
+  commandName = 'test',
+  subcommand = null,
+  subcommandGroup = null,
+  options = {},
+  guildId = '200000000000000001',
+  channelId = '300000000000000001',
+  roles = []
+} = {}) {
+  const calls = [];
+  const read = (name, required) => {
+    const value = options[name];
+    if (value === undefined && required) {
+      throw new Error(`Required option "${name}" was not provided to the mock interaction`);
+    }
+    return value === undefined ? null : value;
+  };
+
+  const interaction = {
+    id: '400000000000000001',
+    commandName,
+    user,
+    guildId,
+    channelId,
+    member: {
+      user,
+      roles: { cache: new Map(roles.map(roleId => [roleId, { id: roleId }])) },
+      permissions: { has: () => false }
+    },
+    guild: { id: guildId, members: { fetch: async () => interaction.member } },
+    channel: { id: channelId, send: async payload => record('channel.send', payload) },
+    client: { user: createMockUser({ id: '500000000000000001', username: 'Tinglebot' }) },
+    deferred: false,
+    replied: false,
+    calls,
+
+    options: {
+      getSubcommand: (required = true) => {
+        if (!subcommand && required) throw new Error('Mock interaction has no subcommand');
+        return subcommand;
+      },
+      getSubcommandGroup: () => subcommandGroup,
+      getString: (name, required = false) => read(name, required),
+      getInteger: (name, required = false) => read(name, required),
+      getNumber: (name, required = false) => read(name, required),
+      getBoolean: (name, required = false) => read(name, required),
+      getUser: (name, required = false) => read(name, required),
+      getAttachment: (name, required = false) => read(name, required),
+      getFocused: () => ''
+    },
+
+    isChatInputCommand: () => true,
+    isButton: () => false,
+    isAutocomplete: () => false,
+    isRepliable: () => true,
+
+    deferReply: async payload => {
+      interaction.deferred = true;
+      return record('deferReply', payload);
+    },
+    reply: async payload => {
+      interaction.replied = true;
+      return record('reply', payload);
+    },
+    editReply: async payload => {
+      interaction.replied = true;
+      return record('editReply', payload);
+    },
+    followUp: async payload => record('followUp', payload)
+  };
+
+  function record(type, payload) {
+    calls.push({ type, payload: typeof payload === 'string' ? { content: payload } : (payload || {}) });
+    return { id: `message-${calls.length}` };
+  }
+
+  // Last visible reply (editReply / reply / followUp), ignoring the defer
+  interaction.lastReply = () => {
+    const replies = calls.filter(call => call.type !== 'deferReply');
+    return replies.length > 0 ? replies[replies.length - 1].payload : null;
+  };
+
+  // Reply text plus embed titles/descriptions, for loose assertions
+  interaction.lastReplyText = () => {
+    const reply = interaction.lastReply();
+    if (!reply) return '';
+    const embeds = (reply.embeds || []).map(embed => {
+      const data = embed.data || embed;
+      return [data.title, data.description].filter(Boolean).join('\n');
+    });
+    return [reply.content, ...embeds].filter(Boolean).join('\n');
+  };
+
+  return interaction;
+}
+
+// ------------------- Function: stubBotClient -------------------
+// Several modules lazily `require('../index.js')` for the live client; the
+// real file logs in to Discord, so tests pre-seed the cache with a stub.
+function stubBotClient(client = null) {
+  const indexPath = path.resolve(__dirname, '..', '..', 'index.js');
+  const stub = new Module(indexPath);
+  stub.filename = indexPath;
+  stub.loaded = true;
+  stub.exports = { client };
+  require.cache[indexPath] = stub;
+  return stub.exports;
+}
+
+module.exports = {
+  createMockUser,
+  createMockInteraction,
+  stubBotClient
+};
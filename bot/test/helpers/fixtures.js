@@ -0,0 +1,77 @@
+// ============================================================================
+// fixtures.js
+//
+// Minimal valid documents for database-backed suites. Every builder takes
+// overrides so a test only spells out the fields it is about.
+// Require only after startTestDatabase() (models read the env on load).
+// ============================================================================
+
+const mongoose = require('mongoose');
+
+let sequence = 0;
+function nextId() {
+  sequence += 1;
+  return sequence;
+}
+
+// ------------------- Function: createUser -------------------
+async function createUser(overrides = {}) {
+  const User = require('../../models/UserModel');
+  const n = nextId();
+  return User.create({
+    discordId: `1000000000000${String(n).padStart(5, '0')}`,
+    tokens: 0,
+    ...overrides
+  });
+}
+
+// ------------------- Function: createCharacter -------------------
+async function createCharacter(overrides = {}) {
+  const Character = require('../../models/CharacterModel');
+  const n = nextId();
+  return Character.create({
+    userId: `1000000000000${String(n).padStart(5, '0')}`,
+    name: `Tester${n}`,
+    pronouns: 'they/them',
+    race: 'hylian',
+    homeVillage: 'Rudania',
+    currentVillage: 'Rudania',
+    job: 'Farmer',
+    icon: 'https://storage.googleapis.com/tinglebot/Graphics/border.png',
+    maxHearts: 3,
+    currentHearts: 3,
+    maxStamina: 3,
+    currentStamina: 3,
+    ...overrides
+  });
+}
+
+// ------------------- Function: createItem -------------------
+// Items are read back through fetchItemByName's native `tinglebot.items` lookup
+async function createItem(overrides = {}) {
+  const Item = require('../../models/ItemModel');
+  const n = nextId();
+  return Item.create({
+    itemName: `Test Item ${n}`,
+    category: ['Material'],
+    type: ['Natural'],
+    subtype: [],
+    buyPrice: 10,
+    sellPrice: 5,
+    stackable: true,
+    maxStackSize: 10,
+    ...overrides
+  });
+}
+
+// ------------------- Function: newObjectId -------------------
+function newObjectId() {
+  return new mongoose.Types.ObjectId();
+}
+
+module.exports = {
+  createUser,
+  createCharacter,
+  createItem,
+  newObjectId
+};
@@ -0,0 +1,139 @@
+// ============================================================================
+// mongo.js
+//
+// In-memory MongoDB for database-backed suites. Starts a single-node replica
+// set with mongodb-memory-server (transactions need a replica set) and points
+// the bot's MONGODB_* env vars at it BEFORE any database module is required.
+//
+// If no mongod binary can be downloaded or found, startTestDatabase() returns
+// { skip } so suites skip with the reason instead of failing.
+//
+// Env:
+//   MONGODB_TEST_URI       Use an existing server instead (must be a throwaway
+//                          replica set: every suite wipes tinglebot, inventories
+//                          and vending on it)
+//   MONGOMS_SYSTEM_BINARY  Use a locally installed mongod (mongodb-memory-server)
+// ============================================================================
+
+const { before, beforeEach, after } = require('node:test');
+const { MongoClient } = require('mongodb');
+
+const START_TIMEOUT_MS = 60000;
+
+// Databases the bot touches: tinglebot (characters, users, quests, items),
+// inventories (shared character inventory) and vending (shop stock)
+const TEST_DATABASES = ['tinglebot', 'inventories', 'vending'];
+
+let replSet = null;
+let adminClient = null;
+
+// ------------------- Function: withDatabase -------------------
+// Swaps the database path of a connection string, keeping hosts and options
+function withDatabase(uri, dbName) {
+  const match = uri.match(/^(mongodb(?:\+srv)?:\/\/[^/?]+)(?:\/[^?]*)?(\?.*)?$/);
+  if (!match) {
+    throw new Error(`Unrecognised MongoDB URI: ${uri}`);
+  }
+  return `${match[1]}/${dbName}${match[2] || ''}`;
+}
+
+// ------------------- Function: withTimeout -------------------
+function withTimeout(promise, ms, label) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`${label} did not finish within ${ms / 1000}s`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// ------------------- Function: startTestDatabase -------------------
+// Returns { uri } once the bot env points at the test server, or { skip: reason }
+async function startTestDatabase() {
+  let baseUri = process.env.MONGODB_TEST_URI || null;
+
+  if (!baseUri) {
+    let MongoMemoryReplSet;
+    try {
+      ({ MongoMemoryReplSet } = require('mongodb-memory-server'));
+    } catch (error) {
+      return { skip: 'mongodb-memory-server is not installed (run npm install in bot/)' };
+    }
+
+    try {
+      replSet = await withTimeout(
+        MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: 'wiredTiger' } }),
+        START_TIMEOUT_MS,
+        'In-memory MongoDB startup'
+      );
+      baseUri = replSet.getUri();
+    } catch (error) {
+      replSet = null;
+      return { skip: `in-memory MongoDB unavailable: ${error.message}` };
+    }
+  }
+
+  // The _PROD variants win in config/database.js and dotenv never overrides
+  // variables that are already set, so a developer .env cannot leak in
+  const tinglebotUri = withDatabase(baseUri, 'tinglebot');
+  const vendingUri = withDatabase(baseUri, 'vending');
+  for (const suffix of ['', '_PROD']) {
+    process.env[`MONGODB_TINGLEBOT_URI${suffix}`] = tinglebotUri;
+    process.env[`MONGODB_INVENTORIES_URI${suffix}`] = tinglebotUri;
+    process.env[`MONGODB_VENDING_URI${suffix}`] = vendingUri;
+  }
+  process.env.MONGODB_URI = tinglebotUri;
+
+  adminClient = new MongoClient(baseUri);
+  await adminClient.connect();
+  return { uri: baseUri };
+}
+
+// ------------------- Function: resetTestDatabase -------------------
+// Empties every collection but keeps indexes (models only build them once)
+async function resetTestDatabase() {
+  if (!adminClient) return;
+  for (const dbName of TEST_DATABASES) {
+    const collections = await adminClient.db(dbName).collections();
+    await Promise.all(collections.map(collection => collection.deleteMany({})));
+  }
+}
+
+// ------------------- Function: stopTestDatabase -------------------
+async function stopTestDatabase() {
+  const DatabaseConnectionManager = require('../../database/connectionManager');
+  await DatabaseConnectionManager.closeAll();
+  if (adminClient) {
+    await adminClient.close();
+    adminClient = null;
+  }
+  if (replSet) {
+    await replSet.stop();
+    replSet = null;
+  }
+}
+
+// ------------------- Function: useTestDatabase -------------------
+// Registers file-level hooks: start once, wipe before every test, stop at the
+// end. Tests check `state.skip` and call t.skip(state.skip) when set.
+function useTestDatabase() {
+  const state = { skip: null };
+  before(async () => {
+    const result = await startTestDatabase();
+    state.skip = result.skip || null;
+  });
+  beforeEach(async () => {
+    if (!state.skip) await resetTestDatabase();
+  });
+  after(async () => {
+    if (!state.skip) await stopTestDatabase();
+  });
+  return state;
+}
+
+module.exports = {
+  useTestDatabase,
+  startTestDatabase,
+  resetTestDatabase,
+  stopTestDatabase,
+  withDatabase
+};
@@ -0,0 +1,22 @@
+// ============================================================================
+// setup.js
+//
+// Preloaded by `npm test` (node --test --require ./test/helpers/setup.js).
+// Registers the @ alias the bot code imports with and keeps the bot's very
+// chatty console logging out of the test reporter output.
+//
+// Env:
+//   TEST_VERBOSE=1   Keep console output (useful when a suite fails)
+// ============================================================================
+
+const path = require('path');
+const moduleAlias = require('module-alias');
+
+moduleAlias.addAlias('@', path.resolve(__dirname, '..', '..'));
+
+// Quest completion posts a summary embed through the live client; never in tests
+process.env.SKIP_QUEST_COMPLETION_SUMMARY = '1';
+
+if (process.env.TEST_VERBOSE !== '1') {
+  console.log = console.info = console.warn = console.debug = console.error = () => {};
+}
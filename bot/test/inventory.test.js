@@ -0,0 +1,129 @@
+// ============================================================================
+// Inventory stacking — add/remove through the shared inventories collection
+// ============================================================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { useTestDatabase } = require('./helpers/mongo');
+const { createMockInteraction, stubBotClient } = require('./helpers/discord');
+
+const db = useTestDatabase();
+stubBotClient(null);
+
+let database;
+let inventoryUtils;
+let fixtures;
+test.before(() => {
+  // db.js wires the real database functions into inventoryUtils on load
+  database = require('@/database/db');
+  inventoryUtils = require('@/utils/inventoryUtils');
+  fixtures = require('./helpers/fixtures');
+});
+
+// ------------------- Helpers -------------------
+async function stacksOf(character, itemName) {
+  const collection = await database.getCharacterInventoryCollection(character);
+  return collection.find({ itemName }).sort({ _id: 1 }).toArray();
+}
+
+test.describe('addItemInventoryDatabase', () => {
+  test('stacks repeat additions onto one entry', async t => {
+    if (db.skip) return t.skip(db.skip);
+    const character = await fixtures.createCharacter();
+    await fixtures.createItem({ itemName: 'Wood' });
+    const interaction = createMockInteraction();
+
+    await inventoryUtils.addItemInventoryDatabase(character._id, 'Wood', 3, interaction, 'Gathering');
+    await inventoryUtils.addItemInventoryDatabase(character._id, 'wood', 2, interaction, 'Gathering');
+
+    const stacks = await stacksOf(character, 'Wood');
+    assert.equal(stacks.length, 1);
+    assert.equal(stacks[0].quantity, 5);
+    assert.equal(stacks[0].obtain, 'Gathering');
+  });
+
+  test('keeps inventories of different characters apart', async t => {
+    if (db.skip) return t.skip(db.skip);
+    const first = await fixtures.createCharacter();
+    const second = await fixtures.createCharacter();
+    await fixtures.createItem({ itemName: 'Amber' });
+    const interaction = createMockInteraction();
+
+    await inventoryUtils.addItemInventoryDatabase(first._id, 'Amber', 4, interaction, 'Looted');
+    await inventoryUtils.addItemInventoryDatabase(second._id, 'Amber', 1, interaction, 'Looted');
+
+    assert.equal((await stacksOf(first, 'Amber'))[0].quantity, 4);
+    assert.equal((await stacksOf(second, 'Amber'))[0].quantity, 1);
+  });
+
+  test('keeps elixirs of different levels in separate stacks', async t => {
+    if (db.skip) return t.skip(db.skip);
+    const character = await fixtures.createCharacter();
+    await fixtures.createItem({ itemName: 'Bright Elixir', category: ['Recipe'] });
+    const interaction = createMockInteraction();
+
+    await inventoryUtils.addItemInventoryDatabase(character._id, 'Bright Elixir', 1, interaction, 'Crafting', { elixirLevel: 1 });
+    await inventoryUtils.addItemInventoryDatabase(character._id, 'Bright Elixir', 1, interaction, 'Crafting', { elixirLevel: 2 });
+    await inventoryUtils.addItemInventoryDatabase(character._id, 'Bright Elixir', 2, interaction, 'Crafting', { elixirLevel: 2 });
+
+    const stacks = await stacksOf(character, 'Bright Elixir');
+    const byLevel = Object.fromEntries(stacks.map(stack => [stack.elixirLevel, stack.quantity]));
+    assert.deepEqual(byLevel, { 1: 1, 2: 3 });
+  });
+
+  test('rejects unknown items and invalid quantities', async t => {
+    if (db.skip) return t.skip(db.skip);
+    const character = await fixtures.createCharacter();
+    const interaction = createMockInteraction();
+
+    await assert.rejects(
+      inventoryUtils.addItemInventoryDatabase(character._id, 'Imaginary Item', 1, interaction, 'Test'),
+      /not found/
+    );
+    await assert.rejects(
+      inventoryUtils.addItemInventoryDatabase(character._id, 'Wood', 0, interaction, 'Test'),
+      /Invalid quantity/
+    );
+  });
+});
+
+test.describe('removeItemInventoryDatabase', () => {
+  test('decrements the stack and deletes it at zero', async t => {
+    if (db.skip) return t.skip(db.skip);
+    const character = await fixtures.createCharacter();
+    await fixtures.createItem({ itemName: 'Flint' });
+    const interaction = createMockInteraction();
+    await inventoryUtils.addItemInventoryDatabase(character._id, 'Flint', 3, interaction, 'Gathering');
+
+    await inventoryUtils.removeItemInventoryDatabase(character._id, 'Flint', 2, interaction, 'Crafting');
+    assert.equal((await stacksOf(character, 'Flint'))[0].quantity, 1);
+
+    await inventoryUtils.removeItemInventoryDatabase(character._id, 'Flint', 1, interaction, 'Crafting');
+    assert.equal((await stacksOf(character, 'Flint')).length, 0);
+  });
+
+  test('refuses to take more than the character holds', async t => {
+    if (db.skip) return t.skip(db.skip);
+    const { isInsufficientInventoryError } = require('@/utils/globalErrorHandler');
+    const character = await fixtures.createCharacter();
+    await fixtures.createItem({ itemName: 'Acorn' });
+    const interaction = createMockInteraction();
+    await inventoryUtils.addItemInventoryDatabase(character._id, 'Acorn', 2, interaction, 'Gathering');
+
+    await assert.rejects(
+      inventoryUtils.removeItemInventoryDatabase(character._id, 'Acorn', 5, interaction, 'Crafting'),
+      error => isInsufficientInventoryError(error) && error.required === 5 && error.available === 2
+    );
+    assert.equal((await stacksOf(character, 'Acorn'))[0].quantity, 2);
+  });
+
+  test('returns false when the item is not in the inventory', async t => {
+    if (db.skip) return t.skip(db.skip);
+    const character = await fixtures.createCharacter();
+    await fixtures.createItem({ itemName: 'Rock Salt' });
+
+    const removed = await inventoryUtils.removeItemInventoryDatabase(character._id, 'Rock Salt', 1, createMockInteraction(), 'Crafting');
+    assert.equal(removed, false);
+  });
+});
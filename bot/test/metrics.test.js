@@ -0,0 +1,52 @@
+// ============================================================================
+// Metrics — Prometheus text exposition for GET /metrics
+// ============================================================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const metrics = require('@/utils/metrics');
+
+test.beforeEach(() => metrics.resetMetrics());
+
+test.describe('renderMetrics', () => {
+  test('counts commands by outcome and buckets their latency', () => {
+    metrics.recordCommand('crafting', 80);
+    metrics.recordCommand('crafting', 1200, 'error');
+    const output = metrics.renderMetrics();
+
+    assert.match(output, /^# TYPE tinglebot_command_invocations_total counter$/m);
+    assert.match(output, /^tinglebot_command_invocations_total\{command="crafting",outcome="success"\} 1$/m);
+    assert.match(output, /^tinglebot_command_invocations_total\{command="crafting",outcome="error"\} 1$/m);
+    assert.match(output, /^tinglebot_command_duration_seconds_bucket\{command="crafting",le="0.05"\} 0$/m);
+    assert.match(output, /^tinglebot_command_duration_seconds_bucket\{command="crafting",le="0.1"\} 1$/m);
+    assert.match(output, /^tinglebot_command_duration_seconds_bucket\{command="crafting",le="2.5"\} 2$/m);
+    assert.match(output, /^tinglebot_command_duration_seconds_bucket\{command="crafting",le="\+Inf"\} 2$/m);
+    assert.match(output, /^tinglebot_command_duration_seconds_sum\{command="crafting"\} 1.28$/m);
+    assert.match(output, /^tinglebot_command_duration_seconds_count\{command="crafting"\} 2$/m);
+  });
+
+  test('records interaction failures and scheduler runs', () => {
+    metrics.recordInteractionFailure('steal', 'autocomplete');
+    metrics.recordInteractionFailure(undefined);
+    metrics.recordJobRun('crafting-queue-run', 500, 'failure');
+    const output = metrics.renderMetrics();
+
+    assert.match(output, /^tinglebot_interaction_failures_total\{command="steal",type="autocomplete"\} 1$/m);
+    assert.match(output, /^tinglebot_interaction_failures_total\{command="unknown",type="command"\} 1$/m);
+    assert.match(output, /^tinglebot_scheduler_job_runs_total\{job="crafting-queue-run",outcome="failure"\} 1$/m);
+  });
+
+  test('includes circuit breaker and memory gauges read at scrape time', () => {
+    const output = metrics.renderMetrics();
+    assert.match(output, /^tinglebot_circuit_breaker_open\{detector="character-queries"\} 0$/m);
+    assert.match(output, /^tinglebot_memory_bytes\{area="rss"\} \d+$/m);
+    assert.ok(output.endsWith('\n'));
+  });
+
+  test('escapes label values', () => {
+    const counter = new metrics.Counter('example_total', 'Example.');
+    counter.inc({ name: 'say "hi"\\\n' });
+    assert.deepEqual(counter.render(), ['example_total{name="say \\"hi\\"\\\\\\n"} 1']);
+  });
+});
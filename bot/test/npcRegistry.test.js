@@ -0,0 +1,94 @@
+// ============================================================================
+// NPC registry — defaults merge, availability windows and database seeding
+// ============================================================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  NPC_DEFAULTS,
+  buildNPCRegistry,
+  getNPCAvailability,
+  mergeNPCRecord
+} = require('@tinglebot/shared/lib/npcRegistry');
+const { useTestDatabase } = require('./helpers/mongo');
+
+const db = useTestDatabase();
+
+test.describe('buildNPCRegistry', () => {
+  test('uses the built-in defaults when nothing is registered', () => {
+    const registry = buildNPCRegistry();
+    assert.deepEqual(Object.keys(registry).sort(), Object.keys(NPC_DEFAULTS).sort());
+    assert.equal(registry.Zone.stealDifficulty, 18);
+    assert.deepEqual(registry.Hank.categories, ['Any Plant']);
+  });
+
+  test('ignores protection-only documents and keeps unregistered extras out', () => {
+    const registry = buildNPCRegistry([
+      { name: 'Hank', stealProtection: { isProtected: true } },
+      { name: 'Stranger', stealProtection: { isProtected: false } }
+    ]);
+    assert.equal(registry.Hank.profession, NPC_DEFAULTS.Hank.profession);
+    assert.equal(registry.Stranger, undefined);
+  });
+
+  test('registered documents win and empty fields fall back to the defaults', () => {
+    const registry = buildNPCRegistry([
+      { name: 'Hank', profession: 'Apothecary', items: ['Hylian Shroom'], flavorText: [], rarityWeights: new Map([['2', 5]]) },
+      { name: 'Mira', profession: 'Courier', itemCategories: ['Any Nut'], village: 'Inariko' }
+    ]);
+    assert.equal(registry.Hank.profession, 'Apothecary');
+    assert.deepEqual(registry.Hank.items, ['Hylian Shroom']);
+    assert.deepEqual(registry.Hank.categories, [], 'the pool is replaced as a unit');
+    assert.deepEqual(registry.Hank.flavorText, NPC_DEFAULTS.Hank.flavorText);
+    assert.deepEqual(registry.Hank.rarityWeights, { 2: 5 });
+    assert.equal(registry.Mira.village, 'Inariko');
+    assert.equal(registry.Mira.isBuiltIn, false);
+  });
+});
+
+test.describe('getNPCAvailability', () => {
+  const npc = mergeNPCRecord('Mira', {
+    profession: 'Courier',
+    village: 'Vhintl',
+    availability: { startsAt: new Date('2026-01-01'), endsAt: null, months: [6, 7] }
+  }, null);
+
+  test('limits the NPC to its village', () => {
+    const date = new Date('2026-06-15');
+    assert.deepEqual(getNPCAvailability(npc, { date, village: 'Rudania' }), { available: false, reason: 'village' });
+    assert.deepEqual(getNPCAvailability(npc, { date, village: 'vhintl' }), { available: true });
+  });
+
+  test('applies the schedule window and months', () => {
+    assert.equal(getNPCAvailability(npc, { date: new Date('2025-06-15') }).reason, 'schedule');
+    assert.equal(getNPCAvailability(npc, { date: new Date('2026-09-15') }).reason, 'schedule');
+    assert.equal(getNPCAvailability(npc, { date: new Date('2026-07-01') }).available, true);
+  });
+
+  test('refuses inactive and unknown NPCs', () => {
+    assert.equal(getNPCAvailability({ ...npc, isActive: false }).reason, 'inactive');
+    assert.equal(getNPCAvailability(undefined).reason, 'unknown');
+  });
+});
+
+test.describe('loadNPCRegistry', () => {
+  test('seeds the built-in NPCs and keeps dashboard edits', async t => {
+    if (db.skip) return t.skip(db.skip);
+    const NPC = require('@/models/NPCModel');
+    const { loadNPCRegistry } = require('@/modules/NPCsModule');
+    await NPC.setProtection('Zone', 60 * 1000);
+    await NPC.create({ name: 'Mira', profession: 'Courier', itemCategories: ['Any Nut'] });
+
+    const registry = await loadNPCRegistry({ force: true });
+
+    assert.equal(await NPC.countDocuments({ profession: { $ne: '' } }), Object.keys(NPC_DEFAULTS).length + 1);
+    const zone = await NPC.findOne({ name: 'Zone' });
+    assert.equal(zone.stealDifficulty, 18);
+    assert.equal(zone.stealProtection.isProtected, true, 'seeding keeps steal protection');
+    assert.equal(registry.Mira.profession, 'Courier');
+
+    await NPC.updateOne({ name: 'Zone' }, { $set: { stealDifficulty: 30 } });
+    assert.equal((await loadNPCRegistry({ force: true })).Zone.stealDifficulty, 30);
+  });
+});
@@ -0,0 +1,132 @@
+// ============================================================================
+// Market price index — summaries, daily history and which sales count
+// ============================================================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { buildPriceHistory, summarizeSales } = require('@tinglebot/shared/lib/priceIndex');
+const { getAuctionSale, getTradeSale, getVendingSale } = require('@/modules/priceIndexModule');
+const { useTestDatabase } = require('./helpers/mongo');
+
+const db = useTestDatabase();
+
+function party(characterName, { items = [], tokens = 0 } = {}) {
+  return { userId: `${characterName}-user`, characterName, items, tokens };
+}
+
+test.describe('summarizeSales', () => {
+  test('the median is weighted by units sold', () => {
+    const summary = summarizeSales([
+      { unitPrice: 10, quantity: 1, soldAt: '2026-10-01T00:00:00Z' },
+      { unitPrice: 20, quantity: 5, soldAt: '2026-10-03T00:00:00Z' },
+      { unitPrice: 100, quantity: 1, soldAt: '2026-10-02T00:00:00Z' }
+    ]);
+    assert.equal(summary.median, 20);
+    assert.equal(summary.low, 10);
+    assert.equal(summary.high, 100);
+    assert.equal(summary.sales, 3);
+    assert.equal(summary.units, 7);
+    assert.equal(summary.lastSoldAt.toISOString(), '2026-10-03T00:00:00.000Z');
+  });
+
+  test('an even number of units averages the middle two', () => {
+    const summary = summarizeSales([
+      { unitPrice: 10, quantity: 1, soldAt: new Date() },
+      { unitPrice: 15, quantity: 1, soldAt: new Date() }
+    ]);
+    assert.equal(summary.median, 12.5);
+  });
+
+  test('no sales', () => {
+    assert.deepEqual(summarizeSales([]), { median: null, low: null, high: null, sales: 0, units: 0, lastSoldAt: null });
+  });
+});
+
+test.describe('buildPriceHistory', () => {
+  test('one point per day, oldest first', () => {
+    const history = buildPriceHistory([
+      { unitPrice: 30, quantity: 1, soldAt: '2026-10-02T10:00:00Z' },
+      { unitPrice: 10, quantity: 2, soldAt: '2026-10-01T10:00:00Z' },
+      { unitPrice: 20, quantity: 1, soldAt: '2026-10-02T20:00:00Z' }
+    ]);
+    assert.deepEqual(history, [
+      { date: '2026-10-01', median: 10, low: 10, high: 10, units: 2 },
+      { date: '2026-10-02', median: 25, low: 20, high: 30, units: 2 }
+    ]);
+  });
+});
+
+test.describe('which sales count', () => {
+  test('a trade prices an item only when it is sold for tokens alone', () => {
+    const sold = {
+      tradeId: 'T1',
+      completedAt: new Date('2026-10-19T12:00:00Z'),
+      initiator: party('Link', { tokens: 90 }),
+      target: party('Zelda', { items: [{ itemName: 'Amber', quantity: 2 }, { itemName: 'Amber', quantity: 1 }] })
+    };
+    assert.deepEqual(getTradeSale(sold), {
+      itemName: 'Amber',
+      source: 'trade',
+      referenceId: 'T1',
+      quantity: 3,
+      totalTokens: 90,
+      buyerName: 'Link',
+      sellerName: 'Zelda',
+      soldAt: sold.completedAt
+    });
+
+    const swap = { ...sold, initiator: party('Link', { items: [{ itemName: 'Opal', quantity: 1 }], tokens: 10 }) };
+    assert.equal(getTradeSale(swap), null);
+
+    const bundle = { ...sold, target: party('Zelda', { items: [{ itemName: 'Amber', quantity: 1 }, { itemName: 'Opal', quantity: 1 }] }) };
+    assert.equal(getTradeSale(bundle), null);
+  });
+
+  test('auctions count when sold, except elixir lots', () => {
+    const auction = {
+      auctionId: 'A1',
+      status: 'sold',
+      item: { itemName: 'Diamond', quantity: 2, elixirLevel: null },
+      seller: { characterName: 'Zelda' },
+      highBid: { characterName: 'Link', amount: 500 },
+      settledAt: new Date('2026-10-19T12:00:00Z')
+    };
+    assert.equal(getAuctionSale(auction).totalTokens, 500);
+    assert.equal(getAuctionSale({ ...auction, status: 'unsold', highBid: null }), null);
+    assert.equal(getAuctionSale({ ...auction, item: { ...auction.item, elixirLevel: 2 } }), null);
+  });
+
+  test('vending counts token purchases but not vendor self-purchases', () => {
+    const request = {
+      fulfillmentId: 'F1',
+      itemName: 'Apple',
+      quantity: 4,
+      paymentMethod: 'tokens',
+      userCharacterName: 'Link',
+      vendorCharacterName: 'Beedle'
+    };
+    assert.equal(getVendingSale(request, 40).totalTokens, 40);
+    assert.equal(getVendingSale({ ...request, isVendorSelfPurchase: true }, 40), null);
+    assert.equal(getVendingSale({ ...request, paymentMethod: 'barter' }, 0), null);
+  });
+});
+
+test.describe('MarketSale', () => {
+  test('recording is idempotent and the index reads the rolling window', async t => {
+    if (db.skip) return t.skip(db.skip);
+    const { getPriceIndex, recordMarketSale } = require('@/modules/priceIndexModule');
+    const now = new Date('2026-10-19T12:00:00Z');
+    const sale = { itemName: 'Amber', source: 'vending', quantity: 2, totalTokens: 40, soldAt: new Date('2026-10-18T12:00:00Z') };
+
+    assert.equal(await recordMarketSale({ ...sale, referenceId: 'F1' }), true);
+    assert.equal(await recordMarketSale({ ...sale, referenceId: 'F1' }), false);
+    await recordMarketSale({ ...sale, referenceId: 'F2', totalTokens: 60, soldAt: new Date('2026-08-01T12:00:00Z') });
+
+    const index = await getPriceIndex('amber', { days: 30, now });
+    assert.equal(index.itemName, 'Amber');
+    assert.equal(index.sales, 1);
+    assert.equal(index.median, 20);
+    assert.deepEqual(index.bySource, { vending: 1 });
+  });
+});
@@ -0,0 +1,159 @@
+// ============================================================================
+// Quest reward distribution — token reward parsing and processQuestCompletion
+// ============================================================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { useTestDatabase } = require('./helpers/mongo');
+const { stubBotClient } = require('./helpers/discord');
+
+const db = useTestDatabase();
+stubBotClient(null);
+
+// Loaded after the database env is in place (config/database.js reads it on require)
+let Quest;
+let questRewardModule;
+let fixtures;
+test.before(() => {
+  Quest = require('@/models/QuestModel');
+  questRewardModule = require('@/modules/questRewardModule');
+  fixtures = require('./helpers/fixtures');
+});
+
+// ------------------- Quest Builder -------------------
+let questCounter = 0;
+function buildQuest(overrides = {}) {
+  questCounter += 1;
+  return new Quest({
+    title: `Test Quest ${questCounter}`,
+    description: 'A quest used by the test suite',
+    questType: 'RP',
+    location: 'Rudania',
+    timeLimit: '1 month',
+    date: '2026-10',
+    questID: `QTEST${questCounter}`,
+    tokenReward: 'flat:50',
+    postRequirement: 10,
+    status: 'active',
+    ...overrides
+  });
+}
+
+test.describe('parseTokenReward', () => {
+  test('reads flat, per-unit, cap and collab bonus', () => {
+    const parsed = questRewardModule.parseTokenReward('flat:100 per_unit:20 unit:submission max:3 collab_bonus:15');
+
+    assert.deepEqual(parsed, { flat: 100, perUnit: 20, unit: 'submission', max: 3, collabBonus: 15 });
+  });
+
+  test('reads a quoted unit name', () => {
+    assert.equal(questRewardModule.parseTokenReward('per_unit:5 unit:"rp post"').unit, 'rp post');
+  });
+
+  test('returns zeros for an empty reward', () => {
+    assert.deepEqual(questRewardModule.parseTokenReward(null), { flat: 0, perUnit: 0, unit: null, max: null, collabBonus: 0 });
+  });
+});
+
+test.describe('computeTokensForParticipant', () => {
+  test('pays the flat amount', () => {
+    const quest = buildQuest({ tokenReward: 'flat:75' });
+    assert.equal(questRewardModule.computeTokensForParticipant(quest, { submissions: [] }), 75);
+  });
+
+  test('adds per-unit tokens for approved submissions up to the cap', () => {
+    const quest = buildQuest({ questType: 'Art', tokenReward: 'flat:10 per_unit:20 unit:submission max:2' });
+    const participant = {
+      submissions: [
+        { type: 'art', approved: true },
+        { type: 'art', approved: true },
+        { type: 'art', approved: true },
+        { type: 'art', approved: false },
+        { type: 'writing', approved: true }
+      ]
+    };
+
+    assert.equal(questRewardModule.computeTokensForParticipant(quest, participant), 10 + 20 * 2);
+    assert.equal(participant.units, 2);
+  });
+
+  test('falls back to the normalized reward for plain numbers', () => {
+    const quest = buildQuest({ tokenReward: 40 });
+    assert.equal(questRewardModule.computeTokensForParticipant(quest, { submissions: [] }), 40);
+  });
+});
+
+test.describe('processQuestCompletion', () => {
+  test('pays participants who met the requirement and fails the rest', async t => {
+    if (db.skip) return t.skip(db.skip);
+    const User = require('@/models/UserModel');
+    const TokenTransaction = require('@/models/TokenTransactionModel');
+
+    const finisher = await fixtures.createUser({ tokens: 10 });
+    const straggler = await fixtures.createUser({ tokens: 0 });
+    await fixtures.createCharacter({ userId: finisher.discordId, name: 'Finisher' });
+    await fixtures.createCharacter({ userId: straggler.discordId, name: 'Straggler' });
+
+    const quest = buildQuest();
+    quest.participants.set(finisher.discordId, { userId: finisher.discordId, characterName: 'Finisher', rpPostCount: 12 });
+    quest.participants.set(straggler.discordId, { userId: straggler.discordId, characterName: 'Straggler', rpPostCount: 3 });
+    await quest.save();
+
+    await questRewardModule.processQuestCompletion(quest.questID);
+
+    const paid = await User.findOne({ discordId: finisher.discordId });
+    const unpaid = await User.findOne({ discordId: straggler.discordId });
+    assert.equal(paid.tokens, 60);
+    assert.equal(unpaid.tokens, 0);
+
+    const saved = await Quest.findOne({ questID: quest.questID });
+    assert.equal(saved.status, 'completed');
+    assert.equal(saved.participants.get(finisher.discordId).tokensEarned, 50);
+    assert.equal(saved.participants.get(finisher.discordId).rewardProcessed, true);
+    assert.equal(saved.participants.get(straggler.discordId).progress, 'failed');
+
+    const transactions = await TokenTransaction.find({ userId: finisher.discordId, category: 'quest_reward' }).lean();
+    assert.equal(transactions.length, 1);
+    assert.equal(transactions[0].amount, 50);
+    assert.equal(transactions[0].balanceAfter, 60);
+  });
+
+  test('does not pay a participant twice when completion runs again', async t => {
+    if (db.skip) return t.skip(db.skip);
+    const User = require('@/models/UserModel');
+
+    const user = await fixtures.createUser({ tokens: 0 });
+    await fixtures.createCharacter({ userId: user.discordId, name: 'Repeat' });
+    const quest = buildQuest({ tokenReward: 'flat:30' });
+    quest.participants.set(user.discordId, { userId: user.discordId, characterName: 'Repeat', rpPostCount: 10 });
+    await quest.save();
+
+    await questRewardModule.processQuestCompletion(quest.questID);
+    await questRewardModule.processQuestCompletion(quest.questID);
+
+    const after = await User.findOne({ discordId: user.discordId });
+    assert.equal(after.tokens, 30);
+  });
+
+  test('adds the Entertainer bonus to every participant on RP quests', async t => {
+    if (db.skip) return t.skip(db.skip);
+    const User = require('@/models/UserModel');
+
+    const performer = await fixtures.createUser();
+    const partner = await fixtures.createUser();
+    await fixtures.createCharacter({ userId: performer.discordId, name: 'Bard', job: 'Entertainer' });
+    await fixtures.createCharacter({ userId: partner.discordId, name: 'Listener' });
+    const quest = buildQuest({ tokenReward: 'flat:20' });
+    quest.participants.set(performer.discordId, { userId: performer.discordId, characterName: 'Bard', rpPostCount: 10 });
+    quest.participants.set(partner.discordId, { userId: partner.discordId, characterName: 'Listener', rpPostCount: 10 });
+    await quest.save();
+
+    await questRewardModule.processQuestCompletion(quest.questID);
+
+    for (const discordId of [performer.discordId, partner.discordId]) {
+      const user = await User.findOne({ discordId });
+      assert.equal(user.tokens, 20 + 100);
+    }
+  });
+});
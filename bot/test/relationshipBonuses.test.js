@@ -0,0 +1,69 @@
+// ============================================================================
+// Relationship bonuses — bond roll bonus, rivalry lookup
+// ============================================================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const {
+  MAX_BOND_ROLL_BONUS,
+  applyBondRollBonus,
+  areRivals,
+  formatBondBonus,
+  getBondedCompanions,
+  getBondRollBonus
+} = require('@/modules/relationshipModule');
+const { useTestDatabase } = require('./helpers/mongo');
+
+const db = useTestDatabase();
+
+const character = (name) => ({ _id: new mongoose.Types.ObjectId(), name });
+
+test.describe('bond roll bonus', () => {
+  test('scales with bonded companions up to the cap', () => {
+    assert.equal(getBondRollBonus(0), 0);
+    assert.equal(getBondRollBonus(1), 2);
+    assert.equal(getBondRollBonus(5), MAX_BOND_ROLL_BONUS);
+  });
+
+  test('embed line names the companions', () => {
+    assert.equal(formatBondBonus([], 0), null);
+    assert.equal(formatBondBonus([{ name: 'Mipha' }], 2), 'Fighting alongside **Mipha** (+2 to roll)');
+  });
+
+  test('no companions means no lookup and no bonus', async () => {
+    const link = character('Link');
+    assert.deepEqual(await applyBondRollBonus(50, link, [link]), { diceRoll: 50, bonus: 0, bonded: [] });
+  });
+});
+
+test.describe('relationship lookups', () => {
+  test('bonds count in either direction and only for bond types', async t => {
+    if (db.skip) return t.skip(db.skip);
+    const Relationship = require('@/models/RelationshipModel');
+    const [link, mipha, sidon, ganon] = ['Link', 'Mipha', 'Sidon', 'Ganon'].map(character);
+    const relate = (from, to, relationshipTypes) => Relationship.create({
+      userId: 'u1',
+      characterId: from._id,
+      targetCharacterId: to._id,
+      characterName: from.name,
+      targetCharacterName: to.name,
+      relationshipTypes
+    });
+    await relate(link, mipha, ['LOVERS', 'CLOSE_FRIEND']);
+    await relate(sidon, link, ['FAMILY']);
+    await relate(ganon, link, ['RIVAL']);
+
+    const party = [link, mipha, sidon, ganon].map(({ _id, name }) => ({ _id, name }));
+    const bonded = await getBondedCompanions(link, party);
+    assert.deepEqual(bonded.map(c => c.name).sort(), ['Mipha', 'Sidon']);
+
+    const { diceRoll, bonus } = await applyBondRollBonus(99, link, party);
+    assert.equal(bonus, 4);
+    assert.equal(diceRoll, 100);
+
+    assert.equal(await areRivals(link, ganon), true);
+    assert.equal(await areRivals(link, mipha), false);
+  });
+});
@@ -0,0 +1,112 @@
+// ============================================================================
+// Scheduler admin — job status rows, manual run documents and run history
+// ============================================================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  buildManualRunJob,
+  summarizeScheduledJob
+} = require('@tinglebot/shared/lib/scheduledJobs');
+const { useTestDatabase } = require('./helpers/mongo');
+
+const db = useTestDatabase();
+
+const recurring = {
+  name: 'daily-weather',
+  type: 'single',
+  repeatInterval: '0 8 * * *',
+  repeatTimezone: 'America/New_York',
+  nextRunAt: '2026-10-20T12:00:00Z',
+  lastRunAt: '2026-10-19T12:00:00Z',
+  lastFinishedAt: '2026-10-19T12:00:05Z'
+};
+
+test.describe('summarizeScheduledJob', () => {
+  test('reports schedule and the latest recorded run', () => {
+    const row = summarizeScheduledJob('daily-weather', [recurring], {
+      jobName: 'daily-weather',
+      outcome: 'success',
+      error: null,
+      startedAt: new Date('2026-10-19T12:00:00Z'),
+      durationMs: 5000
+    });
+    assert.equal(row.status, 'ok');
+    assert.equal(row.cron, '0 8 * * *');
+    assert.equal(row.timezone, 'America/New_York');
+    assert.equal(row.scheduled, true);
+    assert.equal(row.nextRunAt.toISOString(), '2026-10-20T12:00:00.000Z');
+    assert.equal(row.lastDurationMs, 5000);
+    assert.equal(row.pendingRuns, 0);
+  });
+
+  test('paused jobs have no next run', () => {
+    const row = summarizeScheduledJob('daily-weather', [{ ...recurring, disabled: true }]);
+    assert.equal(row.status, 'paused');
+    assert.equal(row.paused, true);
+    assert.equal(row.nextRunAt, null);
+  });
+
+  test('a locked job is running and queued manual runs are counted', () => {
+    const docs = [
+      { ...recurring, lockedAt: '2026-10-19T12:30:00Z' },
+      { name: 'daily-weather', type: 'normal', nextRunAt: '2026-10-19T12:31:00Z' }
+    ];
+    const row = summarizeScheduledJob('daily-weather', docs);
+    assert.equal(row.status, 'running');
+    assert.equal(row.pendingRuns, 1);
+  });
+
+  test('failures come from run history, falling back to Agenda', () => {
+    const failedRun = { outcome: 'failure', error: 'boom', startedAt: new Date(), durationMs: 10 };
+    assert.equal(summarizeScheduledJob('daily-weather', [recurring], failedRun).status, 'failed');
+    assert.equal(summarizeScheduledJob('daily-weather', [recurring], failedRun).lastError, 'boom');
+
+    const row = summarizeScheduledJob('daily-weather', [
+      { ...recurring, failedAt: '2026-10-19T12:00:05Z', failReason: 'timeout' }
+    ]);
+    assert.equal(row.status, 'failed');
+    assert.equal(row.lastError, 'timeout');
+  });
+
+  test('jobs without any run or Agenda document', () => {
+    const row = summarizeScheduledJob('daily-weather', [{ ...recurring, lastRunAt: null, lastFinishedAt: null }]);
+    assert.equal(row.status, 'never run');
+    assert.equal(summarizeScheduledJob('missing').scheduled, false);
+  });
+});
+
+test.describe('buildManualRunJob', () => {
+  test('queues a one-off run tagged with the requesting user', () => {
+    const now = new Date('2026-10-19T12:00:00Z');
+    assert.deepEqual(buildManualRunJob('daily-weather', '123', now), {
+      name: 'daily-weather',
+      data: { triggeredBy: '123' },
+      type: 'normal',
+      priority: 0,
+      shouldSaveResult: false,
+      nextRunAt: now
+    });
+    assert.deepEqual(buildManualRunJob('daily-weather', null, now).data, {});
+  });
+});
+
+test.describe('ScheduledJobRun', () => {
+  test('stores runs newest first per job', async t => {
+    if (db.skip) return t.skip(db.skip);
+    const ScheduledJobRun = require('@/models/ScheduledJobRunModel');
+    const { getRunHistory } = require('@/utils/scheduler');
+    const base = { outcome: 'success', finishedAt: new Date(), durationMs: 1 };
+    await ScheduledJobRun.create([
+      { ...base, jobName: 'daily-weather', trigger: 'scheduled', startedAt: new Date('2026-10-18T12:00:00Z') },
+      { ...base, jobName: 'daily-weather', trigger: 'manual', triggeredBy: '123', startedAt: new Date('2026-10-19T12:00:00Z') },
+      { ...base, jobName: 'reset-daily-rolls', trigger: 'scheduled', startedAt: new Date('2026-10-19T13:00:00Z') }
+    ]);
+
+    const runs = await getRunHistory('daily-weather', 5);
+    assert.deepEqual(runs.map(run => run.trigger), ['manual', 'scheduled']);
+    assert.equal(runs[0].triggeredBy, '123');
+    assert.equal((await getRunHistory(null, 1))[0].jobName, 'reset-daily-rolls');
+  });
+});
@@ -0,0 +1,108 @@
+// ============================================================================
+// Season pass — season windows, tier progress, XP awards and rollover
+// ============================================================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  SEASON_TIER_XP,
+  SEASON_XP_AWARDS,
+  getSeasonWindow,
+  getSeasonProgress,
+  getTierForXP,
+  getTierRewards
+} = require('@tinglebot/shared/lib/seasonPass');
+const User = require('@/models/UserModel');
+const { awardSeasonXPToUsers, rolloverSeasonPasses } = require('@/modules/seasonPassModule');
+const { useTestDatabase } = require('./helpers/mongo');
+
+const db = useTestDatabase();
+
+test.describe('season windows', () => {
+  test('follow the Mar/Jun/Sep/Dec 21 boundaries', () => {
+    assert.equal(getSeasonWindow(new Date('2026-10-19T12:00:00Z')).id, '2026-autumn');
+    assert.equal(getSeasonWindow(new Date('2026-06-21T00:00:00Z')).id, '2026-summer');
+    assert.equal(getSeasonWindow(new Date('2026-03-20T23:59:59Z')).id, '2025-winter');
+    assert.equal(getSeasonWindow(new Date('2026-03-21T00:00:00Z')).id, '2026-spring');
+  });
+
+  test('winter is named after the year it starts and spans the new year', () => {
+    const winter = getSeasonWindow(new Date('2027-01-05T00:00:00Z'));
+    assert.equal(winter.id, '2026-winter');
+    assert.equal(winter.startsAt.toISOString(), '2026-12-21T00:00:00.000Z');
+    assert.equal(winter.endsAt.toISOString(), '2027-03-21T00:00:00.000Z');
+  });
+});
+
+test.describe('tier progress', () => {
+  const now = new Date('2026-10-19T12:00:00Z');
+
+  test('tiers unlock every SEASON_TIER_XP and cap at the last tier', () => {
+    assert.equal(getTierForXP(SEASON_TIER_XP - 1), 0);
+    assert.equal(getTierForXP(SEASON_TIER_XP * 3), 3);
+    assert.equal(getTierForXP(SEASON_TIER_XP * 1000), 30);
+  });
+
+  test('claimable lists unlocked tiers not yet claimed', () => {
+    const progress = getSeasonProgress({ seasonId: '2026-autumn', xp: SEASON_TIER_XP * 5 + 40, claimedTiers: [1, 2] }, now);
+    assert.equal(progress.tier, 5);
+    assert.equal(progress.xpIntoTier, 40);
+    assert.deepEqual(progress.claimable, [3, 4, 5]);
+  });
+
+  test('a pass from an earlier season counts as empty', () => {
+    const progress = getSeasonProgress({ seasonId: '2026-summer', xp: SEASON_TIER_XP * 10, claimedTiers: [] }, now);
+    assert.equal(progress.xp, 0);
+    assert.deepEqual(progress.claimable, []);
+  });
+
+  test('milestone tiers add items and season badges', () => {
+    const season = getSeasonWindow(now);
+    assert.deepEqual(getTierRewards(3, season).map(r => r.type), ['tokens']);
+    assert.deepEqual(getTierRewards(5, season).map(r => r.type), ['tokens', 'item']);
+    const badge = getTierRewards(30, season).find(r => r.type === 'badge');
+    assert.equal(badge.badgeId, '2026-autumn-champion');
+  });
+});
+
+test.describe('user season pass', () => {
+  test('addSeasonXP tracks sources and reports tier ups', async () => {
+    const user = new User({ discordId: 'season-user' });
+    await user.addSeasonXP(SEASON_TIER_XP - 10, 'message', false);
+    const result = await user.addSeasonXP(SEASON_XP_AWARDS.quest, 'quest', false);
+    assert.equal(result.tierUp, true);
+    assert.equal(user.seasonPass.xpBySource.quest, SEASON_XP_AWARDS.quest);
+    assert.equal(await user.addSeasonXP(0, 'raid', false), null);
+  });
+
+  test('ensureCurrentSeasonPass archives the previous season', () => {
+    const user = new User({
+      discordId: 'season-user',
+      seasonPass: { seasonId: '2026-summer', xp: SEASON_TIER_XP * 2, claimedTiers: [1] }
+    });
+    const now = new Date('2026-10-19T12:00:00Z');
+    assert.equal(user.ensureCurrentSeasonPass(now), true);
+    assert.equal(user.seasonPass.seasonId, '2026-autumn');
+    assert.equal(user.seasonPass.xp, 0);
+    assert.deepEqual([...user.seasonPass.claimedTiers], []);
+    assert.equal(user.seasonPass.history[0].seasonId, '2026-summer');
+    assert.equal(user.seasonPass.history[0].tier, 2);
+    assert.equal(user.ensureCurrentSeasonPass(now), false);
+  });
+
+  test('raid XP is awarded once per user and the reset job rolls over stale passes', async t => {
+    if (db.skip) return t.skip(db.skip);
+    await User.create({ discordId: 'raider' });
+    await User.create({ discordId: 'old-season', seasonPass: { seasonId: '2020-spring', xp: 900 } });
+
+    assert.equal(await awardSeasonXPToUsers(['raider', 'raider', null], 'raid'), 1);
+    const raider = await User.findOne({ discordId: 'raider' });
+    assert.equal(raider.seasonPass.xp, SEASON_XP_AWARDS.raid);
+
+    const { rolledOver } = await rolloverSeasonPasses();
+    assert.equal(rolledOver, 1);
+    const archived = await User.findOne({ discordId: 'old-season' });
+    assert.equal(archived.seasonPass.history[0].seasonId, '2020-spring');
+  });
+});
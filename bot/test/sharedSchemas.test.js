@@ -0,0 +1,76 @@
+// ============================================================================
+// Shared schemas — bot models must match @tinglebot/shared field for field
+// ============================================================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const {
+  SHARED_MODELS,
+  SHARED_SCHEMAS,
+  describeSchema,
+  splitKnownDrift,
+  diffSchemaDescriptions,
+  formatDrift
+} = require('@tinglebot/shared');
+
+// ------------------- Helpers -------------------
+function drift(expectedSchema, actualSchema) {
+  return diffSchemaDescriptions(describeSchema(expectedSchema), describeSchema(actualSchema)).map(diff => formatDrift(diff));
+}
+
+test.describe('shared models', () => {
+  for (const [basename, factory] of Object.entries(SHARED_MODELS)) {
+    test(`models/${basename}.js is the shared model`, () => {
+      require(`@/models/${basename}`);
+      const reference = new mongoose.Mongoose();
+      factory(reference);
+
+      for (const modelName of reference.modelNames()) {
+        assert.deepEqual(drift(reference.model(modelName).schema, mongoose.model(modelName).schema), [], modelName);
+      }
+    });
+  }
+});
+
+test.describe('shared schemas', () => {
+  for (const [basename, { modelName, build }] of Object.entries(SHARED_SCHEMAS)) {
+    test(`models/${basename}.js uses the shared ${modelName} schema`, () => {
+      const Model = require(`@/models/${basename}`);
+      assert.deepEqual(drift(build(new mongoose.Mongoose()), Model.schema), []);
+    });
+  }
+
+  test('adds the bot methods on top of the shared Character schema', () => {
+    const Character = require('@/models/CharacterModel');
+    assert.equal(typeof Character.schema.methods.setProtection, 'function');
+    assert.ok(Character.schema.path('applicationFeedback'), 'dashboard fields are part of the shared schema');
+  });
+});
+
+test.describe('diffSchemaDescriptions', () => {
+  test('reports missing, extra, type and enum drift', () => {
+    const { Schema } = mongoose;
+    const shared = new Schema({ name: String, status: { type: String, enum: ['open', 'closed'] }, count: Number });
+    const local = new Schema({ status: { type: String, enum: ['open'] }, count: String, extra: Boolean });
+
+    const diffs = diffSchemaDescriptions(describeSchema(shared), describeSchema(local));
+
+    assert.deepEqual(diffs.map(diff => `${diff.path}:${diff.kind}`), [
+      'count:type', 'extra:extra', 'name:missing', 'status:enum'
+    ]);
+  });
+});
+
+test.describe('splitKnownDrift', () => {
+  test('only paths listed as known are let through', () => {
+    const diffs = [{ path: 'element', kind: 'missing' }, { path: 'staminaRecoveredAt', kind: 'missing' }];
+
+    const { known, unknown } = splitKnownDrift(diffs, ['element']);
+
+    assert.deepEqual(known.map(diff => diff.path), ['element']);
+    assert.deepEqual(unknown.map(diff => diff.path), ['staminaRecoveredAt']);
+    assert.equal(splitKnownDrift(diffs).unknown.length, 2);
+  });
+});
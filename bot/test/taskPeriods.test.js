@@ -0,0 +1,117 @@
+// ============================================================================
+// Task periods — period keys, due periods and the startup catch-up plan
+// ============================================================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  getCurrentPeriod,
+  getDuePeriods,
+  getPeriodKey,
+  parsePeriodCron,
+  planCatchUp
+} = require('@/utils/taskPeriods');
+const { useTestDatabase } = require('./helpers/mongo');
+
+const db = useTestDatabase();
+
+const EASTERN = 'America/New_York';
+const stamina = { name: 'recover-daily-stamina', cron: '0 8 * * *', timezone: EASTERN, period: 'day', catchUp: 'each' };
+const weather = { name: 'daily-weather', cron: '0 8 * * *', timezone: EASTERN, period: 'day' };
+const payout = { name: 'monthly-quest-reward-payout', cron: '59 23 28-31 * *', timezone: EASTERN, period: 'month' };
+
+function history(entries) {
+  return new Map(Object.entries(entries).map(([name, { keys = [], lastFinishedAt = null, paused = false }]) => [
+    name,
+    { keys: new Set(keys), lastFinishedAt: lastFinishedAt && new Date(lastFinishedAt), paused }
+  ]));
+}
+
+test.describe('period keys', () => {
+  test('uses the task timezone for days, ISO weeks and months', () => {
+    // 02:00 UTC on the 20th is still the 19th in New York
+    assert.equal(getPeriodKey(new Date('2026-10-20T02:00:00Z'), 'day', EASTERN), '2026-10-19');
+    assert.equal(getPeriodKey(new Date('2026-10-18T04:00:00Z'), 'week', EASTERN), '2026-W42');
+    assert.equal(getPeriodKey(new Date('2026-11-01T03:00:00Z'), 'month', EASTERN), '2026-10');
+  });
+
+  test('a run belongs to the period of the latest occurrence', () => {
+    // 8am Eastern is 12:00 UTC in October (EDT)
+    assert.equal(getCurrentPeriod(stamina, new Date('2026-10-19T12:00:00Z')).key, '2026-10-19');
+    assert.equal(getCurrentPeriod(stamina, new Date('2026-10-19T11:59:00Z')).key, '2026-10-18');
+  });
+
+  test('rejects crons without a fixed time of day', () => {
+    assert.throws(() => parsePeriodCron('*/15 * * * *'), /fixed time/);
+    assert.throws(() => parsePeriodCron('0 8 */2 * *'), /Unsupported/);
+  });
+});
+
+test.describe('getDuePeriods', () => {
+  test('a month-end cron is only due after the last day of the month', () => {
+    const onThe29th = getDuePeriods(payout, new Date('2026-10-30T12:00:00Z')).map(period => period.key);
+    assert.ok(!onThe29th.includes('2026-10'));
+    assert.ok(onThe29th.includes('2026-09'));
+
+    const due = getDuePeriods(payout, new Date('2026-11-01T12:00:00Z'));
+    assert.equal(due.at(-1).key, '2026-10');
+    assert.equal(due.at(-1).dueAt.toISOString(), '2026-11-01T03:59:00.000Z');
+  });
+});
+
+test.describe('planCatchUp', () => {
+  const now = new Date('2026-10-19T15:00:00Z');
+
+  test('replays every missed day for "each" and only the latest for the rest, oldest first', () => {
+    const plan = planCatchUp([weather, stamina], history({
+      'daily-weather': { keys: ['2026-10-16'] },
+      'recover-daily-stamina': { keys: ['2026-10-16'] }
+    }), now);
+    assert.deepEqual(plan.map(entry => `${entry.name} ${entry.key}`), [
+      'recover-daily-stamina 2026-10-17',
+      'recover-daily-stamina 2026-10-18',
+      'daily-weather 2026-10-19',
+      'recover-daily-stamina 2026-10-19'
+    ]);
+  });
+
+  test('nothing to do once the latest period has run', () => {
+    const plan = planCatchUp([weather], history({ 'daily-weather': { keys: ['2026-10-19'] } }), now);
+    assert.deepEqual(plan, []);
+  });
+
+  test('falls back to Agenda when nothing is recorded yet, and skips tasks that never ran', () => {
+    const tasks = [weather, stamina, { ...weather, name: 'weather-reminder', catchUp: false }];
+    const plan = planCatchUp(tasks, history({
+      'daily-weather': { lastFinishedAt: '2026-10-18T12:00:05Z' },
+      'weather-reminder': { keys: ['2026-10-10'] }
+    }), now);
+    assert.deepEqual(plan.map(entry => `${entry.name} ${entry.key}`), ['daily-weather 2026-10-19']);
+  });
+
+  test('skips paused tasks', () => {
+    const plan = planCatchUp([weather, stamina], history({
+      'daily-weather': { keys: ['2026-10-16'], paused: true },
+      'recover-daily-stamina': { keys: ['2026-10-18'] }
+    }), now);
+    assert.deepEqual(plan.map(entry => `${entry.name} ${entry.key}`), ['recover-daily-stamina 2026-10-19']);
+  });
+});
+
+test.describe('TaskPeriod', () => {
+  test('a period can only be claimed once until released', async t => {
+    if (db.skip) return t.skip(db.skip);
+    const TaskPeriod = require('@/models/TaskPeriodModel');
+
+    assert.ok(await TaskPeriod.claim('recover-daily-stamina', '2026-10-19'));
+    assert.equal(await TaskPeriod.claim('recover-daily-stamina', '2026-10-19', 'catch-up'), null);
+
+    await TaskPeriod.release('recover-daily-stamina', '2026-10-19');
+    assert.ok(await TaskPeriod.claim('recover-daily-stamina', '2026-10-19', 'catch-up'));
+    await TaskPeriod.complete('recover-daily-stamina', '2026-10-19', 'catch-up');
+
+    await TaskPeriod.release('recover-daily-stamina', '2026-10-19');
+    assert.equal(await TaskPeriod.claim('recover-daily-stamina', '2026-10-19'), null, 'completed periods stay closed');
+  });
+});
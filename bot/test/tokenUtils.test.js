@@ -0,0 +1,135 @@
+// ============================================================================
+// Token calculation — art and writing submission payouts (no database)
+// ============================================================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  calculateTokens,
+  calculateWritingTokens,
+  calculateWritingTokensWithCollab
+} = require('@/utils/tokenUtils');
+
+test.describe('calculateTokens', () => {
+  test('multiplies base, type and product, then adds add-ons', () => {
+    // fullbody 20 × humanoid 1 × fullColor 4 + simpleBg 20
+    const result = calculateTokens({
+      baseSelections: ['fullbody'],
+      typeMultiplierSelections: ['humanoid'],
+      productMultiplierValue: 'fullColor',
+      addOnsApplied: [{ addOn: 'simpleBg', count: 1 }]
+    });
+
+    assert.equal(result.breakdown.regularTotal, 100);
+    assert.equal(result.tokensPerPerson, 100);
+    assert.equal(result.totalTokens, 100);
+  });
+
+  test('counts repeated bases and type multipliers', () => {
+    // (headshot 10 × 2) × (anthro 1.5 × 2) × sketch 0.5 = 30
+    const result = calculateTokens({
+      baseSelections: ['headshot'],
+      baseCounts: new Map([['headshot', 2]]),
+      typeMultiplierSelections: ['anthro'],
+      typeMultiplierCounts: { anthro: 2 },
+      productMultiplierValue: 'sketch'
+    });
+
+    assert.equal(result.breakdown.baseTotal, 20);
+    assert.equal(result.breakdown.typeMultiplierTotal, 3);
+    assert.equal(result.tokensPerPerson, 30);
+  });
+
+  test('rounds fractional art totals up', () => {
+    // chibi 15 × simple 0.5 × sketch 0.5 = 3.75 → 4
+    const result = calculateTokens({
+      baseSelections: ['chibi'],
+      typeMultiplierSelections: ['simple'],
+      productMultiplierValue: 'sketch'
+    });
+
+    assert.equal(result.tokensPerPerson, 4);
+  });
+
+  test('splits only the art total between collaborators; bonuses go to each person', () => {
+    const result = calculateTokens({
+      baseSelections: ['fullbody'],
+      typeMultiplierSelections: ['humanoid'],
+      productMultiplierValue: 'lineArt',
+      collab: ['<@200>', '<@300>'],
+      questBonus: 5,
+      collabBonus: 2
+    });
+
+    // 20 / 3 people = 6 each, + 5 quest + 2 collab
+    assert.equal(result.breakdown.baseTokensPerPerson, 6);
+    assert.equal(result.tokensPerPerson, 13);
+    assert.equal(result.totalTokens, 39);
+    assert.equal(result.breakdown.collabBonus, 2);
+  });
+
+  test('ignores the collab bonus without collaborators', () => {
+    const result = calculateTokens({
+      baseSelections: ['headshot'],
+      productMultiplierValue: 'lineArt',
+      questBonus: 3,
+      collabBonus: 10
+    });
+
+    assert.equal(result.tokensPerPerson, 13);
+    assert.equal(result.breakdown.collabBonus, 0);
+  });
+
+  test('applies the group meme bonus before splitting', () => {
+    const result = calculateTokens({
+      baseSelections: ['waistup'],
+      productMultiplierValue: 'lineArt',
+      specialWorksApplied: [{ work: 'comicSimple', count: 1 }],
+      groupMemeBonus: true
+    });
+
+    // (15 + 10) × 1.5 = 37.5 → 38
+    assert.equal(result.tokensPerPerson, 38);
+  });
+
+  test('rejects an unknown product multiplier', () => {
+    assert.throws(
+      () => calculateTokens({ baseSelections: ['chibi'], productMultiplierValue: 'hologram' }),
+      /Invalid product multiplier/
+    );
+  });
+
+  test('rejects comics and animation together', () => {
+    assert.throws(
+      () => calculateTokens({
+        baseSelections: ['chibi'],
+        productMultiplierValue: 'lineArt',
+        specialWorksApplied: [
+          { work: 'comicSimple', count: 1 },
+          { work: 'frameSimple', count: 1 }
+        ]
+      }),
+      /Cannot have both Comics and Animation/
+    );
+  });
+});
+
+test.describe('calculateWritingTokens', () => {
+  test('pays 1 token per 10 words under 1000 words', () => {
+    assert.equal(calculateWritingTokens(500), 50);
+    assert.equal(calculateWritingTokens(999), 100);
+  });
+
+  test('adds the long-form curve from 1000 words', () => {
+    // 1000 × 0.1 + (1000 / 100)^1.75 - 6 ≈ 150.23
+    assert.equal(calculateWritingTokens(1000), 150);
+  });
+
+  test('splits writing tokens with collaborators and adds bonuses per person', () => {
+    const result = calculateWritingTokensWithCollab(500, ['<@200>'], 4, 1);
+
+    assert.equal(result.tokensPerPerson, 25 + 4 + 1);
+    assert.equal(result.totalTokens, (25 + 4 + 1) * 2);
+  });
+});
@@ -0,0 +1,194 @@
+// ============================================================================
+// Trades — offer escrow, counter-offers, commit, cancel/expire and concurrent confirms
+// ============================================================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { useTestDatabase } = require('./helpers/mongo');
+const { createMockInteraction, stubBotClient } = require('./helpers/discord');
+
+const db = useTestDatabase();
+stubBotClient(null);
+
+let database;
+let inventoryUtils;
+let tradeModule;
+let fixtures;
+test.before(() => {
+  database = require('@/database/db');
+  inventoryUtils = require('@/utils/inventoryUtils');
+  tradeModule = require('@/modules/tradeModule');
+  fixtures = require('./helpers/fixtures');
+});
+
+// ------------------- Helpers -------------------
+// The trade engine runs its transactions on the default mongoose connection
+async function connect() {
+  await require('@/database/connectionManager').connectToTinglebot();
+}
+
+async function quantityOf(character, itemName) {
+  const collection = await database.getCharacterInventoryCollection(character);
+  const stacks = await collection.find({ itemName }).toArray();
+  return stacks.reduce((sum, stack) => sum + stack.quantity, 0);
+}
+
+async function tokensOf(userId) {
+  const User = require('@/models/UserModel');
+  return (await User.findOne({ discordId: userId }))?.tokens ?? 0;
+}
+
+async function escrowRows(tradeId) {
+  const escrow = await require('@/database/connectionManager').getNamedInventoryCollection(tradeModule.TRADE_ESCROW_COLLECTION);
+  return escrow.find({ tradeId }).toArray();
+}
+
+// Alice holds 3 apples, Bob holds 2 mushrooms; both start with 100 tokens
+async function setupTraders() {
+  await connect();
+  await fixtures.createItem({ itemName: 'Apple' });
+  await fixtures.createItem({ itemName: 'Hylian Mushroom' });
+  const alice = await fixtures.createCharacter();
+  const bob = await fixtures.createCharacter();
+  await fixtures.createUser({ discordId: alice.userId, tokens: 100 });
+  await fixtures.createUser({ discordId: bob.userId, tokens: 100 });
+  await inventoryUtils.addItemInventoryDatabase(alice._id, 'Apple', 3, createMockInteraction(), 'Gathering');
+  await inventoryUtils.addItemInventoryDatabase(bob._id, 'Hylian Mushroom', 2, createMockInteraction(), 'Gathering');
+  return { alice, bob };
+}
+
+// Alice offers 2 apples and 30 tokens to Bob
+async function proposeApples(alice, bob) {
+  const { trade, error } = await tradeModule.proposeTrade(alice, bob, [{ itemName: 'Apple', quantity: 2 }], 30);
+  assert.equal(error, undefined);
+  return trade;
+}
+
+test.describe('offers', () => {
+  test('proposing escrows the offered items and tokens', async t => {
+    if (db.skip) return t.skip(db.skip);
+    const { alice, bob } = await setupTraders();
+    const trade = await proposeApples(alice, bob);
+
+    assert.equal(trade.status, 'open');
+    assert.equal(await quantityOf(alice, 'Apple'), 1);
+    assert.equal(await tokensOf(alice.userId), 70);
+    const rows = await escrowRows(trade.tradeId);
+    assert.deepEqual(rows.map(row => [row.side, row.itemName, row.quantity]), [['initiator', 'Apple', 2]]);
+  });
+
+  test('refuses an offer the character cannot cover', async t => {
+    if (db.skip) return t.skip(db.skip);
+    const { alice, bob } = await setupTraders();
+
+    const { error } = await tradeModule.proposeTrade(alice, bob, [{ itemName: 'Apple', quantity: 5 }], 0);
+    assert.match(error, /doesn't have 5x Apple/);
+    assert.equal(await quantityOf(alice, 'Apple'), 3);
+  });
+
+  test('answering an offer resets the proposer\'s confirmation until they confirm again', async t => {
+    if (db.skip) return t.skip(db.skip);
+    const { alice, bob } = await setupTraders();
+    const trade = await proposeApples(alice, bob);
+
+    const answered = await tradeModule.setTradeOffer(trade.tradeId, bob.userId, [{ itemName: 'Hylian Mushroom', quantity: 2 }], 0);
+    assert.equal(answered.trade.initiator.confirmed, false);
+    assert.equal(answered.trade.target.confirmed, true);
+    assert.equal((await tradeModule.confirmTrade(trade.tradeId, alice.userId)).completed, true);
+  });
+
+  test('a counter-offer releases the old escrow and rejects confirms of the older version', async t => {
+    if (db.skip) return t.skip(db.skip);
+    const { alice, bob } = await setupTraders();
+    const trade = await proposeApples(alice, bob);
+    const answered = await tradeModule.setTradeOffer(trade.tradeId, bob.userId, [{ itemName: 'Hylian Mushroom', quantity: 2 }], 0);
+
+    const countered = await tradeModule.setTradeOffer(trade.tradeId, alice.userId, [{ itemName: 'Apple', quantity: 1 }], 0);
+    assert.equal(countered.trade.target.confirmed, false);
+    assert.equal(await quantityOf(alice, 'Apple'), 2);
+    assert.equal(await tokensOf(alice.userId), 100);
+
+    const stale = await tradeModule.confirmTrade(trade.tradeId, bob.userId, answered.trade.version);
+    assert.match(stale.error, /offer changed/);
+  });
+});
+
+test.describe('commit', () => {
+  test('delivers both sides\' items and tokens and empties escrow', async t => {
+    if (db.skip) return t.skip(db.skip);
+    const { alice, bob } = await setupTraders();
+    const trade = await proposeApples(alice, bob);
+    await tradeModule.setTradeOffer(trade.tradeId, bob.userId, [{ itemName: 'Hylian Mushroom', quantity: 1 }], 10);
+
+    const result = await tradeModule.confirmTrade(trade.tradeId, alice.userId);
+
+    assert.equal(result.completed, true);
+    assert.equal(result.trade.status, 'completed');
+    assert.equal(await quantityOf(alice, 'Apple'), 1);
+    assert.equal(await quantityOf(alice, 'Hylian Mushroom'), 1);
+    assert.equal(await quantityOf(bob, 'Apple'), 2);
+    assert.equal(await quantityOf(bob, 'Hylian Mushroom'), 1);
+    assert.equal(await tokensOf(alice.userId), 80);
+    assert.equal(await tokensOf(bob.userId), 120);
+    assert.equal((await escrowRows(trade.tradeId)).length, 0);
+  });
+
+  test('two confirms landing together complete the trade once and both succeed', async t => {
+    if (db.skip) return t.skip(db.skip);
+    const { alice, bob } = await setupTraders();
+    const trade = await proposeApples(alice, bob);
+
+    const results = await Promise.all([
+      tradeModule.confirmTrade(trade.tradeId, bob.userId),
+      tradeModule.confirmTrade(trade.tradeId, bob.userId)
+    ]);
+
+    assert.deepEqual(results.map(result => result.error), [undefined, undefined]);
+    assert.equal(await quantityOf(bob, 'Apple'), 2);
+    assert.equal(await tokensOf(bob.userId), 130);
+  });
+
+  test('committing a trade the other confirm already completed reports it completed', async t => {
+    if (db.skip) return t.skip(db.skip);
+    const { alice, bob } = await setupTraders();
+    const trade = await proposeApples(alice, bob);
+    assert.equal((await tradeModule.confirmTrade(trade.tradeId, bob.userId)).completed, true);
+
+    const again = await tradeModule.commitTrade(trade.tradeId);
+    assert.equal(again.error, undefined);
+    assert.equal(again.completed, true);
+    assert.equal(await quantityOf(bob, 'Apple'), 2);
+  });
+});
+
+test.describe('cancel and expiry', () => {
+  test('cancelling returns both sides\' escrow', async t => {
+    if (db.skip) return t.skip(db.skip);
+    const { alice, bob } = await setupTraders();
+    const trade = await proposeApples(alice, bob);
+    await tradeModule.setTradeOffer(trade.tradeId, bob.userId, [{ itemName: 'Hylian Mushroom', quantity: 2 }], 15);
+
+    const { trade: cancelled } = await tradeModule.cancelTrade(trade.tradeId, bob.userId);
+
+    assert.equal(cancelled.status, 'cancelled');
+    assert.equal(await quantityOf(alice, 'Apple'), 3);
+    assert.equal(await quantityOf(bob, 'Hylian Mushroom'), 2);
+    assert.equal(await tokensOf(alice.userId), 100);
+    assert.equal(await tokensOf(bob.userId), 100);
+    assert.equal((await escrowRows(trade.tradeId)).length, 0);
+  });
+
+  test('the sweep expires stale trades and returns their escrow', async t => {
+    if (db.skip) return t.skip(db.skip);
+    const Trade = require('@/models/TradeModel');
+    const { alice, bob } = await setupTraders();
+    const trade = await proposeApples(alice, bob);
+    await Trade.updateOne({ tradeId: trade.tradeId }, { $set: { expiresAt: new Date(Date.now() - 1000) } });
+
+    assert.equal(await tradeModule.expireStaleTrades(), 1);
+    assert.equal((await Trade.findOne({ tradeId: trade.tradeId })).status, 'expired');
+    assert.equal(await quantityOf(alice, 'Apple'), 3);
+    assert.equal(await tokensOf(alice.userId), 100);
+  });
+});
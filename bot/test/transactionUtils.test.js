@@ -0,0 +1,69 @@
+// ============================================================================
+// Transaction retry wrapper — retryable errors and user-facing aborts (no database)
+// ============================================================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const { runTransaction, isRetryableTransactionError } = require('@/utils/transactionUtils');
+
+// Session stub that counts commits and aborts
+function stubSessions(t) {
+  const counts = { started: 0, committed: 0, aborted: 0 };
+  t.mock.method(mongoose, 'startSession', async () => {
+    counts.started++;
+    return {
+      startTransaction() {},
+      async commitTransaction() { counts.committed++; },
+      async abortTransaction() { counts.aborted++; },
+      endSession() {}
+    };
+  });
+  return counts;
+}
+
+function writeConflict() {
+  const error = new Error('WriteConflict');
+  error.code = 112;
+  return error;
+}
+
+test.describe('isRetryableTransactionError', () => {
+  test('write conflicts and transient labels are retryable', () => {
+    assert.equal(isRetryableTransactionError(writeConflict()), true);
+    const transient = Object.assign(new Error('transient'), { hasErrorLabel: label => label === 'TransientTransactionError' });
+    assert.equal(isRetryableTransactionError(transient), true);
+    assert.equal(isRetryableTransactionError(new Error('Not enough tokens')), false);
+  });
+});
+
+test.describe('runTransaction', () => {
+  test('retries a write conflict and commits the next attempt', async t => {
+    const counts = stubSessions(t);
+    let attempts = 0;
+    const result = await runTransaction(async () => {
+      attempts++;
+      if (attempts === 1) throw writeConflict();
+      return 'done';
+    });
+    assert.equal(result, 'done');
+    assert.deepEqual(counts, { started: 2, committed: 1, aborted: 1 });
+  });
+
+  test('user-facing errors abort without retrying', async t => {
+    const counts = stubSessions(t);
+    const userError = Object.assign(writeConflict(), { isTradeError: true });
+    await assert.rejects(
+      runTransaction(async () => { throw userError; }, { isUserError: error => error.isTradeError }),
+      userError
+    );
+    assert.deepEqual(counts, { started: 1, committed: 0, aborted: 1 });
+  });
+
+  test('gives up after the last attempt', async t => {
+    const counts = stubSessions(t);
+    await assert.rejects(runTransaction(async () => { throw writeConflict(); }, { maxRetries: 2 }), /WriteConflict/);
+    assert.deepEqual(counts, { started: 2, committed: 0, aborted: 2 });
+  });
+});
@@ -0,0 +1,139 @@
+// ============================================================================
+// Vending — token-for-stock purchases and restocking a shop slot
+// ============================================================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { useTestDatabase } = require('./helpers/mongo');
+const { stubBotClient } = require('./helpers/discord');
+
+const db = useTestDatabase();
+stubBotClient(null);
+
+let vendingHandler;
+let fixtures;
+test.before(() => {
+  vendingHandler = require('@/handlers/vendingHandler');
+  fixtures = require('./helpers/fixtures');
+});
+
+// ------------------- Shop Builder -------------------
+async function stockShop(vendorName, { itemName = 'Apple', stockQty = 5, tokenPrice = 10, slot = 'Slot 1' } = {}) {
+  const { initializeVendingInventoryModel } = require('@/models/VendingModel');
+  const item = await fixtures.createItem({ itemName });
+  const VendingInventory = await initializeVendingInventoryModel(vendorName);
+  const row = await VendingInventory.create({
+    characterName: vendorName,
+    itemName,
+    itemId: item._id,
+    stockQty,
+    tokenPrice,
+    slot
+  });
+  return { VendingInventory, row };
+}
+
+test.describe('vending purchase', () => {
+  test('moves tokens from buyer to vendor and takes the stock', async t => {
+    if (db.skip) return t.skip(db.skip);
+    const User = require('@/models/UserModel');
+    const buyer = await fixtures.createUser({ tokens: 50 });
+    const vendor = await fixtures.createUser({ tokens: 5 });
+    const { VendingInventory, row } = await stockShop('Shopkeep', { stockQty: 5, tokenPrice: 10 });
+
+    // Three apples at 10 tokens each
+    await vendingHandler.atomicUpdateStockQuantity(VendingInventory, row._id, -3, 3);
+    const buyerBalance = await vendingHandler.atomicUpdateTokenBalance(buyer.discordId, -30);
+    const vendorBalance = await vendingHandler.atomicUpdateTokenBalance(vendor.discordId, 30);
+
+    assert.equal(buyerBalance, 20);
+    assert.equal(vendorBalance, 35);
+    assert.equal((await User.findOne({ discordId: buyer.discordId })).tokens, 20);
+    assert.equal((await VendingInventory.findById(row._id)).stockQty, 2);
+  });
+
+  test('rejects a purchase the buyer cannot afford without touching the balance', async t => {
+    if (db.skip) return t.skip(db.skip);
+    const User = require('@/models/UserModel');
+    const buyer = await fixtures.createUser({ tokens: 5 });
+
+    await assert.rejects(
+      vendingHandler.atomicUpdateTokenBalance(buyer.discordId, -10),
+      /Insufficient tokens/
+    );
+    assert.equal((await User.findOne({ discordId: buyer.discordId })).tokens, 5);
+  });
+
+  test('rejects buying more than is in stock', async t => {
+    if (db.skip) return t.skip(db.skip);
+    const { VendingInventory, row } = await stockShop('Shopkeep', { stockQty: 2 });
+
+    await assert.rejects(
+      vendingHandler.atomicUpdateStockQuantity(VendingInventory, row._id, -3, 3),
+      /Insufficient stock/
+    );
+    assert.equal((await VendingInventory.findById(row._id)).stockQty, 2);
+  });
+
+  test('removes the shop row when the last item sells', async t => {
+    if (db.skip) return t.skip(db.skip);
+    const { VendingInventory, row } = await stockShop('Shopkeep', { stockQty: 1 });
+
+    await vendingHandler.atomicUpdateStockQuantity(VendingInventory, row._id, -1, 1);
+
+    assert.equal(await VendingInventory.findById(row._id), null);
+  });
+
+  test('credits a vendor who has no user record yet', async t => {
+    if (db.skip) return t.skip(db.skip);
+    const User = require('@/models/UserModel');
+
+    const balance = await vendingHandler.atomicUpdateTokenBalance('199999999999999999', 12);
+
+    assert.equal(balance, 12);
+    assert.equal((await User.findOne({ discordId: '199999999999999999' })).tokens, 12);
+  });
+});
+
+test.describe('vending restock', () => {
+  test('adds stock to the same slot and updates its price', async t => {
+    if (db.skip) return t.skip(db.skip);
+    const DatabaseConnectionManager = require('@/database/connectionManager');
+    await fixtures.createCharacter({ name: 'Restocker', job: 'Shopkeeper' });
+    await fixtures.createItem({ itemName: 'Hylian Rice' });
+
+    await vendingHandler.handleAddPersonalItem('Restocker', 'Hylian Rice', 4, 'Slot 1', 8, '', '', false);
+    await vendingHandler.handleAddPersonalItem('Restocker', 'Hylian Rice', 3, 'Slot 1', 9, '', '', false);
+
+    const vending = await DatabaseConnectionManager.connectToVending();
+    const rows = await vending.db.collection('restocker').find({ itemName: 'Hylian Rice' }).toArray();
+    assert.equal(rows.length, 1);
+    assert.equal(rows[0].stockQty, 7);
+    assert.equal(rows[0].tokenPrice, 9);
+  });
+
+  test('refuses a slot that holds a different item', async t => {
+    if (db.skip) return t.skip(db.skip);
+    await fixtures.createCharacter({ name: 'Crowded', job: 'Merchant' });
+    await fixtures.createItem({ itemName: 'Wood' });
+    await fixtures.createItem({ itemName: 'Flint' });
+
+    await vendingHandler.handleAddPersonalItem('Crowded', 'Wood', 2, 'Slot 1', 5, '', '', false);
+
+    await assert.rejects(
+      vendingHandler.handleAddPersonalItem('Crowded', 'Flint', 1, 'Slot 1', 5, '', '', false),
+      /already occupied by Wood/
+    );
+  });
+
+  test('refuses characters who cannot run a shop', async t => {
+    if (db.skip) return t.skip(db.skip);
+    await fixtures.createCharacter({ name: 'Farmhand', job: 'Farmer' });
+
+    await assert.rejects(
+      vendingHandler.handleAddPersonalItem('Farmhand', 'Wood', 1, 'Slot 1', 5, '', '', false),
+      /must be a Shopkeeper or Merchant/
+    );
+  });
+});
@@ -0,0 +1,120 @@
+// ============================================================================
+// Village building projects — status, contributions, damage decay and effects
+// ============================================================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+let projects;
+let VILLAGE_PROJECTS;
+test.before(() => {
+  projects = require('@/modules/villageProjectModule');
+  ({ VILLAGE_PROJECTS } = require('@/models/VillageModel'));
+});
+
+// ------------------- Helpers -------------------
+function makeVillage(level = 2, stored = {}) {
+  return { name: 'Rudania', level, projects: new Map(Object.entries(stored)) };
+}
+
+// Fills every recipe line and the token cost, finishing the project
+function fund(village, key) {
+  const def = projects.getProjectDefinition(village.name, key);
+  for (const [itemName, qty] of Object.entries(def.materials)) {
+    projects.applyProjectContribution(village, key, { mode: 'build', itemName, qty });
+  }
+  return projects.applyProjectContribution(village, key, { mode: 'build', itemName: null, qty: def.tokens });
+}
+
+test.describe('getProjectStatus', () => {
+  test('locks projects below their minimum village level', () => {
+    assert.equal(projects.getProjectStatus(makeVillage(1), 'clinic'), 'locked');
+    assert.equal(projects.getProjectStatus(makeVillage(1), 'watchtower'), 'building');
+  });
+
+  test('is complete once funded and damaged below the active condition', () => {
+    const village = makeVillage();
+    const { completed } = fund(village, 'watchtower');
+    assert.equal(completed, true);
+    assert.equal(projects.getProjectStatus(village, 'watchtower'), 'complete');
+
+    village.projects.get('watchtower').condition = 40;
+    assert.equal(projects.getProjectStatus(village, 'watchtower'), 'damaged');
+    assert.equal(projects.isProjectActive(village, 'watchtower'), false);
+  });
+});
+
+test.describe('planProjectContribution', () => {
+  test('caps each donation at 10% of the recipe line', () => {
+    const village = makeVillage();
+    const required = VILLAGE_PROJECTS.watchtower.materials.Rudania.Wood;
+
+    const over = projects.planProjectContribution(village, 'watchtower', { type: 'Items', itemName: 'wood', qty: required });
+    assert.equal(over.success, false);
+    assert.equal(over.allowed, Math.ceil(required * 0.1));
+
+    const ok = projects.planProjectContribution(village, 'watchtower', { type: 'Items', itemName: 'wood', qty: 5 });
+    assert.deepEqual([ok.success, ok.mode, ok.itemName], [true, 'build', 'Wood']);
+  });
+
+  test('rejects items outside the recipe and locked projects', () => {
+    const village = makeVillage(1);
+    assert.equal(projects.planProjectContribution(village, 'watchtower', { type: 'Items', itemName: 'Apple', qty: 1 }).success, false);
+    assert.equal(projects.planProjectContribution(village, 'market', { type: 'Tokens', qty: 1 }).success, false);
+  });
+
+  test('only accepts repair tokens once built', () => {
+    const village = makeVillage();
+    fund(village, 'market');
+    assert.equal(projects.planProjectContribution(village, 'market', { type: 'Tokens', qty: 1 }).success, false);
+
+    village.projects.get('market').condition = 60;
+    const cost = projects.getRepairTokenCost(projects.getProjectDefinition('Rudania', 'market'), 60);
+    const plan = projects.planProjectContribution(village, 'market', { type: 'Tokens', qty: cost });
+    assert.deepEqual([plan.success, plan.mode], [true, 'repair']);
+
+    const { repaired } = projects.applyProjectContribution(village, 'market', { mode: 'repair', qty: cost });
+    assert.equal(repaired, 40);
+    assert.equal(projects.getProjectState(village, 'market').condition, 100);
+  });
+});
+
+test.describe('applyProjectDamage', () => {
+  test('removes unfinished progress proportionally and wears finished buildings', () => {
+    const village = makeVillage();
+    projects.applyProjectContribution(village, 'clinic', { mode: 'build', itemName: 'Wood', qty: 40 });
+    projects.applyProjectContribution(village, 'clinic', { mode: 'build', itemName: null, qty: 800 });
+    fund(village, 'watchtower');
+
+    const losses = projects.applyProjectDamage(village, 0.25);
+
+    assert.equal(projects.getProjectState(village, 'clinic').materials.Wood, 30);
+    assert.equal(projects.getProjectState(village, 'clinic').tokens, 600);
+    assert.equal(projects.getProjectState(village, 'watchtower').condition, 75);
+    assert.deepEqual(losses.map(l => l.type).sort(), ['Condition', 'Material', 'Tokens']);
+  });
+
+  test('a level drop wipes unfinished progress and disables finished buildings', () => {
+    const village = makeVillage();
+    projects.applyProjectContribution(village, 'clinic', { mode: 'build', itemName: 'Wood', qty: 40 });
+    fund(village, 'watchtower');
+
+    projects.applyProjectDamage(village, 0.1, { levelDropped: true });
+
+    assert.equal(projects.getProjectState(village, 'clinic').materials.Wood, 0);
+    assert.equal(projects.getProjectStatus(village, 'watchtower'), 'damaged');
+  });
+});
+
+test.describe('getProjectBonus', () => {
+  test('sums effects of active projects only', () => {
+    const village = makeVillage();
+    assert.equal(projects.getProjectBonus(village, 'vendingDiscountBonus'), 0);
+
+    fund(village, 'market');
+    assert.equal(projects.getProjectBonus(village, 'vendingDiscountBonus'), VILLAGE_PROJECTS.market.effect.vendingDiscountBonus);
+
+    village.level = 1;
+    assert.equal(projects.getProjectBonus(village, 'vendingDiscountBonus'), 0);
+  });
+});
@@ -0,0 +1,97 @@
+// ============================================================================
+// Weather effects — active effects, item/monster weighting, damage and stamina
+// ============================================================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  getActiveWeatherEffects,
+  applyWeatherToWeightedItems,
+  applyWeatherToMonsterPool,
+  getWeatherDamageBonus,
+  getWeatherStaminaCost,
+  formatWeatherEffects
+} = require('@/modules/weatherEffectsModule');
+const { getEncounterOutcome } = require('@/modules/encounterModule');
+
+const thunderstorm = {
+  temperature: { label: '72°F / 22°C - Perfect', emoji: '👌' },
+  wind: { label: '>= 118(km/h) // Hurricane', emoji: '🌪️' },
+  precipitation: { label: 'Thunderstorm', emoji: '⛈️' },
+  special: { label: 'Lightning Storm', emoji: '⚡' }
+};
+
+const fish = { itemName: 'Hyrule Bass', type: ['Fish'], category: ['Material'] };
+const shroom = { itemName: 'Hylian Shroom', type: ['Mushroom'] };
+const ore = { itemName: 'Flint', type: ['Ore'] };
+
+test.describe('getActiveWeatherEffects', () => {
+  test('collects effects from every category, special weather first', () => {
+    const effects = getActiveWeatherEffects(thunderstorm);
+    assert.deepEqual(effects.map(effect => effect.label), ['Lightning Storm', 'Thunderstorm', '>= 118(km/h) // Hurricane']);
+    assert.equal(effects[0].emoji, '⚡');
+    assert.deepEqual(getActiveWeatherEffects(null), []);
+  });
+});
+
+test.describe('modifiers', () => {
+  test('item copies scale by type and never drop below one', () => {
+    const heavyRain = getActiveWeatherEffects({ precipitation: { label: 'Heavy Rain' } });
+    const list = applyWeatherToWeightedItems([fish, fish, shroom, shroom, ore, ore], heavyRain);
+    assert.equal(list.filter(item => item === fish).length, 3);
+    assert.equal(list.filter(item => item === ore).length, 2);
+
+    const drought = getActiveWeatherEffects({ special: { label: 'Drought' } });
+    assert.equal(applyWeatherToWeightedItems([shroom], drought).length, 1);
+  });
+
+  test('lists are untouched when no effect changes them', () => {
+    const list = [fish, ore];
+    assert.equal(applyWeatherToWeightedItems(list, []), list);
+    const monsters = [{ name: 'Bokoblin', element: 'none' }];
+    assert.equal(applyWeatherToMonsterPool(monsters, getActiveWeatherEffects({ precipitation: { label: 'Sunny' } })), monsters);
+  });
+
+  test('monster pools favour the weather element', () => {
+    const effects = getActiveWeatherEffects({ precipitation: { label: 'Blizzard' } });
+    const pool = applyWeatherToMonsterPool([
+      { name: 'Ice Keese', element: 'ice' },
+      { name: 'Fire Keese', element: 'fire' },
+      { name: 'Bokoblin', element: 'none' }
+    ], effects);
+    const count = name => pool.filter(monster => monster.name === name).length;
+    assert.deepEqual([count('Ice Keese'), count('Bokoblin'), count('Fire Keese')], [4, 2, 1]);
+  });
+
+  test('damage and stamina stack up to their caps', () => {
+    const effects = getActiveWeatherEffects(thunderstorm);
+    assert.equal(getWeatherDamageBonus(effects, { element: 'electric' }), 1);
+    assert.equal(getWeatherDamageBonus(effects, { element: 'fire' }), 0);
+    assert.equal(getWeatherStaminaCost(effects, 'explore'), 2);
+    assert.equal(getWeatherStaminaCost(effects, 'travel'), 0);
+  });
+
+  test('embed text only lists what the activity uses', () => {
+    const effects = getActiveWeatherEffects({ precipitation: { label: 'Heavy Rain', emoji: '🌧️' } });
+    assert.match(formatWeatherEffects(effects, 'explore'), /\+1 🟩 stamina/);
+    assert.doesNotMatch(formatWeatherEffects(effects, 'travel'), /Fish|stamina/);
+    assert.equal(formatWeatherEffects(getActiveWeatherEffects({ precipitation: { label: 'Sunny' } }), 'travel'), null);
+  });
+});
+
+test.describe('getEncounterOutcome', () => {
+  test('elemental weather adds to hearts lost', async () => {
+    const character = { _id: 'c1', name: 'Tester' };
+    const monster = { name: 'Electric Keese', tier: 3, element: 'electric' };
+    const effects = getActiveWeatherEffects(thunderstorm);
+
+    const outcome = await getEncounterOutcome(character, monster, 0, 10, false, false, { skipPersist: true, weatherEffects: effects });
+    assert.equal(outcome.hearts, 4);
+    assert.equal(outcome.weatherDamage, 1);
+    assert.equal(outcome.result, '4 HEART(S)');
+
+    const win = await getEncounterOutcome(character, monster, 0, 95, false, false, { skipPersist: true, weatherEffects: effects });
+    assert.equal(win.hearts, 0);
+  });
+});
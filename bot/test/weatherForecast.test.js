@@ -0,0 +1,93 @@
+// ============================================================================
+// Weather forecast — confidence, temperature ranges, smoothing and refresh
+// ============================================================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  FORECAST_DAYS,
+  describeForecastDay,
+  getForecastConfidence,
+  getForecastDateKey,
+  getForecastTemperatureRange,
+  shouldReviseForecast
+} = require('@tinglebot/shared/weather/weatherForecast');
+const { isSmoothWeatherTransition } = require('@/services/weatherService');
+const { useTestDatabase } = require('./helpers/mongo');
+
+const db = useTestDatabase();
+
+const WINDS = ['< 2(km/h) // Calm', '2 - 12(km/h) // Breeze', '13 - 30(km/h) // Moderate', '31 - 40(km/h) // Fresh'];
+
+function weather(temperature, wind = WINDS[1], precipitation = 'Sunny', special = null) {
+  return {
+    temperature: { label: temperature, emoji: '' },
+    wind: { label: wind, emoji: '' },
+    precipitation: { label: precipitation, emoji: '' },
+    ...(special && { special: { label: special, emoji: '' } })
+  };
+}
+
+test.describe('forecast uncertainty', () => {
+  test('confidence narrows as the day approaches and never claims certainty', () => {
+    const confidence = Array.from({ length: FORECAST_DAYS }, (_, i) => getForecastConfidence(i + 1));
+    assert.deepEqual(confidence, [95, 95, 86, 73, 58, 44, 31]);
+    assert.equal(getForecastConfidence(0), 95);
+  });
+
+  test('temperature range is exact tomorrow and widens further out', () => {
+    assert.deepEqual(getForecastTemperatureRange('72°F / 22°C - Perfect', 1), { low: 72, high: 72 });
+    const far = getForecastTemperatureRange('72°F / 22°C - Perfect', 5);
+    assert.ok(far.low < 72 && far.high > 72);
+    assert.equal(getForecastTemperatureRange(undefined, 3), null);
+  });
+
+  test('far days are revised more often than near ones', () => {
+    assert.equal(shouldReviseForecast(1, () => 0.1), false);
+    assert.equal(shouldReviseForecast(7, () => 0.1), true);
+    assert.equal(shouldReviseForecast(7, () => 0.99), false);
+  });
+
+  test('describes a stored day with its Eastern date key', () => {
+    // Periods start at 8am Eastern: 12:00 UTC in October
+    const day = describeForecastDay({ village: 'Rudania', date: '2026-10-21T12:00:00Z', ...weather('61°F / 16°C - Mild') }, 2);
+    assert.equal(day.dateKey, '2026-10-21');
+    assert.equal(day.daysAhead, 2);
+    assert.equal(day.special, null);
+    assert.equal(getForecastDateKey(new Date('2026-10-22T02:00:00Z')), '2026-10-21');
+  });
+});
+
+test.describe('isSmoothWeatherTransition', () => {
+  test('accepts small temperature and wind steps', () => {
+    assert.ok(isSmoothWeatherTransition(weather('61°F / 16°C - Mild'), weather('72°F / 22°C - Perfect', WINDS[2]), WINDS));
+    assert.ok(isSmoothWeatherTransition(null, weather('0°F / -18°C - Frigid'), WINDS));
+  });
+
+  test('rejects temperature jumps, wind jumps and back-to-back Blight Rain', () => {
+    assert.equal(isSmoothWeatherTransition(weather('36°F / 2°C - Chilly'), weather('72°F / 22°C - Perfect'), WINDS), false);
+    assert.equal(isSmoothWeatherTransition(weather('61°F / 16°C - Mild', WINDS[0]), weather('61°F / 16°C - Mild', WINDS[3]), WINDS), false);
+    const blight = weather('61°F / 16°C - Mild', WINDS[1], 'Rain', 'Blight Rain');
+    assert.equal(isSmoothWeatherTransition(blight, blight, WINDS), false);
+  });
+});
+
+test.describe('refreshWeatherForecast', () => {
+  test('stores one smooth day per period and keeps days on later refreshes', async t => {
+    if (db.skip) return t.skip(db.skip);
+    const { refreshWeatherForecast } = require('@/services/weatherService');
+    const WeatherForecast = require('@/models/WeatherForecastModel');
+    const now = new Date('2026-10-19T15:00:00Z');
+
+    const days = await refreshWeatherForecast('Rudania', now);
+    assert.equal(days.length, FORECAST_DAYS);
+    assert.equal(await WeatherForecast.countDocuments({ village: 'Rudania' }), FORECAST_DAYS);
+    for (let i = 1; i < days.length; i++) {
+      assert.ok(isSmoothWeatherTransition(days[i - 1], days[i]));
+    }
+
+    await refreshWeatherForecast('Rudania', now);
+    assert.equal(await WeatherForecast.countDocuments({ village: 'Rudania' }), FORECAST_DAYS);
+  });
+});
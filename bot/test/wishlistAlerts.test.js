@@ -0,0 +1,79 @@
+// ============================================================================
+// Wishlist alerts — matching stocked items to character wishlists
+// ============================================================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  buildWishlistAlert,
+  findWishlistCharacters,
+  matchWishlists,
+  vendingStockWishlistItems
+} = require('@/modules/wishlistAlertModule');
+const { useTestDatabase } = require('./helpers/mongo');
+
+const db = useTestDatabase();
+
+const characters = [
+  { userId: 'u1', name: 'Link', wishlistItems: ['Gold Bar', 'Wood'] },
+  { userId: 'u1', name: 'Zelda', wishlistItems: ['gold bar'] },
+  { userId: 'u2', name: 'Sidon', wishlistItems: ['Hylian Rice'] },
+  { userId: 'u3', name: 'Riju', wishlistItems: [] }
+];
+
+test.describe('wishlist matching', () => {
+  test('groups matches per user and ignores case', () => {
+    const byUser = matchWishlists(characters, [{ itemName: 'Gold Bar', detail: '3x stocked' }, { itemName: 'Amber' }]);
+    assert.deepEqual([...byUser.keys()], ['u1']);
+    assert.deepEqual(byUser.get('u1').map(m => m.characterName), ['Link', 'Zelda']);
+    assert.equal(byUser.get('u1')[0].items[0].detail, '3x stocked');
+  });
+
+  test('an item listed in several villages matches once per listing', () => {
+    const byUser = matchWishlists(characters, [
+      { itemName: 'Hylian Rice', detail: 'Rudania' },
+      { itemName: 'Hylian Rice', detail: 'Inariko' }
+    ]);
+    assert.deepEqual(byUser.get('u2')[0].items.map(i => i.detail), ['Rudania', 'Inariko']);
+  });
+
+  test('excluded users are skipped', () => {
+    const byUser = matchWishlists(characters, [{ itemName: 'Wood' }], { excludeUserIds: ['u1'] });
+    assert.equal(byUser.size, 0);
+  });
+});
+
+test.describe('wishlist alert content', () => {
+  test('one field per character, capped lines, plus location', () => {
+    const items = Array.from({ length: 12 }, (_, i) => ({ itemName: 'Wood', detail: `listing ${i}` }));
+    const alert = buildWishlistAlert('vendorRestock', [{ characterName: 'Link', items }], { location: 'Rudania' });
+    assert.match(alert.title, /vendor/);
+    assert.equal(alert.fields.length, 2);
+    assert.match(alert.fields[0].name, /Link/);
+    assert.match(alert.fields[0].value, /…and 2 more$/);
+    assert.deepEqual(alert.fields[1], { name: '📍 Where', value: 'Rudania', inline: false });
+  });
+
+  test('vending stock flattens villages and limited items', () => {
+    const items = vendingStockWishlistItems({
+      stockList: { rudania: [{ itemName: 'Wood', emoji: '🪵', points: 20, vendingType: 'Merchant' }] },
+      limitedItems: [{ itemName: 'Star Fragment', points: 400, stock: 2 }]
+    });
+    assert.deepEqual(items.map(i => i.detail), ['Rudania · Merchant · 20 pts', 'Limited · 400 pts · 2 left']);
+  });
+});
+
+test.describe('wishlist lookups', () => {
+  test('finds accepted characters wishing for an item regardless of case', async t => {
+    if (db.skip) return t.skip(db.skip);
+    const { createCharacter } = require('./helpers/fixtures');
+    await createCharacter({ name: 'Link', status: 'accepted', wishlistItems: ['Gold Bar'] });
+    await createCharacter({ name: 'Mipha', status: 'accepted', wishlistItems: ['Wood'] });
+    await createCharacter({ name: 'Sidon', status: 'pending', wishlistItems: ['Gold Bar'] });
+
+    const found = await findWishlistCharacters(['gold bar']);
+    assert.deepEqual(found.map(c => c.name), ['Link']);
+    assert.deepEqual(await findWishlistCharacters([]), []);
+  });
+});
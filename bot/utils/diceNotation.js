@@ -0,0 +1,314 @@
+// ============================================================================
+// ------------------- Dice Notation -------------------
+// Purpose: Parse and roll dice notation for /roll (e.g. 4d6kh3+2, 3d6!, 2d20r1,
+// 6d10>7f1) and build the itemized breakdown shown in the result embed
+// - Dice terms: NdS, Nd% (d100), NdF (Fate: -1/0/+1); N defaults to 1
+// - Modifiers, applied in this order:
+//     r<cp> reroll until the die misses <cp>, ro<cp> reroll once (default cp: 1)
+//     !<cp> explode: roll an extra die on <cp> (default: max face)
+//     khN / k / klN keep highest/lowest N (default 1), dhN / dlN / dN drop
+//     >N / <N / =N count successes instead of summing, fN subtracts failures
+// - Compare points follow Roll20: >N is "N or more", <N is "N or less", N or =N exact
+// - Everything between dice terms must be plain arithmetic (numbers, + - * / and
+//   parentheses), which is evaluated with utils/mathParser
+// Used by: commands/utility/roll.js
+// ============================================================================
+
+const MersenneTwister = require('mersenne-twister');
+const { evaluate } = require('@/utils/mathParser');
+
+const mt = new MersenneTwister();
+
+// ------------------- Limits -------------------
+const MAX_EXPRESSION_LENGTH = 200;
+const MAX_DICE_TERMS = 10;
+const MAX_DICE_PER_TERM = 100;
+const MAX_TOTAL_DICE = 200;
+const MAX_SIDES = 1000;
+// Extra dice from explosions and rerolls across the whole expression
+const MAX_EXTRA_ROLLS = 100;
+
+const DICE_TERM = /(\d*)[dD](\d+|%|[fF])/y;
+const ARITHMETIC = /[\d\s+\-*/().]/y;
+// mathjs reads "2d6 3" or "2d6(1)" as multiplication; make players write the operator
+const IMPLICIT_MULTIPLICATION = /\)\s*[(\d]|\d\s*\(|\d\s+\d/;
+const MODIFIERS = [
+  { kind: 'reroll', pattern: /(ro|r)(?:([<>=]?)(\d+))?/y },
+  { kind: 'explode', pattern: /!(?:([<>=]?)(\d+))?/y },
+  { kind: 'keep', pattern: /(kh|kl|k)(\d*)/y },
+  { kind: 'drop', pattern: /(dh|dl|d)(\d+)/y },
+  { kind: 'failure', pattern: /f([<>=]?)(\d+)/y },
+  { kind: 'success', pattern: /([<>=])(\d+)/y }
+];
+
+// ============================================================================
+// ------------------- Parsing -------------------
+// ============================================================================
+
+function comparePoint(operator, value) {
+  return { operator: operator || '=', value: Number(value) };
+}
+
+function matches(cp, value) {
+  if (cp.operator === '>') return value >= cp.value;
+  if (cp.operator === '<') return value <= cp.value;
+  return value === cp.value;
+}
+
+function faces(term) {
+  return term.fate ? [-1, 0, 1] : Array.from({ length: term.sides }, (_, i) => i + 1);
+}
+
+function matchSticky(pattern, text, index) {
+  pattern.lastIndex = index;
+  return pattern.exec(text);
+}
+
+// Reads the modifiers after a dice term; returns the index after the last one.
+function parseModifiers(term, text, index) {
+  let position = index;
+  while (position < text.length) {
+    let found = null;
+    for (const { kind, pattern } of MODIFIERS) {
+      const match = matchSticky(pattern, text, position);
+      if (match && match[0].length > 0) {
+        found = { kind, match };
+        break;
+      }
+    }
+    if (!found) break;
+
+    const { kind, match } = found;
+    if (kind === 'reroll') {
+      if (term.reroll) return { error: 'Only one reroll modifier is allowed per dice term.' };
+      term.reroll = { once: match[1] === 'ro', cp: comparePoint(match[2], match[3] ?? (term.fate ? -1 : 1)) };
+    } else if (kind === 'explode') {
+      if (term.explode) return { error: 'Only one explode modifier is allowed per dice term.' };
+      term.explode = comparePoint(match[1], match[2] ?? (term.fate ? 1 : term.sides));
+    } else if (kind === 'keep' || kind === 'drop') {
+      if (term.keep) return { error: 'Only one keep/drop modifier is allowed per dice term.' };
+      const highest = match[1] === 'kh' || match[1] === 'k' || match[1] === 'dh';
+      term.keep = { mode: kind, highest, count: match[2] === '' ? 1 : Number(match[2]) };
+    } else if (kind === 'success') {
+      if (term.success) return { error: 'Only one success target is allowed per dice term.' };
+      term.success = comparePoint(match[1], match[2]);
+    } else if (kind === 'failure') {
+      if (term.failure) return { error: 'Only one failure target is allowed per dice term.' };
+      term.failure = comparePoint(match[1], match[2]);
+    }
+    position += match[0].length;
+  }
+  return { index: position };
+}
+
+function validateTerm(term) {
+  if (term.count < 1) return `\`${term.notation}\`: roll at least one die.`;
+  if (term.count > MAX_DICE_PER_TERM) return `\`${term.notation}\`: at most ${MAX_DICE_PER_TERM} dice per term.`;
+  if (!term.fate && (term.sides < 1 || term.sides > MAX_SIDES)) {
+    return `\`${term.notation}\`: dice need between 1 and ${MAX_SIDES} sides.`;
+  }
+  const all = faces(term);
+  if (term.explode && all.every(value => matches(term.explode, value))) {
+    return `\`${term.notation}\`: the explode target matches every face, so it would never stop.`;
+  }
+  if (term.reroll && !term.reroll.once && all.every(value => matches(term.reroll.cp, value))) {
+    return `\`${term.notation}\`: the reroll target matches every face, so it would never stop.`;
+  }
+  if (term.failure && !term.success) {
+    return `\`${term.notation}\`: failures (f) need a success target too, e.g. \`>7f1\`.`;
+  }
+  return null;
+}
+
+/**
+ * Splits notation into dice terms and the arithmetic around them.
+ * @param {string} notation
+ * @returns {{ parts: Array<string|object>, terms: object[] } | { error: string }}
+ */
+function parseDiceNotation(notation) {
+  const text = String(notation || '').trim();
+  if (!text) return { error: 'Enter something to roll, e.g. `1d20+5`.' };
+  if (text.length > MAX_EXPRESSION_LENGTH) {
+    return { error: `Roll expressions are limited to ${MAX_EXPRESSION_LENGTH} characters.` };
+  }
+
+  const parts = [];
+  const terms = [];
+  let index = 0;
+  while (index < text.length) {
+    const dice = matchSticky(DICE_TERM, text, index);
+    if (dice) {
+      const sides = dice[2];
+      const term = {
+        count: dice[1] === '' ? 1 : Number(dice[1]),
+        fate: /^[fF]$/.test(sides),
+        sides: sides === '%' ? 100 : /^[fF]$/.test(sides) ? 3 : Number(sides)
+      };
+      const modifiers = parseModifiers(term, text, index + dice[0].length);
+      if (modifiers.error) return { error: modifiers.error };
+      term.notation = text.slice(index, modifiers.index);
+      const invalid = validateTerm(term);
+      if (invalid) return { error: invalid };
+      terms.push(term);
+      parts.push(term);
+      index = modifiers.index;
+      continue;
+    }
+
+    if (matchSticky(ARITHMETIC, text, index)) {
+      const last = parts[parts.length - 1];
+      if (typeof last === 'string') parts[parts.length - 1] = last + text[index];
+      else parts.push(text[index]);
+      index++;
+      continue;
+    }
+
+    return { error: `Unrecognized roll expression near \`${text.slice(index, index + 10)}\`.` };
+  }
+
+  if (terms.length === 0) return { error: 'Include at least one dice term, e.g. `1d20`.' };
+  if (terms.length > MAX_DICE_TERMS) return { error: `At most ${MAX_DICE_TERMS} dice terms per roll.` };
+  const totalDice = terms.reduce((sum, term) => sum + term.count, 0);
+  if (totalDice > MAX_TOTAL_DICE) return { error: `At most ${MAX_TOTAL_DICE} dice per roll (you asked for ${totalDice}).` };
+  if (IMPLICIT_MULTIPLICATION.test(parts.map(part => (typeof part === 'string' ? part : '(0)')).join(''))) {
+    return { error: 'Put an operator (+ - * /) between dice terms and numbers.' };
+  }
+
+  return { parts, terms };
+}
+
+// ============================================================================
+// ------------------- Rolling -------------------
+// ============================================================================
+
+function rollFace(term, random) {
+  const value = 1 + Math.floor(random() * term.sides);
+  return term.fate ? value - 2 : value;
+}
+
+// Rolls one term. `budget.extra` counts explosion/reroll dice across the expression.
+function rollTerm(term, random, budget) {
+  const dice = [];
+  const rollOne = (exploded) => {
+    const die = { value: rollFace(term, random), rerolled: [], exploded, kept: true };
+    if (term.reroll) {
+      while (matches(term.reroll.cp, die.value) && budget.extra < MAX_EXTRA_ROLLS) {
+        budget.extra++;
+        die.rerolled.push(die.value);
+        die.value = rollFace(term, random);
+        if (term.reroll.once) break;
+      }
+    }
+    dice.push(die);
+    return die;
+  };
+
+  for (let i = 0; i < term.count; i++) {
+    let die = rollOne(false);
+    while (term.explode && matches(term.explode, die.value) && budget.extra < MAX_EXTRA_ROLLS) {
+      budget.extra++;
+      die = rollOne(true);
+    }
+  }
+
+  if (term.keep) {
+    const order = dice
+      .map((die, position) => ({ die, position }))
+      .sort((a, b) => (term.keep.highest ? b.die.value - a.die.value : a.die.value - b.die.value) || a.position - b.position);
+    const count = Math.min(term.keep.count, dice.length);
+    // keep: the first `count` in order stay; drop: the first `count` in order go
+    order.forEach(({ die }, rank) => {
+      die.kept = term.keep.mode === 'keep' ? rank < count : rank >= count;
+    });
+  }
+
+  const kept = dice.filter(die => die.kept);
+  let total;
+  if (term.success) {
+    for (const die of kept) {
+      die.success = matches(term.success, die.value);
+      die.failure = !!term.failure && matches(term.failure, die.value);
+    }
+    total = kept.filter(die => die.success).length - kept.filter(die => die.failure).length;
+  } else {
+    total = kept.reduce((sum, die) => sum + die.value, 0);
+  }
+
+  return { notation: term.notation, fate: term.fate, dice, total, successes: !!term.success };
+}
+
+/**
+ * Rolls notation and returns the total plus a per-term breakdown.
+ * @param {string} notation
+ * @param {{ random?: () => number }} [options] - random() in [0, 1); defaults to Mersenne Twister
+ * @returns {{ notation: string, total: number, terms: object[], expression: string, capped: boolean } | { error: string }}
+ */
+function rollDiceNotation(notation, { random = () => mt.random() } = {}) {
+  const parsed = parseDiceNotation(notation);
+  if (parsed.error) return parsed;
+
+  const budget = { extra: 0 };
+  const terms = [];
+  const expression = parsed.parts.map(part => {
+    if (typeof part === 'string') return part;
+    const rolled = rollTerm(part, random, budget);
+    terms.push(rolled);
+    return `(${rolled.total})`;
+  }).join('');
+
+  let total;
+  try {
+    total = evaluate(expression, { quiet: true });
+  } catch (error) {
+    return { error: `Could not work out \`${notation}\`: check the arithmetic between dice terms.` };
+  }
+  if (typeof total !== 'number' || !Number.isFinite(total)) {
+    return { error: `\`${notation}\` does not add up to a number.` };
+  }
+
+  return {
+    notation: String(notation).trim(),
+    total: Number.isInteger(total) ? total : Math.round(total * 100) / 100,
+    terms,
+    expression,
+    capped: budget.extra >= MAX_EXTRA_ROLLS
+  };
+}
+
+// ============================================================================
+// ------------------- Formatting -------------------
+// ============================================================================
+
+function formatDie(die, term) {
+  const shown = term.fate ? ['−', '0', '+'][die.value + 1] : `${die.value}`;
+  let text = die.rerolled.length > 0 ? `${die.rerolled.map(v => `~~${v}~~`).join(' ')} → ${shown}` : shown;
+  if (die.exploded) text = `💥${text}`;
+  if (die.success) text = `**${text}**✓`;
+  if (die.failure) text = `${text}✗`;
+  return die.kept ? text : `~~${text}~~`;
+}
+
+/**
+ * One line per dice term, e.g. "`4d6kh3` [6, 5, ~~2~~, 4] = **15**".
+ * @param {object} result - rollDiceNotation() result
+ * @returns {string}
+ */
+function formatRollBreakdown(result) {
+  const lines = result.terms.map(term => {
+    const dice = term.dice.map(die => formatDie(die, term)).join(', ');
+    const total = term.successes ? `${term.total} success${term.total === 1 ? '' : 'es'}` : `${term.total}`;
+    return `\`${term.notation}\` [${dice}] = **${total}**`;
+  });
+  if (result.capped) lines.push(`_Stopped after ${MAX_EXTRA_ROLLS} extra dice from explosions and rerolls._`);
+  return lines.join('\n');
+}
+
+module.exports = {
+  MAX_DICE_PER_TERM,
+  MAX_TOTAL_DICE,
+  MAX_SIDES,
+  MAX_EXTRA_ROLLS,
+  parseDiceNotation,
+  rollDiceNotation,
+  formatRollBreakdown
+};
@@ -0,0 +1,362 @@
+// ============================================================================
+// Game Event Bus
+// In-process bus for game events. Emitters call emitGameEvent() when something
+// happens; features subscribe in modules/gameEventSubscribers.js instead of
+// being called from each command. Every emitted event is stored in GameEvent
+// (with each subscriber's result) so it can be inspected and replayed.
+//
+// Emitters:
+// - item.acquired / item.removed: inventoryUtils (InventoryLog entries)
+// - tokens.changed: database/db.js updateTokenBalance, and tradeModule.emitTokenChanges
+//   for trade and auction balance moves
+// - monster.defeated: encounterModule.emitMonsterDefeated (loot, travel fights)
+// - character.ko: characterStatsModule.handleKO (every KO path ends there)
+// - travel.completed: travelHandler.recordTravelCompletion
+// - helpWanted.completed: helpWantedModule.emitHelpWantedCompleted (every way a
+//   quest is completed: /helpwanted, approved submissions, /mod)
+// - message.posted: index.js, for every guild message by a member
+// - grotto.cleared, explore.rolled, steal.succeeded, blight.healed, raid.won,
+//   blupee.caught: the commands/modules that track them
+//
+// Live objects a subscriber needs (the Discord message, the channel to post
+// to) travel in emitGameEvent's `context` and reach handlers as meta.context.
+// They are never stored, so subscribers that need them can't be replayed from
+// a script. Checks whose outcome is part of a command's own reply (blight rain
+// and lightning during /loot and /gather, in-fight KO embeds) stay in the
+// command rather than on the bus.
+//
+// Delivery is best-effort: a failing subscriber is logged and recorded but never
+// stops the others or the emitter, so emitters usually don't await emitGameEvent.
+// Subscribers must let their errors through (not swallow them) for failures to
+// be recorded. Replays re-run side effects, so they only reach subscribers
+// registered with { replaySafe: true } unless the subscriber is named explicitly.
+// ============================================================================
+
+// ------------------- Standard Libraries -------------------
+const mongoose = require('mongoose');
+const logger = require('./logger');
+const { handleError } = require('./globalErrorHandler');
+
+// ------------------- Database Models -------------------
+const GameEvent = require('../models/GameEventModel');
+
+// ============================================================================
+// ------------------- Event Catalogue -------------------
+// ============================================================================
+
+/**
+ * @typedef {Object} ItemEventPayload
+ * @property {string} characterId
+ * @property {string} characterName
+ * @property {string|null} userId
+ * @property {string} itemName
+ * @property {number} quantity - Always positive, also for item.removed
+ * @property {string} obtain - How the item was obtained or removed (InventoryLog obtain)
+ * @property {string} [location]
+ */
+
+/**
+ * @typedef {Object} TokensChangedPayload
+ * @property {string} userId
+ * @property {number} change - Signed change
+ * @property {number} balanceBefore
+ * @property {number} balanceAfter
+ * @property {string} category - TokenTransaction category
+ */
+
+/**
+ * @typedef {Object} MonsterDefeatedPayload
+ * @property {string} characterId
+ * @property {string} characterName
+ * @property {string|null} userId
+ * @property {string} monsterName
+ * @property {number} tier
+ * @property {string} source - 'loot' | 'travel'
+ */
+
+/**
+ * @typedef {Object} CharacterKOPayload
+ * @property {string} characterId
+ * @property {string} characterName
+ * @property {string|null} userId
+ * @property {string|null} source - The KO context (e.g. tier5_encounter_ko, lightning_strike)
+ */
+
+/**
+ * @typedef {Object} TravelCompletedPayload
+ * @property {string} characterId
+ * @property {string} characterName
+ * @property {string|null} userId
+ * @property {string} from
+ * @property {string} to
+ * @property {number} days
+ * @property {string} mode - 'on foot' | 'on mount'
+ */
+
+/**
+ * @typedef {Object} CharacterMilestonePayload
+ * @property {string} characterId
+ * @property {string|null} [userId]
+ * @property {string|null} [characterName]
+ * @property {number} [healedFromStage] - blight.healed only
+ * @property {string} [grottoId] - grotto.cleared only
+ */
+
+/**
+ * @typedef {Object} RaidWonPayload
+ * @property {string} raidId
+ * @property {string} monsterName
+ * @property {{ userId: string, characterId: string, name: string }[]} participants
+ */
+
+/**
+ * @typedef {Object} UserMilestonePayload
+ * @property {string} userId
+ */
+
+/**
+ * @typedef {Object} HelpWantedCompletedPayload
+ * @property {string} userId
+ * @property {string} questId
+ * @property {string} village
+ * @property {string} questType
+ * @property {string|null} [characterId] - The completing character, when known
+ */
+
+/**
+ * @typedef {Object} MessagePostedPayload
+ * @property {string} userId
+ * @property {string} guildId
+ * @property {string} channelId
+ * @property {string} messageId
+ * @property {boolean} inThread
+ */
+
+// Event name → description and the payload fields every emit must include
+const GAME_EVENTS = {
+  'item.acquired': { description: 'Items added to a character inventory', required: ['characterId', 'itemName', 'quantity'] },
+  'item.removed': { description: 'Items removed from a character inventory', required: ['characterId', 'itemName', 'quantity'] },
+  'tokens.changed': { description: 'A user token balance changed', required: ['userId', 'change', 'balanceAfter'] },
+  'monster.defeated': { description: 'A character won a fight against a monster', required: ['characterId', 'monsterName'] },
+  'character.ko': { description: 'A character was knocked out', required: ['characterId'] },
+  'travel.completed': { description: 'A character arrived at a village', required: ['characterId', 'to'] },
+  'grotto.cleared': { description: 'A grotto was cleared (one event per party member)', required: ['characterId'] },
+  'explore.rolled': { description: 'A character took an exploration turn', required: ['characterId'] },
+  'steal.succeeded': { description: 'A character pulled off a successful steal', required: ['characterId'] },
+  'blight.healed': { description: 'A character was healed of blight', required: ['characterId', 'healedFromStage'] },
+  'raid.won': { description: 'A raid boss was defeated', required: ['raidId', 'participants'] },
+  'helpWanted.completed': { description: 'A user completed a Help Wanted quest', required: ['userId', 'questId'] },
+  'blupee.caught': { description: 'A user caught a Blupee', required: ['userId'] },
+  'message.posted': { description: 'A member posted a message in the server', required: ['userId', 'channelId', 'messageId'] }
+};
+
+// ============================================================================
+// ------------------- Subscriptions -------------------
+// ============================================================================
+
+// Event name → [{ name, handler, replaySafe }] in registration order
+const subscriptions = new Map();
+
+// ------------------- Function: subscribe -------------------
+// Registers `handler(payload, meta)` for `event` under a subscriber name.
+// Registering the same name again replaces the handler. `replaySafe` marks a
+// handler that can run twice for one event without doubling its effect.
+function subscribe(event, name, handler, { replaySafe = false } = {}) {
+  if (!GAME_EVENTS[event]) {
+    throw new Error(`[gameEvents.js]: Unknown game event "${event}"`);
+  }
+  const handlers = (subscriptions.get(event) || []).filter(entry => entry.name !== name);
+  handlers.push({ name, handler, replaySafe });
+  subscriptions.set(event, handlers);
+}
+
+// ------------------- Function: unsubscribe -------------------
+function unsubscribe(event, name) {
+  const handlers = (subscriptions.get(event) || []).filter(entry => entry.name !== name);
+  subscriptions.set(event, handlers);
+}
+
+// ------------------- Function: getSubscribers -------------------
+// Subscriber names for one event, or event → names for all of them.
+function getSubscribers(event = null) {
+  if (event) return (subscriptions.get(event) || []).map(entry => entry.name);
+  return Object.fromEntries([...subscriptions.entries()].map(([name, handlers]) => [name, handlers.map(entry => entry.name)]));
+}
+
+// ------------------- Function: clearSubscribers -------------------
+function clearSubscribers() {
+  subscriptions.clear();
+}
+
+// ============================================================================
+// ------------------- Emitting -------------------
+// ============================================================================
+
+// ------------------- Function: deliver -------------------
+// Runs each subscriber in order (only those in `onlySubscribers` when given) and
+// returns [{ name, ok, error }]. Errors are logged, never thrown.
+async function deliver(event, payload, meta, onlySubscribers = null) {
+  const results = [];
+  for (const { name, handler } of subscriptions.get(event) || []) {
+    if (onlySubscribers && !onlySubscribers.includes(name)) continue;
+    try {
+      await handler(payload, meta);
+      results.push({ name, ok: true, error: null });
+    } catch (error) {
+      handleError(error, 'gameEvents.js');
+      logger.warn('EVENTS', `Subscriber ${name} failed on ${event}: ${error.message}`);
+      results.push({ name, ok: false, error: error.message });
+    }
+  }
+  return results;
+}
+
+// ------------------- Function: persistGameEvent -------------------
+// Stores the event when the database is connected (scripts and tests without a
+// connection still deliver, they just don't record).
+async function persistGameEvent(event, payload, results, emittedAt) {
+  if (mongoose.connection.readyState !== 1) return null;
+  try {
+    const characterId = payload.characterId && mongoose.isValidObjectId(payload.characterId)
+      ? new mongoose.Types.ObjectId(String(payload.characterId))
+      : null;
+    return await GameEvent.create({
+      event,
+      payload,
+      userId: payload.userId ? String(payload.userId) : null,
+      characterId,
+      subscribers: results,
+      failed: results.some(result => !result.ok),
+      emittedAt
+    });
+  } catch (error) {
+    logger.warn('EVENTS', `Failed to store ${event}: ${error.message}`);
+    return null;
+  }
+}
+
+// ------------------- Function: emitGameEvent -------------------
+// Delivers `payload` to every subscriber of `event`, then stores the event.
+// `context` holds live objects for this delivery only (see the header).
+// Returns { event, results, eventId } or null when the event was rejected.
+async function emitGameEvent(event, payload = {}, context = null) {
+  try {
+    const definition = GAME_EVENTS[event];
+    if (!definition) {
+      logger.warn('EVENTS', `Ignoring unknown game event "${event}"`);
+      return null;
+    }
+    const missing = definition.required.filter(field => payload[field] === undefined || payload[field] === null);
+    if (missing.length > 0) {
+      logger.warn('EVENTS', `Ignoring ${event}: missing ${missing.join(', ')}`);
+      return null;
+    }
+
+    const emittedAt = new Date();
+    const results = await deliver(event, payload, { event, emittedAt, replay: false, context });
+    const stored = await persistGameEvent(event, payload, results, emittedAt);
+    return { event, results, eventId: stored?._id || null };
+  } catch (error) {
+    handleError(error, 'gameEvents.js');
+    logger.warn('EVENTS', `Failed to emit ${event}: ${error.message}`);
+    return null;
+  }
+}
+
+// ============================================================================
+// ------------------- Replay -------------------
+// ============================================================================
+
+// ------------------- Function: buildReplayQuery -------------------
+// GameEvent query for the replay filters: event name, emittedAt range, and
+// failedOnly (events where `subscriber`, or any subscriber, failed).
+function buildReplayQuery({ event = null, since = null, until = null, subscriber = null, failedOnly = false } = {}) {
+  const query = {};
+  if (event) query.event = event;
+  if (since || until) {
+    query.emittedAt = {};
+    if (since) query.emittedAt.$gte = new Date(since);
+    if (until) query.emittedAt.$lte = new Date(until);
+  }
+  if (failedOnly) {
+    if (subscriber) {
+      query.subscribers = { $elemMatch: { name: subscriber, ok: false } };
+    } else {
+      query.failed = true;
+    }
+  }
+  return query;
+}
+
+// ------------------- Function: getReplayTargets -------------------
+// Which current subscribers of `event` a replay of a stored event reaches:
+// `subscriber` alone when named, otherwise the replay-safe ones (with
+// failedOnly, only those whose stored delivery failed). Subscribers left out
+// because they aren't replay-safe are returned as `skipped`.
+function getReplayTargets(event, storedResults = [], { subscriber = null, failedOnly = false } = {}) {
+  const registered = subscriptions.get(event) || [];
+  if (subscriber) {
+    return { targets: registered.some(entry => entry.name === subscriber) ? [subscriber] : [], skipped: [] };
+  }
+  const failedNames = new Set(storedResults.filter(result => !result.ok).map(result => result.name));
+  const candidates = failedOnly ? registered.filter(entry => failedNames.has(entry.name)) : registered;
+  return {
+    targets: candidates.filter(entry => entry.replaySafe).map(entry => entry.name),
+    skipped: candidates.filter(entry => !entry.replaySafe).map(entry => entry.name)
+  };
+}
+
+// ------------------- Function: replayGameEvents -------------------
+// Re-delivers stored events matching the filters (see buildReplayQuery), oldest
+// first, to the subscribers getReplayTargets picks.
+// Returns { replayed, failed, skipped: { [subscriber]: count } }.
+async function replayGameEvents(filters = {}) {
+  const { subscriber = null, limit = 500 } = filters;
+  const entries = await GameEvent.find(buildReplayQuery(filters)).sort({ emittedAt: 1 }).limit(limit).lean();
+  let replayed = 0;
+  let failed = 0;
+  const skipped = {};
+  for (const entry of entries) {
+    const { targets, skipped: skippedNames } = getReplayTargets(entry.event, entry.subscribers || [], filters);
+    for (const name of skippedNames) skipped[name] = (skipped[name] || 0) + 1;
+    if (targets.length === 0) continue;
+
+    const results = await deliver(entry.event, entry.payload || {}, {
+      event: entry.event,
+      emittedAt: entry.emittedAt,
+      eventId: entry._id,
+      replay: true,
+      context: null
+    }, targets);
+    replayed++;
+    if (results.some(result => !result.ok)) failed++;
+
+    // Merge this run's results over the stored ones
+    const merged = new Map((entry.subscribers || []).map(result => [result.name, result]));
+    for (const result of results) merged.set(result.name, result);
+    const subscribers = [...merged.values()];
+    await GameEvent.updateOne(
+      { _id: entry._id },
+      {
+        $set: { subscribers, failed: subscribers.some(result => !result.ok), lastReplayedAt: new Date() },
+        $inc: { replayCount: 1 }
+      }
+    );
+  }
+
+  const skippedText = Object.entries(skipped).map(([name, count]) => `${name} ×${count}`).join(', ');
+  logger.info('EVENTS', `Replayed ${replayed} game event(s)${subscriber ? ` to ${subscriber}` : ''}, ${failed} with failures${skippedText ? `; skipped subscribers that aren't replay-safe: ${skippedText}` : ''}`);
+  return { replayed, failed, skipped };
+}
+
+module.exports = {
+  GAME_EVENTS,
+  subscribe,
+  unsubscribe,
+  getSubscribers,
+  clearSubscribers,
+  emitGameEvent,
+  buildReplayQuery,
+  getReplayTargets,
+  replayGameEvents
+};
@@ -6,6 +6,7 @@
 const { EmbedBuilder } = require('discord.js');
 const dbConfig = require('../config/database');
 const logger = require('./logger');
+const { recordInteractionFailure } = require('./metrics');
 
 // ============================================================================
 // ------------------- Configuration & Constants -------------------
@@ -535,6 +536,14 @@ async function handleInteractionError(error, interaction, context = {}) {
     subcommand: subcommand,
     responseType: context.responseType || ERROR_RESPONSE_TYPES.REPLY
   };
+
+  let interactionType = 'component';
+  if (typeof interaction?.isAutocomplete === 'function' && interaction.isAutocomplete()) {
+    interactionType = 'autocomplete';
+  } else if (typeof interaction?.isCommand === 'function' && interaction.isCommand()) {
+    interactionType = 'command';
+  }
+  recordInteractionFailure(commandName, interactionType);
   
   return await handleError(error, context.source || 'interaction', errorContext);
 }
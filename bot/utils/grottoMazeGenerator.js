@@ -3,6 +3,8 @@
 // Produces a maze layout with cell types: start, exit, trap, chest, mazep, mazen, path
 // ============================================================================
 
+const rng = require('../services/rngService');
+
 // ----- Helpers (from maze-generator-master utils, no DOM) -----
 function replaceAt(str, index, replacement) {
   if (index > str.length - 1) return str;
@@ -15,7 +17,7 @@ function stringVal(str, index) {
 
 function shuffleArray(array) {
   for (let i = array.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
+    const j = rng.randomInt(0, i, 'maze-shuffle');
     [array[i], array[j]] = [array[j], array[i]];
   }
 }
@@ -65,7 +67,7 @@ function parseMaze(nodes, width, height, bias) {
 
   let moveNodes = [];
   let visited = 0;
-  let position = Math.floor(Math.random() * nodes.length);
+  let position = rng.randomInt(0, nodes.length - 1, 'maze-start');
 
   let biasCount = 0;
   let biasFactor = 3;
@@ -91,7 +93,7 @@ function parseMaze(nodes, width, height, bias) {
     if (directions.length) {
       visited++;
       if (directions.length > 1) moveNodes.push(position);
-      const direction = directions[Math.floor(Math.random() * directions.length)];
+      const direction = rng.pick(directions, 'maze-direction');
       nodes[position] = replaceAt(nodes[position], POSITION_INDEX[direction], '0');
       position = next[direction];
       nodes[position] = replaceAt(nodes[position], OPPOSITE_INDEX[direction], '0');
@@ -239,7 +241,7 @@ function removeMazeWalls(matrix, removeWalls, maxTries = 300) {
 
   while (tries < maxTries && wallsRemoved < removeWalls) {
     tries++;
-    let y = Math.floor(Math.random() * (max - min + 1)) + min;
+    let y = rng.randomInt(min, max, 'maze-remove-wall');
     if (y === max) y--;
     const row = matrix[y];
     const walls = [];
@@ -326,8 +328,8 @@ function assignGrottoCellTypes(pathCells, options = {}, matrix = null) {
   const pathOnly = pathCells.filter((c) => c.type === 'path');
   if (pathOnly.length === 0) return pathCells;
 
-  const numTraps = Math.min(options.numTraps ?? (1 + Math.floor(Math.random() * 3)), pathOnly.length);
-  const numChests = Math.min(options.numChests ?? (2 + Math.floor(Math.random() * 3)), pathOnly.length);
+  const numTraps = Math.min(options.numTraps ?? rng.randomInt(1, 3, 'maze-trap-count'), pathOnly.length);
+  const numChests = Math.min(options.numChests ?? rng.randomInt(2, 4, 'maze-chest-count'), pathOnly.length);
   const numRed = Math.min(options.numRed ?? 1, pathOnly.length);
 
   shuffleArray(pathOnly);
@@ -358,7 +360,7 @@ function assignGrottoCellTypes(pathCells, options = {}, matrix = null) {
   shuffleArray(scryingCandidates);
   const numScryingToPlace = Math.min(numRed, scryingCandidates.length);
   for (let i = 0; i < numScryingToPlace; i++) {
-    scryingCandidates[i].type = Math.random() < 0.5 ? 'mazep' : 'mazen';
+    scryingCandidates[i].type = rng.chance(0.5, 'maze-scrying-type') ? 'mazep' : 'mazen';
   }
 
   return pathCells;
@@ -377,7 +379,16 @@ function assignGrottoCellTypes(pathCells, options = {}, matrix = null) {
  * @param {number} [config.numRed=1] - one mazep or mazen if omitted
  * @returns {Object} { matrix, width, height, entryNodes, pathCells }
  */
+// Generates inside a seeded roll session; the returned seed (stored on the grotto layout)
+// regenerates the exact same maze via generateGrottoMaze({ ...config, seed }).
 function generateGrottoMaze(config = {}) {
+  return rng.runWithRollSession(
+    () => ({ ...buildGrottoMaze(config), seed: rng.getRollSession().seed }),
+    { seed: config.seed }
+  );
+}
+
+function buildGrottoMaze(config = {}) {
   const width = Math.max(3, Math.min(50, parseInt(config.width, 10) || 12));
   const height = Math.max(3, Math.min(50, parseInt(config.height, 10) || 12));
   const entryType = config.entryType || 'diagonal';
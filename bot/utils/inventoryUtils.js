@@ -5,6 +5,7 @@
 
 const { handleError, InsufficientInventoryError } = require("./globalErrorHandler");
 const logger = require("./logger");
+const { emitGameEvent } = require("./gameEvents");
 const { parseOldMapNumberFromItemName, addOldMapToCharacter } = require("./oldMapUtils");
 const { getRandomOldMap } = require("../data/oldMaps.js");
 // Google Sheets functionality removed
@@ -141,12 +142,7 @@ async function syncToInventoryDatabase(character, item, interaction) {
       throw new Error("Database functions not initialized in inventoryUtils");
     }
     
-    const inventoriesConnection = await dbFunctions.connectToInventories();
-    const db = inventoriesConnection.useDb('inventories');
-    const collectionName = character.name.toLowerCase();
-    logger.info('INVENTORY', `📁 Using collection: ${collectionName}`);
-    
-    const inventoryCollection = db.collection(collectionName);
+    const inventoryCollection = await getCharacterInventory(character);
 
     // Remove any invalid entries (negative or zero qty) before syncing
     await removeNegativeQuantityEntries(inventoryCollection);
@@ -377,6 +373,15 @@ async function syncToInventoryDatabase(character, item, interaction) {
   }
 }
 
+// ---- Function: getCharacterInventory ----
+// Returns the character's scoped view of the shared `inventories` collection (keyed by characterId)
+async function getCharacterInventory(character) {
+  if (!dbFunctions.getInventoryCollection) {
+    throw new Error("Database functions not initialized in inventoryUtils");
+  }
+  return dbFunctions.getInventoryCollection(character);
+}
+
 // ---- Function: removeNegativeQuantityEntries ----
 // Removes any inventory documents with quantity <= 0 (error state; negative qty should never happen).
 async function removeNegativeQuantityEntries(inventoryCollection) {
@@ -407,6 +412,7 @@ async function addItemInventoryDatabase(characterId, itemName, quantity, interac
       'Duplicate Relic Turn-In',
       'Workshop Commission',
       'Workshop Commission Refund',
+      'Crafting Queue',
     ];
     if (!interaction && !allowedNullInteractionObtain.includes(obtain)) {
       throw new Error("Interaction object is undefined.");
@@ -448,15 +454,9 @@ async function addItemInventoryDatabase(characterId, itemName, quantity, interac
 
     logger.info('INVENTORY', `📦 Processing inventory for ${character.name}`);
 
-    const inventoriesConnection = await dbFunctions.connectToInventories();
-    const db = inventoriesConnection.useDb('inventories');
-    
-    // Use same per-character collection for both regular and mod characters
+    // Regular and mod characters share the keyed `inventories` collection
     // (must match getCharacterInventoryCollectionWithModSupport and removeItemInventoryDatabase)
-    const collectionName = character.name.toLowerCase();
-    logger.info('INVENTORY', `📁 Using collection: ${collectionName}`);
-    
-    const inventoryCollection = db.collection(collectionName);
+    const inventoryCollection = await getCharacterInventory(character);
 
     const item = await dbFunctions.fetchItemByName(itemName);
     if (!item) {
@@ -580,12 +580,8 @@ async function addItemInventoryDatabase(characterId, itemName, quantity, interac
       logger.warn('INVENTORY', `Failed to log to InventoryLog: ${logError.message}`);
     }
 
-    // Ensure Initial Item placeholder is removed when adding real items
-    try {
-      await removeInitialItemIfSynced(characterId);
-    } catch (cleanupError) {
-      logger.warn('INVENTORY', `Failed to remove Initial Item: ${cleanupError.message}`);
-    }
+    // The Initial Item placeholder is removed by the initial-item-cleanup
+    // subscriber of item.acquired (modules/gameEventSubscribers.js)
 
     // Remove any invalid entries (negative or zero qty) from this collection
     await removeNegativeQuantityEntries(inventoryCollection);
@@ -640,12 +636,7 @@ async function removeItemInventoryDatabase(characterId, itemName, quantity, inte
         : null;
 
     logger.info('INVENTORY', `📦 Processing inventory for ${character.name}`);
-    const collectionName = character.name.toLowerCase();
-    const inventoriesConnection = await dbFunctions.connectToInventories();
-    const db = inventoriesConnection.useDb('inventories');
-    logger.info('INVENTORY', `📁 Using collection: ${collectionName}`);
-    
-    const inventoryCollection = db.collection(collectionName);
+    const inventoryCollection = await getCharacterInventory(character);
 
     // Handle items with + in their names by using exact match instead of regex
     // Use find().toArray() to get all matching entries and aggregate quantities
@@ -892,12 +883,7 @@ const addItemsToDatabase = async (character, items, interaction) => {
       throw new Error("Required database functions not initialized");
     }
 
-    const inventoriesConnection = await dbFunctions.connectToInventories();
-    const db = inventoriesConnection.useDb('inventories');
-    const collectionName = character.name.toLowerCase();
-    logger.info('INVENTORY', `📁 Using collection: ${collectionName}`);
-    
-    const inventoryCollection = db.collection(collectionName);
+    const inventoryCollection = await getCharacterInventory(character);
 
     for (const item of items) {
       const qty = typeof item.quantity === 'number' && !isNaN(item.quantity) ? item.quantity : 0;
@@ -1638,20 +1624,9 @@ async function removeInitialItemIfSynced(characterId) {
     }
 
     if (character.inventorySynced) {
-      const collectionName = character.name.toLowerCase();
-      const inventoriesConnection = await dbFunctions.connectToInventories();
-      const db = inventoriesConnection.useDb('inventories');
-      console.log(`[inventoryUtils.js]: 📁 Using collection: ${collectionName}`);
-      
-      const inventoryCollection = db.collection(collectionName);
-      // Match both characterId and null (mod chars may have been created with characterId: null)
-      const initialItem = await inventoryCollection.findOne({
-        itemName: "Initial Item",
-        $or: [
-          { characterId: character._id },
-          { characterId: null },
-        ],
-      });
+      const inventoryCollection = await getCharacterInventory(character);
+      // Scoped to this character (legacy rows with characterId: null were re-keyed by the inventories migration)
+      const initialItem = await inventoryCollection.findOne({ itemName: "Initial Item" });
       if (initialItem) {
         await inventoryCollection.deleteOne({ _id: initialItem._id });
         console.log("[inventoryUtils.js]: ✅ Initial Item removed from inventory.");
@@ -1741,6 +1716,7 @@ async function logItemAcquisitionToDatabase(character, itemData, acquisitionData
     await InventoryLog.create(logEntry);
     
     logger.info('INVENTORY', `📝 Logged item acquisition: ${quantity}x ${itemName} for ${character.name} (${obtain})`);
+    emitGameEvent('item.acquired', toItemEventPayload(character, logEntry));
     
     return logEntry;
   } catch (error) {
@@ -1750,6 +1726,22 @@ async function logItemAcquisitionToDatabase(character, itemData, acquisitionData
   }
 }
 
+// ============================================================================
+// ---- Function: toItemEventPayload ----
+// item.acquired / item.removed payload for an InventoryLog entry (quantity always positive)
+// ============================================================================
+function toItemEventPayload(character, logEntry) {
+  return {
+    characterId: String(character._id),
+    characterName: character.name,
+    userId: character.userId || null,
+    itemName: logEntry.itemName,
+    quantity: Math.abs(logEntry.quantity),
+    obtain: logEntry.obtain,
+    location: logEntry.location
+  };
+}
+
 // ============================================================================
 // ---- Function: logItemRemovalToDatabase ----
 // Logs item removal events to InventoryLog collection
@@ -1806,6 +1798,7 @@ async function logItemRemovalToDatabase(character, itemData, removalData) {
     await InventoryLog.create(logEntry);
     
     logger.info('INVENTORY', `📝 Logged item removal: ${negativeQuantity}x ${itemName} for ${character.name} (${obtain})`);
+    emitGameEvent('item.removed', toItemEventPayload(character, logEntry));
     
     return logEntry;
   } catch (error) {
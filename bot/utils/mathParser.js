@@ -4,12 +4,14 @@ const { handleError } = require('../utils/globalErrorHandler');
 /**
  * Evaluates a mathematical expression.
  * @param {string} expression - The mathematical expression to evaluate.
+ * @param {{ quiet?: boolean }} [options] - quiet: user-typed input, a bad expression is not a bot error
  * @returns {number} The result of the evaluation.
  */
-function evaluate(expression) {
+function evaluate(expression, { quiet = false } = {}) {
   try {
     return math.evaluate(expression);
   } catch (error) {
+    if (quiet) throw new Error('Invalid mathematical expression');
     handleError(error, 'mathParser.js');
 
     console.error('Error evaluating expression:', error);
@@ -0,0 +1,241 @@
+// ============================================================================
+// ------------------- Metrics -------------------
+// In-process counters and histograms rendered in the Prometheus text format
+// for GET /metrics on the healthcheck server (index.js).
+// - Commands, interaction failures and scheduler jobs are recorded as they happen
+// - DB operation counts, circuit breakers, connection health and memory are
+//   read from their owners at scrape time
+// ============================================================================
+
+// ============================================================================
+// ------------------- Constants -------------------
+// ============================================================================
+
+const PREFIX = 'tinglebot_';
+// Seconds; Discord gives 3s to acknowledge and 15min to finish a deferred reply
+const DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 300];
+
+// ============================================================================
+// ------------------- Metric Types -------------------
+// ============================================================================
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+// ------------------- Function: labelKey -------------------
+// Stable key for a label set, also used as its rendered `{...}` suffix
+function labelKey(labels = {}) {
+  const entries = Object.entries(labels).filter(([, value]) => value !== undefined && value !== null);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+// Adds extra labels to an already rendered label suffix
+function withLabel(key, extra) {
+  return key ? `${key.slice(0, -1)},${extra}}` : `{${extra}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return Number.isFinite(value) ? String(value) : 'NaN';
+}
+
+class Counter {
+  constructor(name, help) {
+    this.name = name;
+    this.help = help;
+    this.type = 'counter';
+    this.values = new Map();
+  }
+
+  inc(labels = {}, amount = 1) {
+    const key = labelKey(labels);
+    this.values.set(key, (this.values.get(key) || 0) + amount);
+  }
+
+  get(labels = {}) {
+    return this.values.get(labelKey(labels)) || 0;
+  }
+
+  render() {
+    return [...this.values].map(([key, value]) => `${this.name}${key} ${formatValue(value)}`);
+  }
+}
+
+class Histogram {
+  constructor(name, help, buckets = DURATION_BUCKETS) {
+    this.name = name;
+    this.help = help;
+    this.type = 'histogram';
+    this.buckets = [...buckets].sort((a, b) => a - b);
+    this.series = new Map();
+  }
+
+  observe(labels = {}, value) {
+    const key = labelKey(labels);
+    let series = this.series.get(key);
+    if (!series) {
+      series = { counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+      this.series.set(key, series);
+    }
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) series.counts[index]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  render() {
+    const lines = [];
+    for (const [key, series] of this.series) {
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${withLabel(key, `le="${bound}"`)} ${series.counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${withLabel(key, 'le="+Inf"')} ${series.count}`);
+      lines.push(`${this.name}_sum${key} ${formatValue(series.sum)}`);
+      lines.push(`${this.name}_count${key} ${series.count}`);
+    }
+    return lines;
+  }
+}
+
+// ============================================================================
+// ------------------- Recorded Metrics -------------------
+// ============================================================================
+
+const commandInvocations = new Counter(`${PREFIX}command_invocations_total`, 'Slash command invocations by command and outcome.');
+const commandDuration = new Histogram(`${PREFIX}command_duration_seconds`, 'Slash command execution time.');
+const interactionFailures = new Counter(`${PREFIX}interaction_failures_total`, 'Interactions that ended in an error, by command and interaction type.');
+const jobRuns = new Counter(`${PREFIX}scheduler_job_runs_total`, 'Scheduled (Agenda) job runs by job and outcome.');
+const jobDuration = new Histogram(`${PREFIX}scheduler_job_duration_seconds`, 'Scheduled (Agenda) job run time.');
+
+const recorded = [commandInvocations, commandDuration, interactionFailures, jobRuns, jobDuration];
+
+// ------------------- Function: recordCommand -------------------
+// `outcome` is 'success' or 'error'
+function recordCommand(command, durationMs, outcome = 'success') {
+  commandInvocations.inc({ command, outcome });
+  commandDuration.observe({ command }, durationMs / 1000);
+}
+
+// ------------------- Function: recordInteractionFailure -------------------
+// `type` is 'command', 'autocomplete' or 'component'
+function recordInteractionFailure(command, type = 'command') {
+  interactionFailures.inc({ command: command || 'unknown', type });
+}
+
+// ------------------- Function: recordJobRun -------------------
+function recordJobRun(job, durationMs, outcome = 'success') {
+  jobRuns.inc({ job, outcome });
+  jobDuration.observe({ job }, durationMs / 1000);
+}
+
+// ============================================================================
+// ------------------- Scrape-time Metrics -------------------
+// Each collector is optional: a module that failed to load just drops its lines.
+// ============================================================================
+
+function gaugeLines(name, help, type, samples) {
+  if (samples.length === 0) return [];
+  return [
+    `# HELP ${name} ${help}`,
+    `# TYPE ${name} ${type}`,
+    ...samples.map(([labels, value]) => `${name}${labelKey(labels)} ${formatValue(value)}`)
+  ];
+}
+
+function collectDbOperations() {
+  const { getDbOperationCounts } = require('../database/db');
+  return gaugeLines(`${PREFIX}db_operations_total`, 'Database operations tracked by database/db.js.', 'counter',
+    Object.entries(getDbOperationCounts()).map(([type, count]) => [{ type }, count]));
+}
+
+function collectCircuitBreakers() {
+  const { characterQueryDetector, modCharacterQueryDetector } = require('./throttleDetector');
+  const detectors = [characterQueryDetector, modCharacterQueryDetector];
+  return [
+    ...gaugeLines(`${PREFIX}circuit_breaker_open`, '1 while the query circuit breaker is open.', 'gauge',
+      detectors.map(detector => [{ detector: detector.queryName }, detector.circuitOpen ? 1 : 0])),
+    ...gaugeLines(`${PREFIX}circuit_breaker_throttled`, '1 while queries are being backed off.', 'gauge',
+      detectors.map(detector => [{ detector: detector.queryName }, detector.isThrottled ? 1 : 0])),
+    ...gaugeLines(`${PREFIX}circuit_breaker_consecutive_failures`, 'Consecutive failed queries seen by the breaker.', 'gauge',
+      detectors.map(detector => [{ detector: detector.queryName }, detector.consecutiveFailures]))
+  ];
+}
+
+function collectConnectionHealth() {
+  const { getHealthStatus } = require('../database/healthMonitor');
+  const { overall: _overall, ...connections } = getHealthStatus();
+  const entries = Object.entries(connections);
+  return [
+    ...gaugeLines(`${PREFIX}db_connection_up`, '1 when the last health check of the connection succeeded.', 'gauge',
+      entries.map(([connection, state]) => [{ connection }, state.status === 'connected' ? 1 : 0])),
+    ...gaugeLines(`${PREFIX}db_connection_response_seconds`, 'Response time of the last connection health check.', 'gauge',
+      entries
+        .filter(([, state]) => typeof state.metrics?.responseTime === 'number')
+        .map(([connection, state]) => [{ connection }, state.metrics.responseTime / 1000]))
+  ];
+}
+
+function collectMemory() {
+  const { getMemoryMonitor } = require('./memoryMonitor');
+  const monitor = getMemoryMonitor();
+  const stats = monitor ? monitor.getMemoryStats() : process.memoryUsage();
+  const samples = ['rss', 'heapTotal', 'heapUsed', 'external', 'arrayBuffers', 'heapSizeLimit']
+    .filter(area => typeof stats[area] === 'number')
+    .map(area => [{ area }, stats[area]]);
+  return [
+    ...gaugeLines(`${PREFIX}memory_bytes`, 'Process memory usage.', 'gauge', samples),
+    ...gaugeLines(`${PREFIX}uptime_seconds`, 'Seconds since the bot process started.', 'gauge', [[{}, Math.round(process.uptime())]])
+  ];
+}
+
+const collectors = [collectDbOperations, collectCircuitBreakers, collectConnectionHealth, collectMemory];
+
+// ============================================================================
+// ------------------- Rendering -------------------
+// ============================================================================
+
+// ------------------- Function: renderMetrics -------------------
+// Full exposition for GET /metrics
+function renderMetrics() {
+  const lines = [];
+  for (const metric of recorded) {
+    lines.push(`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`, ...metric.render());
+  }
+  for (const collect of collectors) {
+    try {
+      lines.push(...collect());
+    } catch (_) {
+      // Source not loaded in this process; skip it
+    }
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+// ------------------- Function: resetMetrics -------------------
+// Clears recorded values (tests)
+function resetMetrics() {
+  for (const metric of recorded) {
+    if (metric.values) metric.values.clear();
+    if (metric.series) metric.series.clear();
+  }
+}
+
+// ============================================================================
+// ------------------- Exports -------------------
+// ============================================================================
+
+module.exports = {
+  CONTENT_TYPE: 'text/plain; version=0.0.4; charset=utf-8',
+  DURATION_BUCKETS,
+  Counter,
+  Histogram,
+  recordCommand,
+  recordInteractionFailure,
+  recordJobRun,
+  renderMetrics,
+  resetMetrics
+};
@@ -450,6 +450,87 @@ async function sendDebuffEndNotification(userId, characterData = {}) {
   }
 }
 
+/**
+ * Sends a Wishlist alert to a user when items their characters wished for are stocked.
+ * Wishlist alerts are on by default; users opt out on the dashboard (settings.wishlistAlerts = false).
+ * @param {string} userId - Discord user ID
+ * @param {object} alertData - { title, description, fields, footer } built by wishlistAlertModule
+ * @returns {Promise<boolean>} - Whether the DM was sent successfully
+ */
+async function sendWishlistAlert(userId, alertData = {}) {
+  try {
+    const user = await User.findOne({ discordId: userId }).select('settings').lean();
+    if (user?.settings?.wishlistAlerts === false) {
+      return false; // User turned wishlist alerts off
+    }
+
+    const embed = {
+      title: alertData.title || '🎁 Wishlist Alert!',
+      description: alertData.description || 'An item on your wishlist is in stock!',
+      color: 0xE8A33D, // Wishlist gold
+      fields: alertData.fields || [],
+      timestamp: new Date().toISOString(),
+      image: {
+        url: 'https://storage.googleapis.com/tinglebot/Graphics/border.png'
+      },
+      footer: {
+        text: alertData.footer || 'Roots of the Wild • Wishlist Alerts'
+      }
+    };
+
+    const success = await sendDiscordDM(userId, embed);
+
+    if (success) {
+      logger.success(`Sent wishlist alert to user ${userId}`, 'notificationService');
+    }
+
+    return success;
+  } catch (error) {
+    logger.error(`Error sending wishlist alert to user ${userId}`, error, 'notificationService');
+    return false;
+  }
+}
+
+/**
+ * Posts an embed to a server channel through the REST API (no gateway client needed,
+ * so callers deep in command/module code can announce without threading `client`)
+ * @param {string} channelId - Discord channel ID
+ * @param {object} embed - Discord embed object
+ * @returns {Promise<boolean>} - Whether the message was posted
+ */
+async function sendChannelEmbed(channelId, embed) {
+  try {
+    const DISCORD_BOT_TOKEN = process.env.DISCORD_TOKEN;
+
+    if (!DISCORD_BOT_TOKEN || !channelId) {
+      logger.warn(`Cannot post to channel ${channelId || '(none)'}: DISCORD_TOKEN or channel not configured`, 'notificationService');
+      return false;
+    }
+
+    const response = await fetch(`https://discord.com/api/v10/channels/${channelId}/messages`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bot ${DISCORD_BOT_TOKEN}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        embeds: [embed]
+      })
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      logger.warn(`Failed to post to channel ${channelId}: ${errorData.message || response.status}`, 'notificationService');
+      return false;
+    }
+
+    return true;
+  } catch (error) {
+    logger.error(`Error posting to channel ${channelId}`, error, 'notificationService');
+    return false;
+  }
+}
+
 /**
  * Sends Daily Weather notifications to users who have enabled this notification
  * @param {object} weatherData - Information about the daily weather (can contain multiple villages)
@@ -675,12 +756,14 @@ async function sendNotificationEnabledConfirmation(userId, notificationType) {
 
 module.exports = {
   sendDiscordDM,
+  sendChannelEmbed,
   sendBloodMoonAlerts,
   sendWeatherNotifications,
   sendCharacterOfWeekNotifications,
   sendBlightCallNotifications,
   sendDebuffEndNotification,
   sendDailyWeatherNotifications,
+  sendWishlistAlert,
   sendNotificationEnabledConfirmation
 };
 
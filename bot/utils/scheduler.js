@@ -4,14 +4,22 @@
 // - Manages all scheduled tasks via Agenda
 // - Provides registration API for new tasks
 // - Handles task execution with error handling
+// - Runs periodic (day/week/month) tasks once per period and catches up
+//   periods missed while the bot was down
 // - Supports graceful shutdown
 // Used by: index.js, tasks/*.js
-// Dependencies: agenda, config/database.js, utils/logger
+// Dependencies: agenda, config/database.js, utils/logger, utils/metrics, utils/taskPeriods,
+//   models/ScheduledJobRunModel, models/TaskPeriodModel
 // ============================================================================
 
 const Agenda = require('agenda');
 const dbConfig = require('../config/database');
 const logger = require('@/utils/logger');
+const { recordJobRun } = require('@/utils/metrics');
+const ScheduledJobRun = require('@/models/ScheduledJobRunModel');
+const TaskPeriod = require('@/models/TaskPeriodModel');
+const { parsePeriodCron, getCurrentPeriod, planCatchUp } = require('@/utils/taskPeriods');
+const { summarizeScheduledJob } = require('@tinglebot/shared/lib/scheduledJobs');
 
 // ============================================================================
 // ------------------- State -------------------
@@ -21,7 +29,7 @@ let agenda = null;
 let client = null;
 let initialized = false;
 
-/** @type {Map<string, { cronExpression: string, taskFunction: Function, jobData: object, timezone: string }>} */
+/** @type {Map<string, { cronExpression: string, taskFunction: Function, jobData: object, timezone: string, period: string|null, catchUp: string|false }>} */
 const taskRegistry = new Map();
 
 // ============================================================================
@@ -34,6 +42,8 @@ const taskRegistry = new Map();
  * @param {string} cronExpression - Cron expression (e.g. '0 13 * * *' for daily 13:00 UTC)
  * @param {Function} taskFunction - Async function(client, data) invoked when job runs
  * @param {object} [options] - Optional. { data?: object, timezone?: string } IANA zone for cron (default UTC)
+ *   period?: 'day'|'week'|'month' runs the task once per period and records it (see utils/taskPeriods.js)
+ *   catchUp?: 'latest'|'each'|false which missed periods to replay on startup (default 'latest')
  */
 function registerTask(name, cronExpression, taskFunction, options = {}) {
   if (initialized) {
@@ -44,11 +54,22 @@ function registerTask(name, cronExpression, taskFunction, options = {}) {
     logger.warn('SCHEDULER', `Overwriting existing task "${name}"`);
   }
   const timezone = options.timezone || 'UTC';
+  let period = options.period || null;
+  if (period) {
+    try {
+      parsePeriodCron(cronExpression);
+    } catch (err) {
+      logger.warn('SCHEDULER', `Task "${name}" registered without a period: ${err.message}`);
+      period = null;
+    }
+  }
   taskRegistry.set(name, {
     cronExpression,
     taskFunction,
     jobData: options.data || {},
-    timezone
+    timezone,
+    period,
+    catchUp: options.catchUp ?? 'latest'
   });
   logger.info('SCHEDULER', cronExpression != null
     ? `Registered task "${name}" (${cronExpression}, ${timezone})`
@@ -85,19 +106,17 @@ async function initializeScheduler(discordClient, mongoConnectionString) {
     agenda.on('error', (err) => logger.error('SCHEDULER', `Agenda error: ${err.message}`));
 
     for (const [name, config] of taskRegistry) {
-      const { taskFunction } = config;
+      const { cronExpression } = config;
       agenda.define(
         name,
         { concurrency: 1, lockLifetime: 10 * 60 * 1000 },
         async (job) => {
-          try {
-            logger.info('SCHEDULER', `Running task "${name}"`);
-            await taskFunction(client, job.attrs.data || {});
-            logger.success('SCHEDULER', `Task "${name}" completed`);
-          } catch (err) {
-            logger.error('SCHEDULER', `Task "${name}" failed: ${err.message}`);
-            throw err;
-          }
+          // Manual runs of a recurring task are one-off ('normal') copies queued by runNow or the dashboard
+          const { triggeredBy = null, ...data } = job.attrs.data || {};
+          await executeTask(name, data, {
+            trigger: cronExpression && job.attrs.type !== 'single' ? 'manual' : 'scheduled',
+            triggeredBy
+          });
         }
       );
     }
@@ -117,12 +136,116 @@ async function initializeScheduler(discordClient, mongoConnectionString) {
 
     initialized = true;
     logger.success('SCHEDULER', `Scheduler initialized with ${taskRegistry.size} task(s)`);
+
+    // Not awaited: missed periods replay in the background while the bot comes up
+    runCatchUp().catch(err => logger.error('SCHEDULER', `Catch-up failed: ${err.message}`));
   } catch (err) {
     logger.error('SCHEDULER', `Failed to initialize scheduler: ${err.message}`);
     throw err;
   }
 }
 
+/**
+ * Run a registered task once: period claim, handler, metrics and run history.
+ * Periodic tasks skip when their period already ran (manual runs always go ahead
+ * and just close the period). A handler returning false leaves the period open,
+ * e.g. the month-end payout on the 28th-30th.
+ * @param {string} name - Job name
+ * @param {object} data - Job data passed to the handler
+ * @param {{ trigger: 'scheduled'|'manual'|'catch-up', triggeredBy?: string|null, period?: { key: string, dueAt: Date } }} run
+ * @returns {Promise<void>}
+ */
+async function executeTask(name, data, run) {
+  const { taskFunction, cronExpression, timezone, period } = taskRegistry.get(name);
+  const startedAt = new Date();
+  const duePeriod = period
+    ? run.period || getCurrentPeriod({ cron: cronExpression, timezone, period }, startedAt)
+    : null;
+
+  if (duePeriod && run.trigger !== 'manual' && !(await TaskPeriod.claim(name, duePeriod.key, run.trigger))) {
+    logger.info('SCHEDULER', `Task "${name}" already ran for ${duePeriod.key}, skipping`);
+    return;
+  }
+
+  const history = { trigger: run.trigger, triggeredBy: run.triggeredBy || null, startedAt };
+  const label = run.trigger === 'scheduled' ? '' : ` (${run.trigger}${duePeriod ? ` ${duePeriod.key}` : ''})`;
+  try {
+    logger.info('SCHEDULER', `Running task "${name}"${label}`);
+    const result = await taskFunction(client, duePeriod
+      ? { ...data, period: { key: duePeriod.key, dueAt: duePeriod.dueAt, catchUp: run.trigger === 'catch-up' } }
+      : data);
+    if (duePeriod) {
+      if (result === false) await TaskPeriod.release(name, duePeriod.key);
+      else await TaskPeriod.complete(name, duePeriod.key, run.trigger);
+    }
+    recordJobRun(name, Date.now() - startedAt, 'success');
+    if (cronExpression) await recordRunHistory(name, history, 'success');
+    logger.success('SCHEDULER', `Task "${name}" completed${label}`);
+  } catch (err) {
+    if (duePeriod && run.trigger !== 'manual') {
+      await TaskPeriod.release(name, duePeriod.key).catch(() => {});
+    }
+    recordJobRun(name, Date.now() - startedAt, 'failure');
+    if (cronExpression) await recordRunHistory(name, history, 'failure', err);
+    logger.error('SCHEDULER', `Task "${name}" failed${label}: ${err.message}`);
+    throw err;
+  }
+}
+
+/**
+ * Replay periods of periodic tasks that were missed while the bot was down.
+ * Runs one at a time, oldest period first; each goes through the period claim,
+ * so a period that Agenda or another instance already ran is skipped. Paused
+ * tasks are not caught up.
+ * @param {Date} [now]
+ * @returns {Promise<Array<{ name: string, key: string, dueAt: Date }>>} The catch-up plan
+ */
+async function runCatchUp(now = new Date()) {
+  if (!agenda) throw new Error('Scheduler not initialized');
+  const tasks = Array.from(taskRegistry.entries())
+    .filter(([, config]) => config.period)
+    .map(([name, config]) => ({
+      name,
+      cron: config.cronExpression,
+      timezone: config.timezone,
+      period: config.period,
+      catchUp: config.catchUp
+    }));
+  if (tasks.length === 0) return [];
+
+  const names = tasks.map(task => task.name);
+  const [ledger, jobs] = await Promise.all([
+    TaskPeriod.find({ taskName: { $in: names } }).select('taskName periodKey').lean(),
+    agenda.jobs({ name: { $in: names }, type: 'single' })
+  ]);
+  const history = new Map(names.map(name => [name, { keys: new Set(), lastFinishedAt: null, paused: false }]));
+  for (const entry of ledger) history.get(entry.taskName).keys.add(entry.periodKey);
+  for (const job of jobs) {
+    const entry = history.get(job.attrs.name);
+    entry.lastFinishedAt = job.attrs.lastFinishedAt || null;
+    // Paused with /mod scheduler pause: no catch-up until resumed
+    if (job.attrs.disabled) entry.paused = true;
+  }
+
+  const plan = planCatchUp(tasks, history, now);
+  if (plan.length === 0) {
+    logger.info('SCHEDULER', 'Catch-up: no missed periods');
+    return plan;
+  }
+  logger.info('SCHEDULER', `Catch-up: ${plan.length} missed run(s): ${plan.map(entry => `${entry.name} ${entry.key}`).join(', ')}`);
+  for (const entry of plan) {
+    try {
+      await executeTask(entry.name, taskRegistry.get(entry.name).jobData || {}, {
+        trigger: 'catch-up',
+        period: { key: entry.key, dueAt: entry.dueAt }
+      });
+    } catch (err) {
+      // Already logged and recorded by executeTask; keep going with the next period
+    }
+  }
+  return plan;
+}
+
 /**
  * Cancel all jobs with the given name (removes from DB).
  * @param {string} name - Job name
@@ -165,19 +288,21 @@ function getTaskStatus() {
   return Array.from(taskRegistry.entries()).map(([name, config]) => ({
     name,
     cronExpression: config.cronExpression,
-    timezone: config.timezone || 'UTC'
+    timezone: config.timezone || 'UTC',
+    period: config.period || null
   }));
 }
 
 /**
- * Run a job immediately (for testing). Scheduler must be initialized.
+ * Run a job immediately. Scheduler must be initialized.
  * @param {string} name - Job name
  * @param {object} [data] - Optional data for job.attrs.data
+ * @param {{ triggeredBy?: string }} [options] - Discord user id recorded in the run history
  * @returns {Promise<import('agenda').Job>}
  */
-async function runNow(name, data = {}) {
+async function runNow(name, data = {}, { triggeredBy = null } = {}) {
   if (!agenda) throw new Error('Scheduler not initialized');
-  return agenda.now(name, data);
+  return agenda.now(name, triggeredBy ? { ...data, triggeredBy } : data);
 }
 
 /**
@@ -236,6 +361,121 @@ async function cancelJob(name, dataQuery = {}) {
   }
 }
 
+// ============================================================================
+// ------------------- Run History & Admin -------------------
+// Backs /mod scheduler and the dashboard /admin/scheduler page.
+// ============================================================================
+
+/**
+ * Store one run of a recurring task. Never throws: history is best effort.
+ * @param {string} name - Job name
+ * @param {{ trigger: string, triggeredBy: string|null, startedAt: Date }} run
+ * @param {'success'|'failure'} outcome
+ * @param {Error} [error]
+ */
+async function recordRunHistory(name, run, outcome, error = null) {
+  const finishedAt = new Date();
+  try {
+    await ScheduledJobRun.create({
+      jobName: name,
+      trigger: run.trigger,
+      triggeredBy: run.triggeredBy,
+      outcome,
+      error: error ? String(error.message || error).slice(0, 1000) : null,
+      startedAt: run.startedAt,
+      finishedAt,
+      durationMs: finishedAt - run.startedAt
+    });
+  } catch (err) {
+    logger.warn('SCHEDULER', `Could not record run history for "${name}": ${err.message}`);
+  }
+}
+
+function assertRecurringTask(name) {
+  if (!agenda) throw new Error('Scheduler not initialized');
+  if (!taskRegistry.get(name)?.cronExpression) {
+    throw new Error(`Unknown scheduled task "${name}"`);
+  }
+}
+
+/**
+ * Status of every recurring task: schedule, pause state, next/last run.
+ * @returns {Promise<Array<object>>} summarizeScheduledJob rows, in registration order
+ */
+async function listTasks() {
+  if (!agenda) throw new Error('Scheduler not initialized');
+  const names = Array.from(taskRegistry.entries())
+    .filter(([, config]) => config.cronExpression)
+    .map(([name]) => name);
+
+  const [jobs, lastRuns] = await Promise.all([
+    agenda.jobs({ name: { $in: names } }),
+    ScheduledJobRun.aggregate([
+      { $match: { jobName: { $in: names } } },
+      { $sort: { startedAt: -1 } },
+      { $group: { _id: '$jobName', run: { $first: '$$ROOT' } } }
+    ])
+  ]);
+
+  const docsByName = new Map();
+  for (const job of jobs) {
+    const docs = docsByName.get(job.attrs.name) || [];
+    docs.push(job.attrs);
+    docsByName.set(job.attrs.name, docs);
+  }
+  const lastRunByName = new Map(lastRuns.map(entry => [entry._id, entry.run]));
+  return names.map(name => summarizeScheduledJob(name, docsByName.get(name) || [], lastRunByName.get(name) || null));
+}
+
+/**
+ * Stop a recurring task from running (including queued manual runs) until resumed.
+ * @param {string} name - Job name
+ * @returns {Promise<number>} Number of Agenda jobs disabled
+ */
+async function pauseTask(name) {
+  assertRecurringTask(name);
+  const count = await agenda.disable({ name });
+  logger.info('SCHEDULER', `Paused "${name}" (${count} job(s))`);
+  return count;
+}
+
+/**
+ * Resume a paused recurring task.
+ * @param {string} name - Job name
+ * @returns {Promise<number>} Number of Agenda jobs enabled
+ */
+async function resumeTask(name) {
+  assertRecurringTask(name);
+  const count = await agenda.enable({ name });
+  logger.info('SCHEDULER', `Resumed "${name}" (${count} job(s))`);
+  return count;
+}
+
+/**
+ * Queue a manual run of a recurring task.
+ * @param {string} name - Job name
+ * @param {string} triggeredBy - Discord user id
+ * @returns {Promise<import('agenda').Job>}
+ */
+async function runTaskNow(name, triggeredBy) {
+  assertRecurringTask(name);
+  logger.info('SCHEDULER', `Manual run of "${name}" queued by ${triggeredBy}`);
+  return runNow(name, taskRegistry.get(name).jobData || {}, { triggeredBy });
+}
+
+/**
+ * Latest recorded runs, newest first.
+ * @param {string|null} [name] - Job name, or all recurring tasks
+ * @param {number} [limit]
+ * @returns {Promise<Array<object>>}
+ */
+async function getRunHistory(name = null, limit = 10) {
+  return ScheduledJobRun.find(name ? { jobName: name } : {})
+    .sort({ startedAt: -1 })
+    .limit(limit)
+    .lean();
+}
+
 // ============================================================================
 // ------------------- Exports -------------------
 // ============================================================================
@@ -248,5 +488,11 @@ module.exports = {
   getTaskStatus,
   runNow,
   scheduleOneTimeJob,
-  cancelJob
+  cancelJob,
+  runCatchUp,
+  listTasks,
+  pauseTask,
+  resumeTask,
+  runTaskNow,
+  getRunHistory
 };
@@ -0,0 +1,157 @@
+// ============================================================================
+// ------------------- Task Periods -------------------
+// Purpose: Period keys (day/week/month) for recurring tasks and the catch-up
+// plan for periods missed while the bot was down
+// - A periodic task runs once per period; the key names the period its latest
+//   cron occurrence falls in (e.g. '2026-10-19', '2026-W42', '2026-10')
+// - A period is due once its last occurrence has passed, so a month-end cron
+//   like '59 23 28-31 * *' is only due after the final day of the month
+// Used by: utils/scheduler.js
+// Dependencies: moment-timezone
+// ============================================================================
+
+const moment = require('moment-timezone');
+
+const PERIOD_FORMATS = {
+  day: 'YYYY-MM-DD',
+  week: 'GGGG-[W]WW',
+  month: 'YYYY-MM'
+};
+
+// How far back catch-up looks for missed periods
+const CATCH_UP_LOOKBACK_DAYS = {
+  day: 7,
+  week: 14,
+  month: 62
+};
+
+// ============================================================================
+// ------------------- Cron Matching -------------------
+// Only what periodic tasks need: a fixed minute and hour, and day-of-month,
+// month and day-of-week fields made of '*', numbers, ranges and lists.
+// ============================================================================
+
+function cronFieldMatches(field, value) {
+  return field.split(',').some(part => {
+    if (part === '*') return true;
+    const [low, high = low] = part.split('-').map(Number);
+    return value >= low && value <= high;
+  });
+}
+
+function parsePeriodCron(cron) {
+  const fields = String(cron || '').trim().split(/\s+/);
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = fields;
+  if (fields.length !== 5 || !/^\d+$/.test(minute) || !/^\d+$/.test(hour)) {
+    throw new Error(`Periodic tasks need a daily-or-slower cron with a fixed time, got "${cron}"`);
+  }
+  if (![dayOfMonth, month, dayOfWeek].every(field => /^(\*|\d+(-\d+)?)(,\d+(-\d+)?)*$/.test(field))) {
+    throw new Error(`Unsupported cron day fields in "${cron}"`);
+  }
+  return { minute: Number(minute), hour: Number(hour), dayOfMonth, month, dayOfWeek };
+}
+
+/**
+ * Cron occurrences between two instants (inclusive), oldest first.
+ * @param {string} cron
+ * @param {string} timezone - IANA zone the cron runs in
+ * @param {Date} from
+ * @param {Date} to
+ * @returns {Date[]}
+ */
+function listOccurrences(cron, timezone, from, to) {
+  const { minute, hour, dayOfMonth, month, dayOfWeek } = parsePeriodCron(cron);
+  const occurrences = [];
+  const day = moment.tz(from, timezone).startOf('day');
+  const end = moment.tz(to, timezone);
+  while (day.isSameOrBefore(end)) {
+    if (cronFieldMatches(dayOfMonth, day.date()) &&
+        cronFieldMatches(month, day.month() + 1) &&
+        cronFieldMatches(dayOfWeek, day.day())) {
+      const at = day.clone().hour(hour).minute(minute);
+      if (!at.isBefore(from) && !at.isAfter(end)) occurrences.push(at.toDate());
+    }
+    day.add(1, 'day');
+  }
+  return occurrences;
+}
+
+// ============================================================================
+// ------------------- Periods -------------------
+// `task` is { name, cron, timezone, period, catchUp } as registered with the
+// scheduler. catchUp: 'latest' (default) replays only the most recent missed
+// period, 'each' replays every missed one, false never replays.
+// ============================================================================
+
+function getPeriodKey(date, period, timezone = 'UTC') {
+  return moment.tz(date, timezone).format(PERIOD_FORMATS[period]);
+}
+
+/**
+ * The period a run at `now` belongs to: the one holding the latest occurrence at or before now.
+ * @returns {{ key: string, dueAt: Date }|null}
+ */
+function getCurrentPeriod(task, now = new Date()) {
+  const from = moment(now).subtract(CATCH_UP_LOOKBACK_DAYS[task.period], 'days').toDate();
+  const latest = listOccurrences(task.cron, task.timezone, from, now).pop();
+  return latest ? { key: getPeriodKey(latest, task.period, task.timezone), dueAt: latest } : null;
+}
+
+/**
+ * Periods inside the lookback window whose last occurrence has passed, oldest first.
+ * @returns {Array<{ key: string, dueAt: Date }>}
+ */
+function getDuePeriods(task, now = new Date()) {
+  const from = moment(now).subtract(CATCH_UP_LOOKBACK_DAYS[task.period], 'days').toDate();
+  const horizon = moment(now).add(32, 'days').toDate();
+  const lastByKey = new Map();
+  for (const at of listOccurrences(task.cron, task.timezone, from, horizon)) {
+    lastByKey.set(getPeriodKey(at, task.period, task.timezone), at);
+  }
+  return Array.from(lastByKey, ([key, dueAt]) => ({ key, dueAt })).filter(({ dueAt }) => dueAt <= now);
+}
+
+/**
+ * Missed periods to run on startup, oldest first (ties keep registration order):
+ * those after the task's latest recorded period. A task with no recorded periods
+ * yet falls back to Agenda's lastFinishedAt, and one that has never run at all is
+ * left alone, so new tasks don't fire on deploy. Paused tasks are skipped.
+ * @param {Array<object>} tasks - Periodic tasks in registration order
+ * @param {Map<string, { keys: Set<string>, lastFinishedAt: Date|null, paused?: boolean }>} history
+ * @param {Date} [now]
+ * @returns {Array<{ name: string, key: string, dueAt: Date }>}
+ */
+function planCatchUp(tasks, history, now = new Date()) {
+  const plan = [];
+  tasks.forEach((task, order) => {
+    if (!task.period || task.catchUp === false) return;
+    const { keys = new Set(), lastFinishedAt = null, paused = false } = history.get(task.name) || {};
+    if (paused || (keys.size === 0 && !lastFinishedAt)) return;
+
+    // Only periods after the last one that ran count as missed (keys sort chronologically)
+    const lastKey = [...keys].sort().pop();
+    const hasRun = ({ key, dueAt }) => (lastKey ? key <= lastKey : new Date(lastFinishedAt) >= dueAt);
+    const due = getDuePeriods(task, now);
+    const missed = task.catchUp === 'each'
+      ? due.filter(period => !hasRun(period))
+      : due.slice(-1).filter(period => !hasRun(period));
+    for (const period of missed) plan.push({ name: task.name, ...period, order });
+  });
+  return plan
+    .sort((a, b) => a.dueAt - b.dueAt || a.order - b.order)
+    .map(({ order, ...entry }) => entry);
+}
+
+// ============================================================================
+// ------------------- Exports -------------------
+// ============================================================================
+
+module.exports = {
+  CATCH_UP_LOOKBACK_DAYS,
+  parsePeriodCron,
+  listOccurrences,
+  getPeriodKey,
+  getCurrentPeriod,
+  getDuePeriods,
+  planCatchUp
+};
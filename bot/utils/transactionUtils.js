@@ -0,0 +1,62 @@
+// ============================================================================
+// Transaction Utilities
+// Retry wrapper for multi-document Mongo transactions (trades, auctions).
+// Transactions run on the mongoose (tinglebot) client so native collections on
+// the same client, including the inventories database, can join the session.
+// ============================================================================
+
+// ------------------- Standard Libraries -------------------
+const mongoose = require('mongoose');
+const logger = require('@/utils/logger');
+
+// ------------------- Configuration Constants -------------------
+const MAX_RETRY_ATTEMPTS = 3;
+const INITIAL_RETRY_DELAY_MS = 100;
+
+// ------------------- Function: isRetryableTransactionError -------------------
+// Write conflicts and transient/unknown-commit errors are worth another attempt
+function isRetryableTransactionError(error) {
+  return Boolean(
+    error && (
+      error.code === 112 || // WriteConflict
+      error.code === 251 || // NoSuchTransaction
+      error.hasErrorLabel?.('TransientTransactionError') ||
+      error.hasErrorLabel?.('UnknownTransactionCommitResult')
+    )
+  );
+}
+
+// ------------------- Function: runTransaction -------------------
+// Runs fn(session) inside a transaction, retrying transient conflicts with backoff.
+// Errors matching isUserError (user-facing failures) abort without retrying.
+async function runTransaction(fn, { category = 'DB', isUserError = () => false, maxRetries = MAX_RETRY_ATTEMPTS } = {}) {
+  let lastError;
+  for (let attempt = 0; attempt < maxRetries; attempt++) {
+    const session = await mongoose.startSession();
+    try {
+      session.startTransaction();
+      const result = await fn(session);
+      await session.commitTransaction();
+      return result;
+    } catch (error) {
+      await session.abortTransaction().catch(() => {});
+      lastError = error;
+
+      if (attempt < maxRetries - 1 && !isUserError(error) && isRetryableTransactionError(error)) {
+        const delay = INITIAL_RETRY_DELAY_MS * Math.pow(2, attempt) + Math.random() * 50;
+        logger.warn(category, `Transaction conflict, retrying in ${Math.round(delay)}ms (attempt ${attempt + 1}/${maxRetries})`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+        continue;
+      }
+      throw error;
+    } finally {
+      session.endSession();
+    }
+  }
+  throw lastError;
+}
+
+module.exports = {
+  runTransaction,
+  isRetryableTransactionError
+};
@@ -0,0 +1,5 @@
+// ============================================================================
+// ------------------- Weather forecast helpers -------------------
+// Lives in @tinglebot/shared (weather/weatherForecast.js); edit it there.
+// ============================================================================
+module.exports = require('@tinglebot/shared/weather/weatherForecast');
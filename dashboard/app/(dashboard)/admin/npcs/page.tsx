@@ -0,0 +1,590 @@
+"use client";
+
+import React, { useCallback, useEffect, useState } from "react";
+import { useSession } from "@/hooks/use-session";
+import { Loading } from "@/components/ui";
+import { NPC_NAME_REGEX, NPC_MAX_STEAL_DIFFICULTY, NPC_RARITIES } from "@/lib/npc-editor";
+
+const VILLAGES = ["Rudania", "Inariko", "Vhintl"] as const;
+const MONTHS = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+type NPCRecord = {
+  name: string;
+  race: string;
+  profession: string;
+  personality: string;
+  description: string;
+  specialties: string[];
+  specialty: string;
+  icon: string;
+  pronouns: { subject: string; object: string; possessive: string };
+  categories: string[];
+  items: string[];
+  rarityWeights: Record<string, number>;
+  stealDifficulty: number;
+  village: string | null;
+  availability: { startsAt: string | null; endsAt: string | null; months: number[] };
+  flavorText: string[];
+  failText: string[];
+  isActive: boolean;
+  isBuiltIn: boolean;
+  isRegistered: boolean;
+};
+
+type FormState = {
+  name: string;
+  race: string;
+  profession: string;
+  personality: string;
+  description: string;
+  specialties: string;
+  specialty: string;
+  icon: string;
+  pronounSubject: string;
+  pronounObject: string;
+  pronounPossessive: string;
+  itemCategories: string;
+  items: string;
+  rarityWeights: Record<string, string>;
+  stealDifficulty: string;
+  village: string;
+  startsAt: string;
+  endsAt: string;
+  months: number[];
+  flavorText: string;
+  failText: string;
+  isActive: boolean;
+};
+
+function defaultForm(): FormState {
+  return {
+    name: "",
+    race: "",
+    profession: "",
+    personality: "",
+    description: "",
+    specialties: "",
+    specialty: "",
+    icon: "",
+    pronounSubject: "",
+    pronounObject: "",
+    pronounPossessive: "",
+    itemCategories: "",
+    items: "",
+    rarityWeights: {},
+    stealDifficulty: "0",
+    village: "",
+    startsAt: "",
+    endsAt: "",
+    months: [],
+    flavorText: "",
+    failText: "",
+    isActive: true,
+  };
+}
+
+/** ISO date → value for <input type="date"> (UTC, matching how /steal checks the window). */
+function toDateInput(value: string | null): string {
+  return value ? value.slice(0, 10) : "";
+}
+
+function recordToForm(npc: NPCRecord): FormState {
+  return {
+    name: npc.name,
+    race: npc.race,
+    profession: npc.profession,
+    personality: npc.personality,
+    description: npc.description,
+    specialties: npc.specialties.join("\n"),
+    specialty: npc.specialty,
+    icon: npc.icon,
+    pronounSubject: npc.pronouns.subject,
+    pronounObject: npc.pronouns.object,
+    pronounPossessive: npc.pronouns.possessive,
+    itemCategories: npc.categories.join("\n"),
+    items: npc.items.join("\n"),
+    rarityWeights: Object.fromEntries(Object.entries(npc.rarityWeights).map(([k, v]) => [k, String(v)])),
+    stealDifficulty: String(npc.stealDifficulty ?? 0),
+    village: npc.village ?? "",
+    startsAt: toDateInput(npc.availability.startsAt),
+    endsAt: toDateInput(npc.availability.endsAt),
+    months: [...npc.availability.months],
+    flavorText: npc.flavorText.join("\n"),
+    failText: npc.failText.join("\n"),
+    isActive: npc.isActive,
+  };
+}
+
+function formToBody(form: FormState) {
+  return {
+    name: form.name.trim(),
+    race: form.race,
+    profession: form.profession,
+    personality: form.personality,
+    description: form.description,
+    specialties: form.specialties,
+    specialty: form.specialty,
+    icon: form.icon,
+    pronouns: { subject: form.pronounSubject, object: form.pronounObject, possessive: form.pronounPossessive },
+    itemCategories: form.itemCategories,
+    items: form.items,
+    rarityWeights: form.rarityWeights,
+    stealDifficulty: form.stealDifficulty,
+    village: form.village || null,
+    availability: {
+      startsAt: form.startsAt ? `${form.startsAt}T00:00:00.000Z` : null,
+      endsAt: form.endsAt ? `${form.endsAt}T23:59:59.999Z` : null,
+      months: form.months,
+    },
+    flavorText: form.flavorText,
+    failText: form.failText,
+    isActive: form.isActive,
+  };
+}
+
+function formatAvailability(npc: NPCRecord): string {
+  const parts: string[] = [];
+  if (npc.availability.startsAt || npc.availability.endsAt) {
+    parts.push(`${toDateInput(npc.availability.startsAt) || "…"} → ${toDateInput(npc.availability.endsAt) || "…"}`);
+  }
+  if (npc.availability.months.length > 0) {
+    parts.push(npc.availability.months.map((m) => MONTHS[m - 1]).join(", "));
+  }
+  return parts.length > 0 ? parts.join(" · ") : "Always";
+}
+
+const inputClass =
+  "w-full rounded-lg border border-[var(--totk-dark-ocher)] bg-[var(--botw-warm-black)] px-3.5 py-2.5 text-[var(--totk-ivory)] focus:ring-2 focus:ring-[var(--totk-mid-ocher)]/50 focus:border-[var(--totk-mid-ocher)] transition-colors";
+const labelClass = "mb-1.5 block text-sm font-medium text-[var(--totk-grey-200)]";
+const hintClass = "mt-1.5 text-xs text-[var(--totk-grey-200)]";
+
+export default function AdminNPCsPage() {
+  const { isAdmin, loading: sessionLoading } = useSession();
+  const [list, setList] = useState<NPCRecord[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [success, setSuccess] = useState<string | null>(null);
+  const [showForm, setShowForm] = useState(false);
+  const [editingName, setEditingName] = useState<string | null>(null);
+  const [form, setForm] = useState<FormState>(defaultForm());
+  const [submitting, setSubmitting] = useState(false);
+
+  const fetchList = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const res = await fetch("/api/admin/npcs");
+      if (!res.ok) {
+        const data = await res.json().catch(() => ({}));
+        throw new Error((data as { message?: string }).message ?? "Failed to load NPCs");
+      }
+      const data = (await res.json()) as NPCRecord[];
+      setList(Array.isArray(data) ? data : []);
+    } catch (e) {
+      setError(e instanceof Error ? e.message : String(e));
+      setList([]);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (isAdmin && !sessionLoading) fetchList();
+  }, [isAdmin, sessionLoading, fetchList]);
+
+  const setField = useCallback(<K extends keyof FormState>(key: K, value: FormState[K]) => {
+    setForm((prev) => ({ ...prev, [key]: value }));
+  }, []);
+
+  const openCreate = useCallback(() => {
+    setForm(defaultForm());
+    setEditingName(null);
+    setSuccess(null);
+    setShowForm(true);
+  }, []);
+
+  const openEdit = useCallback((npc: NPCRecord) => {
+    setForm(recordToForm(npc));
+    setEditingName(npc.name);
+    setSuccess(null);
+    setShowForm(true);
+  }, []);
+
+  const toggleMonth = useCallback((month: number) => {
+    setForm((prev) => ({
+      ...prev,
+      months: prev.months.includes(month)
+        ? prev.months.filter((m) => m !== month)
+        : [...prev.months, month].sort((a, b) => a - b),
+    }));
+  }, []);
+
+  const handleSubmit = useCallback(
+    async (e: React.FormEvent) => {
+      e.preventDefault();
+      setError(null);
+      setSuccess(null);
+      const name = form.name.trim();
+      if (!editingName && !NPC_NAME_REGEX.test(name)) {
+        setError("Name can only contain letters, numbers, spaces, apostrophes and hyphens.");
+        return;
+      }
+      setSubmitting(true);
+      try {
+        const res = await fetch(
+          editingName ? `/api/admin/npcs/${encodeURIComponent(editingName)}` : "/api/admin/npcs",
+          {
+            method: editingName ? "PUT" : "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify(formToBody(form)),
+          }
+        );
+        const data = await res.json().catch(() => ({}));
+        if (!res.ok) {
+          throw new Error((data as { message?: string; error?: string }).message ?? (data as { error?: string }).error ?? "Save failed");
+        }
+        setSuccess(`${editingName ? "Updated" : "Created"} ${editingName ?? name}. /steal picks up changes within a minute.`);
+        setShowForm(false);
+        setEditingName(null);
+        await fetchList();
+      } catch (err) {
+        setError(err instanceof Error ? err.message : String(err));
+      } finally {
+        setSubmitting(false);
+      }
+    },
+    [form, editingName, fetchList]
+  );
+
+  if (sessionLoading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-[var(--totk-light-green)]/10">
+        <Loading />
+      </div>
+    );
+  }
+
+  if (!isAdmin) {
+    return (
+      <div className="min-h-screen p-4 sm:p-6 md:p-8 flex items-center justify-center bg-[var(--botw-warm-black)]">
+        <div className="mx-auto max-w-md w-full text-center px-4">
+          <div className="mb-6 flex items-center justify-center gap-2 sm:gap-4">
+            <img src="/Side=Left.svg" alt="" className="h-5 w-auto sm:h-6" />
+            <h1 className="text-2xl sm:text-3xl font-bold text-[var(--totk-light-ocher)] uppercase">
+              Access Denied
+            </h1>
+            <img src="/Side=Right.svg" alt="" className="h-5 w-auto sm:h-6 md:h-8" />
+          </div>
+          <div className="rounded-lg border-2 border-[var(--totk-dark-ocher)] bg-[var(--botw-warm-black)] p-6 sm:p-8 shadow-2xl">
+            <p className="text-sm sm:text-base text-[var(--botw-pale)] mb-4 sm:mb-6">
+              You must be an admin to access the NPC editor.
+            </p>
+            <a
+              href="/"
+              className="inline-block rounded-md bg-[var(--totk-mid-ocher)] px-5 py-2.5 text-sm font-bold text-[var(--totk-ivory)] transition-colors hover:bg-[var(--totk-dark-ocher)]"
+            >
+              Return Home
+            </a>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen p-4 sm:p-6 md:p-8 bg-[var(--totk-light-green)]/10">
+      <div className="mx-auto max-w-7xl space-y-6">
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4 mb-2">
+          <div className="flex flex-col items-center sm:items-start gap-2">
+            <div className="flex items-center gap-4 sm:gap-6">
+              <img src="/Side=Left.svg" alt="" className="h-6 sm:h-8 w-auto opacity-80" />
+              <h1 className="text-3xl sm:text-4xl md:text-5xl font-black text-[var(--totk-light-ocher)] tracking-tighter uppercase italic">
+                NPCs
+              </h1>
+              <img src="/Side=Right.svg" alt="" className="h-6 sm:h-8 w-auto opacity-80" />
+            </div>
+            <p className="text-sm text-[var(--totk-grey-200)] text-center sm:text-left max-w-xl">
+              Targets for <code className="text-xs">/steal</code>: loot pools, rarity weights, home village, schedule and flavor text.
+            </p>
+          </div>
+          {!showForm && (
+            <button
+              type="button"
+              onClick={openCreate}
+              className="shrink-0 rounded-lg border-2 border-[var(--totk-dark-ocher)] bg-[var(--totk-mid-ocher)] px-4 py-2.5 text-sm font-bold text-[var(--totk-ivory)] transition-colors hover:bg-[var(--totk-dark-ocher)]"
+            >
+              <i className="fa-solid fa-plus mr-2" aria-hidden="true" />
+              Create NPC
+            </button>
+          )}
+        </div>
+
+        {error && (
+          <div className="rounded-lg border-2 border-red-500/60 bg-red-500/10 px-4 py-3 text-sm text-red-200">
+            {error}
+          </div>
+        )}
+        {success && (
+          <div className="rounded-lg border-2 border-[var(--totk-light-green)]/60 bg-[var(--totk-light-green)]/10 px-4 py-3 text-sm text-[var(--totk-light-green)]">
+            {success}
+          </div>
+        )}
+
+        {showForm ? (
+          <section className="rounded-2xl border-2 border-[var(--totk-dark-ocher)] bg-gradient-to-br from-[var(--botw-warm-black)] to-[var(--botw-black)] p-5 sm:p-7">
+            <form onSubmit={handleSubmit} className="space-y-8">
+              <div className="flex flex-wrap items-baseline justify-between gap-2 border-b border-[var(--totk-dark-ocher)]/40 pb-3">
+                <h2 className="text-base font-semibold text-[var(--totk-ivory)]">
+                  {editingName ? `Edit ${editingName}` : "New NPC"}
+                </h2>
+                <span className="text-xs text-[var(--totk-grey-200)]">Required fields marked *</span>
+              </div>
+
+              <div className="grid gap-5 sm:grid-cols-2">
+                <div>
+                  <label className={labelClass}>Name *</label>
+                  <input
+                    type="text"
+                    value={form.name}
+                    onChange={(e) => setField("name", e.target.value)}
+                    className={inputClass}
+                    disabled={Boolean(editingName)}
+                    required
+                  />
+                  <p className={hintClass}>Names can&apos;t be changed once created; steal cooldowns are tracked by name.</p>
+                </div>
+                <div>
+                  <label className={labelClass}>Profession *</label>
+                  <input type="text" value={form.profession} onChange={(e) => setField("profession", e.target.value)} className={inputClass} required />
+                </div>
+                <div>
+                  <label className={labelClass}>Race</label>
+                  <input type="text" value={form.race} onChange={(e) => setField("race", e.target.value)} className={inputClass} />
+                </div>
+                <div>
+                  <label className={labelClass}>Personality</label>
+                  <input type="text" value={form.personality} onChange={(e) => setField("personality", e.target.value)} className={inputClass} />
+                </div>
+                <div>
+                  <label className={labelClass}>Icon URL</label>
+                  <input type="url" value={form.icon} onChange={(e) => setField("icon", e.target.value)} className={inputClass} />
+                </div>
+                <div>
+                  <label className={labelClass}>Specialty (quest flavor)</label>
+                  <input type="text" value={form.specialty} onChange={(e) => setField("specialty", e.target.value)} className={inputClass} placeholder="e.g. medicinal supplies" />
+                </div>
+                <div className="grid grid-cols-3 gap-3 sm:col-span-2">
+                  <div>
+                    <label className={labelClass}>Pronoun (subject)</label>
+                    <input type="text" value={form.pronounSubject} onChange={(e) => setField("pronounSubject", e.target.value)} className={inputClass} placeholder="She" />
+                  </div>
+                  <div>
+                    <label className={labelClass}>Pronoun (object)</label>
+                    <input type="text" value={form.pronounObject} onChange={(e) => setField("pronounObject", e.target.value)} className={inputClass} placeholder="her" />
+                  </div>
+                  <div>
+                    <label className={labelClass}>Pronoun (possessive)</label>
+                    <input type="text" value={form.pronounPossessive} onChange={(e) => setField("pronounPossessive", e.target.value)} className={inputClass} placeholder="her" />
+                  </div>
+                </div>
+                <div className="sm:col-span-2">
+                  <label className={labelClass}>Description</label>
+                  <textarea value={form.description} onChange={(e) => setField("description", e.target.value)} className={inputClass} rows={2} />
+                </div>
+                <div className="sm:col-span-2">
+                  <label className={labelClass}>Specialties (one per line)</label>
+                  <textarea value={form.specialties} onChange={(e) => setField("specialties", e.target.value)} className={inputClass} rows={3} />
+                </div>
+              </div>
+
+              <div className="space-y-5">
+                <h2 className="border-b border-[var(--totk-dark-ocher)]/40 pb-3 text-base font-semibold text-[var(--totk-ivory)]">Loot</h2>
+                <div className="grid gap-5 sm:grid-cols-2">
+                  <div>
+                    <label className={labelClass}>Item categories (one per line)</label>
+                    <textarea value={form.itemCategories} onChange={(e) => setField("itemCategories", e.target.value)} className={inputClass} rows={4} placeholder="Any Plant" />
+                    <p className={hintClass}>General categories (e.g. Any Plant) or item categories (e.g. Armor).</p>
+                  </div>
+                  <div>
+                    <label className={labelClass}>Specific items (one per line)</label>
+                    <textarea value={form.items} onChange={(e) => setField("items", e.target.value)} className={inputClass} rows={4} />
+                    <p className={hintClass}>When set, these replace the categories as the loot pool.</p>
+                  </div>
+                  <div>
+                    <label className={labelClass}>Steal difficulty (0-{NPC_MAX_STEAL_DIFFICULTY})</label>
+                    <input
+                      type="number"
+                      min={0}
+                      max={NPC_MAX_STEAL_DIFFICULTY}
+                      value={form.stealDifficulty}
+                      onChange={(e) => setField("stealDifficulty", e.target.value)}
+                      className={inputClass}
+                    />
+                    <p className={hintClass}>Added to the failure threshold; higher is harder to steal from.</p>
+                  </div>
+                  <div>
+                    <label className={labelClass}>Rarity weights</label>
+                    <div className="grid grid-cols-5 gap-2">
+                      {NPC_RARITIES.map((rarity) => (
+                        <input
+                          key={rarity}
+                          type="number"
+                          min={0}
+                          step="any"
+                          value={form.rarityWeights[rarity] ?? ""}
+                          onChange={(e) => setField("rarityWeights", { ...form.rarityWeights, [rarity]: e.target.value })}
+                          className={inputClass}
+                          placeholder={`R${rarity}`}
+                          aria-label={`Weight for rarity ${rarity}`}
+                        />
+                      ))}
+                    </div>
+                    <p className={hintClass}>Leave blank to use the default /steal weight for that rarity.</p>
+                  </div>
+                </div>
+              </div>
+
+              <div className="space-y-5">
+                <h2 className="border-b border-[var(--totk-dark-ocher)]/40 pb-3 text-base font-semibold text-[var(--totk-ivory)]">Availability</h2>
+                <div className="grid gap-5 sm:grid-cols-3">
+                  <div>
+                    <label className={labelClass}>Village</label>
+                    <select value={form.village} onChange={(e) => setField("village", e.target.value)} className={inputClass}>
+                      <option value="">Any village</option>
+                      {VILLAGES.map((v) => (
+                        <option key={v} value={v}>{v}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div>
+                    <label className={labelClass}>Available from (UTC)</label>
+                    <input type="date" value={form.startsAt} onChange={(e) => setField("startsAt", e.target.value)} className={inputClass} />
+                  </div>
+                  <div>
+                    <label className={labelClass}>Available until (UTC)</label>
+                    <input type="date" value={form.endsAt} onChange={(e) => setField("endsAt", e.target.value)} className={inputClass} />
+                  </div>
+                  <div className="sm:col-span-3">
+                    <label className={labelClass}>Months (none selected = all year)</label>
+                    <div className="flex flex-wrap gap-2">
+                      {MONTHS.map((label, i) => {
+                        const month = i + 1;
+                        const on = form.months.includes(month);
+                        return (
+                          <button
+                            key={label}
+                            type="button"
+                            onClick={() => toggleMonth(month)}
+                            className={`rounded-md border px-3 py-1.5 text-xs font-semibold transition-colors ${
+                              on
+                                ? "border-[var(--totk-light-green)]/50 bg-[var(--totk-light-green)]/15 text-[var(--totk-light-green)]"
+                                : "border-[var(--totk-dark-ocher)] text-[var(--totk-grey-200)] hover:text-[var(--totk-ivory)]"
+                            }`}
+                          >
+                            {label}
+                          </button>
+                        );
+                      })}
+                    </div>
+                  </div>
+                  <label className="flex items-center gap-2 text-sm text-[var(--totk-grey-200)] sm:col-span-3">
+                    <input type="checkbox" checked={form.isActive} onChange={(e) => setField("isActive", e.target.checked)} />
+                    Active (inactive NPCs can&apos;t be stolen from)
+                  </label>
+                </div>
+              </div>
+
+              <div className="space-y-5">
+                <h2 className="border-b border-[var(--totk-dark-ocher)]/40 pb-3 text-base font-semibold text-[var(--totk-ivory)]">Flavor text</h2>
+                <div className="grid gap-5 sm:grid-cols-2">
+                  <div>
+                    <label className={labelClass}>Successful steal (one per line)</label>
+                    <textarea value={form.flavorText} onChange={(e) => setField("flavorText", e.target.value)} className={inputClass} rows={6} />
+                  </div>
+                  <div>
+                    <label className={labelClass}>Failed steal (one per line)</label>
+                    <textarea value={form.failText} onChange={(e) => setField("failText", e.target.value)} className={inputClass} rows={6} />
+                  </div>
+                </div>
+              </div>
+
+              <div className="flex justify-end gap-3 border-t border-[var(--totk-dark-ocher)]/40 pt-5">
+                <button
+                  type="button"
+                  onClick={() => setShowForm(false)}
+                  className="rounded-lg border border-[var(--totk-dark-ocher)] px-4 py-2.5 text-sm font-medium text-[var(--totk-grey-200)] hover:text-[var(--totk-ivory)]"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  disabled={submitting}
+                  className="rounded-lg border-2 border-[var(--totk-dark-ocher)] bg-[var(--totk-mid-ocher)] px-4 py-2.5 text-sm font-bold text-[var(--totk-ivory)] transition-colors hover:bg-[var(--totk-dark-ocher)] disabled:opacity-50"
+                >
+                  {submitting ? "Saving…" : editingName ? "Save changes" : "Create NPC"}
+                </button>
+              </div>
+            </form>
+          </section>
+        ) : loading ? (
+          <div className="flex justify-center py-12">
+            <Loading />
+          </div>
+        ) : (
+          <div className="overflow-x-auto rounded-2xl border-2 border-[var(--totk-dark-ocher)] bg-[var(--botw-warm-black)]">
+            <table className="w-full text-left text-sm">
+              <thead className="border-b border-[var(--totk-dark-ocher)] text-xs uppercase tracking-wide text-[var(--totk-grey-200)]">
+                <tr>
+                  <th className="px-4 py-3">NPC</th>
+                  <th className="px-4 py-3">Loot pool</th>
+                  <th className="px-4 py-3">Difficulty</th>
+                  <th className="px-4 py-3">Village</th>
+                  <th className="px-4 py-3">Schedule</th>
+                  <th className="px-4 py-3">Status</th>
+                  <th className="px-4 py-3" />
+                </tr>
+              </thead>
+              <tbody>
+                {list.map((npc) => (
+                  <tr key={npc.name} className="border-b border-[var(--totk-dark-ocher)]/40 text-[var(--totk-ivory)]">
+                    <td className="px-4 py-3">
+                      <div className="flex items-center gap-3">
+                        {npc.icon ? <img src={npc.icon} alt="" className="h-8 w-8 rounded-full object-cover" /> : null}
+                        <div>
+                          <div className="font-semibold">{npc.name}</div>
+                          <div className="text-xs text-[var(--totk-grey-200)]">{[npc.race, npc.profession].filter(Boolean).join(" · ")}</div>
+                        </div>
+                      </div>
+                    </td>
+                    <td className="px-4 py-3 text-xs text-[var(--totk-grey-200)]">
+                      {(npc.items.length > 0 ? npc.items : npc.categories).join(", ")}
+                    </td>
+                    <td className="px-4 py-3">{npc.stealDifficulty ? `+${npc.stealDifficulty}` : "—"}</td>
+                    <td className="px-4 py-3">{npc.village ?? "Any"}</td>
+                    <td className="px-4 py-3 text-xs">{formatAvailability(npc)}</td>
+                    <td className="px-4 py-3 text-xs">
+                      <span className={npc.isActive ? "text-[var(--totk-light-green)]" : "text-[var(--totk-grey-200)]"}>
+                        {npc.isActive ? "Active" : "Inactive"}
+                      </span>
+                      {!npc.isRegistered && <div className="text-[var(--totk-grey-200)]">Built-in defaults</div>}
+                    </td>
+                    <td className="px-4 py-3 text-right">
+                      <button
+                        type="button"
+                        onClick={() => openEdit(npc)}
+                        className="rounded-md border border-[var(--totk-dark-ocher)] px-3 py-1.5 text-xs font-medium text-[var(--totk-grey-200)] hover:border-[var(--totk-mid-ocher)] hover:text-[var(--totk-ivory)]"
+                      >
+                        <i className="fa-solid fa-pen mr-1.5" aria-hidden="true" />
+                        Edit
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,315 @@
+"use client";
+
+import React, { useCallback, useEffect, useState } from "react";
+import { useSession } from "@/hooks/use-session";
+import { Loading } from "@/components/ui";
+
+type JobStatus = "ok" | "paused" | "running" | "failed" | "never run";
+type SchedulerAction = "run" | "pause" | "resume";
+
+type ScheduledJob = {
+  name: string;
+  cron: string | null;
+  timezone: string | null;
+  paused: boolean;
+  status: JobStatus;
+  nextRunAt: string | null;
+  lastRunAt: string | null;
+  lastDurationMs: number | null;
+  lastError: string | null;
+  pendingRuns: number;
+};
+
+type JobRun = {
+  jobName: string;
+  trigger: "scheduled" | "manual" | "catch-up";
+  triggeredBy: string | null;
+  outcome: "success" | "failure";
+  error: string | null;
+  startedAt: string;
+  durationMs: number;
+};
+
+const STATUS_CLASS: Record<JobStatus, string> = {
+  ok: "text-[var(--totk-light-green)]",
+  paused: "text-[var(--totk-grey-200)]",
+  running: "text-[var(--totk-light-ocher)]",
+  failed: "text-red-300",
+  "never run": "text-[var(--totk-grey-200)]",
+};
+
+const HISTORY_LIMIT = 50;
+
+function formatTime(value: string | null): string {
+  return value ? new Date(value).toLocaleString() : "—";
+}
+
+function formatDuration(ms: number | null): string {
+  if (ms == null) return "";
+  return ms < 1000 ? `${ms}ms` : `${(ms / 1000).toFixed(1)}s`;
+}
+
+const actionButtonClass =
+  "rounded-md border border-[var(--totk-dark-ocher)] px-3 py-1.5 text-xs font-medium text-[var(--totk-grey-200)] hover:border-[var(--totk-mid-ocher)] hover:text-[var(--totk-ivory)] disabled:opacity-50";
+
+export default function AdminSchedulerPage() {
+  const { isAdmin, loading: sessionLoading } = useSession();
+  const [jobs, setJobs] = useState<ScheduledJob[]>([]);
+  const [runs, setRuns] = useState<JobRun[]>([]);
+  const [jobFilter, setJobFilter] = useState("");
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [success, setSuccess] = useState<string | null>(null);
+  const [pending, setPending] = useState<string | null>(null);
+
+  const fetchJobs = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const params = new URLSearchParams({ limit: String(HISTORY_LIMIT) });
+      if (jobFilter) params.set("job", jobFilter);
+      const res = await fetch(`/api/admin/scheduler?${params}`);
+      if (!res.ok) {
+        const data = await res.json().catch(() => ({}));
+        throw new Error((data as { message?: string }).message ?? "Failed to load scheduled jobs");
+      }
+      const data = (await res.json()) as { jobs?: ScheduledJob[]; runs?: JobRun[] };
+      setJobs(Array.isArray(data.jobs) ? data.jobs : []);
+      setRuns(Array.isArray(data.runs) ? data.runs : []);
+    } catch (e) {
+      setError(e instanceof Error ? e.message : String(e));
+      setJobs([]);
+      setRuns([]);
+    } finally {
+      setLoading(false);
+    }
+  }, [jobFilter]);
+
+  useEffect(() => {
+    if (isAdmin && !sessionLoading) fetchJobs();
+  }, [isAdmin, sessionLoading, fetchJobs]);
+
+  const handleAction = useCallback(
+    async (name: string, action: SchedulerAction) => {
+      setError(null);
+      setSuccess(null);
+      setPending(name);
+      try {
+        const res = await fetch(`/api/admin/scheduler/${encodeURIComponent(name)}`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ action }),
+        });
+        const data = await res.json().catch(() => ({}));
+        if (!res.ok) {
+          throw new Error((data as { message?: string; error?: string }).message ?? (data as { error?: string }).error ?? "Action failed");
+        }
+        setSuccess(
+          action === "run"
+            ? `Queued ${name}. The bot starts it within a few seconds.`
+            : `${action === "pause" ? "Paused" : "Resumed"} ${name}.`
+        );
+        await fetchJobs();
+      } catch (err) {
+        setError(err instanceof Error ? err.message : String(err));
+      } finally {
+        setPending(null);
+      }
+    },
+    [fetchJobs]
+  );
+
+  if (sessionLoading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-[var(--totk-light-green)]/10">
+        <Loading />
+      </div>
+    );
+  }
+
+  if (!isAdmin) {
+    return (
+      <div className="min-h-screen p-4 sm:p-6 md:p-8 flex items-center justify-center bg-[var(--botw-warm-black)]">
+        <div className="mx-auto max-w-md w-full text-center px-4">
+          <div className="mb-6 flex items-center justify-center gap-2 sm:gap-4">
+            <img src="/Side=Left.svg" alt="" className="h-5 w-auto sm:h-6" />
+            <h1 className="text-2xl sm:text-3xl font-bold text-[var(--totk-light-ocher)] uppercase">
+              Access Denied
+            </h1>
+            <img src="/Side=Right.svg" alt="" className="h-5 w-auto sm:h-6 md:h-8" />
+          </div>
+          <div className="rounded-lg border-2 border-[var(--totk-dark-ocher)] bg-[var(--botw-warm-black)] p-6 sm:p-8 shadow-2xl">
+            <p className="text-sm sm:text-base text-[var(--botw-pale)] mb-4 sm:mb-6">
+              You must be an admin to access the scheduler.
+            </p>
+            <a
+              href="/"
+              className="inline-block rounded-md bg-[var(--totk-mid-ocher)] px-5 py-2.5 text-sm font-bold text-[var(--totk-ivory)] transition-colors hover:bg-[var(--totk-dark-ocher)]"
+            >
+              Return Home
+            </a>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen p-4 sm:p-6 md:p-8 bg-[var(--totk-light-green)]/10">
+      <div className="mx-auto max-w-7xl space-y-6">
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4 mb-2">
+          <div className="flex flex-col items-center sm:items-start gap-2">
+            <div className="flex items-center gap-4 sm:gap-6">
+              <img src="/Side=Left.svg" alt="" className="h-6 sm:h-8 w-auto opacity-80" />
+              <h1 className="text-3xl sm:text-4xl md:text-5xl font-black text-[var(--totk-light-ocher)] tracking-tighter uppercase italic">
+                Scheduler
+              </h1>
+              <img src="/Side=Right.svg" alt="" className="h-6 sm:h-8 w-auto opacity-80" />
+            </div>
+            <p className="text-sm text-[var(--totk-grey-200)] text-center sm:text-left max-w-xl">
+              The bot&apos;s recurring jobs: run one now, pause or resume it, and check recent runs.
+            </p>
+          </div>
+          <button
+            type="button"
+            onClick={() => fetchJobs()}
+            disabled={loading}
+            className="shrink-0 rounded-lg border-2 border-[var(--totk-dark-ocher)] bg-[var(--totk-mid-ocher)] px-4 py-2.5 text-sm font-bold text-[var(--totk-ivory)] transition-colors hover:bg-[var(--totk-dark-ocher)] disabled:opacity-50"
+          >
+            <i className="fa-solid fa-rotate mr-2" aria-hidden="true" />
+            Refresh
+          </button>
+        </div>
+
+        {error && (
+          <div className="rounded-lg border-2 border-red-500/60 bg-red-500/10 px-4 py-3 text-sm text-red-200">
+            {error}
+          </div>
+        )}
+        {success && (
+          <div className="rounded-lg border-2 border-[var(--totk-light-green)]/60 bg-[var(--totk-light-green)]/10 px-4 py-3 text-sm text-[var(--totk-light-green)]">
+            {success}
+          </div>
+        )}
+
+        {loading && jobs.length === 0 ? (
+          <div className="flex justify-center py-12">
+            <Loading />
+          </div>
+        ) : (
+          <>
+            <div className="overflow-x-auto rounded-2xl border-2 border-[var(--totk-dark-ocher)] bg-[var(--botw-warm-black)]">
+              <table className="w-full text-left text-sm">
+                <thead className="border-b border-[var(--totk-dark-ocher)] text-xs uppercase tracking-wide text-[var(--totk-grey-200)]">
+                  <tr>
+                    <th className="px-4 py-3">Job</th>
+                    <th className="px-4 py-3">Schedule</th>
+                    <th className="px-4 py-3">Status</th>
+                    <th className="px-4 py-3">Next run</th>
+                    <th className="px-4 py-3">Last run</th>
+                    <th className="px-4 py-3" />
+                  </tr>
+                </thead>
+                <tbody>
+                  {jobs.map((job) => (
+                    <tr key={job.name} className="border-b border-[var(--totk-dark-ocher)]/40 text-[var(--totk-ivory)]">
+                      <td className="px-4 py-3 font-semibold">{job.name}</td>
+                      <td className="px-4 py-3 text-xs">
+                        <code>{job.cron ?? "—"}</code>
+                        {job.timezone && <div className="text-[var(--totk-grey-200)]">{job.timezone}</div>}
+                      </td>
+                      <td className="px-4 py-3 text-xs">
+                        <span className={STATUS_CLASS[job.status]}>{job.status}</span>
+                        {job.pendingRuns > 0 && (
+                          <div className="text-[var(--totk-grey-200)]">{job.pendingRuns} queued</div>
+                        )}
+                      </td>
+                      <td className="px-4 py-3 text-xs">{formatTime(job.nextRunAt)}</td>
+                      <td className="px-4 py-3 text-xs">
+                        {formatTime(job.lastRunAt)}
+                        {job.lastDurationMs != null && (
+                          <span className="text-[var(--totk-grey-200)]"> · {formatDuration(job.lastDurationMs)}</span>
+                        )}
+                        {job.lastError && <div className="max-w-xs truncate text-red-300" title={job.lastError}>{job.lastError}</div>}
+                      </td>
+                      <td className="px-4 py-3 text-right whitespace-nowrap space-x-2">
+                        <button type="button" onClick={() => handleAction(job.name, "run")} disabled={pending === job.name} className={actionButtonClass}>
+                          <i className="fa-solid fa-play mr-1.5" aria-hidden="true" />
+                          Run
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => handleAction(job.name, job.paused ? "resume" : "pause")}
+                          disabled={pending === job.name}
+                          className={actionButtonClass}
+                        >
+                          <i className={`fa-solid ${job.paused ? "fa-circle-play" : "fa-pause"} mr-1.5`} aria-hidden="true" />
+                          {job.paused ? "Resume" : "Pause"}
+                        </button>
+                        <button type="button" onClick={() => setJobFilter(job.name)} className={actionButtonClass}>
+                          History
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            <section className="rounded-2xl border-2 border-[var(--totk-dark-ocher)] bg-gradient-to-br from-[var(--botw-warm-black)] to-[var(--botw-black)] p-5 sm:p-7 space-y-4">
+              <div className="flex flex-wrap items-center justify-between gap-3 border-b border-[var(--totk-dark-ocher)]/40 pb-3">
+                <h2 className="text-base font-semibold text-[var(--totk-ivory)]">
+                  Run history{jobFilter ? ` · ${jobFilter}` : ""}
+                </h2>
+                <select
+                  value={jobFilter}
+                  onChange={(e) => setJobFilter(e.target.value)}
+                  className="rounded-md border border-[var(--totk-dark-ocher)] bg-[var(--botw-black)] px-3 py-1.5 text-xs text-[var(--totk-ivory)]"
+                >
+                  <option value="">All jobs</option>
+                  {jobs.map((job) => (
+                    <option key={job.name} value={job.name}>{job.name}</option>
+                  ))}
+                </select>
+              </div>
+              {runs.length === 0 ? (
+                <p className="text-sm text-[var(--totk-grey-200)]">No runs recorded yet.</p>
+              ) : (
+                <div className="overflow-x-auto">
+                  <table className="w-full text-left text-sm">
+                    <thead className="border-b border-[var(--totk-dark-ocher)] text-xs uppercase tracking-wide text-[var(--totk-grey-200)]">
+                      <tr>
+                        <th className="px-4 py-3">Started</th>
+                        <th className="px-4 py-3">Job</th>
+                        <th className="px-4 py-3">Trigger</th>
+                        <th className="px-4 py-3">Outcome</th>
+                        <th className="px-4 py-3">Duration</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {runs.map((run, index) => (
+                        <tr key={`${run.jobName}-${run.startedAt}-${index}`} className="border-b border-[var(--totk-dark-ocher)]/40 text-[var(--totk-ivory)]">
+                          <td className="px-4 py-3 text-xs">{formatTime(run.startedAt)}</td>
+                          <td className="px-4 py-3">{run.jobName}</td>
+                          <td className="px-4 py-3 text-xs">
+                            {run.trigger}
+                            {run.triggeredBy && <div className="text-[var(--totk-grey-200)]">by {run.triggeredBy}</div>}
+                          </td>
+                          <td className="px-4 py-3 text-xs">
+                            <span className={run.outcome === "success" ? "text-[var(--totk-light-green)]" : "text-red-300"}>{run.outcome}</span>
+                            {run.error && <div className="max-w-md truncate text-red-300" title={run.error}>{run.error}</div>}
+                          </td>
+                          <td className="px-4 py-3 text-xs">{formatDuration(run.durationMs)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </section>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
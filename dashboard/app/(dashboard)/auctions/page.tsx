@@ -0,0 +1,176 @@
+"use client";
+
+import { useCallback, useEffect, useMemo, useState } from "react";
+import { Loading } from "@/components/ui";
+
+const VILLAGES = ["Rudania", "Inariko", "Vhintl"] as const;
+const REFRESH_INTERVAL_MS = 60_000;
+
+type LiveAuction = {
+  auctionId: string;
+  village: string;
+  sellerName: string;
+  itemName: string;
+  quantity: number;
+  emoji: string;
+  image: string;
+  elixirLevel: number | null;
+  minimumBid: number;
+  buyoutPrice: number | null;
+  highBid: { characterName: string; amount: number } | null;
+  bidCount: number;
+  endsAt: string;
+  createdAt: string | null;
+};
+
+/** "2d 4h", "3h 12m", "45m", or "Ending" once under a minute */
+function formatTimeLeft(endsAt: string, now: number): string {
+  const ms = new Date(endsAt).getTime() - now;
+  if (ms < 60_000) return "Ending";
+  const minutes = Math.floor(ms / 60_000);
+  const days = Math.floor(minutes / 1440);
+  const hours = Math.floor((minutes % 1440) / 60);
+  const mins = minutes % 60;
+  if (days > 0) return `${days}d ${hours}h`;
+  if (hours > 0) return `${hours}h ${mins}m`;
+  return `${mins}m`;
+}
+
+export default function AuctionsPage() {
+  const [auctions, setAuctions] = useState<LiveAuction[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [village, setVillage] = useState<string>("");
+  const [now, setNow] = useState(() => Date.now());
+
+  const fetchAuctions = useCallback(async () => {
+    try {
+      const res = await fetch("/api/auctions", { cache: "no-store" });
+      const data = await res.json();
+      if (!res.ok) {
+        setError(data.error ?? "Failed to load auctions");
+        return;
+      }
+      setAuctions(Array.isArray(data.auctions) ? data.auctions : []);
+      setError(null);
+    } catch (e) {
+      setError(e instanceof Error ? e.message : "Request failed");
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchAuctions();
+    const timer = setInterval(() => {
+      setNow(Date.now());
+      fetchAuctions();
+    }, REFRESH_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [fetchAuctions]);
+
+  const visible = useMemo(
+    () =>
+      auctions.filter(
+        (a) => !village || a.village.toLowerCase() === village.toLowerCase()
+      ),
+    [auctions, village]
+  );
+
+  return (
+    <div className="min-h-full p-4 sm:p-6 md:p-8">
+      <div className="mx-auto max-w-5xl">
+        <div className="mb-4 sm:mb-6 flex items-center justify-center gap-2 sm:gap-4">
+          <img src="/Side=Left.svg" alt="" className="h-4 w-auto sm:h-6" aria-hidden />
+          <h1 className="text-xl sm:text-2xl md:text-3xl font-bold text-[var(--totk-light-ocher)]">Auction House</h1>
+          <img src="/Side=Right.svg" alt="" className="h-4 w-auto sm:h-6" aria-hidden />
+        </div>
+        <p className="mb-6 text-center text-sm text-[var(--botw-pale)]">
+          Live auctions from the <code>/auction</code> command. Bid in Discord with{" "}
+          <code>/auction bid</code>; lots and tokens are held in escrow until the auction ends.
+        </p>
+
+        <div className="mb-6 flex flex-wrap items-center justify-center gap-2">
+          {["", ...VILLAGES].map((v) => (
+            <button
+              key={v || "all"}
+              type="button"
+              onClick={() => setVillage(v)}
+              className={`rounded-md border px-3 py-1.5 text-sm font-medium transition-colors ${
+                village === v
+                  ? "border-[var(--totk-light-green)] bg-[var(--totk-light-green)]/20 text-[var(--totk-light-green)]"
+                  : "border-[var(--totk-dark-ocher)] text-[var(--botw-pale)] hover:border-[var(--totk-light-ocher)]"
+              }`}
+            >
+              {v || "All villages"}
+            </button>
+          ))}
+        </div>
+
+        {loading ? (
+          <Loading message="Loading auctions..." />
+        ) : error ? (
+          <div className="rounded-xl border-2 border-red-500/60 bg-red-900/20 p-4 text-center text-sm text-red-200">{error}</div>
+        ) : visible.length === 0 ? (
+          <div className="rounded-xl border-2 border-[var(--totk-dark-ocher)] bg-[var(--botw-warm-black)]/60 p-6 text-center text-sm text-[var(--botw-pale)]">
+            No live auctions right now. Start one in Discord with <code>/auction create</code>.
+          </div>
+        ) : (
+          <ul className="grid grid-cols-1 gap-4 sm:grid-cols-2 lg:grid-cols-3">
+            {visible.map((a) => (
+              <li
+                key={a.auctionId}
+                className="flex flex-col rounded-xl border-2 border-[var(--totk-dark-ocher)] bg-gradient-to-br from-[var(--totk-brown)]/20 to-[var(--botw-warm-black)]/60 p-4 shadow-lg"
+              >
+                <div className="mb-3 flex items-center gap-3">
+                  {a.image ? (
+                    <img src={a.image} alt="" className="h-12 w-12 rounded object-contain" />
+                  ) : (
+                    <span className="flex h-12 w-12 items-center justify-center text-2xl" aria-hidden>
+                      {a.emoji || "📦"}
+                    </span>
+                  )}
+                  <div className="min-w-0">
+                    <p className="truncate font-bold text-[var(--totk-ivory)]">
+                      {a.quantity}x {a.itemName}
+                    </p>
+                    <p className="text-xs text-[var(--totk-grey-200)]">
+                      {a.sellerName}
+                      {a.village ? ` · ${a.village}` : ""} · <span className="font-mono">{a.auctionId}</span>
+                    </p>
+                  </div>
+                </div>
+
+                <dl className="grid grid-cols-2 gap-y-1 text-sm">
+                  <dt className="text-[var(--totk-grey-200)]">{a.highBid ? "High bid" : "Minimum bid"}</dt>
+                  <dd className="text-right font-semibold text-[var(--totk-light-green)]">
+                    {a.highBid ? a.highBid.amount : a.minimumBid} tokens
+                  </dd>
+                  {a.highBid && (
+                    <>
+                      <dt className="text-[var(--totk-grey-200)]">Leader</dt>
+                      <dd className="truncate text-right text-[var(--botw-pale)]">
+                        {a.highBid.characterName} ({a.bidCount} bid{a.bidCount === 1 ? "" : "s"})
+                      </dd>
+                    </>
+                  )}
+                  <dt className="text-[var(--totk-grey-200)]">Buyout</dt>
+                  <dd className="text-right text-[var(--botw-pale)]">
+                    {a.buyoutPrice != null ? `${a.buyoutPrice} tokens` : "—"}
+                  </dd>
+                  <dt className="text-[var(--totk-grey-200)]">Ends in</dt>
+                  <dd
+                    className="text-right text-[var(--totk-light-ocher)]"
+                    title={new Date(a.endsAt).toLocaleString()}
+                  >
+                    {formatTimeLeft(a.endsAt, now)}
+                  </dd>
+                </dl>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -46,6 +46,25 @@ type CalendarData = {
 
 type TabValue = "monthly" | "birthdays" | "hyrulean" | "bloodmoon";
 
+type ForecastVillage = "Rudania" | "Inariko" | "Vhintl";
+
+type ForecastCondition = {
+  label: string;
+  emoji: string;
+};
+
+// One day of /api/weather/forecast (see @tinglebot/shared/weather/weatherForecast)
+type ForecastDay = {
+  dateKey: string; // YYYY-MM-DD (Eastern)
+  daysAhead: number;
+  confidence: number;
+  temperatureRange: { low: number; high: number } | null;
+  temperature: ForecastCondition | null;
+  wind: ForecastCondition | null;
+  precipitation: ForecastCondition | null;
+  special: ForecastCondition | null;
+};
+
 type DayEventsModalData = {
   date: Date;
   dateStr: string;
@@ -59,6 +78,8 @@ type DayEventsModalData = {
 /* ------------------- Constants ------------------- */
 /* ============================================================================ */
 
+const FORECAST_VILLAGES: ForecastVillage[] = ["Rudania", "Inariko", "Vhintl"];
+
 const TAB_ITEMS: Array<{ value: TabValue; label: string; icon: string }> = [
   { value: "monthly", label: "Monthly View", icon: "fa-calendar-days" },
   { value: "birthdays", label: "Birthdays", icon: "fa-birthday-cake" },
@@ -195,6 +216,12 @@ const formatDateMMDD = (date: Date): string => {
   return `${month}-${day}`;
 };
 
+// ------------------- Format Date Key ------------------
+// Format a calendar cell date as YYYY-MM-DD to match forecast date keys -
+const formatDateKey = (date: Date): string => {
+  return `${date.getFullYear()}-${formatDateMMDD(date)}`;
+};
+
 // ------------------- Character Profile URL ------------------
 // Helper function to create character profile URL
 const getCharacterProfileUrl = (birthday: Birthday): string | null => {
@@ -465,6 +492,8 @@ export default function CalendarPage() {
   const [viewingMonth, setViewingMonth] = useState(new Date());
   const [activeTab, setActiveTab] = useState<TabValue>("monthly");
   const [selectedDayEvents, setSelectedDayEvents] = useState<DayEventsModalData>(null);
+  const [forecastVillage, setForecastVillage] = useState<ForecastVillage | "">("");
+  const [forecast, setForecast] = useState<Partial<Record<ForecastVillage, ForecastDay[]>> | null>(null);
   const todayInfo = getTodayInfo();
 
   // ------------------- Fetch Calendar Data ------------------
@@ -513,6 +542,44 @@ export default function CalendarPage() {
     };
   }, []);
 
+  // ------------------- Fetch Weather Forecast ------------------
+  // Only fetched once a village overlay is picked; one response covers all villages
+  useEffect(() => {
+    if (!forecastVillage || forecast) return;
+    const abortController = new AbortController();
+
+    async function fetchForecast() {
+      try {
+        const response = await fetch("/api/weather/forecast", {
+          signal: abortController.signal,
+        });
+        if (!response.ok) {
+          throw new Error("Failed to fetch weather forecast");
+        }
+        const data: { forecast: Partial<Record<ForecastVillage, ForecastDay[]>> } = await response.json();
+        if (!abortController.signal.aborted) {
+          setForecast(data.forecast);
+        }
+      } catch (err: unknown) {
+        if (abortController.signal.aborted) return;
+        const error = err instanceof Error ? err : new Error(String(err));
+        console.error("[calendar/page.tsx]❌ Failed to fetch weather forecast:", error);
+      }
+    }
+
+    fetchForecast();
+
+    return () => {
+      abortController.abort();
+    };
+  }, [forecastVillage, forecast]);
+
+  // Forecast days for the selected village, keyed by YYYY-MM-DD
+  const forecastByDate = useMemo(() => {
+    const days = forecastVillage && forecast ? forecast[forecastVillage] ?? [] : [];
+    return new Map(days.map((day) => [day.dateKey, day]));
+  }, [forecastVillage, forecast]);
+
   // Update current date every minute
   useEffect(() => {
     const timer = setInterval(() => {
@@ -784,6 +851,25 @@ export default function CalendarPage() {
             </button>
           </header>
 
+          {/* Weather Forecast Overlay */}
+          <div className="mb-4 flex flex-wrap items-center justify-end gap-2">
+            <label htmlFor="forecast-village" className="text-sm text-[var(--totk-grey-200)]">
+              <i className="fa-solid fa-cloud-sun mr-1" aria-hidden="true" />
+              Weather forecast
+            </label>
+            <select
+              id="forecast-village"
+              value={forecastVillage}
+              onChange={(e) => setForecastVillage(e.target.value as ForecastVillage | "")}
+              className="rounded-lg border border-[var(--totk-dark-ocher)] bg-[var(--botw-warm-black)] px-3 py-1.5 text-sm text-[var(--totk-ivory)] focus:border-[var(--totk-light-green)] focus:outline-none"
+            >
+              <option value="">Off</option>
+              {FORECAST_VILLAGES.map((village) => (
+                <option key={village} value={village}>{village}</option>
+              ))}
+            </select>
+          </div>
+
           {/* Weekday Headers */}
           <div className="mb-2 grid grid-cols-7 gap-1" role="rowgroup">
             {['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].map((day) => (
@@ -802,6 +888,7 @@ export default function CalendarPage() {
             {calendarDays.map((day) => {
               const totalEvents = day.birthdays.length + day.questEvents.length;
               const dayKey = `${day.dateStr}-${day.date.getTime()}`;
+              const dayForecast = forecastByDate.get(formatDateKey(day.date));
               
               const handleDayClick = () => {
                 if (totalEvents > 0) {
@@ -863,6 +950,33 @@ export default function CalendarPage() {
                     {day.hyruleanDate}
                   </div>
 
+                  {/* Weather Forecast */}
+                  {dayForecast && (
+                    <div
+                      className="mb-1 flex flex-wrap items-center gap-x-1 rounded border border-[var(--totk-dark-ocher)]/60 bg-[var(--totk-brown)]/40 px-1 py-0.5 text-[10px] text-[var(--totk-ivory)]"
+                      title={[
+                        dayForecast.temperature?.label,
+                        dayForecast.wind?.label,
+                        dayForecast.precipitation?.label,
+                        dayForecast.special?.label,
+                        `${dayForecast.confidence}% confidence`,
+                      ].filter(Boolean).join(" · ")}
+                    >
+                      <span aria-hidden="true">
+                        {dayForecast.precipitation?.emoji}
+                        {dayForecast.special?.emoji}
+                      </span>
+                      {dayForecast.temperatureRange && (
+                        <span>
+                          {dayForecast.temperatureRange.low === dayForecast.temperatureRange.high
+                            ? `${dayForecast.temperatureRange.low}°F`
+                            : `${dayForecast.temperatureRange.low}–${dayForecast.temperatureRange.high}°F`}
+                        </span>
+                      )}
+                      <span className="text-[var(--totk-grey-200)]">{dayForecast.confidence}%</span>
+                    </div>
+                  )}
+
                   {/* Events */}
                   <div className="mt-1 space-y-1">
                     {/* Quest Events */}
@@ -919,6 +1033,10 @@ export default function CalendarPage() {
                 <i className="fa-solid fa-user-plus text-[var(--totk-light-ocher)]" aria-hidden="true" />
                 <span className="text-sm text-[var(--totk-ivory)]">Sign-up Ends</span>
               </div>
+              <div className="flex items-center gap-2">
+                <i className="fa-solid fa-cloud-sun text-[var(--totk-light-ocher)]" aria-hidden="true" />
+                <span className="text-sm text-[var(--totk-ivory)]">Forecast (confidence drops further out)</span>
+              </div>
             </dl>
           </aside>
         </section>
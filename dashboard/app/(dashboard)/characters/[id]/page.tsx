@@ -12,6 +12,7 @@ import Image from "next/image";
 import ReactMarkdown, { type Components } from "react-markdown";
 import remarkBreaks from "remark-breaks";
 import { Loading } from "@/components/ui";
+import { CharacterHistory } from "@/components/features/characters/CharacterHistory";
 import { useSession } from "@/hooks/use-session";
 import { capitalize, createSlug } from "@/lib/string-utils";
 import { imageUrlForGcsUrl } from "@/lib/image-url";
@@ -2212,6 +2213,13 @@ export default function OCDetailPage() {
               })()}
             </CardSection>
 
+            {/* Character History (owner only: token rows are account-wide) */}
+            {user && character._id && character.userId === user.id && (
+              <CardSection icon="fa-clock-rotate-left" title="History">
+                <CharacterHistory characterId={String(character._id)} />
+              </CardSection>
+            )}
+
             {/* Gear Card */}
             <CardSection
               icon="fa-shield-halved"
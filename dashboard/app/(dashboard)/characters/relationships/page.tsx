@@ -14,6 +14,7 @@ import { capitalize, createSlug } from "@/lib/string-utils";
 import { imageUrlForGcsUrl } from "@/lib/image-url";
 import { RELATIONSHIP_CONFIG, type RelationshipType } from "@/data/relationshipConfig";
 import { getVillageCrestIcon } from "@/app/(dashboard)/models/characters/page";
+import { RelationshipGraph } from "@/components/features/relationships/RelationshipGraph";
 
 // ============================================================================
 // ------------------- Types -------------------
@@ -54,7 +55,7 @@ type Relationship = {
   updatedAt?: string;
 };
 
-type TabValue = "my-relationships" | "all-relationships" | "all-entries";
+type TabValue = "my-relationships" | "all-relationships" | "all-entries" | "graph";
 
 // ============================================================================
 // ------------------- Constants & Helpers -------------------
@@ -1727,6 +1728,7 @@ export default function RelationshipsPage() {
   const [myCharacters, setMyCharacters] = useState<Character[]>([]);
   const [allCharacters, setAllCharacters] = useState<Character[]>([]);
   const [allRelationships, setAllRelationships] = useState<Relationship[]>([]);
+  const [relationshipOwners, setRelationshipOwners] = useState<Record<string, string>>({});
   const [relationshipCounts, setRelationshipCounts] = useState<Map<string, number>>(new Map());
   const [selectedCharacter, setSelectedCharacter] = useState<Character | null>(null);
   const [outgoingRelationships, setOutgoingRelationships] = useState<Relationship[]>([]);
@@ -1953,7 +1955,7 @@ export default function RelationshipsPage() {
 
   // Fetch all relationships for all-entries tab
   const fetchAllRelationships = useCallback(async () => {
-    if (activeTab !== "all-entries") return;
+    if (activeTab !== "all-entries" && activeTab !== "graph") return;
 
     try {
       setLoadingCharacters(true);
@@ -1967,6 +1969,7 @@ export default function RelationshipsPage() {
 
       const data = await res.json();
       setAllRelationships(data.relationships || []);
+      setRelationshipOwners(data.owners || {});
     } catch (err) {
       const error = err instanceof Error ? err : new Error(String(err));
       console.error("[relationships/page.tsx] ❌ Failed to load all relationships:", error);
@@ -1977,7 +1980,7 @@ export default function RelationshipsPage() {
   }, [activeTab]);
 
   useEffect(() => {
-    if (activeTab !== "all-entries") return;
+    if (activeTab !== "all-entries" && activeTab !== "graph") return;
 
     const abortController = new AbortController();
     fetchAllRelationships();
@@ -2022,6 +2025,19 @@ export default function RelationshipsPage() {
     await fetchCharacterRelationships(character._id);
   }, [fetchCharacterRelationships]);
 
+  // Graph nodes only carry an id; the populated refs on the relationships have the rest
+  const handleGraphNodeClick = useCallback((characterId: string) => {
+    for (const rel of allRelationships) {
+      for (const ref of [rel.characterId, rel.targetCharacterId]) {
+        const character = getCharacter(ref);
+        if (character && getCharacterId(character) === characterId) {
+          void handleCharacterClick(character);
+          return;
+        }
+      }
+    }
+  }, [allRelationships, handleCharacterClick]);
+
   if (sessionLoading) {
     return (
       <div className="flex min-h-screen items-center justify-center">
@@ -2081,6 +2097,7 @@ export default function RelationshipsPage() {
               { value: "my-relationships", label: "My Relationships", icon: "fa-heart" },
               { value: "all-relationships", label: "All Relationships", icon: "fa-users" },
               { value: "all-entries", label: "All Entries", icon: "fa-list" },
+              { value: "graph", label: "Graph", icon: "fa-diagram-project" },
             ]}
             activeTab={activeTab}
             onTabChange={(tab) => setActiveTab(tab as TabValue)}
@@ -2110,7 +2127,14 @@ export default function RelationshipsPage() {
           <Loading message={`Loading ${activeTab === "my-relationships" ? "your characters" : activeTab === "all-relationships" ? "all characters" : activeTab === "all-entries" ? "all relationships" : "relationships"}...`} variant="inline" size="lg" />
         ) : (
           <>
-            {activeTab === "all-entries" ? (
+            {activeTab === "graph" ? (
+              <RelationshipGraph
+                relationships={allRelationships}
+                owners={relationshipOwners}
+                currentUserId={user?.id}
+                onNodeClick={handleGraphNodeClick}
+              />
+            ) : activeTab === "all-entries" ? (
               <AllEntriesTabContent 
                 relationships={allRelationships} 
                 user={user}
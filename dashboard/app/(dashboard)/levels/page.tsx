@@ -9,9 +9,11 @@ import type {
   LeaderboardEntry,
   BlupeeHunterEntry,
   ExchangePreview,
+  SeasonPassData,
+  SeasonPassReward,
 } from "@/types/levels";
 
-const TAB_VALUES = ["my-rank", "leaderboard", "blupee-hunters", "exchange"] as const;
+const TAB_VALUES = ["my-rank", "season", "leaderboard", "blupee-hunters", "exchange"] as const;
 type TabValue = (typeof TAB_VALUES)[number];
 
 function parseTab(s: string | null): TabValue {
@@ -36,6 +38,12 @@ function formatRelativeTime(date: Date | string | null): string {
   return `${diffYears}y ago`;
 }
 
+function formatSeasonReward(reward: SeasonPassReward): string {
+  if (reward.type === "tokens") return `${reward.amount} tokens`;
+  if (reward.type === "item") return `${reward.quantity}x ${reward.itemName}`;
+  return `${reward.emoji} ${reward.label} badge`;
+}
+
 function getMedalEmoji(rank: number): string {
   if (rank === 1) return "🥇";
   if (rank === 2) return "🥈";
@@ -51,12 +59,14 @@ export default function LevelsPage() {
   const [leaderboard, setLeaderboard] = useState<LeaderboardEntry[]>([]);
   const [blupeeHunters, setBlupeeHunters] = useState<BlupeeHunterEntry[]>([]);
   const [exchangePreview, setExchangePreview] = useState<ExchangePreview | null>(null);
+  const [seasonPass, setSeasonPass] = useState<SeasonPassData | null>(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState<string | null>(null);
   const [exchanging, setExchanging] = useState(false);
 
   const tabs: { value: TabValue; label: string; icon: string }[] = [
     { value: "my-rank", label: "My Rank", icon: "fa-user-circle" },
+    { value: "season", label: "Season Pass", icon: "fa-leaf" },
     { value: "leaderboard", label: "Leaderboard", icon: "fa-trophy" },
     { value: "blupee-hunters", label: "Blupee Hunters", icon: "fa-paw" },
     { value: "exchange", label: "Exchange", icon: "fa-exchange-alt" },
@@ -94,24 +104,26 @@ export default function LevelsPage() {
         setLoading(true);
         setError(null);
 
-        const [rankRes, leaderboardRes, blupeeRes, exchangeRes] = await Promise.all([
+        const [rankRes, leaderboardRes, blupeeRes, exchangeRes, seasonRes] = await Promise.all([
           fetch("/api/levels/my-rank", { signal: abortController.signal }),
           fetch("/api/levels/leaderboard", { signal: abortController.signal }),
           fetch("/api/levels/blupee-hunters", { signal: abortController.signal }),
           fetch("/api/levels/exchange", { signal: abortController.signal }),
+          fetch("/api/levels/season", { signal: abortController.signal }),
         ]);
 
         if (abortController.signal.aborted) return;
 
-        if (!rankRes.ok || !leaderboardRes.ok || !blupeeRes.ok || !exchangeRes.ok) {
+        if (!rankRes.ok || !leaderboardRes.ok || !blupeeRes.ok || !exchangeRes.ok || !seasonRes.ok) {
           throw new Error("Failed to fetch data");
         }
 
-        const [rankData, leaderboardData, blupeeData, exchangeData] = await Promise.all([
+        const [rankData, leaderboardData, blupeeData, exchangeData, seasonData] = await Promise.all([
           rankRes.json(),
           leaderboardRes.json(),
           blupeeRes.json(),
           exchangeRes.json(),
+          seasonRes.json(),
         ]);
 
         if (abortController.signal.aborted) return;
@@ -120,6 +132,7 @@ export default function LevelsPage() {
         setLeaderboard(leaderboardData.leaderboard);
         setBlupeeHunters(blupeeData.leaderboard);
         setExchangePreview(exchangeData);
+        setSeasonPass(seasonData);
       } catch (err: unknown) {
         if (abortController.signal.aborted) return;
         const error = err instanceof Error ? err : new Error(String(err));
@@ -200,7 +213,7 @@ export default function LevelsPage() {
             Levels & Progression
           </h1>
           <p className="text-[var(--botw-pale)]">
-            Track your server activity level, view the leaderboard, and exchange your earned levels for tokens!
+            Track your server activity level, climb the season pass, view the leaderboard, and exchange your earned levels for tokens!
           </p>
         </div>
 
@@ -326,6 +339,156 @@ export default function LevelsPage() {
           </div>
         )}
 
+        {tab === "season" && seasonPass && (
+          <div className="space-y-6">
+            <div className="grid gap-6 lg:grid-cols-3">
+              {/* Season Tier Card */}
+              <div className="rounded-lg border-2 border-[var(--totk-dark-ocher)] bg-gradient-to-br from-[var(--totk-brown)]/40 via-[var(--botw-warm-black)]/50 to-[var(--totk-brown)]/40 p-6 shadow-lg lg:col-span-2">
+                <div className="flex items-center gap-2 mb-1">
+                  <span className="text-xl" aria-hidden="true">{seasonPass.season.emoji}</span>
+                  <h2 className="text-xl font-bold text-[var(--totk-light-green)]">{seasonPass.season.label} Season Pass</h2>
+                </div>
+                <p className="text-sm text-[var(--totk-grey-200)] mb-4">
+                  Ends {new Date(seasonPass.season.endsAt).toLocaleDateString()} • unclaimed rewards expire with the season
+                </p>
+                <div className="text-4xl font-bold text-[var(--botw-blue)] mb-4">
+                  Tier {seasonPass.tier} / {seasonPass.maxTier}
+                </div>
+                <div className="mb-2 flex items-center justify-between text-xs text-[var(--botw-pale)]">
+                  <span>{seasonPass.percentage}%</span>
+                  <span>
+                    {seasonPass.tier >= seasonPass.maxTier
+                      ? "Track complete!"
+                      : `${seasonPass.xpIntoTier.toLocaleString()} / ${seasonPass.xpPerTier.toLocaleString()} XP to tier ${seasonPass.tier + 1}`}
+                  </span>
+                </div>
+                <div className="h-2.5 overflow-hidden rounded-full bg-[var(--totk-grey-400)]/80">
+                  <div
+                    className="h-full rounded-full transition-all duration-500 ease-out"
+                    style={{
+                      width: `${seasonPass.percentage}%`,
+                      background: "linear-gradient(90deg, var(--botw-blue), var(--botw-dark-blue))",
+                    }}
+                  />
+                </div>
+              </div>
+
+              {/* Season XP Sources Card */}
+              <div className="rounded-lg border-2 border-[var(--totk-dark-ocher)] bg-gradient-to-br from-[var(--totk-brown)]/40 via-[var(--botw-warm-black)]/50 to-[var(--totk-brown)]/40 p-6 shadow-lg">
+                <div className="flex items-center gap-2 mb-4">
+                  <i className="fa-solid fa-chart-line text-[var(--botw-blue)] text-xl" />
+                  <h2 className="text-xl font-bold text-[var(--totk-light-green)]">Season XP</h2>
+                </div>
+                <div className="space-y-2">
+                  {[
+                    { label: "Chat", value: seasonPass.xpBySource.message },
+                    { label: "Quests", value: seasonPass.xpBySource.quest },
+                    { label: "Raids", value: seasonPass.xpBySource.raid },
+                    { label: "Submissions", value: seasonPass.xpBySource.submission },
+                  ].map(({ label, value }) => (
+                    <div key={label} className="flex justify-between">
+                      <span className="text-sm text-[var(--totk-grey-200)]">{label}</span>
+                      <span className="text-sm font-semibold text-[var(--botw-pale)]">{value.toLocaleString()}</span>
+                    </div>
+                  ))}
+                  <div className="flex justify-between border-t border-[var(--totk-dark-ocher)]/40 pt-2">
+                    <span className="text-sm text-[var(--totk-grey-200)]">Total</span>
+                    <span className="text-sm font-semibold text-[var(--botw-blue)]">{seasonPass.xp.toLocaleString()}</span>
+                  </div>
+                </div>
+              </div>
+            </div>
+
+            {/* Claimable Rewards */}
+            <div className="p-3 rounded-lg bg-[var(--totk-green)]/10 border-2 border-[var(--totk-green)]/40 flex items-center justify-center gap-2">
+              <i className="fa-solid fa-gift text-[var(--totk-light-green)]" />
+              <p className="text-sm text-[var(--botw-pale)]">
+                {seasonPass.claimable.length > 0 ? (
+                  <>
+                    <span className="font-semibold text-[var(--totk-light-green)]">
+                      {seasonPass.claimable.length} tier{seasonPass.claimable.length === 1 ? "" : "s"} ready to claim!
+                    </span>{" "}
+                    Use <code>/levels season-claim</code> in Discord (add a character to receive item rewards).
+                  </>
+                ) : (
+                  "No rewards to claim right now. Chat, complete quests, join raids and submit art or writing to earn season XP."
+                )}
+              </p>
+            </div>
+
+            {/* Tier Track */}
+            <div className="rounded-lg border-2 border-[var(--totk-dark-ocher)] bg-gradient-to-br from-[var(--totk-brown)]/40 via-[var(--botw-warm-black)]/50 to-[var(--totk-brown)]/40 p-6 shadow-lg">
+              <h2 className="text-2xl font-bold text-[var(--totk-light-green)] mb-6">Rewards Track</h2>
+              <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-5 gap-3">
+                {seasonPass.tiers.map((entry) => {
+                  const claimable = entry.unlocked && !entry.claimed;
+                  return (
+                    <div
+                      key={entry.tier}
+                      className={`rounded-lg border p-3 ${
+                        claimable
+                          ? "border-2 border-[var(--botw-blue)]/60 bg-[var(--botw-warm-black)]/60 shadow-[0_0_10px_rgba(0,163,218,0.3)]"
+                          : entry.unlocked
+                            ? "border-[var(--totk-green)]/40 bg-[var(--totk-green)]/10"
+                            : "border-[var(--totk-dark-ocher)]/60 bg-[var(--botw-warm-black)]/60 opacity-70"
+                      }`}
+                    >
+                      <div className="flex items-center justify-between mb-1">
+                        <span className="text-sm font-bold text-[var(--totk-light-green)]">Tier {entry.tier}</span>
+                        <span className="text-xs text-[var(--totk-grey-200)]">
+                          {entry.claimed ? (
+                            <i className="fa-solid fa-check text-[var(--totk-light-green)]" aria-label="Claimed" />
+                          ) : claimable ? (
+                            "Claimable"
+                          ) : (
+                            `${entry.xpRequired.toLocaleString()} XP`
+                          )}
+                        </span>
+                      </div>
+                      <ul className="space-y-0.5">
+                        {entry.rewards.map((reward, index) => (
+                          <li key={index} className="text-xs text-[var(--botw-pale)]">
+                            {formatSeasonReward(reward)}
+                          </li>
+                        ))}
+                      </ul>
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+
+            {/* Badges */}
+            <div className="rounded-lg border-2 border-[var(--totk-dark-ocher)] bg-gradient-to-br from-[var(--totk-brown)]/40 via-[var(--botw-warm-black)]/50 to-[var(--totk-brown)]/40 p-6 shadow-lg">
+              <div className="flex items-center gap-2 mb-4">
+                <i className="fa-solid fa-award text-[var(--totk-light-green)] text-xl" />
+                <h2 className="text-2xl font-bold text-[var(--totk-light-green)]">Profile Badges</h2>
+              </div>
+              {seasonPass.badges.length === 0 ? (
+                <p className="text-sm text-[var(--botw-pale)]">No badges yet. Reach tiers 15 and 30 to earn this season&apos;s badges.</p>
+              ) : (
+                <div className="flex flex-wrap gap-2">
+                  {seasonPass.badges.map((badge) => (
+                    <span
+                      key={badge.badgeId}
+                      className="rounded-full border border-[var(--totk-dark-ocher)]/60 bg-[var(--botw-warm-black)]/60 px-3 py-1 text-sm text-[var(--totk-light-green)]"
+                      title={badge.earnedAt ? `Earned ${new Date(badge.earnedAt).toLocaleDateString()}` : undefined}
+                    >
+                      {badge.emoji ?? "🏅"} {badge.label}
+                    </span>
+                  ))}
+                </div>
+              )}
+              {seasonPass.history.length > 0 && (
+                <div className="mt-4 text-sm text-[var(--totk-grey-200)]">
+                  Past seasons:{" "}
+                  {seasonPass.history.map((entry) => `${entry.seasonId} (tier ${entry.tier})`).join(" • ")}
+                </div>
+              )}
+            </div>
+          </div>
+        )}
+
         {tab === "leaderboard" && (
           <div className="rounded-lg border-2 border-[var(--totk-dark-ocher)] bg-gradient-to-br from-[var(--totk-brown)]/40 via-[var(--botw-warm-black)]/50 to-[var(--totk-brown)]/40 p-6 shadow-lg">
             <h2 className="text-2xl font-bold text-[var(--totk-light-green)] mb-6">Top Yappers</h2>
@@ -16,6 +16,8 @@ import type {
   HelpWantedCompletion,
   QuestCompletion,
   ActivityData,
+  ProfileAchievement,
+  ProfileAchievementsData,
 } from "@/types/user";
 import { Loading, Tabs } from "@/components/ui";
 import { capitalize } from "@/lib/string-utils";
@@ -39,7 +41,7 @@ import {
   LabelList,
 } from "recharts";
 
-const TAB_VALUES = ["profile", "levels", "notifications", "quests", "help-wanted", "tokens"] as const;
+const TAB_VALUES = ["profile", "levels", "achievements", "notifications", "quests", "help-wanted", "tokens"] as const;
 type TabValue = (typeof TAB_VALUES)[number];
 
 function parseTab(s: string | null): TabValue {
@@ -171,6 +173,7 @@ function ProfileTabbedLayout({
   const tabs: { value: TabValue; label: string; icon: string }[] = [
     { value: "profile", label: "Profile", icon: "fa-user-circle" },
     { value: "levels", label: "Levels", icon: "fa-chart-line" },
+    { value: "achievements", label: "Achievements", icon: "fa-trophy" },
     { value: "notifications", label: "Notifications", icon: "fa-bell" },
     { value: "quests", label: "Quests", icon: "fa-scroll" },
     { value: "help-wanted", label: "Help Wanted", icon: "fa-hand-holding-heart" },
@@ -209,6 +212,12 @@ function ProfileTabbedLayout({
           </div>
         )}
 
+        {tab === "achievements" && (
+          <div className="w-full">
+            <AchievementsTabContent />
+          </div>
+        )}
+
         {tab === "notifications" && (
           <div className="w-full">
             <NotificationsTabContent />
@@ -2335,6 +2344,75 @@ const NOTIFICATION_MARKDOWN_COMPONENTS: Components = {
   br: () => <br />,
 };
 
+/* [profile/page.tsx]🔔 DM preferences stored on UserModel.settings (read by the bot) - */
+function WishlistAlertSetting() {
+  const [enabled, setEnabled] = useState<boolean | null>(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    fetch("/api/users/notification-settings")
+      .then((res) => (res.ok ? res.json() : null))
+      .then((data: { settings?: { wishlistAlerts?: boolean } } | null) => {
+        setEnabled(data?.settings?.wishlistAlerts ?? true);
+      })
+      .catch(() => setEnabled(true));
+  }, []);
+
+  const handleToggle = async () => {
+    if (enabled === null) return;
+    const next = !enabled;
+    setSaving(true);
+    setError(null);
+    try {
+      const res = await fetch("/api/users/notification-settings", {
+        method: "PATCH",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ wishlistAlerts: next }),
+      });
+      if (!res.ok) {
+        const data = await res.json().catch(() => ({}));
+        throw new Error(data.error || "Failed to save setting");
+      }
+      setEnabled(next);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : "Failed to save setting");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="flex flex-col gap-2 rounded-xl border border-[var(--totk-dark-ocher)]/40 bg-[var(--botw-warm-black)]/40 p-3 sm:flex-row sm:items-center sm:justify-between">
+      <div>
+        <p className="text-sm font-semibold text-[var(--botw-pale)]">
+          <i className="fa-solid fa-gift mr-2 text-[var(--totk-light-ocher)]" />
+          Wishlist alerts
+        </p>
+        <p className="text-xs text-[var(--totk-grey-200)]">
+          Discord DM when an item on one of your characters&apos; wishlists shows up from the Peddler, the village shop, vending stock or a vendor.
+        </p>
+        {error && <p className="mt-1 text-xs text-[#ef4444]">{error}</p>}
+      </div>
+      <button
+        type="button"
+        role="switch"
+        aria-checked={enabled ?? false}
+        onClick={handleToggle}
+        disabled={enabled === null || saving}
+        className={`shrink-0 rounded-lg px-3 py-1.5 text-xs font-semibold transition-all duration-200 ${
+          enabled
+            ? "bg-gradient-to-r from-[var(--totk-dark-green)] to-[var(--totk-green)] text-[var(--totk-ivory)]"
+            : "bg-[var(--totk-grey-400)]/30 text-[var(--totk-grey-200)]"
+        } ${enabled === null || saving ? "cursor-not-allowed opacity-50" : "hover:scale-105"}`}
+      >
+        <i className={`fa-solid ${saving ? "fa-spinner fa-spin" : enabled ? "fa-toggle-on" : "fa-toggle-off"} mr-1.5`} />
+        {enabled === null ? "Loading..." : enabled ? "On" : "Off"}
+      </button>
+    </div>
+  );
+}
+
 function NotificationsTabContent() {
   const [notifications, setNotifications] = useState<NotificationItem[]>([]);
   const [loading, setLoading] = useState(true);
@@ -2514,6 +2592,7 @@ function NotificationsTabContent() {
   return (
     <SectionCard title="Notifications" icon="fa-bell">
       <div className="space-y-5">
+        <WishlistAlertSetting />
         {notifications.length > 0 && (
           <div className="flex flex-col gap-3 rounded-xl border border-[var(--totk-dark-ocher)]/40 bg-gradient-to-r from-[var(--botw-warm-black)]/60 to-[var(--totk-brown)]/30 p-3 shadow-sm backdrop-blur-sm sm:flex-row sm:items-center sm:justify-between">
             <div className="flex items-center gap-2">
@@ -2709,6 +2788,115 @@ function Pill({ children, className = "" }: { children: React.ReactNode; classNa
   );
 }
 
+function AchievementBadge({ achievement, locked = false }: { achievement: ProfileAchievement; locked?: boolean }) {
+  return (
+    <div
+      className={`flex items-start gap-3 rounded-xl border px-4 py-3 ${
+        locked
+          ? "border-[var(--totk-grey-400)]/60 bg-[var(--totk-grey-400)]/20 opacity-60"
+          : "border-[var(--totk-dark-ocher)]/40 bg-[var(--totk-grey-400)]/50"
+      }`}
+    >
+      <span className="text-2xl leading-none" aria-hidden>
+        {locked ? "🔒" : achievement.emoji}
+      </span>
+      <div className="min-w-0">
+        <p className="text-sm font-semibold text-[var(--totk-light-ocher)]">{achievement.name}</p>
+        <p className="text-xs text-[var(--botw-pale)]">{achievement.description}</p>
+        <p className="mt-1 text-[11px] uppercase tracking-wider text-[var(--totk-grey-200)]">
+          {achievement.categoryLabel}
+          {achievement.earnedAt ? ` • ${formatShortDate(achievement.earnedAt)}` : ""}
+        </p>
+      </div>
+    </div>
+  );
+}
+
+function AchievementGrid({ earned, locked }: { earned: ProfileAchievement[]; locked: ProfileAchievement[] }) {
+  return (
+    <div className="grid gap-3 sm:grid-cols-2 lg:grid-cols-3">
+      {earned.map((a) => (
+        <AchievementBadge key={a.id} achievement={a} />
+      ))}
+      {locked.map((a) => (
+        <AchievementBadge key={a.id} achievement={a} locked />
+      ))}
+    </div>
+  );
+}
+
+function AchievementsTabContent() {
+  const [data, setData] = useState<ProfileAchievementsData | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    const fetchAchievements = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        const res = await fetch("/api/users/achievements");
+        if (!res.ok) {
+          const body = await res.json();
+          throw new Error(body.error || "Failed to fetch achievements");
+        }
+        setData((await res.json()) as ProfileAchievementsData);
+      } catch (err: unknown) {
+        const error = err instanceof Error ? err : new Error(String(err));
+        setError(error.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchAchievements();
+  }, []);
+
+  if (loading) {
+    return (
+      <SectionCard title="Achievements" icon="fa-trophy">
+        <div className="flex min-h-[200px] items-center justify-center py-12">
+          <Loading />
+        </div>
+      </SectionCard>
+    );
+  }
+
+  if (error || !data) {
+    return (
+      <SectionCard title="Achievements" icon="fa-trophy">
+        <p className="text-sm text-[var(--totk-grey-200)]">{error || "No achievement data available"}</p>
+      </SectionCard>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <SectionCard title="Achievements" icon="fa-trophy">
+        <div className="grid gap-3 sm:grid-cols-3">
+          <Metric label="Earned" value={data.totalEarned} accent="green" />
+          <Metric label="Available" value={data.totalAvailable} accent="ocher" />
+          <Metric label="Characters" value={data.characters.length} accent="blue" />
+        </div>
+      </SectionCard>
+
+      <SectionCard title={`Player (${data.player.earned.length}/${data.player.total})`} icon="fa-user">
+        <AchievementGrid earned={data.player.earned} locked={data.player.locked} />
+      </SectionCard>
+
+      {data.characters.map((character) => (
+        <SectionCard
+          key={character.characterId}
+          title={`${character.name} (${character.earned.length}/${character.total})`}
+          icon="fa-user-shield"
+        >
+          <AchievementGrid earned={character.earned} locked={character.locked} />
+        </SectionCard>
+      ))}
+    </div>
+  );
+}
+
 /* ============================================================================ */
 /* ------------------- Utility Functions ------------------- */
 /* ============================================================================ */
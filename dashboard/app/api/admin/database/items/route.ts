@@ -7,7 +7,7 @@
 // ============================================================================
 
 import { NextRequest, NextResponse } from "next/server";
-import { connect, getInventoriesConnection } from "@/lib/db";
+import { connect, getInventoriesConnection, INVENTORIES_COLLECTION } from "@/lib/db";
 import { getSession, isAdminUser } from "@/lib/session";
 import { logger } from "@/utils/logger";
 import mongoose, { type Model } from "mongoose";
@@ -138,7 +138,7 @@ export async function GET(req: NextRequest) {
       }
 
       // Return inventory items for the selected character (inventories DB)
-      // Bot uses one collection per character: collection name = character.name.toLowerCase()
+      // All characters share the `inventories` collection; rows are keyed by characterId
       let CharacterModel: Model<unknown>;
       if (mongoose.models.Character) {
         CharacterModel = mongoose.models.Character;
@@ -154,12 +154,13 @@ export async function GET(req: NextRequest) {
           { status: 404 }
         );
       }
-      const collectionName = characterName.toLowerCase();
-
       const conn = await getInventoriesConnection();
       const db = conn.useDb("inventories");
-      const collection = db.collection(collectionName);
-      const rawRecords = await collection.find({}).sort({ itemName: 1 }).toArray();
+      const collection = db.collection(INVENTORIES_COLLECTION);
+      const rawRecords = await collection
+        .find({ characterId: new mongoose.Types.ObjectId(characterIdParam) })
+        .sort({ itemName: 1 })
+        .toArray();
       const records = rawRecords as unknown as ItemLean[];
       const convertedRecords = records.map(convert) as unknown as ItemLean[];
 
@@ -174,7 +175,7 @@ export async function GET(req: NextRequest) {
       filterOptionsInv.category = Array.from(categorySet).sort();
       filterOptionsInv.type = Array.from(typeSet).sort();
 
-      logger.info("api/admin/database/items GET", `Fetched ${convertedRecords.length} inventory items for character ${characterIdParam} (collection: ${collectionName})`);
+      logger.info("api/admin/database/items GET", `Fetched ${convertedRecords.length} inventory items for character ${characterIdParam} (${characterName})`);
       return NextResponse.json({
         items: convertedRecords,
         filterOptions: filterOptionsInv,
@@ -676,10 +677,9 @@ export async function PUT(req: NextRequest) {
           { status: 404 }
         );
       }
-      const collectionName = charName.toLowerCase();
       const conn = await getInventoriesConnection();
       const db = conn.useDb("inventories");
-      const collection = db.collection(collectionName);
+      const collection = db.collection(INVENTORIES_COLLECTION);
       const allowedFields = [
         "characterId", "itemName", "itemId", "quantity", "category", "type", "subtype",
         "job", "perk", "location", "date", "craftedAt", "gatheredAt", "obtain", "synced", "fortuneTellerBoost",
@@ -716,7 +716,7 @@ export async function PUT(req: NextRequest) {
         return obj;
       };
       const result = await collection.findOneAndUpdate(
-        { _id: new mongoose.Types.ObjectId(itemId) },
+        { _id: new mongoose.Types.ObjectId(itemId), characterId: new mongoose.Types.ObjectId(invCharacterId) },
         { $set: updateData },
         { returnDocument: "after" }
       );
@@ -726,7 +726,7 @@ export async function PUT(req: NextRequest) {
           { status: 404 }
         );
       }
-      logger.info("api/admin/database/items PUT", `Updated Inventory ${itemId} in collection ${collectionName}`);
+      logger.info("api/admin/database/items PUT", `Updated Inventory ${itemId} for ${charName}`);
       return NextResponse.json({
         item: convertObj(result) as Record<string, unknown>,
         message: "Inventory updated successfully",
@@ -1357,18 +1357,20 @@ export async function DELETE(req: NextRequest) {
           { status: 404 }
         );
       }
-      const collectionName = charName.toLowerCase();
       const conn = await getInventoriesConnection();
       const db = conn.useDb("inventories");
-      const collection = db.collection(collectionName);
-      const deleteResult = await collection.deleteOne({ _id: new mongoose.Types.ObjectId(itemId) });
+      const collection = db.collection(INVENTORIES_COLLECTION);
+      const deleteResult = await collection.deleteOne({
+        _id: new mongoose.Types.ObjectId(itemId),
+        characterId: new mongoose.Types.ObjectId(invCharacterId),
+      });
       if (deleteResult.deletedCount === 0) {
         return NextResponse.json(
           { error: "Record not found", message: "No inventory entry found with that ID" },
           { status: 404 }
         );
       }
-      logger.info("api/admin/database/items DELETE", `Deleted Inventory ${itemId} from collection ${collectionName}`);
+      logger.info("api/admin/database/items DELETE", `Deleted Inventory ${itemId} from ${charName}`);
       return NextResponse.json({
         message: "Inventory entry deleted successfully",
         deletedId: itemId,
@@ -0,0 +1,68 @@
+// ============================================================================
+// PUT /api/admin/npcs/[name] - Update an NPC's registry fields (admin only)
+// Built-in NPCs may not have a document yet, so this upserts by name.
+// Steal protection and lockouts on the same document are left untouched.
+// ============================================================================
+
+import { NextRequest, NextResponse } from "next/server";
+import { NPC_DEFAULTS } from "@tinglebot/shared/lib/npcRegistry";
+import { connect } from "@/lib/db";
+import { getSession, isAdminUser } from "@/lib/session";
+import { normalizeNPCInput } from "@/lib/npc-editor";
+
+async function requireAdmin() {
+  const session = await getSession();
+  const user = session.user ?? null;
+  if (!user?.id) {
+    return { status: 401 as const, body: { error: "Unauthorized" } };
+  }
+  const admin = await isAdminUser(user.id);
+  if (!admin) {
+    return { status: 403 as const, body: { error: "Forbidden", message: "Admin access required" } };
+  }
+  return { user };
+}
+
+export async function PUT(
+  req: NextRequest,
+  { params }: { params: Promise<{ name: string }> }
+) {
+  try {
+    const auth = await requireAdmin();
+    if ("status" in auth) {
+      return NextResponse.json(auth.body, { status: auth.status });
+    }
+
+    const { name } = await params;
+    const body = await req.json();
+    const result = normalizeNPCInput(body, decodeURIComponent(name ?? ""));
+    if (!result.ok) {
+      return NextResponse.json(
+        { error: "Bad request", message: result.message },
+        { status: 400 }
+      );
+    }
+    const { name: npcName, ...fields } = result.value;
+
+    await connect();
+    const NPC = (await import("@/models/NPCModel.js")).default;
+    const exists = Boolean(await NPC.exists({ name: npcName })) || npcName in NPC_DEFAULTS;
+    if (!exists) {
+      return NextResponse.json({ error: "NPC not found" }, { status: 404 });
+    }
+
+    const updated = await NPC.findOneAndUpdate(
+      { name: npcName },
+      { $set: fields },
+      { upsert: true, new: true, runValidators: true }
+    ).lean();
+    return NextResponse.json(updated);
+  } catch (e) {
+    const msg = e instanceof Error ? e.message : String(e);
+    console.error("[api/admin/npcs/[name]] PUT error:", e);
+    return NextResponse.json(
+      { error: "Failed to update NPC", message: msg },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,102 @@
+// ============================================================================
+// GET /api/admin/npcs - List registry NPCs, merged with built-in defaults (admin only)
+// POST /api/admin/npcs - Create an NPC (admin only)
+// ============================================================================
+
+import { NextRequest, NextResponse } from "next/server";
+import { NPC_DEFAULTS, buildNPCRegistry, isRegisteredNPC } from "@tinglebot/shared/lib/npcRegistry";
+import { connect } from "@/lib/db";
+import { getSession, isAdminUser } from "@/lib/session";
+import { normalizeNPCInput } from "@/lib/npc-editor";
+
+export async function GET() {
+  try {
+    const session = await getSession();
+    const user = session.user ?? null;
+    if (!user?.id) {
+      return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+    }
+    const admin = await isAdminUser(user.id);
+    if (!admin) {
+      return NextResponse.json(
+        { error: "Forbidden", message: "Admin access required" },
+        { status: 403 }
+      );
+    }
+
+    await connect();
+    const NPC = (await import("@/models/NPCModel.js")).default;
+    const docs = (await NPC.find({}).lean()) as Array<{ name: string; profession?: string }>;
+    const registeredNames = new Set(docs.filter(isRegisteredNPC).map((doc) => doc.name));
+    const npcs = Object.values(buildNPCRegistry(docs))
+      .map((npc) => ({ ...npc, isRegistered: registeredNames.has(npc.name) }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+
+    return NextResponse.json(npcs);
+  } catch (e) {
+    console.error("[api/admin/npcs] GET error:", e);
+    return NextResponse.json(
+      { error: "Failed to fetch NPCs" },
+      { status: 500 }
+    );
+  }
+}
+
+export async function POST(req: NextRequest) {
+  try {
+    const session = await getSession();
+    const user = session.user ?? null;
+    if (!user?.id) {
+      return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+    }
+    const admin = await isAdminUser(user.id);
+    if (!admin) {
+      return NextResponse.json(
+        { error: "Forbidden", message: "Admin access required" },
+        { status: 403 }
+      );
+    }
+
+    const body = await req.json();
+    const result = normalizeNPCInput(body);
+    if (!result.ok) {
+      return NextResponse.json(
+        { error: "Bad request", message: result.message },
+        { status: 400 }
+      );
+    }
+    const { name, ...fields } = result.value;
+
+    await connect();
+    const NPC = (await import("@/models/NPCModel.js")).default;
+    // Built-in and registered NPCs are edited with PUT. A document that only
+    // tracks steal protection for this name is taken over.
+    const existing = await NPC.findOne({ name }).lean();
+    if (name in NPC_DEFAULTS || isRegisteredNPC(existing)) {
+      return NextResponse.json(
+        { error: "Bad request", message: "An NPC with this name already exists" },
+        { status: 400 }
+      );
+    }
+
+    const created = await NPC.findOneAndUpdate(
+      { name },
+      { $set: fields },
+      { upsert: true, new: true, runValidators: true }
+    ).lean();
+    return NextResponse.json(created);
+  } catch (e) {
+    const msg = e instanceof Error ? e.message : String(e);
+    if (msg.includes("duplicate key") || msg.includes("E11000")) {
+      return NextResponse.json(
+        { error: "Bad request", message: "An NPC with this name already exists" },
+        { status: 400 }
+      );
+    }
+    console.error("[api/admin/npcs] POST error:", e);
+    return NextResponse.json(
+      { error: "Failed to create NPC", message: msg },
+      { status: 500 }
+    );
+  }
+}
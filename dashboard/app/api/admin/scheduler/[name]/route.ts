@@ -0,0 +1,53 @@
+// ============================================================================
+// POST /api/admin/scheduler/[name] - Run, pause or resume a recurring bot job (admin only)
+// Body: { action: "run" | "pause" | "resume" }
+// ============================================================================
+
+import { NextRequest, NextResponse } from "next/server";
+import { getSession, isAdminUser } from "@/lib/session";
+import { applySchedulerAction, isSchedulerAction } from "@/lib/scheduler-admin";
+
+export async function POST(
+  req: NextRequest,
+  { params }: { params: Promise<{ name: string }> }
+) {
+  try {
+    const session = await getSession();
+    const user = session.user ?? null;
+    if (!user?.id) {
+      return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+    }
+    const admin = await isAdminUser(user.id);
+    if (!admin) {
+      return NextResponse.json(
+        { error: "Forbidden", message: "Admin access required" },
+        { status: 403 }
+      );
+    }
+
+    const { name } = await params;
+    const jobName = decodeURIComponent(name ?? "").trim();
+    const body = (await req.json().catch(() => ({}))) as { action?: unknown };
+    if (!isSchedulerAction(body.action)) {
+      return NextResponse.json(
+        { error: "Bad request", message: 'action must be "run", "pause" or "resume"' },
+        { status: 400 }
+      );
+    }
+
+    const found = await applySchedulerAction(jobName, body.action, user.id);
+    if (!found) {
+      return NextResponse.json(
+        { error: "Not found", message: `No scheduled job named "${jobName}"` },
+        { status: 404 }
+      );
+    }
+    return NextResponse.json({ ok: true, action: body.action, job: jobName });
+  } catch (e) {
+    console.error("[api/admin/scheduler/[name]] POST error:", e);
+    return NextResponse.json(
+      { error: "Failed to update scheduled job" },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,39 @@
+// ============================================================================
+// GET /api/admin/scheduler - Recurring bot jobs with status, plus recent runs (admin only)
+// Query: ?job=<name> filters the run history, ?limit=<n> caps it (default 25)
+// ============================================================================
+
+import { NextRequest, NextResponse } from "next/server";
+import { getSession, isAdminUser } from "@/lib/session";
+import { listJobRuns, listScheduledJobs } from "@/lib/scheduler-admin";
+
+export const dynamic = "force-dynamic";
+
+export async function GET(req: NextRequest) {
+  try {
+    const session = await getSession();
+    const user = session.user ?? null;
+    if (!user?.id) {
+      return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+    }
+    const admin = await isAdminUser(user.id);
+    if (!admin) {
+      return NextResponse.json(
+        { error: "Forbidden", message: "Admin access required" },
+        { status: 403 }
+      );
+    }
+
+    const job = req.nextUrl.searchParams.get("job")?.trim() || null;
+    const limit = Number.parseInt(req.nextUrl.searchParams.get("limit") ?? "", 10) || 25;
+
+    const [jobs, runs] = await Promise.all([listScheduledJobs(), listJobRuns(job, limit)]);
+    return NextResponse.json({ jobs, runs });
+  } catch (e) {
+    console.error("[api/admin/scheduler] GET error:", e);
+    return NextResponse.json(
+      { error: "Failed to fetch scheduled jobs" },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,68 @@
+/**
+ * GET /api/auctions — live /auction lots (active and not yet ended), soonest ending first.
+ * Optional ?village= filters by the seller's village at listing time.
+ */
+
+import { NextResponse } from "next/server";
+import { connect } from "@/lib/db";
+import { logger } from "@/utils/logger";
+
+export const dynamic = "force-dynamic";
+
+const MAX_AUCTIONS = 100;
+
+type AuctionDoc = {
+  auctionId: string;
+  village?: string;
+  seller: { characterName: string };
+  item: { itemName: string; quantity: number; emoji?: string; image?: string; elixirLevel?: number | null };
+  minimumBid: number;
+  buyoutPrice?: number | null;
+  highBid?: { characterName: string; amount: number; at?: Date } | null;
+  bidCount?: number;
+  endsAt: Date;
+  createdAt?: Date;
+};
+
+export async function GET(request: Request) {
+  try {
+    const url = new URL(request.url);
+    const village = url.searchParams.get("village")?.trim();
+
+    await connect();
+    const Auction = (await import("@/models/AuctionModel.js")).default;
+
+    const filter: Record<string, unknown> = { status: "active", endsAt: { $gt: new Date() } };
+    if (village) {
+      filter.village = new RegExp(`^${village.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}$`, "i");
+    }
+
+    const rows = (await Auction.find(filter)
+      .select("auctionId village seller.characterName item minimumBid buyoutPrice highBid bidCount endsAt createdAt")
+      .sort({ endsAt: 1 })
+      .limit(MAX_AUCTIONS)
+      .lean()) as unknown as AuctionDoc[];
+
+    const auctions = rows.map((a) => ({
+      auctionId: a.auctionId,
+      village: a.village ?? "",
+      sellerName: a.seller.characterName,
+      itemName: a.item.itemName,
+      quantity: a.item.quantity,
+      emoji: a.item.emoji ?? "",
+      image: a.item.image ?? "",
+      elixirLevel: a.item.elixirLevel ?? null,
+      minimumBid: a.minimumBid,
+      buyoutPrice: a.buyoutPrice ?? null,
+      highBid: a.highBid ? { characterName: a.highBid.characterName, amount: a.highBid.amount } : null,
+      bidCount: a.bidCount ?? 0,
+      endsAt: new Date(a.endsAt).toISOString(),
+      createdAt: a.createdAt ? new Date(a.createdAt).toISOString() : null,
+    }));
+
+    return NextResponse.json({ auctions });
+  } catch (error) {
+    logger.error("api/auctions", error instanceof Error ? error.message : String(error));
+    return NextResponse.json({ error: "Failed to load auctions" }, { status: 500 });
+  }
+}
@@ -0,0 +1,94 @@
+// ============================================================================
+// ------------------- Character ledger -------------------
+// GET /api/characters/:id/ledger - Merged history timeline (owner or admin only)
+// Query: kinds=tokens,items,... | days=N | page=N | pageSize=N | format=csv
+// ============================================================================
+
+import { NextRequest, NextResponse } from "next/server";
+import { connect } from "@/lib/db";
+import { getSession, isAdminUser } from "@/lib/session";
+import { logger } from "@/utils/logger";
+import {
+  DEFAULT_LEDGER_PAGE_SIZE,
+  MAX_LEDGER_ENTRIES,
+  getLedgerPageWindow,
+  ledgerToCsv,
+  parseLedgerKinds,
+  toLedgerPage,
+  type LedgerCharacter,
+} from "@/lib/character-ledger";
+import { collectCharacterLedger, loadStealSummary } from "@/lib/services/characterLedgerService";
+
+const MAX_PAGE_SIZE = 100;
+
+type FindById = { findById: (id: string) => { lean: () => Promise<unknown> } };
+
+function positiveInt(raw: string | null, fallback: number, max: number): number {
+  const n = Number.parseInt(raw ?? "", 10);
+  if (!Number.isFinite(n) || n < 1) return fallback;
+  return Math.min(n, max);
+}
+
+export async function GET(
+  req: NextRequest,
+  { params }: { params: Promise<{ id: string }> }
+) {
+  try {
+    const session = await getSession();
+    const user = session.user ?? null;
+    if (!user?.id) {
+      return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+    }
+
+    const { id } = await params;
+    if (!/^[0-9a-fA-F]{24}$/.test(id ?? "")) {
+      return NextResponse.json({ error: "Character ID required" }, { status: 400 });
+    }
+
+    await connect();
+    const Character = (await import("@/models/CharacterModel.js")).default as unknown as FindById;
+    const ModCharacter = (await import("@/models/ModCharacterModel.js")).default as unknown as FindById;
+    const character = ((await Character.findById(id).lean()) ??
+      (await ModCharacter.findById(id).lean())) as LedgerCharacter | null;
+    if (!character) {
+      return NextResponse.json({ error: "Character not found" }, { status: 404 });
+    }
+
+    // Token rows belong to the owner's account, so the ledger is private
+    if (character.userId !== user.id && !(await isAdminUser(user.id))) {
+      return NextResponse.json({ error: "Forbidden" }, { status: 403 });
+    }
+
+    const { searchParams } = new URL(req.url);
+    const kinds = parseLedgerKinds(searchParams.get("kinds"));
+    const days = positiveInt(searchParams.get("days"), 0, 3650);
+    const since = days ? new Date(Date.now() - days * 24 * 60 * 60 * 1000) : null;
+
+    if (searchParams.get("format") === "csv") {
+      const rows = await collectCharacterLedger(character, { kinds, since, limit: MAX_LEDGER_ENTRIES });
+      const fileName = `${character.name.replace(/[^\w-]+/g, "_")}-history.csv`;
+      return new NextResponse(ledgerToCsv(rows), {
+        headers: {
+          "Content-Type": "text/csv; charset=utf-8",
+          "Content-Disposition": `attachment; filename="${fileName}"`,
+        },
+      });
+    }
+
+    const pageSize = positiveInt(searchParams.get("pageSize"), DEFAULT_LEDGER_PAGE_SIZE, MAX_PAGE_SIZE);
+    const pageWindow = getLedgerPageWindow(positiveInt(searchParams.get("page"), 1, MAX_LEDGER_ENTRIES), pageSize);
+
+    const [rows, stealSummary] = await Promise.all([
+      collectCharacterLedger(character, { kinds, since, limit: pageWindow.limit }),
+      loadStealSummary(character),
+    ]);
+
+    return NextResponse.json({
+      ...toLedgerPage(rows, pageWindow),
+      stealSummary,
+    });
+  } catch (error) {
+    logger.error("api/characters/[id]/ledger GET", error instanceof Error ? error.message : String(error));
+    return NextResponse.json({ error: "Failed to load character history" }, { status: 500 });
+  }
+}
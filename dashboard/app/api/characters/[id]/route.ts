@@ -5,7 +5,7 @@
 // ============================================================================
 
 import { NextRequest, NextResponse } from "next/server";
-import { connect, getInventoriesDb } from "@/lib/db";
+import { connect, getInventoriesDb, INVENTORIES_COLLECTION } from "@/lib/db";
 import mongoose from "mongoose";
 import { getSession, isAdminUser } from "@/lib/session";
 import { MOD_JOBS, ALL_JOBS } from "@/data/characterData";
@@ -417,7 +417,7 @@ export async function GET(
       const charId = (char as { _id?: unknown })._id;
       if (characterName && typeof characterName === "string" && charId) {
         const db = await getInventoriesDb();
-        const collection = db.collection(characterName.toLowerCase());
+        const collection = db.collection(INVENTORIES_COLLECTION);
         const normalizedCharId = typeof charId === "string"
           ? new mongoose.Types.ObjectId(charId)
           : charId;
@@ -6,7 +6,7 @@
 
 import { NextRequest, NextResponse } from "next/server";
 import mongoose, { type Model } from "mongoose";
-import { connect, getInventoriesDb } from "@/lib/db";
+import { connect, getInventoriesDb, INVENTORIES_COLLECTION } from "@/lib/db";
 import { getSession, isAdminUser } from "@/lib/session";
 import { MOD_JOBS, ALL_JOBS } from "@/data/characterData";
 import { recalculateStats, normalizeGearSlots, type EquippedGear } from "@/lib/gear-equip";
@@ -496,8 +496,7 @@ export async function POST(req: NextRequest) {
       
       // Connect to inventories database (using cached connection)
       const db = await getInventoriesDb();
-      const collectionName = (name as string).toLowerCase().trim();
-      const collection = db.collection(collectionName);
+      const collection = db.collection(INVENTORIES_COLLECTION);
       
       // Collect all gear items from the character (includes defaults if auto-added)
       // Use char.gear* to ensure we get whatever gear the character actually has, including auto-added defaults
@@ -61,8 +61,19 @@ export async function GET(req: NextRequest) {
       })
     );
 
+    // Display names for the graph's "recorded by" filter
+    const { default: User } = await import("@/models/UserModel.js");
+    const ownerIds = [...new Set(relationshipsRaw.map((rel) => rel.userId))];
+    const ownerDocs = (await User.find({ discordId: { $in: ownerIds } })
+      .select("discordId username")
+      .lean()) as unknown as Array<{ discordId: string; username?: string }>;
+    const owners = Object.fromEntries(
+      ownerDocs.filter((doc) => doc.username).map((doc) => [doc.discordId, doc.username])
+    );
+
     const response = NextResponse.json({
       relationships: relationships || [],
+      owners,
     });
 
     // Add cache headers - public cache since this is all relationships
@@ -1,5 +1,5 @@
 import { NextResponse } from "next/server";
-import { connect, getInventoriesDb } from "@/lib/db";
+import { connect, getInventoriesDb, INVENTORIES_COLLECTION } from "@/lib/db";
 import { getSession } from "@/lib/session";
 import mongoose from "mongoose";
 import { userOwnsCharacterName } from "@/lib/crafting-request-helpers";
@@ -61,7 +61,7 @@ export async function GET(request: Request) {
     }
 
     const db = await getInventoriesDb();
-    const collection = db.collection(charDoc.name.toLowerCase());
+    const collection = db.collection(INVENTORIES_COLLECTION);
     const charId =
       typeof charDoc._id === "string" ? new mongoose.Types.ObjectId(charDoc._id) : charDoc._id;
 
@@ -9,7 +9,7 @@
 import type { NextRequest } from "next/server";
 import { NextResponse } from "next/server";
 import mongoose from "mongoose";
-import { connect, getInventoriesDb } from "@/lib/db";
+import { connect, getInventoriesDb, INVENTORIES_COLLECTION } from "@/lib/db";
 import { getSession } from "@/lib/session";
 import { logger } from "@/utils/logger";
 import { generalCategories } from "@/lib/general-item-categories";
@@ -348,8 +348,7 @@ export async function GET(req: NextRequest) {
       }
 
       // Get character's inventory (filter by characterId to match Bot behavior)
-      const collectionName = character.name.toLowerCase();
-      const collection = db.collection(collectionName);
+      const collection = db.collection(INVENTORIES_COLLECTION);
       const charId = typeof character._id === "string"
         ? new mongoose.Types.ObjectId(character._id)
         : character._id;
@@ -394,8 +393,7 @@ export async function GET(req: NextRequest) {
 
       for (const character of allCharacters) {
         try {
-          const collectionName = character.name.toLowerCase();
-          const collection = db.collection(collectionName);
+          const collection = db.collection(INVENTORIES_COLLECTION);
           const charId = typeof character._id === "string"
             ? new mongoose.Types.ObjectId(character._id)
             : character._id;
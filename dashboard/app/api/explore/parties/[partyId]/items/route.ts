@@ -2,7 +2,7 @@
 
 import type { NextRequest } from "next/server";
 import { NextResponse } from "next/server";
-import { connect, getInventoriesDb } from "@/lib/db";
+import { connect, getInventoriesDb, INVENTORIES_COLLECTION } from "@/lib/db";
 import { getSession } from "@/lib/session";
 import mongoose, { type Model } from "mongoose";
 
@@ -182,8 +182,7 @@ export async function PATCH(
     }
 
     const db = await getInventoriesDb();
-    const collectionName = characterName.toLowerCase();
-    const collection = db.collection(collectionName);
+    const collection = db.collection(INVENTORIES_COLLECTION);
     const charId = member._id instanceof mongoose.Types.ObjectId ? member._id : new mongoose.Types.ObjectId(String(member._id));
     const inventoryRows = await collection
       .find({ characterId: charId, quantity: { $gt: 0 } })
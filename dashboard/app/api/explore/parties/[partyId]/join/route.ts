@@ -2,7 +2,7 @@
 
 import type { NextRequest } from "next/server";
 import { NextResponse } from "next/server";
-import { connect, getInventoriesDb } from "@/lib/db";
+import { connect, getInventoriesDb, INVENTORIES_COLLECTION } from "@/lib/db";
 import { getSession } from "@/lib/session";
 import mongoose, { type Model } from "mongoose";
 
@@ -259,8 +259,7 @@ export async function POST(
     }
 
     const db = await getInventoriesDb();
-    const collectionName = characterName.toLowerCase();
-    const collection = db.collection(collectionName);
+    const collection = db.collection(INVENTORIES_COLLECTION);
     const charId = character._id instanceof mongoose.Types.ObjectId ? character._id : new mongoose.Types.ObjectId(String(character._id));
     const inventoryRows = await collection.find({ characterId: charId, quantity: { $gt: 0 } }).toArray();
     const inventoryQty = new Map<string, number>();
@@ -2,7 +2,7 @@
 
 import type { NextRequest } from "next/server";
 import { NextResponse } from "next/server";
-import { connect, getInventoriesDb } from "@/lib/db";
+import { connect, getInventoriesDb, INVENTORIES_COLLECTION } from "@/lib/db";
 import { getSession } from "@/lib/session";
 import mongoose, { type Model } from "mongoose";
 
@@ -77,12 +77,6 @@ export async function POST(
     const Party =
       mongoose.models.Party ??
       ((await import("@/models/PartyModel.js")) as unknown as { default: Model<unknown> }).default;
-    const Character =
-      mongoose.models.Character ??
-      ((await import("@/models/CharacterModel.js")) as unknown as { default: Model<unknown> }).default;
-    const ModCharacter =
-      mongoose.models.ModCharacter ??
-      ((await import("@/models/ModCharacterModel.js")) as unknown as { default: Model<unknown> }).default;
     const Item =
       mongoose.models.Item ??
       ((await import("@/models/ItemModel.js")) as unknown as { default: Model<unknown> }).default;
@@ -150,32 +144,20 @@ export async function POST(
         : new mongoose.Types.ObjectId(String(me._id));
 
     if (loadoutItemNames.length > 0) {
-      let collectionName = String(me.name ?? "").trim().toLowerCase();
-      const charFromDb = (await Character.findById(charId).select("name").lean()) as { name: string } | null;
-      if (charFromDb?.name) {
-        collectionName = charFromDb.name.trim().toLowerCase();
-      } else {
-        const modChar = (await ModCharacter.findById(charId).select("name").lean()) as { name: string } | null;
-        if (modChar?.name) {
-          collectionName = modChar.name.trim().toLowerCase();
-        }
-      }
-      if (collectionName) {
-        const db = await getInventoriesDb();
-        const collection = db.collection(collectionName);
-        for (const itemName of loadoutItemNames) {
-          const bundle = PAVING_BUNDLES[itemName];
-          if (bundle) {
-            await addMaterialToInventory(
-              collection,
-              charId,
-              bundle.material,
-              bundle.quantityPerSlot,
-              Item
-            );
-          } else {
-            await addMaterialToInventory(collection, charId, itemName, 1, Item);
-          }
+      const db = await getInventoriesDb();
+      const collection = db.collection(INVENTORIES_COLLECTION);
+      for (const itemName of loadoutItemNames) {
+        const bundle = PAVING_BUNDLES[itemName];
+        if (bundle) {
+          await addMaterialToInventory(
+            collection,
+            charId,
+            bundle.material,
+            bundle.quantityPerSlot,
+            Item
+          );
+        } else {
+          await addMaterialToInventory(collection, charId, itemName, 1, Item);
         }
       }
     }
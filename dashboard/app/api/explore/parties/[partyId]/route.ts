@@ -2,7 +2,7 @@
 
 import type { NextRequest } from "next/server";
 import { NextResponse } from "next/server";
-import { connect, isDatabaseUnavailableError, getInventoriesDb } from "@/lib/db";
+import { connect, isDatabaseUnavailableError, getInventoriesDb, INVENTORIES_COLLECTION } from "@/lib/db";
 import { getSession } from "@/lib/session";
 import mongoose from "mongoose";
 
@@ -336,7 +336,7 @@ export async function GET(
         for (const c of partyCharacters as Array<{ _id: unknown; name?: string }>) {
           const name = String(c.name ?? "").trim().toLowerCase();
           if (!name) continue;
-          const col = invDb.collection(name);
+          const col = invDb.collection(INVENTORIES_COLLECTION);
           const charId = c._id instanceof mongoose.Types.ObjectId ? c._id : new mongoose.Types.ObjectId(String(c._id));
           const hasItem = await col.findOne({
             characterId: charId,
@@ -6,7 +6,7 @@
 import type { NextRequest } from "next/server";
 import { NextResponse } from "next/server";
 import mongoose from "mongoose";
-import { connect, getInventoriesDb } from "@/lib/db";
+import { connect, getInventoriesCollection } from "@/lib/db";
 import { getSession } from "@/lib/session";
 import { logger } from "@/utils/logger";
 
@@ -116,10 +116,11 @@ async function loadItemModel(): Promise<mongoose.Model<unknown>> {
 }
 
 // ------------------- collectInventoryData ------------------
-// Collect inventory data from all characters and build item maps
+// Collect inventory data for all characters with one query against the shared
+// inventories collection and build item maps
 async function collectInventoryData(
   characters: CharacterWithModFlag[],
-  db: ReturnType<typeof getInventoriesDb> extends Promise<infer T> ? T : never
+  collection: Awaited<ReturnType<typeof getInventoriesCollection>>
 ): Promise<{
   uniqueItemNames: Set<string>;
   inventoryDataByItem: Map<string, InventoryEntry[]>;
@@ -127,44 +128,44 @@ async function collectInventoryData(
   const uniqueItemNames = new Set<string>();
   const inventoryDataByItem = new Map<string, InventoryEntry[]>();
 
+  const namesById = new Map<string, string>();
+  const characterIds: mongoose.Types.ObjectId[] = [];
   for (const character of characters) {
-    try {
-      const collectionName = character.name.toLowerCase();
-      const collection = db.collection(collectionName);
-      const charId = typeof character._id === "string"
-        ? new mongoose.Types.ObjectId(character._id)
-        : character._id;
-      const inventoryItems = await collection
-        .find({ characterId: charId, quantity: { $gt: 0 } })
-        .toArray();
-
-      for (const item of inventoryItems) {
-        const itemName = String(item.itemName || "");
-        if (!itemName) continue;
-
-        const itemNameLower = itemName.toLowerCase();
-        uniqueItemNames.add(itemName);
-
-        if (!inventoryDataByItem.has(itemNameLower)) {
-          inventoryDataByItem.set(itemNameLower, []);
-        }
-
-        inventoryDataByItem.get(itemNameLower)!.push({
-          itemName,
-          characterName: character.name,
-          quantity: Number(item.quantity) || 0,
-          category: item.category,
-          type: item.type,
-          image: item.image ? String(item.image) : undefined,
-        });
-      }
-    } catch (error) {
-      const err = normalizeError(error);
-      logger.warn(
-        "[aggregated/route.ts]",
-        `⚠️ Error processing inventory for ${character.name}: ${err.message}`
-      );
+    const charId = typeof character._id === "string"
+      ? new mongoose.Types.ObjectId(character._id)
+      : character._id;
+    namesById.set(String(charId), character.name);
+    characterIds.push(charId as mongoose.Types.ObjectId);
+  }
+
+  if (characterIds.length === 0) {
+    return { uniqueItemNames, inventoryDataByItem };
+  }
+
+  const inventoryItems = await collection
+    .find({ characterId: { $in: characterIds }, quantity: { $gt: 0 } })
+    .toArray();
+
+  for (const item of inventoryItems) {
+    const itemName = String(item.itemName || "");
+    const characterName = namesById.get(String(item.characterId));
+    if (!itemName || !characterName) continue;
+
+    const itemNameLower = itemName.toLowerCase();
+    uniqueItemNames.add(itemName);
+
+    if (!inventoryDataByItem.has(itemNameLower)) {
+      inventoryDataByItem.set(itemNameLower, []);
     }
+
+    inventoryDataByItem.get(itemNameLower)!.push({
+      itemName,
+      characterName,
+      quantity: Number(item.quantity) || 0,
+      category: item.category,
+      type: item.type,
+      image: item.image ? String(item.image) : undefined,
+    });
   }
 
   return { uniqueItemNames, inventoryDataByItem };
@@ -268,13 +269,13 @@ export async function GET(req: NextRequest) {
       ...modChars.map((c) => ({ ...c, isModCharacter: true })),
     ];
 
-    // Connect to inventories database
-    const db = await getInventoriesDb();
+    // Shared inventories collection (one row per stack, keyed by characterId)
+    const inventories = await getInventoriesCollection();
 
     // Collect inventory data from all characters
     const { uniqueItemNames, inventoryDataByItem } = await collectInventoryData(
       allCharacters,
-      db
+      inventories
     );
 
     // Load Item model and fetch item details
@@ -3,7 +3,7 @@
 import type { NextRequest } from "next/server";
 import { NextResponse } from "next/server";
 import mongoose from "mongoose";
-import { connect, getInventoriesDb } from "@/lib/db";
+import { connect, getInventoriesDb, INVENTORIES_COLLECTION } from "@/lib/db";
 import { getSession } from "@/lib/session";
 import { createSlug } from "@/lib/string-utils";
 import { logger } from "@/utils/logger";
@@ -128,8 +128,7 @@ export async function GET(
     const db = await getInventoriesDb();
 
     // Get character's inventory (filter by characterId to match Bot behavior)
-    const collectionName = characterName.toLowerCase();
-    const collection = db.collection(collectionName);
+    const collection = db.collection(INVENTORIES_COLLECTION);
     const charId = typeof characterDoc._id === "string"
       ? new mongoose.Types.ObjectId(characterDoc._id)
       : characterDoc._id;
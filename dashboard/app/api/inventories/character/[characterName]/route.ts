@@ -3,7 +3,7 @@
 import type { NextRequest } from "next/server";
 import { NextResponse } from "next/server";
 import mongoose from "mongoose";
-import { connect, getInventoriesDb } from "@/lib/db";
+import { connect, getInventoriesDb, INVENTORIES_COLLECTION } from "@/lib/db";
 import { createSlug } from "@/lib/string-utils";
 import { logger } from "@/utils/logger";
 
@@ -101,13 +101,12 @@ export async function GET(
       return NextResponse.json({ error: "Character not found" }, { status: 404 });
     }
 
-    const collectionName = foundCharacter.name.toLowerCase();
 
     // Connect to inventories database (using cached connection)
     const db = await getInventoriesDb();
 
     // Get character's inventory (filter by characterId to match Bot behavior)
-    const collection = db.collection(collectionName);
+    const collection = db.collection(INVENTORIES_COLLECTION);
     const charId = typeof foundCharacter._id === "string"
       ? new mongoose.Types.ObjectId(foundCharacter._id)
       : foundCharacter._id;
@@ -3,7 +3,7 @@
 import type { NextRequest } from "next/server";
 import { NextResponse } from "next/server";
 import mongoose from "mongoose";
-import { connect, getInventoriesDb } from "@/lib/db";
+import { connect, getInventoriesDb, INVENTORIES_COLLECTION } from "@/lib/db";
 import { getSession } from "@/lib/session";
 import { logger } from "@/utils/logger";
 
@@ -91,8 +91,7 @@ export async function POST(req: NextRequest) {
     const db = await getInventoriesDb();
 
     // Get character's inventory collection
-    const collectionName = character.name.toLowerCase();
-    const collection = db.collection(collectionName);
+    const collection = db.collection(INVENTORIES_COLLECTION);
     const charId = typeof character._id === "string"
       ? new mongoose.Types.ObjectId(character._id)
       : character._id;
@@ -3,7 +3,7 @@
 import type { NextRequest } from "next/server";
 import { NextResponse } from "next/server";
 import mongoose from "mongoose";
-import { connect, getInventoriesDb } from "@/lib/db";
+import { connect, getInventoriesDb, INVENTORIES_COLLECTION } from "@/lib/db";
 import { getSession } from "@/lib/session";
 import { logger } from "@/utils/logger";
 
@@ -151,9 +151,8 @@ export async function POST(req: NextRequest) {
     // Connect to inventories database (using cached connection)
     const db = await getInventoriesDb();
 
-    // Get source character's inventory collection
-    const sourceCollectionName = sourceChar.name.toLowerCase();
-    const sourceCollection = db.collection(sourceCollectionName);
+    // Source and destination rows share the inventories collection; scope by characterId
+    const sourceCollection = db.collection(INVENTORIES_COLLECTION);
     const sourceCharId = typeof sourceChar._id === "string"
       ? new mongoose.Types.ObjectId(sourceChar._id)
       : sourceChar._id;
@@ -251,8 +250,7 @@ export async function POST(req: NextRequest) {
     }
 
     // Add items to destination character's inventory (preserve elixir stack keys)
-    const destinationCollectionName = destChar.name.toLowerCase();
-    const destinationCollection = db.collection(destinationCollectionName);
+    const destinationCollection = db.collection(INVENTORIES_COLLECTION);
     const destCharId = typeof destChar._id === "string"
       ? new mongoose.Types.ObjectId(destChar._id)
       : destChar._id;
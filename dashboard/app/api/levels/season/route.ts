@@ -0,0 +1,40 @@
+/**
+ * GET /api/levels/season — current user's season pass tier progress, claimable rewards and badges
+ */
+
+import { NextResponse } from "next/server";
+import { connect } from "@/lib/db";
+import { getSession } from "@/lib/session";
+import { logger } from "@/utils/logger";
+import { buildSeasonPassData, type StoredBadge, type StoredSeasonPass } from "@/lib/season-pass";
+
+export async function GET() {
+  try {
+    const session = await getSession();
+    const discordId = session.user?.id;
+
+    if (!discordId) {
+      return NextResponse.json(
+        { error: "Unauthorized" },
+        { status: 401 }
+      );
+    }
+
+    await connect();
+    const { default: User } = await import("@/models/UserModel.js");
+
+    type UserSeasonPass = { seasonPass?: StoredSeasonPass; badges?: StoredBadge[] };
+    const user = await User.findOne({ discordId })
+      .select("seasonPass badges")
+      .lean<UserSeasonPass>();
+
+    // Users without a record yet still see the current season's empty track
+    return NextResponse.json(buildSeasonPassData(user?.seasonPass, user?.badges));
+  } catch (e) {
+    logger.error("api/levels/season", e instanceof Error ? e.message : String(e));
+    return NextResponse.json(
+      { error: "Failed to fetch season pass" },
+      { status: 500 }
+    );
+  }
+}
@@ -4,7 +4,7 @@
 import type { NextRequest } from "next/server";
 import { NextResponse } from "next/server";
 import mongoose from "mongoose";
-import { connect, getInventoriesDb } from "@/lib/db";
+import { connect, getInventoriesCollection } from "@/lib/db";
 import { logger } from "@/utils/logger";
 
 // ============================================================================
@@ -20,13 +20,8 @@ export async function GET(
     const { itemName: itemNameParam } = await params;
     const itemName = decodeURIComponent(itemNameParam);
     
-    // Connect to inventories database (using cached connection)
-    const db = await getInventoriesDb();
-    
-    const collections = await db.listCollections().toArray();
-    const collectionNames = collections.map(c => c.name);
-    
-    logger.info("ownership", `Found ${collectionNames.length} collections`);
+    // Shared inventories collection (one row per stack, keyed by characterId)
+    const inventories = await getInventoriesCollection();
     
     // Get Character model from main database
     let Character: mongoose.Model<unknown>;
@@ -37,52 +32,29 @@ export async function GET(
       Character = CharacterModel as unknown as mongoose.Model<unknown>;
     }
     
-    // Query all collections and aggregate results
+    // Single aggregate over every character's stacks of this item
     const escapedItemName = itemName.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
-    const allInventoryData: Array<{ _id: mongoose.Types.ObjectId; totalQuantity: number }> = [];
-    
-    // Query each collection
-    for (const collectionName of collectionNames) {
-      try {
-        if (!db) {
-          throw new Error("Database connection lost");
+    const groupedData = await inventories.aggregate<{ _id: unknown; totalQuantity: number }>([
+      {
+        $match: {
+          itemName: { $regex: new RegExp(`^${escapedItemName}$`, "i") },
+          characterId: { $ne: null }
         }
-        const collection = db.collection(collectionName);
-        const collectionData = await collection.aggregate([
-          {
-            $match: {
-              itemName: { $regex: new RegExp(`^${escapedItemName}$`, "i") }
-            }
-          },
-          {
-            $group: {
-              _id: "$characterId",
-              totalQuantity: { $sum: "$quantity" }
-            }
-          }
-        ]).toArray();
-        
-        // Merge results
-        for (const item of collectionData) {
-          const existingIndex = allInventoryData.findIndex(
-            (d) => d._id.toString() === item._id.toString()
-          );
-          if (existingIndex >= 0) {
-            allInventoryData[existingIndex].totalQuantity += item.totalQuantity;
-          } else {
-            allInventoryData.push({
-              _id: typeof item._id === 'string' 
-                ? new mongoose.Types.ObjectId(item._id) 
-                : item._id as mongoose.Types.ObjectId,
-              totalQuantity: item.totalQuantity
-            });
-          }
+      },
+      {
+        $group: {
+          _id: "$characterId",
+          totalQuantity: { $sum: "$quantity" }
         }
-      } catch (err) {
-        // Skip collections that fail (might be system collections or invalid)
-        logger.info("ownership", `Skipped collection "${collectionName}": ${err instanceof Error ? err.message : String(err)}`);
       }
-    }
+    ]).toArray();
+    
+    const allInventoryData = groupedData.map((item) => ({
+      _id: typeof item._id === 'string'
+        ? new mongoose.Types.ObjectId(item._id)
+        : item._id as mongoose.Types.ObjectId,
+      totalQuantity: item.totalQuantity
+    }));
     
     // Sort by total quantity descending
     const inventoryData = allInventoryData.sort((a, b) => b.totalQuantity - a.totalQuantity);
@@ -0,0 +1,62 @@
+// ============================================================================
+// ------------------- Imports -------------------
+// ============================================================================
+import type { NextRequest } from "next/server";
+import { NextResponse } from "next/server";
+import { connect } from "@/lib/db";
+import { logger } from "@/utils/logger";
+import {
+  PRICE_WINDOW_DAYS,
+  buildPriceHistory,
+  priceWindowStart,
+  summarizeSales,
+  type MarketSaleLike,
+} from "@tinglebot/shared/lib/priceIndex";
+
+// Longest window the items page can ask for
+const MAX_PRICE_WINDOW_DAYS = 365;
+
+// ============================================================================
+// ------------------- GET Handler -------------------
+// Rolling market price index for one item (player sales recorded by the bot:
+// vending, trades and auctions) plus a per-day series for the price chart.
+// ============================================================================
+export async function GET(
+  req: NextRequest,
+  { params }: { params: Promise<{ itemName: string }> }
+) {
+  try {
+    await connect();
+
+    const { itemName: itemNameParam } = await params;
+    const itemName = decodeURIComponent(itemNameParam);
+    const requestedDays = Number(req.nextUrl.searchParams.get("days"));
+    const days = Number.isInteger(requestedDays) && requestedDays > 0
+      ? Math.min(requestedDays, MAX_PRICE_WINDOW_DAYS)
+      : PRICE_WINDOW_DAYS;
+
+    const MarketSale = (await import("@/models/MarketSaleModel.js")).default;
+    const escapedItemName = itemName.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    const sales = (await MarketSale.find({
+      itemName: { $regex: new RegExp(`^${escapedItemName}$`, "i") },
+      soldAt: { $gte: priceWindowStart(days) },
+    })
+      .select("unitPrice quantity soldAt")
+      .sort({ soldAt: 1 })
+      .lean()) as MarketSaleLike[];
+
+    return NextResponse.json({
+      itemName,
+      days,
+      index: summarizeSales(sales),
+      history: buildPriceHistory(sales),
+    });
+  } catch (e) {
+    const errorMessage = e instanceof Error ? e.message : String(e);
+    logger.error("prices", `Failed to fetch market prices: ${errorMessage}`);
+    return NextResponse.json(
+      { error: "Failed to fetch market prices", details: errorMessage },
+      { status: 500 }
+    );
+  }
+}
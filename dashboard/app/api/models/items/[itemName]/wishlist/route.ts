@@ -0,0 +1,63 @@
+// ============================================================================
+// ------------------- Imports -------------------
+// ============================================================================
+import type { NextRequest } from "next/server";
+import { NextResponse } from "next/server";
+import { connect } from "@/lib/db";
+import { logger } from "@/utils/logger";
+import { summarizeWishlistDemand, type WishlistDemandCharacter } from "@/lib/wishlist-items";
+
+type WishlistCharacterDoc = {
+  _id: unknown;
+  name: string;
+  homeVillage?: string | null;
+  job?: string | null;
+  publicSlug?: string | null;
+};
+
+// ============================================================================
+// ------------------- GET Handler -------------------
+// "Who wants this": accepted characters (and mod characters) with this item on
+// their wishlist, for crafters deciding what to make.
+// ============================================================================
+export async function GET(
+  _req: NextRequest,
+  { params }: { params: Promise<{ itemName: string }> }
+) {
+  try {
+    await connect();
+
+    const { itemName: itemNameParam } = await params;
+    const itemName = decodeURIComponent(itemNameParam);
+    const escapedItemName = itemName.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    const wishlistFilter = { wishlistItems: { $regex: new RegExp(`^${escapedItemName}$`, "i") } };
+
+    const Character = (await import("@/models/CharacterModel.js")).default;
+    const ModCharacter = (await import("@/models/ModCharacterModel.js")).default;
+    const fields = "_id name homeVillage job publicSlug";
+    const [characters, modCharacters] = await Promise.all([
+      Character.find({ ...wishlistFilter, status: "accepted" }).select(fields).lean(),
+      ModCharacter.find(wishlistFilter).select(fields).lean(),
+    ]);
+
+    const rows: WishlistDemandCharacter[] = [
+      ...(characters as unknown as WishlistCharacterDoc[]),
+      ...(modCharacters as unknown as WishlistCharacterDoc[]),
+    ].map((doc) => ({
+      characterId: String(doc._id),
+      characterName: doc.name,
+      homeVillage: doc.homeVillage ?? null,
+      job: doc.job ?? null,
+      publicSlug: doc.publicSlug ?? null,
+    }));
+
+    return NextResponse.json(summarizeWishlistDemand(itemName, rows));
+  } catch (e) {
+    const errorMessage = e instanceof Error ? e.message : String(e);
+    logger.error("wishlist", `Failed to fetch wishlist demand: ${errorMessage}`);
+    return NextResponse.json(
+      { error: "Failed to fetch wishlist demand", details: errorMessage },
+      { status: 500 }
+    );
+  }
+}
@@ -1,6 +1,6 @@
 import { NextResponse } from "next/server";
 import mongoose from "mongoose";
-import { connect, getInventoriesDb } from "@/lib/db";
+import { connect, getInventoriesDb, INVENTORIES_COLLECTION } from "@/lib/db";
 import { logger } from "@/utils/logger";
 
 export const dynamic = "force-dynamic";
@@ -185,7 +185,7 @@ export async function GET(request: Request) {
         let totalItems = 0;
         let uniqueItems = 0;
         try {
-          const collection = db.collection(name.toLowerCase());
+          const collection = db.collection(INVENTORIES_COLLECTION);
           const items = (await collection.find({ characterId: charId, quantity: { $gt: 0 } }).toArray()) as Array<{ quantity?: number; itemName?: string }>;
           totalItems = items.reduce((sum, item) => sum + (item.quantity || 0), 0);
           uniqueItems = new Set(items.map((item) => item.itemName).filter(Boolean)).size;
@@ -213,7 +213,7 @@ export async function GET(request: Request) {
         const slug = (char.publicSlug as string) || name.toLowerCase().replace(/\s+/g, "-").replace(/[^\w-]/g, "");
         const charId = typeof char._id === "string" ? new mongoose.Types.ObjectId(char._id) : char._id;
         try {
-          const collection = db.collection(name.toLowerCase());
+          const collection = db.collection(INVENTORIES_COLLECTION);
           const hasItem = await collection.findOne({ characterId: charId, itemName: { $regex: itemRegex }, quantity: { $gt: 0 } });
           if (hasItem) charactersWithItem.push({ characterName: name, slug });
         } catch {
@@ -1,6 +1,6 @@
 import { NextResponse } from "next/server";
 import mongoose from "mongoose";
-import { connect, getInventoriesDb } from "@/lib/db";
+import { connect, getInventoriesDb, INVENTORIES_COLLECTION } from "@/lib/db";
 import { logger } from "@/utils/logger";
 import { fetchDiscordUsernames } from "@/lib/discord";
 import type { PipelineStage } from "mongoose";
@@ -618,7 +618,7 @@ export async function GET() {
         const slug = (char.publicSlug as string) || name.toLowerCase().replace(/\s+/g, "-");
         const charId = typeof char._id === "string" ? new mongoose.Types.ObjectId(char._id) : char._id;
         try {
-          const collection = db.collection(name.toLowerCase());
+          const collection = db.collection(INVENTORIES_COLLECTION);
           const items = await collection.find({ characterId: charId, quantity: { $gt: 0 } }).toArray() as Array<{ quantity?: number; itemName?: string }>;
           const totalItems = items.reduce((sum, item) => sum + (item.quantity || 0), 0);
           characterStats.push({ characterName: name, slug, totalItems, uniqueItems: new Set(items.map((item) => item.itemName).filter(Boolean)).size });
@@ -0,0 +1,45 @@
+/**
+ * GET /api/users/achievements — current user's player and per-character achievements
+ */
+
+import { NextResponse } from "next/server";
+import { connect } from "@/lib/db";
+import { getSession } from "@/lib/session";
+import { logger } from "@/utils/logger";
+import { buildAchievementsData, type AchievementCharacter } from "@/lib/achievements";
+import type { EarnedAchievementEntry } from "@tinglebot/shared/lib/achievements";
+
+export async function GET() {
+  try {
+    const session = await getSession();
+    const discordId = session.user?.id;
+
+    if (!discordId) {
+      return NextResponse.json(
+        { error: "Unauthorized" },
+        { status: 401 }
+      );
+    }
+
+    await connect();
+    const { default: User } = await import("@/models/UserModel.js");
+    const { default: Character } = await import("@/models/CharacterModel.js");
+    const { default: ModCharacter } = await import("@/models/ModCharacterModel.js");
+
+    const [user, characters, modCharacters] = await Promise.all([
+      User.findOne({ discordId }).select("achievements").lean<{ achievements?: EarnedAchievementEntry[] }>(),
+      Character.find({ userId: discordId }).select("_id name icon").sort({ name: 1 }).lean<AchievementCharacter[]>(),
+      ModCharacter.find({ userId: discordId }).select("_id name icon").sort({ name: 1 }).lean<AchievementCharacter[]>(),
+    ]);
+
+    return NextResponse.json(
+      buildAchievementsData(user?.achievements, [...characters, ...modCharacters])
+    );
+  } catch (e) {
+    logger.error("api/users/achievements", e instanceof Error ? e.message : String(e));
+    return NextResponse.json(
+      { error: "Failed to fetch achievements" },
+      { status: 500 }
+    );
+  }
+}
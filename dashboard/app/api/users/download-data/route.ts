@@ -13,7 +13,7 @@
 import { NextResponse } from "next/server";
 import archiver from "archiver";
 import mongoose from "mongoose";
-import { connect, getInventoriesDb } from "@/lib/db";
+import { connect, getInventoriesDb, INVENTORIES_COLLECTION } from "@/lib/db";
 import { getSession } from "@/lib/session";
 import { logger } from "@/utils/logger";
 
@@ -321,13 +321,12 @@ export async function GET() {
     await Promise.all(
       allCharacters.map(async (character: Record<string, unknown>) => {
         try {
-          const collectionName = typeof character.name === "string" ? character.name.toLowerCase() : undefined;
-          if (!collectionName) return;
+          if (typeof character.name !== "string" || !character.name) return;
 
           const charId = character._id;
           if (!charId) return;
 
-          const collection = db.collection(collectionName);
+          const collection = db.collection(INVENTORIES_COLLECTION);
           const normalizedCharId = typeof charId === "string"
             ? new mongoose.Types.ObjectId(charId)
             : charId;
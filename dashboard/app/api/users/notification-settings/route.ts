@@ -0,0 +1,102 @@
+// ============================================================================
+// ------------------- Notification Settings API Route -------------------
+// ============================================================================
+//
+// GET /api/users/notification-settings — current user's DM preferences.
+// PATCH /api/users/notification-settings — update them ({ wishlistAlerts: boolean }).
+// Stored on UserModel.settings and read by the bot's notificationService.
+
+// ============================================================================
+// ------------------- Imports -------------------
+// ============================================================================
+
+import { NextRequest, NextResponse } from "next/server";
+import { connect } from "@/lib/db";
+import { getSession } from "@/lib/session";
+import { logger } from "@/utils/logger";
+
+// ============================================================================
+// ------------------- Types -------------------
+// ============================================================================
+
+export type NotificationSettings = {
+  wishlistAlerts: boolean;
+};
+
+type UserSettingsDoc = {
+  settings?: Partial<NotificationSettings>;
+};
+
+// Defaults match UserModel.settings
+const DEFAULT_SETTINGS: NotificationSettings = {
+  wishlistAlerts: true,
+};
+
+const SETTING_KEYS = Object.keys(DEFAULT_SETTINGS) as Array<keyof NotificationSettings>;
+
+function toSettings(doc: UserSettingsDoc | null): NotificationSettings {
+  return { ...DEFAULT_SETTINGS, ...(doc?.settings ?? {}) };
+}
+
+// ============================================================================
+// ------------------- Route Handlers -------------------
+// ============================================================================
+
+// ------------------- GET Handler ------------------
+export async function GET() {
+  try {
+    const session = await getSession();
+    const userId = session.user?.id;
+    if (!userId) {
+      return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+    }
+
+    await connect();
+    const { default: User } = await import("@/models/UserModel.js");
+    const user = (await User.findOne({ discordId: userId }).select("settings").lean()) as unknown as UserSettingsDoc | null;
+    return NextResponse.json({ settings: toSettings(user) });
+  } catch (err: unknown) {
+    const message = err instanceof Error ? err.message : String(err);
+    logger.error("notification-settings", `Failed to fetch notification settings: ${message}`);
+    return NextResponse.json({ error: "Failed to fetch notification settings" }, { status: 500 });
+  }
+}
+
+// ------------------- PATCH Handler ------------------
+export async function PATCH(request: NextRequest) {
+  try {
+    const session = await getSession();
+    const userId = session.user?.id;
+    if (!userId) {
+      return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+    }
+
+    const body = (await request.json().catch(() => ({}))) as Record<string, unknown>;
+    const $set: Record<string, boolean> = {};
+    for (const key of SETTING_KEYS) {
+      if (key in body) {
+        if (typeof body[key] !== "boolean") {
+          return NextResponse.json({ error: `${key} must be true or false` }, { status: 400 });
+        }
+        $set[`settings.${key}`] = body[key];
+      }
+    }
+    if (Object.keys($set).length === 0) {
+      return NextResponse.json({ error: "No notification settings provided" }, { status: 400 });
+    }
+
+    await connect();
+    const { default: User } = await import("@/models/UserModel.js");
+    const user = (await User.findOneAndUpdate({ discordId: userId }, { $set }, { new: true })
+      .select("settings")
+      .lean()) as unknown as UserSettingsDoc | null;
+    if (!user) {
+      return NextResponse.json({ error: "User not found" }, { status: 404 });
+    }
+    return NextResponse.json({ settings: toSettings(user) });
+  } catch (err: unknown) {
+    const message = err instanceof Error ? err.message : String(err);
+    logger.error("notification-settings", `Failed to update notification settings: ${message}`);
+    return NextResponse.json({ error: "Failed to update notification settings" }, { status: 500 });
+  }
+}
@@ -0,0 +1,75 @@
+// ============================================================================
+// ------------------- Imports -------------------
+// ============================================================================
+
+import { NextResponse } from "next/server";
+import { connect, isDatabaseUnavailableError, logDatabaseUnavailableOnce } from "@/lib/db";
+import { logger } from "@/utils/logger";
+import {
+  FORECAST_DAYS,
+  describeForecastDay,
+  type ForecastDay,
+  type WeatherForecastDoc,
+} from "@tinglebot/shared/weather/weatherForecast";
+
+// ============================================================================
+// ------------------- Constants -------------------
+// ============================================================================
+
+// The bot refreshes the forecast once a day at 8:05am Eastern
+export const revalidate = 300;
+
+const VILLAGES = ["Rudania", "Inariko", "Vhintl"] as const;
+
+// ============================================================================
+// ------------------- API Route Handlers -------------------
+// ============================================================================
+
+// ------------------- GET ------------------
+// GET /api/weather/forecast
+// Returns the rolling forecast (periods after the current one) per village, soonest first.
+export async function GET() {
+  try {
+    await connect();
+    const WeatherForecast = (await import("@/models/WeatherForecastModel.js")).default;
+
+    const docs = (await WeatherForecast.find({
+      village: { $in: VILLAGES },
+      date: { $gt: new Date() },
+    })
+      .sort({ date: 1 })
+      .lean()) as WeatherForecastDoc[];
+
+    // Forecast days are consecutive periods, so position gives days ahead
+    const forecast = Object.fromEntries(
+      VILLAGES.map((village) => [
+        village,
+        docs
+          .filter((doc) => doc.village === village)
+          .slice(0, FORECAST_DAYS)
+          .map((doc, index) => describeForecastDay(doc, index + 1)),
+      ])
+    ) as Record<(typeof VILLAGES)[number], ForecastDay[]>;
+
+    const response = NextResponse.json({ forecast });
+    response.headers.set(
+      "Cache-Control",
+      "public, s-maxage=300, stale-while-revalidate=3600"
+    );
+    return response;
+  } catch (err: unknown) {
+    if (isDatabaseUnavailableError(err)) {
+      logDatabaseUnavailableOnce("weather-forecast");
+      return NextResponse.json(
+        { forecast: {} },
+        { status: 200, headers: { "X-Degraded": "database" } }
+      );
+    }
+    const error = err instanceof Error ? err : new Error(String(err));
+    logger.error("[route.ts]❌ Failed to fetch weather forecast:", error.message);
+    return NextResponse.json(
+      { error: "Failed to fetch weather forecast" },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,208 @@
+"use client";
+
+// ============================================================================
+// ------------------- Imports -------------------
+// ============================================================================
+import { useCallback, useEffect, useState } from "react";
+import { Loading } from "@/components/ui";
+import { LEDGER_KINDS, LEDGER_KIND_LABELS, type LedgerKind } from "@/lib/character-ledger";
+
+// ============================================================================
+// ------------------- Types -------------------
+// ============================================================================
+type LedgerRow = {
+  at: string;
+  kind: LedgerKind;
+  description: string;
+  source: string;
+  amount: number | null;
+  before: number | null;
+  after: number | null;
+  link: string;
+};
+
+type LedgerResponse = {
+  entries: LedgerRow[];
+  page: number;
+  hasMore: boolean;
+  stealSummary: { totalAttempts: number; successfulSteals: number; failedSteals: number } | null;
+};
+
+const KIND_ICONS: Record<LedgerKind, string> = {
+  tokens: "fa-coins",
+  items: "fa-box",
+  steals: "fa-mask",
+  stamina: "fa-bolt",
+  hearts: "fa-heart",
+  blight: "fa-biohazard",
+  quests: "fa-scroll",
+};
+
+const RANGE_DAYS = { "7d": 7, "30d": 30, "90d": 90, all: 0 } as const;
+type Range = keyof typeof RANGE_DAYS;
+
+// ============================================================================
+// ------------------- Component -------------------
+// Merged token/item/stat/blight/quest timeline from /api/characters/:id/ledger
+// ============================================================================
+export function CharacterHistory({ characterId }: { characterId: string }) {
+  const [kinds, setKinds] = useState<LedgerKind[]>([]);
+  const [range, setRange] = useState<Range>("30d");
+  const [page, setPage] = useState(1);
+  const [data, setData] = useState<LedgerResponse | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+
+  const query = useCallback(
+    (extra: Record<string, string> = {}) => {
+      const params = new URLSearchParams(extra);
+      if (kinds.length > 0) params.set("kinds", kinds.join(","));
+      if (RANGE_DAYS[range]) params.set("days", String(RANGE_DAYS[range]));
+      return `/api/characters/${characterId}/ledger?${params.toString()}`;
+    },
+    [characterId, kinds, range]
+  );
+
+  useEffect(() => {
+    const controller = new AbortController();
+    setLoading(true);
+    fetch(query({ page: String(page) }), { cache: "no-store", signal: controller.signal })
+      .then(async (res) => {
+        const body = await res.json();
+        if (!res.ok) throw new Error(body.error ?? `Request failed: ${res.status}`);
+        setData(body as LedgerResponse);
+        setError(null);
+      })
+      .catch((e: unknown) => {
+        if (controller.signal.aborted) return;
+        setError(e instanceof Error ? e.message : "Request failed");
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setLoading(false);
+      });
+    return () => controller.abort();
+  }, [query, page]);
+
+  const toggleKind = (kind: LedgerKind) => {
+    setPage(1);
+    setKinds((prev) => (prev.includes(kind) ? prev.filter((k) => k !== kind) : [...prev, kind]));
+  };
+
+  const chip = (active: boolean) =>
+    [
+      "rounded-full border px-3 py-1 text-xs font-semibold transition-all inline-flex items-center gap-1.5",
+      active
+        ? "border-[var(--totk-light-green)] bg-[var(--totk-light-green)]/15 text-[var(--totk-light-green)]"
+        : "border-[var(--totk-green)] bg-[var(--totk-ocher)]/10 text-[var(--totk-grey-200)] hover:text-[var(--totk-light-green)]",
+    ].join(" ");
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-col gap-2 sm:flex-row sm:items-center sm:justify-between">
+        <div className="flex flex-wrap gap-2">
+          {LEDGER_KINDS.map((kind) => (
+            <button key={kind} type="button" onClick={() => toggleKind(kind)} className={chip(kinds.includes(kind))}>
+              <i className={`fa-solid ${KIND_ICONS[kind]} text-[10px]`} aria-hidden="true" />
+              {LEDGER_KIND_LABELS[kind]}
+            </button>
+          ))}
+        </div>
+        <div className="flex items-center gap-2">
+          <select
+            value={range}
+            onChange={(e) => {
+              setPage(1);
+              setRange(e.target.value as Range);
+            }}
+            className="rounded-md border border-[var(--totk-green)] bg-[var(--botw-warm-black)] px-2.5 py-1.5 text-xs text-[var(--botw-pale)]"
+          >
+            <option value="7d">Last 7d</option>
+            <option value="30d">Last 30d</option>
+            <option value="90d">Last 90d</option>
+            <option value="all">All time</option>
+          </select>
+          <a
+            href={query({ format: "csv" })}
+            className="rounded-md border border-[var(--totk-green)] px-2.5 py-1.5 text-xs font-semibold text-[var(--botw-pale)] hover:text-[var(--totk-light-green)]"
+          >
+            <i className="fa-solid fa-file-csv mr-1.5" aria-hidden="true" />
+            CSV
+          </a>
+        </div>
+      </div>
+
+      {data?.stealSummary && (
+        <div className="text-xs text-[var(--totk-grey-200)]">
+          <i className="fa-solid fa-mask mr-1.5" aria-hidden="true" />
+          Steal record: {data.stealSummary.successfulSteals} successful / {data.stealSummary.failedSteals} failed (
+          {data.stealSummary.totalAttempts} attempts)
+        </div>
+      )}
+
+      {loading && !data ? (
+        <Loading message="Loading history..." />
+      ) : error ? (
+        <div className="rounded-lg border border-red-500/60 bg-red-900/20 p-3 text-sm text-red-200">{error}</div>
+      ) : !data || data.entries.length === 0 ? (
+        <div className="rounded-lg border border-[var(--totk-green)] bg-[var(--totk-ocher)]/10 p-4 text-sm text-[var(--totk-grey-200)]">
+          No history matches these filters.
+        </div>
+      ) : (
+        <ul className={`space-y-2 ${loading ? "opacity-60" : ""}`}>
+          {data.entries.map((e, idx) => (
+            <li
+              key={`${e.at}-${idx}`}
+              className="flex items-start justify-between gap-3 rounded-lg border border-[var(--totk-green)] bg-[var(--totk-ocher)]/10 p-3"
+            >
+              <div className="min-w-0">
+                <div className="flex flex-wrap items-center gap-2">
+                  <i className={`fa-solid ${KIND_ICONS[e.kind]} text-xs text-[var(--totk-light-ocher)]`} aria-hidden="true" />
+                  {e.amount !== null && (
+                    <span
+                      className={`font-mono text-xs font-bold ${
+                        e.amount > 0 ? "text-[var(--totk-light-green)]" : e.amount < 0 ? "text-[#ff6347]" : "text-[var(--totk-grey-200)]"
+                      }`}
+                    >
+                      {e.amount > 0 ? `+${e.amount}` : e.amount}
+                    </span>
+                  )}
+                  <span className="break-words text-xs font-semibold text-[var(--botw-pale)]">{e.description}</span>
+                </div>
+                <div className="mt-1 text-[10px] text-[var(--totk-grey-200)] sm:text-xs">
+                  {e.source && <span>{e.source}</span>}
+                  {e.before !== null && e.after !== null && (
+                    <span className="ml-2 font-mono">
+                      {e.before} → {e.after}
+                    </span>
+                  )}
+                  {e.link && (
+                    <a href={e.link} target="_blank" rel="noopener noreferrer" className="ml-2 text-[var(--botw-blue)] hover:underline">
+                      Discord <i className="fa-solid fa-arrow-up-right-from-square text-[9px]" aria-hidden="true" />
+                    </a>
+                  )}
+                </div>
+              </div>
+              <div className="flex-shrink-0 text-right text-[10px] text-[var(--totk-grey-200)] sm:text-xs">
+                {new Date(e.at).toLocaleString("en-US", { month: "short", day: "numeric", hour: "2-digit", minute: "2-digit" })}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {data && (data.page > 1 || data.hasMore) && (
+        <div className="flex items-center justify-center gap-3 text-xs">
+          <button type="button" disabled={page <= 1 || loading} onClick={() => setPage((p) => p - 1)} className={chip(false)}>
+            <i className="fa-solid fa-chevron-left" aria-hidden="true" /> Newer
+          </button>
+          <span className="text-[var(--totk-grey-200)]">Page {data.page}</span>
+          <button type="button" disabled={!data.hasMore || loading} onClick={() => setPage((p) => p + 1)} className={chip(false)}>
+            Older <i className="fa-solid fa-chevron-right" aria-hidden="true" />
+          </button>
+        </div>
+      )}
+
+      <p className="text-[10px] text-[var(--totk-grey-200)]">Tokens are tracked per account, so token rows are shared by all of your characters.</p>
+    </div>
+  );
+}
@@ -15,6 +15,8 @@ import {
   getMainType,
   type ItemData,
 } from "@/lib/item-utils";
+import { ItemPriceHistory } from "./ItemPriceHistory";
+import { ItemWishlistDemand } from "./ItemWishlistDemand";
 
 // ============================================================================
 // ------------------- Types -------------------
@@ -524,6 +526,12 @@ export function ItemFlipCard({ item }: { item: ItemFlipCardProps }) {
               </div>
             </div>
 
+            {/* Market Price Section */}
+            <ItemPriceHistory itemName={item.itemName} active={isFlipped} />
+
+            {/* Wishlist Demand Section */}
+            <ItemWishlistDemand itemName={item.itemName} active={isFlipped} />
+
             {/* Character Ownership Section */}
             <div className="item-section modern-item-section">
               <div className="item-section-label modern-item-section-label">
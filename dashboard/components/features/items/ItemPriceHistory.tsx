@@ -0,0 +1,141 @@
+"use client";
+
+// ============================================================================
+// ------------------- Imports -------------------
+// ============================================================================
+import { useEffect, useState } from "react";
+import {
+  CartesianGrid,
+  Legend,
+  Line,
+  LineChart,
+  ResponsiveContainer,
+  Tooltip,
+  XAxis,
+  YAxis,
+} from "recharts";
+import type { PriceHistoryPoint, PriceSummary } from "@tinglebot/shared/lib/priceIndex";
+
+// ============================================================================
+// ------------------- Types -------------------
+// ============================================================================
+type PriceData = {
+  itemName: string;
+  days: number;
+  index: PriceSummary;
+  history: PriceHistoryPoint[];
+};
+
+const WINDOW_OPTIONS = [7, 30, 90];
+
+// ============================================================================
+// ------------------- Component -------------------
+// Market price section on the back of an item card. Loads once `active`
+// (the card has been flipped) and again when the window changes.
+// ============================================================================
+export function ItemPriceHistory({ itemName, active }: { itemName: string; active: boolean }) {
+  const [days, setDays] = useState(30);
+  const [data, setData] = useState<PriceData | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(false);
+
+  useEffect(() => {
+    if (!active || (data && data.days === days)) return;
+    let cancelled = false;
+    setLoading(true);
+    setError(false);
+    fetch(`/api/models/items/${encodeURIComponent(itemName)}/prices?days=${days}`)
+      .then((res) => {
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        return res.json();
+      })
+      .then((json: PriceData) => {
+        if (!cancelled) setData(json);
+      })
+      .catch((err) => {
+        console.error("Failed to fetch market prices:", err);
+        if (!cancelled) setError(true);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [active, itemName, days, data]);
+
+  const index = data?.index;
+
+  return (
+    <div className="item-section modern-item-section">
+      <div className="item-section-label modern-item-section-label">
+        <i className="fas fa-chart-line" aria-hidden="true"></i> Market price
+        <select
+          className="ml-2 rounded border border-[var(--totk-dark-ocher)] bg-[var(--botw-warm-black)] px-1 text-xs text-[var(--botw-pale)]"
+          value={days}
+          onClick={(e) => e.stopPropagation()}
+          onChange={(e) => setDays(Number(e.target.value))}
+          aria-label="Price window"
+        >
+          {WINDOW_OPTIONS.map((option) => (
+            <option key={option} value={option}>
+              {option} days
+            </option>
+          ))}
+        </select>
+      </div>
+      {loading && !data ? (
+        <div className="item-detail-list modern-item-detail-list">
+          <div className="item-detail-row modern-item-detail-row">Loading...</div>
+        </div>
+      ) : error || !index ? (
+        <div className="item-detail-list modern-item-detail-list">
+          <div className="item-detail-row modern-item-detail-row">No market data available</div>
+        </div>
+      ) : index.sales === 0 ? (
+        <div className="item-detail-list modern-item-detail-list">
+          <div className="item-detail-row modern-item-detail-row">
+            No player sales in the last {data.days} days
+          </div>
+        </div>
+      ) : (
+        <>
+          <div className="item-detail-list modern-item-detail-list">
+            <div className="item-detail-row modern-item-detail-row">
+              <strong>Median:</strong> {index.median} tokens
+            </div>
+            <div className="item-detail-row modern-item-detail-row">
+              <strong>Low / High:</strong> {index.low} / {index.high} tokens
+            </div>
+            <div className="item-detail-row modern-item-detail-row">
+              <strong>Sold:</strong> {index.units.toLocaleString()} in {index.sales} sale{index.sales === 1 ? "" : "s"}
+            </div>
+          </div>
+          {data.history.length > 1 && (
+            <ResponsiveContainer width="100%" height={180}>
+              <LineChart data={data.history} margin={{ top: 5, right: 5, left: 0, bottom: 5 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="var(--totk-dark-ocher)" opacity={0.3} />
+                <XAxis dataKey="date" stroke="var(--totk-grey-200)" tick={{ fill: "var(--totk-grey-200)", fontSize: 10 }} />
+                <YAxis stroke="var(--totk-grey-200)" tick={{ fill: "var(--totk-grey-200)", fontSize: 10 }} width={36} />
+                <Tooltip
+                  contentStyle={{
+                    backgroundColor: "var(--botw-warm-black)",
+                    border: "1px solid var(--totk-dark-ocher)",
+                    borderRadius: "8px",
+                    color: "var(--botw-pale)",
+                  }}
+                  itemStyle={{ color: "var(--botw-pale)" }}
+                  labelStyle={{ color: "var(--totk-light-green)" }}
+                />
+                <Legend wrapperStyle={{ color: "var(--botw-pale)", fontSize: 11 }} />
+                <Line type="monotone" dataKey="median" stroke="var(--totk-light-green)" strokeWidth={2} name="Median" dot={{ r: 2 }} />
+                <Line type="monotone" dataKey="low" stroke="var(--totk-grey-200)" strokeDasharray="4 2" name="Low" dot={false} />
+                <Line type="monotone" dataKey="high" stroke="#ff6347" strokeDasharray="4 2" name="High" dot={false} />
+              </LineChart>
+            </ResponsiveContainer>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
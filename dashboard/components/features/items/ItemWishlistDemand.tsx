@@ -0,0 +1,89 @@
+"use client";
+
+// ============================================================================
+// ------------------- Imports -------------------
+// ============================================================================
+import { useEffect, useState } from "react";
+import Link from "next/link";
+import type { WishlistDemand } from "@/lib/wishlist-items";
+
+// ============================================================================
+// ------------------- Component -------------------
+// "Who wants this" section on the back of an item card: characters with the
+// item on their wishlist, grouped by home village. Loads once `active`.
+// ============================================================================
+export function ItemWishlistDemand({ itemName, active }: { itemName: string; active: boolean }) {
+  const [data, setData] = useState<WishlistDemand | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(false);
+
+  useEffect(() => {
+    if (!active || data) return;
+    let cancelled = false;
+    setLoading(true);
+    setError(false);
+    fetch(`/api/models/items/${encodeURIComponent(itemName)}/wishlist`)
+      .then((res) => {
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        return res.json();
+      })
+      .then((json: WishlistDemand) => {
+        if (!cancelled) setData(json);
+      })
+      .catch((err) => {
+        console.error("Failed to fetch wishlist demand:", err);
+        if (!cancelled) setError(true);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [active, itemName, data]);
+
+  return (
+    <div className="item-section modern-item-section">
+      <div className="item-section-label modern-item-section-label">
+        <i className="fas fa-gift" aria-hidden="true"></i> Who wants this
+      </div>
+      {loading && !data ? (
+        <div className="item-detail-list modern-item-detail-list">
+          <div className="item-detail-row modern-item-detail-row">Loading...</div>
+        </div>
+      ) : error || !data ? (
+        <div className="item-detail-list modern-item-detail-list">
+          <div className="item-detail-row modern-item-detail-row">No wishlist data available</div>
+        </div>
+      ) : data.total === 0 ? (
+        <div className="item-detail-list modern-item-detail-list">
+          <div className="item-detail-row modern-item-detail-row">Not on anyone&apos;s wishlist yet</div>
+        </div>
+      ) : (
+        <div className="item-ownership-list">
+          <div className="item-ownership-total">
+            <strong>Wished for by:</strong> {data.total} character{data.total === 1 ? "" : "s"}
+            {" · "}
+            {data.villages.map((v) => `${v.village} ${v.count}`).join(" · ")}
+          </div>
+          <div className="item-ownership-characters">
+            {data.characters.map((char) => (
+              <div key={char.characterId} className="item-ownership-row">
+                <Link
+                  href={`/characters/${char.publicSlug || char.characterId}`}
+                  className="item-ownership-character hover:underline"
+                  onClick={(e) => e.stopPropagation()}
+                >
+                  {char.characterName}
+                </Link>
+                <span className="item-ownership-quantity">
+                  {[char.homeVillage, char.job].filter(Boolean).join(" · ")}
+                </span>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
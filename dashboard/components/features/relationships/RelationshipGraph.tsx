@@ -0,0 +1,311 @@
+"use client";
+
+// ============================================================================
+// ------------------- Imports -------------------
+// ============================================================================
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import type { PointerEvent as ReactPointerEvent } from "react";
+import { RELATIONSHIP_CONFIG, type RelationshipType } from "@/data/relationshipConfig";
+import { capitalize } from "@/lib/string-utils";
+import {
+  EMPTY_GRAPH_FILTERS,
+  GRAPH_VILLAGES,
+  buildRelationshipGraph,
+  listRelationshipOwners,
+  seedGraphLayout,
+  stepGraphLayout,
+  type GraphFilters,
+  type GraphNode,
+  type GraphRelationship,
+  type GraphVillage,
+} from "@/lib/relationship-graph";
+
+// ============================================================================
+// ------------------- Constants -------------------
+// ============================================================================
+const WIDTH = 960;
+const HEIGHT = 640;
+const NODE_RADIUS = 9;
+// Ticks per "heat": the simulation cools from alpha 1 to 0 over this many frames
+const COOLING_TICKS = 240;
+
+const VILLAGE_COLORS: Record<GraphVillage | "unknown", string> = {
+  rudania: "#FF6B6B",
+  inariko: "#7FB3FF",
+  vhintl: "#6BCF7F",
+  unknown: "#9ca3af",
+};
+
+const ALL_TYPES = Object.keys(RELATIONSHIP_CONFIG) as RelationshipType[];
+
+const SELECT_CLASS =
+  "rounded-md border-2 border-[var(--totk-dark-ocher)] bg-[var(--botw-warm-black)] px-3 py-1.5 text-sm text-[var(--botw-pale)] focus:border-[var(--totk-light-green)] focus:outline-none";
+
+// ============================================================================
+// ------------------- Component -------------------
+// ============================================================================
+export function RelationshipGraph({
+  relationships,
+  owners,
+  currentUserId,
+  onNodeClick,
+}: {
+  relationships: GraphRelationship[];
+  /** userId → display name for the owner filter */
+  owners: Record<string, string>;
+  currentUserId?: string | null;
+  onNodeClick?: (characterId: string) => void;
+}) {
+  const [filters, setFilters] = useState<GraphFilters>(EMPTY_GRAPH_FILTERS);
+  const [hoveredId, setHoveredId] = useState<string | null>(null);
+  const [, setFrame] = useState(0);
+  const svgRef = useRef<SVGSVGElement | null>(null);
+  const alphaRef = useRef(1);
+  const dragRef = useRef<{ node: GraphNode; moved: boolean } | null>(null);
+
+  const graph = useMemo(() => {
+    const built = buildRelationshipGraph(relationships, filters);
+    seedGraphLayout(built.nodes, WIDTH, HEIGHT);
+    return built;
+  }, [relationships, filters]);
+
+  const ownerOptions = useMemo(
+    () =>
+      listRelationshipOwners(relationships)
+        .map((id) => ({ id, label: id === currentUserId ? "You" : owners[id] || id }))
+        .sort((a, b) => (a.id === currentUserId ? -1 : b.id === currentUserId ? 1 : a.label.localeCompare(b.label))),
+    [relationships, owners, currentUserId]
+  );
+
+  // ------------------- Simulation loop -------------------
+  // Runs while the graph is warm; dragging a node reheats it.
+  useEffect(() => {
+    alphaRef.current = 1;
+    let raf = 0;
+    const tick = () => {
+      if (alphaRef.current > 0.01 || dragRef.current) {
+        stepGraphLayout(graph.nodes, graph.edges, Math.max(alphaRef.current, 0.05), { width: WIDTH, height: HEIGHT });
+        alphaRef.current = Math.max(0, alphaRef.current - 1 / COOLING_TICKS);
+        setFrame((frame) => frame + 1);
+      }
+      raf = requestAnimationFrame(tick);
+    };
+    raf = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(raf);
+  }, [graph]);
+
+  const nodeById = useMemo(() => new Map(graph.nodes.map((node) => [node.id, node])), [graph]);
+
+  const neighbours = useMemo(() => {
+    if (!hoveredId) return null;
+    const ids = new Set<string>([hoveredId]);
+    for (const edge of graph.edges) {
+      if (edge.source === hoveredId) ids.add(edge.target);
+      if (edge.target === hoveredId) ids.add(edge.source);
+    }
+    return ids;
+  }, [graph, hoveredId]);
+
+  // ------------------- Dragging -------------------
+  const toGraphPoint = useCallback((event: ReactPointerEvent) => {
+    const rect = svgRef.current?.getBoundingClientRect();
+    if (!rect) return { x: 0, y: 0 };
+    return {
+      x: ((event.clientX - rect.left) / rect.width) * WIDTH,
+      y: ((event.clientY - rect.top) / rect.height) * HEIGHT,
+    };
+  }, []);
+
+  const handlePointerDown = (event: ReactPointerEvent<SVGGElement>, node: GraphNode) => {
+    event.currentTarget.setPointerCapture(event.pointerId);
+    node.fixed = true;
+    dragRef.current = { node, moved: false };
+    alphaRef.current = Math.max(alphaRef.current, 0.3);
+  };
+
+  const handlePointerMove = (event: ReactPointerEvent) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+    const { x, y } = toGraphPoint(event);
+    drag.node.x = x;
+    drag.node.y = y;
+    drag.moved = true;
+  };
+
+  const handlePointerUp = () => {
+    const drag = dragRef.current;
+    if (!drag) return;
+    drag.node.fixed = false;
+    dragRef.current = null;
+    if (!drag.moved) onNodeClick?.(drag.node.id);
+  };
+
+  const toggleType = (type: RelationshipType) => {
+    setFilters((prev) => ({
+      ...prev,
+      types: prev.types.includes(type) ? prev.types.filter((t) => t !== type) : [...prev.types, type],
+    }));
+  };
+
+  // ------------------- Render -------------------
+  return (
+    <div className="rounded-lg border-2 border-[var(--totk-dark-ocher)] bg-[var(--botw-warm-black)]/60 p-3 sm:p-4 shadow-lg">
+      <div className="mb-3 flex flex-wrap items-center gap-3">
+        <label className="flex items-center gap-2 text-sm text-[var(--totk-grey-200)]">
+          Village
+          <select
+            className={SELECT_CLASS}
+            value={filters.village ?? ""}
+            onChange={(e) => setFilters((prev) => ({ ...prev, village: (e.target.value || null) as GraphVillage | null }))}
+          >
+            <option value="">All villages</option>
+            {GRAPH_VILLAGES.map((village) => (
+              <option key={village} value={village}>
+                {capitalize(village)}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="flex items-center gap-2 text-sm text-[var(--totk-grey-200)]">
+          Recorded by
+          <select
+            className={SELECT_CLASS}
+            value={filters.userId ?? ""}
+            onChange={(e) => setFilters((prev) => ({ ...prev, userId: e.target.value || null }))}
+          >
+            <option value="">All users</option>
+            {ownerOptions.map((owner) => (
+              <option key={owner.id} value={owner.id}>
+                {owner.label}
+              </option>
+            ))}
+          </select>
+        </label>
+        {(filters.village || filters.userId || filters.types.length > 0) && (
+          <button
+            type="button"
+            onClick={() => setFilters(EMPTY_GRAPH_FILTERS)}
+            className="text-sm font-semibold text-[var(--totk-light-green)] hover:underline"
+          >
+            Clear filters
+          </button>
+        )}
+        <span className="ml-auto text-xs text-[var(--totk-grey-200)]">
+          {graph.nodes.length} characters · {graph.edges.length} links
+        </span>
+      </div>
+
+      <div className="mb-3 flex flex-wrap gap-2">
+        {ALL_TYPES.map((type) => {
+          const config = RELATIONSHIP_CONFIG[type];
+          const active = filters.types.length === 0 || filters.types.includes(type);
+          return (
+            <button
+              key={type}
+              type="button"
+              onClick={() => toggleType(type)}
+              className="inline-flex items-center gap-1.5 rounded-md border px-2 py-1 text-xs font-semibold transition-opacity"
+              style={{
+                color: config.color,
+                backgroundColor: config.bgColor,
+                borderColor: config.borderColor,
+                opacity: active ? 1 : 0.35,
+              }}
+              aria-pressed={filters.types.includes(type)}
+            >
+              <i className={`fa-solid ${config.icon}`} aria-hidden="true" />
+              {config.label}
+            </button>
+          );
+        })}
+      </div>
+
+      {graph.nodes.length === 0 ? (
+        <p className="py-16 text-center text-sm italic text-[var(--botw-pale)] opacity-60">
+          No relationships match these filters.
+        </p>
+      ) : (
+        <svg
+          ref={svgRef}
+          viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+          className="h-auto w-full touch-none select-none rounded-md bg-[var(--botw-warm-black)]"
+          onPointerMove={handlePointerMove}
+          onPointerUp={handlePointerUp}
+          onPointerLeave={handlePointerUp}
+          role="img"
+          aria-label="Character relationship graph"
+        >
+          <g>
+            {graph.edges.map((edge) => {
+              const a = nodeById.get(edge.source);
+              const b = nodeById.get(edge.target);
+              if (!a || !b) return null;
+              const dimmed = neighbours && !(neighbours.has(edge.source) && neighbours.has(edge.target));
+              return (
+                <line
+                  key={edge.id}
+                  x1={a.x}
+                  y1={a.y}
+                  x2={b.x}
+                  y2={b.y}
+                  stroke={RELATIONSHIP_CONFIG[edge.types[0]]?.color ?? RELATIONSHIP_CONFIG.NEUTRAL.color}
+                  strokeWidth={edge.mutual ? 2.5 : 1.5}
+                  strokeDasharray={edge.mutual ? undefined : "5 4"}
+                  strokeOpacity={dimmed ? 0.1 : 0.8}
+                >
+                  <title>
+                    {`${a.name} ↔ ${b.name}: ${edge.types.map((t) => RELATIONSHIP_CONFIG[t].label).join(", ")}${edge.mutual ? " (mutual)" : ""}`}
+                  </title>
+                </line>
+              );
+            })}
+          </g>
+          <g>
+            {graph.nodes.map((node) => {
+              const dimmed = neighbours && !neighbours.has(node.id);
+              const radius = NODE_RADIUS + Math.min(8, node.degree);
+              return (
+                <g
+                  key={node.id}
+                  transform={`translate(${node.x},${node.y})`}
+                  className="cursor-pointer"
+                  opacity={dimmed ? 0.2 : 1}
+                  onPointerDown={(e) => handlePointerDown(e, node)}
+                  onPointerEnter={() => setHoveredId(node.id)}
+                  onPointerLeave={() => setHoveredId(null)}
+                >
+                  <circle
+                    r={radius}
+                    fill={VILLAGE_COLORS[node.village ?? "unknown"]}
+                    stroke="var(--botw-warm-black)"
+                    strokeWidth={2}
+                  />
+                  {(node.degree > 2 || hoveredId === node.id || (neighbours?.has(node.id) ?? false)) && (
+                    <text
+                      y={-radius - 4}
+                      textAnchor="middle"
+                      className="pointer-events-none fill-[var(--botw-pale)] text-[11px] font-semibold"
+                    >
+                      {node.name}
+                    </text>
+                  )}
+                  <title>{node.name}</title>
+                </g>
+              );
+            })}
+          </g>
+        </svg>
+      )}
+
+      <div className="mt-3 flex flex-wrap items-center gap-4 text-xs text-[var(--totk-grey-200)]">
+        {(Object.keys(VILLAGE_COLORS) as Array<keyof typeof VILLAGE_COLORS>).map((village) => (
+          <span key={village} className="inline-flex items-center gap-1.5">
+            <span className="inline-block h-3 w-3 rounded-full" style={{ backgroundColor: VILLAGE_COLORS[village] }} />
+            {capitalize(village)}
+          </span>
+        ))}
+        <span>Solid line = mutual · dashed = one-sided · drag to rearrange, click to open</span>
+      </div>
+    </div>
+  );
+}
@@ -36,6 +36,7 @@ export const navItems: NavItem[] = [
     label: "Community",
     icon: "fa-comments",
     children: [
+      { href: "/auctions", label: "Auction House", icon: "fa-gavel" },
       { href: "/crafting-requests", label: "Crafting Requests", icon: "fa-hammer" },
       { href: "/member-quests", label: "Member Quests", icon: "fa-scroll" },
       { href: "/member-lore", label: "Member Submitted Lore", icon: "fa-scroll" },
@@ -68,8 +69,10 @@ export const navItems: NavItem[] = [
       { href: "/admin/database", label: "Database Editor", icon: "fa-database" },
       { href: "/admin/member-quest-proposals", label: "Member Quest Proposals", icon: "fa-scroll" },
       { href: "/admin/mod-applications", label: "Mod Applications", icon: "fa-shield-halved" },
+      { href: "/admin/npcs", label: "NPCs", icon: "fa-user-secret" },
       { href: "/admin/quests", label: "Quests", icon: "fa-scroll" },
       { href: "/admin/relic-archives", label: "Relic Archive Requests", icon: "fa-book" },
+      { href: "/admin/scheduler", label: "Scheduler", icon: "fa-clock" },
       { href: "/admin/tablerolls", label: "Table Rolls", icon: "fa-dice" },
       { href: "/admin/todo", label: "Todo List", icon: "fa-list-check" },
     ],
@@ -0,0 +1,80 @@
+/**
+ * Achievements — shapes User.achievements into the Achievements tab data on
+ * /profile: player achievements plus one group per character. Definitions come
+ * from @tinglebot/shared lib/achievements (shared with the bot's announcements,
+ * /character view and /levels rank).
+ * Client-safe: no database access.
+ */
+
+import {
+  ACHIEVEMENT_CATEGORIES,
+  summarizeAchievements,
+  type AchievementDefinition,
+  type EarnedAchievementEntry,
+} from "@tinglebot/shared/lib/achievements";
+import type {
+  ProfileAchievement,
+  ProfileAchievementGroup,
+  ProfileAchievementsData,
+} from "@/types/user";
+
+export type AchievementCharacter = {
+  _id: unknown;
+  name: string;
+  icon?: string | null;
+};
+
+function toIso(value: Date | string | null | undefined): string | null {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+function toProfileAchievement(
+  achievement: AchievementDefinition,
+  earnedAt: Date | string | null = null
+): ProfileAchievement {
+  return {
+    id: achievement.id,
+    name: achievement.name,
+    description: achievement.description,
+    emoji: achievement.emoji,
+    category: achievement.category,
+    categoryLabel: ACHIEVEMENT_CATEGORIES[achievement.category]?.label ?? achievement.category,
+    earnedAt: toIso(earnedAt),
+  };
+}
+
+function toGroup(
+  earned: EarnedAchievementEntry[],
+  options: { scope: "user" | "character"; characterId?: unknown }
+): ProfileAchievementGroup {
+  const summary = summarizeAchievements(earned, options);
+  return {
+    total: summary.total,
+    earned: summary.earned.map((a) => toProfileAchievement(a, a.earnedAt)),
+    locked: summary.locked.map((a) => toProfileAchievement(a)),
+  };
+}
+
+export function buildAchievementsData(
+  achievements: EarnedAchievementEntry[] | null | undefined,
+  characters: AchievementCharacter[] | null | undefined
+): ProfileAchievementsData {
+  const earned = achievements ?? [];
+  const player = toGroup(earned, { scope: "user" });
+  const characterGroups = (characters ?? []).map((character) => ({
+    characterId: String(character._id),
+    name: character.name,
+    icon: character.icon ?? null,
+    ...toGroup(earned, { scope: "character", characterId: character._id }),
+  }));
+
+  const groups = [player, ...characterGroups];
+  return {
+    totalEarned: groups.reduce((sum, group) => sum + group.earned.length, 0),
+    totalAvailable: groups.reduce((sum, group) => sum + group.total, 0),
+    player,
+    characters: characterGroups,
+  };
+}
@@ -4,7 +4,7 @@
 // ============================================================================
 
 import mongoose from "mongoose";
-import { getInventoriesDb } from "@/lib/db";
+import { getInventoriesDb, INVENTORIES_COLLECTION } from "@/lib/db";
 import { logger } from "@/utils/logger";
 
 type CharacterWithGear = {
@@ -40,8 +40,7 @@ export async function addEquippedGearToInventory(character: CharacterWithGear):
   if (names.length === 0) return;
 
   const db = await getInventoriesDb();
-  const collectionName = character.name.toLowerCase();
-  const collection = db.collection(collectionName);
+  const collection = db.collection(INVENTORIES_COLLECTION);
   const charId =
     typeof character._id === "string"
       ? new mongoose.Types.ObjectId(character._id)
@@ -0,0 +1,40 @@
+/**
+ * Character ledger — one timeline merged from TokenTransaction (owner account),
+ * InventoryLog (items and steals), the embedded stamina/hearts logs,
+ * BlightRollHistory and Quest participants.
+ * Row mapping, merging, paging and CSV export come from @tinglebot/shared
+ * lib/characterLedger (shared with the bot's /character history).
+ * Client-safe: the database reads live in lib/services/characterLedgerService.ts.
+ */
+
+import type { StatLogRow } from "@tinglebot/shared/lib/characterLedger";
+
+export {
+  LEDGER_KINDS,
+  LEDGER_KIND_LABELS,
+  MAX_LEDGER_ENTRIES,
+  getLedgerPageWindow,
+  ledgerToCsv,
+  makeEntry,
+  mergeLedgerEntries,
+  parseLedgerKinds,
+  statLogEntries,
+  toLedgerPage,
+} from "@tinglebot/shared/lib/characterLedger";
+export type {
+  LedgerEntry,
+  LedgerKind,
+  LedgerQueryOptions,
+  StatLogRow,
+} from "@tinglebot/shared/lib/characterLedger";
+
+export const DEFAULT_LEDGER_PAGE_SIZE = 25;
+
+export type LedgerCharacter = {
+  _id: unknown;
+  userId: string;
+  name: string;
+  isModCharacter?: boolean;
+  staminaLog?: StatLogRow[];
+  heartsLog?: StatLogRow[];
+};
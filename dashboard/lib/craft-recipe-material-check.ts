@@ -1,5 +1,5 @@
 import mongoose from "mongoose";
-import { connect, getInventoriesDb } from "@/lib/db";
+import { connect, getInventoriesDb, INVENTORIES_COLLECTION } from "@/lib/db";
 import { userOwnsCharacterName } from "@/lib/crafting-request-helpers";
 import { leanOne } from "@/lib/mongoose-lean";
 import { generalCategories } from "@/lib/general-item-categories";
@@ -93,7 +93,7 @@ export async function evaluateRecipeMaterialsOnInventory(
   }
 
   const db = await getInventoriesDb();
-  const collection = db.collection(charDoc.name.toLowerCase());
+  const collection = db.collection(INVENTORIES_COLLECTION);
   const charId =
     typeof charDoc._id === "string" ? new mongoose.Types.ObjectId(charDoc._id) : charDoc._id;
   const rows = await collection.find({ characterId: charId }).toArray();
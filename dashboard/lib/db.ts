@@ -284,6 +284,18 @@ export async function getInventoriesDb() {
   }
 }
 
+// ------------------- getInventoriesCollection ------------------
+// All character inventories share one `inventories` collection keyed by characterId
+// (see bot/database/inventoryCollection.js). Every query must filter by characterId,
+// otherwise it reads or writes every character's items.
+
+export const INVENTORIES_COLLECTION = "inventories";
+
+export async function getInventoriesCollection() {
+  const db = await getInventoriesDb();
+  return db.collection(INVENTORIES_COLLECTION);
+}
+
 // ------------------- connectToVending ------------------
 // Get a cached connection for vending models.
 // Reuses the same connection to avoid SSL handshake issues and reduce overhead.
@@ -1,5 +1,5 @@
 import mongoose from "mongoose";
-import { connect, getInventoriesDb } from "@/lib/db";
+import { connect, getInventoriesDb, INVENTORIES_COLLECTION } from "@/lib/db";
 import { effectFamilyFromElixirItemName } from "@/lib/elixir-catalog";
 import {
   fetchMixerItemDocsByInventoryNames,
@@ -132,7 +132,7 @@ export async function validateElixirMaterialSelectionsForCommission(
     typeof charDoc._id === "string" ? new mongoose.Types.ObjectId(charDoc._id) : charDoc._id;
 
   const db = await getInventoriesDb();
-  const collection = db.collection(String(charDoc.name).toLowerCase());
+  const collection = db.collection(INVENTORIES_COLLECTION);
 
   type RowResolved = {
     sel: (typeof parsed)[number];
@@ -0,0 +1,154 @@
+// ============================================================================
+// ------------------- NPC editor -------------------
+// Validates NPC registry edits from /admin/npcs before they reach NPCModel.
+// The bot reads the same documents (through @tinglebot/shared) for /steal.
+// ============================================================================
+
+import { NPC_VILLAGES, type NPCVillage } from "@tinglebot/shared/lib/npcRegistry";
+
+export const NPC_NAME_REGEX = /^[a-zA-Z0-9\s'\-]+$/;
+export const NPC_MAX_STEAL_DIFFICULTY = 50;
+export const NPC_RARITIES = ["1", "2", "3", "4", "5"] as const;
+
+export type NPCEditorFields = {
+  race: string;
+  profession: string;
+  personality: string;
+  description: string;
+  specialties: string[];
+  specialty: string;
+  icon: string;
+  pronouns: { subject: string; object: string; possessive: string };
+  itemCategories: string[];
+  items: string[];
+  rarityWeights: Record<string, number>;
+  stealDifficulty: number;
+  village: NPCVillage | null;
+  availability: { startsAt: Date | null; endsAt: Date | null; months: number[] };
+  flavorText: string[];
+  failText: string[];
+  isActive: boolean;
+};
+
+export type NPCEditorInput = NPCEditorFields & { name: string };
+
+export type NPCInputResult =
+  | { ok: true; value: NPCEditorInput }
+  | { ok: false; message: string };
+
+// ------------------- Helpers -------------------
+
+function str(raw: unknown): string {
+  return typeof raw === "string" ? raw.trim() : "";
+}
+
+/** Accepts an array or a newline-separated string; drops blanks and duplicates. */
+export function parseList(raw: unknown): string[] {
+  const parts = Array.isArray(raw) ? raw : typeof raw === "string" ? raw.split("\n") : [];
+  const out: string[] = [];
+  for (const part of parts) {
+    const t = str(part);
+    if (t && !out.includes(t)) out.push(t);
+  }
+  return out;
+}
+
+function parseDate(raw: unknown): Date | null | undefined {
+  if (raw === undefined || raw === null || raw === "") return null;
+  const d = new Date(raw as string);
+  return Number.isNaN(d.getTime()) ? undefined : d;
+}
+
+// ------------------- normalizeNPCInput -------------------
+
+/** Validates an editor payload. `name` comes from the URL on update and the body on create. */
+export function normalizeNPCInput(raw: unknown, name?: string): NPCInputResult {
+  if (!raw || typeof raw !== "object") {
+    return { ok: false, message: "Body must be an object" };
+  }
+  const o = raw as Record<string, unknown>;
+
+  const npcName = (name ?? str(o.name)).trim();
+  if (!npcName) return { ok: false, message: "name is required" };
+  if (!NPC_NAME_REGEX.test(npcName)) {
+    return { ok: false, message: "Name can only contain letters, numbers, spaces, apostrophes and hyphens" };
+  }
+
+  const profession = str(o.profession);
+  if (!profession) return { ok: false, message: "profession is required" };
+
+  const itemCategories = parseList(o.itemCategories);
+  const items = parseList(o.items);
+  if (itemCategories.length === 0 && items.length === 0) {
+    return { ok: false, message: "Add at least one item category or item" };
+  }
+
+  const difficulty = o.stealDifficulty === undefined || o.stealDifficulty === "" ? 0 : Number(o.stealDifficulty);
+  if (!Number.isFinite(difficulty) || difficulty < 0 || difficulty > NPC_MAX_STEAL_DIFFICULTY) {
+    return { ok: false, message: `stealDifficulty must be between 0 and ${NPC_MAX_STEAL_DIFFICULTY}` };
+  }
+
+  const rarityWeights: Record<string, number> = {};
+  const rawWeights = o.rarityWeights && typeof o.rarityWeights === "object" ? (o.rarityWeights as Record<string, unknown>) : {};
+  for (const [rarity, value] of Object.entries(rawWeights)) {
+    if (value === undefined || value === null || value === "") continue;
+    const weight = Number(value);
+    if (!(NPC_RARITIES as readonly string[]).includes(rarity) || !Number.isFinite(weight) || weight <= 0) {
+      return { ok: false, message: "rarityWeights must map rarities 1-5 to positive numbers" };
+    }
+    rarityWeights[rarity] = weight;
+  }
+
+  let village: NPCVillage | null = null;
+  const rawVillage = str(o.village);
+  if (rawVillage) {
+    const match = NPC_VILLAGES.find((v) => v.toLowerCase() === rawVillage.toLowerCase());
+    if (!match) return { ok: false, message: `village must be one of: ${NPC_VILLAGES.join(", ")}` };
+    village = match;
+  }
+
+  const rawAvailability = o.availability && typeof o.availability === "object" ? (o.availability as Record<string, unknown>) : {};
+  const startsAt = parseDate(rawAvailability.startsAt);
+  const endsAt = parseDate(rawAvailability.endsAt);
+  if (startsAt === undefined || endsAt === undefined) {
+    return { ok: false, message: "availability dates must be valid dates" };
+  }
+  if (startsAt && endsAt && startsAt > endsAt) {
+    return { ok: false, message: "availability.startsAt must be before availability.endsAt" };
+  }
+  const rawMonths = Array.isArray(rawAvailability.months) ? rawAvailability.months : [];
+  const months = [...new Set(rawMonths.map(Number))].sort((a, b) => a - b);
+  if (months.some((m) => !Number.isInteger(m) || m < 1 || m > 12)) {
+    return { ok: false, message: "availability.months must be numbers 1-12" };
+  }
+
+  const rawPronouns = o.pronouns && typeof o.pronouns === "object" ? (o.pronouns as Record<string, unknown>) : {};
+
+  return {
+    ok: true,
+    value: {
+      name: npcName,
+      race: str(o.race),
+      profession,
+      personality: str(o.personality),
+      description: str(o.description),
+      specialties: parseList(o.specialties),
+      specialty: str(o.specialty),
+      icon: str(o.icon),
+      pronouns: {
+        subject: str(rawPronouns.subject),
+        object: str(rawPronouns.object),
+        possessive: str(rawPronouns.possessive),
+      },
+      itemCategories,
+      items,
+      rarityWeights,
+      stealDifficulty: Math.round(difficulty),
+      village,
+      availability: { startsAt, endsAt, months },
+      flavorText: parseList(o.flavorText),
+      failText: parseList(o.failText),
+      isActive: typeof o.isActive === "boolean" ? o.isActive : true,
+    },
+  };
+}
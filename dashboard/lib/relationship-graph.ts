@@ -0,0 +1,252 @@
+/**
+ * Relationship graph — nodes and edges built from RelationshipModel entries, the
+ * village / type / owner filters, and a small force-directed layout for the
+ * Graph tab on /characters/relationships.
+ * Each owner records their own character's side of a link, so A→B and B→A are
+ * merged into one edge (mutual when both exist).
+ * Client-safe: no database access.
+ */
+
+import type { RelationshipType } from "@/data/relationshipConfig";
+
+export const GRAPH_VILLAGES = ["rudania", "inariko", "vhintl"] as const;
+export type GraphVillage = (typeof GRAPH_VILLAGES)[number];
+
+export type GraphCharacterRef = {
+  _id: string;
+  name: string;
+  homeVillage?: string;
+  currentVillage?: string;
+  icon?: string;
+};
+
+export type GraphRelationship = {
+  _id: string;
+  userId: string;
+  characterId: GraphCharacterRef | string;
+  targetCharacterId: GraphCharacterRef | string;
+  characterName: string;
+  targetCharacterName: string;
+  relationshipTypes: RelationshipType[];
+};
+
+export type GraphFilters = {
+  village: GraphVillage | null;
+  /** Empty = every type */
+  types: RelationshipType[];
+  userId: string | null;
+};
+
+export type GraphNode = {
+  id: string;
+  name: string;
+  village: GraphVillage | null;
+  icon?: string;
+  degree: number;
+  x: number;
+  y: number;
+  vx: number;
+  vy: number;
+  /** Pinned while being dragged */
+  fixed?: boolean;
+};
+
+export type GraphEdge = {
+  id: string;
+  source: string;
+  target: string;
+  types: RelationshipType[];
+  mutual: boolean;
+};
+
+export type RelationshipGraph = { nodes: GraphNode[]; edges: GraphEdge[] };
+
+export const EMPTY_GRAPH_FILTERS: GraphFilters = { village: null, types: [], userId: null };
+
+// ============================================================================
+// ------------------- Building -------------------
+// ============================================================================
+
+const refId = (ref: GraphCharacterRef | string): string => (typeof ref === "string" ? ref : String(ref._id));
+
+const refVillage = (ref: GraphCharacterRef | string): GraphVillage | null => {
+  if (typeof ref === "string") return null;
+  const village = (ref.homeVillage || ref.currentVillage || "").toLowerCase();
+  return (GRAPH_VILLAGES as readonly string[]).includes(village) ? (village as GraphVillage) : null;
+};
+
+/**
+ * Nodes and merged edges for the relationships matching `filters`.
+ * Type filtering also trims each edge to the selected types; the village filter
+ * keeps links with at least one end in that village, so cross-village ties show.
+ */
+export function buildRelationshipGraph(
+  relationships: GraphRelationship[],
+  filters: GraphFilters = EMPTY_GRAPH_FILTERS
+): RelationshipGraph {
+  const nodes = new Map<string, GraphNode>();
+  const edges = new Map<string, GraphEdge & { directions: Set<string> }>();
+
+  const addNode = (ref: GraphCharacterRef | string, fallbackName: string) => {
+    const id = refId(ref);
+    if (!nodes.has(id)) {
+      nodes.set(id, {
+        id,
+        name: typeof ref === "string" ? fallbackName : ref.name || fallbackName,
+        village: refVillage(ref),
+        icon: typeof ref === "string" ? undefined : ref.icon,
+        degree: 0,
+        x: 0,
+        y: 0,
+        vx: 0,
+        vy: 0,
+      });
+    }
+    return id;
+  };
+
+  for (const rel of relationships) {
+    if (filters.userId && rel.userId !== filters.userId) continue;
+    const types = filters.types.length > 0
+      ? rel.relationshipTypes.filter((type) => filters.types.includes(type))
+      : rel.relationshipTypes;
+    if (types.length === 0) continue;
+    if (filters.village && refVillage(rel.characterId) !== filters.village && refVillage(rel.targetCharacterId) !== filters.village) {
+      continue;
+    }
+
+    const source = addNode(rel.characterId, rel.characterName);
+    const target = addNode(rel.targetCharacterId, rel.targetCharacterName);
+    if (source === target) continue;
+
+    const [a, b] = source < target ? [source, target] : [target, source];
+    const key = `${a}|${b}`;
+    let edge = edges.get(key);
+    if (!edge) {
+      edge = { id: key, source: a, target: b, types: [], mutual: false, directions: new Set() };
+      edges.set(key, edge);
+      nodes.get(a)!.degree++;
+      nodes.get(b)!.degree++;
+    }
+    for (const type of types) {
+      if (!edge.types.includes(type)) edge.types.push(type);
+    }
+    edge.directions.add(source);
+    edge.mutual = edge.directions.size > 1;
+  }
+
+  return {
+    nodes: [...nodes.values()],
+    edges: [...edges.values()].map(({ id, source, target, types, mutual }) => ({ id, source, target, types, mutual })),
+  };
+}
+
+/** Owners (relationship userIds) present in the data, for the user filter */
+export function listRelationshipOwners(relationships: GraphRelationship[]): string[] {
+  return [...new Set(relationships.map((rel) => rel.userId))];
+}
+
+// ============================================================================
+// ------------------- Layout -------------------
+// ============================================================================
+
+export type ForceLayoutOptions = {
+  width: number;
+  height: number;
+  /** Rest length of an edge, px */
+  linkDistance?: number;
+  /** Node-node repulsion strength */
+  charge?: number;
+};
+
+const DEFAULT_LINK_DISTANCE = 90;
+const DEFAULT_CHARGE = 1800;
+const CENTER_PULL = 0.02;
+const VELOCITY_DECAY = 0.6;
+
+/** Places nodes on a circle (deterministic), sorted by village so clusters start together */
+export function seedGraphLayout(nodes: GraphNode[], width: number, height: number): void {
+  const ordered = [...nodes].sort((a, b) => (a.village || "~").localeCompare(b.village || "~") || a.name.localeCompare(b.name));
+  const radius = Math.min(width, height) * 0.35;
+  ordered.forEach((node, index) => {
+    const angle = (index / Math.max(1, ordered.length)) * Math.PI * 2;
+    node.x = width / 2 + radius * Math.cos(angle);
+    node.y = height / 2 + radius * Math.sin(angle);
+    node.vx = 0;
+    node.vy = 0;
+  });
+}
+
+/**
+ * One simulation tick: pairwise repulsion, spring edges, a weak pull to the
+ * centre, scaled by `alpha` (callers cool it from 1 towards 0). Mutates nodes.
+ */
+export function stepGraphLayout(
+  nodes: GraphNode[],
+  edges: GraphEdge[],
+  alpha: number,
+  { width, height, linkDistance = DEFAULT_LINK_DISTANCE, charge = DEFAULT_CHARGE }: ForceLayoutOptions
+): void {
+  const byId = new Map(nodes.map((node) => [node.id, node]));
+
+  for (let i = 0; i < nodes.length; i++) {
+    for (let j = i + 1; j < nodes.length; j++) {
+      const a = nodes[i];
+      const b = nodes[j];
+      let dx = b.x - a.x;
+      let dy = b.y - a.y;
+      if (dx === 0 && dy === 0) {
+        dx = (j - i) * 0.01;
+        dy = 0.01;
+      }
+      const distSq = Math.max(25, dx * dx + dy * dy);
+      const force = (charge * alpha) / distSq;
+      const dist = Math.sqrt(distSq);
+      a.vx -= (dx / dist) * force;
+      a.vy -= (dy / dist) * force;
+      b.vx += (dx / dist) * force;
+      b.vy += (dy / dist) * force;
+    }
+  }
+
+  for (const edge of edges) {
+    const a = byId.get(edge.source);
+    const b = byId.get(edge.target);
+    if (!a || !b) continue;
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const dist = Math.max(1, Math.sqrt(dx * dx + dy * dy));
+    const pull = ((dist - linkDistance) / dist) * 0.1 * alpha;
+    a.vx += dx * pull;
+    a.vy += dy * pull;
+    b.vx -= dx * pull;
+    b.vy -= dy * pull;
+  }
+
+  for (const node of nodes) {
+    if (node.fixed) {
+      node.vx = 0;
+      node.vy = 0;
+      continue;
+    }
+    node.vx += (width / 2 - node.x) * CENTER_PULL * alpha;
+    node.vy += (height / 2 - node.y) * CENTER_PULL * alpha;
+    node.vx *= VELOCITY_DECAY;
+    node.vy *= VELOCITY_DECAY;
+    node.x = Math.min(width - 10, Math.max(10, node.x + node.vx));
+    node.y = Math.min(height - 10, Math.max(10, node.y + node.vy));
+  }
+}
+
+/** Seeds and runs the layout to rest (used for the first frame and in tests) */
+export function runGraphLayout(
+  graph: RelationshipGraph,
+  options: ForceLayoutOptions & { iterations?: number }
+): RelationshipGraph {
+  const iterations = options.iterations ?? 300;
+  seedGraphLayout(graph.nodes, options.width, options.height);
+  for (let i = 0; i < iterations; i++) {
+    stepGraphLayout(graph.nodes, graph.edges, 1 - i / iterations, options);
+  }
+  return graph;
+}
@@ -0,0 +1,91 @@
+/**
+ * Scheduler admin: read and control the bot's recurring Agenda jobs.
+ * Works directly on the shared `agendaJobs` collection, so it does not need the
+ * dashboard's own Agenda instance to be running. The bot picks up queued runs and
+ * the `disabled` flag on its next poll (every 5 seconds).
+ */
+
+import mongoose from "mongoose";
+import type { Collection } from "mongodb";
+import {
+  AGENDA_JOBS_COLLECTION,
+  SCHEDULER_ACTIONS,
+  buildManualRunJob,
+  summarizeScheduledJob,
+} from "@tinglebot/shared/lib/scheduledJobs";
+import type {
+  AgendaJobDoc,
+  ScheduledJobRunDoc,
+  ScheduledJobSummary,
+  SchedulerAction,
+} from "@tinglebot/shared/lib/scheduledJobs";
+import { connect } from "@/lib/db";
+
+export const MAX_HISTORY_LIMIT = 100;
+
+export function isSchedulerAction(value: unknown): value is SchedulerAction {
+  return typeof value === "string" && (SCHEDULER_ACTIONS as string[]).includes(value);
+}
+
+async function getAgendaJobsCollection(): Promise<Collection<AgendaJobDoc>> {
+  await connect();
+  const db = mongoose.connection.db;
+  if (!db) throw new Error("Database not connected");
+  return db.collection<AgendaJobDoc>(AGENDA_JOBS_COLLECTION);
+}
+
+/** One row per recurring job, sorted by name. */
+export async function listScheduledJobs(): Promise<ScheduledJobSummary[]> {
+  const collection = await getAgendaJobsCollection();
+  const recurring = await collection.find({ type: "single" }).project<{ name: string }>({ name: 1 }).toArray();
+  const names = [...new Set(recurring.map((doc) => doc.name))].sort();
+
+  const ScheduledJobRun = (await import("@/models/ScheduledJobRunModel.js")).default;
+  const [docs, lastRuns] = await Promise.all([
+    collection.find({ name: { $in: names } }).toArray(),
+    ScheduledJobRun.aggregate([
+      { $match: { jobName: { $in: names } } },
+      { $sort: { startedAt: -1 } },
+      { $group: { _id: "$jobName", run: { $first: "$$ROOT" } } },
+    ]) as Promise<Array<{ _id: string; run: ScheduledJobRunDoc }>>,
+  ]);
+
+  const lastRunByName = new Map(lastRuns.map((entry) => [entry._id, entry.run]));
+  return names.map((name) =>
+    summarizeScheduledJob(
+      name,
+      docs.filter((doc) => doc.name === name),
+      lastRunByName.get(name) ?? null
+    )
+  );
+}
+
+/** Latest recorded runs, newest first. */
+export async function listJobRuns(jobName: string | null, limit: number): Promise<ScheduledJobRunDoc[]> {
+  await connect();
+  const ScheduledJobRun = (await import("@/models/ScheduledJobRunModel.js")).default;
+  return (await ScheduledJobRun.find(jobName ? { jobName } : {})
+    .sort({ startedAt: -1 })
+    .limit(Math.min(Math.max(limit, 1), MAX_HISTORY_LIMIT))
+    .lean()) as ScheduledJobRunDoc[];
+}
+
+/**
+ * Run, pause or resume a recurring job. Returns false when no recurring job has that name.
+ */
+export async function applySchedulerAction(
+  name: string,
+  action: SchedulerAction,
+  userId: string
+): Promise<boolean> {
+  const collection = await getAgendaJobsCollection();
+  const recurring = await collection.findOne({ name, type: "single" });
+  if (!recurring) return false;
+
+  if (action === "run") {
+    await collection.insertOne(buildManualRunJob(name, userId));
+  } else {
+    await collection.updateMany({ name }, { $set: { disabled: action === "pause" } });
+  }
+  return true;
+}
@@ -0,0 +1,75 @@
+/**
+ * Season pass — shapes a user's stored seasonPass and badges into the Season tab
+ * data on /levels. Tiers, rewards and season windows come from
+ * @tinglebot/shared lib/seasonPass (shared with the bot's /levels season).
+ * A pass from an earlier season shows as empty until the bot rolls it over.
+ * Client-safe: no database access.
+ */
+
+import { getSeasonProgress } from "@tinglebot/shared/lib/seasonPass";
+import type { SeasonPassBadge, SeasonPassData } from "@/types/levels";
+
+export type StoredSeasonPass = {
+  seasonId?: string | null;
+  xp?: number;
+  xpBySource?: Partial<Record<"message" | "quest" | "raid" | "submission", number>>;
+  claimedTiers?: number[];
+  history?: { seasonId?: string; xp?: number; tier?: number; endedAt?: Date | string | null }[];
+};
+
+export type StoredBadge = {
+  badgeId: string;
+  label: string;
+  emoji?: string | null;
+  seasonId?: string | null;
+  earnedAt?: Date | string | null;
+};
+
+function toIso(value: Date | string | null | undefined): string | null {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+export function buildSeasonPassData(
+  seasonPass: StoredSeasonPass | null | undefined,
+  badges: StoredBadge[] | null | undefined,
+  now: Date = new Date()
+): SeasonPassData {
+  const progress = getSeasonProgress(seasonPass, now);
+  const current = seasonPass?.seasonId === progress.season.id;
+  const bySource = current ? seasonPass?.xpBySource ?? {} : {};
+
+  return {
+    ...progress,
+    season: {
+      ...progress.season,
+      startsAt: progress.season.startsAt.toISOString(),
+      endsAt: progress.season.endsAt.toISOString(),
+    },
+    xpBySource: {
+      message: bySource.message ?? 0,
+      quest: bySource.quest ?? 0,
+      raid: bySource.raid ?? 0,
+      submission: bySource.submission ?? 0,
+    },
+    badges: (badges ?? [])
+      .map<SeasonPassBadge>((badge) => ({
+        badgeId: badge.badgeId,
+        label: badge.label,
+        emoji: badge.emoji ?? null,
+        seasonId: badge.seasonId ?? null,
+        earnedAt: toIso(badge.earnedAt),
+      }))
+      .sort((a, b) => (b.earnedAt ?? "").localeCompare(a.earnedAt ?? "")),
+    history: (seasonPass?.history ?? [])
+      .filter((entry) => entry.seasonId)
+      .map((entry) => ({
+        seasonId: entry.seasonId as string,
+        xp: entry.xp ?? 0,
+        tier: entry.tier ?? 0,
+        endedAt: toIso(entry.endedAt),
+      }))
+      .reverse(),
+  };
+}
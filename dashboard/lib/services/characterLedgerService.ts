@@ -0,0 +1,118 @@
+// ============================================================================
+// ------------------- Character Ledger Service -------------------
+// Database reads behind the character ledger (see lib/character-ledger.ts)
+// ============================================================================
+
+import {
+  blightRollToEntry,
+  inventoryLogFilter,
+  inventoryLogToEntry,
+  mergeLedgerEntries,
+  questParticipantEntries,
+  questParticipantPath,
+  sinceFilter,
+  statLogEntries,
+  tokenTransactionToEntry,
+  type BlightRollRow,
+  type InventoryLogRow,
+  type LedgerEntry,
+  type LedgerKind,
+  type LedgerQueryOptions,
+  type QuestRow,
+  type TokenTransactionRow,
+} from "@tinglebot/shared/lib/characterLedger";
+import type { LedgerCharacter } from "@/lib/character-ledger";
+
+type LeanQuery<T> = {
+  sort: (s: Record<string, 1 | -1>) => LeanQuery<T>;
+  limit: (n: number) => LeanQuery<T>;
+  select: (s: string) => LeanQuery<T>;
+  lean: () => Promise<T[]>;
+};
+type LeanModel<T> = { find: (filter: Record<string, unknown>) => LeanQuery<T> };
+
+// ------------------- Sources -------------------
+
+async function tokenEntries(character: LedgerCharacter, { since, limit }: LedgerQueryOptions) {
+  const TokenTransaction = (await import("@/models/TokenTransactionModel.js")).default as unknown as LeanModel<TokenTransactionRow>;
+  const rows = await TokenTransaction.find({ userId: character.userId, ...sinceFilter("timestamp", since) })
+    .sort({ timestamp: -1 })
+    .limit(limit)
+    .lean();
+  return rows.map(tokenTransactionToEntry);
+}
+
+async function inventoryEntries(
+  character: LedgerCharacter,
+  { since, limit }: LedgerQueryOptions,
+  includeItems: boolean,
+  includeSteals: boolean
+) {
+  const InventoryLog = (await import("@/models/InventoryLogModel.js")).default as unknown as LeanModel<InventoryLogRow>;
+  const rows = await InventoryLog.find(inventoryLogFilter(character._id, { since, includeItems, includeSteals }))
+    .sort({ dateTime: -1 })
+    .limit(limit)
+    .lean();
+  return rows.map(inventoryLogToEntry);
+}
+
+async function blightEntries(character: LedgerCharacter, { since, limit }: LedgerQueryOptions) {
+  const BlightRollHistory = (await import("@/models/BlightRollHistoryModel.js")).default as unknown as LeanModel<BlightRollRow>;
+  const rows = await BlightRollHistory.find({ characterId: character._id, ...sinceFilter("timestamp", since) })
+    .sort({ timestamp: -1 })
+    .limit(limit)
+    .lean();
+  return rows.map(blightRollToEntry);
+}
+
+async function questEntries(character: LedgerCharacter, options: LedgerQueryOptions) {
+  const Quest = (await import("@/models/QuestModel.js")).default as unknown as LeanModel<QuestRow>;
+  const participantPath = questParticipantPath(character.userId);
+  const quests = await Quest.find({ [`${participantPath}.characterName`]: character.name })
+    .select(`questID title guildId targetChannel messageID ${participantPath}`)
+    .lean();
+  return questParticipantEntries(quests, character.userId, options);
+}
+
+// ------------------- Public API -------------------
+
+/**
+ * Newest-first ledger rows. Each source is read up to `limit` rows,
+ * so the first `limit` merged rows are exact.
+ */
+export async function collectCharacterLedger(
+  character: LedgerCharacter,
+  { kinds, since = null, limit }: { kinds: LedgerKind[]; since?: Date | null; limit: number }
+): Promise<LedgerEntry[]> {
+  const wanted = new Set(kinds);
+  const options = { since, limit };
+  const sources: Promise<LedgerEntry[]>[] = [];
+
+  if (wanted.has("tokens")) sources.push(tokenEntries(character, options));
+  if (wanted.has("items") || wanted.has("steals")) {
+    sources.push(inventoryEntries(character, options, wanted.has("items"), wanted.has("steals")));
+  }
+  // Mod characters do not keep stat logs
+  if (!character.isModCharacter) {
+    if (wanted.has("stamina")) sources.push(Promise.resolve(statLogEntries(character.staminaLog, "stamina", options)));
+    if (wanted.has("hearts")) sources.push(Promise.resolve(statLogEntries(character.heartsLog, "hearts", options)));
+  }
+  if (wanted.has("blight")) sources.push(blightEntries(character, options));
+  if (wanted.has("quests")) sources.push(questEntries(character, options));
+
+  return mergeLedgerEntries(await Promise.all(sources), limit);
+}
+
+export type StealSummary = { totalAttempts: number; successfulSteals: number; failedSteals: number };
+
+/** StealStats only holds running totals, so it is shown beside the timeline. */
+export async function loadStealSummary(character: LedgerCharacter): Promise<StealSummary | null> {
+  const StealStats = (await import("@/models/StealStatsModel.js")).default as unknown as LeanModel<StealSummary>;
+  const [stats] = await StealStats.find({ characterId: character._id }).limit(1).lean();
+  if (!stats || !stats.totalAttempts) return null;
+  return {
+    totalAttempts: stats.totalAttempts,
+    successfulSteals: stats.successfulSteals ?? 0,
+    failedSteals: stats.failedSteals ?? 0,
+  };
+}
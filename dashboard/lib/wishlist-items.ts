@@ -106,3 +106,49 @@ export async function resolveWishlistCanonicalNames(
   if (invalid.length) return { ok: false, invalid };
   return { ok: true, canonical };
 }
+
+// ============================================================================
+// "Who wants this" — wishlist demand for one item (item card back)
+// ============================================================================
+
+export type WishlistDemandCharacter = {
+  characterId: string;
+  characterName: string;
+  homeVillage?: string | null;
+  job?: string | null;
+  publicSlug?: string | null;
+};
+
+export type WishlistDemand = {
+  itemName: string;
+  total: number;
+  /** Characters per home village, most first */
+  villages: Array<{ village: string; count: number }>;
+  characters: WishlistDemandCharacter[];
+};
+
+/**
+ * Dedupes by character id and sorts by village then name so crafters can
+ * see where demand sits.
+ */
+export function summarizeWishlistDemand(
+  itemName: string,
+  characters: WishlistDemandCharacter[]
+): WishlistDemand {
+  const byId = new Map<string, WishlistDemandCharacter>();
+  for (const c of characters) {
+    if (!byId.has(c.characterId)) byId.set(c.characterId, c);
+  }
+  const villageOf = (c: WishlistDemandCharacter) => (c.homeVillage || "").trim() || "Unknown";
+  const sorted = [...byId.values()].sort(
+    (a, b) => villageOf(a).localeCompare(villageOf(b)) || a.characterName.localeCompare(b.characterName)
+  );
+
+  const counts = new Map<string, number>();
+  for (const c of sorted) counts.set(villageOf(c), (counts.get(villageOf(c)) ?? 0) + 1);
+  const villages = [...counts.entries()]
+    .map(([village, count]) => ({ village, count }))
+    .sort((a, b) => b.count - a.count || a.village.localeCompare(b.village));
+
+  return { itemName, total: sorted.length, villages, characters: sorted };
+}
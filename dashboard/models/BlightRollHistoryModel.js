@@ -33,6 +33,19 @@ const blightRollHistorySchema = new mongoose.Schema({
   notes: {
     type: String,
     default: ''
+  },
+  // Seeded RNG derivation written by the bot (see its services/rngService) so the roll can be replayed
+  rollId: {
+    type: String,
+    default: null
+  },
+  rollSeed: {
+    type: Number,
+    default: null
+  },
+  rollDrawIndex: {
+    type: Number,
+    default: null
   }
 });
 
@@ -3,268 +3,13 @@
 // Mongoose for database schema modeling
 // ============================================================================
 const mongoose = require('mongoose');
-const { Schema } = mongoose;
 
 // ============================================================================
-// ------------------- Define reusable schemas -------------------
-// Reusable sub-schema for gear items with name and stats
+// ------------------- Character schema -------------------
+// Field definitions live in @tinglebot/shared (schemas/characterSchema.js) so the
+// bot and dashboard stay in sync; edit fields there, hooks and methods here.
 // ============================================================================
-const GearSchema = new Schema({
-  name: { type: String, required: true },
-  stats: { type: Map, of: Number, required: true }
-}, { _id: false });
-
-// ============================================================================
-// ------------------- Stat log schema (embedded, capped in code) -------------------
-// ============================================================================
-const StatLogEntrySchema = new Schema({
-  ts: { type: Date, default: Date.now },
-  delta: { type: Number, required: true },
-  before: { type: Number, required: true },
-  after: { type: Number, required: true },
-  reason: { type: String, default: 'unknown' },
-  meta: { type: Schema.Types.Mixed, default: null },
-}, { _id: false });
-
-// ============================================================================
-// ------------------- Define the main character schema -------------------
-// Everything related to character data
-// ============================================================================
-const characterSchema = new Schema({
-  // ------------------- Basic character information -------------------
-  userId: { type: String, required: true, index: true },
-  name: { type: String, required: true },
-  age: { type: Number, default: null },
-  height: { type: Number, default: null },
-  pronouns: { type: String, required: true },
-  race: { type: String, required: true },
-  homeVillage: { type: String, required: true },
-  currentVillage: {
-    type: String,
-    default: function () { return this.homeVillage; }
-  },
-  job: { type: String, required: true },
-  jobDateChanged: { type: Date, default: null },
-  icon: { type: String, required: true },
-  birthday: { type: String, default: '' },
-
-  // ------------------- Health and stamina -------------------
-  maxHearts: { type: Number, required: true },
-  currentHearts: { type: Number, required: true },
-  maxStamina: { type: Number, required: true },
-  currentStamina: { type: Number, required: true },
-  lastStaminaUsage: { type: Date, default: null },
-  lastSpecialWeatherGather: { type: Date, default: null },
-  
-  // ------------------- Stamina/Hearts logs (embedded; retention via $slice) -------------------
-  staminaLog: { type: [StatLogEntrySchema], default: [] },
-  heartsLog: { type: [StatLogEntrySchema], default: [] },
-
-  // ------------------- Gear and stats -------------------
-  gearArmor: {
-    head: GearSchema,
-    chest: GearSchema,
-    legs: GearSchema
-  },
-  gearWeapon: GearSchema,
-  gearShield: GearSchema,
-  attack: { type: Number, default: 0 },
-  defense: { type: Number, default: 0 },
-
-  // ------------------- Inventory and links -------------------
-  inventory: { type: String, default: '' },
-  appLink: { type: String, default: '' }, // Optional - obsolete field, kept for external app links
-  inventorySynced: { type: Boolean, default: false },
-  appArt: { type: String, default: '' }, // URL to application art image
-
-  // ------------------- Vendor and shop details -------------------
-  vendingPoints: { type: Number, default: 0 },
-  vendorType: { type: String, default: '' },
-  shopPouch: { type: String, default: '' },
-  pouchSize: { type: Number, default: 0 },
-  shopLink: { type: String, default: '' },
-  shopImage: { type: String, default: '' },
-  lastCollectedMonth: { type: Number, default: 0 },
-  vendingSetup: {
-    shopLink: { type: String },
-    pouchType: { type: String },
-    shopImage: { type: String },
-    setupDate: { type: Date }
-  },
-  vendingSync: { type: Boolean, default: false },
-
-  // ------------------- Special status -------------------
-  blighted: { type: Boolean, default: false },
-  blightedAt: { type: Date, default: null },
-  blightStage: { type: Number, default: 0 },
-  blightPaused: { type: Boolean, default: false },
-  blightPauseInfo: {
-    pausedAt: { type: Date, default: null },
-    pausedBy: { type: String, default: null },
-    pausedByUsername: { type: String, default: null },
-    reason: { type: String, default: null }
-  },
-  lastRollDate: { type: Date, default: null },
-  deathDeadline: { type: Date, default: null },
-  blightEffects: {
-    rollMultiplier: { type: Number, default: 1.0 },
-    noMonsters: { type: Boolean, default: false },
-    noGathering: { type: Boolean, default: false }
-  },
-  specialWeatherUsage: {
-    type: Map,
-    of: Date,
-    default: new Map()
-  },
-  ko: { type: Boolean, default: false },
-  debuff: {
-    active: { type: Boolean, default: false },
-    endDate: { type: Date, default: null }
-  },
-  buff: {
-    active: { type: Boolean, default: false },
-    type: { type: String, default: null }, // 'bright', 'chilly', 'electro', 'enduring', 'energizing', 'hasty', 'hearty', 'mighty', 'sneaky', 'spicy', 'sticky', 'tough' (legacy: 'fireproof' merged into chilly)
-    elixirLevel: { type: Number, default: null },
-    effects: {
-      blightResistance: { type: Number, default: 0 }, // Bright Elixir
-      electricResistance: { type: Number, default: 0 }, // Electro Elixir
-      staminaBoost: { type: Number, default: 0 }, // Enduring Elixir
-      staminaRecovery: { type: Number, default: 0 }, // Energizing Elixir
-      fireResistance: { type: Number, default: 0 }, // Chilly: heat + fire (one stat)
-      speedBoost: { type: Number, default: 0 }, // Hasty Elixir
-      extraHearts: { type: Number, default: 0 }, // Hearty Elixir
-      attackBoost: { type: Number, default: 0 }, // Mighty Elixir
-      stealthBoost: { type: Number, default: 0 }, // Sneaky Elixir
-      coldResistance: { type: Number, default: 0 }, // Spicy Elixir
-      defenseBoost: { type: Number, default: 0 }, // Tough Elixir
-      waterResistance: { type: Number, default: 0 }, // Sticky Elixir
-      plusBoost: { type: Number, default: 0 }, // Sticky Elixir
-      fleeBoost: { type: Number, default: 0 }, // Sneaky Elixir
-      hastyTravelCharges: { type: Number, default: 0 } // Hasty: trips remaining
-    }
-  },
-  failedStealAttempts: { type: Number, default: 0 },
-  failedFleeAttempts: { type: Number, default: 0 },
-  inJail: { type: Boolean, default: false },
-  jailReleaseTime: { type: Date, default: null },
-  jailStartTime: { type: Date, default: null },
-  jailDurationMs: { type: Number, default: null },
-  jailBoostSource: { type: String, default: null },
-  canBeStolenFrom: { type: Boolean, default: true },
-  
-  // ------------------- Steal Protection -------------------
-  // Tracks protection from steal attempts
-  stealProtection: {
-    // Protection: 2-hour cooldown after failed steal, midnight EST after successful steal
-    isProtected: { type: Boolean, default: false },
-    protectionEndTime: { type: Date, default: null }
-  },
-  
-  dailyRoll: {
-    type: Map,
-    of: Schema.Types.Mixed,
-    default: new Map()
-  },
-  travelLog: [
-    {
-      from: { type: String },
-      to: { type: String },
-      date: { type: Date },
-      success: { type: Boolean }
-    }
-  ],
-
-  // ------------------- Additional features -------------------
-  jobVoucher: {
-    type: Boolean,
-    default: false,
-    required: true
-  },
-  jobVoucherJob: {
-    type: String,
-    default: null
-  },
-  spiritOrbs: { type: Number, default: 0 },
-
-  // ------------------- Companions -------------------
-  currentActivePet: { 
-    type: Schema.Types.ObjectId, 
-    ref: 'Pet', 
-    default: null 
-  },
-  currentActiveMount: { 
-    type: Schema.Types.ObjectId, 
-    ref: 'Mount', 
-    default: null 
-  },
-
-  // ------------------- Help Wanted Quest Tracking -------------------
-  // Tracks Help Wanted quest completions, cooldowns, and history for this character
-  helpWanted: {
-    lastCompletion: { type: String, default: null }, // YYYY-MM-DD
-    cooldownUntil: { type: Date, default: null },
-    completions: [
-      {
-        date: { type: String }, // YYYY-MM-DD
-        village: { type: String },
-        questType: { type: String }
-      }
-    ]
-  },
-
-  // ------------------- Boosting System -------------------
-  // Tracks which character is currently boosting this character
-  boostedBy: { type: String, default: null },
-  // Staff/testing only: simulate a job boost without TempData or a real booster (set via dashboard DB editor)
-  devBoostOverride: {
-    enabled: { type: Boolean, default: false },
-    boosterJob: { type: String, default: null },
-    category: { type: String, default: null },
-    targetVillage: { type: String, default: null },
-  },
-
-  // ------------------- Character Status -------------------
-  // Status values:
-  // - null/undefined = DRAFT (saved, not submitted)
-  // - 'pending' = PENDING (submitted, needs votes)
-  // - 'needs_changes' = NEEDS_CHANGES (mod says something needs to be changed)
-  // - 'accepted' = ACCEPTED (approved)
-  status: { 
-    type: String, 
-    enum: ['pending', 'accepted', 'needs_changes'], 
-    default: null  // DRAFT state (saved, not submitted)
-  },
-
-  // ------------------- Application Tracking -------------------
-  // Tracks application versioning and workflow state
-  applicationVersion: { type: Number, default: 1 },
-  submittedAt: { type: Date, default: null },
-  decidedAt: { type: Date, default: null },
-  approvedAt: { type: Date, default: null },
-  applicationFeedback: [{
-    modId: { type: String, required: true },
-    modUsername: { type: String, required: true },
-    text: { type: String, required: true },
-    createdAt: { type: Date, default: Date.now }
-  }],
-  discordMessageId: { type: String, default: null },
-  discordThreadId: { type: String, default: null },
-  reminderLastSentAt: { type: Date, default: null },
-  publicSlug: { type: String, default: null },
-
-  // ------------------- Biography Information -------------------
-  gender: { type: String, default: '' }, // Includes pronouns, e.g., "Female | she/her"
-  virtue: { 
-    type: String, 
-    enum: ['power', 'wisdom', 'courage', 'TBA', 'tba'],
-    default: 'TBA' 
-  },
-  personality: { type: String, default: '' }, // Suggestion: at least 5 sentences
-  history: { type: String, default: '' }, // Suggestion: at least 5 sentences
-  extras: { type: String, default: '' }, // Optional
-  wishlistItems: { type: [String], default: [] } // Up to 5 catalog item names (gift ideas; validated in API)
-
-}, { collection: 'characters' });
+const characterSchema = require('@tinglebot/shared/schemas/characterSchema')(mongoose);
 
 // ============================================================================
 // ------------------- Pre-save hook -------------------
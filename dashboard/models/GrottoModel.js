@@ -49,6 +49,7 @@ const GrottoSchema = new Schema({
       width: Number,
       height: Number,
       entryNodes: Schema.Types.Mixed,
+      seed: { type: Number, default: null }, // bot rngService seed; regenerates this exact layout
       pathCells: [{
         x: Number,
         y: Number,
@@ -18,9 +18,20 @@ const inventorySchema = new Schema({
   craftedAt: { type: Date }, // Date the item was crafted (if applicable)
   gatheredAt: { type: Date }, // Date the item was gathered (if applicable)
   obtain: { type: String, default: '' },
-  synced: { type: String, unique: true }, // Unique identifier for synced items
+  link: { type: String }, // Discord message link for where the item was obtained
+  synced: { type: String }, // Legacy sheet-sync identifier (not unique: most rows store '')
+  elixirLevel: { type: Number }, // Elixir stack level (1–3); elixirs stack per level
+  modifierHearts: { type: Number }, // Fairy mix-in hearts on elixir stacks (part of the stack key)
   fortuneTellerBoost: { type: Boolean, default: false } // Tag for items crafted with Fortune Teller boost (sell for 20% more)
-});
+}, { collection: 'inventories' });
+
+// ------------------- Indexes -------------------
+// All characters share the `inventories` collection, keyed by characterId
+// (keep in sync with INVENTORY_INDEXES in bot/database/inventoryCollection.js)
+inventorySchema.index({ characterId: 1, itemName: 1 }, { name: 'characterId_itemName' });
+inventorySchema.index({ itemName: 1, characterId: 1 }, { name: 'itemName_characterId' });
+inventorySchema.index({ characterId: 1, quantity: 1 }, { name: 'characterId_quantity' });
+inventorySchema.index({ characterId: 1, category: 1 }, { name: 'characterId_category' });
 
 // Lazy import to avoid Next.js/Turbopack build-time resolution issues
 let getInventoriesConnectionModule = null;
@@ -0,0 +1,7 @@
+// ============================================================================
+// ------------------- Market sale model -------------------
+// Schema lives in @tinglebot/shared (models/MarketSaleModel.js); edit it there.
+// ============================================================================
+const mongoose = require('mongoose');
+
+module.exports = require('@tinglebot/shared/models/MarketSaleModel')(mongoose);
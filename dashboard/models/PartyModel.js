@@ -1,85 +1,7 @@
-// PartyModel.js
-
+// ============================================================================
+// ------------------- Party model -------------------
+// Schema lives in @tinglebot/shared (models/PartyModel.js); edit it there.
+// ============================================================================
 const mongoose = require('mongoose');
-const { Schema } = mongoose;
-
-const PartySchema = new Schema({
-  leaderId: { type: String, required: true },
-  region: { type: String, required: true },
-  square: { type: String, required: true },
-  quadrant: { type: String, required: true },
-  partyId: { type: String, required: true, unique: true },
-  characters: [
-    {
-      _id: { type: mongoose.Schema.Types.ObjectId, required: true },
-      userId: { type: String, required: true },
-      name: { type: String, required: true },
-      currentHearts: { type: Number, default: 0 },
-      currentStamina: { type: Number, default: 0 },
-      maxHearts: { type: Number, default: 0 },
-      maxStamina: { type: Number, default: 0 },
-      icon: { type: String },
-      items: [
-        {
-          itemName: { type: String, required: true },
-          modifierHearts: { type: Number, default: 0 },
-          staminaRecovered: { type: Number, default: 0 },
-          emoji: { type: String }
-        }
-      ]
-    }
-  ],
-  gatheredItems: [
-    {
-      characterId: { type: mongoose.Schema.Types.ObjectId, required: true }, // Character ID
-      characterName: { type: String, required: true }, // Character Name
-      itemName: { type: String, required: true }, // Item Name
-      quantity: { type: Number, default: 1 }, // Quantity of Item
-      emoji: { type: String, default: '' }, // Emoji for the Item
-    }
-  ],
-  messageId: { type: String },
-  discordThreadId: { type: String },
-  status: { type: String, default: 'open', enum: ['open', 'started', 'cancelled'] },
-  createdAt: { type: Date, default: Date.now },
-  currentTurn: { type: Number, default: 0 },
-  totalHearts: { type: Number, default: 0 },
-  totalStamina: { type: Number, default: 0 },
-  maxHearts: { type: Number, default: 0 },
-  maxStamina: { type: Number, default: 0 },
-  quadrantState: { type: String, default: 'unexplored', enum: ['unexplored', 'explored', 'secured'] },
-  /** Blight exposure: incremented when party reveals or travels through a blighted quadrant; stacks on repeated travel. */
-  blightExposure: { type: Number, default: 0 },
-  progressLog: [
-    {
-      at: { type: Date, default: Date.now },
-      characterName: { type: String, required: true },
-      outcome: { type: String, required: true },
-      message: { type: String, required: true },
-      loot: {
-        itemName: { type: String, default: '' },
-        emoji: { type: String, default: '' },
-      },
-      heartsLost: { type: Number },
-      staminaLost: { type: Number },
-      heartsRecovered: { type: Number },
-      staminaRecovered: { type: Number },
-    }
-  ],
-  /** Discovery keys (outcome|square|quadrant|at) that have been placed as a pin on the map; tracks whether pin was placed or not. */
-  reportedDiscoveryKeys: [{ type: String }],
-  /** Quadrants this expedition marked as Explored (reset to Unexplored on full party KO). */
-  exploredQuadrantsThisRun: [{ squareId: { type: String }, quadrantId: { type: String } }],
-  /** Quadrants the party has set foot in this run; fog stays clear for these when they move away. */
-  visitedQuadrantsThisRun: [{ squareId: { type: String }, quadrantId: { type: String } }],
-  /** Square IDs for which a path image was uploaded from this expedition; used to hide "draw path" prompt. */
-  pathImageUploadedSquares: [{ type: String }],
-  /** When set, the party used a hazard-resistance elixir during this expedition; protects against quadrant hazards for the rest of the explore. */
-  exploreElixir: {
-    type: { type: String },
-    elixirName: { type: String },
-  },
-});
 
-// Avoid "Cannot overwrite `Party` model once compiled" when module is re-loaded (e.g. Next.js API routes)
-module.exports = mongoose.models.Party || mongoose.model('Party', PartySchema);
+module.exports = require('@tinglebot/shared/models/PartyModel')(mongoose);
@@ -1,20 +1,79 @@
 /**
- * Stub quest reward module for dashboard context.
- * The full bot uses this for Discord notifications and reward processing.
- * Dashboard API routes use QuestModel for reads; these are no-ops here.
- * Do not rely on QuestModel for recording completion; use User.recordQuestCompletion in API routes.
+ * Quest completion side effects for dashboard context (QuestModel calls these when
+ * a completion happens from a dashboard approval). Notices and the completion record
+ * are built by @tinglebot/shared (lib/questCompletion.js), the same builders the
+ * bot's questRewardModule uses; here they are sent through the Discord REST API
+ * with the bot token instead of the bot's client. Reward payout stays in the bot.
  */
 
-async function sendQuestCompletionNotification() {
-  /* no-op */
+const {
+  SHEIKAH_SLATE_CHANNEL_ID,
+  getQuestNotificationChannelId,
+  buildQuestCompletionEmbed,
+  buildQuestSummaryMessages,
+  buildQuestCompletionRecord,
+} = require("@tinglebot/shared/lib/questCompletion");
+
+const DISCORD_API_BASE = "https://discord.com/api/v10";
+
+// Posts one message to a channel; returns false (never throws) when it can't
+async function postChannelMessage(channelId, message) {
+  const token = process.env.DISCORD_TOKEN;
+  if (!token) {
+    console.error("[questRewardModule] DISCORD_TOKEN not configured; quest notice not sent");
+    return false;
+  }
+  try {
+    const res = await fetch(`${DISCORD_API_BASE}/channels/${channelId}/messages`, {
+      method: "POST",
+      headers: { Authorization: `Bot ${token}`, "Content-Type": "application/json" },
+      body: JSON.stringify(message),
+    });
+    if (!res.ok) {
+      console.error(`[questRewardModule] ❌ Discord rejected quest notice for channel ${channelId}: ${res.status}`);
+      return false;
+    }
+    return true;
+  } catch (error) {
+    console.error(`[questRewardModule] ❌ Error posting quest notice to channel ${channelId}:`, error);
+    return false;
+  }
+}
+
+async function sendQuestCompletionNotification(quest, participant) {
+  // Required lazily: QuestModel loads this module
+  const { resolvePostRequirement } = require("../models/QuestModel");
+  const embed = buildQuestCompletionEmbed(quest, participant, {
+    posts: resolvePostRequirement(quest),
+    rolls: quest.requiredRolls || 1,
+  });
+  const sent = await postChannelMessage(getQuestNotificationChannelId(quest, participant), {
+    content: `<@${participant.userId}>`,
+    embeds: [embed],
+  });
+  return sent ? { success: true } : { success: false, error: "Notification not sent" };
 }
 
-async function sendQuestCompletionSummary() {
-  /* no-op */
+async function sendQuestCompletionSummary(quest, completionReason) {
+  for (const message of buildQuestSummaryMessages(quest, completionReason)) {
+    if (!(await postChannelMessage(SHEIKAH_SLATE_CHANNEL_ID, message))) {
+      return { success: false, error: "Summary not sent" };
+    }
+  }
+  return { success: true };
 }
 
-async function recordQuestCompletionSafeguard() {
-  /* no-op */
+async function recordQuestCompletionSafeguard(participant, quest) {
+  try {
+    const record = buildQuestCompletionRecord(participant, quest);
+    if (!record) return;
+    const User = require("../models/UserModel");
+    const user = await User.findOne({ discordId: participant.userId });
+    if (!user || typeof user.recordQuestCompletion !== "function") return;
+    await user.recordQuestCompletion(record);
+  } catch (error) {
+    console.error(`[questRewardModule] ❌ Error in quest completion safeguard for user ${participant.userId}:`, error);
+  }
 }
 
 module.exports = {
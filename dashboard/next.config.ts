@@ -5,9 +5,14 @@ import webpack from "webpack";
 // Get the absolute path to the project root
 // process.cwd() should be the project root when running from the correct directory
 const projectRoot = path.resolve(process.cwd());
+// Repo root: models import @tinglebot/shared from ../packages/shared, which must be
+// inside the bundler root and the standalone trace. Standalone output is therefore
+// nested at .next/standalone/dashboard/server.js.
+const repoRoot = path.resolve(projectRoot, "..");
 
 const nextConfig: NextConfig = {
   output: "standalone",
+  outputFileTracingRoot: repoRoot,
   // Don't log map tile image requests in dev (reduces console noise)
   logging: {
     incomingRequests: {
@@ -46,9 +51,9 @@ const nextConfig: NextConfig = {
       },
     ],
   },
-  // Set turbopack root to the project directory explicitly
+  // Set turbopack root to the repo root so ../packages/shared resolves
   turbopack: {
-    root: projectRoot,
+    root: repoRoot,
   },
   // Explicitly set webpack context and resolve root to the project directory
   webpack: (config, { isServer }) => {
@@ -4,7 +4,8 @@
 // The dashboard ownership API shows "Unknown" when a characterId in the
 // inventories DB has no matching Character or ModCharacter document.
 // This script finds those characterIds and infers the character name from
-// the inventory collection name (collections are named by character name).
+// inventory_migration_state, which records the character name each legacy
+// per-character collection was migrated under.
 //
 // Usage: node scripts/resolve-unknown-item-owners.js [itemName]
 //        (default itemName: Wood)
@@ -42,42 +43,23 @@ async function main() {
   const conn = mongoose.connection;
   const inventoriesDb = conn.useDb("inventories").db;
 
-  const collections = await inventoriesDb.listCollections().toArray();
-  const collectionNames = collections.map((c) => c.name);
-
   const escapedItemName = ITEM_NAME.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
   const regex = new RegExp(`^${escapedItemName}$`, "i");
 
-  const allInventoryData = [];
-
-  for (const collectionName of collectionNames) {
-    try {
-      const collection = inventoriesDb.collection(collectionName);
-      const collectionData = await collection
-        .aggregate([
-          { $match: { itemName: { $regex: regex } } },
-          { $group: { _id: "$characterId", totalQuantity: { $sum: "$quantity" } } },
-        ])
-        .toArray();
-
-      for (const item of collectionData) {
-        const id = item._id;
-        if (!id) continue;
-        const idStr = id.toString();
-        const existing = allInventoryData.find((d) => d._id.toString() === idStr);
-        if (existing) {
-          existing.totalQuantity += item.totalQuantity;
-        } else {
-          allInventoryData.push({
-            _id: id instanceof mongoose.Types.ObjectId ? id : new mongoose.Types.ObjectId(idStr),
-            totalQuantity: item.totalQuantity,
-          });
-        }
-      }
-    } catch (err) {
-      // skip failed collections
-    }
-  }
+  const groupedData = await inventoriesDb
+    .collection("inventories")
+    .aggregate([
+      { $match: { itemName: { $regex: regex } } },
+      { $group: { _id: "$characterId", totalQuantity: { $sum: "$quantity" } } },
+    ])
+    .toArray();
+
+  const allInventoryData = groupedData
+    .filter((item) => item._id)
+    .map((item) => ({
+      _id: item._id instanceof mongoose.Types.ObjectId ? item._id : new mongoose.Types.ObjectId(item._id.toString()),
+      totalQuantity: item.totalQuantity,
+    }));
 
   const characterIds = allInventoryData.map((item) =>
     item._id instanceof mongoose.Types.ObjectId ? item._id : new mongoose.Types.ObjectId(item._id.toString())
@@ -117,28 +99,18 @@ async function main() {
 
   for (const { characterId, totalQuantity } of unknownIds) {
     const objId = new mongoose.Types.ObjectId(characterId);
-    let inferredName = null;
-
-    for (const collName of collectionNames) {
-      const collection = inventoriesDb.collection(collName);
-      const doc = await collection.findOne({
-        characterId: objId,
-        itemName: { $regex: regex },
-        quantity: { $gt: 0 },
-      });
-      if (doc) {
-        inferredName = collName;
-        break;
-      }
-    }
+    const migrated = await inventoriesDb
+      .collection("inventory_migration_state")
+      .findOne({ characterId: objId }, { projection: { characterName: 1 } });
+    const inferredName = migrated?.characterName || null;
 
     if (inferredName) {
       console.log(`  characterId: ${characterId}`);
       console.log(`  quantity:    x${totalQuantity.toLocaleString()}`);
-      console.log(`  inferred name (from inventory collection): "${inferredName}"`);
+      console.log(`  inferred name (from inventory migration): "${inferredName}"`);
       console.log("");
     } else {
-      console.log(`  characterId: ${characterId}  quantity: x${totalQuantity.toLocaleString()}  (no collection found with this characterId + ${ITEM_NAME})`);
+      console.log(`  characterId: ${characterId}  quantity: x${totalQuantity.toLocaleString()}  (no migration record for this characterId)`);
       console.log("");
     }
   }
@@ -1,7 +1,7 @@
 // ============================================================================
 // List characters that have a given item in their inventory
 // ============================================================================
-// Scans all inventory collections for the item (case-insensitive) and prints
+// Queries the shared `inventories` collection for the item (case-insensitive) and prints
 // character names and quantities.
 //
 // Usage: node scripts/who-has-item.js [itemName]
@@ -40,37 +40,25 @@ async function main() {
   const conn = mongoose.connection;
   const inventoriesDb = conn.useDb("inventories").db;
 
-  const collections = await inventoriesDb.listCollections().toArray();
-  const collectionNames = collections.map((c) => c.name);
-
   const escapedItemName = ITEM_NAME.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
   const regex = new RegExp(`^${escapedItemName}$`, "i");
 
-  // { characterIdStr -> totalQuantity } (one collection = one character, but we key by characterId for lookup)
+  // { characterIdStr -> totalQuantity } from the shared inventories collection
   const byCharacterId = new Map();
-
-  for (const collectionName of collectionNames) {
-    try {
-      const collection = inventoriesDb.collection(collectionName);
-      const result = await collection
-        .aggregate([
-          { $match: { itemName: { $regex: regex }, quantity: { $gt: 0 } } },
-          { $group: { _id: "$characterId", totalQuantity: { $sum: "$quantity" } } },
-        ])
-        .toArray();
-
-      for (const item of result) {
-        const id = item._id;
-        if (!id) continue;
-        const idStr = id.toString();
-        const qty = Number(item.totalQuantity) || 0;
-        if (qty <= 0) continue;
-        const existing = byCharacterId.get(idStr);
-        byCharacterId.set(idStr, (existing || 0) + qty);
-      }
-    } catch (err) {
-      // skip failed collections
-    }
+  const result = await inventoriesDb
+    .collection("inventories")
+    .aggregate([
+      { $match: { itemName: { $regex: regex }, quantity: { $gt: 0 } } },
+      { $group: { _id: "$characterId", totalQuantity: { $sum: "$quantity" } } },
+    ])
+    .toArray();
+
+  for (const item of result) {
+    const id = item._id;
+    if (!id) continue;
+    const qty = Number(item.totalQuantity) || 0;
+    if (qty <= 0) continue;
+    byCharacterId.set(id.toString(), qty);
   }
 
   const characterIds = Array.from(byCharacterId.entries()).map(([idStr, totalQuantity]) => ({
@@ -0,0 +1,38 @@
+// ============================================================================
+// Achievements — Achievements tab data on /profile
+// ============================================================================
+
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { buildAchievementsData } from "@/lib/achievements";
+
+const link = { _id: "64b000000000000000000001", name: "Link", icon: null };
+const zelda = { _id: "64b000000000000000000002", name: "Zelda" };
+
+test("buildAchievementsData splits player and per-character achievements", () => {
+  const data = buildAchievementsData(
+    [
+      { achievementId: "blupee-first", characterId: null, earnedAt: "2026-10-01T00:00:00Z" },
+      { achievementId: "steal-first", characterId: link._id, characterName: "Link", earnedAt: "2026-10-02T00:00:00Z" },
+      { achievementId: "grotto-first", characterId: link._id, characterName: "Link", earnedAt: "2026-10-05T00:00:00Z" },
+    ],
+    [link, zelda]
+  );
+
+  assert.deepEqual(data.player.earned.map((a) => a.id), ["blupee-first"]);
+  assert.equal(data.player.earned[0].categoryLabel, "Minigames");
+  assert.deepEqual(data.characters[0].earned.map((a) => a.id), ["grotto-first", "steal-first"]);
+  assert.equal(data.characters[0].earned[0].earnedAt, "2026-10-05T00:00:00.000Z");
+  assert.equal(data.characters[1].earned.length, 0);
+  assert.equal(data.characters[1].locked.length, data.characters[1].total);
+  assert.equal(data.totalEarned, 3);
+  assert.equal(data.totalAvailable, data.player.total + data.characters[0].total * 2);
+});
+
+test("buildAchievementsData ignores unknown achievement ids", () => {
+  const data = buildAchievementsData([{ achievementId: "retired-achievement", earnedAt: null }], []);
+  assert.equal(data.totalEarned, 0);
+  assert.equal(data.characters.length, 0);
+  assert.equal(data.player.locked.length, data.player.total);
+});
@@ -0,0 +1,34 @@
+// ============================================================================
+// Blight roll call timing — the daily 8pm ET (1am UTC) reset shown on the
+// dashboard countdown
+// ============================================================================
+
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { getNextBlightRollCallTime } from "@/lib/blight-roll-call-utils";
+
+test.describe("getNextBlightRollCallTime", () => {
+  test("is later the same UTC day before 1am UTC", () => {
+    const next = getNextBlightRollCallTime(new Date("2026-03-10T00:30:00Z"));
+    assert.equal(next.toISOString(), "2026-03-10T01:00:00.000Z");
+  });
+
+  test("rolls over to the next day at and after 1am UTC", () => {
+    assert.equal(
+      getNextBlightRollCallTime(new Date("2026-03-10T01:00:00Z")).toISOString(),
+      "2026-03-11T01:00:00.000Z"
+    );
+    assert.equal(
+      getNextBlightRollCallTime(new Date("2026-03-10T18:45:00Z")).toISOString(),
+      "2026-03-11T01:00:00.000Z"
+    );
+  });
+
+  test("crosses month and year boundaries", () => {
+    assert.equal(
+      getNextBlightRollCallTime(new Date("2026-12-31T12:00:00Z")).toISOString(),
+      "2027-01-01T01:00:00.000Z"
+    );
+  });
+});
@@ -0,0 +1,84 @@
+// ============================================================================
+// Character ledger — kind parsing, merge order, stat log rows and CSV export
+// ============================================================================
+
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  LEDGER_KINDS,
+  getLedgerPageWindow,
+  ledgerToCsv,
+  makeEntry,
+  mergeLedgerEntries,
+  parseLedgerKinds,
+  statLogEntries,
+  toLedgerPage,
+} from "@/lib/character-ledger";
+
+test.describe("parseLedgerKinds", () => {
+  test("keeps known kinds and drops the rest", () => {
+    assert.deepEqual(parseLedgerKinds("tokens, Items,bogus"), ["tokens", "items"]);
+  });
+
+  test("falls back to every kind", () => {
+    assert.deepEqual(parseLedgerKinds(null), [...LEDGER_KINDS]);
+    assert.deepEqual(parseLedgerKinds("bogus"), [...LEDGER_KINDS]);
+  });
+});
+
+test.describe("mergeLedgerEntries", () => {
+  test("interleaves sources newest first and caps the result", () => {
+    const tokens = [makeEntry("2026-03-03", "tokens", "c"), makeEntry("2026-03-01", "tokens", "a")];
+    const items = [makeEntry("2026-03-02", "items", "b")];
+
+    const merged = mergeLedgerEntries([tokens, items], 2);
+
+    assert.deepEqual(merged.map((e) => e.description), ["c", "b"]);
+  });
+});
+
+test.describe("ledger paging", () => {
+  test("reads one extra row to tell whether another page exists", () => {
+    const pageWindow = getLedgerPageWindow(2, 2);
+    assert.deepEqual([pageWindow.start, pageWindow.limit], [2, 5]);
+
+    const rows = ["e", "d", "c", "b", "a"].map((d, i) => makeEntry(`2026-03-0${9 - i}`, "tokens", d));
+    const page = toLedgerPage(rows, pageWindow);
+    assert.deepEqual(page.entries.map((e) => e.description), ["c", "b"]);
+    assert.equal(page.hasMore, true);
+  });
+
+  test("clamps the page to the row cap", () => {
+    assert.equal(getLedgerPageWindow(10_000, 100).page, 50);
+  });
+});
+
+test.describe("statLogEntries", () => {
+  test("maps embedded stat rows and honours the since filter", () => {
+    const log = [
+      { ts: "2026-01-01", delta: -2, before: 5, after: 3, reason: "old" },
+      { ts: "2026-02-01", delta: 1, before: 3, after: 4, reason: "rest", meta: { command: "heal" } },
+    ];
+
+    const rows = statLogEntries(log, "stamina", { since: new Date("2026-01-15"), limit: 10 });
+
+    assert.equal(rows.length, 1);
+    assert.equal(rows[0].source, "heal");
+    assert.deepEqual([rows[0].amount, rows[0].before, rows[0].after], [1, 3, 4]);
+  });
+});
+
+test.describe("ledgerToCsv", () => {
+  test("quotes fields with commas or quotes and leaves unknown numbers blank", () => {
+    const csv = ledgerToCsv([
+      makeEntry("2026-03-01T00:00:00Z", "tokens", 'Sold "Relic", 2x', { source: "auction", amount: -5 }),
+    ]);
+
+    assert.equal(
+      csv,
+      'timestamp,type,description,source,amount,before,after,link\n' +
+        '2026-03-01T00:00:00.000Z,tokens,"Sold ""Relic"", 2x",auction,-5,,,'
+    );
+  });
+});
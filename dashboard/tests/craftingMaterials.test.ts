@@ -0,0 +1,40 @@
+// ============================================================================
+// Crafting material matching — specific items fill general recipe slots and
+// shortfalls are reported per line
+// ============================================================================
+
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { expandIngredientToMaterialSlotNames } from "@/lib/crafting-ingredient-expand";
+import { formatMissingMaterialsMessage } from "@/lib/craft-recipe-material-check";
+
+test.describe("expandIngredientToMaterialSlotNames", () => {
+  test("maps a specific item to every general slot it can fill", () => {
+    const slots = expandIngredientToMaterialSlotNames("  Hearty Bass ");
+
+    assert.equal(slots[0], "Hearty Bass");
+    assert.ok(slots.includes("Any Bass"));
+    assert.ok(slots.includes("Any Fish"));
+  });
+
+  test("matches names case-insensitively", () => {
+    assert.ok(expandIngredientToMaterialSlotNames("hearty bass").includes("Any Bass"));
+  });
+
+  test("returns nothing for a blank ingredient", () => {
+    assert.deepEqual(expandIngredientToMaterialSlotNames("   "), []);
+  });
+});
+
+test.describe("formatMissingMaterialsMessage", () => {
+  test("lists only the short lines", () => {
+    const message = formatMissingMaterialsMessage([
+      { itemName: "Wood", quantity: 3, ownedQty: 5, sufficient: true },
+      { itemName: "Flint", quantity: 2, ownedQty: 1, sufficient: false },
+      { itemName: "Any Fish", quantity: 1, ownedQty: 0, sufficient: false },
+    ]);
+
+    assert.equal(message, "Flint: need 2, have 1; Any Fish: need 1, have 0");
+  });
+});
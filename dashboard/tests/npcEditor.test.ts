@@ -0,0 +1,58 @@
+// ============================================================================
+// NPC editor — payload validation for /api/admin/npcs
+// ============================================================================
+
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { normalizeNPCInput, parseList } from "@/lib/npc-editor";
+
+const base = { name: "Mira", profession: "Courier", itemCategories: "Any Nut" };
+
+test.describe("parseList", () => {
+  test("splits lines and drops blanks and duplicates", () => {
+    assert.deepEqual(parseList("Any Nut\n\n Armor \nAny Nut"), ["Any Nut", "Armor"]);
+    assert.deepEqual(parseList([" a ", "", "b"]), ["a", "b"]);
+  });
+});
+
+test.describe("normalizeNPCInput", () => {
+  test("normalizes a full payload", () => {
+    const result = normalizeNPCInput({
+      ...base,
+      village: "inariko",
+      stealDifficulty: "12",
+      rarityWeights: { "1": "4", "5": 0.5, "3": "" },
+      availability: { startsAt: "2026-06-01T00:00:00.000Z", endsAt: null, months: ["7", 6, 6] },
+      flavorText: "One\nTwo",
+    });
+    assert.ok(result.ok);
+    assert.equal(result.value.village, "Inariko");
+    assert.equal(result.value.stealDifficulty, 12);
+    assert.deepEqual(result.value.rarityWeights, { "1": 4, "5": 0.5 });
+    assert.deepEqual(result.value.availability.months, [6, 7]);
+    assert.deepEqual(result.value.flavorText, ["One", "Two"]);
+    assert.equal(result.value.isActive, true);
+  });
+
+  test("takes the name from the URL when given", () => {
+    const result = normalizeNPCInput({ ...base, name: "ignored" }, "Hank");
+    assert.ok(result.ok);
+    assert.equal(result.value.name, "Hank");
+  });
+
+  test("rejects missing profession, empty loot pools and bad values", () => {
+    const message = (raw: Record<string, unknown>) => {
+      const result = normalizeNPCInput({ ...base, ...raw });
+      return result.ok ? null : result.message;
+    };
+    assert.match(message({ profession: " " })!, /profession is required/);
+    assert.match(message({ itemCategories: "", items: [] })!, /at least one item/);
+    assert.match(message({ stealDifficulty: 51 })!, /between 0 and 50/);
+    assert.match(message({ rarityWeights: { "6": 1 } })!, /rarities 1-5/);
+    assert.match(message({ village: "Hateno" })!, /village must be one of/);
+    assert.match(message({ availability: { months: [13] } })!, /months/);
+    assert.match(message({ availability: { startsAt: "2026-02-01", endsAt: "2026-01-01" } })!, /before/);
+    assert.match(message({ name: "Bad<Name>" })!, /Name can only contain/);
+  });
+});
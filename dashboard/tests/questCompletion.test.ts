@@ -0,0 +1,66 @@
+// ============================================================================
+// Quest completion — notices and safeguard record shared with the bot
+// ============================================================================
+
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  SHEIKAH_SLATE_CHANNEL_ID,
+  getQuestNotificationChannelId,
+  buildQuestCompletionEmbed,
+  buildQuestSummaryMessages,
+  buildQuestCompletionRecord,
+} from "@tinglebot/shared/lib/questCompletion";
+
+const rpQuest = { questID: "Q1", questType: "RP", title: "Harvest Festival", targetChannel: "42", requiredVillage: "rudania" };
+
+test("RP notices go to the participant's thread, submission quests to Sheikah Slate", () => {
+  assert.equal(getQuestNotificationChannelId(rpQuest, { rpThreadId: "7" }), "7");
+  assert.equal(getQuestNotificationChannelId(rpQuest, {}), "42");
+  assert.equal(getQuestNotificationChannelId({ ...rpQuest, questType: "Art / Writing" }, {}), SHEIKAH_SLATE_CHANNEL_ID);
+});
+
+test("buildQuestCompletionEmbed shows the quest type's progress and village", () => {
+  const embed = buildQuestCompletionEmbed(rpQuest, { characterName: "Link", rpPostCount: 12 }, { posts: 10, rolls: 1 });
+
+  assert.equal(embed.title, "🎭 RP Quest Completed!");
+  assert.deepEqual(
+    embed.fields.map((field) => [field.name, field.value]),
+    [
+      ["Quest ID", "`Q1`"],
+      ["Quest Type", "RP"],
+      ["Posts Completed", "12/10"],
+      ["Status", "✅ Completed"],
+      ["Quest Village", "Rudania"],
+    ]
+  );
+});
+
+test("buildQuestSummaryMessages lists completers and mentions them", () => {
+  const participants = new Map([
+    ["a", { userId: "1", characterName: "Link", progress: "rewarded" }],
+    ["b", { userId: "2", characterName: "Zelda", progress: "failed" }],
+  ]);
+  const [message, ...rest] = buildQuestSummaryMessages({ ...rpQuest, participants }, "time_expired");
+
+  assert.equal(rest.length, 0);
+  assert.equal(message.content, "<@1>");
+  assert.equal(message.embeds?.[0].title, "⏰ Quest time ended");
+  assert.match(message.embeds?.[0].description ?? "", /\*\*Link\*\* ✅/);
+  assert.doesNotMatch(message.embeds?.[0].description ?? "", /Zelda/);
+});
+
+test("buildQuestCompletionRecord credits submission payouts and skips unfinished participants", () => {
+  const completedAt = new Date("2026-10-01T00:00:00Z");
+  const record = buildQuestCompletionRecord(
+    { progress: "completed", tokensEarned: 50, questTokensPaidViaSubmission: true, completedAt },
+    { questID: "Q2", questType: "Art", title: "Sketch the Sky" }
+  );
+
+  assert.equal(record?.rewardSource, "submission");
+  assert.equal(record?.tokensEarned, 50);
+  assert.equal(record?.rewardedAt, completedAt);
+  assert.equal(buildQuestCompletionRecord({ progress: "active" }, { questID: "Q2" }), null);
+  assert.equal(buildQuestCompletionRecord({ progress: "completed" }, { questID: " " }), null);
+});
@@ -0,0 +1,113 @@
+// ============================================================================
+// Quest reward bookkeeping — participant progress after tokens are paid and
+// the requirement check admin payouts rely on (mirrors the bot's rules)
+// ============================================================================
+
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  normalizeParticipantsRewardProgress,
+  promoteRewardedParticipantsToFinalCompleted,
+} from "@/lib/questParticipantRewardSync.js";
+import QuestModule from "@/models/QuestModel.js";
+
+const { meetsRequirements } = QuestModule as unknown as {
+  meetsRequirements: (participant: object, quest: object, options?: object) => boolean;
+};
+
+type Participant = Record<string, unknown>;
+
+function participants(entries: Record<string, Participant>) {
+  return new Map(Object.entries(entries));
+}
+
+test.describe("normalizeParticipantsRewardProgress", () => {
+  test("marks completed participants with tokens as rewarded", () => {
+    const map = participants({
+      paid: { progress: "completed", tokensEarned: 50 },
+      unpaid: { progress: "completed", tokensEarned: 0 },
+      active: { progress: "active", tokensEarned: 0 },
+    });
+
+    const { fixedCount } = normalizeParticipantsRewardProgress(map);
+
+    assert.equal(fixedCount, 1);
+    assert.equal(map.get("paid")?.progress, "rewarded");
+    assert.ok(map.get("paid")?.rewardedAt instanceof Date);
+    assert.equal(map.get("unpaid")?.progress, "completed");
+    assert.equal(map.get("active")?.progress, "active");
+  });
+
+  test("backfills tokens paid at submission approval", () => {
+    const map = participants({
+      artist: {
+        progress: "completed",
+        tokensEarned: 0,
+        questTokensPaidViaSubmission: true,
+        submissionRewardTokenAmount: 35,
+      },
+    });
+
+    normalizeParticipantsRewardProgress(map);
+
+    assert.equal(map.get("artist")?.tokensEarned, 35);
+    assert.equal(map.get("artist")?.progress, "rewarded");
+  });
+
+  test("leaves rows on a closed quest alone", () => {
+    const map = participants({
+      closed: { progress: "completed", tokensEarned: 20, rewardProcessed: true },
+    });
+
+    assert.equal(normalizeParticipantsRewardProgress(map).fixedCount, 0);
+    assert.equal(map.get("closed")?.progress, "completed");
+  });
+});
+
+test.describe("promoteRewardedParticipantsToFinalCompleted", () => {
+  test("moves rewarded rows to completed once the quest is completed", () => {
+    const quest = {
+      status: "completed",
+      participants: participants({
+        a: { progress: "rewarded" },
+        b: { progress: "failed" },
+      }),
+    };
+
+    assert.equal(promoteRewardedParticipantsToFinalCompleted(quest), 1);
+    assert.equal(quest.participants.get("a")?.progress, "completed");
+    assert.equal(quest.participants.get("b")?.progress, "failed");
+  });
+
+  test("does nothing while the quest is still active", () => {
+    const quest = { status: "active", participants: participants({ a: { progress: "rewarded" } }) };
+
+    assert.equal(promoteRewardedParticipantsToFinalCompleted(quest), 0);
+    assert.equal(quest.participants.get("a")?.progress, "rewarded");
+  });
+});
+
+test.describe("meetsRequirements", () => {
+  test("RP quests need the post requirement", () => {
+    const quest = { questType: "RP", postRequirement: 10 };
+
+    assert.equal(meetsRequirements({ rpPostCount: 10 }, quest), true);
+    assert.equal(meetsRequirements({ rpPostCount: 9 }, quest), false);
+  });
+
+  test("art quests need an approved art submission", () => {
+    const quest = { questType: "Art" };
+
+    assert.equal(meetsRequirements({ submissions: [{ type: "art", approved: true }] }, quest), true);
+    assert.equal(meetsRequirements({ submissions: [{ type: "art", approved: false }] }, quest), false);
+    assert.equal(meetsRequirements({ submissions: [{ type: "writing", approved: true }] }, quest), false);
+  });
+
+  test("art / writing quests need both unless either mode is set", () => {
+    const artOnly = { submissions: [{ type: "art", approved: true }] };
+
+    assert.equal(meetsRequirements(artOnly, { questType: "Art / Writing" }), false);
+    assert.equal(meetsRequirements(artOnly, { questType: "Art / Writing", artWritingMode: "either" }), true);
+  });
+});
@@ -0,0 +1,82 @@
+// ============================================================================
+// Relationship graph — edge merging, filters and the force layout
+// ============================================================================
+
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  buildRelationshipGraph,
+  listRelationshipOwners,
+  runGraphLayout,
+  type GraphRelationship,
+} from "@/lib/relationship-graph";
+import type { RelationshipType } from "@/data/relationshipConfig";
+
+const link = { _id: "c1", name: "Link", homeVillage: "Rudania" };
+const mipha = { _id: "c2", name: "Mipha", homeVillage: "Inariko" };
+const sidon = { _id: "c3", name: "Sidon", homeVillage: "Inariko" };
+const riju = { _id: "c4", name: "Riju", homeVillage: "Vhintl" };
+
+const rel = (
+  userId: string,
+  from: typeof link,
+  to: typeof link,
+  relationshipTypes: RelationshipType[]
+): GraphRelationship => ({
+  _id: `${from._id}-${to._id}`,
+  userId,
+  characterId: from,
+  targetCharacterId: to,
+  characterName: from.name,
+  targetCharacterName: to.name,
+  relationshipTypes,
+});
+
+const relationships = [
+  rel("u1", link, mipha, ["LOVERS"]),
+  rel("u2", mipha, link, ["CLOSE_FRIEND"]),
+  rel("u2", mipha, sidon, ["FAMILY"]),
+  rel("u3", riju, link, ["RIVAL"]),
+];
+
+test.describe("buildRelationshipGraph", () => {
+  test("merges both directions into one mutual edge", () => {
+    const { nodes, edges } = buildRelationshipGraph(relationships);
+    assert.equal(nodes.length, 4);
+    assert.equal(edges.length, 3);
+    const linkMipha = edges.find((edge) => edge.id === "c1|c2")!;
+    assert.equal(linkMipha.mutual, true);
+    assert.deepEqual(linkMipha.types, ["LOVERS", "CLOSE_FRIEND"]);
+    assert.equal(edges.find((edge) => edge.id === "c1|c4")!.mutual, false);
+    assert.equal(nodes.find((node) => node.id === "c1")!.degree, 2);
+  });
+
+  test("type filter trims edges to the selected types", () => {
+    const { nodes, edges } = buildRelationshipGraph(relationships, { village: null, types: ["FAMILY", "LOVERS"], userId: null });
+    assert.deepEqual(edges.map((edge) => `${edge.id} ${edge.types.join(",")}`).sort(), ["c1|c2 LOVERS", "c2|c3 FAMILY"]);
+    assert.ok(!nodes.some((node) => node.id === "c4"));
+  });
+
+  test("village keeps links with one end there; owner keeps that user's records", () => {
+    const vhintl = buildRelationshipGraph(relationships, { village: "vhintl", types: [], userId: null });
+    assert.deepEqual(vhintl.nodes.map((node) => node.name).sort(), ["Link", "Riju"]);
+
+    const mine = buildRelationshipGraph(relationships, { village: null, types: [], userId: "u2" });
+    assert.equal(mine.edges.length, 2);
+    assert.ok(mine.edges.every((edge) => !edge.mutual));
+    assert.deepEqual(listRelationshipOwners(relationships), ["u1", "u2", "u3"]);
+  });
+});
+
+test.describe("runGraphLayout", () => {
+  test("keeps nodes inside the canvas and linked nodes closer than unlinked", () => {
+    const graph = runGraphLayout(buildRelationshipGraph(relationships), { width: 600, height: 400, iterations: 200 });
+    for (const node of graph.nodes) {
+      assert.ok(node.x >= 10 && node.x <= 590 && node.y >= 10 && node.y <= 390, `${node.name} out of bounds`);
+    }
+    const at = (id: string) => graph.nodes.find((node) => node.id === id)!;
+    const dist = (a: string, b: string) => Math.hypot(at(a).x - at(b).x, at(a).y - at(b).y);
+    assert.ok(dist("c2", "c3") < dist("c3", "c4"));
+  });
+});
@@ -0,0 +1,51 @@
+// ============================================================================
+// Season pass — Season tab data on /levels
+// ============================================================================
+
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { buildSeasonPassData } from "@/lib/season-pass";
+
+const now = new Date("2026-10-19T12:00:00Z");
+
+test("buildSeasonPassData reports tier progress and claimable tiers", () => {
+  const data = buildSeasonPassData(
+    { seasonId: "2026-autumn", xp: 1250, xpBySource: { message: 1000, quest: 250 }, claimedTiers: [1] },
+    [],
+    now
+  );
+
+  assert.equal(data.season.id, "2026-autumn");
+  assert.equal(data.season.endsAt, "2026-12-21T00:00:00.000Z");
+  assert.equal(data.tier, 2);
+  assert.deepEqual(data.claimable, [2]);
+  assert.deepEqual(data.xpBySource, { message: 1000, quest: 250, raid: 0, submission: 0 });
+  assert.equal(data.tiers.length, data.maxTier);
+});
+
+test("buildSeasonPassData ignores a pass from an earlier season", () => {
+  const data = buildSeasonPassData(
+    {
+      seasonId: "2026-summer",
+      xp: 4000,
+      xpBySource: { message: 4000 },
+      history: [{ seasonId: "2026-spring", xp: 900, tier: 1, endedAt: "2026-06-21T04:00:00Z" }],
+    },
+    [{ badgeId: "2026-spring-adventurer", label: "Spring 2026 Adventurer", emoji: "🌸", earnedAt: "2026-05-01T00:00:00Z" }],
+    now
+  );
+
+  assert.equal(data.xp, 0);
+  assert.deepEqual(data.claimable, []);
+  assert.equal(data.xpBySource.message, 0);
+  assert.deepEqual(data.history.map((h) => h.seasonId), ["2026-spring"]);
+  assert.equal(data.badges[0].earnedAt, "2026-05-01T00:00:00.000Z");
+});
+
+test("buildSeasonPassData with no stored pass", () => {
+  const data = buildSeasonPassData(null, null, now);
+  assert.equal(data.tier, 0);
+  assert.deepEqual(data.badges, []);
+  assert.deepEqual(data.history, []);
+});
@@ -0,0 +1,38 @@
+// ============================================================================
+// Wishlist — input normalization and "who wants this" demand summary
+// ============================================================================
+
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { WISHLIST_MAX_ITEMS, normalizeWishlistRaw, summarizeWishlistDemand } from "@/lib/wishlist-items";
+
+test("normalizeWishlistRaw dedupes case-insensitively and caps the list", () => {
+  assert.equal(normalizeWishlistRaw(undefined), null);
+  assert.deepEqual(normalizeWishlistRaw('["Wood", "wood", " Amber "]'), ["Wood", "Amber"]);
+  const many = Array.from({ length: 8 }, (_, i) => `Item ${i}`);
+  assert.equal(normalizeWishlistRaw(many)?.length, WISHLIST_MAX_ITEMS);
+});
+
+test("summarizeWishlistDemand groups by village and dedupes characters", () => {
+  const demand = summarizeWishlistDemand("Gold Bar", [
+    { characterId: "c1", characterName: "Zelda", homeVillage: "Rudania", job: "Researcher" },
+    { characterId: "c2", characterName: "Mipha", homeVillage: "Inariko", job: "Healer" },
+    { characterId: "c3", characterName: "Daruk", homeVillage: "Rudania", job: "Blacksmith" },
+    { characterId: "c1", characterName: "Zelda", homeVillage: "Rudania", job: "Researcher" },
+    { characterId: "c4", characterName: "Kass", homeVillage: null },
+  ]);
+
+  assert.equal(demand.itemName, "Gold Bar");
+  assert.equal(demand.total, 4);
+  assert.deepEqual(demand.characters.map((c) => c.characterName), ["Mipha", "Daruk", "Zelda", "Kass"]);
+  assert.deepEqual(demand.villages, [
+    { village: "Rudania", count: 2 },
+    { village: "Inariko", count: 1 },
+    { village: "Unknown", count: 1 },
+  ]);
+});
+
+test("summarizeWishlistDemand with no characters", () => {
+  assert.deepEqual(summarizeWishlistDemand("Wood", []), { itemName: "Wood", total: 0, villages: [], characters: [] });
+});
@@ -61,3 +61,46 @@ export type ExchangeResponse = {
   newLevel: number;
   error?: string;
 };
+
+export type SeasonPassReward =
+  | { type: "tokens"; amount: number }
+  | { type: "item"; itemName: string; quantity: number }
+  | { type: "badge"; badgeId: string; label: string; emoji: string };
+
+export type SeasonPassTier = {
+  tier: number;
+  xpRequired: number;
+  rewards: SeasonPassReward[];
+  unlocked: boolean;
+  claimed: boolean;
+};
+
+export type SeasonPassBadge = {
+  badgeId: string;
+  label: string;
+  emoji: string | null;
+  seasonId: string | null;
+  earnedAt: string | null;
+};
+
+export type SeasonPassData = {
+  season: {
+    id: string;
+    name: string;
+    emoji: string;
+    label: string;
+    startsAt: string;
+    endsAt: string;
+  };
+  xp: number;
+  tier: number;
+  maxTier: number;
+  xpIntoTier: number;
+  xpPerTier: number;
+  percentage: number;
+  xpBySource: { message: number; quest: number; raid: number; submission: number };
+  tiers: SeasonPassTier[];
+  claimable: number[];
+  badges: SeasonPassBadge[];
+  history: { seasonId: string; xp: number; tier: number; endedAt: string | null }[];
+};
@@ -217,3 +217,30 @@ export type UserProfileResponse = {
   user: UserProfile;
   activity?: ActivityData;
 };
+
+export type ProfileAchievement = {
+  id: string;
+  name: string;
+  description: string;
+  emoji: string;
+  category: string;
+  categoryLabel: string;
+  earnedAt: string | null;
+};
+
+export type ProfileAchievementGroup = {
+  total: number;
+  earned: ProfileAchievement[];
+  locked: ProfileAchievement[];
+};
+
+export type ProfileAchievementsData = {
+  totalEarned: number;
+  totalAvailable: number;
+  player: ProfileAchievementGroup;
+  characters: (ProfileAchievementGroup & {
+    characterId: string;
+    name: string;
+    icon: string | null;
+  })[];
+};
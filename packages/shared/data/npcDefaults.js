@@ -0,0 +1,321 @@
+// ============================================================================
+// ------------------- NPC registry defaults -------------------
+// Built-in /steal NPCs. The bot seeds these into the NPC collection the first
+// time the registry loads; after that the database (edited from the dashboard
+// NPC editor) is the source of truth and these only fill fields left empty.
+// stealDifficulty is added to the steal failure threshold (0-50).
+// ============================================================================
+
+const NPC_DEFAULTS = {
+  'Hank': {
+    race: 'Hylian',
+    profession: 'Herbalist',
+    personality: 'Allergic but dedicated',
+    specialties: ['Medicinal herbs', 'Allergy remedies', 'Village health'],
+    categories: ['Any Plant'],
+    flavorText: [
+      "Hank, the Hylian Herbalist, mutters something about allergies as you pocket some herbs.",
+      "Hank is too busy sneezing to notice you taking some of his medicinal supplies.",
+      "The allergic herbalist is preoccupied with his runny nose, giving you the perfect opportunity to grab herbs.",
+      "Hank's allergy attack provides the perfect distraction for you to snatch some healing plants."
+    ],
+    failText: [
+      "Hank's sneezing fit suddenly stops as he spots you reaching for his herbs! 'Achoo! Hey, those are mine!'",
+      "The allergic herbalist's eyes water as he catches you red-handed! 'My precious herbs! You scoundrel!'",
+      "Hank's runny nose doesn't prevent him from seeing your thieving hands! 'Those are for the sick villagers!'",
+      "The herbalist's allergy attack clears just in time to catch you! 'My medicinal supplies are not for stealing!'"
+    ],
+    icon: "https://storage.googleapis.com/tinglebot/NPCs/NPC%20Hank.jpg",
+    pronouns: { subject: 'He', object: 'his', possessive: 'his' },
+    specialty: 'medicinal supplies'
+  },
+  'Sue': {
+    race: 'Zora',
+    profession: 'Fisherman',
+    personality: 'Focused and determined',
+    specialties: ['Freshwater fishing', 'Fish markets', 'River trade'],
+    categories: ['Any Seafood'],
+    flavorText: [
+      "Sue, the Zora Fisherman, doesn't seem to notice as you slip a fish into your bag, her eyes focused on the river.",
+      "The focused Zora is too busy watching the water's surface to see you taking some of her catch.",
+      "Sue's intense concentration on the river gives you the perfect chance to grab some fresh seafood.",
+      "The determined fisherman is lost in thought about the perfect fishing spot, allowing you to pocket some fish."
+    ],
+    failText: [
+      "Sue's sharp Zora eyes catch your movement! 'That's my catch you're trying to steal!'",
+      "The focused fisherman's attention snaps to you! 'My fish are not for thieving hands!'",
+      "Sue's river-watching skills include spotting thieves! 'Those fish took me hours to catch!'",
+      "The determined Zora spots your thieving attempt! 'My fishing spot, my fish, my rules!'"
+    ],
+    icon: "https://storage.googleapis.com/tinglebot/NPCs/NPC%20Sue.png",
+    pronouns: { subject: 'She', object: 'her', possessive: 'her' },
+    specialty: 'fishing equipment'
+  },
+  'Lukan': {
+    race: 'Gerudo',
+    profession: 'Orchard Keeper',
+    personality: 'Proud and nurturing',
+    specialties: ['Fruit cultivation', 'Orchard management', 'Agricultural trade'],
+    categories: ['Any Fruit'],
+    flavorText: [
+      "Lukan, the Gerudo Orchard Keeper, is preoccupied with the trees, allowing you to sneak away with some fruit.",
+      "The proud orchard keeper is too busy tending to her precious trees to notice you taking some fruit.",
+      "Lukan's nurturing nature keeps her focused on the orchard, giving you time to grab some fresh produce.",
+      "The Gerudo is deep in conversation with her trees, providing the perfect cover for your fruit-gathering."
+    ],
+    failText: [
+      "Lukan's proud Gerudo instincts kick in! 'My precious fruit trees are not for thieves!'",
+      "The orchard keeper's nurturing eyes spot you! 'Those fruits are my children's future!'",
+      "Lukan's tree-tending skills include thief detection! 'My orchard, my rules, no stealing!'",
+      "The proud Gerudo catches you red-handed! 'My fruit is grown with love, not for stealing!'"
+    ],
+    icon: "https://storage.googleapis.com/tinglebot/NPCs/NPC%20Lukan.png",
+    pronouns: { subject: 'She', object: 'her', possessive: 'her' },
+    specialty: 'orchard supplies'
+  },
+  'Myti': {
+    race: 'Mogma',
+    profession: 'Scout',
+    personality: 'Curious and adventurous',
+    specialties: ['Cave exploration', 'Underground mapping', 'Mineral discovery'],
+    categories: ['Any Lizard'],
+    flavorText: [
+      "Myti, the Mogma Scout, is too focused on the landscape to notice you picking up one of their lizards.",
+      "The curious Mogma is busy examining some interesting rock formations, allowing you to grab a lizard.",
+      "Myti's adventurous spirit has them exploring a nearby cave entrance, giving you time to pocket some lizards.",
+      "The scout is too busy mapping the underground terrain to see you taking some of their reptilian friends."
+    ],
+    failText: [
+      "Myti's Mogma instincts detect movement! 'My lizards are not for thieving hands!'",
+      "The curious scout's exploration skills include thief detection! 'Those are my reptilian companions!'",
+      "Myti's underground mapping reveals your presence! 'My cave friends are not for stealing!'",
+      "The adventurous Mogma spots your attempt! 'My lizards are my scouting partners!'"
+    ],
+    icon: "https://storage.googleapis.com/tinglebot/NPCs/NPC%20Myti.png",
+    pronouns: { subject: 'He', object: 'him', possessive: 'his' },
+    specialty: 'exploration equipment'
+  },
+  'Cree': {
+    race: 'Rito',
+    profession: 'Monster Hunter',
+    personality: 'Brave and vigilant',
+    specialties: ['Monster tracking', 'Wildlife protection', 'Territory defense'],
+    categories: ['Any Monster Part'],
+    flavorText: [
+      "Cree, the Rito Monster Hunter, is distracted, leaving you a chance to grab some monster parts.",
+      "The brave hunter is too busy scanning the horizon for threats to notice you taking some monster parts.",
+      "Cree's vigilance is focused on the skies, allowing you to quietly collect some monster remains.",
+      "The Rito is preoccupied with checking his hunting traps, giving you the perfect opportunity to grab parts."
+    ],
+    failText: [
+      "Cree's Rito eyes spot your movement! 'My monster parts are trophies of my hunts!'",
+      "The brave hunter's vigilance extends to thieves! 'Those parts represent my victories!'",
+      "Cree's sky-scanning skills detect you! 'My hunting trophies are not for stealing!'",
+      "The vigilant Rito catches your attempt! 'My monster parts are proof of my bravery!'"
+    ],
+    icon: "https://storage.googleapis.com/tinglebot/NPCs/NPC%20Cree.png",
+    pronouns: { subject: 'He', object: 'him', possessive: 'his' },
+    specialty: 'hunting gear'
+  },
+  'Cece': {
+    race: 'Mixed Heritage',
+    profession: 'Mushroom Forager',
+    personality: 'Gloomy and knowledgeable',
+    specialties: ['Mushroom identification', 'Forest foraging', 'Fungal preservation'],
+    categories: ['Any Mushroom'],
+    flavorText: [
+      "Cece the Mixed Heritage Mushroom Forager gloomily watches you gather mushrooms, muttering about proper identification techniques.",
+      "The gloomy forager is too busy cataloging mushroom species to stop you from taking some samples.",
+      "Cece's knowledge of fungi keeps them preoccupied with documentation, allowing you to grab some mushrooms.",
+      "The forager is muttering about spore patterns and doesn't notice you pocketing some of their finds."
+    ],
+    failText: [
+      "Cece's gloomy mood turns to anger! 'My carefully identified mushrooms are not for thieves!'",
+      "The knowledgeable forager spots your attempt! 'Those mushrooms took me hours to identify!'",
+      "Cece's fungal expertise includes thief detection! 'My spore collection is not for stealing!'",
+      "The gloomy forager's eyes narrow! 'My mushroom knowledge protects my collection!'"
+    ],
+    icon: "https://storage.googleapis.com/tinglebot/NPCs/NPC%20Cece.png",
+    pronouns: { subject: 'She', object: 'her', possessive: 'her' },
+    specialty: 'foraging supplies'
+  },
+  'Zone': {
+    race: 'Keaton',
+    profession: 'Weapons Dealer',
+    personality: 'Crafty and protective',
+    specialties: ['Weapon crafting', 'Armor smithing', 'Military equipment'],
+    categories: ['Armor', 'Weapons'],
+    flavorText: [
+      "Zone the Keaton Weapons Dealer growls as you make off with some of his precious armor and weapons!",
+      "The crafty Keaton is too busy sharpening a blade to notice you taking some of his merchandise.",
+      "Zone's protective nature has him focused on securing his shop, giving you time to grab some gear.",
+      "The weapons dealer is preoccupied with inventory counts, allowing you to slip away with some equipment."
+    ],
+    failText: [
+      "Zone's Keaton instincts detect theft! 'My weapons are not for thieving hands!'",
+      "The crafty weapons dealer spots you! 'My armor took me days to craft!'",
+      "Zone's protective nature extends to his merchandise! 'My shop, my rules, no stealing!'",
+      "The weapons dealer's craftiness catches you! 'My equipment is for paying customers only!'"
+    ],
+    icon: "https://storage.googleapis.com/tinglebot/NPCs/NPC%20Zone.png",
+    pronouns: { subject: 'He', object: 'him', possessive: 'his' },
+    specialty: 'smithing materials',
+    stealDifficulty: 18
+  },
+  'Peddler': {
+    race: 'Hylian',
+    profession: 'Auctioneer',
+    personality: 'Charismatic and shrewd',
+    categories: ['Any Plant', 'Any Mushroom', 'Armor', 'Weapons'],
+    flavorText: [
+      "Peddler the Hylian Auctioneer shouts after you as you grab items from his collection, his auctioneer's voice echoing through the marketplace!",
+      "The charismatic peddler is too busy haggling with another customer to notice you taking some goods.",
+      "Peddler's shrewd business sense has him focused on a potential sale, allowing you to grab some items.",
+      "The auctioneer is preoccupied with setting up his next auction, giving you the perfect opportunity to pocket some wares."
+    ],
+    failText: [
+      "Peddler's auctioneer voice booms! 'Thief! Thief in the marketplace!'",
+      "The shrewd businessman spots your attempt! 'My goods are for paying customers only!'",
+      "Peddler's charismatic charm turns to anger! 'My auction items are not for stealing!'",
+      "The auctioneer's business sense detects theft! 'My merchandise is worth gold, not thievery!'"
+    ],
+    icon: "https://storage.googleapis.com/tinglebot/NPCs/NPC%20Peddler.png",
+    pronouns: { subject: 'He', object: 'him', possessive: 'his' },
+    specialty: 'auction inventory',
+    stealDifficulty: 15
+  },
+  'Walton': {
+    race: 'Korok',
+    profession: 'Forest Guardian',
+    personality: 'Wise and playful',
+    specialties: ['Forest care', 'Tree healing', 'Ancient wisdom'],
+    categories: ['Any Nut'],
+    flavorText: [
+      "Walton, the Korok, is too busy gathering acorns to notice you taking one.",
+      "The wise forest guardian is preoccupied with healing a sick tree, allowing you to grab some nuts.",
+      "Walton's playful nature has him chasing butterflies, giving you time to pocket some acorns.",
+      "The Korok is too busy sharing ancient wisdom with the forest creatures to see you taking some nuts."
+    ],
+    failText: [
+      "Walton's ancient wisdom reveals your presence! 'My forest gifts are not for thieves!'",
+      "The wise Korok spots your attempt! 'My acorns are the forest's future!'",
+      "Walton's playful nature turns serious! 'My nuts are for forest creatures, not thieves!'",
+      "The forest guardian's wisdom detects you! 'My acorns grow trees, not feed thieves!'"
+    ],
+    icon: "https://storage.googleapis.com/tinglebot/NPCs/NPC%20Walton.png",
+    pronouns: { subject: 'He', object: 'him', possessive: 'his' },
+    specialty: 'forest supplies'
+  },
+  'Jengo': {
+    race: 'Goron',
+    profession: 'Miner',
+    personality: 'Strong and hardworking',
+    specialties: ['Deep mining', 'Ore extraction', 'Mine safety'],
+    categories: ['Any Ore'],
+    flavorText: [
+      "Jengo, the Goron Miner, is too busy digging to see you snagging some ore.",
+      "The strong miner is preoccupied with reinforcing mine supports, allowing you to grab some ore.",
+      "Jengo's hardworking nature has him focused on a particularly stubborn rock, giving you time to pocket some minerals.",
+      "The Goron is too busy checking the mine's structural integrity to notice you taking some ore samples."
+    ],
+    failText: [
+      "Jengo's Goron strength stops you! 'My ore is the result of hard work!'",
+      "The strong miner spots your attempt! 'My minerals took me days to extract!'",
+      "Jengo's hardworking nature detects theft! 'My ore is not for thieving hands!'",
+      "The Goron miner's strength catches you! 'My mine, my ore, my rules!'"
+    ],
+    icon: "https://storage.googleapis.com/tinglebot/NPCs/NPC%20Jengo.png",
+    pronouns: { subject: 'He', object: 'him', possessive: 'his' },
+    specialty: 'mining equipment'
+  },
+  'Jasz': {
+    race: 'Twili',
+    profession: 'Nocturnal Hunter',
+    personality: 'Mysterious and stealthy',
+    specialties: ['Night hunting', 'Stealth operations', 'Darkness navigation'],
+    categories: ['Any Raw Meat'],
+    flavorText: [
+      "Jasz, the Nocturnal Twili Hunter, is too busy preparing his tools to notice you taking some of his spoils.",
+      "The mysterious hunter is preoccupied with checking his night vision equipment, allowing you to grab some meat.",
+      "Jasz's stealthy nature has him focused on maintaining his camouflage, giving you time to pocket some raw meat.",
+      "The Twili is too busy adjusting to the daylight to see you taking some of his hunting trophies."
+    ],
+    failText: [
+      "Jasz's stealthy nature extends to thieves! 'My hunting trophies are not for thieving hands!'",
+      "The mysterious hunter's stealth skills detect you! 'Those are my nocturnal companions!'",
+      "Jasz's darkness navigation reveals your presence! 'My cave friends are not for stealing!'",
+      "The stealthy Twili catches your attempt! 'My hunting trophies are my scouting partners!'"
+    ],
+    icon: "https://storage.googleapis.com/tinglebot/NPCs/NPC%20Jasz.png",
+    pronouns: { subject: 'He', object: 'him', possessive: 'his' },
+    specialty: 'night hunting gear'
+  },
+  'Lecia': {
+    race: 'Sheikah',
+    profession: 'Scholar',
+    personality: 'Intellectual and cautious',
+    specialties: ['Ancient research', 'Artifact preservation', 'Historical studies'],
+    categories: ['Any Ancient Material'],
+    flavorText: [
+      "Lecia, the Sheikah Scholar, is preoccupied with research, allowing you to pocket some ancient materials.",
+      "The intellectual scholar is too busy translating ancient texts to notice you taking some artifacts.",
+      "Lecia's cautious nature has her focused on preserving delicate materials, giving you time to grab some ancient items.",
+      "The Sheikah is preoccupied with cataloging historical findings, allowing you to pocket some ancient materials."
+    ],
+    failText: [
+      "Lecia's Sheikah instincts detect your presence! 'My ancient artifacts are priceless!'",
+      "The cautious scholar spots your attempt! 'My research materials are irreplaceable!'",
+      "Lecia's intellectual focus reveals you! 'My historical findings are not for thieves!'",
+      "The Sheikah's preservation skills catch you! 'My ancient materials are protected by knowledge!'"
+    ],
+    icon: "https://storage.googleapis.com/tinglebot/NPCs/NPC%20Lecia.png",
+    pronouns: { subject: 'She', object: 'her', possessive: 'her' },
+    specialty: 'research materials'
+  },
+  'Tye': {
+    race: 'Kokiri',
+    profession: 'Botanist',
+    personality: 'Curious and nurturing',
+    specialties: ['Plant research', 'Greenhouse management', 'Botanical experiments'],
+    categories: ['Any Organic Material'],
+    flavorText: [
+      "Tye, the Kokiri Botanist, is deep in research, giving you a perfect opportunity to snatch some materials.",
+      "The curious botanist is too busy examining plant growth patterns to notice you taking some organic materials.",
+      "Tye's nurturing nature has her focused on tending to sick plants, allowing you to grab some materials.",
+      "The Kokiri is preoccupied with greenhouse maintenance, giving you the perfect chance to pocket some organic items."
+    ],
+    failText: [
+      "Tye's Kokiri nature detects your presence! 'My organic materials are for research!'",
+      "The curious botanist spots your attempt! 'My plant samples are carefully cultivated!'",
+      "Tye's nurturing instincts reveal you! 'My botanical experiments are not for thieves!'",
+      "The Kokiri's plant knowledge catches you! 'My greenhouse materials are protected by nature!'"
+    ],
+    icon: "https://storage.googleapis.com/tinglebot/NPCs/NPC%20Tye.jpg",
+    pronouns: { subject: 'She', object: 'her', possessive: 'her' },
+    specialty: 'botanical supplies'
+  },
+  'Lil Tim': {
+    race: 'Cucco',
+    profession: 'Poultry Keeper',
+    personality: 'Protective and clucky',
+    specialties: ['Bird care', 'Egg production', 'Feather collection'],
+    items: ['Bird Egg', 'Cucco Feather'],
+    flavorText: [
+      "Lil Tim the Cucco clucks loudly, but you manage to grab some eggs and feathers before being chased away!",
+      "The protective Cucco is too busy feeding his fellow birds to notice you taking some eggs and feathers.",
+      "Lil Tim's clucky nature has him preoccupied with settling a dispute between two roosters, allowing you to grab some goods.",
+      "The Cucco is too busy collecting fresh eggs to see you pocketing some of his poultry products."
+    ],
+    failText: [
+      "Lil Tim's Cucco instincts kick in! *BUK-BUK-BUK-BUKAAAAW!* *angry wing flapping*",
+      "The protective Cucco spots you! *SCREEEEEECH!* *defensive stance* *BUK-BUK-BUK!*",
+      "Lil Tim's clucky nature turns fierce! *ANGRY CLUCKING!* *threatening wing spread* *BUK-BUK-BUKAAAAW!*",
+      "The Cucco's bird care skills catch you! *ALARM CLUCKS!* *protective squawking* *BUK-BUK-BUK!*"
+    ],
+    icon: "https://storage.googleapis.com/tinglebot/NPCs/NPC%20Tim.png",
+    pronouns: { subject: 'He', object: 'him', possessive: 'his' },
+    specialty: 'poultry supplies'
+  }
+};
+
+module.exports = NPC_DEFAULTS;
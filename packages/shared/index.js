@@ -0,0 +1,46 @@
+// ============================================================================
+// ------------------- @tinglebot/shared -------------------
+// Mongoose schemas and data tables used by both the bot and the dashboard.
+// Nothing here requires mongoose: every factory takes the calling app's
+// instance, so models register on the same connection the app uses.
+// ============================================================================
+
+// ------------------- Shared models -------------------
+// App model file basename → factory(mongoose). The app file is a thin wrapper.
+const SHARED_MODELS = {
+  AuctionModel: require('./models/AuctionModel'),
+  BloodMoonTrackingModel: require('./models/BloodMoonTrackingModel'),
+  GeneralItemModel: require('./models/GeneralItemModel'),
+  MarketSaleModel: require('./models/MarketSaleModel'),
+  NPCModel: require('./models/NPCModel'),
+  PartyModel: require('./models/PartyModel'),
+  RuuGameModel: require('./models/RuuGameModel'),
+  ScheduledJobRunModel: require('./models/ScheduledJobRunModel'),
+  SecretSantaModel: require('./models/SecretSantaModel'),
+  StableModel: require('./models/StableModel'),
+  TableModel: require('./models/TableModel'),
+  VendingStockModel: require('./models/VendingStockModel'),
+  WeatherForecastModel: require('./models/WeatherForecastModel')
+};
+
+// ------------------- Shared schemas -------------------
+// App model file basename → schema builder. The app keeps its own hooks,
+// methods and statics and registers the model itself.
+const SHARED_SCHEMAS = {
+  CharacterModel: { modelName: 'Character', build: require('./schemas/characterSchema') },
+  ItemModel: { modelName: 'Item', build: require('./schemas/itemSchema') },
+  QuestModel: { modelName: 'Quest', build: require('./schemas/questSchema') }
+};
+
+module.exports = {
+  SHARED_MODELS,
+  SHARED_SCHEMAS,
+  ...require('./lib/schemaDrift'),
+  ...require('./lib/npcRegistry'),
+  ...require('./lib/scheduledJobs'),
+  ...require('./lib/priceIndex'),
+  ...require('./lib/seasonPass'),
+  ...require('./lib/achievements'),
+  ...require('./lib/characterLedger'),
+  ...require('./lib/questCompletion')
+};
@@ -0,0 +1,44 @@
+// Types for achievements.js (used by the dashboard's TypeScript code)
+
+export type AchievementScope = "user" | "character";
+export type AchievementCategory = "exploration" | "thievery" | "survival" | "combat" | "community" | "economy" | "minigames";
+
+export interface AchievementDefinition {
+  id: string;
+  name: string;
+  description: string;
+  emoji: string;
+  category: AchievementCategory;
+  scope: AchievementScope;
+  event: string;
+  stat: string;
+  threshold: number;
+}
+
+export interface EarnedAchievementEntry {
+  achievementId: string;
+  characterId?: unknown;
+  characterName?: string | null;
+  earnedAt?: Date | string | null;
+}
+
+export interface EarnedAchievement extends AchievementDefinition {
+  earnedAt: Date | string | null;
+  characterName: string | null;
+}
+
+export interface AchievementSummary {
+  total: number;
+  earned: EarnedAchievement[];
+  locked: AchievementDefinition[];
+}
+
+export const ACHIEVEMENT_CATEGORIES: Record<AchievementCategory, { label: string; emoji: string }>;
+export const ACHIEVEMENTS: AchievementDefinition[];
+export function getAchievement(id: string): AchievementDefinition | null;
+export function getAchievementsForEvent(event: string): AchievementDefinition[];
+export function getUnlockedAchievements(event: string, stats?: Record<string, number | undefined>): AchievementDefinition[];
+export function summarizeAchievements(
+  earned?: EarnedAchievementEntry[] | null,
+  options?: { scope?: AchievementScope; characterId?: unknown }
+): AchievementSummary;
@@ -0,0 +1,113 @@
+// ============================================================================
+// ------------------- Achievement registry -------------------
+// Declarative milestones checked by the bot's achievementsModule whenever the
+// matching event happens. Each achievement names the event that can unlock it,
+// the stat compared and the threshold; the bot resolves the stat (or the event
+// supplies it) and records the award on User.achievements.
+// scope: 'character' achievements are earned per character (shown in /character view),
+// 'user' achievements once per player (shown in /levels rank).
+// Used by the bot (modules/achievementsModule.js) and the dashboard profile Achievements tab.
+// ============================================================================
+
+const ACHIEVEMENT_CATEGORIES = {
+  exploration: { label: 'Exploration', emoji: '🗺️' },
+  thievery: { label: 'Thievery', emoji: '🦝' },
+  survival: { label: 'Survival', emoji: '🩹' },
+  combat: { label: 'Combat', emoji: '⚔️' },
+  community: { label: 'Community', emoji: '🏘️' },
+  economy: { label: 'Economy', emoji: '🪙' },
+  minigames: { label: 'Minigames', emoji: '🐰' }
+};
+
+const ACHIEVEMENTS = [
+  // ------------------- Exploration -------------------
+  { id: 'grotto-first', name: 'Into the Depths', description: 'Clear your first grotto', emoji: '🕳️', category: 'exploration', scope: 'character', event: 'grotto.cleared', stat: 'grottosCleared', threshold: 1 },
+  { id: 'grotto-10', name: 'Grotto Delver', description: 'Clear 10 grottos', emoji: '🏺', category: 'exploration', scope: 'character', event: 'grotto.cleared', stat: 'grottosCleared', threshold: 10 },
+  { id: 'explore-25', name: 'Trailblazer', description: 'Take 25 exploration turns', emoji: '🧭', category: 'exploration', scope: 'character', event: 'explore.rolled', stat: 'exploreCount', threshold: 25 },
+  { id: 'explore-250', name: 'Cartographer', description: 'Take 250 exploration turns', emoji: '🗺️', category: 'exploration', scope: 'character', event: 'explore.rolled', stat: 'exploreCount', threshold: 250 },
+  { id: 'travel-10', name: 'Wayfarer', description: 'Complete 10 journeys between villages', emoji: '🥾', category: 'exploration', scope: 'character', event: 'travel.completed', stat: 'journeysCompleted', threshold: 10 },
+  { id: 'travel-50', name: 'Road Warden', description: 'Complete 50 journeys between villages', emoji: '🛤️', category: 'exploration', scope: 'character', event: 'travel.completed', stat: 'journeysCompleted', threshold: 50 },
+
+  // ------------------- Thievery -------------------
+  { id: 'steal-first', name: 'Sticky Fingers', description: 'Pull off your first successful steal', emoji: '🧤', category: 'thievery', scope: 'character', event: 'steal.succeeded', stat: 'successfulSteals', threshold: 1 },
+  { id: 'steal-100', name: 'Master Thief', description: 'Pull off 100 successful steals', emoji: '🦝', category: 'thievery', scope: 'character', event: 'steal.succeeded', stat: 'successfulSteals', threshold: 100 },
+
+  // ------------------- Survival -------------------
+  { id: 'blight-survivor', name: 'Blight Survivor', description: 'Be healed of blight after reaching stage 4', emoji: '🩹', category: 'survival', scope: 'character', event: 'blight.healed', stat: 'healedFromStage', threshold: 4 },
+  { id: 'ko-first', name: 'Back on Your Feet', description: 'Get knocked out for the first time', emoji: '💫', category: 'survival', scope: 'character', event: 'character.ko', stat: 'knockouts', threshold: 1 },
+
+  // ------------------- Combat -------------------
+  { id: 'raid-first', name: 'Raid Victor', description: 'Help defeat a raid boss', emoji: '⚔️', category: 'combat', scope: 'character', event: 'raid.won', stat: 'raidVictories', threshold: 1 },
+  { id: 'raid-25', name: 'Raid Veteran', description: 'Help defeat 25 raid bosses', emoji: '🛡️', category: 'combat', scope: 'character', event: 'raid.won', stat: 'raidVictories', threshold: 25 },
+  { id: 'monster-tier-5', name: 'Monster Hunter', description: 'Defeat a tier 5 or higher monster', emoji: '🐗', category: 'combat', scope: 'character', event: 'monster.defeated', stat: 'monsterTier', threshold: 5 },
+  { id: 'monster-tier-8', name: 'Giant Slayer', description: 'Defeat a tier 8 or higher monster', emoji: '🗡️', category: 'combat', scope: 'character', event: 'monster.defeated', stat: 'monsterTier', threshold: 8 },
+
+  // ------------------- Community -------------------
+  { id: 'help-wanted-10', name: 'Helping Hand', description: 'Complete 10 Help Wanted quests', emoji: '🤝', category: 'community', scope: 'user', event: 'helpWanted.completed', stat: 'helpWantedCompletions', threshold: 10 },
+  { id: 'help-wanted-100', name: 'Pillar of the Village', description: 'Complete 100 Help Wanted quests', emoji: '🏘️', category: 'community', scope: 'user', event: 'helpWanted.completed', stat: 'helpWantedCompletions', threshold: 100 },
+
+  // ------------------- Economy -------------------
+  { id: 'tokens-10000', name: 'Well-Off', description: 'Hold 10,000 tokens at once', emoji: '🪙', category: 'economy', scope: 'user', event: 'tokens.changed', stat: 'tokenBalance', threshold: 10000 },
+  { id: 'tokens-100000', name: 'Tycoon', description: 'Hold 100,000 tokens at once', emoji: '💰', category: 'economy', scope: 'user', event: 'tokens.changed', stat: 'tokenBalance', threshold: 100000 },
+
+  // ------------------- Minigames -------------------
+  { id: 'blupee-first', name: 'Blupee Spotter', description: 'Catch your first Blupee', emoji: '🐰', category: 'minigames', scope: 'user', event: 'blupee.caught', stat: 'blupeeCatches', threshold: 1 },
+  { id: 'blupee-50', name: 'Blupee Wrangler', description: 'Catch 50 Blupees', emoji: '💎', category: 'minigames', scope: 'user', event: 'blupee.caught', stat: 'blupeeCatches', threshold: 50 }
+];
+
+const ACHIEVEMENTS_BY_ID = new Map(ACHIEVEMENTS.map(a => [a.id, a]));
+
+// ------------------- Function: getAchievement -------------------
+function getAchievement(id) {
+  return ACHIEVEMENTS_BY_ID.get(id) || null;
+}
+
+// ------------------- Function: getAchievementsForEvent -------------------
+function getAchievementsForEvent(event) {
+  return ACHIEVEMENTS.filter(a => a.event === event);
+}
+
+// ------------------- Function: getUnlockedAchievements -------------------
+// Achievements for `event` whose threshold the given stats meet. Stats that are
+// missing (not resolved for this event) never unlock anything.
+function getUnlockedAchievements(event, stats = {}) {
+  return getAchievementsForEvent(event).filter(a => {
+    const value = stats[a.stat];
+    return typeof value === 'number' && value >= a.threshold;
+  });
+}
+
+// ------------------- Function: summarizeAchievements -------------------
+// Earned and locked achievements for one scope. `earned` is User.achievements;
+// pass characterId to summarize one character (character scope) instead of the
+// player (user scope). Locked entries keep registry order.
+function summarizeAchievements(earned = [], { scope = 'user', characterId = null } = {}) {
+  const id = characterId ? String(characterId) : null;
+  const earnedById = new Map();
+  for (const entry of earned || []) {
+    const def = getAchievement(entry.achievementId);
+    if (!def || def.scope !== scope) continue;
+    const entryCharacterId = entry.characterId ? String(entry.characterId) : null;
+    if (scope === 'character' && id && entryCharacterId !== id) continue;
+    if (!earnedById.has(def.id)) earnedById.set(def.id, entry);
+  }
+
+  const definitions = ACHIEVEMENTS.filter(a => a.scope === scope);
+  return {
+    total: definitions.length,
+    earned: definitions
+      .filter(a => earnedById.has(a.id))
+      .map(a => ({ ...a, earnedAt: earnedById.get(a.id).earnedAt || null, characterName: earnedById.get(a.id).characterName || null }))
+      .sort((a, b) => new Date(b.earnedAt || 0) - new Date(a.earnedAt || 0)),
+    locked: definitions.filter(a => !earnedById.has(a.id))
+  };
+}
+
+module.exports = {
+  ACHIEVEMENT_CATEGORIES,
+  ACHIEVEMENTS,
+  getAchievement,
+  getAchievementsForEvent,
+  getUnlockedAchievements,
+  summarizeAchievements
+};
@@ -0,0 +1,129 @@
+// Types for characterLedger.js (used by the dashboard's TypeScript code)
+
+export type LedgerKind = "tokens" | "items" | "steals" | "stamina" | "hearts" | "blight" | "quests";
+
+export interface LedgerEntry {
+  at: Date;
+  kind: LedgerKind;
+  description: string;
+  source: string;
+  amount: number | null;
+  before: number | null;
+  after: number | null;
+  link: string;
+}
+
+export interface LedgerEntryExtras {
+  source?: string | null;
+  amount?: unknown;
+  before?: unknown;
+  after?: unknown;
+  link?: string | null;
+}
+
+export interface LedgerQueryOptions {
+  since?: Date | null;
+  limit: number;
+}
+
+export interface StatLogRow {
+  ts?: Date | string;
+  delta?: number;
+  before?: number;
+  after?: number;
+  reason?: string;
+  meta?: { command?: string; source?: string } | null;
+}
+
+export interface TokenTransactionRow {
+  timestamp: Date;
+  type: "earned" | "spent";
+  amount: number;
+  category?: string;
+  description?: string;
+  link?: string;
+  balanceBefore?: number;
+  balanceAfter?: number;
+}
+
+export interface InventoryLogRow {
+  dateTime: Date;
+  itemName: string;
+  quantity: number;
+  obtain: string;
+  link?: string;
+}
+
+export interface BlightRollRow {
+  timestamp: Date;
+  rollValue: number;
+  previousStage: number;
+  newStage: number;
+  notes?: string;
+}
+
+export interface QuestParticipantRow {
+  characterName: string;
+  joinedAt?: Date | null;
+  completedAt?: Date | null;
+  rewardedAt?: Date | null;
+  tokensEarned?: number;
+  itemsEarned?: { name: string; quantity: number }[];
+}
+
+export interface QuestRow {
+  questID: string;
+  title: string;
+  guildId?: string | null;
+  targetChannel?: string | null;
+  messageID?: string | null;
+  participants?: Record<string, QuestParticipantRow>;
+}
+
+export interface LedgerPageWindow {
+  page: number;
+  pageSize: number;
+  maxPage: number;
+  start: number;
+  limit: number;
+}
+
+export interface LedgerPage {
+  entries: LedgerEntry[];
+  page: number;
+  pageSize: number;
+  hasMore: boolean;
+}
+
+export const LEDGER_KINDS: readonly LedgerKind[];
+export const LEDGER_KIND_LABELS: Record<LedgerKind, string>;
+export const MAX_LEDGER_ENTRIES: number;
+export const STEAL_OBTAIN_PATTERN: RegExp;
+
+export function makeEntry(
+  at: Date | string | number | null | undefined,
+  kind: LedgerKind,
+  description: string,
+  extra?: LedgerEntryExtras
+): LedgerEntry;
+export function parseLedgerKinds(raw: string | readonly string[] | null | undefined): LedgerKind[];
+export function mergeLedgerEntries(sources: LedgerEntry[][], limit: number): LedgerEntry[];
+export function sinceFilter(field: string, since: Date | null | undefined): Record<string, unknown>;
+export function inventoryLogFilter(
+  characterId: unknown,
+  options?: { since?: Date | null; includeItems?: boolean; includeSteals?: boolean }
+): Record<string, unknown>;
+export function questParticipantPath(userId: string): string;
+export function tokenTransactionToEntry(row: TokenTransactionRow): LedgerEntry;
+export function inventoryLogToEntry(row: InventoryLogRow): LedgerEntry;
+export function blightRollToEntry(row: BlightRollRow): LedgerEntry;
+export function statLogEntries(
+  log: StatLogRow[] | undefined,
+  kind: "stamina" | "hearts",
+  options: LedgerQueryOptions
+): LedgerEntry[];
+export function buildQuestLink(quest: QuestRow): string;
+export function questParticipantEntries(quests: QuestRow[], userId: string, options: LedgerQueryOptions): LedgerEntry[];
+export function getLedgerPageWindow(page: number, pageSize: number): LedgerPageWindow;
+export function toLedgerPage(rows: LedgerEntry[], window: LedgerPageWindow): LedgerPage;
+export function ledgerToCsv(entries: LedgerEntry[]): string;
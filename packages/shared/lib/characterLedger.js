@@ -0,0 +1,249 @@
+// ============================================================================
+// ------------------- Character ledger helpers -------------------
+// One timeline for everything recorded about a character, merged from:
+// - TokenTransaction (owner's account: tokens are shared by all their characters)
+// - InventoryLog (items gained/lost; steals are split out by their obtain text)
+// - Character.staminaLog / heartsLog (embedded; mod characters do not keep them)
+// - BlightRollHistory
+// - Quest participants (joined / completed / rewarded)
+// Each app reads the rows (bot modules/characterLedgerModule.js for /character
+// history, dashboard lib/services/characterLedgerService.ts for the character
+// page); turning rows into entries, merging, paging and CSV export live here.
+// ============================================================================
+
+const LEDGER_KINDS = ['tokens', 'items', 'steals', 'stamina', 'hearts', 'blight', 'quests'];
+const LEDGER_KIND_LABELS = {
+  tokens: 'Tokens',
+  items: 'Items',
+  steals: 'Steals',
+  stamina: 'Stamina',
+  hearts: 'Hearts',
+  blight: 'Blight',
+  quests: 'Quests'
+};
+// Hard cap on merged rows (deep pages and CSV export)
+const MAX_LEDGER_ENTRIES = 5000;
+// Steal rows are InventoryLog rows whose obtain reads "Stolen from …", "Item stolen by …", "Stealing (…)"
+const STEAL_OBTAIN_PATTERN = /stol(e|en)|steal/i;
+
+// ------------------- Function: makeEntry -------------------
+// Every source is normalized to this shape; before/after are null when unknown.
+function makeEntry(at, kind, description, { source = '', amount = null, before = null, after = null, link = '' } = {}) {
+  return {
+    at: new Date(at ?? 0),
+    kind,
+    description,
+    source: source || '',
+    amount: Number.isFinite(amount) ? amount : null,
+    before: Number.isFinite(before) ? before : null,
+    after: Number.isFinite(after) ? after : null,
+    link: link || ''
+  };
+}
+
+// ------------------- Function: parseLedgerKinds -------------------
+// Accepts a list or a comma-separated string; unknown kinds are dropped and an
+// empty result means every kind.
+function parseLedgerKinds(raw) {
+  const list = Array.isArray(raw) ? raw : String(raw ?? '').split(',');
+  const requested = list
+    .map(kind => String(kind).trim().toLowerCase())
+    .filter(kind => LEDGER_KINDS.includes(kind));
+  return requested.length > 0 ? requested : [...LEDGER_KINDS];
+}
+
+// ------------------- Function: mergeLedgerEntries -------------------
+// Merges per-source lists into one list, newest first, capped at `limit`.
+function mergeLedgerEntries(sources, limit) {
+  return sources
+    .flat()
+    .sort((a, b) => b.at - a.at)
+    .slice(0, limit);
+}
+
+// ============================================================================
+// ------------------- Queries -------------------
+// ============================================================================
+
+// ------------------- Function: sinceFilter -------------------
+function sinceFilter(field, since) {
+  return since ? { [field]: { $gte: since } } : {};
+}
+
+// ------------------- Function: inventoryLogFilter -------------------
+// InventoryLog filter for the item rows, the steal rows, or both.
+function inventoryLogFilter(characterId, { since = null, includeItems = true, includeSteals = true } = {}) {
+  const filter = { characterId, ...sinceFilter('dateTime', since) };
+  if (!includeItems) filter.obtain = STEAL_OBTAIN_PATTERN;
+  else if (!includeSteals) filter.obtain = { $not: STEAL_OBTAIN_PATTERN };
+  return filter;
+}
+
+// ------------------- Function: questParticipantPath -------------------
+// Participants are keyed by userId, so the character name is matched inside that entry.
+function questParticipantPath(userId) {
+  return `participants.${userId}`;
+}
+
+// ============================================================================
+// ------------------- Row Mapping -------------------
+// ============================================================================
+
+// ------------------- Function: tokenTransactionToEntry -------------------
+function tokenTransactionToEntry(row) {
+  const amount = row.type === 'spent' ? -Math.abs(row.amount) : Math.abs(row.amount);
+  // Rows written before balances were tracked default both to 0
+  const hasBalances = (row.balanceBefore ?? 0) !== 0 || (row.balanceAfter ?? 0) !== 0;
+  return makeEntry(row.timestamp, 'tokens', row.description || `Tokens ${row.type}`, {
+    source: row.category,
+    amount,
+    before: hasBalances ? row.balanceBefore : null,
+    after: hasBalances ? row.balanceAfter : null,
+    link: row.link
+  });
+}
+
+// ------------------- Function: inventoryLogToEntry -------------------
+function inventoryLogToEntry(row) {
+  return makeEntry(
+    row.dateTime,
+    STEAL_OBTAIN_PATTERN.test(row.obtain) ? 'steals' : 'items',
+    row.itemName,
+    { source: row.obtain, amount: row.quantity, link: row.link }
+  );
+}
+
+// ------------------- Function: blightRollToEntry -------------------
+function blightRollToEntry(row) {
+  return makeEntry(
+    row.timestamp,
+    'blight',
+    `Blight roll ${row.rollValue}${row.notes ? ` — ${row.notes}` : ''}`,
+    {
+      source: 'blight roll',
+      amount: row.newStage - row.previousStage,
+      before: row.previousStage,
+      after: row.newStage
+    }
+  );
+}
+
+// ------------------- Function: statLogEntries -------------------
+// Embedded staminaLog / heartsLog rows, newest first.
+function statLogEntries(log, kind, { since = null, limit }) {
+  if (!Array.isArray(log)) return [];
+  const entries = log
+    .filter(row => !since || new Date(row.ts) >= since)
+    .map(row => makeEntry(row.ts, kind, row.reason || 'unknown', {
+      source: row.meta?.command || row.meta?.source || '',
+      amount: row.delta,
+      before: row.before,
+      after: row.after
+    }));
+  return mergeLedgerEntries([entries], limit);
+}
+
+// ------------------- Function: buildQuestLink -------------------
+function buildQuestLink(quest) {
+  if (!quest.guildId || !quest.targetChannel || !quest.messageID) return '';
+  return `https://discord.com/channels/${quest.guildId}/${quest.targetChannel}/${quest.messageID}`;
+}
+
+// ------------------- Function: questParticipantEntries -------------------
+// Joined / completed / rewarded rows for the user's participant entry in each quest.
+function questParticipantEntries(quests, userId, { since = null, limit }) {
+  const entries = [];
+  for (const quest of quests) {
+    const participant = quest.participants?.[userId];
+    if (!participant) continue;
+    const label = `${quest.title} (${quest.questID})`;
+    const link = buildQuestLink(quest);
+
+    if (participant.joinedAt) {
+      entries.push(makeEntry(participant.joinedAt, 'quests', `Joined ${label}`, { source: 'quest', link }));
+    }
+    if (participant.completedAt) {
+      entries.push(makeEntry(participant.completedAt, 'quests', `Completed ${label}`, { source: 'quest', link }));
+    }
+    if (participant.rewardedAt) {
+      const items = (participant.itemsEarned || []).map(item => `${item.quantity}x ${item.name}`).join(', ');
+      entries.push(makeEntry(
+        participant.rewardedAt,
+        'quests',
+        `Rewarded for ${label}${items ? ` — ${items}` : ''}`,
+        { source: 'quest reward', amount: participant.tokensEarned || null, link }
+      ));
+    }
+  }
+
+  return mergeLedgerEntries([entries.filter(entry => !since || entry.at >= since)], limit);
+}
+
+// ============================================================================
+// ------------------- Paging and Export -------------------
+// ============================================================================
+
+// ------------------- Function: getLedgerPageWindow -------------------
+// Clamps the page and returns how many merged rows to read for it: one extra
+// row tells whether another page exists.
+function getLedgerPageWindow(page, pageSize) {
+  const maxPage = Math.max(1, Math.floor(MAX_LEDGER_ENTRIES / pageSize));
+  const currentPage = Math.min(Math.max(1, Math.floor(page) || 1), maxPage);
+  const start = (currentPage - 1) * pageSize;
+  return { page: currentPage, pageSize, maxPage, start, limit: start + pageSize + 1 };
+}
+
+// ------------------- Function: toLedgerPage -------------------
+// `rows` are the merged rows read with the window's limit.
+function toLedgerPage(rows, { page, pageSize, maxPage, start }) {
+  return {
+    entries: rows.slice(start, start + pageSize),
+    page,
+    pageSize,
+    hasMore: rows.length > start + pageSize && page < maxPage
+  };
+}
+
+// ------------------- Function: ledgerToCsv -------------------
+function escapeCsvValue(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function ledgerToCsv(entries) {
+  const header = ['timestamp', 'type', 'description', 'source', 'amount', 'before', 'after', 'link'];
+  const lines = entries.map(entry => [
+    entry.at.toISOString(),
+    entry.kind,
+    entry.description,
+    entry.source,
+    entry.amount,
+    entry.before,
+    entry.after,
+    entry.link
+  ].map(escapeCsvValue).join(','));
+  return [header.join(','), ...lines].join('\n');
+}
+
+module.exports = {
+  LEDGER_KINDS,
+  LEDGER_KIND_LABELS,
+  MAX_LEDGER_ENTRIES,
+  STEAL_OBTAIN_PATTERN,
+  makeEntry,
+  parseLedgerKinds,
+  mergeLedgerEntries,
+  sinceFilter,
+  inventoryLogFilter,
+  questParticipantPath,
+  tokenTransactionToEntry,
+  inventoryLogToEntry,
+  blightRollToEntry,
+  statLogEntries,
+  buildQuestLink,
+  questParticipantEntries,
+  getLedgerPageWindow,
+  toLedgerPage,
+  ledgerToCsv
+};
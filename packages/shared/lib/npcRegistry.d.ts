@@ -0,0 +1,52 @@
+// Types for npcRegistry.js (used by the dashboard's TypeScript code)
+
+export type NPCVillage = "Rudania" | "Inariko" | "Vhintl";
+
+export interface NPCPronouns {
+  subject: string;
+  object: string;
+  possessive: string;
+}
+
+export interface NPCAvailabilityWindow {
+  startsAt: Date | null;
+  endsAt: Date | null;
+  months: number[];
+}
+
+export interface RegistryNPC {
+  name: string;
+  race: string;
+  profession: string;
+  personality: string;
+  description: string;
+  specialties: string[];
+  specialty: string;
+  icon: string;
+  pronouns: NPCPronouns;
+  categories: string[];
+  items: string[];
+  rarityWeights: Record<string, number>;
+  stealDifficulty: number;
+  village: NPCVillage | null;
+  availability: NPCAvailabilityWindow;
+  flavorText: string[];
+  failText: string[];
+  isActive: boolean;
+  isBuiltIn: boolean;
+}
+
+export type NPCUnavailableReason = "unknown" | "inactive" | "village" | "schedule";
+
+export const NPC_DEFAULTS: Record<string, Record<string, unknown>>;
+export const NPC_VILLAGES: NPCVillage[];
+export function isRegisteredNPC(doc: unknown): boolean;
+export function normalizeRarityWeights(raw: unknown): Record<string, number>;
+export function mergeNPCRecord(name: string, doc?: unknown, defaults?: Record<string, unknown> | null): RegistryNPC;
+export function buildNPCRegistry(docs?: Array<{ name: string; [key: string]: unknown }>): Record<string, RegistryNPC>;
+export function toNPCDocumentFields(npc: RegistryNPC): Record<string, unknown>;
+export function getNPCAvailability(
+  npc: RegistryNPC | null | undefined,
+  options?: { date?: Date; village?: string | null }
+): { available: true } | { available: false; reason: NPCUnavailableReason };
+export function isNPCAvailable(npc: RegistryNPC | null | undefined, options?: { date?: Date; village?: string | null }): boolean;
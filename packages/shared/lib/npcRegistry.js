@@ -0,0 +1,160 @@
+// ============================================================================
+// ------------------- NPC registry helpers -------------------
+// Merges NPC documents with the built-in defaults into the shape /steal uses
+// and decides whether an NPC can be stolen from right now. Used by the bot's
+// NPCsModule and the dashboard NPC editor.
+// ============================================================================
+
+const NPC_DEFAULTS = require('../data/npcDefaults');
+
+const NPC_VILLAGES = ['Rudania', 'Inariko', 'Vhintl'];
+const DEFAULT_PRONOUNS = { subject: 'They', object: 'them', possessive: 'their' };
+
+// ------------------- Helpers -------------------
+function isSet(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  if (typeof value === 'string') return value.trim().length > 0;
+  return value !== undefined && value !== null;
+}
+
+function pick(value, fallback) {
+  return isSet(value) ? value : fallback;
+}
+
+function toPlainObject(value) {
+  if (!value) return {};
+  return value instanceof Map ? Object.fromEntries(value) : { ...value };
+}
+
+// ------------------- Function: isRegisteredNPC -------------------
+// Documents created only to track steal protection have no registry fields yet
+function isRegisteredNPC(doc) {
+  return isSet(doc?.profession);
+}
+
+// ------------------- Function: normalizeRarityWeights -------------------
+// Keeps positive weights for rarities 1-5, keyed by the rarity as a string
+function normalizeRarityWeights(raw) {
+  const weights = {};
+  for (const [rarity, weight] of Object.entries(toPlainObject(raw))) {
+    const n = Number(weight);
+    if (/^[1-5]$/.test(String(rarity)) && Number.isFinite(n) && n > 0) weights[String(rarity)] = n;
+  }
+  return weights;
+}
+
+// ------------------- Function: mergeNPCRecord -------------------
+// Registered documents win field by field; empty pools and text fall back to the
+// defaults so a half-filled entry can never leave /steal with nothing to pick.
+function mergeNPCRecord(name, doc = null, defaults = NPC_DEFAULTS[name] || null) {
+  const base = defaults || {};
+  const own = isRegisteredNPC(doc) ? doc : {};
+  const availability = own.availability || base.availability || {};
+  // The loot pool (categories + specific items) falls back as a unit
+  const pool = isSet(own.itemCategories) || isSet(own.items)
+    ? { categories: own.itemCategories || [], items: own.items || [] }
+    : { categories: base.categories || [], items: base.items || [] };
+
+  return {
+    name,
+    race: pick(own.race, base.race) || '',
+    profession: pick(own.profession, base.profession) || '',
+    personality: pick(own.personality, base.personality) || '',
+    description: pick(own.description, base.description) || '',
+    specialties: [...(pick(own.specialties, base.specialties) || [])],
+    specialty: pick(own.specialty, base.specialty) || '',
+    icon: pick(own.icon, base.icon) || '',
+    pronouns: {
+      subject: pick(own.pronouns?.subject, base.pronouns?.subject) || DEFAULT_PRONOUNS.subject,
+      object: pick(own.pronouns?.object, base.pronouns?.object) || DEFAULT_PRONOUNS.object,
+      possessive: pick(own.pronouns?.possessive, base.pronouns?.possessive) || DEFAULT_PRONOUNS.possessive
+    },
+    categories: [...pool.categories],
+    items: [...pool.items],
+    rarityWeights: normalizeRarityWeights(pick(own.rarityWeights, base.rarityWeights)),
+    stealDifficulty: Number(pick(own.stealDifficulty, base.stealDifficulty)) || 0,
+    village: pick(own.village, base.village) || null,
+    availability: {
+      startsAt: availability.startsAt ? new Date(availability.startsAt) : null,
+      endsAt: availability.endsAt ? new Date(availability.endsAt) : null,
+      months: [...(availability.months || [])]
+    },
+    flavorText: [...(pick(own.flavorText, base.flavorText) || [])],
+    failText: [...(pick(own.failText, base.failText) || [])],
+    isActive: doc?.isActive !== false,
+    isBuiltIn: Boolean(defaults)
+  };
+}
+
+// ------------------- Function: buildNPCRegistry -------------------
+// { [name]: merged NPC } for every built-in NPC plus registered database-only NPCs
+function buildNPCRegistry(docs = []) {
+  const byName = new Map(docs.map(doc => [doc.name, doc]));
+  const registry = {};
+  for (const name of Object.keys(NPC_DEFAULTS)) {
+    registry[name] = mergeNPCRecord(name, byName.get(name));
+  }
+  for (const doc of docs) {
+    if (!registry[doc.name] && isRegisteredNPC(doc)) {
+      registry[doc.name] = mergeNPCRecord(doc.name, doc, null);
+    }
+  }
+  return registry;
+}
+
+// ------------------- Function: toNPCDocumentFields -------------------
+// Registry fields of a merged NPC in NPCModel's shape (used when seeding defaults)
+function toNPCDocumentFields(npc) {
+  return {
+    race: npc.race,
+    profession: npc.profession,
+    personality: npc.personality,
+    specialties: npc.specialties,
+    specialty: npc.specialty,
+    icon: npc.icon,
+    pronouns: npc.pronouns,
+    itemCategories: npc.categories,
+    items: npc.items,
+    rarityWeights: npc.rarityWeights,
+    stealDifficulty: npc.stealDifficulty,
+    village: npc.village,
+    availability: npc.availability,
+    flavorText: npc.flavorText,
+    failText: npc.failText
+  };
+}
+
+// ------------------- Function: getNPCAvailability -------------------
+// Returns { available: true } or { available: false, reason }
+function getNPCAvailability(npc, { date = new Date(), village = null } = {}) {
+  if (!npc) return { available: false, reason: 'unknown' };
+  if (npc.isActive === false) return { available: false, reason: 'inactive' };
+  if (village && npc.village && npc.village.toLowerCase() !== String(village).toLowerCase()) {
+    return { available: false, reason: 'village' };
+  }
+  const { startsAt, endsAt, months } = npc.availability || {};
+  if ((startsAt && date < startsAt) || (endsAt && date > endsAt)) {
+    return { available: false, reason: 'schedule' };
+  }
+  if (months?.length && !months.includes(date.getUTCMonth() + 1)) {
+    return { available: false, reason: 'schedule' };
+  }
+  return { available: true };
+}
+
+// ------------------- Function: isNPCAvailable -------------------
+function isNPCAvailable(npc, options) {
+  return getNPCAvailability(npc, options).available;
+}
+
+module.exports = {
+  NPC_DEFAULTS,
+  NPC_VILLAGES,
+  isRegisteredNPC,
+  normalizeRarityWeights,
+  mergeNPCRecord,
+  buildNPCRegistry,
+  toNPCDocumentFields,
+  getNPCAvailability,
+  isNPCAvailable
+};
@@ -0,0 +1,29 @@
+// Types for priceIndex.js (used by the dashboard's TypeScript code)
+
+export interface MarketSaleLike {
+  unitPrice: number;
+  quantity: number;
+  soldAt: Date | string;
+}
+
+export interface PriceSummary {
+  median: number | null;
+  low: number | null;
+  high: number | null;
+  sales: number;
+  units: number;
+  lastSoldAt: Date | null;
+}
+
+export interface PriceHistoryPoint {
+  date: string;
+  median: number | null;
+  low: number | null;
+  high: number | null;
+  units: number;
+}
+
+export const PRICE_WINDOW_DAYS: number;
+export function summarizeSales(sales?: MarketSaleLike[]): PriceSummary;
+export function buildPriceHistory(sales?: MarketSaleLike[]): PriceHistoryPoint[];
+export function priceWindowStart(days?: number, now?: Date): Date;
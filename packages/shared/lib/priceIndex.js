@@ -0,0 +1,79 @@
+// ============================================================================
+// ------------------- Price index helpers -------------------
+// Rolling token prices per item from MarketSale documents: median, low and
+// high unit price plus volume, and a per-day series for charts. Used by the
+// bot's /lookup price (modules/priceIndexModule.js) and the dashboard items page.
+// ============================================================================
+
+// Default rolling window for the index
+const PRICE_WINDOW_DAYS = 30;
+
+// ------------------- Function: weightedMedian -------------------
+// Median unit price over units sold, so a sale of 10 counts ten times.
+function weightedMedian(sales) {
+  const sorted = sales.slice().sort((a, b) => a.unitPrice - b.unitPrice);
+  const totalUnits = sorted.reduce((sum, sale) => sum + sale.quantity, 0);
+  if (totalUnits === 0) return null;
+
+  const lowerIndex = Math.floor((totalUnits - 1) / 2);
+  const upperIndex = Math.floor(totalUnits / 2);
+  let seen = 0;
+  let lower = null;
+  for (const sale of sorted) {
+    seen += sale.quantity;
+    if (lower === null && seen > lowerIndex) lower = sale.unitPrice;
+    if (seen > upperIndex) return Math.round(((lower + sale.unitPrice) / 2) * 100) / 100;
+  }
+  return lower;
+}
+
+// ------------------- Function: summarizeSales -------------------
+// `sales` are MarketSale documents (or { unitPrice, quantity, soldAt }).
+function summarizeSales(sales = []) {
+  const valid = sales.filter(sale => sale.quantity > 0 && sale.unitPrice >= 0);
+  if (valid.length === 0) {
+    return { median: null, low: null, high: null, sales: 0, units: 0, lastSoldAt: null };
+  }
+
+  const prices = valid.map(sale => sale.unitPrice);
+  const lastSoldAt = valid.reduce((latest, sale) => {
+    const soldAt = new Date(sale.soldAt);
+    return !latest || soldAt > latest ? soldAt : latest;
+  }, null);
+
+  return {
+    median: weightedMedian(valid),
+    low: Math.min(...prices),
+    high: Math.max(...prices),
+    sales: valid.length,
+    units: valid.reduce((sum, sale) => sum + sale.quantity, 0),
+    lastSoldAt
+  };
+}
+
+// ------------------- Function: buildPriceHistory -------------------
+// One point per UTC day with sales, oldest first.
+function buildPriceHistory(sales = []) {
+  const byDay = new Map();
+  for (const sale of sales) {
+    const day = new Date(sale.soldAt).toISOString().slice(0, 10);
+    if (!byDay.has(day)) byDay.set(day, []);
+    byDay.get(day).push(sale);
+  }
+  return Array.from(byDay, ([date, daySales]) => {
+    const { median, low, high, units } = summarizeSales(daySales);
+    return { date, median, low, high, units };
+  }).sort((a, b) => a.date.localeCompare(b.date));
+}
+
+// ------------------- Function: priceWindowStart -------------------
+function priceWindowStart(days = PRICE_WINDOW_DAYS, now = new Date()) {
+  return new Date(now.getTime() - days * 24 * 60 * 60 * 1000);
+}
+
+module.exports = {
+  PRICE_WINDOW_DAYS,
+  summarizeSales,
+  buildPriceHistory,
+  priceWindowStart
+};
@@ -0,0 +1,45 @@
+// Types for questCompletion.js (used by the dashboard's TypeScript code)
+
+export interface QuestEmbedField {
+  name: string;
+  value: string;
+  inline: boolean;
+}
+
+export interface QuestEmbed {
+  title: string;
+  description: string;
+  color: number;
+  image: { url: string };
+  timestamp: string;
+  fields: QuestEmbedField[];
+}
+
+export interface QuestMessage {
+  content?: string;
+  embeds?: QuestEmbed[];
+}
+
+export interface QuestRequirements {
+  posts: number;
+  rolls: number;
+}
+
+export interface QuestCompletionRecord {
+  questId: string;
+  questType: string;
+  questTitle: string;
+  completedAt: Date;
+  rewardedAt: Date | null;
+  tokensEarned: number;
+  itemsEarned: unknown[];
+  rewardSource: string;
+}
+
+export const SHEIKAH_SLATE_CHANNEL_ID: string;
+export const QUEST_COMPLETION_COLORS: { SUCCESS: number; EXPIRED: number };
+export function chunkDiscordContent(str: string, maxLen?: number): string[];
+export function getQuestNotificationChannelId(quest: unknown, participant: unknown): string;
+export function buildQuestCompletionEmbed(quest: unknown, participant: unknown, requirements: QuestRequirements): QuestEmbed;
+export function buildQuestSummaryMessages(quest: unknown, completionReason?: string | null): QuestMessage[];
+export function buildQuestCompletionRecord(participant: unknown, quest: unknown): QuestCompletionRecord | null;
@@ -0,0 +1,228 @@
+// ============================================================================
+// ------------------- Quest completion helpers -------------------
+// What a quest completion posts and records, as plain data: the channel a
+// completion notice goes to, the completion and summary embeds (Discord API
+// embed objects) and the User.recordQuestCompletion entry written as soon as a
+// participant completes. Quests complete in the bot (modules/questRewardModule.js)
+// and from dashboard approvals (dashboard/modules/questRewardModule.js); each app
+// only does the sending and the database write.
+// ============================================================================
+
+// Public quest hub; completion notices for submission quests and every summary go here
+const SHEIKAH_SLATE_CHANNEL_ID = '641858948802150400';
+const QUEST_BORDER_IMAGE = 'https://storage.googleapis.com/tinglebot/Graphics/border.png';
+const QUEST_COMPLETION_COLORS = {
+  SUCCESS: 0x00FF00,
+  EXPIRED: 0xFFA500
+};
+// Discord message content limit, with room to spare
+const MAX_MESSAGE_CONTENT = 1990;
+const MAX_SUMMARY_NAMES = 25;
+const MAX_EMBED_DESCRIPTION = 3900;
+
+// Quest types whose completion notice goes to Sheikah Slate rather than the quest channel
+const SHEIKAH_SLATE_QUEST_TYPES = ['art', 'writing', 'art / writing', 'art/writing', 'interactive', 'interactive / rp'];
+
+// ------------------- Completion copy per quest type -------------------
+// requirements: { posts, rolls } — the quest's effective RP post and roll minimums
+function approvedCount(participant, type) {
+  return (participant.submissions || []).filter(sub => sub.type === type && sub.approved).length;
+}
+
+function formatPosts(participant, posts) {
+  return posts === 0 ? `${participant.rpPostCount} (no minimum)` : `${participant.rpPostCount}/${posts}`;
+}
+
+const QUEST_COMPLETION_COPY = {
+  RP: {
+    title: '🎭 RP Quest Completed!',
+    description: name => `**${name}** has successfully completed the RP quest!`,
+    progressField: (participant, quest, { posts }) => ({ name: 'Posts Completed', value: formatPosts(participant, posts), inline: true })
+  },
+  Art: {
+    title: '🎨 Art Quest Completed!',
+    description: name => `**${name}** has successfully submitted their art for the quest!`,
+    progressField: () => ({ name: 'Art Submission', value: '✅ Approved', inline: true })
+  },
+  Writing: {
+    title: '✍️ Writing Quest Completed!',
+    description: name => `**${name}** has successfully submitted their writing for the quest!`,
+    progressField: () => ({ name: 'Writing Submission', value: '✅ Approved', inline: true })
+  },
+  'Art / Writing': {
+    title: '🎨✍️ Art & Writing Quest Completed!',
+    description: name => `**${name}** has successfully submitted for the quest!`,
+    progressField: (participant, quest) => {
+      const counts = `🎨 ${approvedCount(participant, 'art')} art, ✍️ ${approvedCount(participant, 'writing')} writing`;
+      const either = (quest.artWritingMode || 'both').toLowerCase() === 'either';
+      return { name: 'Submissions', value: either ? `${counts} (either counts)` : counts, inline: true };
+    }
+  },
+  'Interactive / RP': {
+    title: '🎭🎮 Interactive / RP Quest Completed!',
+    description: name => `**${name}** has met the RP posts and table roll requirements for this quest!`,
+    progressField: (participant, quest, { posts, rolls }) => ({
+      name: 'Progress',
+      value: `📝 Posts ${formatPosts(participant, posts)}\n🎲 Rolls ${participant.successfulRolls}/${rolls}`,
+      inline: false
+    })
+  },
+  Interactive: {
+    title: '🎮 Interactive Quest Completed!',
+    description: name => `**${name}** has successfully completed the interactive quest!`,
+    progressField: (participant, quest, { rolls }) => ({ name: 'Rolls', value: `${participant.successfulRolls}/${rolls}`, inline: true })
+  }
+};
+
+// ------------------- Function: buildQuestEmbed -------------------
+// Base quest embed with the Quest ID / Quest Type fields every notice starts with
+function buildQuestEmbed(quest, title, description, color, fields = []) {
+  return {
+    title,
+    description,
+    color,
+    image: { url: QUEST_BORDER_IMAGE },
+    timestamp: new Date().toISOString(),
+    fields: [
+      { name: 'Quest ID', value: `\`${quest.questID}\``, inline: true },
+      { name: 'Quest Type', value: quest.questType, inline: true },
+      ...fields
+    ]
+  };
+}
+
+// ------------------- Function: chunkDiscordContent -------------------
+// Splits message content (e.g. a long mention list) into sendable pieces
+function chunkDiscordContent(str, maxLen = MAX_MESSAGE_CONTENT) {
+  if (str.length <= maxLen) return [str];
+  const parts = [];
+  let rest = str;
+  while (rest.length > maxLen) {
+    parts.push(rest.slice(0, maxLen));
+    rest = rest.slice(maxLen);
+  }
+  if (rest.length) parts.push(rest);
+  return parts;
+}
+
+// ------------------- Function: getQuestNotificationChannelId -------------------
+// RP quests notify in the participant's RP thread; submission and interactive
+// quests in Sheikah Slate; anything else in the quest's own channel.
+function getQuestNotificationChannelId(quest, participant) {
+  const questType = (quest.questType || '').toLowerCase();
+  if (questType === 'rp' && participant.rpThreadId) return participant.rpThreadId;
+  if (SHEIKAH_SLATE_QUEST_TYPES.includes(questType)) return SHEIKAH_SLATE_CHANNEL_ID;
+  return quest.targetChannel || SHEIKAH_SLATE_CHANNEL_ID;
+}
+
+// ------------------- Function: buildQuestCompletionEmbed -------------------
+// The notice posted when one participant completes the quest
+function buildQuestCompletionEmbed(quest, participant, requirements) {
+  const copy = QUEST_COMPLETION_COPY[quest.questType];
+  const fields = [];
+  if (copy) {
+    fields.push(copy.progressField(participant, quest, requirements));
+  }
+  fields.push({ name: 'Status', value: '✅ Completed', inline: true });
+
+  const tableRolls = Array.isArray(quest.tableRollNames) && quest.tableRollNames.length > 0
+    ? quest.tableRollNames.join(', ')
+    : quest.tableRollName ? String(quest.tableRollName) : null;
+  if (tableRolls) {
+    fields.push({ name: 'Table rolls', value: tableRolls, inline: true });
+  }
+  if (quest.requiredVillage && (quest.questType === 'RP' || quest.questType === 'Interactive / RP')) {
+    fields.push({
+      name: 'Quest Village',
+      value: quest.requiredVillage.charAt(0).toUpperCase() + quest.requiredVillage.slice(1),
+      inline: true
+    });
+  }
+
+  return buildQuestEmbed(
+    quest,
+    copy ? copy.title : '🎉 Quest Completed!',
+    copy ? copy.description(participant.characterName) : `**${participant.characterName}** has successfully completed the quest!`,
+    QUEST_COMPLETION_COLORS.SUCCESS,
+    fields
+  );
+}
+
+// ------------------- Function: buildQuestSummaryMessages -------------------
+// The Sheikah Slate summary when a quest closes: the first message carries the
+// embed and the first chunk of completer mentions, the rest carry more mentions.
+function buildQuestSummaryMessages(quest, completionReason) {
+  const participants = quest.participants instanceof Map
+    ? Array.from(quest.participants.values())
+    : Object.values(quest.participants || {});
+  const completed = participants.filter(p => p.progress === 'completed' || p.progress === 'rewarded');
+  const expired = completionReason === 'time_expired';
+
+  const nameLines = completed.slice(0, MAX_SUMMARY_NAMES).map(p => `• **${p.characterName || 'Unknown'}** ✅`);
+  const overflow = completed.length > MAX_SUMMARY_NAMES ? `\n_…and ${completed.length - MAX_SUMMARY_NAMES} more._` : '';
+  const roster = completed.length === 0
+    ? '_No participants met completion requirements._'
+    : `**These members completed the quest:**\n${nameLines.join('\n')}${overflow}`;
+  let description = `${expired ? `**${quest.title}** has ended (time expired).` : `**${quest.title}** has finished.`}\n\n${roster}`;
+  if (description.length > MAX_EMBED_DESCRIPTION) {
+    description = `${description.slice(0, MAX_EMBED_DESCRIPTION - 20).trimEnd()}…\n_— message truncated —_`;
+  }
+
+  const embed = buildQuestEmbed(
+    quest,
+    expired ? '⏰ Quest time ended' : '🏁 Quest completed',
+    description,
+    expired ? QUEST_COMPLETION_COLORS.EXPIRED : QUEST_COMPLETION_COLORS.SUCCESS,
+    [
+      { name: 'Total signed up', value: participants.length.toString(), inline: true },
+      { name: 'Completed', value: completed.length.toString(), inline: true },
+      { name: 'Closure', value: String(completionReason || 'time_expired').replace(/_/g, ' ').toUpperCase(), inline: true }
+    ]
+  );
+
+  const completerIds = [...new Set(completed.map(p => p.userId).filter(Boolean))];
+  const [first, ...rest] = chunkDiscordContent(completerIds.map(id => `<@${id}>`).join(' '));
+  return [{ content: first || undefined, embeds: [embed] }, ...rest.map(content => ({ content }))];
+}
+
+// ------------------- Function: buildQuestCompletionRecord -------------------
+// User.recordQuestCompletion entry for a participant who just completed, so the
+// quest count updates before rewards are processed. Null when the participant
+// hasn't completed or the quest has no questID.
+function buildQuestCompletionRecord(participant, quest) {
+  if (participant.progress !== 'completed' && participant.progress !== 'rewarded') return null;
+  if (!quest || typeof quest.questID !== 'string' || quest.questID.trim() === '') return null;
+
+  const earned = Number(participant.tokensEarned);
+  const tokensEarned = Number.isFinite(earned) && earned >= 0 ? earned : 0;
+  const completedAt = participant.completedAt || new Date();
+  let rewardSource = 'pending';
+  if (tokensEarned > 0 && participant.questTokensPaidViaSubmission === true) {
+    rewardSource = 'submission';
+  } else if (participant.rewardSource && participant.rewardSource !== 'pending') {
+    rewardSource = participant.rewardSource;
+  } else if (tokensEarned > 0) {
+    rewardSource = 'immediate';
+  }
+
+  return {
+    questId: quest.questID,
+    questType: quest.questType || 'Other',
+    questTitle: quest.title || `Quest ${quest.questID}`,
+    completedAt,
+    rewardedAt: participant.rewardedAt || (tokensEarned > 0 ? completedAt : null),
+    tokensEarned,
+    itemsEarned: [],
+    rewardSource
+  };
+}
+
+module.exports = {
+  SHEIKAH_SLATE_CHANNEL_ID,
+  QUEST_COMPLETION_COLORS,
+  chunkDiscordContent,
+  getQuestNotificationChannelId,
+  buildQuestCompletionEmbed,
+  buildQuestSummaryMessages,
+  buildQuestCompletionRecord
+};
@@ -0,0 +1,65 @@
+// Types for scheduledJobs.js (used by the dashboard's TypeScript code)
+
+export type SchedulerAction = "run" | "pause" | "resume";
+export type ScheduledJobStatus = "ok" | "paused" | "running" | "failed" | "never run";
+
+export interface AgendaJobDoc {
+  name: string;
+  type?: string;
+  disabled?: boolean;
+  repeatInterval?: string;
+  repeatTimezone?: string | null;
+  nextRunAt?: Date | string | null;
+  lastRunAt?: Date | string | null;
+  lastFinishedAt?: Date | string | null;
+  lockedAt?: Date | string | null;
+  failedAt?: Date | string | null;
+  failReason?: string | null;
+}
+
+export interface ScheduledJobRunDoc {
+  jobName: string;
+  trigger: "scheduled" | "manual" | "catch-up";
+  triggeredBy: string | null;
+  outcome: "success" | "failure";
+  error: string | null;
+  startedAt: Date;
+  finishedAt: Date;
+  durationMs: number;
+}
+
+export interface ScheduledJobSummary {
+  name: string;
+  cron: string | null;
+  timezone: string | null;
+  scheduled: boolean;
+  paused: boolean;
+  status: ScheduledJobStatus;
+  nextRunAt: Date | null;
+  lastRunAt: Date | null;
+  lastDurationMs: number | null;
+  lastError: string | null;
+  pendingRuns: number;
+}
+
+export const AGENDA_JOBS_COLLECTION: "agendaJobs";
+export const SCHEDULER_ACTIONS: SchedulerAction[];
+
+export function summarizeScheduledJob(
+  name: string,
+  jobDocs?: AgendaJobDoc[],
+  lastRun?: ScheduledJobRunDoc | null
+): ScheduledJobSummary;
+
+export function buildManualRunJob(
+  name: string,
+  triggeredBy?: string | null,
+  now?: Date
+): {
+  name: string;
+  data: { triggeredBy?: string };
+  type: "normal";
+  priority: number;
+  shouldSaveResult: boolean;
+  nextRunAt: Date;
+};
@@ -0,0 +1,67 @@
+// ============================================================================
+// ------------------- Scheduled job helpers -------------------
+// Reads the bot's Agenda job collection into one status row per recurring
+// task, and builds the document that queues a manual run. Used by the bot's
+// /mod scheduler (utils/scheduler.js) and the dashboard /admin/scheduler page.
+// ============================================================================
+
+// Agenda collection shared by the bot and the dashboard
+const AGENDA_JOBS_COLLECTION = 'agendaJobs';
+
+const SCHEDULER_ACTIONS = ['run', 'pause', 'resume'];
+
+function toDate(value) {
+  return value ? new Date(value) : null;
+}
+
+// ------------------- Function: summarizeScheduledJob -------------------
+// `jobDocs` are the Agenda documents named `name`: the recurring ('single')
+// entry plus any queued one-off runs. `lastRun` is the latest ScheduledJobRun.
+function summarizeScheduledJob(name, jobDocs = [], lastRun = null) {
+  const recurring = jobDocs.find(doc => doc.type === 'single') || null;
+  const pendingRuns = jobDocs.filter(doc => doc.type !== 'single' && doc.nextRunAt && !doc.lastFinishedAt && !doc.lockedAt).length;
+  const running = jobDocs.some(doc => doc.lockedAt && (!doc.lastFinishedAt || new Date(doc.lockedAt) > new Date(doc.lastFinishedAt)));
+
+  const lastFinishedAt = toDate(recurring?.lastFinishedAt);
+  const failedAt = toDate(recurring?.failedAt);
+  let status = 'ok';
+  if (recurring?.disabled) status = 'paused';
+  else if (running) status = 'running';
+  else if (lastRun ? lastRun.outcome === 'failure' : failedAt && (!lastFinishedAt || failedAt >= lastFinishedAt)) status = 'failed';
+  else if (!lastRun && !lastFinishedAt) status = 'never run';
+
+  return {
+    name,
+    cron: recurring?.repeatInterval || null,
+    timezone: recurring?.repeatTimezone || null,
+    scheduled: Boolean(recurring),
+    paused: Boolean(recurring?.disabled),
+    status,
+    nextRunAt: recurring?.disabled ? null : toDate(recurring?.nextRunAt),
+    lastRunAt: toDate(lastRun?.startedAt || recurring?.lastRunAt),
+    lastDurationMs: lastRun ? lastRun.durationMs : null,
+    lastError: lastRun ? lastRun.error : recurring?.failReason || null,
+    pendingRuns
+  };
+}
+
+// ------------------- Function: buildManualRunJob -------------------
+// Agenda 'normal' job document that runs `name` on the next poll (what
+// agenda.now() saves). The bot strips `triggeredBy` before calling the task.
+function buildManualRunJob(name, triggeredBy = null, now = new Date()) {
+  return {
+    name,
+    data: triggeredBy ? { triggeredBy } : {},
+    type: 'normal',
+    priority: 0,
+    shouldSaveResult: false,
+    nextRunAt: now
+  };
+}
+
+module.exports = {
+  AGENDA_JOBS_COLLECTION,
+  SCHEDULER_ACTIONS,
+  summarizeScheduledJob,
+  buildManualRunJob
+};
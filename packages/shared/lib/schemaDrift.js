@@ -0,0 +1,79 @@
+// ============================================================================
+// ------------------- Schema drift helpers -------------------
+// Flattens a Mongoose schema into { path: { type, enum } } and diffs two of
+// those descriptions. Used by scripts/checkSchemaDrift.js and the app tests.
+// ============================================================================
+
+// ------------------- Function: describeSchema -------------------
+// Walks every path, including subdocuments, document arrays and Map values ("$*").
+// The version key is skipped: mongoose only adds it when the model is compiled.
+function describeSchema(schema, prefix = '', out = {}) {
+  schema.eachPath((pathName, schemaType) => {
+    if (pathName === schema.options.versionKey) return;
+    const key = prefix + pathName;
+    const entry = { type: schemaType.instance };
+    const enumValues = schemaType.enumValues?.length
+      ? schemaType.enumValues
+      : schemaType.caster?.enumValues;
+    if (enumValues?.length) entry.enum = [...enumValues].map(String).sort();
+    out[key] = entry;
+
+    if (schemaType.schema) describeSchema(schemaType.schema, `${key}.`, out);
+
+    const mapValue = schemaType.$__schemaType;
+    if (mapValue) {
+      out[`${key}.$*`] = { type: mapValue.instance };
+      if (mapValue.schema) describeSchema(mapValue.schema, `${key}.$*.`, out);
+    }
+  });
+  return out;
+}
+
+// ------------------- Function: diffSchemaDescriptions -------------------
+// Returns one entry per path that differs; an empty array means no drift
+function diffSchemaDescriptions(expected, actual) {
+  const diffs = [];
+  const paths = [...new Set([...Object.keys(expected), ...Object.keys(actual)])].sort();
+  for (const path of paths) {
+    const want = expected[path];
+    const got = actual[path];
+    if (!got) {
+      diffs.push({ path, kind: 'missing', expected: want });
+    } else if (!want) {
+      diffs.push({ path, kind: 'extra', actual: got });
+    } else if (want.type !== got.type) {
+      diffs.push({ path, kind: 'type', expected: want.type, actual: got.type });
+    } else if (JSON.stringify(want.enum || []) !== JSON.stringify(got.enum || [])) {
+      diffs.push({ path, kind: 'enum', expected: want.enum || [], actual: got.enum || [] });
+    }
+  }
+  return diffs;
+}
+
+// ------------------- Function: formatDrift -------------------
+// reference names the expected side in the message ('shared', 'bot', ...)
+function formatDrift(diff, reference = 'shared') {
+  switch (diff.kind) {
+    case 'missing': return `${diff.path}: missing (${reference} has ${diff.expected.type})`;
+    case 'extra': return `${diff.path}: not in ${reference} (${diff.actual.type})`;
+    case 'type': return `${diff.path}: type ${diff.actual}, ${reference} has ${diff.expected}`;
+    default: return `${diff.path}: enum [${diff.actual.join(', ')}], ${reference} has [${diff.expected.join(', ')}]`;
+  }
+}
+
+// ------------------- Function: splitKnownDrift -------------------
+// Separates diffs on paths listed as known (recorded, not yet reconciled) from new ones.
+function splitKnownDrift(diffs, knownPaths = []) {
+  const known = new Set(knownPaths);
+  return {
+    known: diffs.filter(diff => known.has(diff.path)),
+    unknown: diffs.filter(diff => !known.has(diff.path))
+  };
+}
+
+module.exports = {
+  describeSchema,
+  diffSchemaDescriptions,
+  formatDrift,
+  splitKnownDrift
+};
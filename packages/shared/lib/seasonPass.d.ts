@@ -0,0 +1,60 @@
+// Types for seasonPass.js (used by the dashboard's TypeScript code)
+
+export type SeasonName = "Winter" | "Spring" | "Summer" | "Autumn";
+export type SeasonXPSource = "message" | "quest" | "raid" | "submission";
+
+export interface SeasonWindow {
+  id: string;
+  name: SeasonName;
+  emoji: string;
+  label: string;
+  startsAt: Date;
+  endsAt: Date;
+}
+
+export type SeasonReward =
+  | { type: "tokens"; amount: number }
+  | { type: "item"; itemName: string; quantity: number }
+  | { type: "badge"; badgeId: string; label: string; emoji: string };
+
+export interface SeasonTier {
+  tier: number;
+  xpRequired: number;
+  rewards: SeasonReward[];
+}
+
+export interface SeasonTierProgress extends SeasonTier {
+  unlocked: boolean;
+  claimed: boolean;
+}
+
+export interface SeasonPassLike {
+  seasonId?: string | null;
+  xp?: number;
+  claimedTiers?: number[];
+}
+
+export interface SeasonProgress {
+  season: SeasonWindow;
+  xp: number;
+  tier: number;
+  maxTier: number;
+  xpIntoTier: number;
+  xpPerTier: number;
+  percentage: number;
+  tiers: SeasonTierProgress[];
+  claimable: number[];
+}
+
+export const SEASON_NAMES: SeasonName[];
+export const SEASON_EMOJIS: Record<SeasonName, string>;
+export const SEASON_TIER_XP: number;
+export const SEASON_TIER_COUNT: number;
+export const SEASON_XP_AWARDS: Record<Exclude<SeasonXPSource, "message">, number>;
+export const SEASON_XP_SOURCES: SeasonXPSource[];
+export function getSeasonWindow(date?: Date | string | number): SeasonWindow;
+export function getTierRewards(tier: number, season?: SeasonWindow): SeasonReward[];
+export function getSeasonTiers(season?: SeasonWindow): SeasonTier[];
+export function getTierForXP(xp: number): number;
+export function getSeasonProgress(seasonPass: SeasonPassLike | null | undefined, now?: Date): SeasonProgress;
+export function formatSeasonReward(reward: SeasonReward): string;
@@ -0,0 +1,162 @@
+// ============================================================================
+// ------------------- Season pass helpers -------------------
+// Seasonal progression track: one track per in-world season (the Winter /
+// Spring / Summer / Autumn of weather/seasonsData.js, with the same date
+// boundaries as the bot's weatherService.getCurrentSeason), 30 tiers of season
+// XP with token, item and profile badge rewards. Season XP comes from chat
+// (the same amount as level XP) plus quests, raids and approved submissions.
+// Used by the bot (UserModel season methods, /levels season, the reset job)
+// and the dashboard /levels Season tab.
+// ============================================================================
+
+const SEASON_NAMES = ['Winter', 'Spring', 'Summer', 'Autumn'];
+
+const SEASON_EMOJIS = {
+  Winter: '❄️',
+  Spring: '🌸',
+  Summer: '☀️',
+  Autumn: '🍂'
+};
+
+// Season XP per tier and number of tiers
+const SEASON_TIER_XP = 500;
+const SEASON_TIER_COUNT = 30;
+
+// Flat season XP for activity outside chat (chat uses the message's level XP)
+const SEASON_XP_AWARDS = {
+  quest: 150,
+  raid: 75,
+  submission: 100
+};
+
+const SEASON_XP_SOURCES = ['message', 'quest', 'raid', 'submission'];
+
+// Tokens every tier; items and badges on milestone tiers
+const TIER_TOKENS = 50;
+const MILESTONE_ITEMS = {
+  5: { itemName: 'Wood', quantity: 5 },
+  10: { itemName: 'Luminous Stone', quantity: 3 },
+  15: { itemName: 'Gold Dust', quantity: 3 },
+  20: { itemName: 'Fancy Fabric', quantity: 2 },
+  25: { itemName: 'Gold Bar', quantity: 1 },
+  30: { itemName: 'Gold Bar', quantity: 2 }
+};
+const MILESTONE_BADGES = {
+  15: { key: 'adventurer', title: 'Adventurer' },
+  30: { key: 'champion', title: 'Champion' }
+};
+
+// ------------------- Function: getSeasonWindow -------------------
+// The season containing `date` (UTC): Spring from Mar 21, Summer Jun 21,
+// Autumn Sep 21, Winter Dec 21 to Mar 20. Winter is named after the year it starts.
+function getSeasonWindow(date = new Date()) {
+  const d = new Date(date);
+  const year = d.getUTCFullYear();
+  const starts = [
+    { name: 'Winter', start: Date.UTC(year - 1, 11, 21) },
+    { name: 'Spring', start: Date.UTC(year, 2, 21) },
+    { name: 'Summer', start: Date.UTC(year, 5, 21) },
+    { name: 'Autumn', start: Date.UTC(year, 8, 21) },
+    { name: 'Winter', start: Date.UTC(year, 11, 21) },
+    { name: 'Spring', start: Date.UTC(year + 1, 2, 21) }
+  ];
+  let index = 0;
+  for (let i = 0; i < starts.length - 1; i++) {
+    if (d.getTime() >= starts[i].start) index = i;
+  }
+  const { name, start } = starts[index];
+  const startsAt = new Date(start);
+  return {
+    id: `${startsAt.getUTCFullYear()}-${name.toLowerCase()}`,
+    name,
+    emoji: SEASON_EMOJIS[name],
+    label: `${name} ${startsAt.getUTCFullYear()}`,
+    startsAt,
+    endsAt: new Date(starts[index + 1].start)
+  };
+}
+
+// ------------------- Function: getTierRewards -------------------
+// Rewards for one tier of the given season (badges are named per season).
+function getTierRewards(tier, season = getSeasonWindow()) {
+  const rewards = [{ type: 'tokens', amount: TIER_TOKENS }];
+  if (MILESTONE_ITEMS[tier]) {
+    rewards.push({ type: 'item', ...MILESTONE_ITEMS[tier] });
+  }
+  if (MILESTONE_BADGES[tier]) {
+    const badge = MILESTONE_BADGES[tier];
+    rewards.push({
+      type: 'badge',
+      badgeId: `${season.id}-${badge.key}`,
+      label: `${season.label} ${badge.title}`,
+      emoji: season.emoji
+    });
+  }
+  return rewards;
+}
+
+// ------------------- Function: getSeasonTiers -------------------
+function getSeasonTiers(season = getSeasonWindow()) {
+  return Array.from({ length: SEASON_TIER_COUNT }, (_, i) => ({
+    tier: i + 1,
+    xpRequired: (i + 1) * SEASON_TIER_XP,
+    rewards: getTierRewards(i + 1, season)
+  }));
+}
+
+// ------------------- Function: getTierForXP -------------------
+function getTierForXP(xp) {
+  return Math.min(SEASON_TIER_COUNT, Math.floor(Math.max(0, xp || 0) / SEASON_TIER_XP));
+}
+
+// ------------------- Function: getSeasonProgress -------------------
+// Progress for a stored seasonPass ({ seasonId, xp, claimedTiers }). A pass from
+// an earlier season counts as empty until the reset job (or the next XP award) rolls it over.
+function getSeasonProgress(seasonPass, now = new Date()) {
+  const season = getSeasonWindow(now);
+  const current = seasonPass && seasonPass.seasonId === season.id;
+  const xp = current ? seasonPass.xp || 0 : 0;
+  const claimed = new Set(current ? seasonPass.claimedTiers || [] : []);
+  const tier = getTierForXP(xp);
+  const maxed = tier >= SEASON_TIER_COUNT;
+  const tiers = getSeasonTiers(season).map(entry => ({
+    ...entry,
+    unlocked: entry.tier <= tier,
+    claimed: claimed.has(entry.tier)
+  }));
+
+  return {
+    season,
+    xp,
+    tier,
+    maxTier: SEASON_TIER_COUNT,
+    xpIntoTier: maxed ? SEASON_TIER_XP : xp - tier * SEASON_TIER_XP,
+    xpPerTier: SEASON_TIER_XP,
+    percentage: maxed ? 100 : Math.round(((xp - tier * SEASON_TIER_XP) / SEASON_TIER_XP) * 100),
+    tiers,
+    claimable: tiers.filter(entry => entry.unlocked && !entry.claimed).map(entry => entry.tier)
+  };
+}
+
+// ------------------- Function: formatSeasonReward -------------------
+function formatSeasonReward(reward) {
+  if (reward.type === 'tokens') return `${reward.amount} tokens`;
+  if (reward.type === 'item') return `${reward.quantity}x ${reward.itemName}`;
+  if (reward.type === 'badge') return `${reward.emoji || '🏅'} ${reward.label} badge`;
+  return String(reward.type);
+}
+
+module.exports = {
+  SEASON_NAMES,
+  SEASON_EMOJIS,
+  SEASON_TIER_XP,
+  SEASON_TIER_COUNT,
+  SEASON_XP_AWARDS,
+  SEASON_XP_SOURCES,
+  getSeasonWindow,
+  getTierRewards,
+  getSeasonTiers,
+  getTierForXP,
+  getSeasonProgress,
+  formatSeasonReward
+};
@@ -0,0 +1,130 @@
+// ============================================================================
+// ------------------- Auction Model -------------------
+// Backs /auction. The lot is taken out of the seller's inventory into `escrow`
+// when the auction is created, and the high bid's tokens are held off the bidder's
+// balance until they are outbid or the auction settles (bot modules/auctionModule.js).
+// The dashboard only lists live auctions.
+// Shared by the bot and the dashboard: call with the app's mongoose instance.
+// ============================================================================
+
+module.exports = function defineAuctionModel(mongoose) {
+  const auctionPartySchema = new mongoose.Schema({
+    userId: { type: String, required: true },
+    characterId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    characterName: { type: String, required: true },
+    isModCharacter: { type: Boolean, default: false }
+  }, { _id: false });
+
+  // Snapshot of one inventory stack held for the lot (same shape as trade escrow rows)
+  const escrowStackSchema = new mongoose.Schema({
+    itemName: { type: String, required: true },
+    quantity: { type: Number, required: true, min: 1 },
+    elixirLevel: { type: Number, default: null },
+    modifierHearts: { type: Number, default: null },
+    itemId: { type: mongoose.Schema.Types.Mixed, default: null },
+    category: { type: mongoose.Schema.Types.Mixed, default: '' },
+    type: { type: mongoose.Schema.Types.Mixed, default: '' },
+    subtype: { type: mongoose.Schema.Types.Mixed, default: '' }
+  }, { _id: false });
+
+  const highBidSchema = new mongoose.Schema({
+    userId: { type: String, required: true },
+    characterId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    characterName: { type: String, required: true },
+    isModCharacter: { type: Boolean, default: false },
+    amount: { type: Number, required: true, min: 1 },
+    at: { type: Date, default: Date.now }
+  }, { _id: false });
+
+  const auctionSchema = new mongoose.Schema({
+    auctionId: {
+      type: String,
+      required: true,
+      unique: true,
+      index: true
+    },
+    status: {
+      type: String,
+      enum: ['active', 'sold', 'unsold', 'cancelled'],
+      default: 'active'
+    },
+
+    seller: { type: auctionPartySchema, required: true },
+    village: { type: String, default: '' },
+
+    // What is being sold
+    item: {
+      itemName: { type: String, required: true },
+      quantity: { type: Number, required: true, min: 1 },
+      elixirLevel: { type: Number, default: null },
+      modifierHearts: { type: Number, default: null },
+      emoji: { type: String, default: '' },
+      image: { type: String, default: '' }
+    },
+    escrow: { type: [escrowStackSchema], default: [] },
+
+    // Pricing (tokens)
+    minimumBid: { type: Number, required: true, min: 1 },
+    buyoutPrice: { type: Number, default: null },
+
+    highBid: { type: highBidSchema, default: null },
+    bidCount: { type: Number, default: 0 },
+    bids: [{
+      userId: { type: String },
+      characterName: { type: String },
+      amount: { type: Number },
+      at: { type: Date, default: Date.now }
+    }],
+
+    // Discord message bookkeeping
+    messageId: { type: String, default: null },
+    channelId: { type: String, default: null },
+
+    endsAt: { type: Date, required: true },
+    settledAt: { type: Date, default: null },
+    boughtOut: { type: Boolean, default: false },
+    cancelledReason: { type: String, default: null }
+  }, {
+    timestamps: true
+  });
+
+  // ============================================================================
+  // ---- Indexes ----
+  // ============================================================================
+  auctionSchema.index({ status: 1, endsAt: 1 });
+  auctionSchema.index({ 'seller.userId': 1, status: 1 });
+  auctionSchema.index({ 'highBid.userId': 1, status: 1 });
+
+  // ============================================================================
+  // ---- Instance Methods ----
+  // ============================================================================
+
+  // ---- Method: hasEnded ----
+  auctionSchema.methods.hasEnded = function() {
+    return Date.now() >= this.endsAt.getTime();
+  };
+
+  // ---- Method: getMinimumNextBid ----
+  // First bid must meet the minimum bid; later bids must beat the high bid by the increment
+  auctionSchema.methods.getMinimumNextBid = function(increment = 1) {
+    if (!this.highBid) return this.minimumBid;
+    return this.highBid.amount + increment;
+  };
+
+  // ============================================================================
+  // ---- Static Methods ----
+  // ============================================================================
+
+  // ---- Method: findActiveByAuctionId ----
+  auctionSchema.statics.findActiveByAuctionId = function(auctionId) {
+    return this.findOne({ auctionId, status: 'active' });
+  };
+
+  // ---- Method: findEndedActive ----
+  // Active auctions past their end time that still need settling
+  auctionSchema.statics.findEndedActive = function() {
+    return this.find({ status: 'active', endsAt: { $lte: new Date() } });
+  };
+
+  return mongoose.models.Auction || mongoose.model('Auction', auctionSchema);
+};
@@ -0,0 +1,35 @@
+// ============================================================================
+// ------------------- Market Sale Model -------------------
+// One document per item sold for tokens between players: completed vending
+// purchases, single-item trades for tokens and sold auctions. The price index
+// (lib/priceIndex.js) is computed from these. Written by the bot
+// (modules/priceIndexModule.js), read by /lookup price and the dashboard items page.
+// Shared by the bot and the dashboard: call with the app's mongoose instance.
+// ============================================================================
+
+const MARKET_SALE_SOURCES = ['vending', 'trade', 'auction'];
+
+module.exports = function defineMarketSaleModel(mongoose) {
+  const MarketSaleSchema = new mongoose.Schema({
+    itemName: { type: String, required: true },
+    source: {
+      type: String,
+      enum: MARKET_SALE_SOURCES,
+      required: true
+    },
+    // fulfillmentId, trade _id or auction _id: makes recording idempotent
+    referenceId: { type: String, required: true },
+    quantity: { type: Number, required: true, min: 1 },
+    unitPrice: { type: Number, required: true, min: 0 },
+    totalTokens: { type: Number, required: true, min: 0 },
+    buyerName: { type: String, default: null },
+    sellerName: { type: String, default: null },
+    soldAt: { type: Date, default: Date.now }
+  });
+
+  MarketSaleSchema.index({ source: 1, referenceId: 1, itemName: 1 }, { unique: true });
+  MarketSaleSchema.index({ itemName: 1, soldAt: -1 });
+
+  return mongoose.models.MarketSale || mongoose.model('MarketSale', MarketSaleSchema);
+};
+
@@ -0,0 +1,38 @@
+// ============================================================================
+// ------------------- Scheduled Job Run Model -------------------
+// One document per run of a recurring Agenda task (bot utils/scheduler.js).
+// Read by /mod scheduler history and the dashboard /admin/scheduler page.
+// Shared by the bot and the dashboard: call with the app's mongoose instance.
+// ============================================================================
+
+// Runs older than this are dropped by the TTL index
+const RUN_HISTORY_TTL_DAYS = 30;
+
+module.exports = function defineScheduledJobRunModel(mongoose) {
+  const ScheduledJobRunSchema = new mongoose.Schema({
+    jobName: { type: String, required: true },
+    // scheduled = Agenda's own timer; manual = /mod scheduler run or the dashboard;
+    // catch-up = a period missed while the bot was down, replayed on startup
+    trigger: {
+      type: String,
+      enum: ['scheduled', 'manual', 'catch-up'],
+      default: 'scheduled'
+    },
+    // Discord user id behind a manual run
+    triggeredBy: { type: String, default: null },
+    outcome: {
+      type: String,
+      enum: ['success', 'failure'],
+      required: true
+    },
+    error: { type: String, default: null },
+    startedAt: { type: Date, required: true },
+    finishedAt: { type: Date, required: true },
+    durationMs: { type: Number, required: true, min: 0 }
+  });
+
+  ScheduledJobRunSchema.index({ jobName: 1, startedAt: -1 });
+  ScheduledJobRunSchema.index({ startedAt: 1 }, { expireAfterSeconds: RUN_HISTORY_TTL_DAYS * 24 * 60 * 60 });
+
+  return mongoose.models.ScheduledJobRun || mongoose.model('ScheduledJobRun', ScheduledJobRunSchema);
+};
@@ -0,0 +1,25 @@
+// ============================================================================
+// ------------------- Table Model -------------------
+// Shared by the bot and the dashboard: call with the app's mongoose instance.
+// ============================================================================
+
+module.exports = function defineTableModel(mongoose) {
+  const { Schema } = mongoose;
+
+  // ------------------- Schema for storing tables -------------------
+  const TableSchema = new Schema({
+      tableName: { type: String, required: true, unique: true }, // Name of the table (Google Sheets tab name)
+      data: { type: [[String]], required: true }, // 2D array storing Weight, Flavor Text, and Item columns
+      createdAt: { type: Date, default: Date.now }, // Timestamp for when the table was added
+      updatedAt: { type: Date, default: Date.now }, // Timestamp for when the table was last updated
+  });
+
+  // ------------------- Middleware to update timestamps -------------------
+  TableSchema.pre('save', function (next) {
+      this.updatedAt = Date.now();
+      next();
+  });
+
+  // ------------------- Export the model -------------------
+  return mongoose.models.Table || mongoose.model('Table', TableSchema);
+};
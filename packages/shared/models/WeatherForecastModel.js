@@ -0,0 +1,48 @@
+// ============================================================================
+// ------------------- Weather Forecast Model -------------------
+// One document per village per upcoming weather period (8am Eastern), kept
+// apart from Weather so forecasts never count as weather history. The bot
+// refreshes the next 7 days each morning (services/weatherService.js) and a
+// period's weather is taken from its forecast when the period starts.
+// Read by /weather forecast and the dashboard calendar.
+// Shared by the bot and the dashboard: call with the app's mongoose instance.
+// ============================================================================
+
+// Forecasts for periods that have started are dropped by the TTL index
+const FORECAST_TTL_DAYS = 2;
+
+module.exports = function defineWeatherForecastModel(mongoose) {
+  const conditionSchema = {
+    label: String,
+    emoji: String,
+    probability: String
+  };
+
+  const WeatherForecastSchema = new mongoose.Schema({
+    village: {
+      type: String,
+      required: true,
+      enum: ['Rudania', 'Inariko', 'Vhintl']
+    },
+    // Start of the weather period this forecast is for
+    date: { type: Date, required: true },
+    season: {
+      type: String,
+      required: true,
+      enum: ['spring', 'summer', 'fall', 'winter']
+    },
+    temperature: conditionSchema,
+    wind: conditionSchema,
+    precipitation: conditionSchema,
+    special: conditionSchema,
+    // How many times a refresh has re-rolled this day
+    revisions: { type: Number, default: 0 }
+  }, {
+    timestamps: true
+  });
+
+  WeatherForecastSchema.index({ village: 1, date: 1 }, { unique: true });
+  WeatherForecastSchema.index({ date: 1 }, { expireAfterSeconds: FORECAST_TTL_DAYS * 24 * 60 * 60 });
+
+  return mongoose.models.WeatherForecast || mongoose.model('WeatherForecast', WeatherForecastSchema);
+};
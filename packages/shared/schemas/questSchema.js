@@ -0,0 +1,207 @@
+// ============================================================================
+// ------------------- Quest schema -------------------
+// Shared by the bot and the dashboard: call with the app's mongoose instance.
+// Each app attaches its own hooks and methods before registering the model.
+// ============================================================================
+module.exports = function buildQuestSchema(mongoose) {
+    const { Schema } = mongoose;
+
+    // ============================================================================
+    // ------------------- Schema Field Definitions -------------------
+    // ============================================================================
+
+    // ------------------- Basic Quest Fields ------------------
+    const basicQuestFields = {
+        title: { type: String, required: true },
+        description: { type: String, required: true },
+        questType: {
+            type: String,
+            required: true,
+            enum: ['Art', 'Writing', 'Interactive', 'Interactive / RP', 'RP', 'Art / Writing'],
+        },
+        location: { type: String, required: true },
+        timeLimit: { type: String, required: true },
+        minRequirements: { type: Schema.Types.Mixed, default: 0 }, // Can be number or table roll config
+        tableroll: { type: String, default: null }, // Table roll name for RP quests
+        itemReward: { type: String, default: null },
+        itemRewardQty: { type: Number, default: null },
+        itemRewards: [{ name: String, quantity: Number }], // Multiple items support
+        signupDeadline: { type: String, default: null },
+        /** YYYY-MM-DD; when set, quest ends last ms of that civil day in America/New_York (overrides duration math for expiration). */
+        timeLimitEndDate: { type: String, default: null },
+        participantCap: { type: Number, default: null },
+        postRequirement: { type: Number, default: null },
+        specialNote: { type: String, default: null }
+    };
+
+    // ------------------- Token Reward Validation ------------------
+    const tokenRewardValidation = {
+        validator: function(value) {
+            if (typeof value === 'number') return value >= 0;
+            if (typeof value === 'string') {
+                if (['N/A', 'No reward', 'No reward specified', 'None'].includes(value)) return true;
+                
+                // Check for complex formats (unit:, max: used with per_unit)
+                if (value.includes('per_unit:') || value.includes('flat:') || value.includes('collab_bonus:') ||
+                    value.includes('unit:') || value.includes('max:')) {
+                    return true; // Accept complex reward formats
+                }
+                
+                const parsed = parseFloat(value);
+                return !isNaN(parsed) && parsed >= 0;
+            }
+            return false;
+        },
+        message: 'Token reward must be a number >= 0 or a valid string value'
+    };
+
+    // ------------------- Integration Fields ------------------
+    const integrationFields = {
+        targetChannel: { type: String, default: null },
+        date: { type: String, required: true },
+        questID: { type: String, unique: true, required: true },
+        posted: { type: Boolean, default: false },
+        postedAt: { type: Date, default: null },
+        botNotes: { type: String, default: null },
+        messageID: { type: String, default: null },
+        roleID: { type: String, default: null },
+        guildId: { type: String, default: null },
+        rpThreadParentChannel: { type: String, default: null },
+        /** Parent channel Discord ID per thread slot (1:1 with thread index); legacy quests use only rpThreadParentChannel. */
+        rpThreadParentChannels: { type: [String], default: [] },
+        rpThreadId: { type: String, default: null },
+        /** How many Discord RP threads to create for this quest (1–10). Primary thread id is still `rpThreadId` (first of `rpThreadIds`). */
+        rpThreadCount: { type: Number, default: 1, min: 1, max: 10 },
+        rpThreadIds: { type: [String], default: [] }
+    };
+
+    // ------------------- Quest Status Fields ------------------
+    const statusFields = {
+        status: { type: String, enum: ['draft', 'pending', 'active', 'completed'], default: 'draft' },
+        completionReason: { type: String, default: null },
+        completedAt: { type: Date, default: null },
+        completionProcessed: { type: Boolean, default: false }, // Prevents duplicate reward processing
+        lastCompletionCheck: { type: Date, default: null }, // Tracks when completion was last checked
+        /** Set when the per-quest Discord role has been stripped (or n/a); avoids repeated cleanup. */
+        participantQuestRolesStrippedAt: { type: Date, default: null }
+    };
+
+    // ------------------- Submission Schema ------------------
+    const submissionSchema = {
+        type: {
+            type: String,
+            enum: ['art', 'writing', 'interactive', 'rp_posts'],
+            required: true
+        },
+        url: String,
+        postCount: Number,
+        submittedAt: { type: Date, default: Date.now },
+        approved: { type: Boolean, default: false },
+        approvedBy: String,
+        approvedAt: Date
+    };
+
+    // ------------------- Participant Schema ------------------
+    const participantSchema = {
+        userId: { type: String, required: true },
+        characterName: { type: String, required: true },
+        joinedAt: { type: Date, default: Date.now },
+        leftAt: { type: Date, default: null },
+        progress: {
+            type: String,
+            enum: ['active', 'completed', 'failed', 'rewarded', 'disqualified'],
+            default: 'active'
+        },
+        submissions: [submissionSchema],
+        rpPostCount: { type: Number, default: 0 },
+        rpThreadId: { type: String, default: null },
+        usedVoucher: { type: Boolean, default: false },
+        voucherUsedAt: { type: Date, default: null },
+        completedAt: { type: Date, default: null },
+        rewardedAt: { type: Date, default: null },
+        tokensEarned: { type: Number, default: 0 },
+        itemsEarned: [{ name: String, quantity: Number }],
+        modNotes: { type: String, default: null },
+        units: { type: Number, default: 0 },
+        group: { type: String, default: null },
+        signedUp: { type: Boolean, default: true },
+        attended: { type: Boolean, default: false },
+        questSubmissionInfo: { type: Schema.Types.Mixed, default: null },
+        // RP Quest specific fields
+        requiredVillage: { type: String, default: null }, // Village participant must stay in for RP quests
+        lastVillageCheck: { type: Date, default: Date.now }, // Last time village location was verified
+        disqualifiedAt: { type: Date, default: null }, // When participant was disqualified
+        disqualificationReason: { type: String, default: null }, // Reason for disqualification
+        // Interactive Quest specific fields
+        tableRollResults: [{ 
+            rollNumber: Number, 
+            result: Schema.Types.Mixed, 
+            rolledAt: { type: Date, default: Date.now },
+            success: { type: Boolean, default: false }
+        }], // Track table roll results for interactive quests
+        successfulRolls: { type: Number, default: 0 }, // Rolls on quest-linked tables toward requiredRolls
+        updatedAt: { type: Date, default: Date.now },
+        // Completion tracking
+        completionProcessed: { type: Boolean, default: false }, // Prevents duplicate reward processing
+        lastCompletionCheck: { type: Date, default: null }, // Tracks when completion was last checked
+        // Art/Writing: mod approval already paid tokens (submission category); skip duplicate quest_reward at quest end
+        questTokensPaidViaSubmission: { type: Boolean, default: false },
+        submissionRewardTokenAmount: { type: Number, default: null },
+        rewardProcessed: { type: Boolean, default: false },
+        rewardSource: { type: String, default: null },
+        lastRewardCheck: { type: Date, default: null }
+    };
+
+    // ------------------- Left Participant Schema ------------------
+    const leftParticipantSchema = {
+        characterName: { type: String, required: true },
+        userId: { type: String, required: true },
+        leftAt: { type: Date, default: Date.now }
+    };
+
+    // ------------------- Additional Fields ------------------
+    const additionalFields = {
+        collabAllowed: { type: Boolean, default: false },
+        collabRule: { type: String, default: null },
+        rules: { type: String, default: null },
+        createdAt: { type: Date, default: Date.now },
+        updatedAt: { type: Date, default: Date.now },
+        isMemberQuest: { type: Boolean, default: false },
+        runByUserId: { type: String, default: null },
+        runByUsername: { type: String, default: null },
+        createdByUserId: { type: String, default: null },
+        createdByUsername: { type: String, default: null },
+        // Art / Writing: 'both' = require art AND writing; 'either' = require art OR writing
+        artWritingMode: { type: String, enum: ['both', 'either'], default: 'both' },
+        // Interactive Quest Table Roll Fields
+        tableRollName: { type: String, default: null }, // Name of the table roll to use (legacy; first of tableRollNames when set)
+        tableRollNames: { type: [String], default: [] }, // One or more table names for Interactive quests
+        tableRollConfig: { type: Schema.Types.Mixed, default: null }, // Configuration for table roll requirements
+        requiredRolls: { type: Number, default: 1 }, // Number of /tableroll rolls required on quest table(s)
+        rollSuccessCriteria: { type: String, default: null }, // Optional audit/tagging for roll history (does not gate progress)
+    };
+
+    // ============================================================================
+    // ------------------- Quest Schema Definition -------------------
+    // ============================================================================
+
+    const questSchema = new Schema({
+        ...basicQuestFields,
+        tokenReward: { 
+            type: Schema.Types.Mixed, 
+            required: true,
+            validate: tokenRewardValidation
+        },
+        ...integrationFields,
+        ...statusFields,
+        participants: { 
+            type: Map, 
+            of: participantSchema,
+            default: () => new Map() 
+        },
+        leftParticipants: [leftParticipantSchema],
+        ...additionalFields
+    });
+
+    return questSchema;
+};
@@ -0,0 +1,221 @@
+// ============================================================================
+// checkSchemaDrift.js
+//
+// Fails loudly when a bot or dashboard model no longer matches @tinglebot/shared.
+// Loads each app's model files with that app's own mongoose (no database
+// connection) and compares schema paths, types and enums:
+//
+//   - Shared models: the app's registered model vs the shared factory's output.
+//     Catches an app file that stopped being a thin wrapper.
+//   - Shared schemas (Character, Item, Quest): the app's model schema vs the
+//     shared builder. Catches fields added in one app's model file.
+//   - Remaining twins (same file name in bot/models and dashboard/models, not
+//     yet shared): bot vs dashboard. Any difference fails, except the older ones
+//     listed in knownSchemaDrift.js, which are warnings (--strict fails on them too).
+//
+// Usage (repo root):
+//   npm run check:schemas
+//   node packages/shared/scripts/checkSchemaDrift.js --strict
+//   node packages/shared/scripts/checkSchemaDrift.js --app bot
+//
+// Each app must have its dependencies installed (mongoose, module-alias for the
+// bot, tsx for the dashboard).
+// ============================================================================
+
+const fs = require('fs');
+const path = require('path');
+const { createRequire } = require('module');
+
+const {
+  SHARED_MODELS,
+  SHARED_SCHEMAS,
+  describeSchema,
+  diffSchemaDescriptions,
+  formatDrift,
+  splitKnownDrift
+} = require('..');
+const KNOWN_TWIN_DRIFT = require('./knownSchemaDrift');
+
+const REPO_ROOT = path.resolve(__dirname, '..', '..', '..');
+
+// ------------------- App loaders -------------------
+// setup() makes the app's model files requirable outside the app itself
+const APPS = [
+  {
+    name: 'bot',
+    dir: path.join(REPO_ROOT, 'bot'),
+    setup(app) {
+      app.require('module-alias').addAlias('@', app.dir);
+    }
+  },
+  {
+    name: 'dashboard',
+    dir: path.join(REPO_ROOT, 'dashboard'),
+    setup(app) {
+      // Dashboard models import TypeScript data files (e.g. ItemModel → data/jobData.ts)
+      app.require('tsx/cjs/api').register();
+    }
+  }
+];
+
+// ------------------- Helpers -------------------
+function getArg(name) {
+  const i = process.argv.indexOf(`--${name}`);
+  return i === -1 ? null : process.argv[i + 1];
+}
+
+// Model files log on load; keep the report readable
+function quietly(fn) {
+  const saved = { log: console.log, info: console.info, warn: console.warn };
+  console.log = console.info = console.warn = () => {};
+  try {
+    return fn();
+  } finally {
+    Object.assign(console, saved);
+  }
+}
+
+function listModelFiles(app) {
+  return fs.readdirSync(path.join(app.dir, 'models'))
+    .filter(file => file.endsWith('.js'))
+    .map(file => path.basename(file, '.js'));
+}
+
+// ------------------- Function: loadApp -------------------
+// Requires the given model files and records which model names each one registered
+function loadApp(app, basenames) {
+  const appRequire = createRequire(path.join(app.dir, 'package.json'));
+  const loaded = { ...app, require: appRequire };
+  loaded.mongoose = appRequire('mongoose');
+  app.setup(loaded);
+
+  loaded.modelsByFile = {};
+  loaded.loadErrors = {};
+  for (const basename of basenames) {
+    const before = new Set(loaded.mongoose.modelNames());
+    try {
+      quietly(() => appRequire(path.join(app.dir, 'models', basename)));
+      loaded.modelsByFile[basename] = loaded.mongoose.modelNames().filter(name => !before.has(name));
+    } catch (error) {
+      loaded.loadErrors[basename] = error.message.split('\n')[0];
+    }
+  }
+  return loaded;
+}
+
+// ------------------- Function: compareModel -------------------
+function compareModel(expectedSchema, actualSchema) {
+  return diffSchemaDescriptions(describeSchema(expectedSchema), describeSchema(actualSchema));
+}
+
+// ------------------- Function: checkApp -------------------
+// Returns [{ label, diffs }] for every shared model/schema the app drifted from
+function checkApp(app) {
+  const problems = [];
+  const { Mongoose } = app.mongoose;
+
+  for (const [basename, factory] of Object.entries(SHARED_MODELS)) {
+    if (!app.modelsByFile[basename]) continue;
+    const reference = new Mongoose();
+    factory(reference);
+    for (const modelName of reference.modelNames()) {
+      const label = `${app.name}/models/${basename}.js [${modelName}]`;
+      if (!app.mongoose.modelNames().includes(modelName)) {
+        problems.push({ label, diffs: [], message: 'model not registered by the app' });
+        continue;
+      }
+      const diffs = compareModel(reference.model(modelName).schema, app.mongoose.model(modelName).schema);
+      if (diffs.length) problems.push({ label, diffs });
+    }
+  }
+
+  for (const [basename, { modelName, build }] of Object.entries(SHARED_SCHEMAS)) {
+    if (!app.modelsByFile[basename]) continue;
+    const label = `${app.name}/models/${basename}.js [${modelName}]`;
+    if (!app.mongoose.modelNames().includes(modelName)) {
+      problems.push({ label, diffs: [], message: 'model not registered by the app' });
+      continue;
+    }
+    const diffs = compareModel(build(new Mongoose()), app.mongoose.model(modelName).schema);
+    if (diffs.length) problems.push({ label, diffs });
+  }
+
+  for (const [basename, message] of Object.entries(app.loadErrors)) {
+    if (SHARED_MODELS[basename] || SHARED_SCHEMAS[basename]) {
+      problems.push({ label: `${app.name}/models/${basename}.js`, diffs: [], message: `failed to load: ${message}` });
+    }
+  }
+  return problems;
+}
+
+// ------------------- Function: checkTwins -------------------
+// Per-app copies of the same model that have not moved to the shared package yet.
+// Returns { problems, warnings }: new drift, and drift listed in knownSchemaDrift.js.
+function checkTwins(bot, dashboard, twinFiles, knownDrift = KNOWN_TWIN_DRIFT) {
+  const problems = [];
+  const warnings = [];
+  for (const basename of twinFiles) {
+    const names = new Set([...(bot.modelsByFile[basename] || []), ...(dashboard.modelsByFile[basename] || [])]);
+    for (const modelName of names) {
+      if (!bot.mongoose.modelNames().includes(modelName) || !dashboard.mongoose.modelNames().includes(modelName)) continue;
+      const diffs = compareModel(bot.mongoose.model(modelName).schema, dashboard.mongoose.model(modelName).schema);
+      const { known, unknown } = splitKnownDrift(diffs, knownDrift[basename]);
+      const label = `dashboard/models/${basename}.js [${modelName}]`;
+      if (unknown.length) problems.push({ label, diffs: unknown, reference: 'bot' });
+      if (known.length) warnings.push({ label, diffs: known, reference: 'bot' });
+    }
+  }
+  return { problems, warnings };
+}
+
+// ------------------- Function: printProblems -------------------
+function printProblems(title, problems, print) {
+  print(title);
+  for (const problem of problems) {
+    print(`  ${problem.label}${problem.message ? `: ${problem.message}` : ''}`);
+    for (const diff of problem.diffs) print(`    - ${formatDrift(diff, problem.reference)}`);
+  }
+}
+
+// ------------------- Main -------------------
+function main() {
+  const only = getArg('app');
+  const strict = process.argv.includes('--strict');
+  const apps = APPS.filter(app => !only || app.name === only);
+  if (!apps.length) {
+    console.error(`Unknown --app "${only}". Use: ${APPS.map(app => app.name).join(' | ')}`);
+    process.exit(1);
+  }
+
+  const sharedFiles = [...Object.keys(SHARED_MODELS), ...Object.keys(SHARED_SCHEMAS)];
+  const files = apps.map(app => listModelFiles(app));
+  const twinFiles = apps.length === APPS.length
+    ? files[0].filter(basename => files[1].includes(basename) && !sharedFiles.includes(basename))
+    : [];
+
+  const loaded = apps.map((app, i) => loadApp(app, files[i].filter(b => sharedFiles.includes(b) || twinFiles.includes(b))));
+  const problems = loaded.flatMap(checkApp);
+  const twins = loaded.length === 2 ? checkTwins(loaded[0], loaded[1], twinFiles) : { problems: [], warnings: [] };
+
+  if (twins.warnings.length) {
+    printProblems(`⚠️  ${twins.warnings.length} per-app model(s) have known bot/dashboard differences (knownSchemaDrift.js):`, twins.warnings, strict ? console.error : console.warn);
+  }
+
+  if (twins.problems.length) {
+    printProblems(`❌ SCHEMA DRIFT: ${twins.problems.length} per-app model(s) differ between bot and dashboard. Make the same change in both model files:`, twins.problems, console.error);
+  }
+
+  if (problems.length) {
+    printProblems(`❌ SCHEMA DRIFT: ${problems.length} model(s) no longer match @tinglebot/shared. Edit the shared schema instead of the app copy:`, problems, console.error);
+  }
+
+  if (problems.length || twins.problems.length || (strict && twins.warnings.length)) process.exit(1);
+  console.log(`✅ ${apps.map(app => app.name).join(' + ')} models match @tinglebot/shared (${sharedFiles.length} shared files checked).`);
+  process.exit(0);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { APPS, loadApp, checkApp, checkTwins };
@@ -0,0 +1,49 @@
+// ============================================================================
+// knownSchemaDrift.js
+//
+// Bot vs dashboard differences that predate the drift check, per dashboard model
+// file: paths listed here are reported as warnings, any other drift fails the
+// check. Remove a path once the two copies agree (or the model moves to
+// @tinglebot/shared); never add one for a field you just introduced.
+// ============================================================================
+
+module.exports = {
+  AuditLogModel: ['action'],
+  CharacterModerationModel: ['applicationVersion', 'note', 'updatedAt', 'vote'],
+  GrottoModel: ['targetPracticeState.phase'],
+  HelpWantedQuestModel: ['postedToDiscord'],
+  ModCharacterModel: ['appArt', 'exploreCount', 'extras', 'gender', 'history', 'jobVoucherActivating', 'personality', 'virtue'],
+  MonsterModel: ['element'],
+  PinModel: ['character'],
+  RaidModel: [
+    'expeditionId',
+    'failedRetreatAttempts',
+    'grottoId',
+    'lootEligibleRemoved',
+    'lootEligibleRemoved._id',
+    'lootEligibleRemoved.characterId',
+    'lootEligibleRemoved.damage',
+    'lootEligibleRemoved.name',
+    'lootEligibleRemoved.userId',
+    'participants.hasTakenActionThisTurn',
+    'participants.isModCharacter',
+    'participants.roundsParticipated',
+    'participants.skipCount',
+    'result'
+  ],
+  RelicAppraisalRequestModel: ['appraisalRequestId'],
+  TempDataModel: ['type'],
+  UserModel: ['googleSheetsUrl', 'tokenTracker', 'tokensSynced', 'username', 'villageDonationCooldown'],
+  VendingModel: ['elixirLevel'],
+  VillageModel: [
+    'contributors.$*',
+    'contributors.$*.items',
+    'contributors.$*.items.$*',
+    'contributors.$*.lastDonatedAt',
+    'contributors.$*.tokens'
+  ],
+  VillageShopsModel: ['elixirLevel'],
+  WaveModel: ['expeditionId', 'monsterCampId', 'participants.isModCharacter', 'source'],
+  WeatherModel: ['weatherDamageApplied'],
+  mapModel: ['quadrants.discoveries.campId']
+};
@@ -4,7 +4,7 @@
 // - Defines available weather conditions (temperature, wind, precipitation, special events)
 //   for each village (Rudania, Inariko, Vhintl) across all seasons
 // - Used by weather simulation to determine valid weather options per season/village
-// Used by: weatherService.js
+// Used by: bot weatherService.js
 // Related: weatherData.js (contains emoji mappings and probability weights)
 // ============================================================================
 
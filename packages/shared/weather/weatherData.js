@@ -4,7 +4,7 @@
 // - Defines emoji representations for all weather types (temperature, wind, precipitation, special)
 // - Contains base probability weights for weather selection
 // - Provides village/season-specific weight modifiers for weather simulation
-// Used by: weatherService.js, weatherValidation.js
+// Used by: bot weatherService.js, weatherValidation.js
 // Related: seasonsData.js (contains valid weather options per season/village)
 // ============================================================================
 
@@ -138,7 +138,7 @@ const specialWeights = {
   "Lightning Storm": 0.12,
   "Meteor Shower": 0.12,
   "Muggy": 0.3,
-  "Rock Slide": 0.02
+  "Rock Slide": 0.005
 };
 
 // ============================================================================
@@ -247,6 +247,7 @@ const weatherWeightModifiers = {
       },
       special: {
         "Flower Bloom": 1.8,
+        // Rare Blight vs Jubilee on rainy spring days (otherwise Blight dominates the valid pool).
         "Blight Rain": 0.05
       }
     },
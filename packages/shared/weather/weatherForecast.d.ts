@@ -0,0 +1,39 @@
+// Types for weatherForecast.js (used by the dashboard's TypeScript code)
+
+export interface ForecastCondition {
+  label: string;
+  emoji: string;
+  probability?: string;
+}
+
+export interface WeatherForecastDoc {
+  village: string;
+  date: Date | string;
+  season?: string;
+  temperature?: ForecastCondition | null;
+  wind?: ForecastCondition | null;
+  precipitation?: ForecastCondition | null;
+  special?: Partial<ForecastCondition> | null;
+}
+
+export interface ForecastDay {
+  village: string;
+  date: Date;
+  dateKey: string;
+  daysAhead: number;
+  confidence: number;
+  temperatureRange: { low: number; high: number } | null;
+  temperature: ForecastCondition | null;
+  wind: ForecastCondition | null;
+  precipitation: ForecastCondition | null;
+  special: ForecastCondition | null;
+}
+
+export const FORECAST_DAYS: number;
+export const FORECAST_REVISION_CHANCE: number[];
+export const FORECAST_MAX_CONFIDENCE: number;
+export function getForecastConfidence(daysAhead: number): number;
+export function shouldReviseForecast(daysAhead: number, random?: () => number): boolean;
+export function getForecastTemperatureRange(temperatureLabel: string | undefined, daysAhead: number): { low: number; high: number } | null;
+export function getForecastDateKey(periodStart: Date | string): string;
+export function describeForecastDay(forecast: WeatherForecastDoc, daysAhead: number): ForecastDay;
@@ -0,0 +1,87 @@
+// ============================================================================
+// ------------------- Weather Forecast Helpers -------------------
+// Purpose: How sure a multi-day forecast is, by days ahead
+// - The bot re-rolls each forecast day with FORECAST_REVISION_CHANCE at every
+//   daily refresh, so far days change often and tomorrow almost never does
+// - Confidence is the chance a day survives its remaining refreshes unchanged;
+//   the temperature range players see widens with it
+// Used by: bot weatherService.js (forecast refresh, /weather forecast),
+//          dashboard /api/weather/forecast (calendar overlay)
+// ============================================================================
+
+const { parseFahrenheit } = require('./weatherValidation');
+
+const FORECAST_DAYS = 7;
+const FORECAST_TIME_ZONE = 'America/New_York';
+
+// Index = days ahead at the time of the refresh (index 0 unused: today's weather is final)
+const FORECAST_REVISION_CHANCE = [0, 0.05, 0.1, 0.15, 0.2, 0.25, 0.3, 0.35];
+
+// Song of Storms and Fortune Teller readings can still change tomorrow, so never claim certainty
+const FORECAST_MAX_CONFIDENCE = 95;
+
+// Half-width of the shown temperature range per day beyond tomorrow
+const FORECAST_TEMPERATURE_SPREAD_F = 4;
+
+// ------------------- Function: getForecastConfidence -------------------
+// Percent chance the forecast for a day `daysAhead` out is what actually happens.
+function getForecastConfidence(daysAhead) {
+  let confidence = 1;
+  for (let day = 1; day < daysAhead; day++) {
+    confidence *= 1 - (FORECAST_REVISION_CHANCE[day] ?? FORECAST_REVISION_CHANCE[FORECAST_DAYS]);
+  }
+  return Math.min(FORECAST_MAX_CONFIDENCE, Math.round(confidence * 100));
+}
+
+// ------------------- Function: shouldReviseForecast -------------------
+function shouldReviseForecast(daysAhead, random = Math.random) {
+  return random() < (FORECAST_REVISION_CHANCE[daysAhead] ?? FORECAST_REVISION_CHANCE[FORECAST_DAYS]);
+}
+
+// ------------------- Function: getForecastTemperatureRange -------------------
+// { low, high } in °F around the forecast temperature; exact for tomorrow.
+function getForecastTemperatureRange(temperatureLabel, daysAhead) {
+  if (!temperatureLabel) return null;
+  const temp = parseFahrenheit(temperatureLabel);
+  const spread = Math.max(0, daysAhead - 1) * FORECAST_TEMPERATURE_SPREAD_F;
+  return { low: temp - spread, high: temp + spread };
+}
+
+// ------------------- Function: getForecastDateKey -------------------
+// 'YYYY-MM-DD' of a weather period start in Eastern time (the calendar day it covers).
+function getForecastDateKey(periodStart) {
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone: FORECAST_TIME_ZONE,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).format(new Date(periodStart));
+}
+
+// ------------------- Function: describeForecastDay -------------------
+// Player-facing view of one stored forecast day.
+function describeForecastDay(forecast, daysAhead) {
+  return {
+    village: forecast.village,
+    date: new Date(forecast.date),
+    dateKey: getForecastDateKey(forecast.date),
+    daysAhead,
+    confidence: getForecastConfidence(daysAhead),
+    temperatureRange: getForecastTemperatureRange(forecast.temperature?.label, daysAhead),
+    temperature: forecast.temperature || null,
+    wind: forecast.wind || null,
+    precipitation: forecast.precipitation || null,
+    special: forecast.special?.label ? forecast.special : null
+  };
+}
+
+module.exports = {
+  FORECAST_DAYS,
+  FORECAST_REVISION_CHANCE,
+  FORECAST_MAX_CONFIDENCE,
+  getForecastConfidence,
+  shouldReviseForecast,
+  getForecastTemperatureRange,
+  getForecastDateKey,
+  describeForecastDay
+};